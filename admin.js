@@ -0,0 +1,546 @@
+/*
+Program name: admin.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.4
+Description: Staff dashboard for admin.html. Signs in through the local server, lists the
+             stored registrations with search, sorting and filters, shows one registration
+             in the review panel layout and exports the shown rows to CSV. Only the last
+             4 digits of the SSN are ever stored, and they are always shown masked.
+             Registrations flagged as possible duplicates of another patient, or
+             confirmed or updated by a returning patient, say so in the detail view.
+*/
+
+let adminRegistrations = [];
+let adminSort = { key: 'submittedAt', descending: true };
+let detailOpener = null; // Element that had focus when the detail view opened
+let detailRegistrationId = null;
+
+// Table columns; sortable columns sort on getColumnValue
+const ADMIN_COLUMNS = [
+    { key: 'submittedAt', label: 'Submitted', sortable: true },
+    { key: 'id', label: 'Registration ID', sortable: true },
+    { key: 'name', label: 'Name', sortable: true },
+    { key: 'dateOfBirth', label: 'Date of Birth', sortable: true },
+    { key: 'desiredUserID', label: 'User ID', sortable: true },
+    { key: 'state', label: 'State', sortable: true },
+    { key: 'hasInsurance', label: 'Insurance', sortable: true },
+    { key: 'socialSecurity', label: 'SSN', sortable: false }
+];
+
+// Detail view note for a registration flagged as a possible duplicate, by the patient's decision
+const DUPLICATE_REVIEW_NOTES = {
+    continue: 'Possible duplicate of {registrations}. The patient chose to register as a new patient.',
+    deferred: 'Possible duplicate of {registrations}. Sent while offline, so the patient was not asked.'
+};
+
+// Characters that make spreadsheets treat a CSV cell as a formula
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+// A plain international phone number (E.164, +17135551234) is safe to leave as it is
+const CSV_SAFE_PHONE = /^\+\d+$/;
+
+// Mask the stored last 4 SSN digits, e.g. "***-**-1234"
+function maskSsn(last4) {
+    return last4 ? '***-**-' + last4 : '';
+}
+
+// Get a submission time as a local YYYY-MM-DD date
+function getSubmittedDate(submittedAt) {
+    const date = new Date(submittedAt);
+    if (isNaN(date.getTime())) return '';
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Format a submission time for display in the current language
+function formatSubmittedAt(submittedAt) {
+    const date = new Date(submittedAt);
+    if (isNaN(date.getTime())) return submittedAt || '';
+    return date.toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Get the value a column sorts on
+function getColumnValue(registration, key) {
+    if (key === 'name') return `${registration.lastName || ''}, ${registration.firstName || ''}`.toLowerCase();
+    return String(registration[key] || '').toLowerCase();
+}
+
+// Get the text shown in a table cell
+function getCellText(registration, key) {
+    switch (key) {
+        case 'submittedAt': return formatSubmittedAt(registration.submittedAt);
+        case 'name': return `${registration.lastName || ''}, ${registration.firstName || ''}`;
+        case 'dateOfBirth': return formatDisplayDate(registration.dateOfBirth);
+        case 'hasInsurance': return registration.hasInsurance ? t(registration.hasInsurance) : '';
+        case 'socialSecurity': return maskSsn(registration.socialSecurityLast4);
+        default: return registration[key] || '';
+    }
+}
+
+// Turn a MM/DD/YYYY search into YYYY-MM-DD so it matches stored dates of birth
+function normalizeSearchDate(query) {
+    const parts = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(query);
+    if (!parts) return query;
+    return `${parts[3]}-${parts[1].padStart(2, '0')}-${parts[2].padStart(2, '0')}`;
+}
+
+// Check whether a registration matches the search box (name, date of birth or User ID)
+function matchesSearch(registration, query) {
+    if (!query) return true;
+    const dateQuery = normalizeSearchDate(query);
+
+    const names = [
+        `${registration.firstName || ''} ${registration.lastName || ''}`,
+        `${registration.lastName || ''}, ${registration.firstName || ''}`
+    ].map(name => name.toLowerCase());
+
+    return names.some(name => name.includes(query)) ||
+        String(registration.desiredUserID || '').toLowerCase().includes(query) ||
+        String(registration.dateOfBirth || '').includes(dateQuery);
+}
+
+// Get the registrations that pass the search and filters, in the current sort order
+function getFilteredRegistrations() {
+    const query = document.getElementById('adminSearch').value.trim().toLowerCase();
+    const state = document.getElementById('adminStateFilter').value;
+    const insurance = document.getElementById('adminInsuranceFilter').value;
+    const from = document.getElementById('adminSubmittedFrom').value;
+    const to = document.getElementById('adminSubmittedTo').value;
+
+    const rows = adminRegistrations.filter(registration => {
+        const submitted = getSubmittedDate(registration.submittedAt);
+        return matchesSearch(registration, query) &&
+            (!state || registration.state === state) &&
+            (!insurance || registration.hasInsurance === insurance) &&
+            (!from || submitted >= from) &&
+            (!to || submitted <= to);
+    });
+
+    const direction = adminSort.descending ? -1 : 1;
+    return rows.sort((a, b) => {
+        const valueA = getColumnValue(a, adminSort.key);
+        const valueB = getColumnValue(b, adminSort.key);
+        if (valueA === valueB) return 0;
+        return valueA < valueB ? -direction : direction;
+    });
+}
+
+// Fill the state filter with the states found in the registrations
+function buildStateFilter() {
+    const select = document.getElementById('adminStateFilter');
+    const selected = select.value;
+    const states = Array.from(new Set(adminRegistrations.map(registration => registration.state).filter(Boolean))).sort();
+
+    while (select.options.length > 1) select.remove(1);
+    states.forEach(state => select.appendChild(new Option(state, state)));
+    select.value = states.includes(selected) ? selected : '';
+}
+
+// Build the table header with a sort button for each sortable column
+function buildTableHead() {
+    const headRow = document.getElementById('adminTableHead');
+    headRow.innerHTML = '';
+
+    ADMIN_COLUMNS.forEach(column => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        if (column.sortable) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'admin-sort-btn';
+            button.dataset.sort = column.key;
+            button.textContent = t(column.label);
+            button.addEventListener('click', () => sortBy(column.key));
+            th.appendChild(button);
+        } else {
+            th.textContent = t(column.label);
+        }
+        headRow.appendChild(th);
+    });
+
+    const actions = document.createElement('th');
+    actions.scope = 'col';
+    actions.innerHTML = '<span class="sr-only"></span>';
+    actions.firstChild.textContent = t('Actions');
+    headRow.appendChild(actions);
+
+    updateSortHeaders();
+}
+
+// Show the sort column and direction on the header cells
+function updateSortHeaders() {
+    document.querySelectorAll('#adminTableHead .admin-sort-btn').forEach(button => {
+        const th = button.parentElement;
+        if (button.dataset.sort === adminSort.key) {
+            th.setAttribute('aria-sort', adminSort.descending ? 'descending' : 'ascending');
+        } else {
+            th.removeAttribute('aria-sort');
+        }
+    });
+}
+
+// Sort by a column; choosing the same column again reverses the order
+function sortBy(key) {
+    if (adminSort.key === key) {
+        adminSort.descending = !adminSort.descending;
+    } else {
+        adminSort = { key: key, descending: key === 'submittedAt' };
+    }
+    updateSortHeaders();
+    renderRegistrationTable();
+}
+
+// Show the filtered registrations in the table
+function renderRegistrationTable() {
+    const body = document.getElementById('adminTableBody');
+    const rows = getFilteredRegistrations();
+    body.innerHTML = '';
+
+    rows.forEach(registration => {
+        const tr = document.createElement('tr');
+        ADMIN_COLUMNS.forEach(column => {
+            const td = document.createElement('td');
+            td.textContent = getCellText(registration, column.key);
+            tr.appendChild(td);
+        });
+
+        const actions = document.createElement('td');
+        const view = document.createElement('button');
+        view.type = 'button';
+        view.className = 'admin-view-btn';
+        view.textContent = t('View');
+        view.setAttribute('aria-label', t('View registration {id}', { id: registration.id }));
+        view.addEventListener('click', () => showRegistrationDetail(registration.id));
+        actions.appendChild(view);
+        tr.appendChild(actions);
+
+        body.appendChild(tr);
+    });
+
+    if (rows.length === 0) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = '<td class="admin-empty"></td>';
+        tr.firstChild.colSpan = ADMIN_COLUMNS.length + 1;
+        tr.firstChild.textContent = t('No registrations match the search and filters.');
+        body.appendChild(tr);
+    }
+
+    document.getElementById('adminResultCount').textContent = t('Showing {shown} of {total} registrations', {
+        shown: rows.length,
+        total: adminRegistrations.length
+    });
+    document.getElementById('adminExportBtn').disabled = rows.length === 0;
+}
+
+// Get the text shown for a stored field in the detail view
+function getDetailValue(def, registration) {
+    if (def.name === 'socialSecurity') return maskSsn(registration.socialSecurityLast4) || t('(not entered)');
+
+    const value = registration[def.name];
+    if (!value || value.length === 0) return t('(not entered)');
+    if (def.type === 'list') return formatListValue(def, value);
+    if (def.type === 'image') return t('Photo attached');
+    if (def.lowercase) return value.toLowerCase();
+    if (def.format === 'date') return formatDisplayDate(value);
+
+    // Choice values and condition names are fixed English text
+    if (def.type || def.virtual) return value.split(', ').map(part => t(part)).join(', ');
+    return value;
+}
+
+// Fill the detail view for one registration, using the review panel's layout
+function fillRegistrationDetail(registration) {
+    document.getElementById('registrationDetailMeta').textContent = t(registration.updatedAt
+        ? 'Registration {id}, submitted {date}, updated by the patient {updated}'
+        : 'Registration {id}, submitted {date}', {
+        id: registration.id,
+        date: formatSubmittedAt(registration.submittedAt),
+        updated: formatSubmittedAt(registration.updatedAt)
+    });
+
+    // Duplicate checks from when the registration was sent, for the front desk to follow up
+    const notes = [];
+    const review = registration.duplicateReview;
+    if (review && DUPLICATE_REVIEW_NOTES[review.decision]) {
+        notes.push(t(DUPLICATE_REVIEW_NOTES[review.decision], {
+            registrations: review.candidates.map(candidate => `${candidate.registrationId} (${candidate.score}%)`).join(', ')
+        }));
+    }
+    if (registration.confirmedAt) {
+        notes.push(t('A returning patient confirmed this registration {date}.', {
+            date: formatSubmittedAt(registration.confirmedAt)
+        }));
+    }
+    const duplicateNote = document.getElementById('registrationDetailDuplicates');
+    duplicateNote.textContent = notes.join(' ');
+    duplicateNote.hidden = notes.length === 0;
+
+    const content = document.getElementById('registrationDetailContent');
+    content.innerHTML = '';
+    // Like the review panel, leave out sections that didn't apply, such as the guardian section for adults
+    const states = RegistrationValidation.getFieldStates(registration);
+    FORM_SECTIONS.forEach(section => {
+        if (!isSectionActive(section.id, states)) return;
+
+        const sectionElement = document.createElement('div');
+        sectionElement.className = 'review-section';
+
+        const heading = document.createElement('h3');
+        heading.textContent = t(section.title);
+        sectionElement.appendChild(heading);
+
+        const table = document.createElement('table');
+        table.className = 'review-table';
+        // Passwords are never stored; the SSN row shows the masked last 4 digits and
+        // insurance card photos are shown under their row
+        getSectionFields(section.id)
+            .filter(def => !def.sensitive || def.name === 'socialSecurity' || def.type === 'image')
+            .forEach(def => {
+                const row = document.createElement('tr');
+                row.innerHTML = '<td class="review-label"></td><td class="review-value"></td>';
+                row.children[0].textContent = t(def.label) + ':';
+                row.children[1].textContent = getDetailValue(def, registration);
+                if (def.type === 'image' && registration[def.name]) {
+                    const image = document.createElement('img');
+                    image.className = 'review-card-image';
+                    image.src = registration[def.name];
+                    image.alt = t(def.label);
+                    row.children[1].appendChild(image);
+                }
+                table.appendChild(row);
+            });
+        sectionElement.appendChild(table);
+
+        content.appendChild(sectionElement);
+    });
+}
+
+// Open the detail view for a registration
+function showRegistrationDetail(id) {
+    const registration = adminRegistrations.find(entry => entry.id === id);
+    if (!registration) return;
+
+    detailOpener = document.activeElement;
+    detailRegistrationId = id;
+    fillRegistrationDetail(registration);
+
+    const detail = document.getElementById('registrationDetail');
+    detail.hidden = false;
+    detail.scrollIntoView({ behavior: 'smooth' });
+    document.getElementById('registrationDetailHeading').focus();
+}
+
+// Close the detail view and return focus to the button that opened it
+function closeRegistrationDetail() {
+    document.getElementById('registrationDetail').hidden = true;
+    detailRegistrationId = null;
+
+    if (detailOpener && document.body.contains(detailOpener)) {
+        detailOpener.focus();
+    } else {
+        document.getElementById('adminSearch').focus();
+    }
+    detailOpener = null;
+}
+
+// Quote one CSV cell, neutralizing values a spreadsheet would run as a formula
+function toCsvValue(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (CSV_FORMULA_START.test(text) && !CSV_SAFE_PHONE.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Format a list field's entries for CSV in the stored (English) values
+function formatCsvList(def, items) {
+    return (items || []).map(item => {
+        const values = def.items.map(itemDef => item[itemDef.name]).filter(Boolean);
+        return values.length > 1 ? `${values[0]} (${values.slice(1).join(', ')})` : values.join('');
+    }).join('; ');
+}
+
+// Build a CSV file of registrations; sensitive fields are left out and the SSN is masked
+function buildRegistrationsCsv(registrations) {
+    const fields = FORM_FIELDS.filter(def => !def.sensitive);
+    const header = ['Registration ID', 'Submitted'].concat(fields.map(def => def.label), 'SSN');
+
+    const lines = [header.map(toCsvValue).join(',')];
+    registrations.forEach(registration => {
+        const values = [registration.id, registration.submittedAt].concat(
+            fields.map(def => def.type === 'list' ? formatCsvList(def, registration[def.name]) : registration[def.name]),
+            maskSsn(registration.socialSecurityLast4)
+        );
+        lines.push(values.map(toCsvValue).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Download the registrations shown in the table as a CSV file
+function exportRegistrationsCsv() {
+    const rows = getFilteredRegistrations();
+    if (rows.length === 0) return;
+
+    const blob = new Blob([buildRegistrationsCsv(rows)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `registrations-${getSubmittedDate(new Date().toISOString())}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Switch between the sign-in form and the dashboard
+function showAdminView(username) {
+    const signedIn = Boolean(username);
+    document.getElementById('adminLoginForm').hidden = signedIn;
+    document.getElementById('adminDashboard').hidden = !signedIn;
+    document.getElementById('adminUser').textContent = signedIn ? t('Signed in as {username}', { username: username }) : '';
+
+    if (!signedIn) {
+        adminRegistrations = [];
+        document.getElementById('registrationDetail').hidden = true;
+        document.getElementById('adminUsername').focus();
+    }
+}
+
+// Show a sign-in error, or hide the error area with no message
+function showLoginError(message) {
+    const errorElement = document.getElementById('adminLoginError');
+    errorElement.textContent = message ? t(message) : '';
+    errorElement.hidden = !message;
+}
+
+// Load the registrations from the server; returns to sign-in when the session has ended
+async function loadAdminRegistrations() {
+    let response;
+    let body;
+    try {
+        response = await fetch('/api/admin/registrations', { credentials: 'same-origin' });
+        body = await response.json();
+    } catch (err) {
+        document.getElementById('adminResultCount').textContent = t('Unable to reach the registration server. Please try again.');
+        return;
+    }
+
+    if (response.status === 401) {
+        showAdminView(null);
+        showLoginError('Your session has ended. Please sign in again.');
+        return;
+    }
+    if (!response.ok) {
+        document.getElementById('adminResultCount').textContent = t(body.error || 'Unable to load registrations.');
+        return;
+    }
+
+    adminRegistrations = body.registrations || [];
+    buildStateFilter();
+    renderRegistrationTable();
+}
+
+// Sign in with the username and password entered
+async function handleAdminLogin(event) {
+    event.preventDefault();
+    showLoginError(null);
+
+    const password = document.getElementById('adminPassword');
+    let response;
+    let body;
+    try {
+        response = await fetch('/api/admin/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({
+                username: document.getElementById('adminUsername').value.trim(),
+                password: password.value
+            })
+        });
+        body = await response.json();
+    } catch (err) {
+        showLoginError('Unable to reach the registration server. Please try again.');
+        return;
+    }
+
+    password.value = '';
+    if (!response.ok) {
+        showLoginError(body.error || 'Sign-in failed');
+        password.focus();
+        return;
+    }
+
+    showAdminView(body.username);
+    document.getElementById('adminSearch').focus();
+    await loadAdminRegistrations();
+}
+
+// Sign out and clear the loaded registrations from the page
+async function handleAdminLogout() {
+    try {
+        await fetch('/api/admin/logout', { method: 'POST', credentials: 'same-origin' });
+    } catch (err) {
+        // The session expires on the server by itself
+    }
+    document.getElementById('adminTableBody').innerHTML = '';
+    showAdminView(null);
+}
+
+// Show the dashboard when a session is still open, otherwise the sign-in form
+async function checkAdminSession() {
+    try {
+        const response = await fetch('/api/admin/session', { credentials: 'same-origin' });
+        const body = await response.json();
+        if (response.ok) {
+            showAdminView(body.username);
+            await loadAdminRegistrations();
+            return;
+        }
+    } catch (err) {
+        // Fall through to the sign-in form
+    }
+    showAdminView(null);
+}
+
+// Clear the search and all filters
+function clearAdminFilters() {
+    ['adminSearch', 'adminStateFilter', 'adminInsuranceFilter', 'adminSubmittedFrom', 'adminSubmittedTo']
+        .forEach(id => { document.getElementById(id).value = ''; });
+    renderRegistrationTable();
+}
+
+// Re-render the text built at runtime after the language changes
+function refreshAdminContent() {
+    buildTableHead();
+    if (document.getElementById('adminDashboard').hidden) return;
+
+    renderRegistrationTable();
+    const registration = adminRegistrations.find(entry => entry.id === detailRegistrationId);
+    if (registration) fillRegistrationDetail(registration);
+}
+
+// Initialize the dashboard on page load
+function initializeAdmin() {
+    if (!document.getElementById('adminDashboard')) return;
+
+    buildTableHead();
+    document.getElementById('adminLoginForm').addEventListener('submit', handleAdminLogin);
+    document.getElementById('adminLogoutBtn').addEventListener('click', handleAdminLogout);
+    document.getElementById('adminExportBtn').addEventListener('click', exportRegistrationsCsv);
+    document.getElementById('adminClearFiltersBtn').addEventListener('click', clearAdminFilters);
+    document.getElementById('closeDetailBtn').addEventListener('click', closeRegistrationDetail);
+
+    document.getElementById('adminSearch').addEventListener('input', renderRegistrationTable);
+    ['adminStateFilter', 'adminInsuranceFilter', 'adminSubmittedFrom', 'adminSubmittedTo'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderRegistrationTable);
+    });
+
+    document.addEventListener('languagechange', refreshAdminContent);
+    checkAdminSession();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeAdmin);
+} else {
+    initializeAdmin();
+}
@@ -0,0 +1,48 @@
+/*
+Program name: app-files.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.0
+Description: The files browsers load for the registration form. sw.js keeps a copy of
+             them for the kiosk to use offline, and server.js serves only these files,
+             the staff pages and the service worker.
+*/
+
+// Files the form needs offline, relative to the site root
+const APP_FILES = [
+    'index.html',
+    'thankyou.html',
+    'style.css',
+    'print.css',
+    'logo.png',
+    'fields.js',
+    'clinic.js',
+    'clinic-config.mjs',
+    'clinics.json',
+    'i18n.js',
+    'common-passwords.js',
+    'zip-codes.js',
+    'payers.js',
+    'validation.js',
+    'interop.js',
+    'form-display.js',
+    'script.js',
+    'draft.js',
+    'wizard.js',
+    'summary-export.js',
+    'password-strength.js',
+    'userid-availability.js',
+    'medical-history.js',
+    'consent-terms.js',
+    'consent.js',
+    'insurance.js',
+    'outbox.js',
+    'duplicate-check.js',
+    'kiosk.js',
+    'thankyou.js'
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { APP_FILES };
+}
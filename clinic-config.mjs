@@ -0,0 +1,16 @@
+/*
+Program name: clinic-config.mjs
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.1
+Description: Loads clinics.json and sets the page up for its clinic (clinic.js). As a
+             module script it runs after the page is parsed and before the other scripts
+             initialize on DOMContentLoaded. If clinics.json can't be loaded, or the
+             browser doesn't support JSON import attributes, this module doesn't run
+             and clinic.js turns the registration form off with a message.
+*/
+
+import CLINIC_CONFIG from './clinics.json' with { type: 'json' };
+
+applyClinicConfig(CLINIC_CONFIG);
@@ -0,0 +1,214 @@
+/*
+Program name: clinic.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.3
+Description: Clinic settings for the registration form. One deployment serves several
+             clinics, each described in clinics.json: its name, logo, address and social
+             links, the identifier system of its patient accounts (userIdSystem, used in
+             the FHIR and HL7 exports), the FHIR extension for the preferred contact
+             method (preferredContactExtension), the fields its form leaves out or
+             requires, its medical condition list and the states patients can pick. The
+             clinic is chosen by ?clinic= in the URL (kept for the rest of the visit),
+             then by the hostname, then defaultClinic.
+             clinic-config.mjs loads clinics.json and calls applyClinicConfig before the
+             page initializes. When it didn't run (clinics.json failed to load, or the
+             browser can't import JSON modules) the registration form is replaced with a
+             message instead of asking another clinic's questions. server.js validates
+             each clinic's registrations with findClinic, cloneSchema and applyClinicSchema.
+*/
+
+// Fields every clinic's form asks for as they are: the patient's name and date of birth,
+// the guardian section for minors, the account, the privacy acknowledgment and the signature
+const LOCKED_FIELDS = [
+    'firstName', 'lastName', 'dateOfBirth', 'guardianName', 'guardianRelationship', 'guardianPhone',
+    'guardianConsent', 'desiredUserID', 'password', 'confirmPassword', 'privacyAcknowledgment',
+    'signatureName', 'signature'
+];
+const CLINIC_STORAGE_KEY = 'clinic';             // sessionStorage: clinic picked with ?clinic=
+const FALLBACK_CLINIC_NAME = 'Mark Health care'; // Name in the page markup, used if clinics.json doesn't load
+const CLINIC_CONFIG_ERROR = 'This page could not load its settings. Please reload the page, or ask the front desk for help.';
+
+// Page text that names the clinic; {clinic} is replaced with its name
+const CLINIC_TEXTS = [
+    { selector: '#header .logo', attribute: 'alt', text: '{clinic} Logo' },
+    { selector: '#header h1', text: '{clinic}' },
+    { selector: '#footer .footer-left h3', text: '{clinic}' },
+    { selector: 'label[for="consentMarketing"]', text: 'I consent to receive marketing communications from {clinic}' }
+];
+
+let currentClinic = null;     // Clinic this page is for (null until applyClinicConfig runs)
+let clinicPageTitle = null;   // Page title with {clinic} in place of the name
+
+// Find a clinic in the config by id, then by hostname, falling back to the default clinic
+function findClinic(config, clinicId, hostname) {
+    const host = String(hostname || '').toLowerCase();
+    return config.clinics.find(clinic => clinic.id === clinicId) ||
+           config.clinics.find(clinic => (clinic.hostnames || []).indexOf(host) >= 0) ||
+           config.clinics.find(clinic => clinic.id === config.defaultClinic);
+}
+
+// Copy a schema from fields.js deeply enough that applyClinicSchema can change the copy
+function cloneSchema(schema) {
+    const copyField = def => Object.assign({}, def, def.items ? { items: def.items.map(item => Object.assign({}, item)) } : {});
+    return {
+        FORM_SECTIONS: schema.FORM_SECTIONS,
+        ADULT_AGE: schema.ADULT_AGE,
+        MEDICAL_CONDITIONS: schema.MEDICAL_CONDITIONS.slice(),
+        FORM_FIELDS: schema.FORM_FIELDS.map(copyField),
+        FORM_RULES: schema.FORM_RULES.slice()
+    };
+}
+
+// Apply a clinic's field settings to a schema, changing it in place. Removed fields get a
+// FORM_RULES entry that always hides them (so they are never validated or submitted), the
+// required and optional lists override each field's required flag, and the clinic's
+// conditions and states become the only values accepted. Throws on a field the schema
+// doesn't have or a locked field the clinic tries to remove or make optional.
+function applyClinicSchema(schema, clinic) {
+    const fields = clinic.fields || {};
+    const getField = name => {
+        const def = schema.FORM_FIELDS.find(entry => entry.name === name);
+        if (!def) throw new Error(`Clinic ${clinic.id}: unknown field ${name}`);
+        return def;
+    };
+    const getUnlockedField = name => {
+        if (LOCKED_FIELDS.indexOf(name) >= 0) throw new Error(`Clinic ${clinic.id}: ${name} is always asked for`);
+        return getField(name);
+    };
+
+    const removed = fields.removed || [];
+    removed.forEach(getUnlockedField);
+    if (removed.length > 0) schema.FORM_RULES.push({ hide: removed.slice() });
+    (fields.required || []).forEach(name => { getField(name).required = true; });
+    (fields.optional || []).forEach(name => { getUnlockedField(name).required = false; });
+
+    if (clinic.medicalConditions) {
+        schema.MEDICAL_CONDITIONS.splice(0, schema.MEDICAL_CONDITIONS.length, ...clinic.medicalConditions);
+        const conditionItem = getField('conditionDetails').items.find(item => item.name === 'condition');
+        conditionItem.options = clinic.medicalConditions.map(condition => condition.label);
+    }
+    if (clinic.states) {
+        const state = getField('state');
+        state.options = clinic.states.slice();
+        state.message = 'Please select a state from the list';
+    }
+    return schema;
+}
+
+// Get the name of the clinic this page is for
+function getClinicName() {
+    return currentClinic ? currentClinic.name : FALLBACK_CLINIC_NAME;
+}
+
+// Get the sending facility, patient account identifier system and preferred contact
+// method extension for interop.js exports
+function getClinicExportSettings() {
+    return {
+        facilityName: getClinicName(),
+        userIdSystem: currentClinic ? currentClinic.userIdSystem : null,
+        preferredContactExtension: currentClinic ? currentClinic.preferredContactExtension : null
+    };
+}
+
+// Get the id of the clinic this page is for, sent with the registration (null if clinics.json didn't load)
+function getClinicId() {
+    return currentClinic ? currentClinic.id : null;
+}
+
+// Pick the clinic for this page: ?clinic= (remembered for the rest of the visit), then the hostname
+function selectClinic(config) {
+    const requested = new URLSearchParams(window.location.search).get('clinic');
+    const clinic = findClinic(config, requested || sessionStorage.getItem(CLINIC_STORAGE_KEY), window.location.hostname);
+    if (requested && clinic.id === requested) sessionStorage.setItem(CLINIC_STORAGE_KEY, clinic.id);
+    return clinic;
+}
+
+// Leave only the clinic's states in the State dropdown
+function limitStateOptions() {
+    const select = document.getElementById('state');
+    if (!select || !currentClinic.states) return;
+
+    Array.from(select.options).forEach(option => {
+        if (option.value && currentClinic.states.indexOf(option.value) < 0) option.remove();
+    });
+}
+
+// Show the clinic's name, logo, address and social links in the page
+function renderClinicBranding() {
+    const name = currentClinic.name;
+    clinicPageTitle = clinicPageTitle || document.title.replace(FALLBACK_CLINIC_NAME, '{clinic}');
+    document.title = t(clinicPageTitle, { clinic: name });
+
+    CLINIC_TEXTS.forEach(entry => {
+        const element = document.querySelector(entry.selector);
+        if (!element) return;
+        const text = t(entry.text, { clinic: name });
+        if (entry.attribute) {
+            element.setAttribute(entry.attribute, text);
+        } else {
+            element.textContent = text;
+        }
+    });
+
+    const logo = document.querySelector('#header .logo');
+    if (logo && currentClinic.logo) logo.src = currentClinic.logo;
+
+    const address = document.querySelector('#footer .footer-left p');
+    if (address) {
+        address.innerHTML = '';
+        (currentClinic.address || []).forEach((line, index) => {
+            if (index > 0) address.appendChild(document.createElement('br'));
+            address.appendChild(document.createTextNode(line));
+        });
+    }
+
+    const links = document.querySelector('#footer .footer-right');
+    if (links) {
+        links.innerHTML = '';
+        (currentClinic.socialLinks || []).forEach((link, index) => {
+            if (index > 0) links.appendChild(document.createTextNode(' | '));
+            const anchor = document.createElement('a');
+            anchor.href = link.url;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener';
+            anchor.textContent = link.label;
+            links.appendChild(anchor);
+        });
+    }
+}
+
+// Set the page up for its clinic: called by clinic-config.mjs with clinics.json before the
+// other scripts initialize, so they see the clinic's fields, conditions and states
+function applyClinicConfig(config) {
+    currentClinic = selectClinic(config);
+    applyClinicSchema({ MEDICAL_CONDITIONS: MEDICAL_CONDITIONS, FORM_FIELDS: FORM_FIELDS, FORM_RULES: FORM_RULES },
+                      currentClinic);
+    limitStateOptions();
+    renderClinicBranding();
+    document.addEventListener('languagechange', renderClinicBranding);
+}
+
+// Replace the registration form with an error when clinic-config.mjs didn't run
+function checkClinicConfig() {
+    const form = document.getElementById('registrationForm');
+    if (currentClinic || !form) return;
+
+    const message = document.createElement('div');
+    message.id = 'clinicConfigError';
+    message.className = 'form-alert';
+    message.setAttribute('role', 'alert');
+    message.textContent = CLINIC_CONFIG_ERROR;   // Translated with the rest of the page (i18n.js)
+    form.parentNode.insertBefore(message, form);
+    form.hidden = true;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LOCKED_FIELDS, findClinic, cloneSchema, applyClinicSchema };
+} else if (document.readyState === 'loading') {
+    // Module scripts such as clinic-config.mjs have run by DOMContentLoaded
+    document.addEventListener('DOMContentLoaded', checkClinicConfig);
+} else {
+    checkClinicConfig();
+}
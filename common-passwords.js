@@ -0,0 +1,27 @@
+/*
+Program name: common-passwords.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.0
+Description: Offline list of common and breached passwords, stored as a Bloom filter so
+             the passwords themselves are not shipped. Built from the 10,000 most common
+             passwords in the zxcvbn 4.4.2 frequency list (MIT), lowercased.
+             Read by isCommonPassword in validation.js. False positive rate is about 0.1%.
+
+             Filter layout: "size" bits, base64 encoded, bit b is (bytes[b >> 3] >> (b & 7)) & 1.
+             A password sets "hashes" bits at (h1 + i * h2) mod size for i = 0 .. hashes - 1,
+             where h1 = fnv1a(password, 0), h2 = fnv1a(password, 0x5bd1e995) | 1 and fnv1a is
+             32-bit FNV-1a over UTF-16 code units with the offset basis XORed with the seed.
+*/
+
+const COMMON_PASSWORD_FILTER = {
+    size: 143776,
+    hashes: 10,
+    count: 10000,
+    bits: '7CH9dEYd+hdoyjLobRGiEi5gaqenp6xcX4Gl/PrRjCm8DQJPR9ZMa8rmS7T4scV1yHTY5aXjWuRrWz0C9L9pTQXEfnQsDYNOh7+QRDagh1btUa+ETd/wZCBvc/DGgo0kgmBvFviRvq3ZutsL1h3qu/OoW3NelY8DPbv2OYle2lDQhPp1zvCOJrQeAfOCxI3BGVyq8CXLeE+CsG54BAaVlFhF4dLQ97ONIgMtLEpYrqrSKXFqdtw54Kx/EEjulSBZT7MRJgDf0fobISE6s8FMvVVPttxW5y9o7wkXthbAaBhLFBg9GhZCOjfuk3pPZ+sQPYLNAJ87I8fGbJrhYmFmp48e8dBbqwyfHdaU/fchjHv7Hb/JGNc6Ofy4gyt5YY23CeKZl9glDC86+QaOOqM89GVKkJFLJGcj4j0mY9qF3ryy/f2BGqZqmzDyy4PGUJoVauYSMMLB65Og3KWNUfYvrJrxwWsmhO/2qtwX1mLnJ0JynBbpv3p89l2EvP5aV36m+tUkmETtTbeur9VhrydPi/LcbcS9W/LFo4U9yGosMpLeWi4Gaa9SA8KwaC6gItVr2TydwIexAxiEriidii9sbF0pYXL6pT6yzkiE7S2norVDo7bEanWJBhL9QyZzIjXngGoCxbf4vxziqgq7ltFmcuZZ+AiorFEvfvW2s6F7hD5mPvxisUbxrHmEY1Lu3qwiiAQDM9Hl/uy7g+LEynFXimCM3lfDU8iL/zB8SKgBYb40yZ/9PjqKhIr0O0pna7u5AlVzuHb22OrYDF/sBGV7tXXw3kXazQwyg6YFueGeRjDZnTONbXZyQ2QemvWWxi7KaM2vEC9vUiY8yQyxmQA2daj3ZZembl/nB0/lcm+42lpYZ/sbO9v0u3G/0a1WJ3tITkImSBLwaNAm0Z1YJYnWyq+E8H+MrZ8EalIdlsPLQG5Ec/3Jq4cHSJp36VDs0rAmxRJUUNYF/SPDyN0TSSzhQkJutzO+q7Bf7e76B4JXgnaHW2S7spqAG6oaJctWeHvJAkCTxbJnr1sYVpb+kb3H1Ovi7HeR4Cqt1APu5xLFU++/xAN8MRUmxhYAFJiz3gFEau3CdJfHaflJ85MZ1DjU7vBHJt8jMoBdBmN7O815cI6sN9tqz51aqhZzFZd4aKFuOfXZwtb2f1qBCJKUtJz/bmisy9UVtX5VeVyOzrRtWsOqCyEvfRjwTOysu6JTFE0A2YE6iTLeqCbXAMzI7MSPXEGxNKwX6IhXFfTIWGYw4jf/6/43DQbflIiM/xdy+m+BJhil7HC3rSGhCsLWFQKscry1qjNH3Nb1wkWEKDa0ngEbPA4YT5fTrx54wfp+3T4Pkb3HRSO/zVP5TC4P2HVVEUkau8a7m38H3L5+8job05n31t0ac24zEc5ErtXBWcmvdsJxjx10633GHCdmTdnqcq7AI6fLKp2eFmTch/QmE1+2rghYd5bNeC5sm6z3zQ8G7UC1tONwPtjuLR+v41Kc+9fFcz0t5IHApqC20yQnNa/aB5HN6r3iM6F2IoqNPnWhHofZfrxZ3t+p6SWQSaenxRUwewGVb4e6xbdGsmjPYDOG2XpkA6feBzdF1YZnOgoxtBaQ6YLEZCFjc+zDNqhrT6M3vHWLGvpmROP5uJq1DvDckkSQBA8d38wv5EFZEQn+JhsEOKMRaLOzsIEq4vybW1sViNY2hsFIjASWgmgvAXrdbH1dZ78hKAat1ZQj8SwwmmWtZj6YIV0ZWO/jO2ZcAB6uZz6hvhxCGPkRvza4yysLGPNBw9adhEt9fSeWDsjq4i3VpcZckYHbbGIoDIl6quaHjKbAJ8ew66cb5rl/xp1A+X4IqN9Zf4hCmk+98qB+N0YAc3ZAFcBvclj8euJ1LCan7agyW4fBds0Ut1wQBbEpVYx9ziEW/3ojL1hmV/fElrcex54+XIPNWvGentn7Mf3u5un+cpWYXVnShqFbUdp3Gr6mXQV6y9FOCpbrY/HTciuQMYliUBQy0EE1moAN9P2NXgI0uMuc9WPeS7Yem8kJ7kzyAGc3YKljN/tFjnWcxma/8sNnG6N0fBscUWgR42MsZOuA5kKChiy2e+PP39+Yt+hR87YEkm9sJKWnhVq+GSbx51UgixaYECGURXh8I+W4V/gdPLvg5qf7Ulz0vHXjyaQtMjqGZrepa59/tgTnra8vf9vnTRvK/ocBi8nTLNQzq285/tBUwY0pLkgU8rp3YlplYtvi5IZxJ6ZxWFU2WAn6XftiL/klMRzD2Nfo8Fv2JTkVR8YQu/pzZ2Qv14JPXZy04dqo6Q7nLUHA1Lf/9HLm+HyMJDMjfP573vbChob01G2IPUTlGK4QyR0qNTBWCA5vi9URv049XxOexI28ajhjisZ2lI9zkdN5iuo7V+iEEx5i3J970+Emtp6EUgiHnRHFpgAYlkDBLOqSKEYiKrmNsxqkTeoVlachV7NnByNRw9NKkfcX1v71FYqKZ1NhV18kaCfGSCqWtAtsBzLt7gqXl/rCdlDS/EcaBtjRa9lT/1Y3DRX8jrFOPj+W3/Lx+DISZ/R3F/b6IFpHwSZJxe5MQLu342kjsiPRwv5M+DEa/jAbHpj5UIuH/dc2haxcsLwb0BoxcKnsz8UiG+KTsKDGl+wXUnW7u6PN/EUdRaELSfWYQ7PWNyEEL5OXIHegfPoF6JPAyDmkgmS3HyBZS1r5vmVsE6YDVuCVG4Pook4rmw1kM7tKdOKRr6Fppy+wzvBgHqfoFIs9YBYygmZh8EanXI2kJfFewZpCx91e7YfSxlcAjTxzfvapwPzMq9am0RtB+QR3858ny/HGw7eTrnJXbxbBP8FWs8htwXSWl8x04Y4oX+fg4jKqHRzj3sR7UxrQWRJLhH71yJU3aYAibnNzpgI6eeyum0u4ZmCKXeZkIcbecwditeAUyGGVMDdnzsaMmixRXZ08uPsqWTvt+OxB3CBPpleqdDYx01lnCdISpUQfCWdk+nZ7Vw9mMQmgZkE4OSkkc5F2/z8HkwgBvhYouiduNUTzLzi188sxbCi6ks3vPohid3wxv2viUYCgoksDTNp3nAMqv8gtfA0/PvyLYWraucclsyOHccocIGm/VrBtB3e8IvH0ZWQYzjPxKGJV2rhWDgMl7raRuO7VeNffA1kw+4k0u34QvbWCdWaVL1Q1SxxbE8BRG69bs+EGoytkOtfYvnfuE0wAaWCobEs/1fG6seJ7lbzqfCWScSotwSDdhzATvFwwZZB1NDSblOKWsS8w49tAe4jUrHRsd0GmGxBrnaQ6JLlUWmiK8pyw3DQxEICt/p8Z01JwJorTICYQaRoWXV4QMevriu6NZ8zgyX1HMBs/ULlAvxCYuNcER4Uzg7MIuqNgxACVqcWnKQIbA2/USBJnz9onaVxKVLY1fkssnF4JA/zgXmcsf8n0YTlZavDnE865telLnlsE6/h6VlpMy4WfOrrz4cWoRLohYlnQxa2EcgHKnek3t7F9sR71TSAzZPhjSZk17t2dvXL8vpYggCpzC7t+gAdzbg61me/ohjJl1jroDm/io5B2l8Atxz5qsxa+hdXmX3WjDzBxvrYHN8uGkV2t5ZhFopSSIyviPnB0FQ0/GJRUi9xiMO8FyOaPepANxqEzhBVtyHWWtKpkm5E555e419CRi7s3lnlbvLjE2DaxRN4Mu+H7C2fx4EdwPqoQZ5mv9LmXAStjxVhVZ4YgDFSX4Ufj4XDorkHANQVlEjnciQpmVaJ//3OR2MKHgSKfeufK2hgQlJHpFDHqygpG+RkSHuruQMi5xatI6MscKMBOiheSJsqikO8Ca8OE641IImTEGxhL9M1t6GZa/P2d3xMCjH13ZkT8b4Y8HhZx3KwnpIZ2SzcAfCKkMJmZ89UnPepHrp/RXiFh3z93Zt3JoG6YGnlmXsFV4Y70UntU99eav4pyMKDXTRJzfqakoQECciVc3iNSWBTomeznVxF0wSDfkcwNgcZdQ/PlTmQZZlaqhks0E8spqpDUwUTqAuZodEMCKp8RGYcTfIdbd+6hrY1xqhKyD4Jb/5JCxHNyKuOO2v71ICkSl2H/sAiumjP/mCGOIoLA9NTw3VzPmSIdyVvkVCeVRfYSKcY8QZdoApdwiCSpuWz+YHDio2SyB0OmrOc1UdiKSrnuMU66HcCfsjOy/LS2vZ1HlvlTU/DA1HtDhOfw+9FzFMIrltBnBbKun+CGu8/F6O3tONnaj8eVQtO5K5O3IpJGrdJFkUAYpugGtbxa/ArsQdyKAI0okBhli8CGae5eNt8foVxp7l5zKd3/E0LAZq9aM2rBtEHS+yylA5HK6c3SQw+tQ/ZpaXY4sznNpN7fmCZwmX0+PgcWOsIQh2+Q9/VgcqvETzhyMo8PFQqPBQNV4dCYl/8VG7ytu5exEQO1RxMZCj1N8E+V76H7VhOr6dRmt4lFfTAeMUZqr4Qs9X+b/wlW0YRSIWgG10IcoP3OVzhzZ3+qTigM/uUc22kguNbxjNVoS+0KuOM1HAysqSGF9uIaDQeaFNyKbTiwKIUy7mzkxFYLr7qJBcBDiqP0Th8yB31WXKzyR2jy0Swfcsg+lv/mAhv6gijiZ5q4LgsS3HYZuahgEGt0P8XNLQvwcEM4M07uYa2AfpNE2rXdhgt/GQCrYaDsAWOtqdZG/qIXuQ0S3OrTy22N/Wgk5ZfOZbaj7mQYP1MJnOyj0sdqf4Bv1QJZjh79qcJTApqjKvZkjSdpWV6xka1OZetdpXG0VBamjN2RZgCZoZ0mpLRm1G4ICpNfElIQ7ABGPZucSytMmGoJpvXQyUtjbMofvScJ1Hon3U1wFNp+Na3jwfsTecWrasBReY0Zat6CU0NBWCJq5LX706wKaDoSGU+acMCxcu7QBT7FW5s+Pify6/UCp/I23arzxo6xwC1WwgTu1rj78HxVfvBYo/591dM1pmkSL80i09dPMj6htq7tJhrxez/xhAXbFDY0GqIe0F0mppK88e9JMAdHrU1K2cDxt1didkBAKX4tASadknF+zCegEiU9v6adRp0QHuWRb7CR6m1wN/faJJrdfOEV+DU0p/X1tV4nokF32QdDI5J1+f0SDKuWYl34j2bKrpiBl2UDsl/3lqA/d0GQxTRHHUvlUqWtcTwwGvG60IXeyNIqsk7JpX9QyJPWz1ja8l3AGhunsVI522T5sewLLVHa+Ht72w0BIi9Wr3GvBqr2E7y6uGLssObV60JBDiEK53RDo+wXuMpGCOqAmkVV3S/Ii0vppYGiDKF1RpqL49YxvXQ8WzhWQ5mUVuSWxWHLFo9kl06/N6+GxMPG0+ObcklZ0MZpDOXJHEPqX5rIRf5GMPiiy+VPTqv2493bvAL21kqLsJBBSO1EqieFROV/h4jAk0m1f/l2aOgSv+Li2Xy0ZrFLHzUCfTturEqMhtfOcK5loe6h2jTb75BDCKSMx6agapKbwLqC0yBWyciNWaXLeQmB+1M04TL6gJvxP7d0seLPxFJmYso57ct2URnc9+BO8MdnPbPV27VS21IH9jdL3VZQZaX5WWyrREpew7rxaKantQg07hgbhcu49y7QQKFQlKnBpy799+pOqLV+Q5cUv2r3wTmueZ5v906L/iTQtzAS/cvCn/Wsqjk9KvdV5iAwq8yGVqB/96Nb2YRakShWdmEITmSX7g6jip1EGBCg/zSEDui2az0pP4pMyZwRYzdqpss0ssifZFRr/XRNTGaF6hLwNpHnULflJLji44yAHdO1G5bXhszKK/KdOwwQaa+SIs2U1uSRdwcW7PVtfaP6na+IP+9mDGOucFFAqtvJ1vHXHdl7w08VDSp5ckYWEbJq3iogRrQhKVwwRkyR6LfqkDNPNXr/d7J/JEi2pkVziWDNgahdKT2ZG9Uq7oAy4UTcVh5m0gxXTWitexbbKs0OJnWcfClr/b6UaspLb+YUUFnHU4DkLbKAA0pF1WUCC0VD3JUbrJNpo/bsk1CAC2STsjPofq1yZrvCTqzHpI9Pntnpw9YL0segN1rozdDxzcaRyvlGvK2dl+v7p+aWI0+n+ZcjY/5tDn6UFcW+2paecLpRzyO/A55DG84F+hvunWZWgI8+LOMsV37bOP3CZB5SQ70GAQQLakD8aCaQETUB/MpUnBlgJqPhSNYfNYKGVtkDlef9X5z0P/1UlABSQzqL1oV+WiFVlTAg9TXfaNsYsa+oiPHqpfkmaLIqtOIyrgf1h2l2AzlhqN5uBoijFOUSjTPjpcxyVTVOojenOaAbZ/0lLb1TmH7eLh8tapRl6lbkPWaNoVpz+7rBKTJJZhjzCdi23lXkmflcREVZK5b8n0ierck7XNko2FRGvTgaiDRKz+cYQv0qY2HzSO2VWPjoADcfp/fzTMar3A/rGFee/EUNNfMM9G9nN1cpVCC7eOCGdpUUgZkoPlkWeS2ipCQWlY2pSVDfQWCy+PBKxG8khbTMKkNQ/TxJVZkUYbg8ZUpGEYio59Jrl1/x7ObzukX3aElV5xg+U3P7k53qv0iFcTZJq+iRa47EvBE3OUUcUDLcd5QfFl9QWmDJ2m5lvUG2ADscUlqUhmJCG9GyfMaFiJOj2cdqaYWLaFHxqIZ1MNK3rJaSPk8nDHrZUkLqU/5k6/unwWELqvwLCC+uMYv7sfs5xu7l/E2Z6MT8q4y/9oXyN/+FfUbT5WEw7J91IFymBbs1BFsfhItsxN5K6BacH6ZyXukoDzN2xSTlFMJXyxIh+zaXnl9E5B8KTQvw7qhCuL/4/RhvoMB5iStpmOW4MYGPBh21XtqNeToJYUTOIxOQwMKVQi3tEnkCetqV35fyQeduwy0EiWvnxSq/3XOI1mvEDFzzBIcucKLyxQ0hG7/uspiPQWxAWgsca4GK0OvyiAUeR6MOLS2G3oaOlVWyS7m1JUMFC95FJBoV6K+vLc0gLmyrtsWnbLfMGT4OA3SXOCEblLliAQmS3uVciUcHUOeyVlCymvo6pmwtiUcKlswb10S7kk89GMEyB6bjkhATuCKZ/nAR5g0AJaZKsfP4BcJG9Vff2/1zUrWrVf5OpWQNBRktLfbEgS2VI7kjDx1Ul5BzEe0iBUpWU6DmKR/ndb3lFcCogATq3RiBgOH7ZHIhxK43dc8mbpmZtvnJsK24OJs+zryt8lpkBH383rsOH5jxBIKMoW/beJLCWggps4bistsARmYOoqZEaz1JT0y/tNqqoXqCry/H3u2sex8DoDdVc71JdII92+Muu9n7Xf+SVT2ziQ7hmEvU/pXennlBi4UcRyd5VKJL0m7OFfSFg19PW6zb671kKnNQY8BWcngSH/+Ki/uGoMrqOPOB1IaVKuKT4JYWqA/11tIxYVxJRbBQ3wdttK+5TYCpldT4ZvgJcyQxkKSgjctnCeXPsAuH7XntP8v4alfMvQY+e1ktNnhUifqChiAjwffqliJEEbk15sSCN+cA6cfW1hfb+FGKvtw+sv0sEDqQ5pUnHliyE7vIYK1/svUNvSOdwKB5zgs2F/AgX+GRmJvJRGvscyvg2ttlCvFbL6EoLpxvbAB08uom+/+z9SapfMbWwMJui/MYlrvw6crzkgqDTuJWVWZqACG7JtVnPzcC1V/2f8Q4fytXWqNftXjtsegLBvZVX6scKA/dE3qITP5tlAGrLEVFhEcUlwlJlKqpxh6KtTn1pKBYIsQSKPpHkkjF7m+pKYGBKicynagYIcpq74iPQ4H691ore/CmCUR2VAB1Ybx3JG0ILpp0cAuD7+9tcthh3wP47D4VIMURan6B6VipdHDBBWqB0aU7z+956+YTxOoxdzx3+53AtKhWvzH8NnPlcuMecqHkg0flEn8xoVx99ihxnQo4DgpIUMZJNUJ/LiDAoly1+kCQnPRvGg6TV7SGtzxhz0Q+FhLNp41dGK+KDjwk+Z09uJYbe+wtMerFRGUxrtMoXJ+WZRz8Zv641xg+tJhWV2pCwH2nVe5HyeqnRKNqS+FBt2vlalNv7nfU9YxlrcLvpgIB4WfiI71smqcK3K+8kAXXu8lvKwhljYUh0WUMZdkHG6uYOxXb5LzCMM+dQ+2PzpzQgdAfpu0y4aUZFInC47yIB/vyolDEWHq4avpaFmizEbDPYS9whVAncMPqVyu8IhTIP8EADSrB81hVSZtKuSxQ256zK8/jbn8AMTJ6FcQZoC27yj4eBP3qvBZ2fKi3/a0Hp5UGn1JAgRqaxd/wnsBFBEk8BkhsM1Pncuy1e0ZVIkaw+xE8L1srTnJtAMMgC77VxFldZP2J0cV8nUaVkUl0VIL2qUT7M2vkadjdPrzWDWDMgJtygyn7z1Ta05OzIFJ5bRf1W4SLBqE0WzC715vEqaM4cM4vqz+BtpwjBqPGnVFLJCJF+O+KfpFm589+eEI+yjCmSf4BVScvLE2MqOz9qR9Km7Kw48HjuBQmaS0kFUrp6tX6QaEPqJ9HtM58Mjl4NAvctbMlnF30o+fjkzZsuezdjI2WjbpdXjSZVeP+862z6aheIBQw+wBycyAdh04XV5XlYnRexiCd64Mat+0GKBDkTgAYpfSw9VfrAxM0SdE637ZIUSdei/ju1eReXCFuKY2C7nlRcgsOzEYkwAdq2WXOjvizL0IKc9TNRaQyuwI5DeHXnavpfGe06NcUR9B8b7wT7DzJUfkSU7OunbNov2WYNlxu4xdb61qjQPOBdMADITU5/oYGKVsezxa2v1phqPWa+K87Kyiy1UF5ewK2FC6SkuRqqsTzK89Dl4p7ArbyU6T1x7P7GHd1Fas6hgH9d/H1LJnaV65NiFnyooc4CklNJQchtTxdzYVmTpoZh5xhTu9joehcvtj9bOcgx754e8mNGsE5Sdo2Onm25vAWoHZI5OrcHgs2N9X3+dk606BWbSZqAt6YFGhOQJHeQmycfLVQhcLZZcJvVbYUIojZkwoqu51YDe7luycteQ+bO/feLV2LkS8QDEUlxTFLh4VCye7TTMdhFWuuGM9iXXDmk52BQG9nMSuVEg2P+KxzG/tCLQb58GFCAmd8PdNSWnMR1XY/0Ouk4kRjfn3n0Vy60v0dUHD5Y8rgOazjTHKAxCt9A2GqYbj84htKMp7+iCiCHh5srUVA8w34LtBirfgkgY5F/mRncsb0z8aGR5cip2kkAyJsQ02u0m9tPJGKAH7AvFBwls/EDIPXykatVdkfIrXXKBYRZiYG/EBpt9Wu0T15lIvN/Xz9imiKJ/wCw+tkzO35obX6I2NvruT0aUpY//T9xgVQK2BpfmBnSSt0R/H832P7OqvFKXlkrC4qdogY6pWQp9o2Ln1RTWrLwmQcQoRf3JvoJLrI4MPorhTqNs1vL0/ux580ZdSGQdOGrz5z6fhVOfA6jFcJYIQTPrw1/lFgEjdawdnQbkhKSpH5VVb2ZrplRvuL3WtpSgBTZOjzUTQDtVtfWIgDiDAhRR/sdp0F7pW3pwCC9GPdWbthzZzWou24XRS4O1SeM4pchsIq4GxjZTUNl+GqrMb1DOY26DJvVTgwpIouBXlkx2t8lqBd7y+gn/e9IVyfSduwByxHB3la+2Fz6a8/fhaP3P0e9UNa5IitDnhE+zGqhIiVFvRdTFYxk0lJbOBN08E4fk3PlN44hdefKTXLanhaTfYFN7+aAqrkRQUDXjJkRJdeRwjhLouEELQXNsA2WIuH8tL5rkfk50f+Deb+WPqNtJFCWVs8QQJR6YuriSR+QNvzaTnY1ZZ0LhV5t1efhakDw+uPfJLAUGDrKY6kDsPB3tfPwiVcYL6ZLB29ldXInKFj9UhvdTTwYq/bPg/kJr4FIpHhhagq5Tgfo26uEfzT7BOWAdjj87G7c0krE9XaaEf6F2pFiAFt3M7huTZmIo9z3S2iP6nipn4ZcuVObHvs0DviRjwaP/mcQACdLbDBfjyulb1HRPRGaUNdxdyEuGq9OOxSaEs1NKCmGWx08kCl2hMi3ECc3WOhAPPBDy9UGvoHy48Ukw6haUAQHBAKcdyhBjdqzB8mcuFTg0JH8ReLEuj9ntzAN0eV7BavVvc2gqkO2QGUCK902Lg77HAky0BLllBZ5dVyefksbzasOQig/t0hu3emJWx92cKlArPMJv+TZC1B8OANC9sCJ9QdanyxiDoWsi4TSM8nwAGcCrwgt9JC6/KMJr8oEmRqIXwKFybfPf6wKzbGHbrUDwXWzgQi8aVK7UniTxAgmcaCYXBmvqmRxX54XXFqxldZc1ncgVZDV4GE0rCdj28nvcFslJSwDKS27qg+lVfVmIRCai0J+VYrOYgEn6O3VAKCevu5T/jgolCIwxI314ny6Rb6I2x4LCoimAxk3JXUt/97hAQJpvi/5YEeIUqNB0os+3mX+Bq5BcRStgnhjyBKARQwPkmjAGr/fqNVg00QsVIrjLUsNgnl+Y3Nr6q+bC/hBCHknOA7oUWHC/m4VtgWMF91SKR+Ij0Vs+QOXYWeK/scGvYm7OsXRQLL7WGQJKYCZNURqAAtrqmneifg3lM4GTjHpMIXx7Hkb9dh14QLcushkSt+KgT7fl9fXo5EV/47GJzsiFdS683Drfu54bL11+yUSMLB0m6GkIRO3S94FxAUTAKRwruOAebZwQeNz5SgAkRNSonfCALtHgaBWD/81HfkpL2FQyGVlma9nIfC10qiJojYQcQR/AvqGea9Y2LLP+dedmaGHlSV4bzpZcx9La5trIdl4YwBkFSqnD/PJqBsL8IBf2/khs/nfchJ/IqjQZ6+Mt9sK2IQJa2clecpxiGkspDeswYcYXslXCe3sWhedh30WNnnGUK4Pawzv937f0F2wtzSUHwqfHDvXIvOhOtTtleezoW2dH6dOeLvFAFQuztD21lobdW/vvI5VLRgBvo9DQtWsndLnTG3YXAF7UprIJ96TPPg2T0acKxdTEAFv8wIBoqZIXZEcCAxW36WpcsWGDlxO+6YYgDEKO+3Mo77Z6QurHxy7Ve1ZiH7fzuU8LtTqb3HkP1vnCsGX/nWuib90Ch6mRhqeDHpbyMXWWy4C9VJ4DqdhyV1ldav+KtVXCd9LuJJw5puxx4JCQKfOQT0q0nW/C4cGfmuJvJP5AwWKpALirABfMsdNI4uksAndVl29GZNvVOrhBIzdttCM8aLm05mQg3Zzm3ShPGIAdKINcOZTmocWOZJkO3KiltqGdQJQ4YB7exYVbKgr5ZWpo9cIwJysj+BjAzV2Ev2j/T3eFkuaUE3eh/OsDsp5YlB89dD1FgkbhUF/4Gq9IGhuYKCsmG/Qj6D2U+s1xGbmrz0HbETJ1cVHA3hUpeyIERZJ85HRsuCgi9X8UYPSoVljW4NplBveQDZcDXedmQbdO8aFJvgRZ4ME/fY6lKIFzA/SC3+sH9Yj263wrNyOsNgYUduY8tI3ABimEr/FMaHSz88PoxWOBFzBwrvywFGODJ+9rrMBZ/hdNGfxphcobtSpeK0OylnE8l82gPwRdyIBIWgX2drS9lEiuDOAxJEP6gvMG06ykXCZD60/1g6+/5ytF63B0OGbcHUjmub1aaVlghEYOuyoOShciDB6X+khpAB+8D+UsDSLax5j+wm8wWt03J6PhJkwd5LaGiNc/keJvKV/wHzwax1tcxzNSJGpejE1lzsfmrEhzKQnm2m9pIU5D/LqvrilSDGmYp9NvthdOUkBNe75G9VO6d7hmC6E6dWg1QuTUUPGWMARouVFZondZUiTyE4iuRqzpIRCgNkoL2GpQvyHCY6Q8pdND4pAGzRGjl3fTCSjJGZA5D+unGktPcNHaQQzgExTxBuE03mvuq4emRM24XYViwyG2h7U9JW3FAOovjyKpodLINVU/ltPZIVf4F1GG7XX6G2JzzIupxyGQIPj+b8SnfahckFrvHBOjCfwi311rblYaEyr+BEln+sFE88/r9NGFPmkBGPYEgPP6GXGKSI9a4hOORb4hbcKaytVJO21gN2aFTexLu8sc+mYjFHmt4IxIMDxWqL3l8n+6ZMYGPsN4o8RvZP9NFPd0FjfhQVgH7rWulFFk7uxLy39g3x3jEPn0NL4nMGV/NfYsGVnFidcNy4g662xTH6uLFWN6vU5XTvm5yjuagmzAMDEAyRG4FFnJ1z+f/pi+eT0V6abd90O5O4I/pFqkv78dWX1SXfloxC+8qPS5AX5ZQ6DSRJNzYUQ7WLAwN9ZlbQDCmz5+HSB2Yk+wQ8B/bXG2uXxxJfXECv/+sGbC+OfdnugmSIZSXKGWYYV4ImoT/fMHtIbr5J8w9/6GGfGEkMt4Vsy82eImSKqp/fE2lmVTtleCHVVgI97l4jHGVj1Adl6or6Nmas4ZVZvKEUQFVEWRQqsAxAahftn82+buxVBqNrL9m7Cq2bKysrpzaH8lvEamkDRsE/YHAhUPIJiwV9LoOon1p7LOOe6mjY4Efqf9QcZLCI8QdviYwvAHtwGHXxA5y4PTG7BCJWYmCMV2xrFqRfLap4ZbR+z5SeBIxpIrATnxj0XGoyskzoL5CsrsZa3m0d5LJcTjjWonegvyL8VO8OASZ9lFRo8qeNafZr3EKK+EwYDMJjFisp3cptrSDOCHeH2Hp+cSVNRt9XkWcapRB2k+rQd1joR0wvOFQIQDzWL2MJESn6EkOBcqEM5Q9WlgWZ2dzQDpXLWtUKkv6fp+tbbgF8UC3fdGsgpvRQm96tFmFAH+Gi3+TMRLnnoNbHIwS4yBizX9nqXWpjpjxxw7X29s29ReuPI/bkY47D+y55B0T8Av8Pq1I1YHimJ/oStwfqa3vLWPwRe1UioGSxT+Dz/NSwxZZfjKwnTq8TgGCNdXcYzIQlJvYCInKu3uQx4T3lVMaWeC5Lmg3I4bDq5PB8BL2MLp3gYiLzzwBIOcWmBkwncEJqXec/t2OGrepKH58qyQ9XSK9bUBi+8WlRG0ICWEj5/NHER2hGiZ5k8OF+0nTSQ2O9rXvB73HEynn72KlSfPJl16daSm1vqb00vZDiD1DqDX2Fb8pkYj5FyQRTCjSmPgcwqVrm7GTd9DTqYecbFlC815Ii0Ye63QZNdQM0RY+MQrYDLBxLq+u3CB2FK88EROQ6xf4uRq1SeG8nSOK7XGLUvS6Jp3t3z0qFGYSONWcpSLxQIQrRPgnyannfTIgnonv+6qNoq6AnyhkpHSwYKZ2c47F9DQ6mmlDDXnZOtimHiujNz9cm+6RrkEA+tCM/Qq6x1aWvyYM2h9nnh52nXPY7jHK8E4X/8TBqxFdeiyzDBlT7xYnzxiANITt6Zkuq1kk2OIJ3ymLC+JHOp7pYOLrwoabPnHZHPNaHcTVpx8/nU7L4yPVZKFWPRC7cMAFqWEvbxddC1C+bqufaFge2NUYjfmB36WFl/JmBxCUXnbF/M5JCjgNnFteXoW9WRXZFZM9qkFKo7ueAm3SxJ+O4nuT/jb85jYrmtmaYuT027efeNRJz3TqbpiauCyUTgokHW6tE1+v8gVT45ysiY1Kum+I3KI276qiimfsYTROrMzlJtOQrMKpjZhIGiJiQEuk3rNHKUSgPwF0uxrg8L9cKbyG1rmiKW1hF+VBmqMzH9eH6OzA1o4r9C/+KjvyfLW/8HSShNjgUDjxS4XQcICOQZlb9kqqF+aWR+PTsX0/zpyNwPt/jDlY6kvd12MyUQluDfbXqRX4afs78c7mdtyFj/4K7zJDHbWl2JPwJVo8Nkqpce4pug37akZ2tgWaCR2Y95xr4rKk1ao7vxVFksn/8ZIvltGB8VpLdrFMzgWZ4iPi8DTnZXOgxn8dBn2bt+OwCCkp6ugiCx/AU88o2o0idieygiBAbR49R0B9gwdXgq4+OMXyDXHIG6tMMLsJbwMGiJPc/ei9rgWkc82aSMqlxWzZ/GzcGN3yoRgGn+x/B9DfNcLefoZbJ0aiqcMbB5zk8INJHBZ+zKRzkcPOBNCJqNGF+BE+8sHaZbXzP7BOkOlINNjSYH4PKjtvBU1bJkrVlYz7g7xZ0QkRo3qVt6We81HS14oVsgMtLJ4JUBRNPESIJZft5kHWVN4hTTdtKUQgYuqHIOzovXKQSl/8opXJKCKS+ZFPP/iJyzL2e5PYrtP9n9W+8t1KIdxwZ482o/cL2pakPoujywlR5PU9hqZ9Fwd7BqvYUsPvjnA2Hr616w6OkR7QOLsa9Tqrkus1ucbO+/VI+wvHwgsXSX4tCVwTYoSreRxrFZwa4ApjHbvEoA9qc2n1kvCnQIuIbf3MlvWHDNNJ8AHLtUnO0LgSHTJNQOmCZ6f4BKQ/lblXkegnVwMusm/FgNu24kIJ00lmH/3EiaDR74XlN9CgD4HTZHeY7m0g2+Ykw3KWX0IJDMY41DWMM6PUGvcAWHk/sjaXdIZ+5b7Bw2X7CSsQcBChJfoflLL2uUHq6OMeX7GfVKwj5gy608GTT6neW5n+Jp+bGZTD7OjpZSmPy6xWoUGvdi31bjiBVKK/AkNOFkznRJClhecL/QpKTW8NqbmF6fdOJaJmhbHKhQ4iWgXc9wiX/vB9tK4JoIeqVC0pW7e6IL9ZEemCx08NwEvH8/dIXwxt6S62D8OYqPcvmbtaWUjHCwMkOJz4AFWTn+9WhUJALUNLIVIN8YnXDISFH2sjbm2Y4eUZCU8zR1OP5EICG2IAyurRKuTb4kdLSUNIrZPrK21JKC+GwAKQbOCcPYv3IatKKGZ5ol0HuaNT5lGV4eUv9BWssQ7d2TYzsIbtuIE2CXtKB6bBMOwwk7PVHdmfBoB1caJT7UIRQo6tUzskKu2FYX2eEtFoZqcUGZP/v4oCWC9Ru8hJkGoVDFGj36vIzjpVW04Xuo79qU8b95k/3+COdfR/PULs2lpykcONyS8kAyH/FG2jIld5yHOVHn8SiFzJR8N1+INSsQj+aZgDv1D8VcMRvr9JiPnEM2fxL9nD9c2hyM7M10tQdxR8j9QiIOFIUJS4H+MdCXZwN45SMLJfS+KXyfFmen0GrPsQmhQi41FEEAvDCl8cY7YexVt7gfx9RwvNvoe+YDFrmdsRc9oybv588XaZW2FdDJi/WYGa5AM0N/ntp8iZ6XtIsPy1xO+9B3hZjKexfeupGlHJ6bbf/CpSofaM7GNjK4E5105UeMKCg9UH5su51Cygz4V6jpNlvEb76/uCfZctlQ1aLA+YABq7RtX22oKxXrRDKC2swbd52G5XuiMDMYS01aWBLAK6+4B/WL6AX0095b2RNYRaoBmPqiZ5FLS0hXMWz/XEvNL2bYS//P+UAjgWinlV34njjmI5CzJQfjxfBTWMn7H8cAHOB6/ePZlf/RhzkQyIx3SFG4IZAeZf0z4Ev7BbvTqSKoTtKEbNUfCqPn1Kjfp32aHlUz4szssa0O1NeDTgrvHxkay3WEj9yGCzDd2SXMEY2HomyBTuWf3zJGIvKblIqbB1bIALBYP5OZB59bMVindCEHqk/1n7xyhQqU6D2a64Ey2vYMUEVIJQzfoJyZTGCykEYW/OvYbrbNMHxoDMVNM1vA9iHx6uKbkQf05r38VzwEGYN733I69OSwUTcrQHmxObL4g+nUMow2cYXCaW6EZmyaepI71tp9LZMXrSXXpcXPFhHqn9qfQIJ4udI0jPvYkQiOlxJDKdnzflyaUIUTNIaIR/zwMZQ6ub+IU8ENbDWnuoeeURo/lu67/9/ABt4Mj79z+zDCJ4032DfaMDrEpYDQgFP4h9gKsp3Ygprvn6ggJ6XKib/xNCQeNUKBWd4gnl4VaioYSsWY1loDsLq+Wu1g4iW4ooSWUI4ftCx6O5Zqd3qIywe1OmcvWcFQ65Ms5P+hip1le+nDLFbWa3MzaDMZMtxT6OL2s4/jAbi+LOR9Ggs3QqxY1Gc0S1qGGkigq0owV9cnFem/zmPMa5AvHRTahpB37Jh5IFjBr5GjNAvmqxf1/7Y9c5xkSQvTaElgMdbCPZxTEDqB290MPk0ptUrgjJdKsJaLCsgXyCcsO9To+30TE6lX6XClKb3orSWS+vUBO+eB4iDdNhXisKooOvwnY/iBIhob2ji8nUWrpYSxv+TqeApt36sEr4oMSoEe8wGFtFnQo9/ZuPRNJN3pda0rsFQkRpA7RLekJbsQlKDouwbhDg9O+l0BoWbQ7Fnf0VKpSjajHEMSBBwsp83Huw673jJQSWqRXlnYOu4VbeXvPlCmCvSDx1sa/64YTMEwFBPkDDoVrJiAE3S0Xz4i4nX2VmsAoFiVgtCuh5kEKJK2XKWwdrt6706n2I4jKrA4z6BTHBwPt+ISifpwB6a9DXQMhNKuPCUUwLqmzfjk0RKrClAmL8Pt7sRGbrqCDp/oPHNRRYIeNQIzkRs23GUlOY6RRUj2X9H5e3xcm8er/+yL73GZvPziOArsS16FNxvzRAHNSEVxYabxGgXLyBsJWAyoU9qsQNEOK5H3CFprX7x7mP5kfvo/tOboQ+rlKRysQFv4SXMbeRm1rQwntYAJpQQbE8xVbVm/UI2DjZFh/kq0rimPKpjAEY+4+klzqkCMylZ/tzI6JBMeTSlXXxklJbjNk/jjAKuLUem0kVsZ2+r7LGic2Z5J1v8YwnsG2C2oOYtSe9zgmhujZiLt3jeAJAGOYweMXyPpI88Xjing8Ie+AXkSSzGjKj+9u7ha5pJC0vmDVKkdreiWm6N0jMaYUpG+3ZdizkYhcV4FEYZfOAxqyqyHW36CA/pJ0viAlki4K0yXxcmwZpXJVqxqu5Y6qJSnKYomCBH4KADkvy9g9YBlK2rMYZT3CjkQ3lsG9dtEHVcaYJHQ16scf1/nbnHQSfO5LYnMj5n3Ag8lOuP1Z+gtH7NFWSZDrQTAxYx0/a+8gNId68bbRsOPUG0V23o5+o7RCpai4gKCebnwnQk2P9tVBrSJWE8ae1LiHZMmPK/Z4ygLzfQtz7RNsr4M47ieIfQgYU2bKURVvgUmwxKwNOpFd1DszYX3DDF9Fiu1IkVzkzJ5urTKl54Rp9wBdf866/G6nHdp2eIMIxqT2w/c5rA5vN0+LGdZ000UBDGlFZAl7gKMH/sriI13JFNcooC6I+QNbs2DjvD4+El+33Ey6OHgW9bE30WXkmiDt7sN9GXpkY8xn7sbB73QA2vt9cmgz+m24hLnjKdaU8Ep8ZhPKJjsE//MvELnwjlEIFSxYweb/CIriIS+DQXFaJvt0nHKLVKdT6Oj9l6d3UgnGqbcTOMwgQfjDjcVmUCwsetZCMMlvo5YuDPaY4mQ9H7m3c1siQoDFy+wCZCGUi6w9ilseq4+m+K/j2wJTYCUrchCnw1pqdvE0wcmBUF9QLYOMYR53v1yxJJuKgvp5h1yhzunvMuvrg+tWHqzsSHR68MLaieQZPOhFnoMB4eScX9zSBs7ay710BN/XwZG2BVRu+y+/7uGnquCeKj09w+ThQ5ADWYLjiLiGiwd1cKuPMh6l5sp4w/18aAwAltOs4dsOUrPoBpH31wfrK4ENuBPLuQ5qi1UKIYTgHXye2UPFg5pFSIusJ/k4PPdFSa2aKdhPaCuzUa4r33p4QpVaiHT1OflrPiKf2IzQqPwV9z/YGIGiuRAKdycFekFgwzLj7i++ItwyU6xuNmx1MO3GkYCV6mq4Vlj0xhUE6AGqrbJJWk6lt+6cEn/zk2daFoll8s0GQmn99lVtRxJe/ndMdUtVzz/Jo0DDqe8mxxjsY2gsPhy/dVO9rZGxTnQR1y1l5v5g+WFYdc+skdYwoGhN7KmBsqF0+ggmJteDZ0Pannvv/3gkzdufPYjIJ3X0LxOR1dYANFL0HQC1PDBzedp1Vv1k7uJGMxAO89e0vtC1WL2gdj4ManzetrvWxwTUCKNyzA8jB76PnHECQZYVJ+nfo7ObvOkyo2YL6fHAiNWGzgCMOKYcVUMrd6+DE5wGnOol/k/MS49RA6zUkdTwgGB3Yst93jLEdj55E6u170Un3WJG+ykISp6I4wRjcti46H0jksCwmCJstr+f5e5ooguhoJ7IJNLajPfJtTP2S2kWUyIP6WgVT88FapQrHqh3FqNJ2kYB4jCOUPsUWgxZAebXaNYnaF//Pcf+GWlBsl5b7MuLddjAcWuKwZPwuNh8b6bIe4FXE2VoM2AKv8Lmk++8/k4oB84hsDfQyaizsQwpNA/4k8WwChLa5DXwAXTu8b00118Z5B6eRR03mxFtSM5fBPt8vkl+uPMQTUGgboLtbCrYmITF5eJ3tx75aoASpaaxDLG5ymN14hTP7sOHwj9P/8qrcfjjmvMr7bvI63H+QZT8vFcBrSrp8BwOwHwvDylSa8tESg0URQO8ixkYqrso7RcVz91ReQGvJHEU6s1YFJz6/mC6eIFSU2s5D3jGJhAnA68Wduq/WUoWmNYvWtPgWC64rWyoWFuM9J4urpiICxCmDD1IeW0VBJCCbjNsW+SZb4EER9eKBIDMj0gZ51R4J28E03uZ32xgOP4Hnv1ST3KsjgEEsnCHbkrCLAAMGwxBJVgy/URd1psrz01J+JlLeWInZ/FKi4LKOJHmvtQROd89k6yAz+n/aKIgyIgqqqrVpHR7j0JHFdDKW8RtYtA6dw5qsfEOvrwJwaeCUaTA82f6tA3PnkU0s5wUlueyV4x6mYh1yWiIQid9g1uihz338rgA7woF19hb+6VnqzLplAzDc1GtXUtkUuyC6a6wTplgS21jS9ZL5l/nqL2jCKgSfOLzDQ2fN8/anufrA/wT/kC82VQJod30sCiSCIu/aFycRmu6f5MH+9go2y148OtTt7PZ6/2AcUlbmq3RUc35fkh5PF2+hvUmH0W4ueGx6peB9DCrFXO9fbs8qaqsVqmUBZqi2CyML2JM07zWKvke+20py/9IBD8wuzCIX0yM+OpGnmIFE0UBDqCwXiH3BfMCIq/nMdRBI95N3ZZw2M4P/EXBx5jgoBvCO3cln5kkfQrCreaGqYs4dNwf06KFZ/YntwUJapVtpSMYeLia2jzs/Q2y3KbO6leRYA8aqIUtMUj+cBTfSl4+ikaS3y+jlIBsgPZ0KgtmrgNmsMOJY3SlzFFtYh4zLodldkcoYwTBf4Z4BRqD501qWL0NcqA2phb/epdOlEzeciuvHLzQ7tpPvDAvdw+MMTFPi15l2l05peaxR2xDcpQYVXkenj5jK8S12xccO9avhcBs1OqZgz/xV/XgrBmpWF1dRHRcGoksyI5nJzW/sr8zr+UOqvFr9VJL/JCoAPDj7/ZUbQRRjQdH5eL87t+E2BQ5WKZVP00mo7Ye1aMyaIhsVDDhLYX8fvx6Ijx6QTQ1qgp3QVyXQQ4MsBjPDXN85eu+TNM0eVdUZdcz7whQd9uaccjlfmQDEXNIA/BOD38DG+rRjnZV0o9tjYT+giSFHwQSJAiQfcdmANH2rY9awQLGmod7ylFJqgHI+tIi855ximPDKMRhpEfe1NICVBapfO20ueEdeo9nTR72xgNs787fm6llb3Ahltz+FQQFMoe8zV2OsgnwURNx/0c8te0CsO6VXnulzw2aQzdVdQA/Ty/cuDg+Hd3W/lo/tzwwy0XlfjsMl1IjVcfxQtD9MEZA1ln3qjvSvazSOuY7u9BNJacI5gdNo2lBirh4AkbE0u0UTfeDPne0UgCH9CoUpwEkRhyWYGWeF26V1CjukGNa/9YF/BM+ralPLH6B7Sg4du3Xkqz5Z125kUIaO8JeRj5ksz7ECAgap2aCBkqhNf4A3pPzc1JB0uWmIoqyb3q+nKIp38SpvJ+36/UmLnqAU65Na1nmsuLzDDLYxqnLjJpjOegm1o6tcp/YQCVW/WHx4xUpti6HrwPpuXjRFt7uX3VeJuk0udh5oM+2UvvP2tBopo4r3B8U/1yiFfdOIC4daM16FgLjzPyMnaTlyg6ea9Xs661AAeQTYJmFKEBXQgj5oWUMfHXXQO33dteCnF4HvN1lcHQFtqWq+FzlmtYTJRDkD0/Qx089s1JJKkPDL1fxeBi5C3xaWgRGZmIZz6ZSzBBzdJ95Hg/WH+Bciqd2ohcpG2UZdcxyJamwxCvdx7oU6MCHUUeeWhXQoEMo6p4ArqSKTnLCWLaz14EXNTSP5hjyMj+aywgQoyIv1DbeelywDJE5Mnjsm7Fq0it9rlRFsO17dDw9nQh8TVvW/rHjN7p7GWevyxZxZ7w5bOTAxd0THBWrzls11FBLh26ztj8Rg6TspUtu3PdXPOKWbIJhhZjpmG6FlAMBWmv6OZyORuHiqsRvppngRQIyeWe2VoPuiix+o6UWvcnD928kBxxPUUvScyNlDscQpLPca/lUHCavZb4fT/rU30Zo5tp+hBxuptGDr5/keTnyB/MvK82u2rAY3YC3UOZ85ufoTr2UXjMw9SVFu0KqDEiZ5h6CjEtOH907PbGmhaYvOmRwYFiKATdheFKgJWTWNcySxD3uy8jM3eABhKwvJIuP2tsPJ81KsAUDOmVE2zYhoX//wcUQXx3buT89NwN3jxNOOP6WIEh8UXvcUp5i0xpVTyv0+t8Jz9WIfhVpXEYRBgd6cr9bnZ5IVyrK5JBfWfgtNXEtDNEsJiTOJM+jFVGxpNVCLpjV9jrFR8tiV7nBwltPGjnHNPTXDbsyyIaE5pH6Dx1WqvW+cOycYmyOJqVvMwQzDADkYm90WqnwOtSlUcVXo2CBBM9OgGdyXDd/G8F3rZimzTia5EMG83XerMm8Rche27M7MLaPYRHR1+mNislrKqtSJOKKd1kzH2AMl3FXQx1q9jFacpI4kpEzHxxeXJZfvIcoBlYa1Rd0yWAXUGUqDTFsLEh5yNmRbEXRDOJB1koswDzFi4WpcFlgDcbjDm7cvNU5T7tQdrKe2d5URGsCamYO4I4coKZIOJJ7ONPRAQXAdIgzQE7L/6IoES/rTNHaL1n1Hc2URrBBhmD10kaf/DvrfVhylQKZeXtFYnz0eNvzYLaP2JfPjOPu/n935+WO1g1cpqLoaI0owXu68yai0KJg7lPUA6LUdf45jW4NGxQ/36V9jYbWziKpnXburdTaEbct7KAoD/Rce6NJAu/DzHSXwtPGiHAqYYPFJN3DvCtT3HP1PUsNt6+0RyiYdfFHR3jOj5P4Mn3wxv4Sv2yGpczHNrIr6wiVpHJgqVsD080QhCxZe1iFnEtFoEFV8iV+FutObNM2y2TmrF6xgM3wy94CZjUg6tvstrdCAKgFg/hv8YNdLP3AYPr5ffvlvRqmH9hkZpG8BuVWVZuieV04dfagUZbkzhhm14OAbBlnM4dhdxwYLPyIZqvRtOGrUjEhBnv2A8++82AKn7ElSGeDAU9a2Ey6xKAI1zKqeWdr58M9fr+Vhb3PDsd09Nya3Vpo5XO9PE86Lf1thiQkhfwh/oR7UWuBWErQJbTxxigp392fDK8KTv1d4w4HPR8bJkWSi0baP/gaVe3Ngp9gy/R8SQOVpDVznI2WYax2TdUWwcKA7+Og5D6wOgMJyoEvoSq/KqZMgJWw4MVZmiQ21xMy7DdOqPZ4QIVmLNBWHaElEYMXAT4v4ZSM5Fu9/sI+lhfhRK9naqGooSUiN31EMtyfBLfCVr9rBpYzEYx58FLX8sTzTjbobtdAUuv0B+Vl6S63pw38OM7m/tJ1OyQp38ck8LPPEp58Gw0x+VlRapjZdbjUiurIwKpt5etnqic54C/6y8QoWWnEUqVaXC0AGIT8v4S9RHosY/e12DvMJIY5HtfORbCtlFTj0lKiQ1S8X6ZbZojcG28DturKIvz2MTPiwdmDLM1HpkKu5FUJUq9zanBhLwasrf/eLKR2eVur8s3DjCrs/C3HhYzxS6U6my9Z9QVOHiMb+wD44m6hhGoNnVgLOVV+RfMU5JqtQm3axtrheEE9dDtpnHtb1nsfEu/A8zoZpBXkA9GeT9Uyfwro2F8kBzC0L1gKjAItc9eY3VP2WZcXKePWk9V9nnn8TdPBGEmMrvJCc3znSkvfZviHCnSBQhOaJcgGzmrC/J2Z+FSxzKr5ncrgi4HmfI5OOah9P32OpiO6oa+5BpW2diQNQSaW2NUabm4FPzFiXy6XtFq15ZbUdKwdHquFXTb1GXKtoGTQLMtTfMIZp0Oh0PVgEiMaE7xWtMd8KT12oaVAxlF2NS0TKO/MPP5pvvO7i5Kl70NY1QvT121baprWJmXGqFMH6FFxv+MZD3jZSi1xHrVyYS4pSggKq4VsVfFbR0kr5dv9fzPlyNzwXiwwvgRysD9xkL5eXir6xu3DQwpz9ATWfMwmOnCUttpRWiVYIMrUeQ01Z1Wrm0M95pJ9T0JNTtGwUAAdL5+fFFg7ZjPlHZqIgqYwfIin2XNmXiWupXwAs44VEhryI6T8wiTHzS3KN+8s51bBUYm9Z7ux1uJQJVfB0wIyZtkUPqeS1f3jFS4VbiEyNnG+Cj3Py1mkRfC7wgm7PVO5EUd28YPn/5mQ9aFQ50WVIHRy6zqhLbIzOqVNUciZ7IYq0iuRRiY4+eH30EsrA7dFbXrtgBPOWyJlNrqui4S7ZSvU0iQ1fOGoboS+bARKm3BOMOHtVWRQ+JPQ1INwxqQ19ByCS+fhIzYWSt2060KoUg0u6X3lWtuMBVLnIZGeZudm7Nn5TyFgOuq8K2+efZlWV7o+OTI5Oh/vWMbVCJuP58EkLtsE/nahVgmWkTrD+hh7L+Vp0krvMLF3MzacnvhV2HOXA5OzIXeJ3iPSHlsoxIsH+mLEcW8Al+mTBFHBZYwcVcup7+73fCLX96tjWnzmPwlApiwV3kUIIuU+ldo9mwRs9ZOfdwTFcEMgo48yDRzDaZZhkOE66lFKQboynDTnWp2XikyU6VECYFZ2uHceXM1gnHqi2XzBBc0YUK7eVcmpcT4T0FkwNduDoeZ+rQSR2fxIa6bsEm835LgLmqg4Aawi0/YSdNnW+0YDiMi1KhAAKeEtohxhTgJWd6VXH4qgghSfO/16Vv7XT00MpMJx/K3U/0ZcU/yTbeyfjtCals36l/BH/jzdNSEBpZVjDph/iFYHRL1fYmeEODsQMt4BCtm7vhml5/V5Aun15ir4rpAdPz3qTpkmu9MKD6CbalJli5j8Zn1JMW7+kWfyzl0lzkQH1OHCg303czJQ+bxkeiBkF5kag76RPPRh6iX6KboufRfx6XeGFEBE8whcgIg78ZAdLeuMZJWlVyblYaPTrB+tkruL4rt4FgipsGZ/11cVyIF/YVBnVbxeRfpx5kOHkC6C7V8K8QfRbiYfkJ175mC2Wrsg/TM89RZdCkxnWJ3yToWKIm58InpIwncAby+7rVJNC1DkdbRYOnhAEXGKjgd37FAsQKtj9Aru4H5mJnsA4nKtJ7A4CeNKgJkM2HYPEAhAWIgqkYb22ioUzXaibn47k9Ls3EDQOCkAbXk0WxA95yQkPO6SXaX9ksgYH2SzfJDSvdLf9X/+Bk3p8DdsoozIMUMykQvRuKRKyD8aFeg2phTPEtRcxiGCTBPb/9W6H/DST0fmc+n3Up3NvLAcPkcA2vQ3ZpZfGk91mLjtUg1azNWCn5S1FwUgLsr8JUPoBM97Hx39J4OxenSvXIzIY8vy/RJZeQEYiEJqaAn22tQV9h8mFKgDD/zOEJcQAjTjFUda0CcrMphhJuTNW5iNscZmxFHT1JZJ7/HtADZcCMtg/gV67DWrN2bVNZJnvhwy6oOZvtYt62OhqPUH4Wyqt2Q+TCdSGdR5FGAk9DxshDFI4mNvxnlyos4RgehUopj2xCkYy7w0pKS/ztjOP7yF9DL43tfwUQyHmUkwS3FzBp/SNFm8pt8eMbbPgx9Xw2kZnqJDhc1VVVMr5do6fAEc9l8DCcJCBQozl35bLilZhkDE6soygKZcVqk0mj8TVrS6BMAjxiSjWfp7bBkYOMyHfn6gtF/kypDsuUuQ16o37YNzIv1hjTb88R1kv1Y0uAia8N8sXXbuSZhEtmNHmZ2zIrUqT2Zv2CunTTIegIjkEUC2XOujAvLdi7XPxJR3eGb+ZF0hq+fLu4fo2P93jfaa1JTQFSRneSjxr2ekB3FQMaonFhm/ZtEwjb9QzFBvIDoVdhL2lXBkY9oYoTWQLav7/V1xgYojbz4HjVuiDe6PVP6Ape6d8bitoX9EwP2R3V78E='
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { COMMON_PASSWORD_FILTER };
+}
@@ -0,0 +1,114 @@
+/*
+Program name: consent-terms.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.2
+Description: Versioned consent and privacy notice text shown in the Consent and
+             Parent/Guardian sections. consent.js shows this text and hashes it (SHA-256)
+             into the consent record sent with each registration; server.js hashes its
+             own copy to check that the patient accepted the current version. {clinic}
+             in a text stands for the clinic's name (clinic.js); the hash is taken
+             after it is filled in.
+
+             Any change to a text, in any language, is a new version: update version
+             and effectiveDate along with the text.
+*/
+
+const CONSENT_TERMS = [
+    {
+        id: 'privacyNotice',
+        version: '2026.10',
+        effectiveDate: '2026-10-01',
+        title: {
+            en: 'Notice of Privacy Practices',
+            es: 'Aviso de prácticas de privacidad'
+        },
+        text: {
+            en: '{clinic} uses and discloses your health information to provide your treatment, ' +
+                'to obtain payment for your care and for our health care operations. We may also share it ' +
+                'when the law requires us to. You may ask to see and get a copy of your health records, ' +
+                'ask us to correct them, ask us to limit what we use or share, ask for a list of those we ' +
+                'have shared your information with, and ask us to contact you in a different way or at a ' +
+                'different place. We will not use or share your information for marketing, or sell it, ' +
+                'without your written permission. If you believe your privacy rights have been violated, ' +
+                'you may file a complaint with us or with the U.S. Department of Health and Human Services. ' +
+                'You will not be penalized for filing a complaint.',
+            es: '{clinic} usa y divulga su información de salud para brindarle tratamiento, ' +
+                'obtener el pago de su atención y para nuestras operaciones de atención médica. También ' +
+                'podemos compartirla cuando la ley nos lo exija. Usted puede pedir ver y obtener una copia ' +
+                'de sus registros de salud, pedirnos que los corrijamos, pedirnos que limitemos lo que ' +
+                'usamos o compartimos, pedir una lista de aquellos con quienes hemos compartido su ' +
+                'información y pedirnos que nos comuniquemos con usted de otra manera o en otro lugar. No ' +
+                'usaremos ni compartiremos su información con fines de marketing, ni la venderemos, sin su ' +
+                'permiso por escrito. Si cree que se han violado sus derechos de privacidad, puede presentar ' +
+                'una queja ante nosotros o ante el Departamento de Salud y Servicios Humanos de los EE. UU. ' +
+                'No será sancionado por presentar una queja.'
+        }
+    },
+    {
+        id: 'marketing',
+        version: '2026.10',
+        effectiveDate: '2026-10-01',
+        title: {
+            en: 'Marketing Communications',
+            es: 'Comunicaciones de marketing'
+        },
+        text: {
+            en: '{clinic} may send you news, health tips and information about our services by ' +
+                'email, text message or mail. This consent is optional and does not affect your care. You ' +
+                'can withdraw it at any time by contacting us or using the unsubscribe link in any message.',
+            es: '{clinic} puede enviarle noticias, consejos de salud e información sobre nuestros ' +
+                'servicios por correo electrónico, mensaje de texto o correo postal. Este consentimiento es ' +
+                'opcional y no afecta su atención. Puede retirarlo en cualquier momento comunicándose con ' +
+                'nosotros o usando el enlace para cancelar la suscripción en cualquier mensaje.'
+        }
+    },
+    {
+        id: 'dataSharing',
+        version: '2026.10',
+        effectiveDate: '2026-10-01',
+        title: {
+            en: 'Data Sharing for Treatment',
+            es: 'Intercambio de datos para el tratamiento'
+        },
+        text: {
+            en: '{clinic} may share your health information with hospitals, laboratories, ' +
+                'pharmacies and other providers that take part in your treatment, including through ' +
+                'health information exchanges. This consent is optional; you can withdraw it in writing ' +
+                'at any time, which does not affect information already shared.',
+            es: '{clinic} puede compartir su información de salud con hospitales, laboratorios, ' +
+                'farmacias y otros proveedores que participan en su tratamiento, incluso a través de ' +
+                'redes de intercambio de información de salud. Este consentimiento es opcional; puede ' +
+                'retirarlo por escrito en cualquier momento, lo cual no afecta la información ya compartida.'
+        }
+    },
+    {
+        id: 'guardianConsent',
+        version: '2026.10',
+        effectiveDate: '2026-10-01',
+        title: {
+            en: 'Parent or Guardian Consent',
+            es: 'Consentimiento del padre, madre o tutor'
+        },
+        text: {
+            en: 'I am the parent or legal guardian of the patient named in this registration and have the ' +
+                'legal authority to consent to their registration and treatment. I give the consents and ' +
+                'acknowledgments on this form on the patient\'s behalf. The patient portal account created ' +
+                'with this registration belongs to me until the patient turns 18.',
+            es: 'Soy el padre, la madre o el tutor legal del paciente nombrado en este registro y tengo la ' +
+                'autoridad legal para dar consentimiento a su registro y tratamiento. Doy los ' +
+                'consentimientos y confirmaciones de este formulario en nombre del paciente. La cuenta del ' +
+                'portal del paciente creada con este registro me pertenece hasta que el paciente cumpla 18 años.'
+        }
+    }
+];
+
+// Get a term's text in one language with the clinic's name filled in
+function getConsentText(term, language, clinicName) {
+    return term.text[language].split('{clinic}').join(clinicName);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONSENT_TERMS, getConsentText };
+}
@@ -0,0 +1,323 @@
+/*
+Program name: consent.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.2
+Description: Consent capture for the registration form. Shows the versioned terms from
+             consent-terms.js above their checkboxes, records when each text was shown
+             and accepted, and runs the signature box (drawn with a mouse, pen or finger,
+             or typed from the signer's name). buildConsentRecord collects the versions,
+             SHA-256 hashes, timestamps and signature method sent with the registration.
+*/
+
+// Font for typed signatures; falls back to the browser's cursive font
+const SIGNATURE_FONT = 'italic 44px "Segoe Script", "Brush Script MT", cursive';
+
+let consentTermHashes = {};     // "termId:language" -> SHA-256 hex of the text shown
+let consentHashesReady = null;  // Promise that resolves once every text is hashed
+let consentPresentedAt = {};    // term id -> { language: ISO time the text was first shown }
+let consentAcceptance = {};     // term id -> { acceptedAt, language } while its box is checked
+let signatureValue = '';        // PNG data URL of the signature, '' when unsigned
+let signatureMethod = '';       // 'drawn' or 'typed'
+let signatureSignedAt = '';
+let signatureStroke = null;     // Last point of the stroke being drawn
+
+// Look up a consent term by id
+function getConsentTerm(termId) {
+    return CONSENT_TERMS.find(term => term.id === termId) || null;
+}
+
+// Get the schema field whose checkbox accepts a consent term
+function getConsentField(termId) {
+    return FORM_FIELDS.find(def => def.consent === termId) || null;
+}
+
+// Get the language a term is shown in: the page language when it has a translation
+function getConsentLanguage(term) {
+    return Object.prototype.hasOwnProperty.call(term.text, currentLanguage) ? currentLanguage : I18N_DEFAULT_LANGUAGE;
+}
+
+// SHA-256 of a text as hex; null where the browser can't hash (pages not served over HTTPS)
+async function hashConsentText(text) {
+    if (!window.crypto || !window.crypto.subtle) return null;
+
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Hash every language of every term once
+function computeConsentHashes() {
+    const jobs = [];
+    CONSENT_TERMS.forEach(term => {
+        Object.keys(term.text).forEach(language => {
+            jobs.push(hashConsentText(getConsentText(term, language, getClinicName())).then(hash => {
+                consentTermHashes[`${term.id}:${language}`] = hash;
+            }));
+        });
+    });
+    return Promise.all(jobs).catch(() => {
+        // The server hashes its own copy of the text when the page can't
+    });
+}
+
+// Show each term's title, version and text in its box, noting when it was first shown
+function renderConsentTerms() {
+    document.querySelectorAll('.consent-terms[data-terms]').forEach(box => {
+        const term = getConsentTerm(box.dataset.terms);
+        if (!term) return;
+
+        const language = getConsentLanguage(term);
+        box.innerHTML = '<h4></h4><p class="consent-version"></p><p class="consent-text"></p>';
+        box.children[0].textContent = term.title[language];
+        box.children[1].textContent = t('Version {version}, effective {date}', {
+            version: term.version,
+            date: formatDisplayDate(term.effectiveDate)
+        });
+        box.children[2].textContent = getConsentText(term, language, getClinicName());
+        box.setAttribute('aria-label', term.title[language]);
+
+        consentPresentedAt[term.id] = consentPresentedAt[term.id] || {};
+        if (!consentPresentedAt[term.id][language]) {
+            consentPresentedAt[term.id][language] = new Date().toISOString();
+        }
+    });
+}
+
+// Record the time and language a consent box is checked; unchecking withdraws it
+function handleConsentChange(event) {
+    const def = getFieldSchema(event.target.name);
+    if (!def || !def.consent) return;
+
+    if (event.target.checked) {
+        consentAcceptance[def.consent] = {
+            acceptedAt: new Date().toISOString(),
+            language: getConsentLanguage(getConsentTerm(def.consent))
+        };
+    } else {
+        delete consentAcceptance[def.consent];
+    }
+}
+
+// Get the signature as a PNG data URL, '' when unsigned
+function getSignatureValue() {
+    return signatureValue;
+}
+
+// Get the signature box
+function getSignatureCanvas() {
+    return document.getElementById('signatureCanvas');
+}
+
+// Keep what is on the signature box as the signature, and check it
+function setSignature(method) {
+    signatureValue = getSignatureCanvas().toDataURL('image/png');
+    signatureMethod = method;
+    signatureSignedAt = new Date().toISOString();
+
+    document.getElementById('signatureStatus').textContent = t(method === 'typed'
+        ? 'Signed with your typed name.' : 'Signature captured.');
+    fieldTouched.signature = true;
+    showFieldError('signature', validateSingleField('signature', signatureValue));
+}
+
+// Empty the signature box; announce is false when the form is being reset
+function clearSignature(announce) {
+    const canvas = getSignatureCanvas();
+    if (!canvas) return;
+
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    signatureValue = '';
+    signatureMethod = '';
+    signatureSignedAt = '';
+    signatureStroke = null;
+
+    document.getElementById('signatureStatus').textContent = announce ? t('Signature cleared.') : '';
+    if (fieldTouched.signature) {
+        showFieldError('signature', validateSingleField('signature', ''));
+    }
+}
+
+// Get a pointer position in signature box pixels; the box may be scaled by CSS
+function getSignaturePoint(event) {
+    const canvas = getSignatureCanvas();
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) * (canvas.width / (rect.width || canvas.width)),
+        y: (event.clientY - rect.top) * (canvas.height / (rect.height || canvas.height))
+    };
+}
+
+// Start drawing a stroke; a typed signature is replaced by the drawing
+function startSignatureStroke(event) {
+    const canvas = getSignatureCanvas();
+    if (signatureMethod === 'typed') {
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    }
+    if (canvas.setPointerCapture) canvas.setPointerCapture(event.pointerId);
+
+    signatureStroke = getSignaturePoint(event);
+    event.preventDefault();
+}
+
+// Draw the stroke to the pointer's new position
+function continueSignatureStroke(event) {
+    if (!signatureStroke) return;
+
+    const point = getSignaturePoint(event);
+    const context = getSignatureCanvas().getContext('2d');
+    context.strokeStyle = '#000';
+    context.lineWidth = 2.5;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.beginPath();
+    context.moveTo(signatureStroke.x, signatureStroke.y);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+
+    signatureStroke = point;
+    event.preventDefault();
+}
+
+// Finish a stroke and keep the drawing as the signature
+function endSignatureStroke() {
+    if (!signatureStroke) return;
+    signatureStroke = null;
+    setSignature('drawn');
+}
+
+// Sign by writing the signer's typed name in the signature box
+function signWithTypedName() {
+    const nameInput = document.querySelector('[name="signatureName"]');
+    const name = nameInput.value.trim();
+    const error = validateSingleField('signatureName', nameInput.value);
+
+    fieldTouched.signatureName = true;
+    showFieldError('signatureName', error);
+    if (error) {
+        nameInput.focus();
+        return;
+    }
+
+    const canvas = getSignatureCanvas();
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#000';
+    context.font = SIGNATURE_FONT;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(name, canvas.width / 2, canvas.height / 2, canvas.width - 20);
+    setSignature('typed');
+}
+
+// A typed signature no longer matches once the name is edited
+function handleSignatureNameInput() {
+    if (signatureMethod === 'typed') clearSignature(true);
+}
+
+// Collect the consent record sent with the registration
+async function buildConsentRecord() {
+    await consentHashesReady;
+
+    return {
+        documents: CONSENT_TERMS.map(term => {
+            const acceptance = consentAcceptance[term.id];
+            const language = acceptance ? acceptance.language : getConsentLanguage(term);
+            return {
+                id: term.id,
+                version: term.version,
+                language: language,
+                hash: consentTermHashes[`${term.id}:${language}`] || null,
+                presentedAt: (consentPresentedAt[term.id] || {})[language] || null,
+                accepted: Boolean(acceptance),
+                acceptedAt: acceptance ? acceptance.acceptedAt : null
+            };
+        }),
+        signature: {
+            method: signatureMethod,
+            signedAt: signatureSignedAt
+        }
+    };
+}
+
+// Format an ISO timestamp for the review panel
+function formatConsentTime(isoTime) {
+    return new Date(isoTime).toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Show the consent record (versions, hashes and times) in the review panel
+function fillConsentReview() {
+    const container = document.getElementById('reviewConsentRecord');
+    if (!container) return;
+
+    container.innerHTML = '<h3></h3><table class="review-table"></table>';
+    container.firstChild.textContent = t('Consent Record');
+    const table = container.lastChild;
+
+    const addRow = (label, value) => {
+        const row = document.createElement('tr');
+        row.innerHTML = '<td class="review-label"></td><td class="review-value"></td>';
+        row.children[0].textContent = label + ':';
+        row.children[1].textContent = value;
+        table.appendChild(row);
+    };
+
+    const states = getCurrentFieldStates();
+    CONSENT_TERMS.forEach(term => {
+        const acceptance = consentAcceptance[term.id];
+        const language = acceptance ? acceptance.language : getConsentLanguage(term);
+        const hash = consentTermHashes[`${term.id}:${language}`];
+        const def = getConsentField(term.id);
+        // Terms whose checkbox is hidden, such as guardian consent for adults, don't apply
+        if (def && !states[def.name].active) return;
+
+        let status = acceptance ? t('Accepted {time}', { time: formatConsentTime(acceptance.acceptedAt) })
+                                : t(def && states[def.name].required ? 'Not yet acknowledged' : 'Declined');
+        status += ' - ' + t('Version {version}', { version: term.version });
+        if (hash) status += ', SHA-256 ' + hash.slice(0, 16) + '...';
+        addRow(term.title[getConsentLanguage(term)], status);
+    });
+
+    addRow(t('Signature'), signatureValue
+        ? t(signatureMethod === 'typed' ? 'Typed by {name}, {time}' : 'Drawn by {name}, {time}', {
+            name: getFieldValue('signatureName'),
+            time: formatConsentTime(signatureSignedAt)
+        })
+        : t('(not entered)'));
+}
+
+// Forget acceptances and the signature when the form is cleared
+function resetConsent() {
+    consentAcceptance = {};
+    clearSignature(false);
+}
+
+// Initialize consent capture on page load
+function initializeConsent() {
+    if (!getSignatureCanvas()) return;
+
+    consentHashesReady = computeConsentHashes();
+    renderConsentTerms();
+
+    const form = document.getElementById('registrationForm');
+    form.addEventListener('change', handleConsentChange);
+    form.addEventListener('reset', resetConsent);
+
+    const canvas = getSignatureCanvas();
+    canvas.addEventListener('pointerdown', startSignatureStroke);
+    canvas.addEventListener('pointermove', continueSignatureStroke);
+    canvas.addEventListener('pointerup', endSignatureStroke);
+    canvas.addEventListener('pointercancel', endSignatureStroke);
+
+    document.getElementById('signTypedBtn').addEventListener('click', signWithTypedName);
+    document.getElementById('clearSignatureBtn').addEventListener('click', () => clearSignature(true));
+    document.querySelector('[name="signatureName"]').addEventListener('input', handleSignatureNameInput);
+
+    document.addEventListener('languagechange', renderConsentTerms);
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeConsent);
+} else {
+    initializeConsent();
+}
@@ -0,0 +1,181 @@
+/*
+Program name: draft.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.2
+Description: Save-and-resume drafts for the registration form. The form is autosaved
+             to localStorage as the user types. Fields marked sensitive in fields.js
+             (password, confirmPassword, socialSecurity, signature) are never saved, and
+             neither are consent checkboxes, which must be checked again so the time of
+             acceptance is recorded. List fields (allergies, medications) are saved as
+             arrays of entries. Nothing is saved in kiosk mode (kiosk.js), where the
+             next patient would be offered the last one's draft.
+*/
+
+const DRAFT_STORAGE_KEY = 'registrationDraft';
+const DRAFT_SAVE_DELAY = 500; // Milliseconds to wait after the last change before saving
+
+let draftSaveTimer = null;
+
+// Check whether a control must be left out of drafts
+function isExcludedFromDraft(name) {
+    const def = getFieldSchema(name);
+    return Boolean(def && (def.sensitive || def.consent));
+}
+
+// Read the saved draft, or null when there is none
+function loadDraft() {
+    try {
+        const saved = localStorage.getItem(DRAFT_STORAGE_KEY);
+        return saved ? JSON.parse(saved) : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Save every non-sensitive form control to localStorage
+function saveDraft() {
+    const form = document.getElementById('registrationForm');
+    if (!form) return;
+
+    const values = {};
+    Array.from(form.elements).forEach(element => {
+        if (!element.name || isExcludedFromDraft(element.name)) return;
+        // List rows are saved with their list below
+        if (element.type === 'fieldset' || element.closest('.list-field')) return;
+
+        if (element.type === 'radio') {
+            if (element.checked) values[element.name] = element.value;
+        } else if (element.type === 'checkbox') {
+            values[element.name] = element.checked;
+        } else if (element.type !== 'button' && element.type !== 'submit' && element.type !== 'reset') {
+            values[element.name] = element.value;
+        }
+    });
+    getInputFields().filter(def => def.type === 'list').forEach(def => {
+        values[def.name] = getListValue(def.name);
+    });
+
+    try {
+        localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+            savedAt: new Date().toISOString(),
+            values: values
+        }));
+    } catch (err) {
+        // Storage full or disabled - drafts are best effort
+    }
+}
+
+// Check whether the resume prompt is still waiting for an answer
+function isDraftPromptOpen() {
+    const prompt = document.getElementById('draftPrompt');
+    return Boolean(prompt && !prompt.hidden);
+}
+
+// Save shortly after the user stops typing
+function scheduleDraftSave() {
+    // Don't overwrite a saved draft the user hasn't resumed or discarded yet
+    if (isDraftPromptOpen()) return;
+
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = setTimeout(saveDraft, DRAFT_SAVE_DELAY);
+}
+
+// Remove the saved draft and any pending save
+function clearDraft() {
+    clearTimeout(draftSaveTimer);
+    try {
+        localStorage.removeItem(DRAFT_STORAGE_KEY);
+    } catch (err) {
+        // Nothing to clear
+    }
+}
+
+// Put saved values back into the form
+function restoreDraft(draft) {
+    const form = document.getElementById('registrationForm');
+    if (!form || !draft || !draft.values) return;
+
+    Object.keys(draft.values).forEach(name => {
+        if (isExcludedFromDraft(name)) return;
+
+        const value = draft.values[name];
+        if (Array.isArray(value)) {
+            setListValue(name, value);
+            return;
+        }
+        form.querySelectorAll(`[name="${name}"]`).forEach(element => {
+            if (element.type === 'radio') {
+                element.checked = element.value === value;
+            } else if (element.type === 'checkbox') {
+                element.checked = value === true;
+            } else {
+                element.value = value;
+                // Range sliders update their value display on change
+                if (element.type === 'range') {
+                    element.dispatchEvent(new Event('change'));
+                }
+            }
+        });
+    });
+
+    applyFormRules();
+}
+
+// Hide the resume prompt
+function hideDraftPrompt() {
+    const prompt = document.getElementById('draftPrompt');
+    if (prompt) prompt.hidden = true;
+}
+
+// Offer to resume a saved draft
+function showDraftPrompt(draft) {
+    const prompt = document.getElementById('draftPrompt');
+    if (!prompt) return;
+
+    const savedAt = document.getElementById('draftSavedAt');
+    if (savedAt) {
+        savedAt.textContent = new Date(draft.savedAt).toLocaleString(getLocale());
+    }
+
+    document.getElementById('resumeDraftBtn').onclick = function() {
+        restoreDraft(draft);
+        hideDraftPrompt();
+    };
+    document.getElementById('discardDraftBtn').onclick = function() {
+        clearDraft();
+        hideDraftPrompt();
+    };
+
+    prompt.hidden = false;
+}
+
+// Initialize drafts on page load
+function initializeDrafts() {
+    const form = document.getElementById('registrationForm');
+    if (!form) return;
+
+    if (isKioskMode()) {
+        clearDraft();
+        return;
+    }
+
+    const draft = loadDraft();
+    if (draft) {
+        showDraftPrompt(draft);
+    }
+
+    form.addEventListener('input', scheduleDraftSave);
+    form.addEventListener('change', scheduleDraftSave);
+    form.addEventListener('reset', function() {
+        clearDraft();
+        hideDraftPrompt();
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeDrafts);
+} else {
+    initializeDrafts();
+}
@@ -0,0 +1,89 @@
+/*
+Program name: duplicate-check.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.1
+Description: "Are you already registered?" dialog. When the registration server finds
+             a stored registration that may belong to this patient (409 with
+             possibleDuplicate), the patient can sign in to their existing account to
+             keep that registration as it is or update it with the new answers, or
+             register as a new patient instead. The server never says which registration
+             matched; only the account's User ID and password unlock it. script.js sends
+             the registration again with the decision.
+*/
+
+let duplicateDecisionResolve = null;  // Resolves the open dialog's promise
+let duplicateDialogOpener = null;     // Element that had focus when the dialog opened
+
+// Show or clear the dialog's error message
+function showDuplicateDialogError(message) {
+    const error = document.getElementById('duplicateDialogError');
+    error.textContent = message ? t(message) : '';
+    error.hidden = !message;
+}
+
+// Close the dialog with the patient's decision (null to go back to the form)
+function closeDuplicateDialog(decision) {
+    document.getElementById('duplicateDialog').hidden = true;
+    document.getElementById('duplicatePassword').value = '';
+    document.removeEventListener('keydown', handleDuplicateDialogKey);
+
+    if (duplicateDialogOpener && document.contains(duplicateDialogOpener)) {
+        duplicateDialogOpener.focus();
+    }
+    const resolve = duplicateDecisionResolve;
+    duplicateDecisionResolve = null;
+    if (resolve) resolve(decision);
+}
+
+// Close the dialog with a decision about the existing registration, signed in with its account
+function chooseDuplicateAction(action) {
+    const userId = document.getElementById('duplicateUserId').value.trim();
+    const password = document.getElementById('duplicatePassword').value;
+    if (!userId || !password) {
+        showDuplicateDialogError('Enter the User ID and password of your existing account');
+        document.getElementById(userId ? 'duplicatePassword' : 'duplicateUserId').focus();
+        return;
+    }
+    closeDuplicateDialog({ action: action, userId: userId, password: password });
+}
+
+// Escape goes back to the form
+function handleDuplicateDialogKey(event) {
+    if (event.key === 'Escape') closeDuplicateDialog(null);
+}
+
+// Ask the patient about a possible existing registration, showing the server's error from a
+// failed sign-in. Resolves to a duplicateDecision ({ action: 'confirm' | 'merge', userId,
+// password } or { action: 'continue' }), or null to go back to the form.
+function askDuplicateDecision(error) {
+    const dialog = document.getElementById('duplicateDialog');
+    if (duplicateDecisionResolve) closeDuplicateDialog(null);
+
+    showDuplicateDialogError(error);
+    if (dialog.hidden) duplicateDialogOpener = document.activeElement;
+    dialog.hidden = false;
+    document.addEventListener('keydown', handleDuplicateDialogKey);
+    document.getElementById(error ? 'duplicatePassword' : 'duplicateDialogTitle').focus();
+
+    return new Promise(resolve => {
+        duplicateDecisionResolve = resolve;
+    });
+}
+
+// Initialize the dialog's buttons on page load
+function initializeDuplicateCheck() {
+    if (!document.getElementById('duplicateDialog')) return;
+
+    document.getElementById('duplicateConfirmBtn').addEventListener('click', () => chooseDuplicateAction('confirm'));
+    document.getElementById('duplicateMergeBtn').addEventListener('click', () => chooseDuplicateAction('merge'));
+    document.getElementById('duplicateContinueBtn').addEventListener('click', () => closeDuplicateDialog({ action: 'continue' }));
+    document.getElementById('duplicateCancelBtn').addEventListener('click', () => closeDuplicateDialog(null));
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeDuplicateCheck);
+} else {
+    initializeDuplicateCheck();
+}
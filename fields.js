@@ -0,0 +1,445 @@
+/*
+Program name: fields.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 2.0
+Description: Declarative field schema, medical condition list and conditional field
+             rules for the patient registration form. Every validation, review and
+             submit path in script.js reads from here. clinic.js adjusts them for
+             the clinic the form is for.
+*/
+
+// Form sections, in the order they appear on the page
+const FORM_SECTIONS = [
+    { id: 'personal', title: 'Personal Information' },
+    { id: 'guardian', title: 'Parent/Guardian Information' },
+    { id: 'contact', title: 'Contact Information' },
+    { id: 'medical', title: 'Medical History' },
+    { id: 'insurance', title: 'Insurance & Healthcare Provider Information' },
+    { id: 'account', title: 'Account Setup Information' },
+    { id: 'consent', title: 'Consent & Agreements' }
+];
+
+// Age in years at which patients register and consent for themselves; younger patients
+// need a parent or guardian (see FORM_RULES)
+const ADULT_AGE = 18;
+
+/*
+Medical conditions offered as checkboxes in the Medical History section, in display
+order. id is the checkbox id and name; label is the English name stored in
+medicalConditions; code and display are the SNOMED CT concept used by interop.js.
+A clinic's own list in clinics.json replaces this one (see clinic.js).
+*/
+const MEDICAL_CONDITIONS = [
+    { id: 'hasChickenPox', label: 'Chicken Pox', code: '38907003', display: 'Varicella' },
+    { id: 'hasMeasles', label: 'Measles', code: '14189004', display: 'Measles' },
+    { id: 'hasCovid19', label: 'COVID-19', code: '840539006', display: 'Disease caused by severe acute respiratory syndrome coronavirus 2' },
+    { id: 'hasSmallPox', label: 'Small Pox', code: '67924001', display: 'Smallpox' },
+    { id: 'hasTetanus', label: 'Tetanus', code: '76902006', display: 'Tetanus' },
+    { id: 'hasAllergies', label: 'Allergies', code: '609328004', display: 'Allergic disposition' },
+    { id: 'hasDiabetes', label: 'Diabetes', code: '73211009', display: 'Diabetes mellitus' },
+    { id: 'hasHeartDisease', label: 'Heart Disease', code: '56265001', display: 'Heart disease' }
+];
+
+/*
+Field definitions. Supported keys:
+  name            - form control name (also used for error-* / review-* / status-* ids)
+  section         - id from FORM_SECTIONS
+  label           - label shown in the review panel and submit errors
+  reviewLabel     - review panel label when it differs from label
+  type            - 'radio', 'checkbox', 'range', 'list', 'signature' or 'image' when not
+                    a plain text control
+  virtual         - true when the value is computed instead of read from one control
+  required        - value must be entered (checkboxes must be checked)
+  requiredMessage - error shown when a required value is missing
+  minLength       - minimum length when a value is entered
+  maxLength       - maximum length when a value is entered
+  pattern         - regular expression the entered value must match
+  message         - error shown when a length, pattern, options or min/max check fails
+  matches         - name of another field this value must equal
+  rule            - name of a cross-field rule in validation.js (FIELD_RULES)
+  mask            - text shown in the review panel instead of the value
+  lowercase       - show the value lowercased in the review panel
+  format          - 'date' to show the value as a localized date in the review panel
+  showAge         - show the age computed from this date in the review panel
+  exportLast4     - show only the last 4 characters in exported summaries
+  sensitive       - never written to saved drafts (draft.js)
+  options         - values a select control or radio group allows
+  min, max        - lowest and highest whole number a range control allows
+  consent         - id of the CONSENT_TERMS entry a checkbox accepts (consent-terms.js);
+                    consent checkboxes are left out of saved drafts so every acceptance is
+                    recorded when it happens
+List fields hold an array of entries ({ itemName: value }) edited in repeatable rows
+(medical-history.js). They also support:
+  items           - definitions of the fields in each entry, using the keys above
+  itemLabel       - name of one entry, numbered in error messages ("Allergy 2")
+  maxItems        - maximum number of entries
+Signature fields hold the drawn or typed signature as a PNG data URL (consent.js).
+Image fields hold a photo as a JPEG data URL (insurance.js).
+*/
+const FORM_FIELDS = [
+    // Personal Information
+    {
+        name: 'firstName', section: 'personal', label: 'First Name', required: true,
+        pattern: /^[A-Za-z'\-]{1,30}$/,
+        message: 'Enter 1-30 characters, letters, apostrophes, and dashes only'
+    },
+    {
+        name: 'middleInitial', section: 'personal', label: 'Middle Initial',
+        pattern: /^[A-Za-z]?$/,
+        message: 'Enter single letter only'
+    },
+    {
+        name: 'lastName', section: 'personal', label: 'Last Name', required: true,
+        pattern: /^[A-Za-z'\-\s0-9]{1,30}$/,
+        message: 'Enter 1-30 characters, letters, apostrophes, dashes, spaces, and numbers allowed'
+    },
+    {
+        name: 'dateOfBirth', section: 'personal', label: 'Date of Birth', required: true,
+        rule: 'dateOfBirth',
+        format: 'date',
+        showAge: true
+    },
+    {
+        name: 'socialSecurity', section: 'personal', label: 'Social Security', required: true,
+        pattern: /^\d{9}$/,
+        message: 'Must be exactly 9 digits',
+        rule: 'socialSecurity',
+        mask: '***-**-****',
+        exportLast4: true,
+        sensitive: true
+    },
+    {
+        name: 'gender', section: 'personal', label: 'Gender', type: 'radio', required: true,
+        options: ['Male', 'Female', 'Other'],
+        requiredMessage: 'Required field - please select an option',
+        message: 'Please select one of the listed options'
+    },
+    {
+        name: 'preferredLanguage', section: 'personal', label: 'Preferred Language', type: 'radio',
+        options: ['English', 'Spanish', 'Other'],
+        message: 'Please select one of the listed options'
+    },
+
+    // Parent/Guardian Information (shown for patients under ADULT_AGE)
+    {
+        name: 'guardianName', section: 'guardian', label: 'Parent/Guardian Full Name',
+        pattern: /^[A-Za-z'\-\s.]{2,60}$/,
+        message: 'Enter 2-60 characters, letters, spaces, apostrophes, periods and dashes only'
+    },
+    {
+        name: 'guardianRelationship', section: 'guardian', label: 'Relationship to Patient',
+        options: ['Parent', 'Legal Guardian', 'Grandparent', 'Foster Parent', 'Other Relative'],
+        requiredMessage: 'Please select a relationship',
+        message: 'Please select a relationship'
+    },
+    {
+        name: 'guardianPhone', section: 'guardian', label: 'Parent/Guardian Phone',
+        pattern: /^\+[1-9]\d{6,14}(;ext=\d{1,6})?$/,
+        message: 'Enter a valid phone number',
+        rule: 'phone'
+    },
+    {
+        name: 'guardianConsent', section: 'guardian', label: 'Parent/Guardian Consent', type: 'checkbox',
+        consent: 'guardianConsent',
+        requiredMessage: 'A parent or guardian must give consent for a patient under 18'
+    },
+
+    // Contact Information
+    {
+        name: 'addressLine1', section: 'contact', label: 'Address Line 1', required: true,
+        minLength: 2, maxLength: 30,
+        message: 'Enter 2-30 characters'
+    },
+    {
+        name: 'addressLine2', section: 'contact', label: 'Address Line 2',
+        minLength: 2, maxLength: 30,
+        message: 'Must be 2-30 characters if entered'
+    },
+    {
+        name: 'city', section: 'contact', label: 'City', required: true,
+        pattern: /^[A-Za-z\s]{2,30}$/,
+        message: 'Enter 2-30 characters, letters and spaces only'
+    },
+    {
+        name: 'state', section: 'contact', label: 'State', required: true,
+        requiredMessage: 'Please select a state'
+    },
+    {
+        name: 'zipCode', section: 'contact', label: 'Zip Code', required: true,
+        pattern: /^\d{5}(-\d{4})?$/,
+        message: 'Must be 5 digits or ZIP+4 (12345-6789)',
+        rule: 'zipCode'
+    },
+    {
+        name: 'emailAddress', section: 'contact', label: 'Email Address', required: true,
+        pattern: /^[a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,}$/,
+        message: 'Enter valid email: name@domain.tld'
+    },
+    {
+        name: 'phoneNumber', section: 'contact', label: 'Phone Number', required: true,
+        pattern: /^\+[1-9]\d{6,14}(;ext=\d{1,6})?$/,
+        message: 'Enter a valid phone number',
+        rule: 'phone'
+    },
+    {
+        name: 'emergencyContact', section: 'contact', label: 'Emergency Contact Name',
+        pattern: /^[A-Za-z\s]*$/,
+        message: 'Letters and spaces only'
+    },
+    {
+        name: 'emergencyPhone', section: 'contact', label: 'Emergency Phone',
+        pattern: /^\+[1-9]\d{6,14}(;ext=\d{1,6})?$/,
+        message: 'Enter a valid phone number',
+        rule: 'phone'
+    },
+    {
+        name: 'preferredContactMethod', section: 'contact', label: 'Preferred Contact Method', type: 'radio',
+        required: true,
+        options: ['Phone', 'Email', 'Mail'],
+        requiredMessage: 'Required field - please select an option',
+        message: 'Please select one of the listed options'
+    },
+
+    // Medical History
+    { name: 'medicalConditions', section: 'medical', label: 'Medical Conditions', virtual: true },
+    {
+        name: 'conditionDetails', section: 'medical', label: 'Condition Onset Dates', type: 'list',
+        itemLabel: 'Condition',
+        items: [
+            {
+                name: 'condition', label: 'Condition', required: true,
+                options: MEDICAL_CONDITIONS.map(condition => condition.label),
+                message: 'Unknown condition',
+                rule: 'checkedCondition'
+            },
+            {
+                name: 'onsetDate', label: 'Onset Date',
+                pattern: /^\d{4}-\d{2}-\d{2}$/,
+                message: 'Enter a valid date',
+                rule: 'onsetDate',
+                format: 'date'
+            }
+        ]
+    },
+    {
+        name: 'allergies', section: 'medical', label: 'Allergies', type: 'list',
+        requiredMessage: 'Add at least one allergy',
+        itemLabel: 'Allergy', maxItems: 20,
+        items: [
+            {
+                name: 'allergen', label: 'Allergen', required: true,
+                pattern: /^[A-Za-z0-9\s.,'\/()\-]{1,50}$/,
+                message: "Enter 1-50 characters: letters, numbers, spaces and . , ' / ( ) -"
+            },
+            {
+                name: 'reaction', label: 'Reaction',
+                maxLength: 100, pattern: /^[A-Za-z0-9\s.,'\/()\-]*$/,
+                message: "Up to 100 characters: letters, numbers, spaces and . , ' / ( ) -"
+            },
+            {
+                name: 'severity', label: 'Severity', required: true,
+                options: ['Mild', 'Moderate', 'Severe'],
+                requiredMessage: 'Please select a severity',
+                message: 'Please select a severity'
+            }
+        ]
+    },
+    {
+        name: 'medications', section: 'medical', label: 'Current Medications', type: 'list',
+        itemLabel: 'Medication', maxItems: 20,
+        items: [
+            {
+                name: 'name', label: 'Medication', required: true,
+                pattern: /^[A-Za-z0-9\s.,'\/()\-]{1,50}$/,
+                message: "Enter 1-50 characters: letters, numbers, spaces and . , ' / ( ) -"
+            },
+            {
+                name: 'dose', label: 'Dose',
+                maxLength: 30, pattern: /^[A-Za-z0-9\s.,\/%\-]*$/,
+                message: 'Up to 30 characters: letters, numbers, spaces and . , / % -'
+            },
+            {
+                name: 'frequency', label: 'Frequency',
+                maxLength: 30, pattern: /^[A-Za-z0-9\s.,\/\-]*$/,
+                message: 'Up to 30 characters: letters, numbers, spaces and . , / -'
+            }
+        ]
+    },
+    {
+        name: 'isVaccinated', section: 'medical', label: 'Vaccinated', type: 'radio', required: true,
+        options: ['Yes', 'No'],
+        requiredMessage: 'Required field - please select an option',
+        message: 'Please select one of the listed options'
+    },
+    {
+        name: 'hasInsurance', section: 'medical', label: 'Has Insurance', type: 'radio', required: true,
+        options: ['Yes', 'No', 'Not Sure'],
+        requiredMessage: 'Required field - please select an option',
+        message: 'Please select one of the listed options'
+    },
+    {
+        name: 'currentSymptoms', section: 'medical', label: 'Current Symptoms',
+        maxLength: 500,
+        message: 'Maximum 500 characters'
+    },
+    {
+        name: 'healthRating', section: 'medical', label: 'Health Rating', type: 'range', required: true,
+        min: 1, max: 10,
+        message: 'Select a value from 1 to 10'
+    },
+    {
+        name: 'painLevel', section: 'medical', label: 'Pain Level', type: 'range',
+        min: 0, max: 10,
+        message: 'Select a value from 0 to 10'
+    },
+
+    // Insurance & Healthcare Provider Information
+    {
+        name: 'insuranceProvider', section: 'insurance', label: 'Insurance Provider',
+        rule: 'payer'
+    },
+    {
+        name: 'otherInsuranceProvider', section: 'insurance', label: 'Other Insurance Provider',
+        maxLength: 30, pattern: /^[A-Za-z\s]*$/,
+        message: 'Letters and spaces only'
+    },
+    {
+        name: 'policyNumber', section: 'insurance', label: 'Policy Number',
+        maxLength: 20, pattern: /^[A-Za-z0-9]*$/,
+        message: 'Alphanumeric characters only',
+        rule: 'memberId'
+    },
+    {
+        name: 'insuranceCardFront', section: 'insurance', label: 'Insurance Card (Front)', type: 'image',
+        rule: 'cardImage', sensitive: true
+    },
+    {
+        name: 'insuranceCardBack', section: 'insurance', label: 'Insurance Card (Back)', type: 'image',
+        rule: 'cardImage', sensitive: true
+    },
+    {
+        name: 'physicianName', section: 'insurance', label: 'Primary Physician Name',
+        maxLength: 50, pattern: /^[A-Za-z\s]*$/,
+        message: 'Letters and spaces only'
+    },
+    {
+        name: 'pharmacyName', section: 'insurance', label: 'Preferred Pharmacy',
+        maxLength: 50, pattern: /^[A-Za-z\s]*$/,
+        message: 'Letters and spaces only'
+    },
+
+    // Account Setup Information
+    {
+        name: 'desiredUserID', section: 'account', label: 'User ID', required: true,
+        reviewLabel: 'User ID (will be converted to lowercase)',
+        pattern: /^[A-Za-z_\-][A-Za-z0-9_\-]{4,29}$/,
+        message: '5-30 characters, letters, numbers, underscore, dash - first character cannot be a number',
+        lowercase: true
+    },
+    {
+        name: 'password', section: 'account', label: 'Password', required: true,
+        rule: 'password',
+        mask: '********',
+        sensitive: true
+    },
+    {
+        name: 'confirmPassword', section: 'account', label: 'Confirm Password', required: true,
+        matches: 'password',
+        message: 'Passwords do not match',
+        mask: '********',
+        sensitive: true
+    },
+
+    // Consent & Agreements
+    {
+        name: 'privacyAcknowledgment', section: 'consent', label: 'Privacy Notice Acknowledgment',
+        type: 'checkbox', required: true, consent: 'privacyNotice',
+        requiredMessage: 'You must acknowledge the Notice of Privacy Practices'
+    },
+    {
+        name: 'consentMarketing', section: 'consent', label: 'Marketing Consent', type: 'checkbox',
+        consent: 'marketing'
+    },
+    {
+        name: 'consentDataSharing', section: 'consent', label: 'Data Sharing Consent', type: 'checkbox',
+        consent: 'dataSharing'
+    },
+    {
+        name: 'signatureName', section: 'consent', label: 'Signer Name', required: true,
+        pattern: /^[A-Za-z'\-\s.]{2,60}$/,
+        message: 'Enter 2-60 characters, letters, spaces, apostrophes, periods and dashes only',
+        rule: 'signatureName'
+    },
+    {
+        name: 'signature', section: 'consent', label: 'Signature', type: 'signature', required: true,
+        requiredMessage: 'Please sign in the signature box',
+        rule: 'signature',
+        sensitive: true
+    }
+];
+
+/*
+Conditional rules for fields that depend on other answers. Each rule has:
+  when    - condition: { field, equals }, { field, in: [values] }, { field, filled: true },
+            { field, includes } for a comma-separated value such as medicalConditions, or
+            { field, ageUnder } for a date of birth less than ageUnder years ago;
+            without a condition the rule always applies (clinic.js hides the fields a
+            clinic leaves out this way)
+  require - fields that become required while the condition holds
+  hide    - fields hidden (and not validated or submitted) while the condition holds
+  show    - fields hidden unless the condition holds
+  disable - fields disabled (and not validated or submitted) while the condition holds
+Evaluated by getFieldStates in validation.js and applied to the page by applyFormRules
+in script.js.
+*/
+const FORM_RULES = [
+    {
+        when: { field: 'hasInsurance', equals: 'Yes' },
+        require: ['insuranceProvider', 'policyNumber']
+    },
+    {
+        when: { field: 'hasInsurance', equals: 'No' },
+        hide: ['insuranceProvider', 'otherInsuranceProvider', 'policyNumber', 'insuranceCardFront', 'insuranceCardBack']
+    },
+    {
+        when: { field: 'insuranceProvider', equals: 'Other' },
+        show: ['otherInsuranceProvider'],
+        require: ['otherInsuranceProvider']
+    },
+    {
+        when: { field: 'preferredContactMethod', equals: 'Mail' },
+        require: ['addressLine1', 'city', 'state', 'zipCode']
+    },
+    {
+        when: { field: 'preferredContactMethod', equals: 'Email' },
+        require: ['emailAddress']
+    },
+    {
+        when: { field: 'preferredContactMethod', equals: 'Phone' },
+        require: ['phoneNumber']
+    },
+    {
+        when: { field: 'emergencyPhone', filled: true },
+        require: ['emergencyContact']
+    },
+    {
+        when: { field: 'emergencyContact', filled: true },
+        require: ['emergencyPhone']
+    },
+    {
+        when: { field: 'medicalConditions', includes: 'Allergies' },
+        show: ['allergies'],
+        require: ['allergies']
+    },
+    {
+        when: { field: 'dateOfBirth', ageUnder: ADULT_AGE },
+        show: ['guardianName', 'guardianRelationship', 'guardianPhone', 'guardianConsent'],
+        require: ['guardianName', 'guardianRelationship', 'guardianPhone', 'guardianConsent']
+    }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FORM_SECTIONS, ADULT_AGE, MEDICAL_CONDITIONS, FORM_FIELDS, FORM_RULES };
+}
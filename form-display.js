@@ -0,0 +1,57 @@
+/*
+Program name: form-display.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.0
+Description: Display helpers shared by the registration form (script.js), the thank-you
+             page and the admin page: the fields of each form section and how a stored
+             value is shown. Needs fields.js, i18n.js and validation.js; the pages without
+             a form load it instead of script.js, so they don't download or run the form.
+*/
+
+// sessionStorage: the server's confirmation of the registration, shown on thankyou.html
+const CONFIRMATION_STORAGE_KEY = 'registrationConfirmation';
+
+// Get schema fields belonging to a form section
+function getSectionFields(sectionId) {
+    return FORM_FIELDS.filter(def => def.section === sectionId);
+}
+
+// Check whether a section has any field that isn't hidden by FORM_RULES (the guardian
+// section only applies to minors); states come from RegistrationValidation.getFieldStates
+function isSectionActive(sectionId, states) {
+    return getSectionFields(sectionId).some(def => !states[def.name].hidden);
+}
+
+// Format a list field's entries for the review panel: "Peanuts (Hives, Severe); Dust (Mild)"
+function formatListValue(def, items) {
+    return items.map(item => {
+        const values = def.items
+            .filter(itemDef => item[itemDef.name])
+            .map(itemDef => {
+                const value = item[itemDef.name];
+                if (itemDef.format === 'date') return formatDisplayDate(value);
+                return itemDef.options ? t(value) : value;
+            });
+        return values.length > 1 ? `${values[0]} (${values.slice(1).join(', ')})` : values.join('');
+    }).join('; ');
+}
+
+// Format a field's value for display (the review panel and the thank-you page summary)
+function formatFieldValue(def, value) {
+    if (!value || value.length === 0) return t('(not entered)');
+    if (def.type === 'list') return formatListValue(def, value);
+    if (def.type === 'signature') return t('Signed');
+    if (def.type === 'image') return t('Photo attached');
+    if (def.mask) return def.mask;
+    if (def.lowercase) return value.toLowerCase();
+    if (def.format === 'date') {
+        const age = def.showAge ? RegistrationValidation.getAge(value) : null;
+        return age === null ? formatDisplayDate(value) : t('{date} (age {age})', { date: formatDisplayDate(value), age: age });
+    }
+
+    // Choice values and condition names are fixed English text
+    if (def.type || def.virtual || def.options) return value.split(', ').map(part => t(part)).join(', ');
+    return value;
+}
@@ -0,0 +1,686 @@
+/*
+Program name: i18n.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.2
+Description: Internationalization for the registration pages. English is the source
+             language: catalogs map the English text to its translation, the same way
+             gettext catalogs do. The language follows ?lang= in the URL or the
+             preferredLanguage field, and can be switched at runtime.
+*/
+
+// Supported languages
+const I18N_LANGUAGES = {
+    en: { locale: 'en-US', fieldValue: 'English' },
+    es: { locale: 'es-US', fieldValue: 'Spanish' }
+};
+
+const I18N_DEFAULT_LANGUAGE = 'en';
+const I18N_STORAGE_KEY = 'registrationLanguage';
+
+// Message catalogs, keyed by the English text. Placeholders look like {name}.
+const I18N_CATALOGS = {
+    es: {
+        // Page text
+        'Mark Health care - Patient Registration': 'Mark Health care - Registro de pacientes',
+        'Mark Health care - Registration Complete': 'Mark Health care - Registro completo',
+        'Mark Health care Logo': 'Logotipo de Mark Health care',
+        '{clinic} - Patient Registration': '{clinic} - Registro de pacientes',
+        '{clinic} - Registration Complete': '{clinic} - Registro completo',
+        '{clinic} - Registrations Admin': '{clinic} - Administración de registros',
+        '{clinic} Logo': 'Logotipo de {clinic}',
+        'New Patient Registration Form': 'Formulario de registro de nuevo paciente',
+        'Please fill out all required fields marked with an asterisk (*)': 'Complete todos los campos obligatorios marcados con un asterisco (*)',
+        'Resume your saved registration?': '¿Desea continuar con su registro guardado?',
+        'Saved registration': 'Registro guardado',
+        'Last saved': 'Guardado por última vez',
+        'Password and Social Security number are never saved and must be entered again.': 'La contraseña y el número de Seguro Social nunca se guardan y deben ingresarse de nuevo.',
+        'RESUME': 'CONTINUAR',
+        'DISCARD': 'DESCARTAR',
+        'STEP-BY-STEP MODE': 'MODO PASO A PASO',
+        'SHOW FULL FORM': 'MOSTRAR FORMULARIO COMPLETO',
+        'BACK': 'ATRÁS',
+        'NEXT': 'SIGUIENTE',
+        'Step {step} of {total}: {title}': 'Paso {step} de {total}: {title}',
+        'Review': 'Revisión',
+        'CLEAR AND START OVER': 'BORRAR Y EMPEZAR DE NUEVO',
+        'VALIDATE': 'VALIDAR',
+        'REVIEW': 'REVISAR',
+        'Submit Registration': 'Enviar registro',
+        'Form Review': 'Revisión del formulario',
+        'Close Review': 'Cerrar revisión',
+        'CONTACT US': 'CONTÁCTENOS',
+        'Are you sure you want to clear all form data and start over?': '¿Está seguro de que desea borrar todos los datos del formulario y empezar de nuevo?',
+
+        // Summary export
+        'Print Summary': 'Imprimir resumen',
+        'Download PDF': 'Descargar PDF',
+        'Print': 'Imprimir',
+        'Registration Summary': 'Resumen del registro',
+        'Generated: {date}': 'Generado: {date}',
+        'Patient or Guardian Signature': 'Firma del paciente o tutor',
+        'Staff Signature': 'Firma del personal',
+        'Date': 'Fecha',
+        'Page {page} of {total}': 'Página {page} de {total}',
+        'Please allow pop-ups to print the summary.': 'Permita las ventanas emergentes para imprimir el resumen.',
+        'Download FHIR': 'Descargar FHIR',
+        'Download HL7': 'Descargar HL7',
+        'The export could not be created:': 'No se pudo crear la exportación:',
+
+        // Thank you page
+        'Thank You for Your Submission!': '¡Gracias por su envío!',
+        'Your patient registration has been successfully received.': 'Hemos recibido su registro de paciente correctamente.',
+        'We will review your information and contact you shortly to confirm your account setup.': 'Revisaremos su información y nos comunicaremos con usted pronto para confirmar la configuración de su cuenta.',
+        'Register Another Patient': 'Registrar a otro paciente',
+        'Queued:': 'En cola:',
+        'this device is offline, so your registration is saved securely on it.': 'este dispositivo no tiene conexión, por lo que su registro se guardó de forma segura en él.',
+        'It will be sent automatically as soon as the connection returns. You don\'t need to fill out the form again.': 'Se enviará automáticamente en cuanto vuelva la conexión. No necesita llenar el formulario de nuevo.',
+        'Not sent:': 'No enviado:',
+        'your registration was saved while offline, but the server could not accept it.': 'su registro se guardó sin conexión, pero el servidor no pudo aceptarlo.',
+        'Please let the front desk know so they can finish your registration.': 'Avise en la recepción para que puedan completar su registro.',
+        'This screen will return to the start in 30 seconds.': 'Esta pantalla volverá al inicio en 30 segundos.',
+        'Thank you, {name}!': '¡Gracias, {name}!',
+        'Confirmation number:': 'Número de confirmación:',
+        'Next step: schedule your first appointment': 'Próximo paso: programe su primera cita',
+        'Our front desk will contact you by {date} to schedule your first appointment.': 'Nuestra recepción se comunicará con usted a más tardar el {date} para programar su primera cita.',
+        'Our front desk will contact you by {method} by {date} to schedule your first appointment.': 'Nuestra recepción se comunicará con usted por {method} a más tardar el {date} para programar su primera cita.',
+        'If you haven\'t heard from us by then, please call the front desk with your confirmation number.': 'Si no sabe de nosotros para entonces, llame a la recepción y dé su número de confirmación.',
+        'Add Reminder to Calendar (.ics)': 'Agregar recordatorio al calendario (.ics)',
+        'Download Summary (PDF)': 'Descargar resumen (PDF)',
+        'Confirmation number: {number}': 'Número de confirmación: {number}',
+        'Schedule your first appointment at {clinic}': 'Programe su primera cita en {clinic}',
+        'Confirmation': 'Confirmación',
+        'Confirmation Number': 'Número de confirmación',
+        'Registered': 'Registrado',
+
+        // Insurance provider and card photos
+        'Other (not listed)': 'Otra (no aparece en la lista)',
+        'Other Insurance Provider': 'Otra compañía de seguros',
+        'Select an insurance provider from the list': 'Seleccione una compañía de seguros de la lista',
+        'Does not match the member ID format of the selected insurance provider': 'No coincide con el formato del número de miembro de la compañía de seguros seleccionada',
+        'Member ID format: {format}, for example {example}': 'Formato del número de miembro: {format}, por ejemplo {example}',
+        'Add photos of the front and back of your insurance card for the front desk, and type the provider and policy number below.': 'Agregue fotos del frente y del reverso de su tarjeta de seguro para la recepción, y escriba abajo la compañía de seguros y el número de póliza.',
+        'This browser can read your card, so we\'ll fill in the provider and policy number from it for you to check.': 'Este navegador puede leer su tarjeta, así que completaremos la compañía y el número de póliza a partir de ella para que usted los revise.',
+        'Insurance Card (Front)': 'Tarjeta de seguro (frente)',
+        'Insurance Card (Back)': 'Tarjeta de seguro (reverso)',
+        'Front of insurance card': 'Frente de la tarjeta de seguro',
+        'Back of insurance card': 'Reverso de la tarjeta de seguro',
+        'UPLOAD PHOTO': 'SUBIR FOTO',
+        'TAKE PHOTO': 'TOMAR FOTO',
+        'REMOVE': 'QUITAR',
+        'Reading your card...': 'Leyendo su tarjeta...',
+        'Adding your photo...': 'Agregando su foto...',
+        'Filled in {fields} from your card. Please check them.': 'Se completó {fields} a partir de su tarjeta. Revíselos.',
+        'Photo added. We couldn\'t read the card details, so please type them.': 'Foto agregada. No pudimos leer los datos de la tarjeta; escríbalos.',
+        'Photo added. Please type your insurance provider and policy number.': 'Foto agregada. Escriba su compañía de seguros y su número de póliza.',
+        'Please choose a photo (JPEG, PNG or HEIC).': 'Elija una foto (JPEG, PNG o HEIC).',
+        'This photo could not be opened. Please try another one.': 'No se pudo abrir esta foto. Pruebe con otra.',
+        'Photo removed.': 'Foto eliminada.',
+        'Photo attached': 'Foto adjunta',
+        'Card photo could not be read. Please remove it and add it again.': 'No se pudo leer la foto de la tarjeta. Quítela y agréguela de nuevo.',
+
+        // Possible existing patient
+        'Are you already registered?': '¿Ya está registrado?',
+        'We may already have a registration for you. If you registered before, sign in with the User ID and password of that account to keep your registration or update it with the answers you just entered.': 'Es posible que ya tengamos un registro suyo. Si se registró antes, inicie sesión con el ID de usuario y la contraseña de esa cuenta para conservar su registro o actualizarlo con las respuestas que acaba de ingresar.',
+        'Existing User ID': 'ID de usuario existente',
+        'Existing Password': 'Contraseña existente',
+        'SIGN IN - KEEP MY REGISTRATION': 'INICIAR SESIÓN - CONSERVAR MI REGISTRO',
+        'SIGN IN - UPDATE MY REGISTRATION': 'INICIAR SESIÓN - ACTUALIZAR MI REGISTRO',
+        'I\'M A NEW PATIENT': 'SOY UN PACIENTE NUEVO',
+        'BACK TO THE FORM': 'VOLVER AL FORMULARIO',
+        'Enter the User ID and password of your existing account': 'Ingrese el ID de usuario y la contraseña de su cuenta existente',
+        'The User ID or password is incorrect': 'El ID de usuario o la contraseña son incorrectos',
+        'We found your existing registration, so no new registration was created.': 'Encontramos su registro existente, por lo que no se creó un registro nuevo.',
+        'Please check in at the front desk.': 'Regístrese en la recepción.',
+        'Your existing registration has been updated with the answers you entered.': 'Su registro existente se actualizó con las respuestas que ingresó.',
+
+        // Kiosk mode
+        'Are you still there?': '¿Sigue ahí?',
+        'For your privacy, this form will be cleared for the next patient.': 'Por su privacidad, este formulario se borrará para el siguiente paciente.',
+        'The form will be cleared in {seconds} seconds.': 'El formulario se borrará en {seconds} segundos.',
+        'I\'M STILL HERE': 'SIGO AQUÍ',
+        'START OVER': 'EMPEZAR DE NUEVO',
+
+        // Sections
+        'Personal Information': 'Información personal',
+        'Contact Information': 'Información de contacto',
+        'Medical History': 'Historial médico',
+        'Insurance & Healthcare Provider Information': 'Información del seguro y del proveedor de atención médica',
+        'Account Setup Information': 'Configuración de la cuenta',
+        'Consent & Agreements': 'Consentimientos y acuerdos',
+
+        // Form labels
+        'First Name *': 'Nombre *',
+        'MI': 'Inicial',
+        'Last Name *': 'Apellido *',
+        'Date of Birth *': 'Fecha de nacimiento *',
+        'Social Security *': 'Seguro Social *',
+        'Show': 'Mostrar',
+        'Hide': 'Ocultar',
+        'Show Social Security number': 'Mostrar el número de Seguro Social',
+        'Hide Social Security number': 'Ocultar el número de Seguro Social',
+        'Gender *': 'Sexo *',
+        'Male': 'Masculino',
+        'Female': 'Femenino',
+        'Other': 'Otro',
+        'Preferred Language': 'Idioma preferido',
+        'English': 'Inglés',
+        'Spanish': 'Español',
+        'Address Line 1 *': 'Dirección línea 1 *',
+        'Address Line 2': 'Dirección línea 2',
+        'City *': 'Ciudad *',
+        'State *': 'Estado *',
+        'Select State': 'Seleccione un estado',
+        'Zip Code *': 'Código postal *',
+        'Email Address *': 'Correo electrónico *',
+        'Phone Number *': 'Número de teléfono *',
+        'Emergency Contact Name': 'Nombre del contacto de emergencia',
+        'Emergency Phone': 'Teléfono de emergencia',
+        'Preferred Contact Method *': 'Método de contacto preferido *',
+        'Preferred Contact Method': 'Método de contacto preferido',
+        'Phone': 'Teléfono',
+        'Email': 'Correo electrónico',
+        'Mail': 'Correo postal',
+        'Check all conditions you have had:': 'Marque todas las enfermedades que ha tenido:',
+        'Chicken Pox': 'Varicela',
+        'Measles': 'Sarampión',
+        'COVID-19': 'COVID-19',
+        'Small Pox': 'Viruela',
+        'Tetanus': 'Tétanos',
+        'Allergies': 'Alergias',
+        'Diabetes': 'Diabetes',
+        'Heart Disease': 'Enfermedad cardíaca',
+        'Asthma': 'Asma',
+        'High Blood Pressure': 'Presión arterial alta',
+        'Are you vaccinated? *': '¿Está vacunado? *',
+        'Yes': 'Sí',
+        'No': 'No',
+        'Do you have insurance? *': '¿Tiene seguro médico? *',
+        'Not Sure': 'No estoy seguro',
+        'None': 'Ninguna',
+        'Current Symptoms': 'Síntomas actuales',
+        'Overall Health Rating *': 'Calificación general de salud *',
+        '(1=Poor, 10=Excellent)': '(1=Mala, 10=Excelente)',
+        'Current Pain Level': 'Nivel de dolor actual',
+        '(0=No Pain, 10=Severe)': '(0=Sin dolor, 10=Intenso)',
+        'Insurance Provider': 'Compañía de seguros',
+        'Policy Number': 'Número de póliza',
+        'Primary Physician Name': 'Nombre del médico de cabecera',
+        'Preferred Pharmacy': 'Farmacia preferida',
+        'Desired User ID *': 'ID de usuario deseado *',
+        'Password *': 'Contraseña *',
+        'Confirm Password *': 'Confirmar contraseña *',
+        'I consent to receive marketing communications from Mark Health care': 'Acepto recibir comunicaciones de marketing de Mark Health care',
+        'I consent to receive marketing communications from {clinic}': 'Acepto recibir comunicaciones de marketing de {clinic}',
+        'I consent to data sharing with healthcare partners for treatment purposes': 'Acepto que se compartan mis datos con socios de atención médica para fines de tratamiento',
+
+        // Review panel labels
+        'First Name': 'Nombre',
+        'Middle Initial': 'Inicial del segundo nombre',
+        'Last Name': 'Apellido',
+        'Date of Birth': 'Fecha de nacimiento',
+        'Social Security': 'Seguro Social',
+        'Gender': 'Sexo',
+        'Address Line 1': 'Dirección línea 1',
+        'City': 'Ciudad',
+        'State': 'Estado',
+        'Zip Code': 'Código postal',
+        'Email Address': 'Correo electrónico',
+        'Phone Number': 'Número de teléfono',
+        'Medical Conditions': 'Enfermedades',
+        'Vaccinated': 'Vacunado',
+        'Has Insurance': 'Tiene seguro',
+        'Health Rating': 'Calificación de salud',
+        'Pain Level': 'Nivel de dolor',
+        'User ID': 'ID de usuario',
+        'User ID (will be converted to lowercase)': 'ID de usuario (se convertirá a minúsculas)',
+        'Password': 'Contraseña',
+        'Confirm Password': 'Confirmar contraseña',
+        'Marketing Consent': 'Consentimiento de marketing',
+        'Data Sharing Consent': 'Consentimiento para compartir datos',
+        '(not entered)': '(no ingresado)',
+        '(not applicable)': '(no corresponde)',
+        'pass': 'correcto',
+        'ERROR: {error}': 'ERROR: {error}',
+
+        // Tooltips and placeholders
+        'Enter your first name (1-30 characters, letters, apostrophes, and dashes only)': 'Ingrese su nombre (1-30 caracteres, solo letras, apóstrofos y guiones)',
+        'Enter middle initial (single letter, optional)': 'Ingrese la inicial de su segundo nombre (una letra, opcional)',
+        'Enter your last name (1-30 characters, letters, apostrophes, dashes, spaces, and numbers allowed for suffixes like Jr, Sr, 3rd, etc.)': 'Ingrese su apellido (1-30 caracteres; se permiten letras, apóstrofos, guiones, espacios y números para sufijos como Jr, Sr, 3rd, etc.)',
+        'Enter your date of birth (MM/DD/YYYY - no future dates, not more than 120 years ago)': 'Ingrese su fecha de nacimiento (MM/DD/AAAA - sin fechas futuras, no más de 120 años atrás)',
+        'Enter your Social Security Number (9 digits, will be masked as XXX-XX-XXXX)': 'Ingrese su número de Seguro Social (9 dígitos, se ocultará como XXX-XX-XXXX)',
+        'Enter your street address (2-30 characters required)': 'Ingrese su dirección (2-30 caracteres)',
+        'Enter apartment, suite, or unit number (optional, but if entered must be 2-30 characters)': 'Ingrese el número de apartamento, suite o unidad (opcional, pero si se ingresa debe tener 2-30 caracteres)',
+        'Enter your city name (2-30 characters, letters and spaces only)': 'Ingrese su ciudad (2-30 caracteres, solo letras y espacios)',
+        'Select your state from the dropdown list': 'Seleccione su estado de la lista',
+        'Enter your ZIP code (5 digits, or ZIP+4 as XXXXX-XXXX)': 'Ingrese su código postal (5 dígitos, o ZIP+4 como XXXXX-XXXX)',
+        'Enter your email address (format: name@domain.tld)': 'Ingrese su correo electrónico (formato: nombre@dominio.tld)',
+        'name@domain.com': 'nombre@dominio.com',
+        'Enter your phone number; add an extension as x123': 'Ingrese su número de teléfono; agregue una extensión como x123',
+        'Phone number country': 'País del número de teléfono',
+        'Emergency phone country': 'País del teléfono de emergencia',
+        'Enter emergency contact name (optional, letters and spaces only)': 'Ingrese el nombre del contacto de emergencia (opcional, solo letras y espacios)',
+        'Enter emergency contact phone (optional); add an extension as x123': 'Ingrese el teléfono del contacto de emergencia (opcional); agregue una extensión como x123',
+        'Describe any current symptoms you are experiencing (optional, max 500 characters)': 'Describa los síntomas que tiene actualmente (opcional, máximo 500 caracteres)',
+        'Please describe your current symptoms in detail...': 'Describa sus síntomas actuales en detalle...',
+        'Select your insurance provider; choose Other if it isn\'t listed': 'Seleccione su compañía de seguros; elija Otra si no aparece en la lista',
+        'Enter your insurance provider name (letters and spaces only)': 'Ingrese el nombre de su compañía de seguros (solo letras y espacios)',
+        'Enter the member ID from your insurance card (optional)': 'Ingrese el número de miembro de su tarjeta de seguro (opcional)',
+        'Enter your primary physician\'s name (optional, letters and spaces only)': 'Ingrese el nombre de su médico de cabecera (opcional, solo letras y espacios)',
+        'Enter your preferred pharmacy name (optional, letters and spaces only)': 'Ingrese el nombre de su farmacia preferida (opcional, solo letras y espacios)',
+        'Enter your desired User ID (5-30 characters, letters, numbers, underscore, dash only - first character cannot be a number, no spaces)': 'Ingrese el ID de usuario deseado (5-30 caracteres, solo letras, números, guion bajo y guion; el primer carácter no puede ser un número; sin espacios)',
+        'Enter password (8-30 characters, must contain: 1 uppercase, 1 lowercase, 1 digit, 1 special character from !@#%^&*()-_+=/><.,`~, no quotes)': 'Ingrese una contraseña (8-30 caracteres; debe contener: 1 mayúscula, 1 minúscula, 1 dígito, 1 carácter especial de !@#%^&*()-_+=/><.,`~, sin comillas)',
+        'Re-enter your password (must match the password above)': 'Vuelva a ingresar su contraseña (debe coincidir con la anterior)',
+
+        // Validation status
+        'Checking validation status...': 'Comprobando el estado de la validación...',
+        'Fill out the form and click VALIDATE to check for errors': 'Complete el formulario y haga clic en VALIDAR para buscar errores',
+        'Fill out all required fields and click VALIDATE to check for errors': 'Complete todos los campos obligatorios y haga clic en VALIDAR para buscar errores',
+        'All validations passed! You can now submit the form.': '¡Todas las validaciones son correctas! Ya puede enviar el formulario.',
+        '{count} validation error remaining': 'Queda {count} error de validación',
+        '{count} validation errors remaining': 'Quedan {count} errores de validación',
+        'Please correct the following errors:': 'Corrija los siguientes errores:',
+        'Unable to reach the registration server. Please try again.': 'No se pudo conectar con el servidor de registro. Inténtelo de nuevo.',
+        'Registration could not be submitted. Please try again.': 'No se pudo enviar el registro. Inténtelo de nuevo.',
+        'This clinic is not set up for online registration': 'Esta clínica no está configurada para el registro en línea',
+        'This page could not load its settings. Please reload the page, or ask the front desk for help.': 'Esta página no pudo cargar su configuración. Vuelva a cargar la página o pida ayuda en la recepción.',
+
+        // Validation messages (validation.js and fields.js)
+        'Required field is empty': 'El campo obligatorio está vacío',
+        'Required field - please select an option': 'Campo obligatorio: seleccione una opción',
+        'Please select one of the listed options': 'Seleccione una de las opciones de la lista',
+        'Select a value from 1 to 10': 'Seleccione un valor del 1 al 10',
+        'Select a value from 0 to 10': 'Seleccione un valor del 0 al 10',
+        'Please select a state': 'Seleccione un estado',
+        'Please select a state from the list': 'Seleccione un estado de la lista',
+        'Enter 1-30 characters, letters, apostrophes, and dashes only': 'Ingrese 1-30 caracteres, solo letras, apóstrofos y guiones',
+        'Enter single letter only': 'Ingrese una sola letra',
+        'Enter 1-30 characters, letters, apostrophes, dashes, spaces, and numbers allowed': 'Ingrese 1-30 caracteres; se permiten letras, apóstrofos, guiones, espacios y números',
+        'Must be exactly 9 digits': 'Debe tener exactamente 9 dígitos',
+        'Invalid SSN: first 3 digits cannot be 000, 666 or 900-999': 'Número de Seguro Social no válido: los primeros 3 dígitos no pueden ser 000, 666 ni 900-999',
+        'Invalid SSN: middle 2 digits cannot be 00': 'Número de Seguro Social no válido: los 2 dígitos del medio no pueden ser 00',
+        'Invalid SSN: last 4 digits cannot be 0000': 'Número de Seguro Social no válido: los últimos 4 dígitos no pueden ser 0000',
+        'Cannot be in the future': 'No puede ser una fecha futura',
+        'Cannot be more than 120 years ago': 'No puede ser de hace más de 120 años',
+        'Enter 2-30 characters': 'Ingrese 2-30 caracteres',
+        'Must be 2-30 characters if entered': 'Si se ingresa, debe tener 2-30 caracteres',
+        'Enter 2-30 characters, letters and spaces only': 'Ingrese 2-30 caracteres, solo letras y espacios',
+        'Must be 5 digits or ZIP+4 (12345-6789)': 'Debe tener 5 dígitos o ZIP+4 (12345-6789)',
+        'ZIP code is not in the selected state': 'El código postal no pertenece al estado seleccionado',
+        'Enter valid email: name@domain.tld': 'Ingrese un correo válido: nombre@dominio.tld',
+        'Enter a valid phone number': 'Ingrese un número de teléfono válido',
+        'Phone number has the wrong number of digits for the country': 'El número de teléfono no tiene la cantidad de dígitos correcta para el país',
+        'Not a valid US or Canadian phone number': 'No es un número de teléfono válido de EE. UU. o Canadá',
+        'Letters and spaces only': 'Solo letras y espacios',
+        'Maximum 500 characters': 'Máximo 500 caracteres',
+        'Alphanumeric characters only': 'Solo caracteres alfanuméricos',
+        '5-30 characters, letters, numbers, underscore, dash - first character cannot be a number': '5-30 caracteres, letras, números, guion bajo y guion; el primer carácter no puede ser un número',
+        'Must be 8-30 characters': 'Debe tener 8-30 caracteres',
+        'Must contain 1 uppercase letter': 'Debe contener 1 letra mayúscula',
+        'Must contain 1 lowercase letter': 'Debe contener 1 letra minúscula',
+        'Must contain 1 digit': 'Debe contener 1 dígito',
+        'Must contain 1 special character': 'Debe contener 1 carácter especial',
+        'Cannot contain quotes': 'No puede contener comillas',
+        'Cannot contain User ID': 'No puede contener el ID de usuario',
+        'Cannot contain first name': 'No puede contener el nombre',
+        'Cannot contain last name': 'No puede contener el apellido',
+        'Cannot be a common or breached password': 'No puede ser una contraseña común o filtrada',
+        'Passwords do not match': 'Las contraseñas no coinciden',
+        'This User ID is already taken': 'Este ID de usuario ya está en uso',
+
+        // Phone countries
+        'United States': 'Estados Unidos',
+        'Canada': 'Canadá',
+        'Mexico': 'México',
+        'Brazil': 'Brasil',
+        'United Kingdom': 'Reino Unido',
+        'Germany': 'Alemania',
+        'France': 'Francia',
+        'Spain': 'España',
+        'Pakistan': 'Pakistán',
+        'Philippines': 'Filipinas',
+        'South Korea': 'Corea del Sur',
+
+        // ZIP code lookup
+        'ZIP code {zip} is in {city}, {state}.': 'El código postal {zip} corresponde a {city}, {state}.',
+        'Use this': 'Usar este',
+
+        // User ID availability
+        'Available:': 'Disponibles:',
+        'User ID is available': 'El ID de usuario está disponible',
+        'User ID availability could not be checked right now.': 'No se pudo comprobar la disponibilidad del ID de usuario en este momento.',
+
+        // Medical history lists
+        'Condition Onset Dates': 'Fechas de inicio de las afecciones',
+        "When did each condition start? Leave the date blank if you don't know.": '¿Cuándo comenzó cada afección? Deje la fecha en blanco si no la sabe.',
+        'Current Medications': 'Medicamentos actuales',
+        'List the medicines you take now, including over-the-counter medicines.': 'Indique los medicamentos que toma actualmente, incluidos los de venta libre.',
+        'Add Allergy': 'Agregar alergia',
+        'Add Medication': 'Agregar medicamento',
+        'Remove': 'Quitar',
+        'Select...': 'Seleccione...',
+        'Condition': 'Afección',
+        'Onset Date': 'Fecha de inicio',
+        'Allergy': 'Alergia',
+        'Allergen': 'Alérgeno',
+        'Reaction': 'Reacción',
+        'Severity': 'Gravedad',
+        'Mild': 'Leve',
+        'Moderate': 'Moderada',
+        'Severe': 'Grave',
+        'Medication': 'Medicamento',
+        'Dose': 'Dosis',
+        'Frequency': 'Frecuencia',
+        'Add at least one allergy': 'Agregue al menos una alergia',
+        'Too many entries': 'Demasiadas entradas',
+        "Enter 1-50 characters: letters, numbers, spaces and . , ' / ( ) -": "Ingrese 1-50 caracteres: letras, números, espacios y . , ' / ( ) -",
+        "Up to 100 characters: letters, numbers, spaces and . , ' / ( ) -": "Hasta 100 caracteres: letras, números, espacios y . , ' / ( ) -",
+        'Up to 30 characters: letters, numbers, spaces and . , / % -': 'Hasta 30 caracteres: letras, números, espacios y . , / % -',
+        'Up to 30 characters: letters, numbers, spaces and . , / -': 'Hasta 30 caracteres: letras, números, espacios y . , / -',
+        'Please select a severity': 'Seleccione la gravedad',
+        'Enter a valid date': 'Ingrese una fecha válida',
+        'Cannot be before the date of birth': 'No puede ser anterior a la fecha de nacimiento',
+        'Condition is not checked': 'La afección no está marcada',
+        'Unknown condition': 'Afección desconocida',
+
+        // Consent and e-signature (terms text is translated in consent-terms.js)
+        'I acknowledge that I have read the Notice of Privacy Practices *': 'Confirmo que he leído el Aviso de prácticas de privacidad *',
+        'Privacy Notice Acknowledgment': 'Confirmación del aviso de privacidad',
+        'You must acknowledge the Notice of Privacy Practices': 'Debe confirmar el Aviso de prácticas de privacidad',
+        'Version {version}, effective {date}': 'Versión {version}, vigente desde el {date}',
+        'Version {version}': 'Versión {version}',
+        'Signer Name *': 'Nombre del firmante *',
+        'Signer Name': 'Nombre del firmante',
+        'Type your full name, including the first and last name entered above': 'Escriba su nombre completo, incluidos el nombre y el apellido ingresados arriba',
+        'Enter 2-60 characters, letters, spaces, apostrophes, periods and dashes only': 'Ingrese 2-60 caracteres, solo letras, espacios, apóstrofes, puntos y guiones',
+        'Must include the first and last name entered above': 'Debe incluir el nombre y el apellido ingresados arriba',
+        'Signature *': 'Firma *',
+        'Signature': 'Firma',
+        'Draw your signature in the box, or type your name above and choose SIGN WITH TYPED NAME.': 'Dibuje su firma en el recuadro, o escriba su nombre arriba y elija FIRMAR CON EL NOMBRE ESCRITO.',
+        'Signature box': 'Recuadro de firma',
+        'SIGN WITH TYPED NAME': 'FIRMAR CON EL NOMBRE ESCRITO',
+        'CLEAR SIGNATURE': 'BORRAR FIRMA',
+        'Signed with your typed name.': 'Firmado con su nombre escrito.',
+        'Signature captured.': 'Firma registrada.',
+        'Signature cleared.': 'Firma borrada.',
+        'Please sign in the signature box': 'Firme en el recuadro de firma',
+        'Signature could not be read. Please clear it and sign again.': 'No se pudo leer la firma. Bórrela y vuelva a firmar.',
+        'Signed': 'Firmado',
+        'Signature of {name}': 'Firma de {name}',
+        'Consent Record': 'Registro de consentimiento',
+        'Accepted {time}': 'Aceptado el {time}',
+        'Not yet acknowledged': 'Aún no confirmado',
+        'Declined': 'No aceptado',
+        'Typed by {name}, {time}': 'Escrita por {name}, {time}',
+        'Drawn by {name}, {time}': 'Dibujada por {name}, {time}',
+        'These terms have been updated. Please reload the page and review them again.': 'Estos términos se actualizaron. Vuelva a cargar la página y revíselos de nuevo.',
+        'Your answer was not recorded. Please uncheck and check this box again.': 'Su respuesta no se registró. Desmarque y vuelva a marcar esta casilla.',
+        'Your signature was not recorded. Please clear it and sign again.': 'Su firma no se registró. Bórrela y vuelva a firmar.',
+
+        // Parent/Guardian section and age (patients under 18)
+        'Parent/Guardian Information': 'Información del padre, madre o tutor',
+        'Patients under 18 must be registered by a parent or legal guardian. The guardian signs the consents and holds the patient account.': 'Los pacientes menores de 18 años deben ser registrados por su padre, madre o tutor legal. El tutor firma los consentimientos y es el titular de la cuenta del paciente.',
+        'Parent/Guardian Full Name': 'Nombre completo del padre, madre o tutor',
+        'Enter the parent or guardian\'s first and last name': 'Ingrese el nombre y el apellido del padre, madre o tutor',
+        'Relationship to Patient': 'Relación con el paciente',
+        'Parent': 'Padre o madre',
+        'Legal Guardian': 'Tutor legal',
+        'Grandparent': 'Abuelo o abuela',
+        'Foster Parent': 'Padre o madre de acogida',
+        'Other Relative': 'Otro familiar',
+        'Please select a relationship': 'Seleccione una relación',
+        'Parent/Guardian Phone': 'Teléfono del padre, madre o tutor',
+        'Parent/guardian phone country': 'País del teléfono del padre, madre o tutor',
+        'Enter the parent or guardian\'s phone number; add an extension as x123': 'Ingrese el número de teléfono del padre, madre o tutor; agregue una extensión como x123',
+        'Parent/Guardian Consent': 'Consentimiento del padre, madre o tutor',
+        'I am the patient\'s parent or legal guardian and I consent on their behalf': 'Soy el padre, la madre o el tutor legal del paciente y doy mi consentimiento en su nombre',
+        'A parent or guardian must give consent for a patient under 18': 'Un padre, madre o tutor debe dar su consentimiento para un paciente menor de 18 años',
+        'Must include the parent or guardian name entered above': 'Debe incluir el nombre del padre, madre o tutor ingresado arriba',
+        'Age: {age}': 'Edad: {age}',
+        'Age: {age} - a parent or guardian must complete this registration': 'Edad: {age}; un padre, madre o tutor debe completar este registro',
+        '{date} (age {age})': '{date} ({age} años)',
+        'This account will belong to the parent or guardian. Choose the User ID and password for the guardian, not the patient.': 'Esta cuenta pertenecerá al padre, madre o tutor. Elija el ID de usuario y la contraseña del tutor, no del paciente.',
+
+        // Admin dashboard (admin.html)
+        'Mark Health care - Registrations Admin': 'Mark Health care - Administración de registros',
+        'Staff Sign In': 'Inicio de sesión del personal',
+        'Username': 'Usuario',
+        'SIGN IN': 'INICIAR SESIÓN',
+        'SIGN OUT': 'CERRAR SESIÓN',
+        'Signed in as {username}': 'Sesión iniciada como {username}',
+        'Invalid username or password': 'Usuario o contraseña no válidos',
+        'Too many failed sign-in attempts. Try again later.': 'Demasiados intentos fallidos de inicio de sesión. Inténtelo más tarde.',
+        'Admin sign-in is not set up on this server': 'El inicio de sesión de administración no está configurado en este servidor',
+        'Sign-in failed': 'No se pudo iniciar sesión',
+        'Your session has ended. Please sign in again.': 'Su sesión terminó. Inicie sesión de nuevo.',
+        'Unable to load registrations.': 'No se pudieron cargar los registros.',
+        'Registrations': 'Registros',
+        'Search': 'Buscar',
+        'Name, date of birth or User ID': 'Nombre, fecha de nacimiento o ID de usuario',
+        'Search by name, date of birth (YYYY-MM-DD or MM/DD/YYYY) or User ID': 'Busque por nombre, fecha de nacimiento (AAAA-MM-DD o MM/DD/AAAA) o ID de usuario',
+        'All states': 'Todos los estados',
+        'All': 'Todos',
+        'Insurance': 'Seguro',
+        'Submitted from': 'Enviado desde',
+        'Submitted to': 'Enviado hasta',
+        'CLEAR FILTERS': 'BORRAR FILTROS',
+        'EXPORT CSV': 'EXPORTAR CSV',
+        'Submitted registrations': 'Registros enviados',
+        'Submitted': 'Enviado',
+        'Registration ID': 'ID de registro',
+        'Name': 'Nombre',
+        'SSN': 'Seguro Social',
+        'Actions': 'Acciones',
+        'View': 'Ver',
+        'View registration {id}': 'Ver el registro {id}',
+        'Showing {shown} of {total} registrations': 'Se muestran {shown} de {total} registros',
+        'No registrations match the search and filters.': 'Ningún registro coincide con la búsqueda y los filtros.',
+        'Registration Details': 'Detalles del registro',
+        'Registration {id}, submitted {date}': 'Registro {id}, enviado el {date}',
+        'Registration {id}, submitted {date}, updated by the patient {updated}': 'Registro {id}, enviado el {date}, actualizado por el paciente el {updated}',
+        'Possible duplicate of {registrations}. The patient chose to register as a new patient.': 'Posible duplicado de {registrations}. El paciente eligió registrarse como paciente nuevo.',
+        'Possible duplicate of {registrations}. Sent while offline, so the patient was not asked.': 'Posible duplicado de {registrations}. Se envió sin conexión, por lo que no se le preguntó al paciente.',
+        'A returning patient confirmed this registration {date}.': 'Un paciente que regresa confirmó este registro el {date}.',
+        'Close Details': 'Cerrar detalles',
+
+        // Password feedback
+        'Password strength:': 'Seguridad de la contraseña:',
+        'Password requirements': 'Requisitos de la contraseña',
+        'Met:': 'Cumplido:',
+        'Not met:': 'No cumplido:',
+        'Very weak': 'Muy débil',
+        'Weak': 'Débil',
+        'Fair': 'Aceptable',
+        'Strong': 'Fuerte',
+        'Very strong': 'Muy fuerte',
+
+        // Dates
+        'Today is: {weekday}, {month} {day}{suffix}, {year}': 'Hoy es: {weekday}, {day} de {month} de {year}',
+        'Sunday': 'domingo',
+        'Monday': 'lunes',
+        'Tuesday': 'martes',
+        'Wednesday': 'miércoles',
+        'Thursday': 'jueves',
+        'Friday': 'viernes',
+        'Saturday': 'sábado',
+        'January': 'enero',
+        'February': 'febrero',
+        'March': 'marzo',
+        'April': 'abril',
+        'May': 'mayo',
+        'June': 'junio',
+        'July': 'julio',
+        'August': 'agosto',
+        'September': 'septiembre',
+        'October': 'octubre',
+        'November': 'noviembre',
+        'December': 'diciembre'
+    }
+};
+
+// Attributes translated along with text content
+const I18N_ATTRIBUTES = ['title', 'placeholder', 'aria-label', 'alt'];
+
+let currentLanguage = I18N_DEFAULT_LANGUAGE;
+
+// Original English text of translated nodes and attributes
+const i18nTextSources = new WeakMap();
+const i18nAttributeSources = new WeakMap();
+
+// Translate English text into the current language, filling {placeholders}
+function t(text, params) {
+    const catalog = I18N_CATALOGS[currentLanguage];
+    let translated = (catalog && catalog[text]) || text;
+
+    if (params) {
+        Object.keys(params).forEach(key => {
+            translated = translated.split('{' + key + '}').join(params[key]);
+        });
+    }
+    return translated;
+}
+
+// Translate a validation error, which may be several messages joined with "; "
+function translateError(message) {
+    if (!message) return message;
+    return message.split('; ').map(part => t(part)).join('; ');
+}
+
+// Check whether any catalog knows this English text
+function isTranslatable(text) {
+    return Object.keys(I18N_CATALOGS).some(lang => Object.prototype.hasOwnProperty.call(I18N_CATALOGS[lang], text));
+}
+
+// Get the English text of an element, even after it has been translated
+function getSourceText(element) {
+    const textNode = Array.from(element.childNodes)
+        .find(node => node.nodeType === Node.TEXT_NODE && node.nodeValue.trim());
+    return (textNode && i18nTextSources.get(textNode)) || element.textContent.trim();
+}
+
+// Get the locale (for dates and numbers) of the current language
+function getLocale() {
+    return I18N_LANGUAGES[currentLanguage].locale;
+}
+
+// Format a YYYY-MM-DD date for display in the current language
+function formatDisplayDate(isoDate) {
+    const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(isoDate || '');
+    if (!parts) return isoDate;
+
+    const date = new Date(Number(parts[1]), Number(parts[2]) - 1, Number(parts[3]));
+    return date.toLocaleDateString(getLocale(), { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Translate the static text and attributes under a root element
+function applyTranslations(root) {
+    root = root || document.body;
+    if (!root) return;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+        const parent = node.parentElement;
+        if (!parent || parent.closest('script, style, textarea')) continue;
+
+        let source = i18nTextSources.get(node);
+        if (!source) {
+            source = node.nodeValue.trim();
+            if (!source || !isTranslatable(source)) continue;
+            i18nTextSources.set(node, source);
+        }
+
+        // Keep the surrounding whitespace of the original markup
+        node.nodeValue = node.nodeValue.replace(/\S(.*\S)?/s, () => t(source));
+    }
+
+    root.querySelectorAll(I18N_ATTRIBUTES.map(attr => `[${attr}]`).join(',')).forEach(element => {
+        let sources = i18nAttributeSources.get(element);
+        if (!sources) {
+            sources = {};
+            i18nAttributeSources.set(element, sources);
+        }
+
+        I18N_ATTRIBUTES.forEach(attr => {
+            if (!element.hasAttribute(attr)) return;
+            if (!sources[attr]) {
+                const value = element.getAttribute(attr);
+                if (!isTranslatable(value)) return;
+                sources[attr] = value;
+            }
+            element.setAttribute(attr, t(sources[attr]));
+        });
+    });
+
+    if (!i18nTextSources.has(document)) {
+        i18nTextSources.set(document, document.title);
+    }
+    document.title = t(i18nTextSources.get(document));
+}
+
+// Switch the whole page to another language
+function setLanguage(lang) {
+    if (!I18N_LANGUAGES[lang]) return;
+
+    currentLanguage = lang;
+    document.documentElement.lang = lang;
+    try {
+        sessionStorage.setItem(I18N_STORAGE_KEY, lang);
+    } catch (err) {
+        // Language still applies to this page
+    }
+
+    applyTranslations();
+
+    // Let the page re-render text it builds at runtime
+    document.dispatchEvent(new CustomEvent('languagechange', { detail: { language: lang } }));
+}
+
+// Map a preferredLanguage field value to a language code
+function getLanguageForFieldValue(value) {
+    return Object.keys(I18N_LANGUAGES).find(lang => I18N_LANGUAGES[lang].fieldValue === value) || null;
+}
+
+// Pick the starting language: ?lang= first, then the language chosen earlier this session
+function getInitialLanguage() {
+    const fromUrl = new URLSearchParams(window.location.search).get('lang');
+    if (fromUrl && I18N_LANGUAGES[fromUrl]) return fromUrl;
+
+    try {
+        const stored = sessionStorage.getItem(I18N_STORAGE_KEY);
+        if (stored && I18N_LANGUAGES[stored]) return stored;
+    } catch (err) {
+        // Fall back to the default language
+    }
+    return I18N_DEFAULT_LANGUAGE;
+}
+
+// Initialize the language on page load
+function initializeI18n() {
+    const lang = getInitialLanguage();
+
+    // Keep the preferredLanguage field in step with the page language
+    const languageRadio = document.querySelector(`[name="preferredLanguage"][value="${I18N_LANGUAGES[lang].fieldValue}"]`);
+    if (languageRadio) {
+        languageRadio.checked = true;
+    }
+    document.querySelectorAll('[name="preferredLanguage"]').forEach(radio => {
+        radio.addEventListener('change', function() {
+            const selected = getLanguageForFieldValue(this.value);
+            if (selected && selected !== currentLanguage) {
+                setLanguage(selected);
+            }
+        });
+    });
+
+    if (lang !== currentLanguage) {
+        setLanguage(lang);
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeI18n);
+} else {
+    initializeI18n();
+}
@@ -0,0 +1,270 @@
+/*
+Program name: insurance.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.1
+Description: Insurance section of the registration form. Fills the Insurance Provider
+             picker from the payer list (payers.js) and shows the selected payer's member
+             ID format under Policy Number. Photos of the front and back of the card are
+             uploaded or taken with the camera and shrunk to a JPEG sent with the
+             registration. Only browsers with built-in text detection (TextDetector,
+             which most browsers ship only behind a flag) read the card to fill in the
+             provider and policy number; no OCR engine is bundled, so everywhere else
+             the patient types them and the page says so.
+*/
+
+const CARD_IMAGE_MAX_WIDTH = 1000;   // Card photos are scaled down to this width...
+const CARD_IMAGE_QUALITY = 0.7;      // ...and saved as JPEG at this quality
+
+// Words printed before the member ID on a card ("Member ID:", "ID #", "Subscriber No.")
+const MEMBER_ID_LABEL = /\b(?:MEMBER|SUBSCRIBER|IDENTIFICATION|ID)\b(?:\s*(?:ID|NO|NUMBER)\b)?[\s.:#]*/;
+
+let cardImages = {};         // image field name -> JPEG data URL
+let cardFilledValues = {};   // field name -> value filled in from a card, until it is edited
+
+// Get a card photo as a JPEG data URL, '' when none was added
+function getCardImage(fieldName) {
+    return cardImages[fieldName] || '';
+}
+
+// Get the fieldset holding a card photo's controls
+function getCardField(fieldName) {
+    return document.querySelector(`fieldset[name="${fieldName}"]`);
+}
+
+// Fill the Insurance Provider picker with the payer list, then Other
+function renderPayerOptions() {
+    const select = document.getElementById('insuranceProvider');
+    const selected = select.value;
+
+    select.innerHTML = '';
+    const addOption = (value, text) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    };
+    addOption('', t('Select...'));
+    PAYERS.forEach(payer => addOption(payer.name, payer.name));
+    addOption(OTHER_PAYER, t('Other (not listed)'));
+
+    select.value = selected;
+}
+
+// Show the selected payer's member ID format under Policy Number
+function updateMemberIdHint() {
+    const hint = document.getElementById('policyNumberHint');
+    const payer = RegistrationValidation.findPayer(getFieldValue('insuranceProvider'));
+
+    hint.textContent = payer ? t('Member ID format: {format}, for example {example}', {
+        format: payer.format[currentLanguage] || payer.format[I18N_DEFAULT_LANGUAGE],
+        example: payer.example
+    }) : '';
+}
+
+// Find the payer named on a card: the name or alias printed first, the longest on a tie
+function findCardPayer(text) {
+    const words = ' ' + text.toUpperCase().replace(/[^A-Z0-9]+/g, ' ') + ' ';
+    let best = null;
+
+    PAYERS.forEach(payer => {
+        [payer.name].concat(payer.aliases).forEach(name => {
+            const needle = ' ' + name.toUpperCase().replace(/[^A-Z0-9]+/g, ' ') + ' ';
+            const position = words.indexOf(needle);
+            if (position < 0) return;
+            if (!best || position < best.position || (position === best.position && needle.length > best.length)) {
+                best = { payer: payer, position: position, length: needle.length };
+            }
+        });
+    });
+    return best ? best.payer : null;
+}
+
+// Find the member ID on a card. The text after an ID label comes first, then every word
+// and pair of words (IDs are often printed in groups); with a known payer the ID must
+// match its format.
+function findCardMemberId(lines, payer) {
+    const candidates = [];
+    lines.forEach(line => {
+        const upper = line.toUpperCase();
+        const label = MEMBER_ID_LABEL.exec(upper);
+        if (label) {
+            candidates.unshift(RegistrationValidation.normalizeMemberId(upper.slice(label.index + label[0].length)));
+        }
+        const words = upper.split(/\s+/).filter(Boolean);
+        words.forEach((word, index) => {
+            candidates.push(RegistrationValidation.normalizeMemberId(word));
+            if (index > 0) candidates.push(RegistrationValidation.normalizeMemberId(words[index - 1] + word));
+        });
+    });
+
+    const fits = payer ? (id => payer.memberId.test(id))
+                       : (id => /^[A-Z0-9]{5,20}$/.test(id) && /\d/.test(id));
+    return candidates.find(fits) || '';
+}
+
+// Read the provider and member ID from the lines of text found on a card
+function parseInsuranceCard(lines) {
+    const payer = findCardPayer(lines.join('\n'));
+    return { payer: payer, memberId: findCardMemberId(lines, payer) };
+}
+
+// Check whether the browser can read text from a card photo
+function isCardTextDetectionSupported() {
+    return typeof TextDetector !== 'undefined';
+}
+
+// Find the lines of text in a card photo; null when the browser has no text detection
+async function detectCardText(image) {
+    if (!isCardTextDetectionSupported()) return null;
+
+    const blocks = await new TextDetector().detect(image);
+    return blocks.map(block => block.rawValue);
+}
+
+// Put a value read from a card into a field the patient hasn't filled in themselves
+function fillFromCard(fieldName, value) {
+    const control = document.querySelector(`[name="${fieldName}"]`);
+    if (control.value && control.value !== cardFilledValues[fieldName]) return false;
+
+    control.value = value;
+    cardFilledValues[fieldName] = value;
+    control.dispatchEvent(new Event('input', { bubbles: true }));
+    control.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+}
+
+// Read a card photo and fill in the provider and policy number
+async function readInsuranceCard(fieldName, image) {
+    const status = getCardField(fieldName).querySelector('.card-status');
+    let lines;
+    try {
+        lines = await detectCardText(image);
+    } catch (err) {
+        lines = null;
+    }
+    if (!lines) {
+        status.textContent = t('Photo added. Please type your insurance provider and policy number.');
+        return;
+    }
+
+    const card = parseInsuranceCard(lines);
+    const filled = [];
+    if (card.payer && fillFromCard('insuranceProvider', card.payer.name)) filled.push(t('Insurance Provider'));
+    if (card.memberId && fillFromCard('policyNumber', card.memberId)) filled.push(t('Policy Number'));
+
+    status.textContent = filled.length > 0
+        ? t('Filled in {fields} from your card. Please check them.', { fields: filled.join(', ') })
+        : t('Photo added. We couldn\'t read the card details, so please type them.');
+}
+
+// Load an image file and scale it to a JPEG data URL
+function loadCardImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const scale = Math.min(1, CARD_IMAGE_MAX_WIDTH / image.naturalWidth);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.naturalWidth * scale);
+            canvas.height = Math.round(image.naturalHeight * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            resolve({ image: image, dataUrl: canvas.toDataURL('image/jpeg', CARD_IMAGE_QUALITY) });
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Not an image'));
+        };
+        image.src = url;
+    });
+}
+
+// Show a card photo (or none) in its fieldset
+function showCardImage(fieldName, dataUrl) {
+    const field = getCardField(fieldName);
+    const preview = field.querySelector('.card-preview');
+    preview.src = dataUrl;
+    preview.hidden = !dataUrl;
+    field.querySelector('.card-remove-btn').hidden = !dataUrl;
+}
+
+// Add the photo chosen or taken for one side of the card
+async function handleCardFile(event) {
+    const input = event.target;
+    const fieldName = input.dataset.card;
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    const status = getCardField(fieldName).querySelector('.card-status');
+    fieldTouched[fieldName] = true;
+    if (!/^image\//.test(file.type)) {
+        status.textContent = t('Please choose a photo (JPEG, PNG or HEIC).');
+        return;
+    }
+
+    status.textContent = isCardTextDetectionSupported() ? t('Reading your card...') : t('Adding your photo...');
+    let loaded;
+    try {
+        loaded = await loadCardImage(file);
+    } catch (err) {
+        status.textContent = t('This photo could not be opened. Please try another one.');
+        return;
+    }
+
+    cardImages[fieldName] = loaded.dataUrl;
+    showCardImage(fieldName, loaded.dataUrl);
+    showFieldError(fieldName, validateSingleField(fieldName, loaded.dataUrl));
+    await readInsuranceCard(fieldName, loaded.image);
+}
+
+// Remove one side's photo
+function removeCardImage(fieldName) {
+    delete cardImages[fieldName];
+    showCardImage(fieldName, '');
+    getCardField(fieldName).querySelector('.card-status').textContent = t('Photo removed.');
+    showFieldError(fieldName, validateSingleField(fieldName, ''));
+}
+
+// Forget card photos and filled-in values when the form is cleared
+function resetInsuranceCards() {
+    Object.keys(cardImages).forEach(fieldName => showCardImage(fieldName, ''));
+    cardImages = {};
+    cardFilledValues = {};
+    document.querySelectorAll('.card-field .card-status').forEach(status => {
+        status.textContent = '';
+    });
+    setTimeout(updateMemberIdHint, 0);
+}
+
+// Initialize the insurance section on page load
+function initializeInsurance() {
+    const select = document.getElementById('insuranceProvider');
+    if (!select) return;
+
+    renderPayerOptions();
+    document.getElementById('insuranceCardReadHint').hidden = !isCardTextDetectionSupported();
+    select.addEventListener('change', updateMemberIdHint);
+    updateMemberIdHint();
+
+    document.querySelectorAll('.card-file-input').forEach(input => {
+        input.addEventListener('change', handleCardFile);
+    });
+    document.querySelectorAll('.card-remove-btn').forEach(button => {
+        button.addEventListener('click', () => removeCardImage(button.dataset.card));
+    });
+    document.getElementById('registrationForm').addEventListener('reset', resetInsuranceCards);
+
+    document.addEventListener('languagechange', function() {
+        renderPayerOptions();
+        updateMemberIdHint();
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeInsurance);
+} else {
+    initializeInsurance();
+}
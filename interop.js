@@ -0,0 +1,623 @@
+/*
+Program name: interop.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.5
+Description: Healthcare data exports for EHR integration. Maps a registration record
+             ({ fieldName: value }, as built by getFormRecord) to a FHIR R4 Bundle
+             (Patient, Condition, AllergyIntolerance, MedicationStatement, Coverage) or an
+             HL7 v2.5.1 ADT^A04 message, and checks both against their structural rules.
+             ADT^A04 has no segment for home medications, so they are FHIR only.
+             The clinic's name, patient account identifier system and preferred contact
+             method extension come from its clinics.json entry ({ facilityName,
+             userIdSystem, preferredContactExtension }, see clinic.js).
+             Never touches the DOM.
+             Browser: load fields.js, then interop.js, use window.RegistrationInterop
+             Node:    require('./interop.js')
+             The Social Security number and account password are never exported.
+*/
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fields.js').MEDICAL_CONDITIONS);
+    } else {
+        root.RegistrationInterop = factory(MEDICAL_CONDITIONS);
+    }
+}(this, function(medicalConditions) {
+    'use strict';
+
+    const SENDING_APPLICATION = 'PatientRegistration';
+
+    // Form values mapped to FHIR and HL7 codes
+    const GENDER_CODES = {
+        Male: { fhir: 'male', hl7: 'M' },
+        Female: { fhir: 'female', hl7: 'F' },
+        Other: { fhir: 'other', hl7: 'O' }
+    };
+    const LANGUAGE_CODES = {
+        English: 'en',
+        Spanish: 'es'
+    };
+    const SEVERITY_CODES = {
+        Mild: { fhir: 'mild', hl7: 'MI' },
+        Moderate: { fhir: 'moderate', hl7: 'MO' },
+        Severe: { fhir: 'severe', hl7: 'SV' }
+    };
+
+    const SNOMED_SYSTEM = 'http://snomed.info/sct';
+    const LANGUAGE_SYSTEM = 'urn:ietf:bcp:47';
+    const CONTACT_ROLE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v2-0131';
+    const VERIFICATION_STATUS_SYSTEM = 'http://terminology.hl7.org/CodeSystem/condition-ver-status';
+    const ALLERGY_CLINICAL_STATUS_SYSTEM = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical';
+    const ALLERGY_VERIFICATION_STATUS_SYSTEM = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification';
+
+    // ----- Shared helpers -----
+
+    // Trim a record value; missing values become ''
+    function text(value) {
+        return (value === undefined || value === null) ? '' : String(value).trim();
+    }
+
+    // Split the medical conditions value (array, or "A, B" as shown in the review) into names
+    function getConditionNames(value) {
+        const names = Array.isArray(value) ? value : text(value).split(',');
+        return names.map(text).filter(name => name && name !== 'None');
+    }
+
+    // Look up a condition's SNOMED CT code by its English name; null when it has none
+    function getConditionCode(name) {
+        const condition = (medicalConditions || []).find(entry => entry.label === name);
+        return condition && condition.code ? condition : null;
+    }
+
+    // Get the entries of a list field, dropping entries without a value
+    function getListEntries(value, itemName) {
+        return (Array.isArray(value) ? value : []).filter(item => item && text(item[itemName]));
+    }
+
+    // Get the onset date (YYYY-MM-DD) the patient gave for a condition, or ''
+    function getConditionOnset(record, name) {
+        const details = getListEntries(record.conditionDetails, 'condition')
+            .find(item => text(item.condition) === name);
+        return details ? text(details.onsetDate) : '';
+    }
+
+    // Create a random UUID for bundle entry URLs
+    function createUuid() {
+        const cryptoApi = typeof crypto !== 'undefined' ? crypto : null;
+        if (cryptoApi && typeof cryptoApi.randomUUID === 'function') {
+            return cryptoApi.randomUUID();
+        }
+
+        const bytes = [];
+        for (let i = 0; i < 16; i++) {
+            bytes.push(cryptoApi && cryptoApi.getRandomValues
+                ? cryptoApi.getRandomValues(new Uint8Array(1))[0]
+                : Math.floor(Math.random() * 256));
+        }
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    // Remove empty strings, arrays and objects, which FHIR does not allow (ele-1)
+    function prune(value) {
+        if (Array.isArray(value)) {
+            const items = value.map(prune).filter(item => item !== undefined);
+            return items.length > 0 ? items : undefined;
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            Object.keys(value).forEach(key => {
+                const item = prune(value[key]);
+                if (item !== undefined) result[key] = item;
+            });
+            return Object.keys(result).length > 0 ? result : undefined;
+        }
+        return value === '' || value === undefined || value === null ? undefined : value;
+    }
+
+    // ----- FHIR R4 -----
+
+    // Build the Patient resource. The portal user ID is the patient's account number at the
+    // clinic, identified by the clinic's userIdSystem; the preferred contact method goes in
+    // the clinic's preferredContactExtension.
+    function buildFhirPatient(record, clinic) {
+        const gender = GENDER_CODES[text(record.gender)];
+        const language = text(record.preferredLanguage);
+        const contactMethod = text(record.preferredContactMethod);
+        const userId = text(record.desiredUserID).toLowerCase();
+
+        return prune({
+            resourceType: 'Patient',
+            identifier: userId ? [{ use: 'usual', system: clinic.userIdSystem, value: userId }] : [],
+            name: [{
+                use: 'official',
+                family: text(record.lastName),
+                given: [text(record.firstName), text(record.middleInitial).toUpperCase()]
+            }],
+            telecom: [
+                { system: 'phone', value: text(record.phoneNumber), use: 'home', rank: contactMethod === 'Phone' ? 1 : 2 },
+                { system: 'email', value: text(record.emailAddress), use: 'home', rank: contactMethod === 'Email' ? 1 : 2 }
+            ].filter(telecom => telecom.value),
+            gender: gender ? gender.fhir : 'unknown',
+            birthDate: text(record.dateOfBirth),
+            address: text(record.addressLine1) || text(record.city) || text(record.zipCode) ? [{
+                use: 'home',
+                type: 'both',
+                line: [text(record.addressLine1), text(record.addressLine2)],
+                city: text(record.city),
+                state: text(record.state),
+                postalCode: text(record.zipCode),
+                country: 'US'
+            }] : [],
+            contact: text(record.emergencyContact) || text(record.emergencyPhone) ? [{
+                relationship: [{
+                    coding: [{ system: CONTACT_ROLE_SYSTEM, code: 'C', display: 'Emergency Contact' }]
+                }],
+                name: { text: text(record.emergencyContact) },
+                telecom: [{ system: 'phone', value: text(record.emergencyPhone) }]
+            }] : [],
+            communication: language ? [{
+                language: LANGUAGE_CODES[language]
+                    ? { coding: [{ system: LANGUAGE_SYSTEM, code: LANGUAGE_CODES[language], display: language }], text: language }
+                    : { text: language },
+                preferred: true
+            }] : [],
+            extension: contactMethod && clinic.preferredContactExtension
+                ? [{ url: clinic.preferredContactExtension, valueCode: contactMethod.toLowerCase() }]
+                : []
+        });
+    }
+
+    // Build one Condition resource per reported medical condition
+    function buildFhirConditions(record, patientUrl) {
+        return getConditionNames(record.medicalConditions).map(name => {
+            const known = getConditionCode(name);
+            return prune({
+                resourceType: 'Condition',
+                verificationStatus: {
+                    coding: [{ system: VERIFICATION_STATUS_SYSTEM, code: 'unconfirmed', display: 'Unconfirmed' }],
+                    text: 'Patient reported'
+                },
+                code: {
+                    coding: known ? [{ system: SNOMED_SYSTEM, code: known.code, display: known.display }] : [],
+                    text: name
+                },
+                subject: { reference: patientUrl },
+                onsetDateTime: getConditionOnset(record, name)
+            });
+        });
+    }
+
+    // Build one AllergyIntolerance resource per reported allergy
+    function buildFhirAllergies(record, patientUrl) {
+        return getListEntries(record.allergies, 'allergen').map(allergy => {
+            const severity = SEVERITY_CODES[text(allergy.severity)];
+            return prune({
+                resourceType: 'AllergyIntolerance',
+                clinicalStatus: {
+                    coding: [{ system: ALLERGY_CLINICAL_STATUS_SYSTEM, code: 'active', display: 'Active' }]
+                },
+                verificationStatus: {
+                    coding: [{ system: ALLERGY_VERIFICATION_STATUS_SYSTEM, code: 'unconfirmed', display: 'Unconfirmed' }],
+                    text: 'Patient reported'
+                },
+                code: { text: text(allergy.allergen) },
+                patient: { reference: patientUrl },
+                reaction: text(allergy.reaction) || severity ? [{
+                    manifestation: [{ text: text(allergy.reaction) || 'Unspecified reaction' }],
+                    severity: severity ? severity.fhir : ''
+                }] : []
+            });
+        });
+    }
+
+    // Build one MedicationStatement resource per current medication
+    function buildFhirMedications(record, patientUrl) {
+        return getListEntries(record.medications, 'name').map(medication => {
+            const dosage = [text(medication.dose), text(medication.frequency)].filter(Boolean).join(' ');
+            return prune({
+                resourceType: 'MedicationStatement',
+                status: 'active',
+                medicationCodeableConcept: { text: text(medication.name) },
+                subject: { reference: patientUrl },
+                informationSource: { reference: patientUrl },
+                dosage: dosage ? [{ text: dosage }] : []
+            });
+        });
+    }
+
+    // Get the insurer's name; one that isn't in the payer list is typed in otherInsuranceProvider
+    function getInsurerName(record) {
+        const provider = text(record.insuranceProvider);
+        return provider === 'Other' ? text(record.otherInsuranceProvider) : provider;
+    }
+
+    // Build the Coverage resource, or null when the patient reported no insurer
+    function buildFhirCoverage(record, patientUrl) {
+        const provider = getInsurerName(record);
+        if (text(record.hasInsurance) !== 'Yes' || !provider) return null;
+
+        return prune({
+            resourceType: 'Coverage',
+            status: 'active',
+            subscriberId: text(record.policyNumber),
+            beneficiary: { reference: patientUrl },
+            relationship: {
+                coding: [{ system: 'http://terminology.hl7.org/CodeSystem/subscriber-relationship', code: 'self' }]
+            },
+            payor: [{ display: provider }]
+        });
+    }
+
+    // Map a registration record to a FHIR R4 collection Bundle; clinic is
+    // { facilityName, userIdSystem, preferredContactExtension }
+    function toFhirBundle(record, clinic) {
+        const patientUrl = 'urn:uuid:' + createUuid();
+        const entries = [{ fullUrl: patientUrl, resource: buildFhirPatient(record, clinic) }];
+
+        buildFhirConditions(record, patientUrl)
+            .concat(buildFhirAllergies(record, patientUrl), buildFhirMedications(record, patientUrl))
+            .forEach(resource => {
+                entries.push({ fullUrl: 'urn:uuid:' + createUuid(), resource: resource });
+            });
+
+        const coverage = buildFhirCoverage(record, patientUrl);
+        if (coverage) {
+            entries.push({ fullUrl: 'urn:uuid:' + createUuid(), resource: coverage });
+        }
+
+        return {
+            resourceType: 'Bundle',
+            type: 'collection',
+            timestamp: new Date().toISOString(),
+            entry: entries
+        };
+    }
+
+    // Collect paths of empty values anywhere in a resource (ele-1)
+    function findEmptyElements(value, path, errors) {
+        if (Array.isArray(value)) {
+            if (value.length === 0) errors.push(`${path}: array must not be empty`);
+            value.forEach((item, i) => findEmptyElements(item, `${path}[${i}]`, errors));
+        } else if (value && typeof value === 'object') {
+            const keys = Object.keys(value);
+            if (keys.length === 0) errors.push(`${path}: element must have a value or children`);
+            keys.forEach(key => findEmptyElements(value[key], `${path}.${key}`, errors));
+        } else if (value === '' || value === null || value === undefined) {
+            errors.push(`${path}: element must have a value`);
+        }
+    }
+
+    // Structural rules for each resource type; each returns a list of errors
+    const FHIR_RESOURCE_RULES = {
+        Patient: function(resource, path) {
+            const errors = [];
+            if (resource.gender && ['male', 'female', 'other', 'unknown'].indexOf(resource.gender) < 0) {
+                errors.push(`${path}.gender: invalid code "${resource.gender}"`);
+            }
+            if (resource.birthDate && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(resource.birthDate)) {
+                errors.push(`${path}.birthDate: must be YYYY, YYYY-MM or YYYY-MM-DD`);
+            }
+            (resource.name || []).forEach((name, i) => {
+                if (!name.family && !name.given && !name.text) {
+                    errors.push(`${path}.name[${i}]: needs a family name, given name or text`);
+                }
+            });
+            (resource.telecom || []).forEach((telecom, i) => {
+                if (['phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'].indexOf(telecom.system) < 0) {
+                    errors.push(`${path}.telecom[${i}].system: invalid code "${telecom.system}"`);
+                }
+                if (telecom.value && !telecom.system) {
+                    errors.push(`${path}.telecom[${i}]: a value needs a system (cpt-2)`);
+                }
+                if (telecom.rank !== undefined && !(Number.isInteger(telecom.rank) && telecom.rank > 0)) {
+                    errors.push(`${path}.telecom[${i}].rank: must be a positive integer`);
+                }
+            });
+            (resource.contact || []).forEach((contact, i) => {
+                if (!contact.name && !contact.telecom && !contact.address && !contact.organization) {
+                    errors.push(`${path}.contact[${i}]: needs a name, telecom, address or organization (pat-1)`);
+                }
+            });
+            (resource.communication || []).forEach((communication, i) => {
+                if (!communication.language) {
+                    errors.push(`${path}.communication[${i}].language: required`);
+                }
+            });
+            return errors;
+        },
+        Condition: function(resource, path) {
+            const errors = [];
+            if (!resource.subject || !resource.subject.reference) {
+                errors.push(`${path}.subject: required`);
+            }
+            if (!resource.code) {
+                errors.push(`${path}.code: required`);
+            }
+            if (resource.onsetDateTime && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(resource.onsetDateTime)) {
+                errors.push(`${path}.onsetDateTime: must be YYYY, YYYY-MM or YYYY-MM-DD`);
+            }
+            return errors;
+        },
+        AllergyIntolerance: function(resource, path) {
+            const errors = [];
+            if (!resource.patient || !resource.patient.reference) {
+                errors.push(`${path}.patient: required`);
+            }
+            (resource.reaction || []).forEach((reaction, i) => {
+                if (!reaction.manifestation || reaction.manifestation.length === 0) {
+                    errors.push(`${path}.reaction[${i}].manifestation: at least one manifestation is required`);
+                }
+                if (reaction.severity && ['mild', 'moderate', 'severe'].indexOf(reaction.severity) < 0) {
+                    errors.push(`${path}.reaction[${i}].severity: invalid code "${reaction.severity}"`);
+                }
+            });
+            return errors;
+        },
+        MedicationStatement: function(resource, path) {
+            const errors = [];
+            if (['active', 'completed', 'entered-in-error', 'intended', 'stopped', 'on-hold',
+                 'unknown', 'not-taken'].indexOf(resource.status) < 0) {
+                errors.push(`${path}.status: invalid code "${resource.status}"`);
+            }
+            if (!resource.medicationCodeableConcept && !resource.medicationReference) {
+                errors.push(`${path}.medication[x]: required`);
+            }
+            if (!resource.subject || !resource.subject.reference) {
+                errors.push(`${path}.subject: required`);
+            }
+            return errors;
+        },
+        Coverage: function(resource, path) {
+            const errors = [];
+            if (['active', 'cancelled', 'draft', 'entered-in-error'].indexOf(resource.status) < 0) {
+                errors.push(`${path}.status: invalid code "${resource.status}"`);
+            }
+            if (!resource.beneficiary || !resource.beneficiary.reference) {
+                errors.push(`${path}.beneficiary: required`);
+            }
+            if (!resource.payor || resource.payor.length === 0) {
+                errors.push(`${path}.payor: at least one payor is required`);
+            }
+            return errors;
+        }
+    };
+
+    // Check a FHIR Bundle against the structural rules; returns a list of errors
+    function validateFhirBundle(bundle) {
+        const errors = [];
+        if (!bundle || bundle.resourceType !== 'Bundle') {
+            return ['Bundle: resourceType must be "Bundle"'];
+        }
+        if (['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response',
+             'history', 'searchset', 'collection'].indexOf(bundle.type) < 0) {
+            errors.push(`Bundle.type: invalid code "${bundle.type}"`);
+        }
+        findEmptyElements(bundle, 'Bundle', errors);
+
+        const fullUrls = (bundle.entry || []).map(entry => entry.fullUrl);
+        (bundle.entry || []).forEach((entry, i) => {
+            const path = `Bundle.entry[${i}].resource`;
+            const resource = entry.resource;
+
+            if (!resource || !FHIR_RESOURCE_RULES[resource.resourceType]) {
+                errors.push(`${path}: unsupported resource type`);
+                return;
+            }
+            if (!/^urn:uuid:[0-9a-f-]{36}$/.test(entry.fullUrl || '')) {
+                errors.push(`Bundle.entry[${i}].fullUrl: must be a urn:uuid`);
+            }
+            if (resource.id !== undefined && !/^[A-Za-z0-9\-.]{1,64}$/.test(resource.id)) {
+                errors.push(`${path}.id: invalid id`);
+            }
+
+            errors.push.apply(errors, FHIR_RESOURCE_RULES[resource.resourceType](resource, path));
+
+            // References to other entries must resolve inside the bundle
+            [resource.subject, resource.patient, resource.beneficiary, resource.informationSource].forEach(reference => {
+                if (reference && reference.reference && /^urn:uuid:/.test(reference.reference) &&
+                    fullUrls.indexOf(reference.reference) < 0) {
+                    errors.push(`${path}: reference ${reference.reference} is not in the bundle`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    // ----- HL7 v2.5.1 -----
+
+    // Escape HL7 delimiter characters in a value
+    function escapeHl7(value) {
+        return text(value)
+            .replace(/\\/g, '\\E\\')
+            .replace(/\|/g, '\\F\\')
+            .replace(/\^/g, '\\S\\')
+            .replace(/&/g, '\\T\\')
+            .replace(/~/g, '\\R\\')
+            .replace(/[\r\n]+/g, ' ');
+    }
+
+    // Join escaped components with ^, dropping trailing empty ones
+    function components(values) {
+        return values.map(escapeHl7).join('^').replace(/\^+$/, '');
+    }
+
+    // Format a date as an HL7 DTM (YYYYMMDDHHMMSS)
+    function formatHl7Timestamp(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate()) +
+               pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds());
+    }
+
+    // Build a segment from its name and fields (fields[0] is field 1)
+    function segment(name, fields) {
+        return [name].concat(fields).join('|').replace(/\|+$/, '');
+    }
+
+    // Map a registration record to an HL7 v2.5.1 ADT^A04 (register a patient) message;
+    // the clinic's facilityName is the sending facility and the assigning authority of the patient ID
+    function toHl7Adt(record, clinic) {
+        const facility = text(clinic.facilityName);
+        const now = new Date();
+        const timestamp = formatHl7Timestamp(now);
+        const controlId = 'REG' + timestamp + String(Math.floor(Math.random() * 1000)).padStart(3, '0');
+        const gender = GENDER_CODES[text(record.gender)];
+        const language = text(record.preferredLanguage);
+        const contactMethod = text(record.preferredContactMethod);
+
+        // The first repetition of PID-13 is the preferred contact
+        const phone = text(record.phoneNumber) ? components([record.phoneNumber, 'PRN', 'PH']) : '';
+        const email = text(record.emailAddress) ? components(['', 'NET', 'Internet', record.emailAddress]) : '';
+        const telecoms = contactMethod === 'Email' ? [email, phone] : [phone, email];
+
+        const segments = [
+            'MSH|^~\\&|' + [
+                escapeHl7(SENDING_APPLICATION), escapeHl7(facility), '', escapeHl7(facility),
+                timestamp, '', 'ADT^A04^ADT_A01', controlId, 'P', '2.5.1'
+            ].join('|'),
+            segment('EVN', ['A04', timestamp]),
+            segment('PID', [
+                '1',                                                              // PID-1 set ID
+                '',
+                components([text(record.desiredUserID).toLowerCase(), '', '', facility, 'MR']),
+                '',
+                components([record.lastName, record.firstName, text(record.middleInitial).toUpperCase()]),
+                '',
+                text(record.dateOfBirth).replace(/-/g, ''),                        // PID-7
+                gender ? gender.hl7 : 'U',                                        // PID-8
+                '', '',
+                components([record.addressLine1, record.addressLine2, record.city,
+                            record.state, record.zipCode, 'USA', 'H']),           // PID-11
+                '',
+                telecoms.filter(Boolean).join('~'),                               // PID-13
+                '',
+                language ? (LANGUAGE_CODES[language]
+                    ? components([LANGUAGE_CODES[language], language, 'ISO639'])
+                    : components(['', language])) : ''                            // PID-15
+            ])
+        ];
+
+        if (text(record.emergencyContact) || text(record.emergencyPhone)) {
+            segments.push(segment('NK1', [
+                '1',
+                components([record.emergencyContact]),
+                '', '',
+                components([record.emergencyPhone, 'PRN', 'PH']),                 // NK1-5
+                '',
+                components(['C', 'Emergency Contact', 'HL70131'])                // NK1-7
+            ]));
+        }
+
+        segments.push(segment('PV1', ['1', 'O']));
+
+        getListEntries(record.allergies, 'allergen').forEach((allergy, i) => {
+            const severity = SEVERITY_CODES[text(allergy.severity)];
+            segments.push(segment('AL1', [
+                String(i + 1),
+                '',
+                components(['', allergy.allergen]),                              // AL1-3 allergen text
+                severity ? severity.hl7 : '',                                     // AL1-4
+                escapeHl7(allergy.reaction)                                       // AL1-5
+            ]));
+        });
+
+        getConditionNames(record.medicalConditions).forEach((name, i) => {
+            const known = getConditionCode(name);
+            segments.push(segment('DG1', [
+                String(i + 1),
+                '',
+                known ? components([known.code, known.display, 'SCT', '', name]) : components(['', name]),
+                '',
+                getConditionOnset(record, name).replace(/-/g, ''),                // DG1-5 onset date
+                'W'                                                               // DG1-6 working
+            ]));
+        });
+
+        if (text(record.hasInsurance) === 'Yes' && getInsurerName(record)) {
+            const fields = ['1', '', '', components([getInsurerName(record)])];   // IN1-4 company name
+            while (fields.length < 35) fields.push('');
+            fields.push(escapeHl7(record.policyNumber));                          // IN1-36 policy number
+            segments.push(segment('IN1', fields));
+        }
+
+        return segments.join('\r') + '\r';
+    }
+
+    // Segments an ADT^A04 message may contain, with the ones it must contain
+    const ADT_A04_SEGMENTS = ['MSH', 'EVN', 'PID', 'NK1', 'PV1', 'AL1', 'DG1', 'IN1'];
+    const ADT_A04_REQUIRED = ['MSH', 'EVN', 'PID', 'PV1'];
+
+    // Check an ADT^A04 message against the structural rules; returns a list of errors
+    function validateHl7Adt(message) {
+        const errors = [];
+        const segments = text(message).split(/\r\n|\r|\n/).filter(Boolean);
+
+        if (segments.length === 0 || !/^MSH\|\^~\\&\|/.test(segments[0])) {
+            return ['MSH: message must start with MSH|^~\\&|'];
+        }
+
+        const msh = segments[0].split('|');
+        if (msh[8] !== 'ADT^A04^ADT_A01' && msh[8] !== 'ADT^A04') errors.push('MSH-9: message type must be ADT^A04');
+        if (!msh[9]) errors.push('MSH-10: message control ID is required');
+        if (['P', 'T', 'D'].indexOf(msh[10]) < 0) errors.push('MSH-11: processing ID must be P, T or D');
+        if (!/^2\.\d/.test(msh[11] || '')) errors.push('MSH-12: version ID must be 2.x');
+
+        // Segments must be known and in order
+        let lastIndex = -1;
+        segments.forEach((line, i) => {
+            const name = line.slice(0, 3);
+            const index = ADT_A04_SEGMENTS.indexOf(name);
+            if (index < 0) {
+                errors.push(`Segment ${i + 1}: unexpected segment ${name}`);
+            } else if (index < lastIndex || (name === 'MSH' && i > 0)) {
+                errors.push(`Segment ${i + 1}: ${name} is out of order`);
+            } else {
+                lastIndex = index;
+            }
+        });
+        ADT_A04_REQUIRED.forEach(name => {
+            if (!segments.some(line => line.slice(0, 3) === name)) errors.push(`${name}: required segment is missing`);
+        });
+        ['MSH', 'EVN', 'PID', 'PV1'].forEach(name => {
+            if (segments.filter(line => line.slice(0, 3) === name).length > 1) errors.push(`${name}: only one segment is allowed`);
+        });
+
+        const pid = (segments.find(line => line.slice(0, 4) === 'PID|') || '').split('|');
+        if (pid.length > 1) {
+            if (!pid[3]) errors.push('PID-3: patient identifier is required');
+            if (!pid[5] || !pid[5].split('^')[0]) errors.push('PID-5: patient family name is required');
+            if (pid[7] && !/^\d{8}$/.test(pid[7])) errors.push('PID-7: date of birth must be YYYYMMDD');
+            if (pid[8] && ['M', 'F', 'O', 'U', 'A', 'N'].indexOf(pid[8]) < 0) errors.push('PID-8: invalid sex code');
+        }
+
+        const pv1 = (segments.find(line => line.slice(0, 4) === 'PV1|') || '').split('|');
+        if (pv1.length > 1 && !pv1[2]) errors.push('PV1-2: patient class is required');
+
+        segments.filter(line => line.slice(0, 4) === 'AL1|').forEach((line, i) => {
+            const al1 = line.split('|');
+            if (!al1[3]) errors.push(`AL1 ${i + 1}: AL1-3 allergen is required`);
+            if (al1[4] && ['SV', 'MO', 'MI', 'U'].indexOf(al1[4]) < 0) errors.push(`AL1 ${i + 1}: AL1-4 invalid severity code`);
+        });
+
+        segments.filter(line => line.slice(0, 4) === 'DG1|').forEach((line, i) => {
+            const dg1 = line.split('|');
+            if (!dg1[3]) errors.push(`DG1 ${i + 1}: DG1-3 diagnosis code is required`);
+            if (!dg1[6]) errors.push(`DG1 ${i + 1}: DG1-6 diagnosis type is required`);
+        });
+
+        return errors;
+    }
+
+    return {
+        toFhirBundle: toFhirBundle,
+        validateFhirBundle: validateFhirBundle,
+        toHl7Adt: toHl7Adt,
+        validateHl7Adt: validateHl7Adt,
+        escapeHl7: escapeHl7
+    };
+}));
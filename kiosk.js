@@ -0,0 +1,154 @@
+/*
+Program name: kiosk.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.1
+Description: Kiosk mode for lobby tablets, turned on with ?kiosk=1 in the URL (?kiosk=0
+             turns it off). After a period without activity the form warns, then starts
+             over from a fresh page so the next patient never sees the previous one's
+             answers; the thank-you page returns to the start on its own. Drafts are not
+             saved in kiosk mode (see draft.js).
+*/
+
+const KIOSK_STORAGE_KEY = 'kioskStartUrl';   // sessionStorage: the page kiosk mode was started from
+const KIOSK_IDLE_TIME = 2 * 60 * 1000;       // Inactivity before the warning on the form
+const KIOSK_WARNING_TIME = 30;               // Seconds the warning counts down before the reset
+const KIOSK_THANKYOU_TIME = 30 * 1000;       // Time the thank-you page stays up
+const KIOSK_ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'input', 'wheel', 'touchstart', 'scroll'];
+
+let kioskIdleTimer = null;
+let kioskCountdownTimer = null;
+let kioskCountdown = 0;
+let kioskFormUsed = false;     // Whether anything has been entered since the page loaded
+let kioskWarningOpener = null; // Element that had focus when the warning opened
+
+// Check whether this tab is running in kiosk mode
+function isKioskMode() {
+    return Boolean(sessionStorage.getItem(KIOSK_STORAGE_KEY));
+}
+
+// Turn kiosk mode on or off from ?kiosk= in the URL; the URL is kept as the start page
+function readKioskSetting() {
+    const setting = new URLSearchParams(window.location.search).get('kiosk');
+    if (setting === '1') {
+        sessionStorage.setItem(KIOSK_STORAGE_KEY, window.location.pathname + window.location.search);
+    } else if (setting === '0') {
+        sessionStorage.removeItem(KIOSK_STORAGE_KEY);
+    }
+}
+
+// Start over for the next patient: forget this visit and load the start page fresh,
+// replacing this page in the history so Back can't return to it
+function resetKiosk() {
+    const startUrl = sessionStorage.getItem(KIOSK_STORAGE_KEY) || 'index.html';
+    ['registrationId', 'submissionId', 'submissionStatus', CONFIRMATION_STORAGE_KEY, I18N_STORAGE_KEY].forEach(key => {
+        sessionStorage.removeItem(key);
+    });
+    window.location.replace(startUrl);
+}
+
+// Hide the inactivity warning
+function hideKioskWarning() {
+    clearInterval(kioskCountdownTimer);
+    const warning = document.getElementById('kioskWarning');
+    if (!warning || warning.hidden) return;
+
+    warning.hidden = true;
+    if (kioskWarningOpener && document.contains(kioskWarningOpener)) {
+        kioskWarningOpener.focus();
+    }
+}
+
+// Update the warning's countdown, resetting when it runs out
+function updateKioskCountdown() {
+    if (kioskCountdown <= 0) {
+        resetKiosk();
+        return;
+    }
+    document.getElementById('kioskCountdown').textContent = t('The form will be cleared in {seconds} seconds.', {
+        seconds: kioskCountdown
+    });
+    kioskCountdown -= 1;
+}
+
+// Warn that the form is about to be cleared
+function showKioskWarning() {
+    const warning = document.getElementById('kioskWarning');
+    if (!warning) {
+        resetKiosk();
+        return;
+    }
+
+    kioskWarningOpener = document.activeElement;
+    kioskCountdown = KIOSK_WARNING_TIME;
+    updateKioskCountdown();
+    warning.hidden = false;
+    document.getElementById('kioskContinueBtn').focus();
+    kioskCountdownTimer = setInterval(updateKioskCountdown, 1000);
+}
+
+// Called when the idle time runs out; a form nobody has started has nothing to clear
+function handleKioskIdle() {
+    if (kioskFormUsed) {
+        showKioskWarning();
+    } else {
+        restartKioskIdleTimer();
+    }
+}
+
+// Start the idle time over
+function restartKioskIdleTimer() {
+    clearTimeout(kioskIdleTimer);
+    kioskIdleTimer = setTimeout(handleKioskIdle, KIOSK_IDLE_TIME);
+}
+
+// Any activity outside the warning keeps the form open
+function handleKioskActivity(event) {
+    const warning = document.getElementById('kioskWarning');
+    if (warning && !warning.hidden) return;
+
+    if (event.type === 'input' || event.type === 'pointerdown' || event.type === 'keydown') {
+        kioskFormUsed = true;
+    }
+    restartKioskIdleTimer();
+}
+
+// Initialize kiosk mode on page load
+function initializeKiosk() {
+    if (!isKioskMode()) return;
+
+    // A page brought back from the back/forward cache may still show the last patient's answers
+    window.addEventListener('pageshow', function(event) {
+        if (event.persisted) resetKiosk();
+    });
+
+    if (!document.getElementById('registrationForm')) {
+        // The thank-you page starts over by itself, or when the patient is done
+        const backButton = document.querySelector('.back-button');
+        if (backButton) backButton.onclick = resetKiosk;
+        const note = document.getElementById('kioskReturnNote');
+        if (note) note.hidden = false;
+        setTimeout(resetKiosk, KIOSK_THANKYOU_TIME);
+        return;
+    }
+
+    KIOSK_ACTIVITY_EVENTS.forEach(type => {
+        document.addEventListener(type, handleKioskActivity, { capture: true, passive: true });
+    });
+    document.getElementById('kioskContinueBtn').addEventListener('click', function() {
+        hideKioskWarning();
+        restartKioskIdleTimer();
+    });
+    document.getElementById('kioskStartOverBtn').addEventListener('click', resetKiosk);
+    restartKioskIdleTimer();
+}
+
+// Read ?kiosk= right away so scripts initialized before this one (drafts) see the mode
+readKioskSetting();
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeKiosk);
+} else {
+    initializeKiosk();
+}
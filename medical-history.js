@@ -0,0 +1,271 @@
+/*
+Program name: medical-history.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.0
+Description: Structured medical history for the registration form. Builds the condition
+             checkboxes from MEDICAL_CONDITIONS, an onset date row for each checked
+             condition, and repeatable allergy and medication rows with add/remove
+             buttons. Row fields come from the list field definitions in fields.js and are
+             validated through validateSingleField like any other field.
+*/
+
+// List fields whose rows the user adds and removes
+const MEDICAL_LIST_FIELDS = ['allergies', 'medications'];
+
+// List field with one row per checked condition
+const CONDITION_DETAILS_FIELD = 'conditionDetails';
+
+// Build the condition checkboxes from MEDICAL_CONDITIONS
+function buildConditionCheckboxes() {
+    const container = document.getElementById('medicalConditionList');
+    if (!container) return;
+
+    container.innerHTML = '';
+    MEDICAL_CONDITIONS.forEach(condition => {
+        const option = document.createElement('span');
+        option.className = 'condition-option';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = condition.id;
+        checkbox.name = condition.id;
+        checkbox.value = 'true';
+
+        const label = document.createElement('label');
+        label.htmlFor = condition.id;
+        label.textContent = condition.label;
+
+        option.appendChild(checkbox);
+        option.appendChild(label);
+        container.appendChild(option);
+    });
+    applyTranslations(container);
+}
+
+// Create the control for one field of a list row
+function createItemControl(fieldName, index, itemDef, value) {
+    let control;
+    if (itemDef.options) {
+        control = document.createElement('select');
+        control.appendChild(new Option('Select...', ''));
+        itemDef.options.forEach(option => control.appendChild(new Option(option, option)));
+    } else {
+        control = document.createElement('input');
+        control.type = itemDef.format === 'date' ? 'date' : 'text';
+        if (itemDef.format === 'date') {
+            control.max = new Date().toISOString().split('T')[0];
+        }
+        if (itemDef.maxLength) control.maxLength = itemDef.maxLength;
+    }
+
+    control.id = `${fieldName}-${index}-${itemDef.name}`;
+    control.name = RegistrationValidation.getListItemKey(fieldName, index, itemDef.name);
+    control.dataset.item = itemDef.name;
+    control.value = value || '';
+    if (itemDef.required) control.setAttribute('aria-required', 'true');
+    return control;
+}
+
+// Create one row of a list field. Fields named in fixedItems are set by the page and
+// shown as text instead of a control.
+function createListRow(def, index, item, fixedItems) {
+    const row = document.createElement('div');
+    row.className = 'list-row';
+
+    def.items.forEach(itemDef => {
+        const cell = document.createElement('div');
+        cell.className = 'list-cell';
+
+        if (fixedItems.includes(itemDef.name)) {
+            const title = document.createElement('span');
+            title.className = 'list-row-title';
+            title.textContent = item[itemDef.name];
+
+            const hidden = document.createElement('input');
+            hidden.type = 'hidden';
+            hidden.name = RegistrationValidation.getListItemKey(def.name, index, itemDef.name);
+            hidden.dataset.item = itemDef.name;
+            hidden.value = item[itemDef.name];
+
+            cell.appendChild(title);
+            cell.appendChild(hidden);
+        } else {
+            const control = createItemControl(def.name, index, itemDef, item[itemDef.name]);
+            const label = document.createElement('label');
+            label.htmlFor = control.id;
+            label.textContent = itemDef.label;
+            if (itemDef.required) label.appendChild(document.createTextNode(' *'));
+
+            cell.appendChild(label);
+            cell.appendChild(control);
+        }
+        row.appendChild(cell);
+    });
+
+    if (MEDICAL_LIST_FIELDS.includes(def.name)) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'list-remove-btn';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => removeListRow(def.name, index));
+        row.appendChild(remove);
+    }
+    return row;
+}
+
+// Replace a list field's rows with the given entries
+function renderListRows(fieldName, items) {
+    const def = getFieldSchema(fieldName);
+    const container = getListContainer(fieldName);
+    if (!def || !container) return;
+
+    clearListItemErrors(fieldName);
+
+    const rows = container.querySelector('.list-rows');
+    const fixedItems = fieldName === CONDITION_DETAILS_FIELD ? ['condition'] : [];
+    rows.innerHTML = '';
+    items.forEach((item, index) => rows.appendChild(createListRow(def, index, item, fixedItems)));
+    applyTranslations(rows);
+
+    updateListControls(fieldName);
+}
+
+// Disable the add button once a list is full; hide the condition dates when none apply
+function updateListControls(fieldName) {
+    const def = getFieldSchema(fieldName);
+    const container = getListContainer(fieldName);
+    const count = container.querySelectorAll('.list-row').length;
+
+    const addButton = container.querySelector('.list-add-btn');
+    if (addButton) addButton.disabled = Boolean(def.maxItems) && count >= def.maxItems;
+
+    if (fieldName === CONDITION_DETAILS_FIELD) container.hidden = count === 0;
+}
+
+// Show the current errors of a list and its rows, for rows the user has touched
+function revalidateList(fieldName) {
+    getValidationKeys(getFieldSchema(fieldName)).forEach(key => {
+        showFieldError(key, validateSingleField(key, getFieldValue(key)));
+    });
+}
+
+// Add an empty row to a list field
+function addListRow(fieldName, focus) {
+    const def = getFieldSchema(fieldName);
+    const container = getListContainer(fieldName);
+    const rows = container.querySelector('.list-rows');
+    const index = rows.querySelectorAll('.list-row').length;
+    if (def.maxItems && index >= def.maxItems) return;
+
+    const row = createListRow(def, index, {}, []);
+    rows.appendChild(row);
+    applyTranslations(row);
+    updateListControls(fieldName);
+
+    fieldTouched[fieldName] = true;
+    showFieldError(fieldName, validateSingleField(fieldName, getFieldValue(fieldName)));
+
+    if (focus) row.querySelector('[data-item]').focus();
+}
+
+// Remove one row from a list field; the rows after it move up
+function removeListRow(fieldName, index) {
+    const items = getListValue(fieldName);
+    items.splice(index, 1);
+    renderListRows(fieldName, items);
+
+    fieldTouched[fieldName] = true;
+    revalidateList(fieldName);
+    scheduleDraftSave();
+
+    // Keep keyboard focus in the list
+    const container = getListContainer(fieldName);
+    const next = container.querySelectorAll('.list-row')[Math.min(index, items.length - 1)];
+    (next ? next.querySelector('[data-item]') : container.querySelector('.list-add-btn')).focus();
+}
+
+// Rebuild the onset date rows to match the checked conditions, keeping entered dates
+function syncConditionDetails(items) {
+    const onsetDates = {};
+    (items || []).forEach(item => {
+        if (item && item.condition) onsetDates[item.condition] = item.onsetDate || '';
+    });
+
+    const checked = getMedicalConditions();
+    const rows = checked === 'None' ? [] : checked.split(', ').map(condition => ({
+        condition: condition,
+        onsetDate: onsetDates[condition] || ''
+    }));
+    renderListRows(CONDITION_DETAILS_FIELD, rows);
+    revalidateList(CONDITION_DETAILS_FIELD);
+}
+
+// Start required lists that just appeared (such as allergies) with one empty row
+function addRequiredListRows() {
+    const states = getCurrentFieldStates();
+    MEDICAL_LIST_FIELDS.forEach(fieldName => {
+        const state = states[fieldName];
+        if (state.active && state.required && getListValue(fieldName).length === 0) {
+            addListRow(fieldName, false);
+        }
+    });
+}
+
+// Put saved entries back into a list field (used by draft.js)
+function setListValue(fieldName, items) {
+    if (fieldName === CONDITION_DETAILS_FIELD) {
+        syncConditionDetails(items);
+    } else {
+        renderListRows(fieldName, Array.isArray(items) ? items : []);
+    }
+}
+
+// Validate a row field as the user edits it
+function handleListItemInput(event) {
+    const control = event.target;
+    if (!control.dataset || !control.dataset.item || control.type === 'hidden') return;
+
+    fieldTouched[control.name] = true;
+    showFieldError(control.name, validateSingleField(control.name, control.value));
+}
+
+// Initialize the medical history lists on page load
+function initializeMedicalHistory() {
+    if (!document.getElementById('medicalConditionList')) return;
+
+    buildConditionCheckboxes();
+    document.getElementById('medicalConditionList').addEventListener('change', function() {
+        syncConditionDetails(getListValue(CONDITION_DETAILS_FIELD));
+        addRequiredListRows();
+    });
+
+    MEDICAL_LIST_FIELDS.concat(CONDITION_DETAILS_FIELD).forEach(fieldName => {
+        const container = getListContainer(fieldName);
+        if (!container) return;
+
+        container.addEventListener('input', handleListItemInput);
+        container.addEventListener('change', handleListItemInput);
+        container.addEventListener('focusout', handleListItemInput);
+
+        const addButton = container.querySelector('.list-add-btn');
+        if (addButton) addButton.addEventListener('click', () => addListRow(fieldName, true));
+
+        updateListControls(fieldName);
+    });
+
+    const form = document.getElementById('registrationForm');
+    if (form) {
+        // Reset unchecks the conditions after the event, so wait a tick
+        form.addEventListener('reset', () => setTimeout(function() {
+            MEDICAL_LIST_FIELDS.concat(CONDITION_DETAILS_FIELD).forEach(fieldName => renderListRows(fieldName, []));
+        }, 0));
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeMedicalHistory);
+} else {
+    initializeMedicalHistory();
+}
@@ -0,0 +1,311 @@
+/*
+Program name: outbox.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.3
+Description: Offline outbox for registrations. A registration that can't reach the server
+             is encrypted (AES-GCM) and kept in IndexedDB, then sent when the connection
+             returns, retrying with exponential backoff. The encryption key is created in
+             the browser, stored next to the outbox and can't be exported, so the stored
+             registrations can't be read outside this site's pages.
+             Loaded by the pages and by the service worker (sw.js), which sends the outbox
+             through Background Sync even after the page is closed. The pages also register
+             the service worker and show the submission status on thankyou.html.
+             The pages and the service worker send the outbox under one Web Lock, so a
+             registration is never sent by two of them at once.
+*/
+
+const OUTBOX_DB_NAME = 'registrationOutbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'submissions';
+const OUTBOX_KEY_STORE = 'keys';
+const OUTBOX_KEY_ID = 'outbox';
+const OUTBOX_SYNC_TAG = 'registration-outbox';  // Background Sync tag, also the BroadcastChannel name
+const OUTBOX_LOCK_NAME = 'registration-outbox';  // Web Lock shared by the pages and the service worker
+const OUTBOX_RETRY_BASE = 5 * 1000;             // First retry after about 5 seconds...
+const OUTBOX_RETRY_MAX = 5 * 60 * 1000;         // ...doubling up to 5 minutes
+const OUTBOX_RETRY_STATUSES = [502, 503, 504];  // Gateway replies: the server itself wasn't reached
+
+let outboxSyncRun = null;    // Promise of this context's sync in progress, so calls share it
+let outboxSyncTimer = null;
+
+// Check whether this browser can keep an encrypted outbox
+function isOutboxSupported() {
+    return typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+// Wrap an IndexedDB request in a Promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Open the outbox database, creating its stores the first time
+function openOutboxDb() {
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+        db.createObjectStore(OUTBOX_KEY_STORE);
+    };
+    return promisifyRequest(request);
+}
+
+// Get a store of the outbox database for one transaction
+function getOutboxStore(db, storeName, mode) {
+    return db.transaction(storeName, mode).objectStore(storeName);
+}
+
+// Get the outbox encryption key, creating a non-extractable one the first time
+async function getOutboxKey(db) {
+    const saved = await promisifyRequest(getOutboxStore(db, OUTBOX_KEY_STORE, 'readonly').get(OUTBOX_KEY_ID));
+    if (saved) return saved;
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await promisifyRequest(getOutboxStore(db, OUTBOX_KEY_STORE, 'readwrite').put(key, OUTBOX_KEY_ID));
+    return key;
+}
+
+// Encrypt a registration for the outbox
+async function encryptOutboxPayload(key, payload) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key,
+        new TextEncoder().encode(JSON.stringify(payload)));
+    return { iv: iv, data: data };
+}
+
+// Decrypt a registration from the outbox
+async function decryptOutboxPayload(key, entry) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: entry.iv }, key, entry.data);
+    return JSON.parse(new TextDecoder().decode(data));
+}
+
+// Make an id for a submission; the server uses it to ignore a registration sent twice
+function createSubmissionId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+}
+
+// Check whether a registration never reached the server (no response, or a gateway's reply),
+// so sending it again later may work
+function isServerUnreachable(response) {
+    return !response || OUTBOX_RETRY_STATUSES.includes(response.status);
+}
+
+// Time to wait before the next try, doubling with each failed attempt; the random
+// part keeps tablets that come back online together from retrying at the same moment
+function getOutboxRetryDelay(attempts) {
+    const delay = Math.min(OUTBOX_RETRY_MAX, OUTBOX_RETRY_BASE * Math.pow(2, attempts));
+    return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+// Tell open pages about a change to a submission's status, with the server's confirmation
+// once it has been sent
+function announceOutboxStatus(submissionId, status, registrationId, confirmation) {
+    if (typeof BroadcastChannel === 'undefined') return;
+
+    const channel = new BroadcastChannel(OUTBOX_SYNC_TAG);
+    channel.postMessage({
+        submissionId: submissionId,
+        status: status,
+        registrationId: registrationId || null,
+        confirmation: confirmation || null
+    });
+    channel.close();
+}
+
+// Keep a registration (which includes its submissionId) to send later
+async function queueRegistration(url, payload) {
+    const db = await openOutboxDb();
+    try {
+        const key = await getOutboxKey(db);
+        const encrypted = await encryptOutboxPayload(key, payload);
+        await promisifyRequest(getOutboxStore(db, OUTBOX_STORE, 'readwrite').put({
+            id: payload.submissionId,
+            url: url,
+            status: 'queued',
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            iv: encrypted.iv,
+            data: encrypted.data
+        }));
+    } finally {
+        db.close();
+    }
+}
+
+// Get the status of a queued submission: 'queued', 'rejected', or null once it has been sent
+async function getOutboxStatus(submissionId) {
+    const db = await openOutboxDb();
+    try {
+        const entry = await promisifyRequest(getOutboxStore(db, OUTBOX_STORE, 'readonly').get(submissionId));
+        return entry ? entry.status : null;
+    } finally {
+        db.close();
+    }
+}
+
+// Send one queued registration and update or remove its entry
+async function sendOutboxEntry(db, key, entry) {
+    let response;
+    try {
+        response = await fetch(entry.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(await decryptOutboxPayload(key, entry))
+        });
+    } catch (err) {
+        response = null;
+    }
+
+    if (response && response.ok) {
+        const body = await response.json().catch(() => ({}));
+        await promisifyRequest(getOutboxStore(db, OUTBOX_STORE, 'readwrite').delete(entry.id));
+        announceOutboxStatus(entry.id, 'submitted', body.id, body.confirmation);
+        return;
+    }
+
+    if (!isServerUnreachable(response)) {
+        // The server turned the registration down (for example, the User ID was taken
+        // while offline) or failed on it. Sending it again won't help, so keep it for
+        // the front desk.
+        entry.status = 'rejected';
+        entry.rejectedAt = new Date().toISOString();
+        entry.responseStatus = response.status;
+    } else {
+        entry.attempts += 1;
+        entry.nextAttemptAt = Date.now() + getOutboxRetryDelay(entry.attempts);
+    }
+    await promisifyRequest(getOutboxStore(db, OUTBOX_STORE, 'readwrite').put(entry));
+    announceOutboxStatus(entry.id, entry.status);
+}
+
+// Send every queued registration that is due. Returns { queued, nextAttemptAt } for what is left.
+// Every open page and the service worker take the same lock first, so a sync waits for one
+// running elsewhere and then finds the registrations it sent already gone from the outbox.
+function syncOutbox() {
+    if (!outboxSyncRun) {
+        const run = typeof navigator !== 'undefined' && navigator.locks
+            ? navigator.locks.request(OUTBOX_LOCK_NAME, runOutboxSync)
+            : runOutboxSync();
+        outboxSyncRun = run.finally(() => {
+            outboxSyncRun = null;
+        });
+    }
+    return outboxSyncRun;
+}
+
+// Do the work of syncOutbox
+async function runOutboxSync() {
+    const db = await openOutboxDb();
+    try {
+        const key = await getOutboxKey(db);
+        const entries = await promisifyRequest(getOutboxStore(db, OUTBOX_STORE, 'readonly').getAll());
+        const now = Date.now();
+
+        for (const entry of entries) {
+            if (entry.status === 'queued' && entry.nextAttemptAt <= now) {
+                await sendOutboxEntry(db, key, entry);
+            }
+        }
+
+        const remaining = (await promisifyRequest(getOutboxStore(db, OUTBOX_STORE, 'readonly').getAll()))
+            .filter(entry => entry.status === 'queued');
+        return {
+            queued: remaining.length,
+            nextAttemptAt: remaining.length ? Math.min.apply(null, remaining.map(entry => entry.nextAttemptAt)) : null
+        };
+    } finally {
+        db.close();
+    }
+}
+
+// Sync now and again when the next retry is due (pages only; the service worker
+// is woken by Background Sync instead)
+async function scheduleOutboxSync() {
+    clearTimeout(outboxSyncTimer);
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+    let result;
+    try {
+        result = await syncOutbox();
+    } catch (err) {
+        return;
+    }
+    if (result.nextAttemptAt !== null) {
+        outboxSyncTimer = setTimeout(scheduleOutboxSync, Math.max(0, result.nextAttemptAt - Date.now()));
+    }
+}
+
+// Ask the service worker to send the outbox when the connection returns, even if
+// the page is closed by then; the page's own retries cover browsers without it
+async function requestOutboxSync() {
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.sync) await registration.sync.register(OUTBOX_SYNC_TAG);
+    } catch (err) {
+        // Background Sync unavailable
+    }
+}
+
+// Show whether this page's registration was submitted or is waiting in the outbox
+// (thankyou.html); the message changes when a queued registration is sent, and a
+// submissionstatuschange event lets the page show the confirmation that came with it
+async function showSubmissionStatus() {
+    const container = document.getElementById('submissionStatus');
+    if (!container) return;
+
+    const submissionId = sessionStorage.getItem('submissionId');
+    let status = sessionStorage.getItem('submissionStatus') || 'submitted';
+    if (status === 'queued' && submissionId && isOutboxSupported()) {
+        status = await getOutboxStatus(submissionId).catch(() => status) || 'submitted';
+    }
+
+    const setStatus = newStatus => {
+        sessionStorage.setItem('submissionStatus', newStatus);
+        container.querySelectorAll('[data-status]').forEach(element => {
+            element.hidden = element.dataset.status !== newStatus;
+        });
+    };
+    setStatus(status);
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        new BroadcastChannel(OUTBOX_SYNC_TAG).onmessage = event => {
+            if (event.data.submissionId !== submissionId) return;
+            if (event.data.registrationId) sessionStorage.setItem('registrationId', event.data.registrationId);
+            if (event.data.confirmation) {
+                sessionStorage.setItem(CONFIRMATION_STORAGE_KEY, JSON.stringify(event.data.confirmation));
+            }
+            setStatus(event.data.status);
+            document.dispatchEvent(new CustomEvent('submissionstatuschange', { detail: { status: event.data.status } }));
+        };
+    }
+}
+
+// Register the service worker and start sending anything left in the outbox
+function initializeOutbox() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(() => {
+            // Pages still work online without the service worker
+        });
+    }
+
+    showSubmissionStatus();
+
+    if (!isOutboxSupported()) return;
+    window.addEventListener('online', scheduleOutboxSync);
+    scheduleOutboxSync();
+}
+
+// The service worker loads this file too, and has no document
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initializeOutbox);
+    } else {
+        initializeOutbox();
+    }
+}
@@ -0,0 +1,94 @@
+/*
+Program name: password-strength.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.0
+Description: Live password feedback for the registration form: a checklist that ticks
+             each requirement as it is met and an entropy-based strength meter. The rules
+             come from RegistrationValidation, so the checklist always matches validation.
+*/
+
+// Get the current password and the values it must not contain
+function getPasswordInputs() {
+    return {
+        password: getFieldValue('password'),
+        userId: getFieldValue('desiredUserID'),
+        firstName: getFieldValue('firstName'),
+        lastName: getFieldValue('lastName')
+    };
+}
+
+// Redraw the requirements checklist
+function updatePasswordChecklist(inputs) {
+    const checklist = document.getElementById('passwordChecklist');
+    if (!checklist) return;
+
+    const checks = RegistrationValidation.checkPasswordRules(inputs.password, inputs.userId,
+                                                             inputs.firstName, inputs.lastName);
+    checklist.innerHTML = '';
+    checks.forEach(check => {
+        // Nothing is met before anything is typed
+        const met = Boolean(inputs.password) && check.met;
+
+        const item = document.createElement('li');
+        item.className = met ? 'met' : 'unmet';
+
+        const status = document.createElement('span');
+        status.className = 'password-check-status';
+        status.textContent = t(met ? 'Met:' : 'Not met:');
+
+        item.appendChild(status);
+        item.appendChild(document.createTextNode(' ' + t(check.message)));
+        checklist.appendChild(item);
+    });
+}
+
+// Update the strength meter and its label
+function updatePasswordStrength(inputs) {
+    const meter = document.getElementById('passwordStrengthMeter');
+    const label = document.getElementById('passwordStrengthLabel');
+
+    const strength = RegistrationValidation.getPasswordStrength(inputs.password, inputs.userId,
+                                                                inputs.firstName, inputs.lastName);
+    if (meter) {
+        // Scores run 0-4; shift by one so a very weak password still shows on the meter
+        meter.value = inputs.password ? strength.score + 1 : 0;
+    }
+    if (label) {
+        label.textContent = inputs.password ? t(strength.label) : '';
+        label.className = 'password-strength-label strength-' + (inputs.password ? strength.score : 'none');
+    }
+}
+
+// Refresh all password feedback
+function updatePasswordFeedback() {
+    const inputs = getPasswordInputs();
+    updatePasswordChecklist(inputs);
+    updatePasswordStrength(inputs);
+}
+
+// Initialize password feedback on page load
+function initializePasswordStrength() {
+    if (!document.getElementById('passwordChecklist')) return;
+
+    ['password', 'desiredUserID', 'firstName', 'lastName'].forEach(name => {
+        const field = document.querySelector(`[name="${name}"]`);
+        if (field) field.addEventListener('input', updatePasswordFeedback);
+    });
+
+    const form = document.getElementById('registrationForm');
+    if (form) {
+        // Reset clears the fields after the event, so wait a tick
+        form.addEventListener('reset', () => setTimeout(updatePasswordFeedback, 0));
+    }
+    document.addEventListener('languagechange', updatePasswordFeedback);
+
+    updatePasswordFeedback();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializePasswordStrength);
+} else {
+    initializePasswordStrength();
+}
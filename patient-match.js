@@ -0,0 +1,172 @@
+/*
+Program name: patient-match.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.0
+Description: Finds stored registrations that may belong to the patient being registered,
+             so a returning patient doesn't get a second chart. Names are compared by
+             sound (Soundex) and spelling (edit distance) as well as exactly, along with
+             the date of birth, the last 4 digits of the SSN, the phone number and the
+             email address. Each field adds its weight to a score out of 100; stored
+             registrations scoring at least DUPLICATE_SCORE_THRESHOLD are returned as
+             possible matches, best first. Used by server.js.
+*/
+
+// Points each field adds to the score; a close but not exact match earns part of them
+const MATCH_WEIGHTS = {
+    lastName: 25,
+    firstName: 15,
+    dateOfBirth: 25,
+    ssnLast4: 15,
+    phone: 10,
+    email: 10
+};
+const SIMILAR_NAME_CREDIT = 0.8;   // Share of a name's points for one that sounds or is spelled alike
+const SIMILAR_DATE_CREDIT = 0.6;   // Share of the date's points for a likely typo (see isSimilarDate)
+const DUPLICATE_SCORE_THRESHOLD = 55;
+const MAX_DUPLICATE_CANDIDATES = 5;
+
+// Reduce a name to uppercase letters ("O'Brien-Smith" -> "OBRIENSMITH")
+function toNameKey(name) {
+    return String(name || '').toUpperCase().replace(/[^A-Z]/g, '');
+}
+
+// American Soundex code of a name: its first letter and three digits for the consonants
+// that follow ("Robert" and "Rupert" are both R163)
+function soundex(name) {
+    const letters = toNameKey(name);
+    if (!letters) return '';
+
+    const codes = { B: 1, F: 1, P: 1, V: 1, C: 2, G: 2, J: 2, K: 2, Q: 2, S: 2, X: 2, Z: 2,
+                    D: 3, T: 3, L: 4, M: 5, N: 5, R: 6 };
+    let result = letters.charAt(0);
+    let previous = codes[letters.charAt(0)] || 0;
+
+    for (let i = 1; i < letters.length && result.length < 4; i++) {
+        const letter = letters.charAt(i);
+        const code = codes[letter] || 0;
+        if (code && code !== previous) result += code;
+        // H and W don't separate two letters with the same code; vowels do
+        if (letter !== 'H' && letter !== 'W') previous = code;
+    }
+    return (result + '000').slice(0, 4);
+}
+
+// Number of single-letter insertions, deletions or substitutions between two strings
+function editDistance(a, b) {
+    let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+            next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+        }
+        row = next;
+    }
+    return row[b.length];
+}
+
+// Compare two names: 1 for the same name, SIMILAR_NAME_CREDIT for one that sounds alike, is
+// a typo away (one letter for short names, two for longer ones) or is the start of the
+// other ("Jon" and "Jonathan"), otherwise 0
+function compareNames(a, b) {
+    const keyA = toNameKey(a);
+    const keyB = toNameKey(b);
+    if (!keyA || !keyB) return 0;
+    if (keyA === keyB) return 1;
+
+    const shorter = Math.min(keyA.length, keyB.length);
+    const allowedEdits = shorter <= 5 ? 1 : 2;
+    const isShortForm = shorter >= 3 && (keyA.startsWith(keyB) || keyB.startsWith(keyA));
+    if (isShortForm || soundex(keyA) === soundex(keyB) || editDistance(keyA, keyB) <= allowedEdits) {
+        return SIMILAR_NAME_CREDIT;
+    }
+    return 0;
+}
+
+// Check whether two YYYY-MM-DD dates differ the way a typo would: month and day swapped,
+// or a single digit wrong
+function isSimilarDate(a, b) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(a) || !/^\d{4}-\d{2}-\d{2}$/.test(b)) return false;
+
+    const [yearA, monthA, dayA] = a.split('-');
+    const [yearB, monthB, dayB] = b.split('-');
+    if (yearA === yearB && monthA === dayB && dayA === monthB) return true;
+
+    let differences = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a.charAt(i) !== b.charAt(i)) differences++;
+    }
+    return differences === 1;
+}
+
+// Compare two dates of birth: 1 when equal, SIMILAR_DATE_CREDIT for a likely typo, otherwise 0
+function compareDates(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    return isSimilarDate(a, b) ? SIMILAR_DATE_CREDIT : 0;
+}
+
+// Last 10 digits of a phone number, so +1 and formatting don't matter
+function toPhoneKey(phone) {
+    return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+// Get the values compared for a registration: a normalized record being submitted or a
+// stored registration (which keeps only the SSN's last 4 digits)
+function getMatchValues(registration) {
+    const ssn = registration.socialSecurityLast4 || String(registration.socialSecurity || '').replace(/\D/g, '');
+    return {
+        lastName: registration.lastName,
+        firstName: registration.firstName,
+        dateOfBirth: registration.dateOfBirth,
+        ssnLast4: ssn.length >= 4 ? ssn.slice(-4) : '',
+        phone: toPhoneKey(registration.phoneNumber),
+        email: String(registration.emailAddress || '').trim().toLowerCase()
+    };
+}
+
+// Score how likely a stored registration is the same patient as a submitted record.
+// Returns { score, matchedOn } where matchedOn lists the fields that matched (in full or in part).
+function scoreMatch(record, registration) {
+    const a = getMatchValues(record);
+    const b = getMatchValues(registration);
+    const same = (x, y) => (x && x === y ? 1 : 0);
+    const credits = {
+        lastName: compareNames(a.lastName, b.lastName),
+        firstName: compareNames(a.firstName, b.firstName),
+        dateOfBirth: compareDates(a.dateOfBirth, b.dateOfBirth),
+        ssnLast4: same(a.ssnLast4, b.ssnLast4),
+        phone: same(a.phone, b.phone),
+        email: same(a.email, b.email)
+    };
+
+    let score = 0;
+    const matchedOn = [];
+    Object.keys(MATCH_WEIGHTS).forEach(field => {
+        if (credits[field] > 0) {
+            score += MATCH_WEIGHTS[field] * credits[field];
+            matchedOn.push(field);
+        }
+    });
+    return { score: Math.round(score), matchedOn: matchedOn };
+}
+
+// Find the stored registrations that may be the same patient as a submitted record.
+// Returns [{ registration, score, matchedOn }], highest score first.
+function findPossibleDuplicates(record, registrations) {
+    return registrations
+        .map(registration => Object.assign({ registration: registration }, scoreMatch(record, registration)))
+        .filter(match => match.score >= DUPLICATE_SCORE_THRESHOLD)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_DUPLICATE_CANDIDATES);
+}
+
+module.exports = {
+    DUPLICATE_SCORE_THRESHOLD,
+    soundex,
+    editDistance,
+    scoreMatch,
+    findPossibleDuplicates
+};
@@ -0,0 +1,112 @@
+/*
+Program name: payers.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.0
+Description: Insurance payers offered by the Insurance Provider picker, with the member ID
+             format printed on each payer's cards. validation.js checks the Policy Number
+             against the selected payer's memberId pattern (letters uppercased, spaces and
+             dashes removed) and maps the aliases to the payer's name, so "BCBS" and
+             "Blue Cross Blue Shield" are stored as the same insurer. insurance.js uses the
+             names and aliases to find the payer on a scanned card.
+
+             memberId patterns cover the common card layouts; a payer whose plans use
+             several layouts gets a pattern that accepts all of them.
+*/
+
+const PAYERS = [
+    {
+        id: 'aetna',
+        name: 'Aetna',
+        aliases: ['Aetna Health', 'Aetna Better Health'],
+        memberId: /^W\d{9}$/,
+        example: 'W123456789',
+        format: { en: 'W followed by 9 digits', es: 'W seguida de 9 dígitos' }
+    },
+    {
+        id: 'bcbs',
+        name: 'Blue Cross Blue Shield',
+        aliases: ['BCBS', 'Blue Cross', 'Blue Shield', 'BlueCross BlueShield', 'Anthem', 'Anthem Blue Cross',
+                  'CareFirst', 'Highmark', 'Premera', 'Regence'],
+        memberId: /^[A-Z]{3}[A-Z0-9]{6,14}$/,
+        example: 'XYZ123456789',
+        format: {
+            en: '3-letter prefix followed by 6-14 letters or numbers',
+            es: 'prefijo de 3 letras seguido de 6 a 14 letras o números'
+        }
+    },
+    {
+        id: 'cigna',
+        name: 'Cigna',
+        aliases: ['Cigna Healthcare'],
+        memberId: /^U\d{8}(\d{2})?$/,
+        example: 'U12345678',
+        format: {
+            en: 'U followed by 8 digits, sometimes with a 2-digit suffix',
+            es: 'U seguida de 8 dígitos, a veces con un sufijo de 2 dígitos'
+        }
+    },
+    {
+        id: 'humana',
+        name: 'Humana',
+        aliases: ['Humana Health'],
+        memberId: /^H\d{8}$/,
+        example: 'H12345678',
+        format: { en: 'H followed by 8 digits', es: 'H seguida de 8 dígitos' }
+    },
+    {
+        id: 'kaiser',
+        name: 'Kaiser Permanente',
+        aliases: ['Kaiser'],
+        memberId: /^\d{7,9}$/,
+        example: '12345678',
+        format: { en: '7-9 digit medical record number', es: 'número de historia clínica de 7 a 9 dígitos' }
+    },
+    {
+        id: 'medicaid',
+        name: 'Medicaid',
+        aliases: ['State Medicaid'],
+        memberId: /^[A-Z0-9]{8,14}$/,
+        example: '123456789012',
+        format: { en: '8-14 letters or numbers', es: '8 a 14 letras o números' }
+    },
+    {
+        id: 'medicare',
+        name: 'Medicare',
+        aliases: ['Original Medicare', 'Medicare Part A', 'Medicare Part B'],
+        // Medicare Beneficiary Identifier: no S, L, O, I, B or Z
+        memberId: /^[1-9][AC-HJKMNP-RT-Y][AC-HJKMNP-RT-Y0-9]\d[AC-HJKMNP-RT-Y][AC-HJKMNP-RT-Y0-9]\d[AC-HJKMNP-RT-Y]{2}\d{2}$/,
+        example: '1EG4TE5MK73',
+        format: {
+            en: '11-character Medicare Beneficiary Identifier (MBI)',
+            es: 'identificador de beneficiario de Medicare (MBI) de 11 caracteres'
+        }
+    },
+    {
+        id: 'tricare',
+        name: 'TRICARE',
+        aliases: ['Tricare Prime', 'Tricare Select'],
+        memberId: /^\d{11}$/,
+        example: '12345678901',
+        format: { en: '11-digit DoD Benefits Number', es: 'número de beneficios del DoD de 11 dígitos' }
+    },
+    {
+        id: 'uhc',
+        name: 'UnitedHealthcare',
+        aliases: ['UHC', 'United Healthcare', 'United Health Care', 'UnitedHealth'],
+        memberId: /^\d{9}(\d{2})?$/,
+        example: '123456789',
+        format: {
+            en: '9 digits, or 11 digits with a 2-digit suffix',
+            es: '9 dígitos, u 11 dígitos con un sufijo de 2 dígitos'
+        }
+    }
+];
+
+// Insurance Provider value for an insurer that isn't listed; its name goes in otherInsuranceProvider
+const OTHER_PAYER = 'Other';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PAYERS, OTHER_PAYER };
+}
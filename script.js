@@ -2,16 +2,28 @@
 Program name: script.js
 Author: Rakshith Vuppala
 Date created: October 20 2025
-Date last edited: November 02 2025
-Version: 3.0
-Description: Form validation and review helper functions with real-time validation
+Date last edited: October 18 2026
+Version: 4.7
+Description: Form validation and review helper functions with real-time validation.
+             DOM adapter over the validation library in validation.js. Loaded on the
+             form page only; the display helpers other pages share are in form-display.js.
 */
 
 // Global validation state
 let validationErrors = {};
 let fieldTouched = {}; // Track which fields have been interacted with
 let ssnActualValue = ''; // Store actual SSN value
-let lastSSNMaskedLength = 0; // Track last masked length
+let ssnRevealed = false; // Whether the SSN digits are shown instead of masked
+let reviewOpener = null; // Element that had focus when the review panel opened
+let formSubmissionId = null; // Id sent with every try of this filled-in form, so the server stores it once
+let submissionInProgress = false; // Whether a registration is being sent
+
+// Phone inputs; each has a country selector with the id <fieldName>Country
+const PHONE_FIELDS = ['phoneNumber', 'emergencyPhone', 'guardianPhone'];
+const DEFAULT_PHONE_COUNTRY = 'US';
+
+// Thank-you page status when the patient kept or updated an existing registration
+const DUPLICATE_DECISION_STATUSES = { confirm: 'existing', merge: 'updated' };
 
 // Set date limits on page load
 function setDateLimits() {
@@ -28,6 +40,51 @@ function setDateLimits() {
     dateInput.setAttribute('min', minDateStr);
 }
 
+// Show today's date in the banner
+function showCurrentDate() {
+    const dateElement = document.getElementById('currentDate');
+    if (!dateElement) return;
+
+    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const months = ['January', 'February', 'March', 'April', 'May', 'June',
+                    'July', 'August', 'September', 'October', 'November', 'December'];
+    const now = new Date();
+    const day = now.getDate();
+    let suffix = 'th';
+    if (day === 1 || day === 21 || day === 31) suffix = 'st';
+    else if (day === 2 || day === 22) suffix = 'nd';
+    else if (day === 3 || day === 23) suffix = 'rd';
+
+    dateElement.textContent = t('Today is: {weekday}, {month} {day}{suffix}, {year}', {
+        weekday: t(days[now.getDay()]),
+        month: t(months[now.getMonth()]),
+        day: day,
+        suffix: suffix,
+        year: now.getFullYear()
+    });
+}
+
+// Re-render text built at runtime after the language changes
+function refreshLocalizedContent() {
+    showCurrentDate();
+    updateSSNToggle();
+    updateAgeDisplay();
+
+    // Field errors are stored untranslated, so showing them again translates them
+    Object.keys(validationErrors).forEach(fieldName => {
+        showFieldError(fieldName, validationErrors[fieldName]);
+    });
+    if (Object.keys(fieldTouched).length > 0) {
+        updateErrorCounter();
+    }
+
+    buildReviewArea();
+    const reviewArea = document.getElementById('reviewArea');
+    if (reviewArea && reviewArea.style.display === 'block') {
+        fillReviewArea();
+    }
+}
+
 // Convert User ID to lowercase as user types
 function convertUserIDToLowercase() {
     const userIDInput = document.getElementById('desiredUserID');
@@ -48,111 +105,433 @@ function convertEmailToLowercase() {
     });
 }
 
-// Format and mask SSN
-function formatSSN(input) {
-    let currentValue = input.value;
-    let currentLength = currentValue.length;
+// Build the SSN display value: digits when revealed, X otherwise, dashes between groups
+function formatSSNDisplay(digits, revealed) {
+    let display = '';
+    for (let i = 0; i < digits.length; i++) {
+        // Add dashes before the 4th and 6th digit
+        if (i === 3 || i === 5) {
+            display += '-';
+        }
+        display += revealed ? digits.charAt(i) : 'X';
+    }
+    return display;
+}
+
+// Convert a caret position in the display value to a digit index
+function ssnDisplayToDigitIndex(position) {
+    return position - (position > 3 ? 1 : 0) - (position > 6 ? 1 : 0);
+}
 
-    // Detect if user is adding or removing characters
-    if (currentLength > lastSSNMaskedLength) {
-        // User is typing - extract the new digit
-        let newChar = currentValue.charAt(currentLength - 1);
+// Convert a digit index to a caret position in the display value
+function ssnDigitToDisplayIndex(index) {
+    return index + (index > 3 ? 1 : 0) + (index > 5 ? 1 : 0);
+}
 
-        // Only process if it's a digit
-        if (/\d/.test(newChar)) {
-            // Add the digit to our actual value (max 9 digits)
-            if (ssnActualValue.length < 9) {
-                ssnActualValue += newChar;
-            }
+// Redraw the SSN field from ssnActualValue and place the caret after digit caretDigit
+function renderSSN(input, caretDigit) {
+    input.value = formatSSNDisplay(ssnActualValue, ssnRevealed);
+    if (caretDigit !== undefined && document.activeElement === input) {
+        const caret = ssnDigitToDisplayIndex(caretDigit);
+        input.setSelectionRange(caret, caret);
+    }
+}
+
+// Apply an edit before the browser changes the masked value
+function handleSSNBeforeInput(event) {
+    const input = event.target;
+    let start = ssnDisplayToDigitIndex(input.selectionStart);
+    let end = ssnDisplayToDigitIndex(input.selectionEnd);
+    let inserted = '';
+
+    switch (event.inputType) {
+        case 'insertText':
+        case 'insertFromPaste':
+        case 'insertFromDrop':
+        case 'insertReplacementText': {
+            const text = event.data || (event.dataTransfer ? event.dataTransfer.getData('text/plain') : '');
+            inserted = (text || '').replace(/\D/g, '');
+            break;
         }
-    } else if (currentLength < lastSSNMaskedLength) {
-        // User is deleting - remove last digit from actual value
-        ssnActualValue = ssnActualValue.slice(0, -1);
-    }
-
-    // Create masked display value with dashes
-    let maskedValue = '';
-    for (let i = 0; i < ssnActualValue.length; i++) {
-        maskedValue += 'X';
-        // Add dashes after 3rd and 5th digit
-        if (i === 2 || i === 4) {
-            maskedValue += '-';
+        case 'deleteContentBackward':
+            if (start === end) start = Math.max(0, start - 1);
+            break;
+        case 'deleteContentForward':
+            if (start === end) end = Math.min(ssnActualValue.length, end + 1);
+            break;
+        case 'deleteWordBackward':
+        case 'deleteSoftLineBackward':
+        case 'deleteHardLineBackward':
+            if (start === end) start = 0;
+            break;
+        case 'deleteWordForward':
+        case 'deleteSoftLineForward':
+        case 'deleteHardLineForward':
+            if (start === end) end = ssnActualValue.length;
+            break;
+        case 'deleteByCut':
+        case 'deleteContent':
+        case 'deleteByDrag':
+            break;
+        default:
+            // Anything else (undo, composition) is reconciled in handleSSNInput
+            return;
+    }
+
+    event.preventDefault();
+
+    const digits = ssnActualValue.slice(0, start) + inserted + ssnActualValue.slice(end);
+    ssnActualValue = digits.slice(0, 9);
+    renderSSN(input, Math.min(start + inserted.length, ssnActualValue.length));
+
+    // The default input event was cancelled, so notify listeners ourselves
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// Reconcile changes that arrive without a handled beforeinput (autofill, undo, older browsers)
+function handleSSNInput(event) {
+    const input = event.target;
+    if (input.value === formatSSNDisplay(ssnActualValue, ssnRevealed)) return;
+
+    // Each X keeps the next digit we already had; any digit is taken as entered
+    let digits = '';
+    let kept = 0;
+    for (let char of input.value) {
+        if (/\d/.test(char)) {
+            digits += char;
+        } else if ((char === 'X' || char === 'x') && kept < ssnActualValue.length) {
+            digits += ssnActualValue.charAt(kept);
+            kept++;
         }
     }
 
-    // Update the field value
-    input.value = maskedValue;
+    ssnActualValue = digits.slice(0, 9);
+    renderSSN(input, ssnActualValue.length);
+}
+
+// Show or hide the SSN digits
+function toggleSSNVisibility() {
+    const input = document.getElementById('socialSecurity');
+    if (!input) return;
 
-    // Store the new masked length for next comparison
-    lastSSNMaskedLength = maskedValue.length;
+    ssnRevealed = !ssnRevealed;
+    renderSSN(input);
+    updateSSNToggle();
 }
 
-// Format and truncate ZIP code
-function formatZipCode(input) {
-    let val = input.value.replace(/\D/g, '');
+// Update the SSN toggle's text and state to match ssnRevealed
+function updateSSNToggle() {
+    const toggle = document.getElementById('ssnToggle');
+    if (!toggle) return;
 
-    // Truncate to maximum 5 digits
-    if (val.length > 5) {
-        val = val.slice(0, 5);
+    toggle.textContent = t(ssnRevealed ? 'Hide' : 'Show');
+    toggle.setAttribute('aria-pressed', ssnRevealed ? 'true' : 'false');
+    toggle.setAttribute('aria-label', t(ssnRevealed ? 'Hide Social Security number' : 'Show Social Security number'));
+}
+
+// Clear the stored SSN when the form is reset
+function resetSSN() {
+    ssnActualValue = '';
+    if (ssnRevealed) {
+        toggleSSNVisibility();
     }
+}
 
-    input.value = val;
+// Wire up the SSN input, its reveal toggle and form reset
+function initializeSSNInput() {
+    const input = document.getElementById('socialSecurity');
+    if (!input) return;
+
+    input.addEventListener('beforeinput', handleSSNBeforeInput);
+    input.addEventListener('input', handleSSNInput);
+
+    const toggle = document.getElementById('ssnToggle');
+    if (toggle) {
+        toggle.addEventListener('click', toggleSSNVisibility);
+    }
+
+    if (input.form) {
+        input.form.addEventListener('reset', resetSSN);
+    }
 }
 
-// Validate password requirements
-function validatePassword(password, userId, firstName, lastName) {
-    const errors = [];
+// Get the country selector paired with a phone input
+function getPhoneCountrySelect(fieldName) {
+    return document.getElementById(fieldName + 'Country');
+}
+
+// Fill a phone country selector from the validation library's country list
+function buildPhoneCountryOptions(select) {
+    const selected = select.value || DEFAULT_PHONE_COUNTRY;
+    select.innerHTML = '';
+    RegistrationValidation.phoneCountries.forEach(country => {
+        const option = document.createElement('option');
+        option.value = country.code;
+        option.textContent = `${t(country.name)} (+${country.dialCode})`;
+        option.defaultSelected = country.code === DEFAULT_PHONE_COUNTRY;
+        select.appendChild(option);
+    });
+    select.value = selected;
+}
 
-    if (password.length < 8 || password.length > 30) {
-        errors.push('Must be 8-30 characters');
+// Lay digits into a format template such as (XXX) XXX-XXXX; extra digits are appended
+function applyPhoneTemplate(digits, template) {
+    let result = '';
+    let next = 0;
+    for (const ch of template) {
+        if (next >= digits.length) break;
+        result += ch === 'X' ? digits.charAt(next++) : ch;
     }
-    if (!/[A-Z]/.test(password)) {
-        errors.push('Must contain 1 uppercase letter');
+    return result + digits.slice(next);
+}
+
+// Format typed phone text in the country's national style, or as +CC NATIONAL when it
+// starts with +. Digits past the longest national number become the extension.
+function formatPhoneDisplay(text, countryCode) {
+    const parts = RegistrationValidation.splitPhoneExtension(text);
+    const digits = parts.number.replace(/\D/g, '');
+    const international = parts.number.trim().charAt(0) === '+';
+    const country = international
+        ? RegistrationValidation.findPhoneCountry(digits, countryCode)
+        : RegistrationValidation.getPhoneCountry(countryCode) || RegistrationValidation.getPhoneCountry(DEFAULT_PHONE_COUNTRY);
+
+    if (!country) return '+' + digits;
+
+    // Keep a typed trunk 0 (or 1 in North America) in front of the national number
+    let prefix = '';
+    let national = international ? digits.slice(country.dialCode.length) : digits;
+    if (!international && ((country.trunk && national.charAt(0) === '0') ||
+                           (country.nanp && national.charAt(0) === '1'))) {
+        prefix = national.charAt(0) + (country.nanp ? ' ' : '');
+        national = national.slice(1);
     }
-    if (!/[a-z]/.test(password)) {
-        errors.push('Must contain 1 lowercase letter');
+
+    let extension = parts.extension;
+    if (!parts.hasMarker && national.length > country.maxLength) {
+        extension = national.slice(country.maxLength);
+        national = national.slice(0, country.maxLength);
     }
-    if (!/[0-9]/.test(password)) {
-        errors.push('Must contain 1 digit');
+
+    let display = applyPhoneTemplate(national, country.format);
+    display = international ? '+' + country.dialCode + (display ? ' ' + display : '') : prefix + display;
+    if (parts.hasMarker || extension) {
+        display += ' ext. ' + extension;
     }
-    if (!/[!@#%^&*()\-_+=\/><.,`~]/.test(password)) {
-        errors.push('Must contain 1 special character');
+    return display;
+}
+
+// Get a phone field's value normalized to E.164; text that isn't a phone number is
+// returned as typed so validation reports it
+function getPhoneValue(fieldName) {
+    const input = document.getElementById(fieldName);
+    const text = input ? input.value.trim() : '';
+    if (!text) return '';
+
+    const select = getPhoneCountrySelect(fieldName);
+    return RegistrationValidation.normalizePhoneNumber(text, select ? select.value : DEFAULT_PHONE_COUNTRY) || text;
+}
+
+// Format a phone input as the user types
+function handlePhoneInput(event) {
+    // Deleting leaves the text alone, so separators and "ext." can be removed
+    if (event.inputType && event.inputType.indexOf('delete') === 0) return;
+
+    const input = event.target;
+    const select = getPhoneCountrySelect(input.name);
+    const countryCode = select ? select.value : DEFAULT_PHONE_COUNTRY;
+    input.value = formatPhoneDisplay(input.value, countryCode);
+
+    // A number typed with + picks its own country
+    if (select && input.value.charAt(0) === '+') {
+        const digits = RegistrationValidation.splitPhoneExtension(input.value).number.replace(/\D/g, '');
+        const country = RegistrationValidation.findPhoneCountry(digits, countryCode);
+        if (country && country.code !== countryCode) {
+            select.value = country.code;
+            updatePhonePlaceholder(input.name);
+        }
     }
-    if (/["']/.test(password)) {
-        errors.push('Cannot contain quotes');
+}
+
+// Show the selected country's number format as the placeholder
+function updatePhonePlaceholder(fieldName) {
+    const input = document.getElementById(fieldName);
+    const select = getPhoneCountrySelect(fieldName);
+    const country = select && RegistrationValidation.getPhoneCountry(select.value);
+    if (input && country) input.placeholder = country.format;
+}
+
+// Reformat and re-check a phone number when its country changes
+function handlePhoneCountryChange(fieldName) {
+    const input = document.getElementById(fieldName);
+    const select = getPhoneCountrySelect(fieldName);
+
+    if (input.value && input.value.trim().charAt(0) !== '+') {
+        input.value = formatPhoneDisplay(input.value, select.value);
     }
-    if (userId && password.toLowerCase().includes(userId.toLowerCase())) {
-        errors.push('Cannot contain User ID');
+    updatePhonePlaceholder(fieldName);
+
+    if (fieldTouched[fieldName] || fieldTouched['__validateAll__']) {
+        showFieldError(fieldName, validateSingleField(fieldName, getFieldValue(fieldName)));
     }
-    if (firstName && password.toLowerCase().includes(firstName.toLowerCase())) {
-        errors.push('Cannot contain first name');
+}
+
+// Set up the phone inputs and their country selectors
+function initializePhoneInputs() {
+    PHONE_FIELDS.forEach(fieldName => {
+        const input = document.getElementById(fieldName);
+        const select = getPhoneCountrySelect(fieldName);
+        if (!input || !select) return;
+
+        buildPhoneCountryOptions(select);
+        updatePhonePlaceholder(fieldName);
+
+        input.addEventListener('input', handlePhoneInput);
+        select.addEventListener('change', () => handlePhoneCountryChange(fieldName));
+    });
+
+    const form = document.getElementById('registrationForm');
+    if (form) {
+        // Reset restores the default country after the event, so wait a tick
+        form.addEventListener('reset', () => setTimeout(() => PHONE_FIELDS.forEach(updatePhonePlaceholder), 0));
     }
-    if (lastName && password.toLowerCase().includes(lastName.toLowerCase())) {
-        errors.push('Cannot contain last name');
+    document.addEventListener('languagechange', function() {
+        PHONE_FIELDS.forEach(fieldName => {
+            const select = getPhoneCountrySelect(fieldName);
+            if (select) buildPhoneCountryOptions(select);
+        });
+    });
+}
+
+// Format ZIP code as 5 digits or ZIP+4 (XXXXX-XXXX)
+function formatZipCode(input) {
+    let val = input.value.replace(/\D/g, '');
+
+    // Truncate to maximum 9 digits
+    if (val.length > 9) {
+        val = val.slice(0, 9);
+    }
+
+    // Add the ZIP+4 dash once the 6th digit is typed
+    if (val.length > 5) {
+        val = val.slice(0, 5) + '-' + val.slice(5);
     }
 
-    return errors;
+    input.value = val;
+    updateZipSuggestion();
 }
 
-// Validate date of birth
-function validateDateOfBirth(dob) {
-    if (!dob) return 'Required field is empty';
+// Hide the ZIP code suggestion
+function hideZipSuggestion() {
+    const suggestion = document.getElementById('zipSuggestion');
+    if (suggestion) suggestion.hidden = true;
+}
 
-    const dobDate = new Date(dob);
-    const today = new Date();
-    const age120 = new Date(today.getFullYear() - 120, today.getMonth(), today.getDate());
+// Fill empty city and state from the ZIP code, or offer the ZIP's city and state
+// when the entered ones don't match
+function updateZipSuggestion() {
+    const suggestion = document.getElementById('zipSuggestion');
+    const cityInput = document.getElementById('city');
+    const stateSelect = document.getElementById('state');
+    const zip = getFieldValue('zipCode');
+    const place = RegistrationValidation.lookupZipCode(zip);
+
+    if (!suggestion || !cityInput || !stateSelect || !place) {
+        hideZipSuggestion();
+        return;
+    }
+
+    if (!cityInput.value.trim() && !stateSelect.value) {
+        fillCityState(place);
+        hideZipSuggestion();
+        return;
+    }
+
+    if (RegistrationValidation.cityMatchesZip(cityInput.value, zip) && stateSelect.value === place.state) {
+        hideZipSuggestion();
+        return;
+    }
+
+    suggestion.innerHTML = '';
+    suggestion.appendChild(document.createTextNode(t('ZIP code {zip} is in {city}, {state}.', {
+        zip: zip.slice(0, 5), city: place.city, state: place.state
+    }) + ' '));
+
+    const useButton = document.createElement('button');
+    useButton.type = 'button';
+    useButton.className = 'zip-suggestion-btn';
+    useButton.textContent = t('Use this');
+    useButton.addEventListener('click', function() {
+        fillCityState(place);
+        hideZipSuggestion();
+    });
+    suggestion.appendChild(useButton);
+    suggestion.hidden = false;
+}
+
+// Put a ZIP code's city and state into the form and re-check the address fields
+function fillCityState(place) {
+    document.getElementById('city').value = place.city;
+    document.getElementById('state').value = place.state;
+    revalidateAddress();
+}
+
+// Re-check the address fields that depend on each other, once they have been touched
+function revalidateAddress() {
+    ['city', 'state', 'zipCode'].forEach(fieldName => {
+        if (fieldTouched[fieldName] || fieldTouched['__validateAll__']) {
+            showFieldError(fieldName, validateSingleField(fieldName, getFieldValue(fieldName)));
+        }
+    });
+}
 
-    if (dobDate > today) return 'Cannot be in the future';
-    if (dobDate < age120) return 'Cannot be more than 120 years ago';
+// Keep the ZIP, city and state checks in step when any of them changes
+function initializeAddressLookup() {
+    ['city', 'state'].forEach(fieldName => {
+        const field = document.getElementById(fieldName);
+        if (!field) return;
+
+        field.addEventListener(fieldName === 'state' ? 'change' : 'input', function() {
+            revalidateAddress();
+            updateZipSuggestion();
+        });
+    });
+
+    const zipInput = document.getElementById('zipCode');
+    if (zipInput) {
+        zipInput.addEventListener('input', revalidateAddress);
+    }
 
-    return null;
+    const form = document.getElementById('registrationForm');
+    if (form) {
+        form.addEventListener('reset', hideZipSuggestion);
+    }
+    document.addEventListener('languagechange', updateZipSuggestion);
 }
 
 // Get value from form field
 function getFieldValue(fieldName) {
+    if (fieldName === 'medicalConditions') {
+        return getMedicalConditions();
+    }
+    const def = getFieldSchema(fieldName);
+    if (def && def.type === 'list') {
+        return getListValue(fieldName);
+    }
+    if (PHONE_FIELDS.includes(fieldName)) {
+        return getPhoneValue(fieldName);
+    }
+
     const field = document.querySelector(`[name="${fieldName}"]`);
     if (!field) return '';
 
+    // The signature box is drawn by consent.js, card photos are added by insurance.js
+    if (def && def.type === 'signature') {
+        return getSignatureValue();
+    }
+    if (def && def.type === 'image') {
+        return getCardImage(fieldName);
+    }
+
     // Return actual SSN value instead of masked value
     if (fieldName === 'socialSecurity') {
         return ssnActualValue;
@@ -168,134 +547,199 @@ function getFieldValue(fieldName) {
     }
 }
 
-// Get all checked medical conditions
+// Look up a field definition in the schema
+function getFieldSchema(fieldName) {
+    return FORM_FIELDS.find(def => def.name === fieldName) || null;
+}
+
+// Get schema fields that map to a form control
+function getInputFields() {
+    return FORM_FIELDS.filter(def => !def.virtual);
+}
+
+// Get all checked medical conditions (checkboxes listed in MEDICAL_CONDITIONS)
 function getMedicalConditions() {
-    const conditions = [];
-    const conditionIds = ['hasChickenPox', 'hasMeasles', 'hasCovid19', 'hasSmallPox',
-                          'hasTetanus', 'hasAllergies', 'hasDiabetes', 'hasHeartDisease'];
-
-    conditionIds.forEach(id => {
-        const checkbox = document.getElementById(id);
-        if (checkbox && checkbox.checked) {
-            conditions.push(checkbox.nextElementSibling.textContent);
-        }
-    });
+    const conditions = MEDICAL_CONDITIONS
+        .filter(condition => {
+            const checkbox = document.getElementById(condition.id);
+            return checkbox && checkbox.checked;
+        })
+        .map(condition => condition.label);
 
     return conditions.length > 0 ? conditions.join(', ') : 'None';
 }
 
-// Show review
-function reviewForm() {
-    // Personal Information
-    document.getElementById('review-firstName').textContent = getFieldValue('firstName') || '(not entered)';
-    document.getElementById('review-middleInitial').textContent = getFieldValue('middleInitial') || '(not entered)';
-    document.getElementById('review-lastName').textContent = getFieldValue('lastName') || '(not entered)';
-    document.getElementById('review-dateOfBirth').textContent = getFieldValue('dateOfBirth') || '(not entered)';
-    document.getElementById('review-socialSecurity').textContent = getFieldValue('socialSecurity') ? '***-**-****' : '(not entered)';
-    document.getElementById('review-gender').textContent = getFieldValue('gender') || '(not entered)';
-    document.getElementById('review-preferredLanguage').textContent = getFieldValue('preferredLanguage') || '(not entered)';
-
-    // Contact Information
-    document.getElementById('review-addressLine1').textContent = getFieldValue('addressLine1') || '(not entered)';
-    document.getElementById('review-addressLine2').textContent = getFieldValue('addressLine2') || '(not entered)';
-    document.getElementById('review-city').textContent = getFieldValue('city') || '(not entered)';
-    document.getElementById('review-state').textContent = getFieldValue('state') || '(not entered)';
-    document.getElementById('review-zipCode').textContent = getFieldValue('zipCode') || '(not entered)';
-    document.getElementById('review-emailAddress').textContent = getFieldValue('emailAddress') || '(not entered)';
-    document.getElementById('review-phoneNumber').textContent = getFieldValue('phoneNumber') || '(not entered)';
-    document.getElementById('review-emergencyContact').textContent = getFieldValue('emergencyContact') || '(not entered)';
-    document.getElementById('review-emergencyPhone').textContent = getFieldValue('emergencyPhone') || '(not entered)';
-    document.getElementById('review-preferredContactMethod').textContent = getFieldValue('preferredContactMethod') || '(not entered)';
-
-    // Medical History
-    document.getElementById('review-medicalConditions').textContent = getMedicalConditions();
-    document.getElementById('review-isVaccinated').textContent = getFieldValue('isVaccinated') || '(not entered)';
-    document.getElementById('review-hasInsurance').textContent = getFieldValue('hasInsurance') || '(not entered)';
-    document.getElementById('review-currentSymptoms').textContent = getFieldValue('currentSymptoms') || '(not entered)';
-    document.getElementById('review-healthRating').textContent = getFieldValue('healthRating') || '(not entered)';
-    document.getElementById('review-painLevel').textContent = getFieldValue('painLevel') || '(not entered)';
-
-    // Insurance Information
-    document.getElementById('review-insuranceProvider').textContent = getFieldValue('insuranceProvider') || '(not entered)';
-    document.getElementById('review-policyNumber').textContent = getFieldValue('policyNumber') || '(not entered)';
-    document.getElementById('review-physicianName').textContent = getFieldValue('physicianName') || '(not entered)';
-    document.getElementById('review-pharmacyName').textContent = getFieldValue('pharmacyName') || '(not entered)';
-
-    // Account Setup
-    const userId = getFieldValue('desiredUserID');
-    document.getElementById('review-desiredUserID').textContent = userId ? userId.toLowerCase() : '(not entered)';
-    document.getElementById('review-password').textContent = getFieldValue('password') ? '********' : '(not entered)';
-    document.getElementById('review-confirmPassword').textContent = getFieldValue('confirmPassword') ? '********' : '(not entered)';
-
-    // Consent
-    document.getElementById('review-consentMarketing').textContent = getFieldValue('consentMarketing');
-    document.getElementById('review-consentDataSharing').textContent = getFieldValue('consentDataSharing');
+// Get the fieldset holding a list field's rows
+function getListContainer(fieldName) {
+    return document.querySelector(`fieldset[name="${fieldName}"]`);
+}
 
-    // Validate and show status
-    validateAllFields();
+// Read a list field's rows as [{ itemName: value }] (rows are built by medical-history.js)
+function getListValue(fieldName) {
+    const def = getFieldSchema(fieldName);
+    const container = getListContainer(fieldName);
+    if (!container) return [];
+
+    return Array.from(container.querySelectorAll('.list-row')).map(row => {
+        const item = {};
+        def.items.forEach(itemDef => {
+            const control = row.querySelector(`[data-item="${itemDef.name}"]`);
+            item[itemDef.name] = control ? control.value : '';
+        });
+        return item;
+    });
+}
 
-    // Show review area
-    document.getElementById('reviewArea').style.display = 'block';
-    document.getElementById('reviewArea').scrollIntoView({ behavior: 'smooth' });
+// Get the control names of every row field in a list, which are also their error keys
+function getListItemKeys(fieldName) {
+    const container = getListContainer(fieldName);
+    if (!container) return [];
+    return Array.from(container.querySelectorAll('.list-row [data-item]')).map(control => control.name);
 }
 
-// Validate all fields and update status
-function validateAllFields() {
-    const fields = ['firstName', 'middleInitial', 'lastName', 'dateOfBirth', 'socialSecurity',
-                   'gender', 'preferredLanguage', 'addressLine1', 'addressLine2', 'city',
-                   'state', 'zipCode', 'emailAddress', 'phoneNumber', 'emergencyContact',
-                   'emergencyPhone', 'preferredContactMethod', 'medicalConditions',
-                   'isVaccinated', 'hasInsurance', 'currentSymptoms', 'healthRating',
-                   'painLevel', 'insuranceProvider', 'policyNumber', 'physicianName',
-                   'pharmacyName', 'desiredUserID', 'password', 'confirmPassword',
-                   'consentMarketing', 'consentDataSharing'];
+// Get the names validated for a schema field: the field, plus its row fields for lists
+function getValidationKeys(def) {
+    return def.type === 'list' ? [def.name].concat(getListItemKeys(def.name)) : [def.name];
+}
 
-    fields.forEach(fieldName => {
-        const statusElement = document.getElementById('status-' + fieldName);
-        if (!statusElement) return;
+// Get the label of a list row field for error messages, e.g. "Allergy 2 - Severity"
+function getListItemLabel(key) {
+    const itemKey = RegistrationValidation.parseListItemKey(key);
+    const def = itemKey && getFieldSchema(itemKey.listName);
+    if (!def) return key;
 
-        const field = document.querySelector(`[name="${fieldName}"]`);
-        const value = getFieldValue(fieldName);
+    const itemDef = def.items.find(entry => entry.name === itemKey.itemName);
+    return `${t(def.itemLabel)} ${itemKey.index + 1} - ${t(itemDef ? itemDef.label : itemKey.itemName)}`;
+}
 
-        let error = null;
+// Get the error keys of a list's row fields found in an errors object, in order
+function getListItemErrorKeys(fieldName, errors) {
+    return Object.keys(errors).filter(key => {
+        const itemKey = RegistrationValidation.parseListItemKey(key);
+        return itemKey && itemKey.listName === fieldName;
+    });
+}
 
-        // Check required fields
-        if (field && field.hasAttribute('required') && !value) {
-            error = 'Required field is empty';
-        }
+// Drop the shown errors of a list's row fields, before its rows are rebuilt or hidden
+function clearListItemErrors(fieldName) {
+    getListItemErrorKeys(fieldName, validationErrors).forEach(key => {
+        const errorElement = document.getElementById(`error-${key}`);
+        if (errorElement) errorElement.style.display = 'none';
+        const control = document.querySelector(`[name="${key}"]`);
+        if (control) control.classList.remove('has-error');
+        delete validationErrors[key];
+    });
+}
 
-        // Field-specific validation
-        if (fieldName === 'dateOfBirth' && value) {
-            error = validateDateOfBirth(value);
-        }
+// Build the review panel rows from the field schema
+function buildReviewArea() {
+    const reviewContent = document.getElementById('reviewContent');
+    if (!reviewContent) return;
+
+    reviewContent.innerHTML = '';
+    FORM_SECTIONS.forEach(section => {
+        const sectionElement = document.createElement('div');
+        sectionElement.className = 'review-section';
+        sectionElement.dataset.section = section.id;
+
+        const heading = document.createElement('h3');
+        heading.textContent = t(section.title);
+        sectionElement.appendChild(heading);
+
+        const table = document.createElement('table');
+        table.className = 'review-table';
+        getSectionFields(section.id).forEach(def => {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td class="review-label"></td><td class="review-value"></td><td class="review-status"></td>';
+            row.children[0].textContent = t(def.reviewLabel || def.label) + ':';
+            row.children[1].id = 'review-' + def.name;
+            row.children[2].id = 'status-' + def.name;
+            table.appendChild(row);
+        });
+        sectionElement.appendChild(table);
 
-        if (fieldName === 'password' && value) {
-            const userId = getFieldValue('desiredUserID');
-            const firstName = getFieldValue('firstName');
-            const lastName = getFieldValue('lastName');
-            const passwordErrors = validatePassword(value, userId, firstName, lastName);
-            if (passwordErrors.length > 0) {
-                error = passwordErrors.join('; ');
-            }
-        }
+        reviewContent.appendChild(sectionElement);
+    });
+}
+
+// Get the text shown for a field in the review panel
+function getReviewValue(def, states) {
+    states = states || getCurrentFieldStates();
+    if (!states[def.name].active) return t('(not applicable)');
+    return formatFieldValue(def, getFieldValue(def.name));
+}
 
-        if (fieldName === 'confirmPassword' && value) {
-            const password = getFieldValue('password');
-            if (value !== password) {
-                error = 'Passwords do not match';
+// Fill the review panel values and statuses
+function fillReviewArea() {
+    const states = getCurrentFieldStates();
+    FORM_FIELDS.forEach(def => {
+        const reviewElement = document.getElementById('review-' + def.name);
+        if (reviewElement) {
+            reviewElement.textContent = getReviewValue(def, states);
+            if (def.type === 'signature' && getFieldValue(def.name)) {
+                const image = document.createElement('img');
+                image.className = 'review-signature';
+                image.src = getFieldValue(def.name);
+                image.alt = t('Signature of {name}', { name: getFieldValue('signatureName') });
+                reviewElement.appendChild(image);
+            } else if (def.type === 'image' && states[def.name].active && getFieldValue(def.name)) {
+                const image = document.createElement('img');
+                image.className = 'review-card-image';
+                image.src = getFieldValue(def.name);
+                image.alt = t(def.label);
+                reviewElement.appendChild(image);
             }
         }
+    });
+    document.querySelectorAll('#reviewContent .review-section').forEach(sectionElement => {
+        sectionElement.hidden = !isSectionActive(sectionElement.dataset.section, states);
+    });
+    fillConsentReview();
 
-        if (fieldName === 'addressLine2' && value && value.length > 0 && value.length < 2) {
-            error = 'Must be 2-30 characters if entered';
-        }
+    // Validate and show status
+    validateAllFields();
+}
+
+// Show review
+function reviewForm() {
+    fillReviewArea();
+    hideFormAlert('exportAlert');
+
+    // Show review area
+    const reviewArea = document.getElementById('reviewArea');
+    if (reviewArea.style.display !== 'block') {
+        reviewOpener = document.activeElement;
+    }
+    reviewArea.style.display = 'block';
+    reviewArea.scrollIntoView({ behavior: 'smooth' });
+
+    // Move focus to the review heading so screen readers start reading there
+    document.getElementById('reviewHeading').focus({ preventScroll: true });
+}
+
+// Validate all fields and update status
+function validateAllFields() {
+    const errors = RegistrationValidation.validate(getFormRecord());
+    const states = getCurrentFieldStates();
+
+    FORM_FIELDS.forEach(def => {
+        const statusElement = document.getElementById('status-' + def.name);
+        if (!statusElement) return;
+
+        // A list without its own error shows the first error in its rows
+        const itemErrorKey = def.type === 'list' ? getListItemErrorKeys(def.name, errors)[0] : null;
+        const error = errors[def.name] ? translateError(errors[def.name])
+            : itemErrorKey ? getListItemLabel(itemErrorKey) + ': ' + translateError(errors[itemErrorKey]) : null;
 
         // Update status
-        if (error) {
-            statusElement.textContent = 'ERROR: ' + error;
+        if (!states[def.name].active) {
+            statusElement.textContent = '';
+            statusElement.className = 'review-status';
+        } else if (error) {
+            statusElement.textContent = t('ERROR: {error}', { error: error });
             statusElement.className = 'review-status error';
         } else {
-            statusElement.textContent = 'pass';
+            statusElement.textContent = t('pass');
             statusElement.className = 'review-status success';
         }
     });
@@ -303,58 +747,248 @@ function validateAllFields() {
 
 // Close review
 function closeReview() {
-    document.getElementById('reviewArea').style.display = 'none';
+    const reviewArea = document.getElementById('reviewArea');
+    const wasOpen = reviewArea.style.display === 'block';
+    reviewArea.style.display = 'none';
+
+    // Return focus to the control that opened the review, or the REVIEW button
+    if (wasOpen) {
+        const opener = reviewOpener && reviewOpener.isConnected && !reviewOpener.closest('[hidden]')
+            ? reviewOpener : document.querySelector('.review-btn');
+        if (opener) opener.focus();
+    }
+    reviewOpener = null;
 }
 
-// Form submission validation
-function validateForm(event) {
-    const errors = [];
+// Collect the form values keyed by schema field name; hidden and disabled fields
+// (see FORM_RULES) are left empty
+function getFormRecord() {
+    const record = {};
+    FORM_FIELDS.forEach(def => {
+        record[def.name] = getFieldValue(def.name);
+    });
+
+    const states = RegistrationValidation.getFieldStates(record);
+    FORM_FIELDS.forEach(def => {
+        if (!states[def.name].active) record[def.name] = def.type === 'list' ? [] : '';
+    });
+    return record;
+}
+
+// Get the field states under FORM_RULES for the current form values
+function getCurrentFieldStates() {
+    const record = {};
+    FORM_FIELDS.forEach(def => {
+        record[def.name] = getFieldValue(def.name);
+    });
+    return RegistrationValidation.getFieldStates(record);
+}
+
+// Show, hide, require and disable fields according to FORM_RULES
+function applyFormRules() {
+    const states = getCurrentFieldStates();
+
+    getInputFields().forEach(def => {
+        const state = states[def.name];
+        const controls = document.querySelectorAll(`[name="${def.name}"]`);
+        if (controls.length === 0) return;
+
+        controls.forEach(control => {
+            control.disabled = state.disabled;
+            // Fieldsets (lists, the signature) have no required state of their own
+            if (control.tagName === 'FIELDSET') return;
+            if (control.type !== 'checkbox') control.required = state.active && state.required;
+            control.setAttribute('aria-required', state.active && state.required ? 'true' : 'false');
+        });
+
+        // Hide the field's cell and its label's cell, leaving other fields in the row
+        const cells = new Set([controls[0].closest('td')]);
+        const label = def.type === 'list' ? controls[0].querySelector('legend')
+                                          : document.querySelector(`label[for="${controls[0].id}"]`);
+        if (label) {
+            cells.add(label.closest('td'));
+            // Mark fields that only a rule makes required; required fields already show *
+            label.classList.toggle('rule-required', state.active && state.required && !def.required);
+        }
+        cells.forEach(cell => {
+            if (cell) cell.hidden = state.hidden;
+        });
+
+        // An inactive field can't have an error
+        if (!state.active && def.type === 'list') {
+            clearListItemErrors(def.name);
+        }
+        if (!state.active && validationErrors[def.name]) {
+            const errorElement = document.getElementById(`error-${def.name}`);
+            if (errorElement) errorElement.style.display = 'none';
+            controls.forEach(control => control.classList.remove('has-error'));
+            delete validationErrors[def.name];
+        }
+    });
+
+    // Leave out sections with no field to show, such as the guardian section for adults
+    FORM_SECTIONS.forEach(section => {
+        const fieldset = document.querySelector(`fieldset[data-section="${section.id}"]`);
+        if (fieldset) fieldset.classList.toggle('section-inactive', !isSectionActive(section.id, states));
+    });
+    updateAgeDisplay();
+
+    updateErrorCounter();
+}
+
+// Show the age computed from the date of birth; for minors, say that the guardian
+// registers and show that the account will be the guardian's
+function updateAgeDisplay() {
+    const dob = getFieldValue('dateOfBirth');
+    const age = RegistrationValidation.getAge(dob);
+    const minor = RegistrationValidation.isMinor({ dateOfBirth: dob });
+
+    const ageDisplay = document.getElementById('ageDisplay');
+    if (ageDisplay) {
+        const text = age === null ? ''
+            : t(minor ? 'Age: {age} - a parent or guardian must complete this registration' : 'Age: {age}', { age: age });
+        // Only change the live region when the text changes, so it isn't announced on every key press
+        if (ageDisplay.textContent !== text) ageDisplay.textContent = text;
+    }
+
+    const accountNote = document.getElementById('accountHolderNote');
+    if (accountNote) accountNote.hidden = !minor;
+}
+
+// Show field-level errors returned by the registration server
+function showServerErrors(errors) {
+    fieldTouched['__validateAll__'] = true;
+    Object.keys(errors).forEach(fieldName => {
+        showFieldError(fieldName, errors[fieldName]);
+    });
+    showErrorSummary();
+}
+
+// POST a registration. Returns { response, body }; response is null when the server
+// can't be reached
+async function postRegistration(url, payload) {
+    let response = null;
+    let body = {};
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        body = await response.json();
+    } catch (err) {
+        // No connection, or a reply that isn't JSON (checked by status)
+    }
+    return { response: response, body: body };
+}
+
+// Send the registration to the server as JSON
+async function submitRegistration(form) {
+    const url = form.getAttribute('action');
+    hideFormAlert('submitAlert');
+    const payload = Object.assign(getFormRecord(), {
+        clinic: getClinicId(),
+        consentRecord: await buildConsentRecord(),
+        submissionId: formSubmissionId || (formSubmissionId = createSubmissionId())
+    });
 
-    // Date of birth
-    const dobError = validateDateOfBirth(getFieldValue('dateOfBirth'));
-    if (dobError) errors.push('Date of Birth: ' + dobError);
+    let { response, body } = await postRegistration(url, payload);
+
+    // The patient may already be registered: ask, then send again with their decision
+    while (response && response.status === 409 && body.possibleDuplicate) {
+        const decision = await askDuplicateDecision(body.error);
+        if (!decision) return;
+        payload.duplicateDecision = decision;
+        ({ response, body } = await postRegistration(url, payload));
+    }
 
-    // Address Line 2
-    const addr2 = getFieldValue('addressLine2');
-    if (addr2 && addr2.length > 0 && addr2.length < 2) {
-        errors.push('Address Line 2: Must be 2-30 characters if entered');
+    if (response && response.ok) {
+        finishSubmission(DUPLICATE_DECISION_STATUSES[body.duplicateDecision] || 'submitted', payload.submissionId,
+                         body.id, body.confirmation);
+    } else if (!isServerUnreachable(response)) {
+        // Turned down, or the server failed on it: sending it again later won't help.
+        // The server's own failure message isn't meant for patients.
+        if (body.errors) {
+            showServerErrors(body.errors);
+        } else if (response.status < 500 && body.error) {
+            showFormAlert('submitAlert', t(body.error));
+        } else {
+            showFormAlert('submitAlert', t('Registration could not be submitted. Please try again.'));
+        }
+    } else {
+        // Offline or the server is down: keep the registration in the outbox (outbox.js)
+        // and send it when the connection returns. Nobody will be there to answer about
+        // possible existing registrations, so those are left to the front desk.
+        if (!payload.duplicateDecision) payload.duplicateDecision = { action: 'deferred' };
+        try {
+            await queueRegistration(url, payload);
+        } catch (err) {
+            showFormAlert('submitAlert', t('Unable to reach the registration server. Please try again.'));
+            return;
+        }
+        requestOutboxSync();
+        finishSubmission('queued', payload.submissionId, null, null);
     }
+}
 
-    // Password
-    const password = getFieldValue('password');
-    const userId = getFieldValue('desiredUserID');
-    const firstName = getFieldValue('firstName');
-    const lastName = getFieldValue('lastName');
-    const passwordErrors = validatePassword(password, userId, firstName, lastName);
-    if (passwordErrors.length > 0) {
-        errors.push('Password: ' + passwordErrors.join(', '));
+// Go to the thank-you page, which shows whether the registration was submitted or queued
+// and the server's confirmation (thankyou.js); the form page is replaced in the history so
+// Back doesn't return to the filled-in form
+function finishSubmission(status, submissionId, registrationId, confirmation) {
+    clearDraft();
+    sessionStorage.setItem('submissionStatus', status);
+    sessionStorage.setItem('submissionId', submissionId);
+    if (registrationId) {
+        sessionStorage.setItem('registrationId', registrationId);
+    } else {
+        sessionStorage.removeItem('registrationId');
+    }
+    if (confirmation) {
+        sessionStorage.setItem(CONFIRMATION_STORAGE_KEY, JSON.stringify(confirmation));
+    } else {
+        sessionStorage.removeItem(CONFIRMATION_STORAGE_KEY);
     }
+    window.location.replace('thankyou.html');
+}
+
+// Form submission validation
+function validateForm(event) {
+    // The form is always sent through fetch, never as a query string
+    event.preventDefault();
 
-    // Password match
-    const confirmPassword = getFieldValue('confirmPassword');
-    if (password !== confirmPassword) {
-        errors.push('Passwords do not match');
+    // A registration already on its way isn't sent again (a double tap on SUBMIT)
+    if (submissionInProgress) {
+        return false;
     }
 
-    if (errors.length > 0) {
-        event.preventDefault();
-        alert('Please correct the following errors:\n\n' + errors.join('\n'));
+    // Shows every error inline and in the error summary
+    validateAllFieldsNow();
+    if (Object.keys(validationErrors).length > 0) {
         return false;
     }
 
+    const submitBtn = document.querySelector('.submit-btn');
+    submissionInProgress = true;
+    if (submitBtn) submitBtn.disabled = true;
+
+    submitRegistration(event.target)
+        .catch(() => {
+            showFormAlert('submitAlert', t('Registration could not be submitted. Please try again.'));
+        })
+        .finally(() => {
+            submissionInProgress = false;
+            if (submitBtn) submitBtn.disabled = false;
+        });
     return true;
 }
 
 // Check if all required fields are filled
 function areAllRequiredFieldsFilled() {
-    const requiredFields = ['firstName', 'lastName', 'dateOfBirth', 'socialSecurity',
-                           'gender', 'addressLine1', 'city', 'state', 'zipCode',
-                           'emailAddress', 'phoneNumber', 'isVaccinated', 'hasInsurance',
-                           'desiredUserID', 'password', 'confirmPassword'];
-
-    for (let fieldName of requiredFields) {
-        const value = getFieldValue(fieldName);
-        if (!value || value.trim() === '') {
+    const states = getCurrentFieldStates();
+    for (let def of FORM_FIELDS) {
+        if (!states[def.name].active || !states[def.name].required) continue;
+        const value = getFieldValue(def.name);
+        if (!value || value.length === 0 || (typeof value === 'string' && value.trim() === '')) {
             return false;
         }
     }
@@ -373,19 +1007,33 @@ function updateErrorCounter() {
         counterElement.style.color = '';
         counterElement.style.fontWeight = '';
 
+        let text;
         if (errorCount > 0) {
-            counterElement.textContent = `${errorCount} validation error${errorCount !== 1 ? 's' : ''} remaining`;
+            text = t(errorCount !== 1 ? '{count} validation errors remaining' : '{count} validation error remaining',
+                     { count: errorCount });
             counterElement.style.color = '#d32f2f';
             counterElement.style.fontWeight = 'bold';
         } else if (!allRequiredFilled) {
-            counterElement.textContent = 'Fill out all required fields and click VALIDATE to check for errors';
+            text = t('Fill out all required fields and click VALIDATE to check for errors');
             counterElement.style.color = '#666';
             counterElement.style.fontWeight = 'normal';
         } else {
-            counterElement.textContent = 'All validations passed! You can now submit the form.';
+            text = t('All validations passed! You can now submit the form.');
             counterElement.style.color = '#2e7d32';
             counterElement.style.fontWeight = 'bold';
         }
+
+        // The counter is a live region; only touch it when the text changes so it
+        // isn't announced again on every keystroke
+        if (counterElement.textContent !== text) {
+            counterElement.textContent = text;
+        }
+    }
+
+    // Keep an open error summary in step with the field errors
+    const summary = document.getElementById('errorSummary');
+    if (summary && !summary.hidden) {
+        updateErrorSummary();
     }
 
     // Show/hide submit button only when no errors AND all required fields filled
@@ -399,147 +1047,42 @@ function updateErrorCounter() {
     }
 }
 
-// Validate a single field
+// Validate a single field against its schema entry
 function validateSingleField(fieldName, value) {
-    let error = null;
-    const field = document.querySelector(`[name="${fieldName}"]`);
+    const record = getFormRecord();
 
     // For SSN, validate the actual value, not the masked display
-    if (fieldName === 'socialSecurity') {
-        value = ssnActualValue;
-    }
+    record[fieldName] = fieldName === 'socialSecurity' ? ssnActualValue : value;
 
-    // Check if field is required
-    if (field && field.hasAttribute('required') && !value) {
-        error = 'Required field is empty';
-    }
+    const error = RegistrationValidation.validateField(fieldName, record);
 
-    // Field-specific validation
-    switch(fieldName) {
-        case 'firstName':
-            if (value && !/^[A-Za-z'\-]{1,30}$/.test(value)) {
-                error = 'Enter 1-30 characters, letters, apostrophes, and dashes only';
-            }
-            break;
-        case 'middleInitial':
-            if (value && !/^[A-Za-z]?$/.test(value)) {
-                error = 'Enter single letter only';
-            }
-            break;
-        case 'lastName':
-            if (value && !/^[A-Za-z'\-\s0-9]{1,30}$/.test(value)) {
-                error = 'Enter 1-30 characters, letters, apostrophes, dashes, spaces, and numbers allowed';
-            }
-            break;
-        case 'dateOfBirth':
-            if (value) {
-                error = validateDateOfBirth(value);
-            }
-            break;
-        case 'socialSecurity':
-            if (value && !/^\d{9}$/.test(value)) {
-                error = 'Must be exactly 9 digits';
-            }
-            break;
-        case 'gender':
-        case 'isVaccinated':
-        case 'hasInsurance':
-            // Radio buttons - just check if selected
-            if (!value && field && field.hasAttribute('required')) {
-                error = 'Required field - please select an option';
-            }
-            break;
-        case 'addressLine1':
-            if (value && (value.length < 2 || value.length > 30)) {
-                error = 'Enter 2-30 characters';
-            }
-            break;
-        case 'addressLine2':
-            if (value && value.length > 0 && (value.length < 2 || value.length > 30)) {
-                error = 'Must be 2-30 characters if entered';
-            }
-            break;
-        case 'city':
-            if (value && !/^[A-Za-z\s]{2,30}$/.test(value)) {
-                error = 'Enter 2-30 characters, letters and spaces only';
-            }
-            break;
-        case 'state':
-            if (!value) {
-                error = 'Please select a state';
-            }
-            break;
-        case 'zipCode':
-            if (value && !/^\d{5}$/.test(value)) {
-                error = 'Must be exactly 5 digits';
-            }
-            break;
-        case 'emailAddress':
-            if (value && !/^[a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,}$/.test(value)) {
-                error = 'Enter valid email: name@domain.tld';
-            }
-            break;
-        case 'phoneNumber':
-            if (value && !/^\(\d{3}\) \d{3}-\d{4}$/.test(value)) {
-                error = 'Format: (XXX) XXX-XXXX';
-            }
-            break;
-        case 'emergencyContact':
-            if (value && !/^[A-Za-z\s]*$/.test(value)) {
-                error = 'Letters and spaces only';
-            }
-            break;
-        case 'emergencyPhone':
-            if (value && !/^\(\d{3}\) \d{3}-\d{4}$/.test(value)) {
-                error = 'Format: (XXX) XXX-XXXX';
-            }
-            break;
-        case 'insuranceProvider':
-        case 'physicianName':
-        case 'pharmacyName':
-            if (value && !/^[A-Za-z\s]*$/.test(value)) {
-                error = 'Letters and spaces only';
-            }
-            break;
-        case 'policyNumber':
-            if (value && !/^[A-Za-z0-9]*$/.test(value)) {
-                error = 'Alphanumeric characters only';
-            }
-            break;
-        case 'desiredUserID':
-            if (value && !/^[A-Za-z_\-][A-Za-z0-9_\-]{4,29}$/.test(value)) {
-                error = '5-30 characters, letters, numbers, underscore, dash - first character cannot be a number';
-            }
-            break;
-        case 'password':
-            if (value) {
-                const userId = getFieldValue('desiredUserID');
-                const firstName = getFieldValue('firstName');
-                const lastName = getFieldValue('lastName');
-                const passwordErrors = validatePassword(value, userId, firstName, lastName);
-                if (passwordErrors.length > 0) {
-                    error = passwordErrors.join('; ');
-                }
-            }
-            break;
-        case 'confirmPassword':
-            if (value) {
-                const password = getFieldValue('password');
-                if (value !== password) {
-                    error = 'Passwords do not match';
-                }
-            }
-            break;
+    // A User ID the server reported as taken (userid-availability.js)
+    if (!error && fieldName === 'desiredUserID' && isUserIdTaken(value)) {
+        return USER_ID_TAKEN_MESSAGE;
     }
-
     return error;
 }
 
+// Add or remove an id in a control's aria-describedby list
+function setDescribedBy(control, id, linked) {
+    const ids = (control.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+    if (linked) ids.push(id);
+
+    if (ids.length > 0) {
+        control.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+        control.removeAttribute('aria-describedby');
+    }
+}
+
 // Add or update error message display
 function showFieldError(fieldName, errorMessage) {
     const field = document.querySelector(`[name="${fieldName}"]`);
     if (!field) return;
 
+    // Every radio button of a group carries the group's error state
+    const controls = field.type === 'radio' ? document.querySelectorAll(`[name="${fieldName}"]`) : [field];
+
     // Only show error if field has been touched or validateAllFieldsNow was called
     if (!fieldTouched[fieldName] && !fieldTouched['__validateAll__']) {
         return;
@@ -563,7 +1106,7 @@ function showFieldError(fieldName, errorMessage) {
     }
 
     if (errorMessage) {
-        errorElement.textContent = errorMessage;
+        errorElement.textContent = translateError(errorMessage);
         errorElement.style.display = 'block';
         field.classList.add('has-error');
         validationErrors[fieldName] = errorMessage;
@@ -573,9 +1116,123 @@ function showFieldError(fieldName, errorMessage) {
         delete validationErrors[fieldName];
     }
 
+    // Link the message to the control so screen readers announce it with the field
+    controls.forEach(control => {
+        if (errorMessage) {
+            control.setAttribute('aria-invalid', 'true');
+        } else {
+            control.removeAttribute('aria-invalid');
+        }
+        setDescribedBy(control, errorElement.id, Boolean(errorMessage));
+    });
+
     updateErrorCounter();
 }
 
+// Get the label shown for an error in the error summary
+function getErrorLabel(key) {
+    if (RegistrationValidation.parseListItemKey(key)) return getListItemLabel(key);
+    const def = getFieldSchema(key);
+    return def ? t(def.label) : key;
+}
+
+// Get the shown field errors in page order, with the control each belongs to
+function getOrderedErrors() {
+    return Object.keys(validationErrors)
+        .map(key => ({ key: key, message: validationErrors[key], control: document.querySelector(`[name="${key}"]`) }))
+        .filter(error => error.control)
+        .sort((a, b) => (a.control.compareDocumentPosition(b.control) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+}
+
+// Move focus to the field an error belongs to
+function focusErrorField(key) {
+    const control = document.querySelector(`[name="${key}"]`);
+    if (!control) return;
+
+    // The field may be on another wizard step
+    showWizardStepForElement(control);
+
+    // A fieldset can't take focus; use its first control (for lists, the first row
+    // control or the add button)
+    const target = control.tagName === 'FIELDSET'
+        ? control.querySelector('input:not([type="hidden"]), select, button') || control
+        : control;
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.focus();
+}
+
+// Fill the error summary with a link to each field error; hide it when there are none
+function updateErrorSummary() {
+    const summary = document.getElementById('errorSummary');
+    const list = document.getElementById('errorSummaryList');
+    if (!summary || !list) return;
+
+    const errors = getOrderedErrors();
+    list.innerHTML = '';
+    errors.forEach(error => {
+        const link = document.createElement('a');
+        link.href = '#' + (error.control.id || '');
+        link.textContent = getErrorLabel(error.key) + ': ' + translateError(error.message);
+        link.addEventListener('click', function(event) {
+            event.preventDefault();
+            focusErrorField(error.key);
+        });
+
+        const item = document.createElement('li');
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+    summary.hidden = errors.length === 0;
+}
+
+// Show the error summary at the top of the form and move focus to it
+function showErrorSummary() {
+    updateErrorSummary();
+
+    const summary = document.getElementById('errorSummary');
+    if (summary && !summary.hidden) {
+        summary.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        summary.focus({ preventScroll: true });
+    }
+}
+
+// Hide the error summary
+function hideErrorSummary() {
+    const summary = document.getElementById('errorSummary');
+    if (summary) summary.hidden = true;
+}
+
+// Show a message about something that failed (a submission, an export) in one of the
+// page's alert regions, which screen readers announce; details are listed under it
+function showFormAlert(alertId, message, details) {
+    const alertBox = document.getElementById(alertId);
+    if (!alertBox) return;
+
+    // Shown before it is filled, so the new text is announced
+    alertBox.hidden = false;
+    alertBox.innerHTML = '';
+    const text = document.createElement('p');
+    text.textContent = message;
+    alertBox.appendChild(text);
+
+    if (details && details.length > 0) {
+        const list = document.createElement('ul');
+        details.forEach(detail => {
+            const item = document.createElement('li');
+            item.textContent = detail;
+            list.appendChild(item);
+        });
+        alertBox.appendChild(list);
+    }
+    alertBox.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Hide an alert region
+function hideFormAlert(alertId) {
+    const alertBox = document.getElementById(alertId);
+    if (alertBox) alertBox.hidden = true;
+}
+
 // Add real-time validation to a field
 function addRealtimeValidation(fieldName) {
     const field = document.querySelector(`[name="${fieldName}"]`);
@@ -621,10 +1278,7 @@ function validateAllFieldsNow() {
     // Mark that validate all was called
     fieldTouched['__validateAll__'] = true;
 
-    const fields = ['firstName', 'middleInitial', 'lastName', 'dateOfBirth', 'socialSecurity',
-                   'gender', 'addressLine1', 'addressLine2', 'city', 'state', 'zipCode',
-                   'emailAddress', 'phoneNumber', 'emergencyContact', 'emergencyPhone',
-                   'isVaccinated', 'hasInsurance', 'desiredUserID', 'password', 'confirmPassword'];
+    const fields = getInputFields().reduce((keys, def) => keys.concat(getValidationKeys(def)), []);
 
     // Mark all fields as touched
     fields.forEach(fieldName => {
@@ -637,42 +1291,52 @@ function validateAllFieldsNow() {
         showFieldError(fieldName, error);
     });
 
-    // Scroll to first error if any
-    const firstErrorField = Object.keys(validationErrors)[0];
-    if (firstErrorField) {
-        const field = document.querySelector(`[name="${firstErrorField}"]`);
-        if (field) {
-            field.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            field.focus();
-        }
+    // List the errors at the top of the form
+    if (Object.keys(validationErrors).length > 0) {
+        showErrorSummary();
+    } else {
+        hideErrorSummary();
     }
 }
 
 // Initialize on page load
 function initializeForm() {
+    showCurrentDate();
     setDateLimits();
     convertUserIDToLowercase();
     convertEmailToLowercase();
+    initializeSSNInput();
+    initializePhoneInputs();
+    initializeAddressLookup();
 
     const form = document.getElementById('registrationForm');
     if (form) {
         form.addEventListener('submit', validateForm);
+        form.addEventListener('input', applyFormRules);
+        form.addEventListener('change', applyFormRules);
+        // Reset changes the values after the event, so wait a tick
+        form.addEventListener('reset', () => setTimeout(applyFormRules, 0));
+        form.addEventListener('reset', hideErrorSummary);
+        form.addEventListener('reset', () => hideFormAlert('submitAlert'));
+        // A cleared form is a new registration
+        form.addEventListener('reset', () => {
+            formSubmissionId = null;
+        });
     }
 
     // Add real-time validation to all fields
-    const fields = ['firstName', 'middleInitial', 'lastName', 'dateOfBirth', 'socialSecurity',
-                   'gender', 'addressLine1', 'addressLine2', 'city', 'state', 'zipCode',
-                   'emailAddress', 'phoneNumber', 'emergencyContact', 'emergencyPhone',
-                   'isVaccinated', 'hasInsurance', 'desiredUserID', 'password', 'confirmPassword'];
-
-    fields.forEach(fieldName => {
-        addRealtimeValidation(fieldName);
+    getInputFields().forEach(def => {
+        addRealtimeValidation(def.name);
     });
+    applyFormRules();
+
+    buildReviewArea();
+    document.addEventListener('languagechange', refreshLocalizedContent);
 
     // Initialize error counter display
     const counterElement = document.getElementById('errorCounter');
     if (counterElement) {
-        counterElement.textContent = 'Fill out the form and click VALIDATE to check for errors';
+        counterElement.textContent = t('Fill out the form and click VALIDATE to check for errors');
     }
 
     // Hide submit button initially
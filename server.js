@@ -0,0 +1,751 @@
+/*
+Program name: server.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 2.7
+Description: Local Node HTTP server for the patient registration form. Serves the
+             form's files (app-files.js), the staff pages and the service worker and
+             nothing else from the project folder, stores registrations posted to
+             /api/registrations and answers user ID availability lookups posted to
+             /api/users/availability (the patient's name goes in the body, never in
+             the URL).
+             Each registration is stored with its consent record, checked against
+             consent-terms.js. A patient under 18 is registered by a parent or
+             guardian, who holds the account. A registration sent again with the same
+             submissionId (a retry from the offline outbox) is stored only once.
+             Registrations are stored one at a time, each write replacing the file.
+             A registration that may belong to a stored patient (patient-match.js) is
+             answered with 409, without saying who matched; it is sent again with the
+             patient's duplicateDecision: confirm (keep the existing registration), merge
+             (update it with the new answers) or continue (register as a new patient).
+             Confirm and merge need the User ID and password of the existing account,
+             and a merge never changes the account's User ID or password. Failed
+             attempts lock out that User ID from that address, apart from staff sign-in.
+             Each registration is for one of the clinics in clinics.json, named in its
+             clinic field or found from the Host header, and is validated against that
+             clinic's fields, conditions and states. A stored registration is answered
+             with a confirmation for the thank-you page: the confirmation number, the
+             patient's first name and contact method, the date the front desk will call
+             by to schedule the first appointment, and the answers for the patient's copy
+             of the summary, all taken from the registration as it was sent.
+             Staff sign in at /api/admin/login to list registrations (admin.html).
+             Run with: ADMIN_PASSWORD=... node server.js (PORT defaults to 3000,
+             ADMIN_USERNAME to admin; admin sign-in is off without ADMIN_PASSWORD)
+*/
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FIELD_SCHEMA = require('./fields.js');
+const CLINIC_CONFIG = require('./clinics.json');
+const { CONSENT_TERMS, getConsentText } = require('./consent-terms.js');
+const { validateField, isMinor, createValidator } = require('./validation.js');
+const { findClinic, cloneSchema, applyClinicSchema } = require('./clinic.js');
+const { findPossibleDuplicates } = require('./patient-match.js');
+const { APP_FILES } = require('./app-files.js');
+
+const { FORM_FIELDS } = FIELD_SCHEMA;
+
+const PORT = process.env.PORT || 3000;
+const ROOT = __dirname;
+const DATA_DIR = path.join(ROOT, 'data');
+const REGISTRATIONS_FILE = path.join(DATA_DIR, 'registrations.json');
+const MAX_BODY_BYTES = 1024 * 1024;   // Room for the signature and two insurance card photos
+const MAX_USER_ID_SUGGESTIONS = 3;
+const SUBMISSION_ID_PATTERN = /^[A-Za-z0-9\-]{8,64}$/;
+const SCHEDULING_CONTACT_DAYS = 2;    // Business days the front desk has to call about a first appointment
+const USER_ID_TAKEN_MESSAGE = 'This User ID is already taken';
+const CONSENT_TERMS_CHANGED_MESSAGE = 'These terms have been updated. Please reload the page and review them again.';
+const CONSENT_RECORD_MESSAGE = 'Your answer was not recorded. Please uncheck and check this box again.';
+const SIGNATURE_RECORD_MESSAGE = 'Your signature was not recorded. Please clear it and sign again.';
+const ACCOUNT_SIGN_IN_MESSAGE = 'The User ID or password is incorrect';
+const ACCOUNT_LOCKED_MESSAGE = 'Too many failed sign-in attempts. Try again later.';
+const UNKNOWN_CLINIC_MESSAGE = 'This clinic is not set up for online registration';
+
+// Answers to "is this you?" when possible duplicates are found; deferred is sent by the
+// offline outbox, which can't ask, and leaves the decision to the front desk
+const DUPLICATE_ACTIONS = ['confirm', 'merge', 'continue', 'deferred'];
+
+// Stored fields a merge leaves as they are: the account belongs to whoever signed in
+const ACCOUNT_FIELDS = ['desiredUserID', 'passwordHash', 'accountHolder'];
+
+// Admin sign-in
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+const ADMIN_SESSION_COOKIE = 'adminSession';
+const ADMIN_SESSION_TTL = 60 * 60 * 1000;   // Sessions end after an hour without requests
+const MAX_LOGIN_FAILURES = 5;                // Failed sign-ins allowed per address...
+const LOGIN_LOCKOUT_TIME = 15 * 60 * 1000;  // ...before it is locked out for this long
+
+const adminSessions = new Map();         // session token -> { username, expiresAt }
+const loginFailures = new Map();         // staff: remote address -> { count, lockedUntil }
+const accountLoginFailures = new Map();  // patients: 'address userId' -> { count, lockedUntil }
+let registrationQueue = Promise.resolve();  // Updates of the stored registrations, run one at a time
+
+// Each clinic's validator, for fields.js with the clinic's settings from clinics.json
+const CLINIC_VALIDATORS = new Map(CLINIC_CONFIG.clinics.map(clinic =>
+    [clinic.id, createValidator(applyClinicSchema(cloneSchema(FIELD_SCHEMA), clinic))]));
+
+// Static files the server is allowed to hand out, by extension
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png'
+};
+
+// Files in the project root that are served; nothing else is
+const PUBLIC_FILES = APP_FILES.concat(['admin.html', 'admin.js', 'sw.js', 'app-files.js']);
+
+// Send a JSON response
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+// Read and parse a JSON request body
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (err) {
+                reject(new Error('Request body must be valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Load all stored registrations
+async function loadRegistrations() {
+    try {
+        return JSON.parse(await fs.promises.readFile(REGISTRATIONS_FILE, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+}
+
+// Write all registrations, replacing the file atomically. Each write has its own temp
+// file, so a failed write never leaves a half-written file for another to rename.
+async function saveRegistrations(registrations) {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    const tempFile = `${REGISTRATIONS_FILE}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+        await fs.promises.writeFile(tempFile, JSON.stringify(registrations, null, 2));
+        await fs.promises.rename(tempFile, REGISTRATIONS_FILE);
+    } catch (err) {
+        await fs.promises.unlink(tempFile).catch(() => {});
+        throw err;
+    }
+}
+
+// Run an update of the stored registrations (load, change, save) after every update queued
+// before it, so registrations sent at the same time can't both pass the duplicate and
+// User ID checks or overwrite each other. Resolves with the update's result.
+function queueRegistrationUpdate(update) {
+    const result = registrationQueue.then(update);
+    registrationQueue = result.catch(() => {});
+    return result;
+}
+
+// Check whether a user ID belongs to a stored registration (IDs are stored lowercased)
+function isUserIdTaken(registrations, userId) {
+    const id = userId.toLowerCase();
+    return registrations.some(registration => registration.desiredUserID === id);
+}
+
+// Reduce a name to the characters a user ID allows
+function toUserIdPart(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9_\-]/g, '');
+}
+
+// Suggest available user IDs built from the patient's names, falling back to the
+// requested ID with a number added
+function suggestUserIds(registrations, userId, firstName, lastName) {
+    const first = toUserIdPart(firstName);
+    const last = toUserIdPart(lastName);
+    const bases = [];
+    if (first && last) {
+        bases.push(first + last, first.charAt(0) + last, first + '_' + last, first + '-' + last, last + first.charAt(0));
+    }
+    bases.push(toUserIdPart(userId));
+
+    const candidates = bases.slice();
+    for (let number = 1; number < 100; number++) {
+        bases.forEach(base => candidates.push(base + number));
+    }
+
+    const suggestions = [];
+    for (const candidate of candidates) {
+        if (suggestions.length >= MAX_USER_ID_SUGGESTIONS) break;
+        if (suggestions.includes(candidate) || isUserIdTaken(registrations, candidate)) continue;
+        if (validateField('desiredUserID', { desiredUserID: candidate }) === null) {
+            suggestions.push(candidate);
+        }
+    }
+    return suggestions;
+}
+
+// Hash a password with a random salt for storage
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+// Check a password against a hash from hashPassword
+function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Hash checked when no account has the User ID, so a wrong User ID takes as long as a wrong password
+const UNKNOWN_ACCOUNT_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// SHA-256 of a consent text as hex, the same hash consent.js sends
+function hashConsentText(text) {
+    return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+// Check that a value is an ISO timestamp
+function isTimestamp(value) {
+    return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+// Check the consent record sent with a registration against the current consent terms
+// (as worded for the clinic) and the submitted answers. Terms for fields the clinic
+// leaves out are skipped. Returns { errors } keyed by field, or { consentRecord } to store.
+function checkConsentRecord(consentRecord, record, req, clinic) {
+    const documents = consentRecord && Array.isArray(consentRecord.documents) ? consentRecord.documents : [];
+    const removed = (clinic.fields && clinic.fields.removed) || [];
+    const stored = [];
+
+    for (const def of FORM_FIELDS.filter(entry => entry.consent && removed.indexOf(entry.name) < 0)) {
+        const term = CONSENT_TERMS.find(entry => entry.id === def.consent);
+        const shown = documents.find(entry => entry && entry.id === term.id) || {};
+        const language = Object.prototype.hasOwnProperty.call(term.text, shown.language) ? shown.language : null;
+        const hash = language ? hashConsentText(getConsentText(term, language, clinic.name)) : null;
+
+        // Pages served without HTTPS can't hash, so a missing hash is taken as our own
+        if (shown.version !== term.version || !language || (shown.hash && shown.hash !== hash)) {
+            return { errors: { [def.name]: CONSENT_TERMS_CHANGED_MESSAGE } };
+        }
+
+        const accepted = record[def.name] === 'Yes';
+        if (accepted && !isTimestamp(shown.acceptedAt)) {
+            return { errors: { [def.name]: CONSENT_RECORD_MESSAGE } };
+        }
+
+        stored.push({
+            id: term.id,
+            title: term.title.en,
+            version: term.version,
+            effectiveDate: term.effectiveDate,
+            language: language,
+            hash: hash,
+            presentedAt: isTimestamp(shown.presentedAt) ? shown.presentedAt : null,
+            accepted: accepted,
+            acceptedAt: accepted ? shown.acceptedAt : null
+        });
+    }
+
+    const signature = (consentRecord && consentRecord.signature) || {};
+    if (['drawn', 'typed'].indexOf(signature.method) < 0 || !isTimestamp(signature.signedAt)) {
+        return { errors: { signature: SIGNATURE_RECORD_MESSAGE } };
+    }
+
+    return {
+        consentRecord: {
+            documents: stored,
+            signature: {
+                method: signature.method,
+                signedName: record.signatureName,
+                signedAt: signature.signedAt,
+                image: record.signature
+            },
+            ipAddress: req.socket.remoteAddress,
+            userAgent: String(req.headers['user-agent'] || '').slice(0, 300)
+        }
+    };
+}
+
+// Build the stored form of a registration; the password is hashed, only the last 4
+// digits of the SSN are kept and the signature is kept in the consent record.
+// accountHolder says whose account the User ID is: the guardian's for a minor
+function toStoredRegistration(id, record, consentRecord, clinic) {
+    const stored = { id: id, clinic: clinic.id, submittedAt: new Date().toISOString() };
+
+    FORM_FIELDS.forEach(def => {
+        if (['password', 'confirmPassword', 'socialSecurity', 'signature'].indexOf(def.name) >= 0) return;
+        stored[def.name] = record[def.name];
+    });
+    stored.desiredUserID = record.desiredUserID.toLowerCase();
+    stored.socialSecurityLast4 = (record.socialSecurity || '').slice(-4);
+    stored.passwordHash = hashPassword(record.password);
+    stored.accountHolder = isMinor(record) ? 'guardian' : 'patient';
+    stored.consentRecord = consentRecord;
+
+    return stored;
+}
+
+// Add business days (Monday to Friday) to a date; returns its YYYY-MM-DD in local time
+function addBusinessDays(date, days) {
+    const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    while (days > 0) {
+        result.setDate(result.getDate() + 1);
+        if (result.getDay() !== 0 && result.getDay() !== 6) days--;
+    }
+    const pad = number => String(number).padStart(2, '0');
+    return `${result.getFullYear()}-${pad(result.getMonth() + 1)}-${pad(result.getDate())}`;
+}
+
+// The patient's answers for their copy of the summary: fields that apply to them, without
+// the password, signature or card photos, and only the last 4 digits of the SSN
+function toConfirmationSummary(record, validator) {
+    const states = validator.getFieldStates(record);
+    const summary = {};
+    FORM_FIELDS.forEach(def => {
+        if (!states[def.name].active) return;
+        if (def.exportLast4) {
+            if (record[def.name]) summary[def.name] = '***-**-' + record[def.name].slice(-4);
+        } else if (!def.sensitive) {
+            summary[def.name] = record[def.name];
+        }
+    });
+    return summary;
+}
+
+// What the thank-you page shows about a registration (see thankyou.js). Built only from
+// the answers sent with this request, never from a stored registration, so the reply
+// holds nothing the caller didn't already know besides the confirmation number.
+function toConfirmation(id, record, validator) {
+    return {
+        confirmationNumber: id,
+        firstName: record.firstName,
+        preferredContactMethod: record.preferredContactMethod || '',
+        registeredAt: new Date().toISOString(),
+        contactBy: addBusinessDays(new Date(), SCHEDULING_CONTACT_DAYS),
+        summary: toConfirmationSummary(record, validator)
+    };
+}
+
+// Get the clinic a registration is for: the clinic it names, otherwise the clinic for the
+// Host header (or the default clinic). Null when it names a clinic that isn't configured.
+function getRegistrationClinic(req, clinicId) {
+    if (clinicId) return CLINIC_CONFIG.clinics.find(clinic => clinic.id === clinicId) || null;
+    return findClinic(CLINIC_CONFIG, null, String(req.headers.host || '').replace(/:\d+$/, ''));
+}
+
+// Read the duplicateDecision sent with a registration; null when there is none. Confirm
+// and merge carry the sign-in (userId, password) of the existing account.
+function getDuplicateDecision(decision) {
+    if (!decision || DUPLICATE_ACTIONS.indexOf(decision.action) < 0) return null;
+    return {
+        action: decision.action,
+        userId: String(decision.userId || '').trim().toLowerCase(),
+        password: String(decision.password || '')
+    };
+}
+
+// Find the registration whose account the patient signed in to; null for a wrong User ID
+// or password
+function findSignedInRegistration(registrations, userId, password) {
+    const registration = userId ? registrations.find(entry => entry.desiredUserID === userId) : null;
+    const valid = verifyPassword(password, registration ? registration.passwordHash : UNKNOWN_ACCOUNT_HASH);
+    return registration && valid ? registration : null;
+}
+
+// Update a stored registration with a newer one from the same patient; answers left
+// empty in the new registration keep their stored value, and the account is unchanged
+function mergeRegistration(existing, stored) {
+    const merged = Object.assign({}, existing);
+    Object.keys(stored).forEach(key => {
+        const value = stored[key];
+        if (ACCOUNT_FIELDS.indexOf(key) >= 0) return;
+        if (value === '' || value === undefined || (Array.isArray(value) && value.length === 0)) return;
+        merged[key] = value;
+    });
+    merged.id = existing.id;
+    merged.submittedAt = existing.submittedAt;
+    merged.updatedAt = stored.submittedAt;
+    return merged;
+}
+
+// POST /api/registrations
+async function createRegistration(req, res) {
+    let body;
+    try {
+        body = await readJsonBody(req);
+    } catch (err) {
+        sendJson(res, 400, { error: err.message });
+        return;
+    }
+
+    const clinic = getRegistrationClinic(req, (body || {}).clinic);
+    if (!clinic) {
+        sendJson(res, 400, { error: UNKNOWN_CLINIC_MESSAGE });
+        return;
+    }
+
+    const validator = CLINIC_VALIDATORS.get(clinic.id);
+    const record = validator.normalizeRecord(body || {});
+    const errors = validator.validate(record);
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, { errors: errors });
+        return;
+    }
+
+    const consent = checkConsentRecord((body || {}).consentRecord, record, req, clinic);
+    if (consent.errors) {
+        sendJson(res, 422, { errors: consent.errors });
+        return;
+    }
+
+    // Registrations are stored one at a time, so the checks below see every earlier one
+    await queueRegistrationUpdate(async () => {
+        const registrations = await loadRegistrations();
+
+        // A retry of a registration that was already stored gets the same answer again
+        const submissionId = SUBMISSION_ID_PATTERN.test(String((body || {}).submissionId)) ? body.submissionId : null;
+        const existing = submissionId && registrations.find(registration => registration.submissionId === submissionId);
+        if (existing) {
+            sendJson(res, 200, { id: existing.id, confirmation: toConfirmation(existing.id, record, validator) });
+            return;
+        }
+
+        // A patient who may already be registered at this clinic decides before a second chart
+        // is made; registrations stored before clinics.json existed are the default clinic's
+        const clinicRegistrations = registrations.filter(registration =>
+            (registration.clinic || CLINIC_CONFIG.defaultClinic) === clinic.id);
+        const matches = findPossibleDuplicates(record, clinicRegistrations);
+        const decision = getDuplicateDecision((body || {}).duplicateDecision);
+        if (matches.length > 0 && !decision) {
+            // Who matched is not said: only someone who can sign in to that account may see it
+            sendJson(res, 409, { possibleDuplicate: true });
+            return;
+        }
+
+        if (decision && (decision.action === 'confirm' || decision.action === 'merge')) {
+            // Keeping or updating an existing registration needs its account's User ID and password
+            const attemptKey = req.socket.remoteAddress + ' ' + decision.userId;
+            if (isLoginLocked(accountLoginFailures, attemptKey)) {
+                sendJson(res, 409, { possibleDuplicate: true, error: ACCOUNT_LOCKED_MESSAGE });
+                return;
+            }
+            const existingRegistration = findSignedInRegistration(clinicRegistrations, decision.userId, decision.password);
+            if (!existingRegistration) {
+                recordLoginFailure(accountLoginFailures, attemptKey);
+                sendJson(res, 409, { possibleDuplicate: true, error: ACCOUNT_SIGN_IN_MESSAGE });
+                return;
+            }
+            accountLoginFailures.delete(attemptKey);
+
+            const index = registrations.indexOf(existingRegistration);
+            if (decision.action === 'confirm') {
+                registrations[index] = Object.assign({}, existingRegistration, { confirmedAt: new Date().toISOString() });
+            } else {
+                const stored = toStoredRegistration(existingRegistration.id, record, consent.consentRecord, clinic);
+                if (submissionId) stored.submissionId = submissionId;
+                registrations[index] = mergeRegistration(existingRegistration, stored);
+            }
+            await saveRegistrations(registrations);
+
+            // The account is still the one the patient signed in to
+            const signedInRecord = Object.assign({}, record, { desiredUserID: decision.userId });
+            sendJson(res, 200, {
+                id: existingRegistration.id,
+                duplicateDecision: decision.action,
+                confirmation: toConfirmation(existingRegistration.id, signedInRecord, validator)
+            });
+            return;
+        }
+
+        if (isUserIdTaken(registrations, record.desiredUserID)) {
+            sendJson(res, 422, { errors: { desiredUserID: USER_ID_TAKEN_MESSAGE } });
+            return;
+        }
+
+        const id = 'REG-' + crypto.randomBytes(4).toString('hex').toUpperCase();
+        const stored = toStoredRegistration(id, record, consent.consentRecord, clinic);
+        if (submissionId) stored.submissionId = submissionId;
+        // Kept for the front desk: the possible matches and what the patient decided
+        if (matches.length > 0) {
+            stored.duplicateReview = {
+                decision: decision.action,
+                candidates: matches.map(match => ({
+                    registrationId: match.registration.id,
+                    score: match.score,
+                    matchedOn: match.matchedOn
+                }))
+            };
+        }
+        registrations.push(stored);
+        await saveRegistrations(registrations);
+
+        sendJson(res, 201, { id: id, confirmation: toConfirmation(id, record, validator) });
+    });
+}
+
+// POST /api/users/availability { userId, firstName, lastName }
+async function getUserIdAvailability(req, res) {
+    let body;
+    try {
+        body = await readJsonBody(req);
+    } catch (err) {
+        sendJson(res, 400, { error: err.message });
+        return;
+    }
+
+    const userId = String((body && body.userId) || '');
+    const error = validateField('desiredUserID', { desiredUserID: userId });
+    if (error) {
+        sendJson(res, 400, { error: error });
+        return;
+    }
+
+    const registrations = await loadRegistrations();
+    const available = !isUserIdTaken(registrations, userId);
+
+    sendJson(res, 200, {
+        id: userId.toLowerCase(),
+        available: available,
+        suggestions: available ? [] : suggestUserIds(registrations, userId, body.firstName, body.lastName)
+    });
+}
+
+// Decode a percent-encoded URL part; null when the encoding is malformed (/%E0%A4%A)
+function decodeUrlPart(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (err) {
+        return null;
+    }
+}
+
+// Serve a static file from the project root
+async function serveStatic(req, res) {
+    const urlPath = decodeUrlPart(new URL(req.url, 'http://localhost').pathname);
+    if (urlPath === null) {
+        sendJson(res, 400, { error: 'Bad request' });
+        return;
+    }
+    const relativePath = urlPath === '/' ? 'index.html' : urlPath.replace(/^\/+/, '');
+    const filePath = path.join(ROOT, relativePath);
+    const mimeType = MIME_TYPES[path.extname(filePath)];
+
+    if (!mimeType || !PUBLIC_FILES.includes(relativePath)) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    try {
+        const content = await fs.promises.readFile(filePath);
+        res.writeHead(200, { 'Content-Type': mimeType });
+        res.end(content);
+    } catch (err) {
+        sendJson(res, 404, { error: 'Not found' });
+    }
+}
+
+// Compare two strings in constant time
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Read one cookie from a request; null when it is missing or badly encoded
+function getCookie(req, name) {
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+        const index = cookie.indexOf('=');
+        if (index > 0 && cookie.slice(0, index).trim() === name) {
+            return decodeUrlPart(cookie.slice(index + 1).trim());
+        }
+    }
+    return null;
+}
+
+// Set (or with maxAge 0, clear) the admin session cookie
+function setSessionCookie(res, token, maxAge) {
+    res.setHeader('Set-Cookie', `${ADMIN_SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`);
+}
+
+// Get the signed-in admin session for a request, extending it; null when signed out
+function getAdminSession(req) {
+    const token = getCookie(req, ADMIN_SESSION_COOKIE);
+    const session = token ? adminSessions.get(token) : null;
+    if (!session) return null;
+
+    if (session.expiresAt < Date.now()) {
+        adminSessions.delete(token);
+        return null;
+    }
+    session.expiresAt = Date.now() + ADMIN_SESSION_TTL;
+    return session;
+}
+
+// Check whether a key of a failure map has too many recent failed sign-ins
+function isLoginLocked(failureMap, key) {
+    const failures = failureMap.get(key);
+    if (!failures || !failures.lockedUntil) return false;
+    if (failures.lockedUntil > Date.now()) return true;
+
+    failureMap.delete(key);
+    return false;
+}
+
+// Count a failed sign-in, locking the key out after MAX_LOGIN_FAILURES
+function recordLoginFailure(failureMap, key) {
+    const failures = failureMap.get(key) || { count: 0, lockedUntil: 0 };
+    failures.count++;
+    if (failures.count >= MAX_LOGIN_FAILURES) {
+        failures.lockedUntil = Date.now() + LOGIN_LOCKOUT_TIME;
+    }
+    failureMap.set(key, failures);
+}
+
+// POST /api/admin/login
+async function adminLogin(req, res) {
+    if (!ADMIN_PASSWORD) {
+        sendJson(res, 503, { error: 'Admin sign-in is not set up on this server' });
+        return;
+    }
+
+    const address = req.socket.remoteAddress;
+    if (isLoginLocked(loginFailures, address)) {
+        sendJson(res, 429, { error: 'Too many failed sign-in attempts. Try again later.' });
+        return;
+    }
+
+    let body;
+    try {
+        body = await readJsonBody(req);
+    } catch (err) {
+        sendJson(res, 400, { error: err.message });
+        return;
+    }
+
+    const username = String((body && body.username) || '');
+    const password = String((body && body.password) || '');
+    // Check both so a wrong username takes as long as a wrong password
+    const usernameMatches = safeEqual(username, ADMIN_USERNAME);
+    const passwordMatches = safeEqual(password, ADMIN_PASSWORD);
+    if (!usernameMatches || !passwordMatches) {
+        recordLoginFailure(loginFailures, address);
+        sendJson(res, 401, { error: 'Invalid username or password' });
+        return;
+    }
+
+    loginFailures.delete(address);
+    const token = crypto.randomBytes(32).toString('hex');
+    adminSessions.set(token, { username: ADMIN_USERNAME, expiresAt: Date.now() + ADMIN_SESSION_TTL });
+    setSessionCookie(res, token, ADMIN_SESSION_TTL / 1000);
+    sendJson(res, 200, { username: ADMIN_USERNAME });
+}
+
+// POST /api/admin/logout
+function adminLogout(req, res) {
+    const token = getCookie(req, ADMIN_SESSION_COOKIE);
+    if (token) adminSessions.delete(token);
+    setSessionCookie(res, '', 0);
+    sendJson(res, 200, {});
+}
+
+// GET /api/admin/session
+function getAdminSessionInfo(req, res) {
+    const session = getAdminSession(req);
+    if (!session) {
+        sendJson(res, 401, { error: 'Not signed in' });
+        return;
+    }
+    sendJson(res, 200, { username: session.username });
+}
+
+// GET /api/admin/registrations - stored registrations without password hashes
+async function listRegistrations(req, res) {
+    if (!getAdminSession(req)) {
+        sendJson(res, 401, { error: 'Not signed in' });
+        return;
+    }
+
+    const registrations = await loadRegistrations();
+    res.setHeader('Cache-Control', 'no-store');
+    sendJson(res, 200, {
+        registrations: registrations.map(registration => {
+            const listed = Object.assign({}, registration);
+            delete listed.passwordHash;
+            return listed;
+        })
+    });
+}
+
+// Check a request's method, answering 405 when it isn't allowed; returns true when it is
+function allowMethod(req, res, method) {
+    if (req.method === method) return true;
+
+    res.setHeader('Allow', method);
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return false;
+}
+
+// API routes: pathname -> [method, handler]
+const API_ROUTES = {
+    '/api/registrations': ['POST', createRegistration],
+    '/api/users/availability': ['POST', getUserIdAvailability],
+    '/api/admin/login': ['POST', adminLogin],
+    '/api/admin/logout': ['POST', adminLogout],
+    '/api/admin/session': ['GET', getAdminSessionInfo],
+    '/api/admin/registrations': ['GET', listRegistrations]
+};
+
+// Route a request
+async function handleRequest(req, res) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const route = API_ROUTES[pathname];
+
+    try {
+        if (route) {
+            if (!allowMethod(req, res, route[0])) return;
+            await route[1](req, res);
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            await serveStatic(req, res);
+        } else {
+            sendJson(res, 405, { error: 'Method not allowed' });
+        }
+    } catch (err) {
+        console.error(err);
+        sendJson(res, 500, { error: 'Internal server error' });
+    }
+}
+
+if (require.main === module) {
+    http.createServer(handleRequest).listen(PORT, () => {
+        console.log(`Registration server listening on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { handleRequest };
@@ -0,0 +1,328 @@
+/*
+Program name: summary-export.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.6
+Description: Printable and PDF export of the registration review summary. The PDF is
+             written directly in the browser (no libraries, no network access).
+             Also downloads the FHIR and HL7 exports built by interop.js. The PDF
+             writer is shared with thankyou.js for the patient's copy of the summary.
+*/
+
+const PDF_PAGE_WIDTH = 612;  // US Letter, in points
+const PDF_PAGE_HEIGHT = 792;
+const PDF_MARGIN = 50;
+const PDF_VALUE_COLUMN = 230; // x position of the value column
+
+// Get the value shown for a field in an exported summary
+function getSummaryValue(def, states) {
+    if (def.exportLast4) {
+        const value = getFieldValue(def.name);
+        return value ? '***-**-' + value.slice(-4) : t('(not entered)');
+    }
+    return getReviewValue(def, states);
+}
+
+// Get the clinic's name, address and logo for an exported summary, as shown on the page
+function getSummaryHeader() {
+    const banner = document.querySelector('.logo-section');
+    const footer = document.querySelector('.footer-left p');
+
+    return {
+        clinicName: banner ? banner.querySelector('h1').textContent.trim() : '',
+        clinicAddress: footer ? Array.from(footer.childNodes)
+            .filter(node => node.nodeType === Node.TEXT_NODE && node.nodeValue.trim())
+            .map(node => node.nodeValue.trim()) : [],
+        logoSrc: banner ? banner.querySelector('img').src : '',
+        title: t('Registration Summary'),
+        generatedAt: new Date().toLocaleString(getLocale())
+    };
+}
+
+// Collect the review data for export, grouped like the form's fieldsets
+function getSummaryData() {
+    const states = getCurrentFieldStates();
+    return Object.assign(getSummaryHeader(), {
+        sections: FORM_SECTIONS.filter(section => isSectionActive(section.id, states)).map(section => ({
+            title: t(section.title),
+            rows: getSectionFields(section.id).map(def => ({
+                label: t(def.reviewLabel || def.label),
+                value: getSummaryValue(def, states)
+            }))
+        }))
+    });
+}
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Build the print-optimized summary document
+function buildSummaryHtml(summary) {
+    const sections = summary.sections.map(section => `
+        <div class="summary-section">
+            <h2>${escapeHtml(section.title)}</h2>
+            <table class="summary-table">
+                ${section.rows.map(row => `<tr><td>${escapeHtml(row.label)}</td><td>${escapeHtml(row.value)}</td></tr>`).join('')}
+            </table>
+        </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(document.documentElement.lang || 'en')}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(summary.clinicName + ' - ' + summary.title)}</title>
+    <link href="print.css" rel="stylesheet">
+</head>
+<body>
+    <div class="summary-document">
+        <div class="summary-header">
+            <img src="${escapeHtml(summary.logoSrc)}" alt="">
+            <div>
+                <h1>${escapeHtml(summary.clinicName)}</h1>
+                <p>${summary.clinicAddress.map(escapeHtml).join('<br>')}</p>
+                <p><strong>${escapeHtml(summary.title)}</strong></p>
+            </div>
+        </div>
+        <p class="summary-timestamp">${escapeHtml(t('Generated: {date}', { date: summary.generatedAt }))}</p>
+        ${sections}
+        <div class="summary-signatures">
+            <div class="summary-signature-line">
+                <span>${escapeHtml(t('Patient or Guardian Signature'))}</span>
+                <span>${escapeHtml(t('Date'))}</span>
+            </div>
+            <div class="summary-signature-line">
+                <span>${escapeHtml(t('Staff Signature'))}</span>
+                <span>${escapeHtml(t('Date'))}</span>
+            </div>
+        </div>
+        <div class="summary-actions">
+            <button type="button" onclick="window.print()">${escapeHtml(t('Print'))}</button>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+// Open the summary in a new window and print it
+function printSummary() {
+    const summaryWindow = window.open('', '_blank');
+    if (!summaryWindow) {
+        showFormAlert('exportAlert', t('Please allow pop-ups to print the summary.'));
+        return;
+    }
+
+    summaryWindow.document.open();
+    summaryWindow.document.write(buildSummaryHtml(getSummaryData()));
+    summaryWindow.document.close();
+    summaryWindow.addEventListener('load', function() {
+        summaryWindow.focus();
+        summaryWindow.print();
+    });
+}
+
+// Escape text for a PDF string literal; characters outside WinAnsi become '?'
+function escapePdfText(text) {
+    return String(text)
+        .replace(/[^\x20-\xff]/g, '?')
+        .replace(/[\\()]/g, match => '\\' + match);
+}
+
+// Split text into lines that fit a width, approximating Helvetica's average glyph width
+function wrapPdfText(text, width, fontSize) {
+    const maxChars = Math.max(1, Math.floor(width / (fontSize * 0.5)));
+    const lines = [];
+    let line = '';
+
+    String(text).split(/\s+/).forEach(word => {
+        while (word.length > maxChars) {
+            if (line) {
+                lines.push(line);
+                line = '';
+            }
+            lines.push(word.slice(0, maxChars));
+            word = word.slice(maxChars);
+        }
+        if (line && (line + ' ' + word).length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? line + ' ' + word : word;
+        }
+    });
+    if (line) lines.push(line);
+
+    return lines.length > 0 ? lines : [''];
+}
+
+// Lay out the summary as PDF text drawing commands, one array per page
+function layoutSummaryPdf(summary) {
+    const pages = [[]];
+    let y = PDF_PAGE_HEIGHT - PDF_MARGIN;
+
+    const text = (x, size, bold, value) => {
+        pages[pages.length - 1].push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${escapePdfText(value)}) Tj ET`);
+    };
+    const line = (x1, x2) => {
+        pages[pages.length - 1].push(`${x1} ${y} m ${x2} ${y} l S`);
+    };
+    const ensureSpace = height => {
+        if (y - height < PDF_MARGIN + 20) {
+            pages.push([]);
+            y = PDF_PAGE_HEIGHT - PDF_MARGIN;
+        }
+    };
+
+    // Clinic header
+    text(PDF_MARGIN, 18, true, summary.clinicName);
+    y -= 14;
+    summary.clinicAddress.forEach(addressLine => {
+        text(PDF_MARGIN, 9, false, addressLine);
+        y -= 11;
+    });
+    y -= 4;
+    text(PDF_MARGIN, 12, false, summary.title);
+    y -= 14;
+    text(PDF_MARGIN, 9, false, t('Generated: {date}', { date: summary.generatedAt }));
+    y -= 8;
+    line(PDF_MARGIN, PDF_PAGE_WIDTH - PDF_MARGIN);
+    y -= 20;
+
+    summary.sections.forEach(section => {
+        ensureSpace(40);
+        text(PDF_MARGIN, 13, true, section.title);
+        y -= 16;
+
+        section.rows.forEach(row => {
+            const labelLines = wrapPdfText(row.label, PDF_VALUE_COLUMN - PDF_MARGIN - 10, 10);
+            const valueLines = wrapPdfText(row.value, PDF_PAGE_WIDTH - PDF_MARGIN - PDF_VALUE_COLUMN, 10);
+            const rowLines = Math.max(labelLines.length, valueLines.length);
+
+            ensureSpace(rowLines * 12);
+            const top = y;
+            labelLines.forEach((labelLine, i) => {
+                y = top - i * 12;
+                text(PDF_MARGIN, 10, true, labelLine);
+            });
+            valueLines.forEach((valueLine, i) => {
+                y = top - i * 12;
+                text(PDF_VALUE_COLUMN, 10, false, valueLine);
+            });
+            y = top - rowLines * 12 - 2;
+        });
+        y -= 10;
+    });
+
+    // Signature lines
+    [t('Patient or Guardian Signature'), t('Staff Signature')].forEach(label => {
+        ensureSpace(50);
+        y -= 35;
+        line(PDF_MARGIN, 400);
+        line(430, PDF_PAGE_WIDTH - PDF_MARGIN);
+        y -= 11;
+        text(PDF_MARGIN, 9, false, label);
+        text(430, 9, false, t('Date'));
+    });
+
+    // Page numbers
+    pages.forEach((commands, i) => {
+        commands.push(`BT /F1 8 Tf ${PDF_MARGIN} 30 Td (${escapePdfText(t('Page {page} of {total}', { page: i + 1, total: pages.length }))}) Tj ET`);
+    });
+
+    return pages;
+}
+
+// Build a PDF file of the summary; returns its bytes
+function buildSummaryPdf(summary) {
+    const pages = layoutSummaryPdf(summary);
+    const objects = [];
+
+    // Objects 1-4: catalog, page tree and the two standard fonts
+    const pageIds = pages.map((page, i) => 5 + i * 2);
+    objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+    objects.push(`<< /Type /Pages /Kids [${pageIds.map(id => id + ' 0 R').join(' ')}] /Count ${pages.length} >>`);
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    pages.forEach((commands, i) => {
+        const content = commands.join('\n');
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+                     `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`);
+        objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    });
+
+    // Every character is a single byte, so string offsets are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((object, i) => {
+        offsets.push(pdf.length);
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+        pdf += String(offset).padStart(10, '0') + ' 00000 n \n';
+    });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(pdf.length);
+    for (let i = 0; i < pdf.length; i++) {
+        bytes[i] = pdf.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Save data as a file download
+function downloadFile(data, filename, type) {
+    const url = URL.createObjectURL(new Blob([data], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Download the summary as a PDF
+function downloadSummaryPdf() {
+    const today = new Date().toISOString().split('T')[0];
+    downloadFile(buildSummaryPdf(getSummaryData()), `registration-summary-${today}.pdf`, 'application/pdf');
+}
+
+// Check an export before downloading it; returns true when it has no structural errors,
+// otherwise lists them above the review's buttons
+function checkInteropExport(errors) {
+    if (errors.length === 0) {
+        hideFormAlert('exportAlert');
+        return true;
+    }
+
+    showFormAlert('exportAlert', t('The export could not be created:'), errors);
+    return false;
+}
+
+// Download the registration as a FHIR R4 Bundle (Patient, Condition, Coverage)
+function downloadFhirExport() {
+    const bundle = RegistrationInterop.toFhirBundle(getFormRecord(), getClinicExportSettings());
+    if (!checkInteropExport(RegistrationInterop.validateFhirBundle(bundle))) return;
+
+    const today = new Date().toISOString().split('T')[0];
+    downloadFile(JSON.stringify(bundle, null, 2), `registration-fhir-${today}.json`, 'application/fhir+json');
+}
+
+// Download the registration as an HL7 v2 ADT^A04 message
+function downloadHl7Export() {
+    const message = RegistrationInterop.toHl7Adt(getFormRecord(), getClinicExportSettings());
+    if (!checkInteropExport(RegistrationInterop.validateHl7Adt(message))) return;
+
+    const today = new Date().toISOString().split('T')[0];
+    downloadFile(message, `registration-adt-a04-${today}.hl7`, 'application/hl7-v2');
+}
@@ -0,0 +1,72 @@
+/*
+Program name: sw.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.6
+Description: Service worker for the registration kiosk. Keeps a copy of the pages, styles,
+             scripts and logo the form needs (APP_FILES in app-files.js) so it still
+             opens when the Wi-Fi drops.
+             Files are fetched from the network first and the copy is refreshed each
+             time, so an update reaches the tablets on their next online load. API
+             requests are never cached. Registrations queued while offline are sent
+             from outbox.js when Background Sync reports the connection is back.
+*/
+
+importScripts('app-files.js', 'outbox.js');
+
+const APP_CACHE = 'registration-app-v1';
+
+// Get the path of an app file from a request URL; the site root is index.html
+function getAppFile(url) {
+    const scope = new URL(self.registration.scope);
+    if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return null;
+
+    const file = url.pathname.slice(scope.pathname.length) || 'index.html';
+    return APP_FILES.includes(file) ? file : null;
+}
+
+// Fetch an app file and refresh its copy, falling back to the copy when offline
+async function fetchAppFile(request, file) {
+    const cache = await caches.open(APP_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(file, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(file);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+// Copy the app files on install
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(APP_CACHE)
+        .then(cache => cache.addAll(APP_FILES))
+        .then(() => self.skipWaiting()));
+});
+
+// Drop the copies kept by older versions of this worker
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(name => name !== APP_CACHE).map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    if (event.request.method !== 'GET') return;
+
+    // The query string (?lang=, ?kiosk=) doesn't change the file
+    const file = getAppFile(new URL(event.request.url));
+    if (file) event.respondWith(fetchAppFile(event.request, file));
+});
+
+// Send the outbox once the connection is back; a failure lets the browser retry later
+self.addEventListener('sync', event => {
+    if (event.tag !== OUTBOX_SYNC_TAG) return;
+
+    event.waitUntil(syncOutbox().then(result => {
+        if (result.queued > 0) throw new Error('Registrations are still waiting to be sent');
+    }));
+});
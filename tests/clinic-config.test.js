@@ -0,0 +1,40 @@
+/*
+Program name: clinic-config.test.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.0
+Description: Tests for what the form page does when clinic-config.mjs couldn't set up
+             the clinic (clinics.json didn't load, or the browser can't import JSON
+             modules): the form is turned off with a message instead of asking another
+             clinic's questions.
+             Run with: npm test
+*/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFormPage } = require('./form-page');
+
+describe('clinic settings', () => {
+    it('shows the form once the clinic is set up', async () => {
+        const window = await loadFormPage();
+        assert.equal(window.document.getElementById('registrationForm').hidden, false);
+        assert.equal(window.document.getElementById('clinicConfigError'), null);
+        window.close();
+    });
+
+    it('turns the form off with a message when the clinic settings did not load', async () => {
+        const window = await loadFormPage({ clinicConfig: false });
+        const message = window.document.getElementById('clinicConfigError');
+
+        assert.equal(window.document.getElementById('registrationForm').hidden, true);
+        assert.equal(message.getAttribute('role'), 'alert');
+        assert.equal(message.textContent,
+                     'This page could not load its settings. Please reload the page, or ask the front desk for help.');
+
+        window.setLanguage('es');
+        assert.equal(message.textContent,
+                     'Esta página no pudo cargar su configuración. Vuelva a cargar la página o pida ayuda en la recepción.');
+        window.close();
+    });
+});
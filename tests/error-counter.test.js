@@ -0,0 +1,266 @@
+/*
+Program name: error-counter.test.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.7
+Description: Tests for how the form reports errors in script.js: errors wait until a
+             field has been touched (or VALIDATE is pressed), the error counter's
+             states with the SUBMIT and VALIDATE buttons shown or hidden to match, the
+             error summary, failed submissions shown on the page, SUBMIT sending a
+             registration once, and what CLEAR AND START OVER resets.
+             Run with: npm test
+*/
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFormPage, setField, setValue, fillValidForm } = require('./form-page');
+
+const RED = 'rgb(211, 47, 47)';
+const GREEN = 'rgb(46, 125, 50)';
+
+describe('error reporting', () => {
+    let window;
+    let document;
+
+    const counter = () => document.getElementById('errorCounter');
+    const submitButton = () => document.querySelector('.submit-btn');
+    const validateButton = () => document.querySelector('.validate-btn');
+
+    // Wait for the handlers that run after a reset
+    const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(async () => {
+        window = await loadFormPage();
+        document = window.document;
+    });
+
+    afterEach(() => {
+        window.close();
+    });
+
+    it('starts with instructions and no SUBMIT button', () => {
+        assert.equal(counter().textContent, 'Fill out the form and click VALIDATE to check for errors');
+        assert.equal(submitButton().style.display, 'none');
+        assert.notEqual(validateButton().style.display, 'none');
+    });
+
+    it('keeps an untouched field quiet', () => {
+        window.showFieldError('firstName', 'Required field is empty');
+        assert.equal(document.getElementById('error-firstName'), null);
+        assert.equal(document.getElementById('firstName').hasAttribute('aria-invalid'), false);
+    });
+
+    it('shows an error once the field is touched, linked to the field', () => {
+        setField(window, 'firstName', 'J0hn');
+        const field = document.getElementById('firstName');
+        const error = document.getElementById('error-firstName');
+
+        assert.equal(error.textContent, 'Enter 1-30 characters, letters, apostrophes, and dashes only');
+        assert.equal(error.style.display, 'block');
+        assert.ok(field.classList.contains('has-error'));
+        assert.equal(field.getAttribute('aria-invalid'), 'true');
+        assert.ok(field.getAttribute('aria-describedby').split(' ').includes('error-firstName'));
+
+        setField(window, 'firstName', 'John');
+        assert.equal(error.style.display, 'none');
+        assert.equal(field.classList.contains('has-error'), false);
+        assert.equal(field.hasAttribute('aria-invalid'), false);
+        assert.equal((field.getAttribute('aria-describedby') || '').includes('error-firstName'), false);
+    });
+
+    it('marks every button of a radio group', () => {
+        setField(window, 'gender', 'Male');
+        window.showFieldError('gender', 'Required field - please select an option');
+        document.querySelectorAll('[name="gender"]').forEach(radio => {
+            assert.equal(radio.getAttribute('aria-invalid'), 'true');
+        });
+    });
+
+    it('counts the errors shown, in the singular and the plural', () => {
+        setField(window, 'firstName', 'J0hn');
+        assert.equal(counter().textContent, '1 validation error remaining');
+        assert.equal(counter().style.color, RED);
+
+        setField(window, 'emailAddress', 'jsmith@example');
+        assert.equal(counter().textContent, '2 validation errors remaining');
+        assert.equal(submitButton().style.display, 'none');
+        assert.equal(validateButton().style.display, 'inline-block');
+    });
+
+    it('asks for the remaining required fields once the errors are fixed', () => {
+        setField(window, 'firstName', 'J0hn');
+        setField(window, 'firstName', 'John');
+        assert.equal(counter().textContent, 'Fill out all required fields and click VALIDATE to check for errors');
+        assert.equal(submitButton().style.display, 'none');
+        assert.equal(validateButton().style.display, 'inline-block');
+    });
+
+    it('shows SUBMIT and hides VALIDATE when everything passes, and not after a new error', () => {
+        fillValidForm(window);
+        validateButton().click();
+        assert.equal(counter().textContent, 'All validations passed! You can now submit the form.');
+        assert.equal(counter().style.color, GREEN);
+        assert.equal(submitButton().style.display, 'inline-block');
+        assert.equal(validateButton().style.display, 'none');
+        assert.equal(document.getElementById('errorSummary').hidden, true);
+
+        setField(window, 'zipCode', '7700');
+        assert.equal(counter().textContent, '1 validation error remaining');
+        assert.equal(submitButton().style.display, 'none');
+        assert.equal(validateButton().style.display, 'inline-block');
+    });
+
+    it('lists every error in page order when VALIDATE is pressed', () => {
+        validateButton().click();
+
+        const summary = document.getElementById('errorSummary');
+        const links = Array.from(document.querySelectorAll('#errorSummaryList a'));
+        assert.equal(summary.hidden, false);
+        assert.equal(document.activeElement, summary);
+        assert.equal(links[0].textContent, 'First Name: Required field is empty');
+        assert.equal(links[1].textContent, 'Last Name: Required field is empty');
+        assert.ok(links.some(link => link.textContent === 'Signature: Please sign in the signature box'));
+        assert.equal(counter().textContent, `${links.length} validation errors remaining`);
+
+        // The summary keeps up as errors are fixed
+        setField(window, 'firstName', 'John');
+        assert.equal(document.querySelectorAll('#errorSummaryList a').length, links.length - 1);
+
+        // A link takes the patient to the field
+        document.querySelector('#errorSummaryList a').click();
+        assert.equal(document.activeElement.id, 'lastName');
+    });
+
+    it('drops the error of a field a rule hides', () => {
+        fillValidForm(window);
+        setField(window, 'dateOfBirth', '2020-01-01');
+        validateButton().click();
+        assert.ok(document.getElementById('error-guardianName').style.display === 'block');
+        const withGuardian = counter().textContent;
+
+        setField(window, 'dateOfBirth', '1980-04-05');
+        assert.equal(document.getElementById('error-guardianName').style.display, 'none');
+        assert.notEqual(counter().textContent, withGuardian);
+        assert.ok(document.querySelector('fieldset[data-section="guardian"]').classList.contains('section-inactive'));
+    });
+
+    it('shows a submission the server turned down on the page, without a dialog', async () => {
+        const submitAlert = document.getElementById('submitAlert');
+        window.alert = () => assert.fail('alert() was called');
+        window.fetch = async () => ({ ok: false, status: 400, json: async () => ({ error: 'Unknown clinic' }) });
+
+        await window.submitRegistration(document.getElementById('registrationForm'));
+        assert.equal(submitAlert.hidden, false);
+        assert.equal(submitAlert.getAttribute('role'), 'alert');
+        assert.equal(submitAlert.textContent, 'Unknown clinic');
+
+        window.setLanguage('es');
+        window.fetch = async () => ({
+            ok: false, status: 400, json: async () => ({ error: 'This clinic is not set up for online registration' })
+        });
+        await window.submitRegistration(document.getElementById('registrationForm'));
+        assert.equal(submitAlert.textContent, 'Esta clínica no está configurada para el registro en línea');
+        window.setLanguage('en');
+
+        // The server failed on it: queueing it would only fail again
+        window.fetch = async () => ({ ok: false, status: 500, json: async () => ({ error: 'Internal server error' }) });
+        await window.submitRegistration(document.getElementById('registrationForm'));
+        assert.equal(submitAlert.textContent, 'Registration could not be submitted. Please try again.');
+
+        // A gateway couldn't reach the server, and there is no outbox to keep the registration in
+        window.fetch = async () => ({ ok: false, status: 503, json: async () => { throw new SyntaxError('Not JSON'); } });
+        await window.submitRegistration(document.getElementById('registrationForm'));
+        assert.equal(submitAlert.textContent, 'Unable to reach the registration server. Please try again.');
+
+        // With no server and no outbox to keep the registration in
+        window.fetch = async () => { throw new TypeError('Failed to fetch'); };
+        await window.submitRegistration(document.getElementById('registrationForm'));
+        assert.equal(submitAlert.textContent, 'Unable to reach the registration server. Please try again.');
+
+        document.querySelector('.reset-btn').click();
+        assert.equal(submitAlert.hidden, true);
+    });
+
+    it('sends a registration once while it is on its way, with the same id every try', async () => {
+        const form = document.getElementById('registrationForm');
+        const submit = () => form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+        const sent = [];
+        let answer;
+        window.fetch = async (url, init) => {
+            sent.push(JSON.parse(init.body));
+            await new Promise(resolve => { answer = resolve; });
+            return { ok: false, status: 400, json: async () => ({ error: 'Unknown clinic' }) };
+        };
+
+        fillValidForm(window);
+        validateButton().click();
+        submit();
+        submit();
+        await nextTick();
+        assert.equal(sent.length, 1);
+        assert.equal(submitButton().disabled, true);
+
+        answer();
+        await nextTick();
+        assert.equal(submitButton().disabled, false);
+
+        submit();
+        await nextTick();
+        answer();
+        await nextTick();
+        assert.equal(sent.length, 2);
+        assert.equal(sent[1].submissionId, sent[0].submissionId);
+
+        // A cleared form is a new registration
+        document.querySelector('.reset-btn').click();
+        await nextTick();
+        fillValidForm(window);
+        validateButton().click();
+        submit();
+        await nextTick();
+        answer();
+        await nextTick();
+        assert.equal(sent.length, 3);
+        assert.notEqual(sent[2].submissionId, sent[0].submissionId);
+    });
+
+    it('shows an error when sending a registration fails unexpectedly', async () => {
+        window.buildConsentRecord = async () => { throw new Error('No crypto.subtle'); };
+        fillValidForm(window);
+        validateButton().click();
+        document.getElementById('registrationForm').dispatchEvent(new window.Event('submit', { cancelable: true }));
+        await nextTick();
+        await nextTick();
+        assert.equal(document.getElementById('submitAlert').textContent,
+                     'Registration could not be submitted. Please try again.');
+        assert.equal(submitButton().disabled, false);
+    });
+
+    it('clears the form and the error summary on CLEAR AND START OVER', async () => {
+        fillValidForm(window);
+        setValue(window, 'dateOfBirth', '2020-01-01');
+        validateButton().click();
+        assert.equal(document.getElementById('errorSummary').hidden, false);
+
+        document.querySelector('.reset-btn').click();
+        await nextTick();
+
+        assert.equal(document.getElementById('firstName').value, '');
+        assert.equal(document.getElementById('socialSecurity').value, '');
+        assert.equal(document.getElementById('errorSummary').hidden, true);
+        assert.ok(document.querySelector('fieldset[data-section="guardian"]').classList.contains('section-inactive'));
+        assert.equal(window.getFieldValue('socialSecurity'), '');
+    });
+
+    it('keeps everything when CLEAR AND START OVER is cancelled', async () => {
+        window.close();
+        window = await loadFormPage({ confirm: false });
+        document = window.document;
+
+        setField(window, 'firstName', 'John');
+        document.querySelector('.reset-btn').click();
+        await nextTick();
+        assert.equal(document.getElementById('firstName').value, 'John');
+    });
+});
@@ -0,0 +1,174 @@
+/*
+Program name: form-page.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 2.0
+Description: Test helpers that load index.html and its scripts into jsdom. Scripts are
+             read from the repository; clinics.json is applied the way clinic-config.mjs
+             does (jsdom doesn't run module scripts). fillValidForm fills in a registration
+             that passes every check, for tests that change one field at a time.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const CLINIC_CONFIG_SCRIPT = '<script type="module" src="clinic-config.mjs"></script>';
+const VALID_PASSWORD = 'Xk9#mQ2$vLp7';
+const SIGNATURE_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUg==';
+
+// jsdom has no canvas: drawing calls do nothing and every signature reads back as one image
+const CANVAS_CONTEXT = new Proxy({}, {
+    get: () => function() {},
+    set: () => true
+});
+
+// Serve the page's scripts from the repository; nothing else is fetched
+class RepositoryLoader extends ResourceLoader {
+    fetch(url) {
+        const pathname = decodeURIComponent(new URL(url).pathname);
+        return Promise.resolve(fs.readFileSync(path.join(ROOT, pathname)));
+    }
+}
+
+// Read clinics.json, for tests that load the page with changed clinic settings
+function readClinics() {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'clinics.json'), 'utf8'));
+}
+
+// Load index.html and wait until its scripts have initialized; resolves to the window.
+// confirm() answers with options.confirm (true by default); options.clinics replaces
+// clinics.json; options.clinicConfig false loads the page as if clinic-config.mjs
+// couldn't run.
+function loadFormPage(options) {
+    options = options || {};
+    const clinics = JSON.stringify(options.clinics || readClinics());
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(CLINIC_CONFIG_SCRIPT, options.clinicConfig === false ? ''
+            : `<script>applyClinicConfig(${clinics});</script>`);
+
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM(html, {
+        url: 'http://localhost/index.html',
+        resources: new RepositoryLoader(),
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole,
+        beforeParse(window) {
+            window.confirm = () => options.confirm !== false;
+            window.HTMLElement.prototype.scrollIntoView = function() {};
+            window.HTMLCanvasElement.prototype.getContext = () => CANVAS_CONTEXT;
+            window.HTMLCanvasElement.prototype.toDataURL = () => SIGNATURE_IMAGE;
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        dom.window.addEventListener('load', () => {
+            if (errors.length > 0) {
+                reject(errors[0]);
+            } else {
+                resolve(dom.window);
+            }
+        });
+    });
+}
+
+// Fire a bubbling event at an element
+function fire(element, type) {
+    element.dispatchEvent(new element.ownerDocument.defaultView.Event(type, { bubbles: true }));
+}
+
+// Set a field the way a patient would: type into inputs, pick radios, tick checkboxes
+function setField(window, name, value) {
+    const document = window.document;
+    const field = document.querySelector(`[name="${name}"]`);
+
+    if (field.type === 'radio') {
+        const radio = document.querySelector(`[name="${name}"][value="${value}"]`);
+        radio.checked = true;
+        fire(radio, 'change');
+    } else if (field.type === 'checkbox') {
+        field.checked = value === 'Yes';
+        fire(field, 'change');
+    } else {
+        field.value = value;
+        fire(field, 'input');
+        fire(field, 'change');
+    }
+}
+
+// Type text into the masked SSN field one character at a time, as beforeinput events
+function typeSSN(window, text) {
+    const input = window.document.getElementById('socialSecurity');
+    input.focus();
+    for (const character of text) {
+        input.dispatchEvent(new window.InputEvent('beforeinput', {
+            inputType: 'insertText', data: character, bubbles: true, cancelable: true
+        }));
+    }
+}
+
+// Empty the masked SSN field by selecting everything and deleting it
+function clearSSN(window) {
+    const input = window.document.getElementById('socialSecurity');
+    input.focus();
+    input.setSelectionRange(0, input.value.length);
+    input.dispatchEvent(new window.InputEvent('beforeinput', {
+        inputType: 'deleteContentBackward', bubbles: true, cancelable: true
+    }));
+}
+
+// Put digits in the SSN field the way autofill does: the value changes with no beforeinput
+function autofillSSN(window, digits) {
+    const input = window.document.getElementById('socialSecurity');
+    input.value = digits;
+    fire(input, 'input');
+}
+
+// Values of an adult patient's registration that passes every check
+const VALID_VALUES = {
+    firstName: 'Jonathan', middleInitial: '', lastName: 'Smith', dateOfBirth: '1980-04-05',
+    gender: 'Male', preferredLanguage: 'English',
+    guardianName: '', guardianRelationship: '', guardianPhone: '', guardianConsent: 'No',
+    addressLine1: '1 Main St', addressLine2: '', city: 'Houston', state: 'TX', zipCode: '77002',
+    emailAddress: 'jsmith@example.com', phoneNumber: '7135551234', emergencyContact: '', emergencyPhone: '',
+    preferredContactMethod: 'Phone',
+    isVaccinated: 'Yes', hasInsurance: 'No', insuranceProvider: '', otherInsuranceProvider: '', policyNumber: '',
+    currentSymptoms: '', physicianName: '', pharmacyName: '',
+    desiredUserID: 'jsmith', password: VALID_PASSWORD, confirmPassword: VALID_PASSWORD,
+    privacyAcknowledgment: 'Yes', signatureName: 'Jonathan Smith'
+};
+
+// Set a field's value without firing events, as a script or autofill would
+function setValue(window, name, value) {
+    const document = window.document;
+    const field = document.querySelector(`[name="${name}"]`);
+
+    if (field.type === 'radio') {
+        document.querySelectorAll(`[name="${name}"]`).forEach(radio => {
+            radio.checked = radio.value === value;
+        });
+    } else if (field.type === 'checkbox') {
+        field.checked = value === 'Yes';
+    } else {
+        field.value = value;
+    }
+}
+
+// Fill in an adult patient's registration that passes every check, all at once the way
+// autofill does (typing every field would fire hundreds of events, which jsdom runs slowly)
+function fillValidForm(window) {
+    Object.keys(VALID_VALUES).forEach(name => setValue(window, name, VALID_VALUES[name]));
+    autofillSSN(window, '123456789');
+    fire(window.document.getElementById('registrationForm'), 'change');
+    window.document.getElementById('signTypedBtn').click();
+}
+
+module.exports = {
+    VALID_PASSWORD, loadFormPage, readClinics, fire, setField, setValue, typeSSN, clearSSN, autofillSSN, fillValidForm
+};
@@ -0,0 +1,99 @@
+/*
+Program name: password.test.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.3
+Description: Tests for the password rules as validateSingleField in script.js applies
+             them: lengths at the limits, each required character class, quotes, the
+             User ID and the patient's names (plain, case-changed, leetspeak and
+             reversed), common passwords, and several failures reported together.
+             Run with: npm test
+*/
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFormPage, setField, setValue, fillValidForm } = require('./form-page');
+
+// [password, expected error (null when valid)]
+const PASSWORD_CASES = [
+    ['', 'Required field is empty'],
+    ['Xk9#mQ2$vLp7', null],
+    ['Xk9#mQ2', 'Must be 8-30 characters'],
+    ['Xk9#mQ2$', null],
+    ['Xk9#mQ2$vLp7' + 'a'.repeat(18), null],
+    ['Xk9#mQ2$vLp7' + 'a'.repeat(19), 'Must be 8-30 characters'],
+    ['xk9#mq2$vlp7', 'Must contain 1 uppercase letter'],
+    ['XK9#MQ2$VLP7', 'Must contain 1 lowercase letter'],
+    ['Xkq#mQz$vLpw', 'Must contain 1 digit'],
+    ['Xk9qmQ2zvLp7', 'Must contain 1 special character'],
+    ["Xk9#mQ2'vLp7", 'Cannot contain quotes'],
+    ['Xk9#mQ2"vLp7', 'Cannot contain quotes'],
+    ['Password1!', 'Cannot be a common or breached password'],
+    ['Qwerty123!', 'Cannot be a common or breached password'],
+    ['Jonathan#99Q', 'Cannot contain first name'],
+    ['Q9#sMiTh!xzA', 'Cannot contain last name'],
+    ['J0n4th4n#99Q', 'Cannot contain first name'],
+    ['Q9#htims!xzA', 'Cannot contain last name'],
+    ['xkmqvlpz', 'Must contain 1 uppercase letter; Must contain 1 digit; Must contain 1 special character'],
+    ['abc', 'Must be 8-30 characters; Must contain 1 uppercase letter; Must contain 1 digit; ' +
+            'Must contain 1 special character']
+];
+
+describe('password rules', () => {
+    let window;
+
+    before(async () => {
+        window = await loadFormPage();
+    });
+
+    beforeEach(() => {
+        fillValidForm(window);
+    });
+
+    after(() => {
+        window.close();
+    });
+
+    PASSWORD_CASES.forEach(([password, expected]) => {
+        it(`password ${JSON.stringify(password)}`, () => {
+            assert.equal(window.validateSingleField('password', password), expected);
+        });
+    });
+
+    it('rejects the User ID in any case, in leetspeak and reversed', () => {
+        setValue(window, 'desiredUserID', 'wander');
+        assert.equal(window.validateSingleField('password', 'Q9#WANDERxz'), 'Cannot contain User ID');
+        assert.equal(window.validateSingleField('password', 'W4nd3r#Plx9'), 'Cannot contain User ID');
+        assert.equal(window.validateSingleField('password', 'Red#Naw99x'), 'Cannot contain User ID');
+    });
+
+    it('only rejects short names when they appear as typed', () => {
+        setValue(window, 'firstName', 'Al');
+        setValue(window, 'signatureName', 'Al Smith');
+        assert.equal(window.validateSingleField('password', 'Xk9#4lmQ2$vp'), null);
+        assert.equal(window.validateSingleField('password', 'Xk9#AlmQ2$vp'), 'Cannot contain first name');
+    });
+
+    it('needs the confirmation to match exactly', () => {
+        assert.equal(window.validateSingleField('confirmPassword', 'Xk9#mQ2$vLp7'), null);
+        assert.equal(window.validateSingleField('confirmPassword', 'xk9#mQ2$vLp7'), 'Passwords do not match');
+        assert.equal(window.validateSingleField('confirmPassword', 'Xk9#mQ2$vLp7 '), 'Passwords do not match');
+    });
+
+    it('shows every unmet rule under the field as the patient types', () => {
+        setField(window, 'password', 'abc');
+        const error = window.document.getElementById('error-password');
+        assert.equal(error.style.display, 'block');
+        assert.match(error.textContent, /Must be 8-30 characters/);
+        assert.match(error.textContent, /Must contain 1 special character/);
+        assert.equal(window.document.getElementById('password').getAttribute('aria-invalid'), 'true');
+
+        const unmet = window.document.querySelectorAll('#passwordChecklist li.unmet');
+        assert.ok(unmet.length >= 4);
+
+        setField(window, 'password', 'Xk9#mQ2$vLp7');
+        assert.equal(error.style.display, 'none');
+        assert.equal(window.document.querySelectorAll('#passwordChecklist li.unmet').length, 0);
+    });
+});
@@ -0,0 +1,184 @@
+/*
+Program name: ssn.test.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.1
+Description: Tests for the masked Social Security number field in script.js: typing,
+             deleting at the caret or over a selection, pasting, autofill, the show/hide
+             toggle and clearing on form reset. Edits are sent as beforeinput events the
+             way browsers send them.
+             Run with: npm test
+*/
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFormPage, fire, typeSSN } = require('./form-page');
+
+describe('Social Security number field', () => {
+    let window;
+    let input;
+
+    // Send one edit to the field with the caret or selection at display positions start..end
+    function edit(inputType, data, start, end) {
+        input.focus();
+        if (start !== undefined) input.setSelectionRange(start, end === undefined ? start : end);
+        input.dispatchEvent(new window.InputEvent('beforeinput', {
+            inputType: inputType, data: data || null, bubbles: true, cancelable: true
+        }));
+    }
+
+    // Read the digits behind the mask by showing them, then hide them again
+    function getDigits() {
+        const toggle = window.document.getElementById('ssnToggle');
+        toggle.click();
+        const shown = input.value;
+        toggle.click();
+        return shown;
+    }
+
+    beforeEach(async () => {
+        window = await loadFormPage();
+        input = window.document.getElementById('socialSecurity');
+    });
+
+    afterEach(() => {
+        window.close();
+    });
+
+    it('masks typed digits and adds the dashes', () => {
+        typeSSN(window, '1234');
+        assert.equal(input.value, 'XXX-X');
+        assert.equal(input.selectionStart, 5);
+
+        typeSSN(window, '56789');
+        assert.equal(input.value, 'XXX-XX-XXXX');
+        assert.equal(getDigits(), '123-45-6789');
+    });
+
+    it('ignores letters, symbols and digits past the ninth', () => {
+        typeSSN(window, '1a2-3 45b67890');
+        assert.equal(input.value, 'XXX-XX-XXXX');
+        assert.equal(getDigits(), '123-45-6789');
+    });
+
+    it('deletes the digit before the caret with Backspace', () => {
+        edit('insertFromPaste', '123456789');
+        edit('deleteContentBackward');
+        assert.equal(getDigits(), '123-45-678');
+
+        // Caret after the 5th digit (display position 6, before the second dash)
+        edit('deleteContentBackward', null, 6);
+        assert.equal(input.selectionStart, 5);
+        assert.equal(getDigits(), '123-46-78');
+    });
+
+    it('deletes the digit after the caret with Delete', () => {
+        edit('insertFromPaste', '123456789');
+        edit('deleteContentForward', null, 0);
+        assert.equal(input.selectionStart, 0);
+        assert.equal(getDigits(), '234-56-789');
+
+        // A caret just before a dash deletes the digit after the dash
+        edit('deleteContentForward', null, 3);
+        assert.equal(getDigits(), '234-67-89');
+    });
+
+    it('deletes a selection, including a selection over a dash', () => {
+        edit('insertFromPaste', '123456789');
+        edit('deleteContentBackward', null, 2, 5);
+        assert.equal(input.selectionStart, 2);
+        assert.equal(getDigits(), '125-67-89');
+    });
+
+    it('deletes to the start or end with word and line deletion', () => {
+        edit('insertFromPaste', '123456789');
+        edit('deleteWordBackward', null, 6);
+        assert.equal(getDigits(), '678-9');
+
+        edit('deleteSoftLineForward', null, 2);
+        assert.equal(getDigits(), '67');
+    });
+
+    it('inserts typed digits at the caret', () => {
+        edit('insertFromPaste', '12456789');
+        edit('insertText', '3', 2);
+        assert.equal(input.selectionStart, 3);
+        assert.equal(getDigits(), '123-45-6789');
+    });
+
+    it('keeps only the digits of pasted text', () => {
+        edit('insertFromPaste', '123-45-6789');
+        assert.equal(input.value, 'XXX-XX-XXXX');
+        assert.equal(getDigits(), '123-45-6789');
+    });
+
+    it('ignores a paste without digits', () => {
+        typeSSN(window, '123');
+        edit('insertFromPaste', 'abc-de');
+        assert.equal(getDigits(), '123');
+    });
+
+    it('replaces a selection with pasted digits and cuts off past nine', () => {
+        edit('insertFromPaste', '123456789');
+        edit('insertFromPaste', '987654321', 0, input.value.length);
+        assert.equal(getDigits(), '987-65-4321');
+
+        edit('insertFromPaste', '000', 4);
+        assert.equal(getDigits(), '987-00-0654');
+    });
+
+    it('takes autofilled digits that arrive without beforeinput', () => {
+        input.value = '123-45-6789';
+        fire(input, 'input');
+        assert.equal(input.value, 'XXX-XX-XXXX');
+        assert.equal(getDigits(), '123-45-6789');
+    });
+
+    it('keeps the known digit behind each X when the value changes without beforeinput', () => {
+        edit('insertFromPaste', '12345678');
+        input.value = 'XXX-XX-XXX9';
+        fire(input, 'input');
+        assert.equal(getDigits(), '123-45-6789');
+    });
+
+    it('shows and hides the digits with the toggle', () => {
+        const toggle = window.document.getElementById('ssnToggle');
+        edit('insertFromPaste', '123456789');
+
+        toggle.click();
+        assert.equal(input.value, '123-45-6789');
+        assert.equal(toggle.getAttribute('aria-pressed'), 'true');
+        assert.equal(toggle.textContent, 'Hide');
+
+        // Typing while shown keeps showing digits
+        edit('deleteContentBackward');
+        typeSSN(window, '0');
+        assert.equal(input.value, '123-45-6780');
+
+        toggle.click();
+        assert.equal(input.value, 'XXX-XX-XXXX');
+        assert.equal(toggle.getAttribute('aria-pressed'), 'false');
+    });
+
+    it('validates the digits, not the mask', () => {
+        edit('insertFromPaste', '000123456');
+        assert.equal(window.document.getElementById('error-socialSecurity').textContent,
+                     'Invalid SSN: first 3 digits cannot be 000, 666 or 900-999');
+    });
+
+    it('starts over after the form is reset', async () => {
+        const toggle = window.document.getElementById('ssnToggle');
+        edit('insertFromPaste', '123456789');
+        toggle.click();
+
+        window.document.querySelector('.reset-btn').click();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assert.equal(input.value, '');
+        assert.equal(toggle.getAttribute('aria-pressed'), 'false');
+
+        typeSSN(window, '98');
+        assert.equal(input.value, 'XX');
+        assert.equal(getDigits(), '98');
+    });
+});
@@ -0,0 +1,294 @@
+/*
+Program name: validate-single-field.test.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.9
+Description: Tests for validateSingleField in script.js: every field's rule, checked
+             against a filled-in registration with one field changed at a time.
+             Run with: npm test
+*/
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFormPage, readClinics, setField, setValue, autofillSSN, fillValidForm } = require('./form-page');
+
+// YYYY-MM-DD of today moved by a number of years and days
+function isoDate(addYears, addDays) {
+    const date = new Date();
+    date.setFullYear(date.getFullYear() + addYears, date.getMonth(), date.getDate() + addDays);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// [field, value, expected error (null when valid)]
+const FIELD_CASES = [
+    ['firstName', '', 'Required field is empty'],
+    ['firstName', 'Mary-Ann', null],
+    ['firstName', "O'Neil", null],
+    ['firstName', 'J0hn', 'Enter 1-30 characters, letters, apostrophes, and dashes only'],
+    ['firstName', 'Mary Ann', 'Enter 1-30 characters, letters, apostrophes, and dashes only'],
+    ['firstName', 'A'.repeat(30), null],
+    ['firstName', 'A'.repeat(31), 'Enter 1-30 characters, letters, apostrophes, and dashes only'],
+
+    ['middleInitial', '', null],
+    ['middleInitial', 'Q', null],
+    ['middleInitial', 'QR', 'Enter single letter only'],
+    ['middleInitial', '1', 'Enter single letter only'],
+
+    ['lastName', '', 'Required field is empty'],
+    ['lastName', 'Smith 3rd', null],
+    ['lastName', 'Sm!th', 'Enter 1-30 characters, letters, apostrophes, dashes, spaces, and numbers allowed'],
+
+    ['dateOfBirth', '', 'Required field is empty'],
+    ['dateOfBirth', '1980-04-05', null],
+    ['dateOfBirth', isoDate(0, 1), 'Cannot be in the future'],
+    ['dateOfBirth', isoDate(-121, 0), 'Cannot be more than 120 years ago'],
+    ['dateOfBirth', 'garbage', 'Enter a valid date'],
+    ['dateOfBirth', '1980-02-30', 'Enter a valid date'],
+    ['dateOfBirth', '04/05/1980', 'Enter a valid date'],
+
+    ['gender', '', 'Required field - please select an option'],
+    ['gender', 'Female', null],
+    ['gender', 'Martian', 'Please select one of the listed options'],
+    ['preferredLanguage', '', null],
+    ['preferredLanguage', 'Klingon', 'Please select one of the listed options'],
+
+    ['addressLine1', '', 'Required field is empty'],
+    ['addressLine1', 'A', 'Enter 2-30 characters'],
+    ['addressLine1', 'A'.repeat(31), 'Enter 2-30 characters'],
+    ['addressLine2', '', null],
+    ['addressLine2', 'A', 'Must be 2-30 characters if entered'],
+    ['addressLine2', 'Apt 4', null],
+
+    ['city', '', 'Required field is empty'],
+    ['city', 'H0uston', 'Enter 2-30 characters, letters and spaces only'],
+    ['city', 'houston', null],
+    ['city', 'Hollywood', null],
+    ['city', 'Dallas', null],
+
+    ['state', '', 'Please select a state'],
+    ['state', 'CA', null],
+
+    ['zipCode', '', 'Required field is empty'],
+    ['zipCode', '7700', 'Must be 5 digits or ZIP+4 (12345-6789)'],
+    ['zipCode', '77002-123', 'Must be 5 digits or ZIP+4 (12345-6789)'],
+    ['zipCode', '77002-1234', null],
+    ['zipCode', '90210', 'ZIP code is not in the selected state'],
+
+    ['emailAddress', '', 'Required field is empty'],
+    ['emailAddress', 'jsmith@example', 'Enter valid email: name@domain.tld'],
+    ['emailAddress', 'j.smith+clinic@mail.example.com', null],
+
+    ['phoneNumber', '', 'Required field is empty'],
+    ['phoneNumber', '+17135551234', null],
+    ['phoneNumber', '+17135551234;ext=55', null],
+    ['phoneNumber', 'abc', 'Enter a valid phone number'],
+    ['phoneNumber', '+1713555123', 'Phone number has the wrong number of digits for the country'],
+    ['phoneNumber', '+17131551234', 'Not a valid US or Canadian phone number'],
+    ['phoneNumber', '+447911123456', null],
+
+    ['emergencyContact', 'Bob 2', 'Letters and spaces only'],
+    ['emergencyPhone', '+1713555', 'Phone number has the wrong number of digits for the country'],
+
+    ['preferredContactMethod', '', 'Required field - please select an option'],
+    ['preferredContactMethod', 'Email', null],
+    ['preferredContactMethod', 'Pigeon', 'Please select one of the listed options'],
+
+    ['isVaccinated', '', 'Required field - please select an option'],
+    ['isVaccinated', 'Maybe', 'Please select one of the listed options'],
+    ['hasInsurance', '', 'Required field - please select an option'],
+    ['hasInsurance', 'Not Sure', null],
+    ['healthRating', '', 'Required field is empty'],
+    ['healthRating', '1', null],
+    ['healthRating', '10', null],
+    ['healthRating', '0', 'Select a value from 1 to 10'],
+    ['healthRating', '9999', 'Select a value from 1 to 10'],
+    ['healthRating', '5.5', 'Select a value from 1 to 10'],
+    ['painLevel', '0', null],
+    ['painLevel', '11', 'Select a value from 0 to 10'],
+    ['painLevel', 'high', 'Select a value from 0 to 10'],
+    ['currentSymptoms', 'a'.repeat(500), null],
+    ['currentSymptoms', 'a'.repeat(501), 'Maximum 500 characters'],
+
+    ['physicianName', 'Dr. Smith', 'Letters and spaces only'],
+    ['pharmacyName', 'A'.repeat(51), 'Letters and spaces only'],
+
+    ['desiredUserID', '', 'Required field is empty'],
+    ['desiredUserID', 'jdoe', '5-30 characters, letters, numbers, underscore, dash - first character cannot be a number'],
+    ['desiredUserID', '1jsmith', '5-30 characters, letters, numbers, underscore, dash - first character cannot be a number'],
+    ['desiredUserID', 'j smith', '5-30 characters, letters, numbers, underscore, dash - first character cannot be a number'],
+    ['desiredUserID', '_j-smith', null],
+
+    ['confirmPassword', '', 'Required field is empty'],
+    ['confirmPassword', 'Xk9#mQ2$vLp8', 'Passwords do not match'],
+
+    ['privacyAcknowledgment', 'No', 'You must acknowledge the Notice of Privacy Practices'],
+
+    ['signatureName', '', 'Required field is empty'],
+    ['signatureName', 'J', 'Enter 2-60 characters, letters, spaces, apostrophes, periods and dashes only'],
+    ['signatureName', 'Jonathan Q. Smith', null],
+    ['signatureName', 'Jon Smith', 'Must include the first and last name entered above'],
+
+    ['signature', '', 'Please sign in the signature box'],
+    ['signature', 'data:image/jpeg;base64,AAAA', 'Signature could not be read. Please clear it and sign again.']
+];
+
+describe('validateSingleField', () => {
+    let window;
+
+    before(async () => {
+        window = await loadFormPage();
+        fillValidForm(window);
+    });
+
+    after(() => {
+        window.close();
+    });
+
+    it('accepts the filled-in registration', () => {
+        assert.deepEqual({ ...window.RegistrationValidation.validate(window.getFormRecord()) }, {});
+    });
+
+    FIELD_CASES.forEach(([field, value, expected]) => {
+        it(`${field} = ${JSON.stringify(value.length > 40 ? value.slice(0, 20) + '...' : value)}`, () => {
+            assert.equal(window.validateSingleField(field, value), expected);
+        });
+    });
+
+    describe('Social Security number', () => {
+        // [typed digits, expected error]
+        const SSN_CASES = [
+            ['', 'Required field is empty'],
+            ['12345', 'Must be exactly 9 digits'],
+            ['000123456', 'Invalid SSN: first 3 digits cannot be 000, 666 or 900-999'],
+            ['666123456', 'Invalid SSN: first 3 digits cannot be 000, 666 or 900-999'],
+            ['912123456', 'Invalid SSN: first 3 digits cannot be 000, 666 or 900-999'],
+            ['123001234', 'Invalid SSN: middle 2 digits cannot be 00'],
+            ['123450000', 'Invalid SSN: last 4 digits cannot be 0000'],
+            ['123456789', null]
+        ];
+
+        SSN_CASES.forEach(([digits, expected]) => {
+            it(`checks the entered digits ${JSON.stringify(digits)}, not the masked display`, () => {
+                autofillSSN(window, digits);
+                const input = window.document.getElementById('socialSecurity');
+                assert.equal(window.validateSingleField('socialSecurity', input.value), expected);
+            });
+        });
+    });
+
+    describe('parent or guardian of a minor', () => {
+        beforeEach(() => {
+            fillValidForm(window);
+        });
+
+        it('ignores the guardian fields for an adult', () => {
+            assert.equal(window.validateSingleField('guardianName', ''), null);
+            assert.equal(window.validateSingleField('guardianConsent', 'No'), null);
+        });
+
+        it('requires the guardian fields for a patient under 18', () => {
+            setValue(window, 'dateOfBirth', isoDate(-10, 0));
+            assert.equal(window.validateSingleField('guardianName', ''), 'Required field is empty');
+            assert.equal(window.validateSingleField('guardianRelationship', ''), 'Please select a relationship');
+            assert.equal(window.validateSingleField('guardianPhone', ''), 'Required field is empty');
+            assert.equal(window.validateSingleField('guardianConsent', 'No'),
+                         'A parent or guardian must give consent for a patient under 18');
+        });
+
+        it('checks the guardian fields of a minor', () => {
+            setValue(window, 'dateOfBirth', isoDate(-10, 0));
+            assert.equal(window.validateSingleField('guardianName', 'M'),
+                         'Enter 2-60 characters, letters, spaces, apostrophes, periods and dashes only');
+            assert.equal(window.validateSingleField('guardianName', 'Mary J. Smith'), null);
+            assert.equal(window.validateSingleField('guardianRelationship', 'Friend'), 'Please select a relationship');
+            assert.equal(window.validateSingleField('guardianRelationship', 'Legal Guardian'), null);
+            assert.equal(window.validateSingleField('guardianPhone', '+17135551236'), null);
+        });
+
+        it('needs the guardian to sign for a minor', () => {
+            setValue(window, 'dateOfBirth', isoDate(-10, 0));
+            setValue(window, 'guardianName', 'Mary Smith');
+            assert.equal(window.validateSingleField('signatureName', 'Jonathan Smith'),
+                         'Must include the parent or guardian name entered above');
+            assert.equal(window.validateSingleField('signatureName', 'Mary Smith'), null);
+        });
+    });
+
+    describe('city and ZIP code', () => {
+        beforeEach(() => {
+            fillValidForm(window);
+        });
+
+        it('offers the ZIP code\'s city without blocking another name for the same place', () => {
+            setValue(window, 'zipCode', '90028');
+            setValue(window, 'state', 'CA');
+            setField(window, 'city', 'Hollywood');
+
+            const suggestion = window.document.getElementById('zipSuggestion');
+            assert.equal(suggestion.hidden, false);
+            assert.match(suggestion.textContent, /ZIP code 90028 is in Los Angeles, CA\./);
+            assert.equal(window.document.getElementById('city').hasAttribute('aria-invalid'), false);
+            assert.deepEqual({ ...window.RegistrationValidation.validate(window.getFormRecord()) }, {});
+
+            suggestion.querySelector('button').click();
+            assert.equal(window.document.getElementById('city').value, 'Los Angeles');
+            assert.equal(suggestion.hidden, true);
+        });
+    });
+
+    describe('conditional fields', () => {
+        beforeEach(() => {
+            fillValidForm(window);
+        });
+
+        it('requires the contact details of the preferred contact method a clinic makes optional', async () => {
+            const clinics = readClinics();
+            clinics.clinics[0].fields.optional = ['addressLine1', 'city', 'state', 'zipCode', 'emailAddress', 'phoneNumber'];
+            const page = await loadFormPage({ clinics: clinics });
+            fillValidForm(page);
+
+            assert.equal(page.validateSingleField('phoneNumber', ''), 'Required field is empty');
+            assert.equal(page.validateSingleField('emailAddress', ''), null);
+
+            setValue(page, 'preferredContactMethod', 'Email');
+            assert.equal(page.validateSingleField('phoneNumber', ''), null);
+            assert.equal(page.validateSingleField('emailAddress', ''), 'Required field is empty');
+            assert.equal(page.validateSingleField('addressLine1', ''), null);
+
+            setValue(page, 'preferredContactMethod', 'Mail');
+            assert.equal(page.validateSingleField('emailAddress', ''), null);
+            assert.equal(page.validateSingleField('addressLine1', ''), 'Required field is empty');
+            assert.equal(page.validateSingleField('city', ''), 'Required field is empty');
+            assert.equal(page.validateSingleField('state', ''), 'Please select a state');
+            assert.equal(page.validateSingleField('zipCode', ''), 'Required field is empty');
+            page.close();
+        });
+
+        it('requires the other emergency field once one is filled in', () => {
+            assert.equal(window.validateSingleField('emergencyContact', ''), null);
+            setValue(window, 'emergencyPhone', '7135551235');
+            assert.equal(window.validateSingleField('emergencyContact', ''), 'Required field is empty');
+        });
+
+        it('requires the insurance provider and policy number when insured', () => {
+            assert.equal(window.validateSingleField('insuranceProvider', ''), null);
+            setValue(window, 'hasInsurance', 'Yes');
+            assert.equal(window.validateSingleField('insuranceProvider', ''), 'Required field is empty');
+            assert.equal(window.validateSingleField('insuranceProvider', 'Acme Health'),
+                         'Select an insurance provider from the list');
+            assert.equal(window.validateSingleField('policyNumber', ''), 'Required field is empty');
+            assert.equal(window.validateSingleField('policyNumber', 'AB*123'), 'Alphanumeric characters only');
+        });
+
+        it('requires the other insurance provider name for Other', () => {
+            setValue(window, 'hasInsurance', 'Yes');
+            setValue(window, 'insuranceProvider', 'Other');
+            assert.equal(window.validateSingleField('insuranceProvider', 'Other'), null);
+            assert.equal(window.validateSingleField('otherInsuranceProvider', ''), 'Required field is empty');
+            assert.equal(window.validateSingleField('otherInsuranceProvider', 'Acme 2'), 'Letters and spaces only');
+            assert.equal(window.validateSingleField('policyNumber', 'ABC123'), null);
+        });
+    });
+});
@@ -0,0 +1,183 @@
+/*
+Program name: thankyou.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.0
+Description: Personalized thank-you page. Shows the confirmation the server sent back for
+             the registration (kept in sessionStorage by script.js, never read from the
+             URL): the confirmation number, the patient's first name, how and by when the
+             front desk will contact them to schedule a first appointment, and downloads
+             of a calendar reminder (.ics) and the patient's copy of the summary (PDF).
+             The downloads are left out in kiosk mode, where the next patient would find
+             the files on the shared device.
+*/
+
+const ICS_LINE_LIMIT = 75;   // Octets per line before an .ics line is folded (RFC 5545)
+
+// Get the confirmation of this page's registration, or null (queued, or opened directly)
+function getRegistrationConfirmation() {
+    try {
+        return JSON.parse(sessionStorage.getItem(CONFIRMATION_STORAGE_KEY));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Describe the next step: how and by when the front desk will call about an appointment
+function getNextStepText(confirmation) {
+    const date = formatDisplayDate(confirmation.contactBy);
+    if (!confirmation.preferredContactMethod) {
+        return t('Our front desk will contact you by {date} to schedule your first appointment.', { date: date });
+    }
+    return t('Our front desk will contact you by {method} by {date} to schedule your first appointment.', {
+        method: t(confirmation.preferredContactMethod).toLowerCase(),
+        date: date
+    });
+}
+
+// Escape text for an .ics property value
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/[;,]/g, match => '\\' + match)
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold an .ics line into continuation lines of at most ICS_LINE_LIMIT octets
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    let folded = '';
+    let length = 0;
+    for (const character of line) {
+        const size = encoder.encode(character).length;
+        if (length + size > ICS_LINE_LIMIT) {
+            folded += '\r\n ';
+            length = 1;
+        }
+        folded += character;
+        length += size;
+    }
+    return folded;
+}
+
+// Turn a YYYY-MM-DD date into an .ics DATE, moved by a number of days
+function toIcsDate(isoDate, addDays) {
+    const parts = isoDate.split('-').map(Number);
+    const date = new Date(Date.UTC(parts[0], parts[1] - 1, parts[2] + (addDays || 0)));
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// Build an .ics calendar file with an all-day reminder on the date the front desk will
+// call by, so the patient knows when to call the clinic if they haven't heard back
+function buildCalendarFile(confirmation) {
+    const clinicName = getClinicName();
+    const description = [
+        t('Confirmation number: {number}', { number: confirmation.confirmationNumber }),
+        getNextStepText(confirmation),
+        t("If you haven't heard from us by then, please call the front desk with your confirmation number.")
+    ].join('\n');
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${escapeIcsText(clinicName)}//Patient Registration//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${confirmation.confirmationNumber}-scheduling@${window.location.hostname || 'localhost'}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${toIcsDate(confirmation.contactBy)}`,
+        `DTEND;VALUE=DATE:${toIcsDate(confirmation.contactBy, 1)}`,
+        'SUMMARY:' + escapeIcsText(t('Schedule your first appointment at {clinic}', { clinic: clinicName })),
+        'DESCRIPTION:' + escapeIcsText(description),
+        'TRANSP:TRANSPARENT',
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        'TRIGGER;RELATED=START:PT9H',
+        'DESCRIPTION:' + escapeIcsText(t('Schedule your first appointment at {clinic}', { clinic: clinicName })),
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Collect the patient's copy of the summary from the confirmation, grouped like the form
+function getConfirmationSummaryData(confirmation) {
+    const answers = confirmation.summary || {};
+    const registered = new Date(confirmation.registeredAt);
+
+    const sections = FORM_SECTIONS.map(section => ({
+        title: t(section.title),
+        rows: getSectionFields(section.id)
+            .filter(def => Object.prototype.hasOwnProperty.call(answers, def.name))
+            .map(def => ({
+                label: t(def.reviewLabel || def.label),
+                // The server already masked the SSN down to its last 4 digits
+                value: def.exportLast4 ? answers[def.name] : formatFieldValue(def, answers[def.name])
+            }))
+    })).filter(section => section.rows.length > 0);
+
+    sections.unshift({
+        title: t('Confirmation'),
+        rows: [
+            { label: t('Confirmation Number'), value: confirmation.confirmationNumber },
+            {
+                label: t('Registered'),
+                value: isNaN(registered.getTime()) ? '' : registered.toLocaleString(getLocale())
+            }
+        ]
+    });
+    return Object.assign(getSummaryHeader(), { sections: sections });
+}
+
+// Download the calendar reminder
+function downloadConfirmationCalendar() {
+    const confirmation = getRegistrationConfirmation();
+    if (!confirmation) return;
+    downloadFile(buildCalendarFile(confirmation), `registration-${confirmation.confirmationNumber}.ics`, 'text/calendar');
+}
+
+// Download the patient's copy of the summary as a PDF
+function downloadConfirmationSummary() {
+    const confirmation = getRegistrationConfirmation();
+    if (!confirmation) return;
+    downloadFile(buildSummaryPdf(getConfirmationSummaryData(confirmation)),
+                 `registration-summary-${confirmation.confirmationNumber}.pdf`, 'application/pdf');
+}
+
+// Show the confirmation, or keep it hidden when there is none
+function showRegistrationConfirmation() {
+    const container = document.getElementById('registrationConfirmation');
+    const confirmation = getRegistrationConfirmation();
+    container.hidden = !confirmation;
+    if (!confirmation) return;
+
+    document.getElementById('confirmationGreeting').textContent = confirmation.firstName
+        ? t('Thank you, {name}!', { name: confirmation.firstName })
+        : '';
+    document.getElementById('confirmationNumber').textContent = confirmation.confirmationNumber;
+    document.getElementById('confirmationNextStep').textContent = getNextStepText(confirmation);
+    document.getElementById('confirmationDownloads').hidden = isKioskMode();
+}
+
+// Initialize the confirmation on page load
+function initializeThankYou() {
+    if (!document.getElementById('registrationConfirmation')) return;
+
+    showRegistrationConfirmation();
+    document.getElementById('downloadCalendarBtn').addEventListener('click', downloadConfirmationCalendar);
+    document.getElementById('downloadConfirmationSummaryBtn').addEventListener('click', downloadConfirmationSummary);
+
+    // A queued registration's confirmation arrives when the outbox sends it
+    document.addEventListener('submissionstatuschange', showRegistrationConfirmation);
+    document.addEventListener('languagechange', showRegistrationConfirmation);
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeThankYou);
+} else {
+    initializeThankYou();
+}
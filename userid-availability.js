@@ -0,0 +1,148 @@
+/*
+Program name: userid-availability.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.1
+Description: Checks whether the desired User ID is free while the user types, using
+             POST /api/users/availability on the registration server. The ID and the
+             patient's name (for suggestions) go in the request body, so they stay out
+             of URLs, server logs and browser history. A taken ID is shown as a field
+             error with suggested alternatives. When the server can't be reached the
+             check is skipped; the server checks again on submit.
+*/
+
+const USER_ID_CHECK_DELAY = 400; // Milliseconds to wait after the last keystroke
+const USER_ID_TAKEN_MESSAGE = 'This User ID is already taken';
+
+let userIdCheckTimer = null;
+let userIdCheckController = null;
+const takenUserIds = new Set();
+
+// Check whether the last lookup found this user ID taken (used by validateSingleField)
+function isUserIdTaken(userId) {
+    return takenUserIds.has(String(userId).toLowerCase());
+}
+
+// Show a short status line under the User ID field
+function setUserIdStatus(message) {
+    const status = document.getElementById('userIdStatus');
+    if (!status) return;
+
+    status.dataset.message = message;
+    status.textContent = message ? t(message) : '';
+    status.hidden = !message;
+}
+
+// Show suggested user IDs as buttons that fill in the field
+function showUserIdSuggestions(suggestions) {
+    const container = document.getElementById('userIdSuggestions');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.hidden = suggestions.length === 0;
+    if (suggestions.length === 0) return;
+
+    const label = document.createElement('span');
+    label.textContent = t('Available:');
+    container.appendChild(label);
+
+    suggestions.forEach(suggestion => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'userid-suggestion';
+        button.textContent = suggestion;
+        button.addEventListener('click', function() {
+            const field = document.getElementById('desiredUserID');
+            field.value = suggestion;
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.focus();
+        });
+        container.appendChild(button);
+    });
+}
+
+// Ask the server whether a user ID is free
+async function checkUserIdAvailability(userId) {
+    if (userIdCheckController) userIdCheckController.abort();
+    userIdCheckController = new AbortController();
+
+    let result;
+    try {
+        const response = await fetch('/api/users/availability', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                userId: userId,
+                firstName: getFieldValue('firstName'),
+                lastName: getFieldValue('lastName')
+            }),
+            signal: userIdCheckController.signal
+        });
+        if (!response.ok) throw new Error('Availability check failed with status ' + response.status);
+        result = await response.json();
+    } catch (err) {
+        if (err.name === 'AbortError') return;
+
+        // Offline or no server (e.g. static hosting) - don't block the user
+        setUserIdStatus('User ID availability could not be checked right now.');
+        return;
+    }
+
+    // Ignore answers for an ID the user has already changed
+    if (getFieldValue('desiredUserID') !== userId) return;
+
+    if (result.available) {
+        takenUserIds.delete(userId.toLowerCase());
+        setUserIdStatus('User ID is available');
+        showUserIdSuggestions([]);
+    } else {
+        takenUserIds.add(userId.toLowerCase());
+        setUserIdStatus('');
+        showUserIdSuggestions(result.suggestions || []);
+    }
+
+    fieldTouched['desiredUserID'] = true;
+    showFieldError('desiredUserID', validateSingleField('desiredUserID', userId));
+}
+
+// Start a lookup shortly after the user stops typing
+function scheduleUserIdCheck() {
+    clearTimeout(userIdCheckTimer);
+    if (userIdCheckController) userIdCheckController.abort();
+    setUserIdStatus('');
+    showUserIdSuggestions([]);
+
+    // Only look up IDs that pass the format check
+    const userId = getFieldValue('desiredUserID');
+    if (!userId || RegistrationValidation.validateField('desiredUserID', { desiredUserID: userId })) return;
+
+    userIdCheckTimer = setTimeout(() => checkUserIdAvailability(userId), USER_ID_CHECK_DELAY);
+}
+
+// Initialize the availability check on page load
+function initializeUserIdAvailability() {
+    const field = document.getElementById('desiredUserID');
+    if (!field) return;
+
+    field.addEventListener('input', scheduleUserIdCheck);
+
+    const form = document.getElementById('registrationForm');
+    if (form) {
+        form.addEventListener('reset', function() {
+            clearTimeout(userIdCheckTimer);
+            setUserIdStatus('');
+            showUserIdSuggestions([]);
+        });
+    }
+    document.addEventListener('languagechange', function() {
+        const status = document.getElementById('userIdStatus');
+        if (status) setUserIdStatus(status.dataset.message || '');
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeUserIdAvailability);
+} else {
+    initializeUserIdAvailability();
+}
@@ -0,0 +1,707 @@
+/*
+Program name: validation.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 2.9
+Description: Isomorphic validation library for the registration form. It works on
+             plain record objects ({ fieldName: value }) and never touches the DOM.
+             Browser: load fields.js, common-passwords.js, zip-codes.js, payers.js, then
+                      validation.js, use window.RegistrationValidation. Pages that only
+                      show registrations (thankyou.html, admin.html) leave out the three
+                      data files; the password, ZIP code and payer checks then find nothing.
+             Node:    require('./validation.js') or import from './validation.mjs'
+*/
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        // createValidator builds a validator for another schema, such as a clinic's (clinic.js)
+        const createValidator = schema => factory(schema, require('./common-passwords.js').COMMON_PASSWORD_FILTER,
+                                                  require('./zip-codes.js').ZIP_CODES, require('./payers.js'));
+        module.exports = createValidator(require('./fields.js'));
+        module.exports.createValidator = createValidator;
+    } else {
+        root.RegistrationValidation = factory({ FORM_SECTIONS: FORM_SECTIONS, ADULT_AGE: ADULT_AGE, FORM_FIELDS: FORM_FIELDS,
+                                                FORM_RULES: FORM_RULES },
+                                              typeof COMMON_PASSWORD_FILTER !== 'undefined' ? COMMON_PASSWORD_FILTER : null,
+                                              typeof ZIP_CODES !== 'undefined' ? ZIP_CODES : null,
+                                              typeof PAYERS !== 'undefined' ? { PAYERS: PAYERS, OTHER_PAYER: OTHER_PAYER }
+                                                                            : { PAYERS: [], OTHER_PAYER: null });
+    }
+}(this, function(schema, commonPasswordFilter, zipCodes, payers) {
+    'use strict';
+
+    // Leetspeak and look-alike characters folded together when comparing a password to names
+    const LOOKALIKE_CHARACTERS = {
+        '0': 'o', '1': 'i', 'l': 'i', '!': 'i', '|': 'i', '3': 'e', '4': 'a', '@': 'a',
+        '5': 's', '$': 's', '7': 't', '+': 't', '8': 'b', '9': 'g'
+    };
+
+    // Lowercase text, fold look-alike characters and drop separators
+    function foldLookalikes(text) {
+        return text.toLowerCase()
+            .split('')
+            .map(ch => LOOKALIKE_CHARACTERS[ch] || ch)
+            .join('')
+            .replace(/[^a-z0-9]/g, '');
+    }
+
+    // Check whether a password contains a name, plainly or as a variant (leetspeak, reversed)
+    function containsNameVariant(password, name) {
+        if (!name) return false;
+        if (password.toLowerCase().includes(name.toLowerCase())) return true;
+
+        // Variants of very short names would match too many unrelated passwords
+        const folded = foldLookalikes(name);
+        if (folded.length < 3) return false;
+
+        const foldedPassword = foldLookalikes(password);
+        return foldedPassword.includes(folded) ||
+               foldedPassword.includes(folded.split('').reverse().join(''));
+    }
+
+    // 32-bit FNV-1a hash with a seeded offset basis, as used to build common-passwords.js
+    function fnv1a(text, seed) {
+        let hash = (0x811c9dc5 ^ seed) >>> 0;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    let commonPasswordBits = null;
+
+    // Test one lowercased password against the Bloom filter
+    function inCommonPasswordFilter(text) {
+        if (!commonPasswordFilter) return false;
+        if (!commonPasswordBits) {
+            const decoded = atob(commonPasswordFilter.bits);
+            commonPasswordBits = new Uint8Array(decoded.length);
+            for (let i = 0; i < decoded.length; i++) {
+                commonPasswordBits[i] = decoded.charCodeAt(i);
+            }
+        }
+
+        const size = commonPasswordFilter.size;
+        const h1 = fnv1a(text, 0);
+        const h2 = fnv1a(text, 0x5bd1e995) | 1;
+        for (let i = 0; i < commonPasswordFilter.hashes; i++) {
+            const bit = ((h1 + Math.imul(i, h2)) >>> 0) % size;
+            if (!(commonPasswordBits[bit >> 3] & (1 << (bit & 7)))) return false;
+        }
+        return true;
+    }
+
+    // Check a password against the bundled common/breached list, with and without
+    // the digits and symbols people add to the end of a common word ("Password123!")
+    function isCommonPassword(password) {
+        const lower = password.toLowerCase();
+        const base = lower.replace(/[^a-z]+$/, '');
+        return inCommonPasswordFilter(lower) || (base.length >= 4 && inCommonPasswordFilter(base));
+    }
+
+    // Password requirements, in the order they are listed to the user
+    const PASSWORD_RULES = [
+        { message: 'Must be 8-30 characters', test: password => password.length >= 8 && password.length <= 30 },
+        { message: 'Must contain 1 uppercase letter', test: password => /[A-Z]/.test(password) },
+        { message: 'Must contain 1 lowercase letter', test: password => /[a-z]/.test(password) },
+        { message: 'Must contain 1 digit', test: password => /[0-9]/.test(password) },
+        { message: 'Must contain 1 special character', test: password => /[!@#%^&*()\-_+=\/><.,`~]/.test(password) },
+        { message: 'Cannot contain quotes', test: password => !/["']/.test(password) },
+        { message: 'Cannot contain User ID', test: (password, names) => !containsNameVariant(password, names.userId) },
+        { message: 'Cannot contain first name', test: (password, names) => !containsNameVariant(password, names.firstName) },
+        { message: 'Cannot contain last name', test: (password, names) => !containsNameVariant(password, names.lastName) },
+        { message: 'Cannot be a common or breached password', test: password => !isCommonPassword(password) }
+    ];
+
+    // Check every password requirement; returns [{ message, met }] for a live checklist
+    function checkPasswordRules(password, userId, firstName, lastName) {
+        const names = { userId: userId, firstName: firstName, lastName: lastName };
+        return PASSWORD_RULES.map(rule => ({
+            message: rule.message,
+            met: rule.test(password, names)
+        }));
+    }
+
+    // Validate password requirements
+    function validatePassword(password, userId, firstName, lastName) {
+        return checkPasswordRules(password, userId, firstName, lastName)
+            .filter(check => !check.met)
+            .map(check => check.message);
+    }
+
+    // Estimate a password's entropy in bits from its character pool. Characters that
+    // repeat or continue a run (aaa, abc, 321) add only 1 bit each.
+    function estimatePasswordEntropy(password) {
+        let pool = 0;
+        if (/[a-z]/.test(password)) pool += 26;
+        if (/[A-Z]/.test(password)) pool += 26;
+        if (/[0-9]/.test(password)) pool += 10;
+        if (/[^A-Za-z0-9]/.test(password)) pool += 33;
+
+        const bitsPerCharacter = pool > 0 ? Math.log2(pool) : 0;
+        let entropy = 0;
+        for (let i = 0; i < password.length; i++) {
+            const step = i > 0 ? password.charCodeAt(i) - password.charCodeAt(i - 1) : null;
+            entropy += (step !== null && Math.abs(step) <= 1) ? 1 : bitsPerCharacter;
+        }
+        return Math.round(entropy);
+    }
+
+    const PASSWORD_STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+    // Rate a password from 0 (very weak) to 4 (very strong). Common passwords and
+    // passwords built from the user's names are always very weak.
+    function getPasswordStrength(password, userId, firstName, lastName) {
+        const entropy = estimatePasswordEntropy(password);
+        let score;
+        if (!password || isCommonPassword(password) ||
+            [userId, firstName, lastName].some(name => containsNameVariant(password, name))) {
+            score = 0;
+        } else if (entropy < 28) {
+            score = 0;
+        } else if (entropy < 36) {
+            score = 1;
+        } else if (entropy < 60) {
+            score = 2;
+        } else if (entropy < 80) {
+            score = 3;
+        } else {
+            score = 4;
+        }
+
+        return { entropy: entropy, score: score, label: PASSWORD_STRENGTH_LABELS[score] };
+    }
+
+    // Read a YYYY-MM-DD date as a Date at UTC midnight; null when it isn't a real
+    // calendar date ("garbage", "2023-02-30")
+    function parseIsoDate(text) {
+        const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || '');
+        if (!parts) return null;
+
+        const date = new Date(Date.UTC(Number(parts[1]), Number(parts[2]) - 1, Number(parts[3])));
+        return date.toISOString().slice(0, 10) === text ? date : null;
+    }
+
+    // Validate date of birth; today can be passed in for a fixed reference date
+    function validateDateOfBirth(dob, today) {
+        if (!dob) return 'Required field is empty';
+
+        const dobDate = parseIsoDate(dob);
+        if (!dobDate) return 'Enter a valid date';
+        today = today || new Date();
+        const age120 = new Date(today.getFullYear() - 120, today.getMonth(), today.getDate());
+
+        if (dobDate > today) return 'Cannot be in the future';
+        if (dobDate < age120) return 'Cannot be more than 120 years ago';
+
+        return null;
+    }
+
+    // Get the age in whole years for a YYYY-MM-DD date of birth; null for a missing,
+    // invalid or future date. today can be passed in for a fixed reference date.
+    function getAge(dob, today) {
+        const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dob || '');
+        if (!parts) return null;
+
+        today = today || new Date();
+        const year = Number(parts[1]);
+        const month = Number(parts[2]) - 1;
+        const day = Number(parts[3]);
+        let age = today.getFullYear() - year;
+        if (today.getMonth() < month || (today.getMonth() === month && today.getDate() < day)) {
+            age--;
+        }
+        return age >= 0 ? age : null;
+    }
+
+    // Check whether a record's patient is too young to register for themselves
+    function isMinor(record) {
+        const age = getAge(record.dateOfBirth);
+        return age !== null && age < schema.ADULT_AGE;
+    }
+
+    // Validate an SSN's area, group and serial numbers; digits must already be 9 long
+    function validateSSN(ssn) {
+        const area = ssn.slice(0, 3);
+        if (area === '000' || area === '666' || area.charAt(0) === '9') {
+            return 'Invalid SSN: first 3 digits cannot be 000, 666 or 900-999';
+        }
+        if (ssn.slice(3, 5) === '00') return 'Invalid SSN: middle 2 digits cannot be 00';
+        if (ssn.slice(5) === '0000') return 'Invalid SSN: last 4 digits cannot be 0000';
+
+        return null;
+    }
+
+    let zipCodeIndex = null;
+
+    // Decode the bundled ZIP code dataset into a map of ZIP -> { city, state }
+    function buildZipCodeIndex() {
+        const index = new Map();
+        Object.keys(zipCodes || {}).forEach(state => {
+            const cities = zipCodes[state][0].split('|');
+            let zip = 0;
+            let city = 0;
+
+            zipCodes[state][1].split(',').forEach(entry => {
+                const [token, repeat] = entry.split('*');
+                const [delta, cityIndex] = token.split('.');
+                if (cityIndex !== undefined) city = parseInt(cityIndex, 36);
+
+                const count = repeat ? parseInt(repeat, 36) : 1;
+                for (let i = 0; i < count; i++) {
+                    zip += parseInt(delta, 36);
+                    index.set(String(zip).padStart(5, '0'), { city: cities[city], state: state });
+                }
+            });
+        });
+        return index;
+    }
+
+    // Look up the city and state of a ZIP or ZIP+4 code; null when it isn't in the dataset
+    function lookupZipCode(zip) {
+        if (!zipCodeIndex) zipCodeIndex = buildZipCodeIndex();
+        const match = /^(\d{5})(-?\d{4})?$/.exec(String(zip || '').trim());
+        return match ? zipCodeIndex.get(match[1]) || null : null;
+    }
+
+    // Compare city names ignoring case, spacing and common abbreviations (St, Ft, Mt)
+    function normalizeCityName(city) {
+        return String(city).toLowerCase()
+            .replace(/\bst\b\.?/g, 'saint')
+            .replace(/\bft\b\.?/g, 'fort')
+            .replace(/\bmt\b\.?/g, 'mount')
+            .replace(/[^a-z]/g, '');
+    }
+
+    // Check whether a city is the one the dataset lists for a ZIP code; true when the ZIP
+    // isn't in the dataset. The dataset has one city per ZIP, while many ZIPs also serve
+    // other place names (Hollywood for 90028), so a mismatch is only a suggestion.
+    function cityMatchesZip(city, zip) {
+        const place = lookupZipCode(zip);
+        return !place || normalizeCityName(place.city) === normalizeCityName(city);
+    }
+
+    // Countries offered by the phone inputs. lengths are for the national number without
+    // the trunk 0; format is the as-you-type national display; nanp marks the North
+    // American Numbering Plan, where area codes and exchanges can't start with 0 or 1.
+    const PHONE_COUNTRIES = [
+        { code: 'US', name: 'United States', dialCode: '1', minLength: 10, maxLength: 10, format: '(XXX) XXX-XXXX', nanp: true },
+        { code: 'CA', name: 'Canada', dialCode: '1', minLength: 10, maxLength: 10, format: '(XXX) XXX-XXXX', nanp: true },
+        { code: 'MX', name: 'Mexico', dialCode: '52', minLength: 10, maxLength: 10, format: 'XX XXXX XXXX' },
+        { code: 'GT', name: 'Guatemala', dialCode: '502', minLength: 8, maxLength: 8, format: 'XXXX XXXX' },
+        { code: 'SV', name: 'El Salvador', dialCode: '503', minLength: 8, maxLength: 8, format: 'XXXX XXXX' },
+        { code: 'HN', name: 'Honduras', dialCode: '504', minLength: 8, maxLength: 8, format: 'XXXX XXXX' },
+        { code: 'CO', name: 'Colombia', dialCode: '57', minLength: 10, maxLength: 10, format: 'XXX XXX XXXX' },
+        { code: 'VE', name: 'Venezuela', dialCode: '58', minLength: 10, maxLength: 10, format: 'XXX XXX XXXX', trunk: true },
+        { code: 'BR', name: 'Brazil', dialCode: '55', minLength: 10, maxLength: 11, format: '(XX) XXXXX-XXXX' },
+        { code: 'GB', name: 'United Kingdom', dialCode: '44', minLength: 9, maxLength: 10, format: 'XXXX XXX XXX', trunk: true },
+        { code: 'DE', name: 'Germany', dialCode: '49', minLength: 6, maxLength: 11, format: 'XXX XXXXXXXX', trunk: true },
+        { code: 'FR', name: 'France', dialCode: '33', minLength: 9, maxLength: 9, format: 'X XX XX XX XX', trunk: true },
+        { code: 'ES', name: 'Spain', dialCode: '34', minLength: 9, maxLength: 9, format: 'XXX XX XX XX' },
+        { code: 'NG', name: 'Nigeria', dialCode: '234', minLength: 10, maxLength: 10, format: 'XXX XXX XXXX', trunk: true },
+        { code: 'IN', name: 'India', dialCode: '91', minLength: 10, maxLength: 10, format: 'XXXXX XXXXX', trunk: true },
+        { code: 'PK', name: 'Pakistan', dialCode: '92', minLength: 10, maxLength: 10, format: 'XXX XXXXXXX', trunk: true },
+        { code: 'CN', name: 'China', dialCode: '86', minLength: 10, maxLength: 11, format: 'XXX XXXX XXXX', trunk: true },
+        { code: 'VN', name: 'Vietnam', dialCode: '84', minLength: 9, maxLength: 10, format: 'XX XXXX XXXX', trunk: true },
+        { code: 'PH', name: 'Philippines', dialCode: '63', minLength: 10, maxLength: 10, format: 'XXX XXX XXXX', trunk: true },
+        { code: 'KR', name: 'South Korea', dialCode: '82', minLength: 9, maxLength: 10, format: 'XX XXXX XXXX', trunk: true }
+    ];
+
+    // Extension markers accepted after a phone number: "x55", "ext. 55", "extension 55", "#55"
+    const PHONE_EXTENSION = /^(.*?)\s*(?:ext\.?|extension|x|#)\s*(\d*)\s*$/i;
+
+    // Look up a phone country by its ISO code
+    function getPhoneCountry(code) {
+        return PHONE_COUNTRIES.find(country => country.code === code) || null;
+    }
+
+    // Find the country whose dialing code starts an international number (digits only).
+    // Countries sharing a code (US and Canada) resolve to preferredCode when given.
+    function findPhoneCountry(digits, preferredCode) {
+        let best = null;
+        PHONE_COUNTRIES.forEach(country => {
+            if (!digits.startsWith(country.dialCode)) return;
+            if (!best || country.dialCode.length > best.dialCode.length ||
+                (country.dialCode === best.dialCode && country.code === preferredCode)) {
+                best = country;
+            }
+        });
+        return best;
+    }
+
+    // Split typed phone text into its number and extension parts
+    function splitPhoneExtension(text) {
+        const match = PHONE_EXTENSION.exec(text);
+        return match ? { number: match[1], extension: match[2], hasMarker: true }
+                     : { number: text, extension: '', hasMarker: false };
+    }
+
+    // Normalize typed phone text to E.164 ("+17135551234", extensions as ";ext=55").
+    // Numbers starting with + keep their own country code; others use countryCode.
+    // Returns null when the text can't be read as a phone number.
+    function normalizePhoneNumber(text, countryCode) {
+        const parts = splitPhoneExtension(String(text || '').trim());
+        if (/[^\d\s().\-+\/]/.test(parts.number)) return null;
+
+        let digits = parts.number.replace(/\D/g, '');
+        let e164;
+        if (parts.number.trim().charAt(0) === '+') {
+            e164 = '+' + digits;
+        } else {
+            const country = getPhoneCountry(countryCode) || PHONE_COUNTRIES[0];
+            if (country.trunk && digits.charAt(0) === '0') digits = digits.slice(1);
+            if (country.nanp && digits.length === 11 && digits.charAt(0) === '1') digits = digits.slice(1);
+            e164 = '+' + country.dialCode + digits;
+        }
+
+        if (!/^\+[1-9]\d{6,14}$/.test(e164)) return null;
+        return parts.extension ? e164 + ';ext=' + parts.extension : e164;
+    }
+
+    // Check an E.164 phone number against its country's numbering rules
+    function validatePhoneNumber(value) {
+        const digits = value.split(';')[0].slice(1);
+        const country = findPhoneCountry(digits);
+        if (!country) return null;
+
+        const national = digits.slice(country.dialCode.length);
+        if (national.length < country.minLength || national.length > country.maxLength) {
+            return 'Phone number has the wrong number of digits for the country';
+        }
+        if (country.nanp && !/^[2-9]\d{2}[2-9]\d{6}$/.test(national)) {
+            return 'Not a valid US or Canadian phone number';
+        }
+        return null;
+    }
+
+    // Reduce a payer name to letters and digits for comparison
+    function toPayerKey(name) {
+        return String(name || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    // Find a payer by its name or one of its aliases ("BCBS"); null when it isn't listed
+    function findPayer(name) {
+        const key = toPayerKey(name);
+        if (!key || !payers) return null;
+        return payers.PAYERS.find(payer => toPayerKey(payer.name) === key ||
+            payer.aliases.some(alias => toPayerKey(alias) === key)) || null;
+    }
+
+    // Write a member ID the way payers print it: uppercase, without spaces or dashes
+    function normalizeMemberId(value) {
+        return value.toUpperCase().replace(/[\s\-]/g, '');
+    }
+
+    // Longest signature image (PNG data URL) accepted, in characters
+    const MAX_SIGNATURE_LENGTH = 60000;
+
+    // Longest insurance card photo (JPEG data URL) accepted, in characters
+    const MAX_CARD_IMAGE_LENGTH = 400000;
+
+    // Named cross-field rules referenced by the schema's "rule" key
+    const FIELD_RULES = {
+        phone: function(value) {
+            return validatePhoneNumber(value);
+        },
+        socialSecurity: function(value) {
+            return validateSSN(value);
+        },
+        dateOfBirth: function(value) {
+            return validateDateOfBirth(value);
+        },
+        // ZIP codes missing from the dataset are not flagged
+        zipCode: function(value, record) {
+            const place = lookupZipCode(value);
+            if (place && record.state && place.state !== record.state) {
+                return 'ZIP code is not in the selected state';
+            }
+            return null;
+        },
+        // Onset dates can't be in the future or before the patient was born
+        onsetDate: function(value, record) {
+            const onset = parseIsoDate(value);
+            if (!onset) return 'Enter a valid date';
+            if (onset > new Date()) return 'Cannot be in the future';
+            if (record.dateOfBirth && value < record.dateOfBirth) return 'Cannot be before the date of birth';
+            return null;
+        },
+        // The signer types their full name (the guardian's for minors); extra middle
+        // names are fine
+        signatureName: function(value, record) {
+            const words = text => ` ${text.trim().toLowerCase().replace(/\s+/g, ' ')} `;
+            const signed = words(value);
+            if (isMinor(record)) {
+                const missingWord = record.guardianName.trim().split(/\s+/).some(word =>
+                    word && !signed.includes(words(word)));
+                return missingWord ? 'Must include the parent or guardian name entered above' : null;
+            }
+            const missing = [record.firstName, record.lastName].some(name =>
+                name.trim() && !signed.includes(words(name)));
+            return missing ? 'Must include the first and last name entered above' : null;
+        },
+        signature: function(value) {
+            if (value.length > MAX_SIGNATURE_LENGTH || !/^data:image\/png;base64,[A-Za-z0-9+\/]+=*$/.test(value)) {
+                return 'Signature could not be read. Please clear it and sign again.';
+            }
+            return null;
+        },
+        // Insurers not in the payer list are entered as Other
+        payer: function(value) {
+            return value === payers.OTHER_PAYER || findPayer(value) ? null : 'Select an insurance provider from the list';
+        },
+        // Member IDs of listed payers must match the payer's card format
+        memberId: function(value, record) {
+            const payer = findPayer(record.insuranceProvider);
+            if (payer && !payer.memberId.test(value)) {
+                return 'Does not match the member ID format of the selected insurance provider';
+            }
+            return null;
+        },
+        cardImage: function(value) {
+            if (value.length > MAX_CARD_IMAGE_LENGTH || !/^data:image\/jpeg;base64,[A-Za-z0-9+\/]+=*$/.test(value)) {
+                return 'Card photo could not be read. Please remove it and add it again.';
+            }
+            return null;
+        },
+        checkedCondition: function(value, record) {
+            return getConditionNames(record.medicalConditions).indexOf(value) >= 0 ? null : 'Condition is not checked';
+        },
+        password: function(value, record) {
+            const passwordErrors = validatePassword(value, record.desiredUserID,
+                                                    record.firstName, record.lastName);
+            return passwordErrors.length > 0 ? passwordErrors.join('; ') : null;
+        }
+    };
+
+    // Look up a field definition in the schema
+    function getFieldSchema(fieldName) {
+        return schema.FORM_FIELDS.find(def => def.name === fieldName) || null;
+    }
+
+    // Split the medical conditions value ("A, B" or "None") into condition names
+    function getConditionNames(value) {
+        return String(value || '').split(',').map(name => name.trim()).filter(name => name && name !== 'None');
+    }
+
+    // Build the error key of one field of a list entry: "allergies[0].allergen". It is
+    // also the name of that field's form control.
+    function getListItemKey(listName, index, itemName) {
+        return `${listName}[${index}].${itemName}`;
+    }
+
+    // Split a list entry error key into { listName, index, itemName }; null for other keys
+    function parseListItemKey(key) {
+        const match = /^(\w+)\[(\d+)\]\.(\w+)$/.exec(key);
+        return match ? { listName: match[1], index: Number(match[2]), itemName: match[3] } : null;
+    }
+
+    // Turn a value into a string, with missing values as ''
+    function toText(value) {
+        return (value === undefined || value === null) ? '' : String(value);
+    }
+
+    // Copy a list field's entries so every item field is present as a string
+    function normalizeList(def, value) {
+        if (!Array.isArray(value)) return [];
+        return value.map(item => {
+            const normalized = {};
+            def.items.forEach(itemDef => {
+                normalized[itemDef.name] = toText(item ? item[itemDef.name] : undefined);
+            });
+            return normalized;
+        });
+    }
+
+    // Copy a record so every schema field is present as a string (list fields as arrays)
+    function normalizeRecord(record) {
+        const normalized = {};
+        schema.FORM_FIELDS.forEach(def => {
+            const value = record ? record[def.name] : undefined;
+            normalized[def.name] = def.type === 'list' ? normalizeList(def, value) : toText(value);
+
+            // Payers are kept under their listed name, and member IDs in their printed form
+            if (def.rule === 'payer') {
+                const payer = findPayer(normalized[def.name]);
+                if (payer) normalized[def.name] = payer.name;
+            } else if (def.rule === 'memberId') {
+                normalized[def.name] = normalizeMemberId(normalized[def.name]);
+            }
+        });
+        return normalized;
+    }
+
+    // Check whether a rule's "when" condition holds for a normalized record; a rule
+    // without one always applies
+    function conditionHolds(condition, record) {
+        if (!condition) return true;
+        const value = record[condition.field];
+        if (condition.filled) return Array.isArray(value) ? value.length > 0 : value.trim() !== '';
+        if (condition.includes) return getConditionNames(value).indexOf(condition.includes) >= 0;
+        if (condition.ageUnder) {
+            const age = getAge(value);
+            return age !== null && age < condition.ageUnder;
+        }
+        if (condition.in) return condition.in.indexOf(value) >= 0;
+        return value === condition.equals;
+    }
+
+    // Work out each field's state under the conditional rules in FORM_RULES.
+    // Returns { fieldName: { required, hidden, disabled, active } }; inactive (hidden or
+    // disabled) fields are not validated and not submitted.
+    function getFieldStates(record) {
+        const normalized = normalizeRecord(record);
+        const rules = schema.FORM_RULES || [];
+        const states = {};
+        schema.FORM_FIELDS.forEach(def => {
+            states[def.name] = { required: Boolean(def.required), hidden: false, disabled: false };
+        });
+
+        // A field named in a "show" rule stays hidden until one of its show rules applies;
+        // "hide" wins over "show"
+        const showable = new Set();
+        const shown = new Set();
+        rules.forEach(rule => {
+            (rule.show || []).forEach(name => showable.add(name));
+            if (!conditionHolds(rule.when, normalized)) return;
+
+            (rule.require || []).forEach(name => { states[name].required = true; });
+            (rule.show || []).forEach(name => shown.add(name));
+            (rule.hide || []).forEach(name => { states[name].hidden = true; });
+            (rule.disable || []).forEach(name => { states[name].disabled = true; });
+        });
+
+        Object.keys(states).forEach(name => {
+            const state = states[name];
+            if (showable.has(name) && !shown.has(name)) state.hidden = true;
+            state.active = !state.hidden && !state.disabled;
+        });
+        return states;
+    }
+
+    // Run one schema entry (or list entry field) against a value
+    function checkValue(def, value, required, record) {
+        // An unchecked checkbox ("No") counts as empty
+        if (!value || (def.type === 'checkbox' && value !== 'Yes')) {
+            return required ? (def.requiredMessage || 'Required field is empty') : null;
+        }
+
+        if ((def.minLength && value.length < def.minLength) ||
+            (def.maxLength && value.length > def.maxLength)) {
+            return def.message;
+        }
+        if (def.pattern && !def.pattern.test(value)) {
+            return def.message;
+        }
+        if (def.options && def.options.indexOf(value) < 0) {
+            return def.message;
+        }
+        if ((def.min !== undefined || def.max !== undefined) &&
+            (!/^-?\d+$/.test(value) || Number(value) < def.min || Number(value) > def.max)) {
+            return def.message;
+        }
+        if (def.matches && value !== record[def.matches]) {
+            return def.message;
+        }
+        if (def.rule) {
+            return FIELD_RULES[def.rule](value, record);
+        }
+
+        return null;
+    }
+
+    // Check a list field as a whole: required lists need an entry, and maxItems applies.
+    // Entry fields are checked by checkListItems.
+    function checkList(def, items, required) {
+        if (items.length === 0) {
+            return required ? (def.requiredMessage || 'Required field is empty') : null;
+        }
+        if (def.maxItems && items.length > def.maxItems) {
+            return 'Too many entries';
+        }
+        return null;
+    }
+
+    // Check every field of every entry of a list; returns { itemKey: error }
+    function checkListItems(def, record) {
+        const errors = {};
+        record[def.name].forEach((item, index) => {
+            def.items.forEach(itemDef => {
+                const error = checkValue(itemDef, item[itemDef.name], itemDef.required, record);
+                if (error) errors[getListItemKey(def.name, index, itemDef.name)] = error;
+            });
+        });
+        return errors;
+    }
+
+    // Run one schema entry against a normalized record
+    function checkField(def, record, state) {
+        if (state && !state.active) return null;
+
+        const required = state ? state.required : def.required;
+        if (def.type === 'list') return checkList(def, record[def.name], required);
+        return checkValue(def, record[def.name], required, record);
+    }
+
+    // Validate one field of a record, or one field of a list entry by its item key;
+    // returns the error message or null
+    function validateField(fieldName, record) {
+        const itemKey = parseListItemKey(fieldName);
+        const def = getFieldSchema(itemKey ? itemKey.listName : fieldName);
+        if (!def) return null;
+
+        const normalized = normalizeRecord(record);
+        const state = getFieldStates(normalized)[def.name];
+        if (!itemKey) return checkField(def, normalized, state);
+
+        const item = normalized[def.name][itemKey.index];
+        const itemDef = def.type === 'list' && def.items.find(entry => entry.name === itemKey.itemName);
+        if (!state.active || !item || !itemDef) return null;
+        return checkValue(itemDef, item[itemDef.name], itemDef.required, normalized);
+    }
+
+    // Validate a whole record; returns { fieldName: error } for every failing field, and
+    // { itemKey: error } for every failing field of a list entry
+    function validate(record) {
+        const normalized = normalizeRecord(record);
+        const states = getFieldStates(normalized);
+        const errors = {};
+
+        schema.FORM_FIELDS.forEach(def => {
+            const error = checkField(def, normalized, states[def.name]);
+            if (error) errors[def.name] = error;
+            if (def.type === 'list' && states[def.name].active) {
+                Object.assign(errors, checkListItems(def, normalized));
+            }
+        });
+        return errors;
+    }
+
+    return {
+        validate: validate,
+        validateField: validateField,
+        getFieldStates: getFieldStates,
+        validatePassword: validatePassword,
+        checkPasswordRules: checkPasswordRules,
+        getPasswordStrength: getPasswordStrength,
+        isCommonPassword: isCommonPassword,
+        validateDateOfBirth: validateDateOfBirth,
+        getAge: getAge,
+        isMinor: isMinor,
+        validateSSN: validateSSN,
+        lookupZipCode: lookupZipCode,
+        cityMatchesZip: cityMatchesZip,
+        findPayer: findPayer,
+        normalizeMemberId: normalizeMemberId,
+        phoneCountries: PHONE_COUNTRIES,
+        getPhoneCountry: getPhoneCountry,
+        findPhoneCountry: findPhoneCountry,
+        splitPhoneExtension: splitPhoneExtension,
+        normalizePhoneNumber: normalizePhoneNumber,
+        validatePhoneNumber: validatePhoneNumber,
+        getListItemKey: getListItemKey,
+        parseListItemKey: parseListItemKey,
+        normalizeRecord: normalizeRecord
+    };
+}));
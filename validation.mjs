@@ -0,0 +1,17 @@
+/*
+Program name: validation.mjs
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.4
+Description: ES module entry point for the isomorphic validation library in validation.js
+*/
+
+import validation from './validation.js';
+
+export const {
+    validate, validateField, validatePassword, checkPasswordRules, getPasswordStrength,
+    isCommonPassword, validateDateOfBirth, getAge, isMinor, validateSSN, lookupZipCode, cityMatchesZip,
+    findPayer, normalizeMemberId, normalizePhoneNumber, validatePhoneNumber, normalizeRecord, createValidator
+} = validation;
+export default validation;
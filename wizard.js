@@ -0,0 +1,251 @@
+/*
+Program name: wizard.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.2
+Description: Optional step-by-step (wizard) mode for the registration form. Shows one
+             fieldset at a time with a progress bar; the last step is the review area.
+             Turn it on with the STEP-BY-STEP MODE button or ?mode=wizard in the URL.
+*/
+
+const WIZARD_REVIEW_STEP = 'review';
+
+let wizardActive = false;
+let wizardStep = 0;
+
+// Step ids in order: one per form section that applies (see isSectionActive), then the review
+function getWizardSteps() {
+    const states = getCurrentFieldStates();
+    return FORM_SECTIONS
+        .filter(section => isSectionActive(section.id, states))
+        .map(section => section.id)
+        .concat(WIZARD_REVIEW_STEP);
+}
+
+// Get the title shown in the progress label for a step
+function getWizardStepTitle(stepId) {
+    const section = FORM_SECTIONS.find(s => s.id === stepId);
+    return t(section ? section.title : 'Review');
+}
+
+// Find the step index named in the URL hash (#step-contact), or 0
+function getStepFromHash() {
+    const match = /^#step-(.+)$/.exec(window.location.hash);
+    const index = match ? getWizardSteps().indexOf(match[1]) : -1;
+    return index >= 0 ? index : 0;
+}
+
+// Show or hide an element by id
+function setHidden(id, hidden) {
+    const element = document.getElementById(id);
+    if (element) element.hidden = hidden;
+}
+
+// Update the progress bar and label for a step
+function updateWizardProgress(index) {
+    const steps = getWizardSteps();
+    const label = document.getElementById('wizardStepLabel');
+    const bar = document.getElementById('wizardProgressBar');
+    const fill = document.getElementById('wizardProgressFill');
+
+    if (label) {
+        label.textContent = t('Step {step} of {total}: {title}', {
+            step: index + 1,
+            total: steps.length,
+            title: getWizardStepTitle(steps[index])
+        });
+    }
+    if (bar) {
+        bar.setAttribute('aria-valuemax', steps.length);
+        bar.setAttribute('aria-valuenow', index + 1);
+    }
+    if (fill) {
+        fill.style.width = ((index + 1) / steps.length * 100) + '%';
+    }
+}
+
+// Show one wizard step; history is 'push', 'replace' or 'none'
+function showWizardStep(index, history) {
+    const steps = getWizardSteps();
+    const stepId = steps[index];
+    const isReview = stepId === WIZARD_REVIEW_STEP;
+    wizardStep = index;
+
+    document.querySelectorAll('fieldset[data-section]').forEach(fieldset => {
+        fieldset.hidden = fieldset.dataset.section !== stepId;
+    });
+
+    setHidden('wizardBackBtn', index === 0);
+    setHidden('wizardNextBtn', isReview);
+
+    // Validation status and the submit buttons belong to the review step
+    setHidden('validationStatus', !isReview);
+    setHidden('formButtons', !isReview);
+
+    if (isReview) {
+        reviewForm();
+    } else {
+        closeReview();
+        const firstField = document.querySelector(`fieldset[data-section="${stepId}"] input, fieldset[data-section="${stepId}"] select, fieldset[data-section="${stepId}"] textarea`);
+        if (firstField) firstField.focus();
+    }
+
+    updateWizardProgress(index);
+
+    // The step is kept by id: the step numbers change as sections come and go
+    const state = { wizardStep: stepId };
+    const url = window.location.pathname + window.location.search + '#step-' + stepId;
+    if (history === 'push') {
+        window.history.pushState(state, '', url);
+    } else if (history === 'replace') {
+        window.history.replaceState(state, '', url);
+    }
+}
+
+// Validate the fields of one step through validateSingleField; returns true when valid
+function validateWizardStep(index) {
+    const stepId = getWizardSteps()[index];
+    let firstErrorField = null;
+
+    getSectionFields(stepId).filter(def => !def.virtual).forEach(def => {
+        getValidationKeys(def).forEach(key => {
+            fieldTouched[key] = true;
+            const error = validateSingleField(key, getFieldValue(key));
+            showFieldError(key, error);
+
+            if (error && !firstErrorField) {
+                firstErrorField = document.querySelector(`[name="${key}"]`);
+            }
+        });
+    });
+
+    if (firstErrorField) {
+        firstErrorField.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        firstErrorField.focus();
+        return false;
+    }
+    return true;
+}
+
+// Show the step containing an element, e.g. a field linked from the error summary
+function showWizardStepForElement(element) {
+    if (!wizardActive) return;
+
+    const fieldset = element.closest('fieldset[data-section]');
+    const index = fieldset ? getWizardSteps().indexOf(fieldset.dataset.section) : -1;
+    if (index >= 0 && index !== wizardStep) {
+        showWizardStep(index, 'push');
+    }
+}
+
+// Go to the next step if the current one is valid
+function wizardNext() {
+    if (!validateWizardStep(wizardStep)) return;
+    showWizardStep(Math.min(wizardStep + 1, getWizardSteps().length - 1), 'push');
+}
+
+// Go back one step; entered data stays in the hidden fieldsets
+function wizardBack() {
+    showWizardStep(Math.max(wizardStep - 1, 0), 'push');
+}
+
+// Update the mode toggle's text and state to match wizardActive
+function updateWizardToggle() {
+    const toggle = document.getElementById('wizardToggleBtn');
+    if (!toggle) return;
+
+    toggle.textContent = t(wizardActive ? 'SHOW FULL FORM' : 'STEP-BY-STEP MODE');
+    toggle.setAttribute('aria-pressed', wizardActive ? 'true' : 'false');
+}
+
+// Switch from the single page to wizard mode
+function enterWizard() {
+    wizardActive = true;
+    setHidden('wizardProgress', false);
+    setHidden('wizardNav', false);
+
+    updateWizardToggle();
+
+    showWizardStep(getStepFromHash(), 'replace');
+}
+
+// Switch back to the single long page
+function exitWizard() {
+    wizardActive = false;
+    document.querySelectorAll('fieldset[data-section]').forEach(fieldset => {
+        fieldset.hidden = false;
+    });
+    setHidden('wizardProgress', true);
+    setHidden('wizardNav', true);
+    setHidden('validationStatus', false);
+    setHidden('formButtons', false);
+    closeReview();
+
+    updateWizardToggle();
+
+    // Drop the step hash and ?mode=wizard so a reload stays on the full form
+    const params = new URLSearchParams(window.location.search);
+    params.delete('mode');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? '?' + query : ''));
+}
+
+// Follow the browser's back and forward buttons between steps
+function handleWizardPopState(event) {
+    if (!wizardActive) return;
+    const index = event.state && event.state.wizardStep
+        ? getWizardSteps().indexOf(event.state.wizardStep)
+        : -1;
+    showWizardStep(index >= 0 ? index : getStepFromHash(), 'none');
+}
+
+// Initialize wizard mode on page load
+function initializeWizard() {
+    const form = document.getElementById('registrationForm');
+    if (!form) return;
+
+    document.getElementById('wizardToggleBtn').addEventListener('click', function() {
+        if (wizardActive) {
+            exitWizard();
+        } else {
+            enterWizard();
+        }
+    });
+    document.getElementById('wizardNextBtn').addEventListener('click', wizardNext);
+    document.getElementById('wizardBackBtn').addEventListener('click', wizardBack);
+    window.addEventListener('popstate', handleWizardPopState);
+    document.addEventListener('languagechange', function() {
+        updateWizardToggle();
+        if (wizardActive) updateWizardProgress(wizardStep);
+    });
+
+    // Closing the review in wizard mode returns to the last form step
+    document.querySelector('.close-review-btn').addEventListener('click', function() {
+        if (wizardActive && getWizardSteps()[wizardStep] === WIZARD_REVIEW_STEP) {
+            wizardBack();
+        }
+    });
+
+    // A date of birth under 18 adds the guardian step, so the step count can change
+    form.addEventListener('change', function() {
+        if (wizardActive) updateWizardProgress(wizardStep);
+    });
+
+    // A reset starts the wizard over from the first step
+    form.addEventListener('reset', function() {
+        if (wizardActive) {
+            showWizardStep(0, 'push');
+        }
+    });
+
+    if (new URLSearchParams(window.location.search).get('mode') === 'wizard') {
+        enterWizard();
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeWizard);
+} else {
+    initializeWizard();
+}
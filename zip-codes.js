@@ -0,0 +1,129 @@
+/*
+Program name: zip-codes.js
+Author: Rakshith Vuppala
+Date created: October 18 2026
+Date last edited: October 18 2026
+Version: 1.0
+Description: Offline US ZIP code dataset for address checks (41,855 ZIP codes in the
+             states offered on the form). Read by lookupZipCode in validation.js.
+             Built from the "zipcodes" 8.0.0 package data, Copyright (c) 2007, Dav Glass,
+             BSD License. City names were limited to what the City field accepts
+             (dashes became spaces, names with other characters were left out).
+
+             Each state has [cities, entries]. cities is a "|" separated list. entries
+             is a "," separated list of ZIP codes in ascending order, each written as
+             the base-36 difference from the previous ZIP (starting from 0), followed by
+             ".<base-36 city index>" when the city changes. "d*n" repeats entry d n times
+             (n in base 36).
+*/
+
+const ZIP_CODES = {
+    AL: ['Moody|Adamsville|Adger|Alabaster|Alexander City|Allgood|Alpine|Alton|Arab|Baileyton|Bessemer|Blountsville|Bon Air|Bremen|Brent|Brierfield|Brookside|Burnwell|Calera|Cardiff|Centreville|Chelsea|Childersburg|Clanton|Clay|Cleveland|Columbiana|Cook Springs|Crane Hill|Cropwell|Cullman|Docena|Dolomite|Dora|Empire|Fairfield|Fultondale|Garden City|Gardendale|Goodwater|Graysville|Green Pond|Hanceville|Harpersville|Hayden|Helena|Hollins|Holly Pond|Jemison|Joppa|Kellyton|Kimberly|Leeds|Lincoln|Locust Fork|Logan|Mc Calla|Margaret|Maylene|Montevallo|Morris|Mount Olive|Mulga|New Castle|Odenville|Oneonta|Palmerdale|Pelham|Pell City|Pinson|Pleasant Grove|Quinton|Ragland|Remlap|Riverside|Rockford|Saginaw|Sayre|Shannon|Shelby|Siluria|Springville|Sterrett|Sumiton|Sycamore|Sylacauga|Talladega|Thorsby|Trafford|Trussville|Union Grove|Vandiver|Vincent|Vinemont|Warrior|Watson|Wattsville|Weogufka|West Blocton|Westover|Wilsonville|Wilton|Woodstock|Birmingham|Bham|Oxmoor House|Parisians Inc|Decorative Craft Ideas|Assc Doctors Ins|Tuscaloosa|Abernant|Akron|Aliceville|Boligee|Brookwood|Buhl|Carrollton|Clinton|Coaling|Coker|Cottondale|Duncanville|Echola|Elrod|Emelle|Epes|Ethelsville|Eutaw|Fosters|Gainesville|Gordo|Kellerman|Knoxville|Livingston|Mc Shan|Northport|Moundville|Panola|Peterson|Ralph|Reform|Samantha|Vance|West Greene|Jasper|Addison|Arley|Bankston|Bear Creek|Beaverton|Belk|Berry|Brilliant|Carbon Hill|Cordova|Delmar|Detroit|Double Springs|Eldridge|Fayette|Glen Allen|Goodsprings|Guin|Hackleburg|Haleyville|Hamilton|Hodges|Houston|Kansas|Kennedy|Lynn|Millport|Natural Bridge|Nauvoo|Oakman|Parrish|Phil Campbell|Red Bay|Sipsey|Spruce Pine|Sulligent|Townley|Vernon|Vina|Winfield|Decatur|Anderson|Athens|Belle Mina|Cherokee|Cloverdale|Courtland|Danville|Elkmont|Eva|Falkville|Florence|Hartselle|Hillsboro|Killen|Leighton|Lester|Lexington|Mooresville|Moulton|Mount Hope|Rogersville|Russellville|Sheffield|Muscle Shoals|Somerville|Tanner|Town Creek|Trinity|Tuscumbia|Waterloo|Ardmore|Bridgeport|Brownsboro|Capshaw|Dutton|Estillfork|Fackler|Grant|Gurley|Harvest|Hazel Green|Hollytree|Hollywood|Laceys Spring|Langston|Madison|Meridianville|New Hope|New Market|Normal|Owens Cross Roads|Paint Rock|Pisgah|Princeton|Ryland|Scottsboro|Section|Stevenson|Toney|Trenton|Valhermoso Springs|Woodville|Huntsville|Gadsden|Rainbow City|Albertville|Altoona|Ashville|Attalla|Boaz|Bryant|Cedar Bluff|Centre|Collinsville|Crossville|Dawson|Douglas|Flat Rock|Fort Payne|Fyffe|Gallant|Gaylesville|Geraldine|Groveoak|Guntersville|Henagar|Higdon|Horton|Ider|Leesburg|Mentone|Rainsville|Steele|Sylvania|Valley Head|Walnut Grove|Autaugaville|Banks|Billingsley|Booth|Brantley|Brundidge|Cecil|Chapman|Clayton|Clio|Coosada|Deatsville|East Tallassee|Eclectic|Elmore|Equality|Eufaula|Dozier|Fitzpatrick|Forest Home|Fort Davis|Fort Deposit|Georgiana|Glenwood|Goshen|Grady|Greenville|Gantt|Hardaway|Hayneville|Highland Home|Honoraville|Hope Hull|Kent|Lapine|Letohatchee|Louisville|Luverne|Marbury|Mathews|Midway|Millbrook|Mount Meigs|Perote|Petrey|Pike Road|Pine Level|Prattville|Ramer|Rutledge|Shorter|Tallassee|Troy|Titus|Tuskegee|Tuskegee Institute|Union Springs|Verbena|Wetumpka|Montgomery|Anniston|Oxford|Alexandria|Ashland|Bynum|Choccolocco|Cragford|Daviston|De Armanville|Delta|Eastaboga|Edwardsville|Fruithurst|Graham|Heflin|Jacksonville|Lineville|Millerville|Munford|Muscadine|Ohatchee|Piedmont|Ranburne|Roanoke|Spring Garden|Wadley|Weaver|Wedowee|Wellington|Woodland|Dothan|Abbeville|Ariton|Ashford|Bellwood|Black|Chancellor|Clopton|Coffee Springs|Columbia|Cottonwood|Cowarts|Daleville|Elba|Enterprise|Geneva|Gordon|Hartford|Headland|Jack|Malvern|Midland City|New Brockton|Newton|Newville|Ozark|Fort Rucker|Pansey|Pinckard|Shorterville|Skipperville|Slocomb|Webb|Evergreen|Andalusia|Beatrice|Brewton|Brooklyn|Castleberry|Coy|Dickinson|Excel|Flomaton|Florala|Franklin|Frisco City|Fulton|Goodway|Grove Hill|Kinston|Lenox|Lockhart|Mc Kenzie|Megargel|Mexia|Monroeville|Opp|Perdue Hill|Peterman|Range|Red Level|Repton|River Falls|Samson|Uriah|Vredenburgh|Whatley|Wing|Alma|Atmore|Axis|Bay Minette|Bayou La Batre|Bon Secour|Bucks|Calvert|Carlton|Chatom|Chunchula|Citronelle|Coden|Coffeeville|Creola|Daphne|Spanish Fort|Dauphin Island|Deer Park|Elberta|Fairhope|Foley|Frankville|Fruitdale|Gainestown|Grand Bay|Gulf Shores|Huxford|Irvington|Jackson|Leroy|Lillian|Little River|Loxley|Mc Intosh|Magnolia Springs|Malcolm|Millry|Montrose|Mount Vernon|Orange Beach|Perdido|Point Clear|Robertsdale|Saint Elmo|Saint Stephens|Saraland|Satsuma|Seminole|Semmes|Silverhill|Stapleton|Stockton|Summerdale|Sunflower|Theodore|Tibbie|Vinegar Bend|Wagarville|Wilmer|Mobile|Eight Mile|First National Bank|Merchants National Bank|Firms|Selma|Alberta|Annemanie|Arlington|Boykin|Camden|Campbell|Catherine|Demopolis|Dixons Mills|Faunsdale|Forkland|Furman|Gallion|Greensboro|Jefferson|Linden|Jones|Maplesville|Lower Peach Tree|Lowndesboro|Mc Williams|Magnolia|Marion|Plantersville|Marion Junction|Minter|Morvin|Myrtlewood|Nanafalia|Newbern|Oak Hill|Orrville|Pine Apple|Pine Hill|Safford|Sardis|Sawyerville|Sweet Water|Thomaston|Thomasville|Tyler|Uniontown|Stanton|Randolph|Lawley|Opelika|Auburn|Auburn University|Camp Hill|Cottonton|Cusseta|Dadeville|Valley|Five Points|Fort Mitchell|Hatchechubbee|Holy Trinity|Hurtsboro|Jacksons Gap|Lafayette|Lanett|Loachapoka|Notasulga|Phenix City|Pittsview|Salem|Seale|Smiths Station|Waverly|Bellamy|Butler|Cuba|Gilbertown|Jachin|Lisman|Melvin|Needham|Pennington|Silas|Toxey|Ward|York',
+         'r0c.0,1.1,1.2,1.3,3.4,1,2.5,1.6,1.7,1.8,3.9,1.a,1*3,8.b,1.c,1.d,1.e,1.f,1.g,2.h,2.i,1.j,1.k,1.l,1.m,1.n,1,2.o,1.p,2.q,1.r,1.s,1.t,1.u,1*3,2.v,1.w,1.x,1.y,1.z,4.10,2.11,1.12,1.13,1.14,1.15,3.16,1.17,1.18,1.19,2.1a,1.1b,2.1c,2.1d,2.1e,2.1f,3.1g,2.1h,1.1i,1.1j,d.1k,1.1l,2.1m,1.1n,1.1o,1.1p,1.1q,1.1r,1.1s,1.1t,2.1u,1.1v,1.1w,1.1x,1.1y,1.1w,2.1z,1.20,2.21,2.22,1.23,1.24,2.25,3.26,1.27,1.28,2.29,1.2a,1.2b,1.2c,1.2d,1,9.2e,1,a.2f,1.2g,1.2h,2.2i,1.2j,2.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,d.2v,1*n,1.2w,1.2v,2,1,1.2w,1.2v,1*7,2.2w,2.2v,1*2,1.2w,1.2v,3,4,1*2,4,1*2,2.2w,3.2v,4,7.2w,1.2x,1.2y,1.2w,1.2z,1.2v,1,2,1.2w,1.2v,1,1.30,1.2v,1*9,2u.31,1*6,x.32,1.33,1.34,1.35,1.36,2.37,1.38,1.39,1.3a,3.3b,1.3c,3.3d,1.3e,1.3f,1.3g,1.3h,1.3i,1.3j,1.3k,1.3l,2.3m,2.3n,1.3o,1.3p,1.3q,2.3r,1.3s,1.3r,1,1.3t,1.3u,2.3v,1.3w,1.3x,3.31,1*2,3.3y,1.3z,a.40,1*3,10.41,1.42,1.43,1.44,1.45,1.46,1.47,2.48,1.49,1.4a,1.4b,1.4c,1.4d,1.4e,1.4f,4.4g,1.4h,3.4i,1.4j,1.4k,5.4l,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,1.4w,1.4x,2.4y,1.4z,1.50,1.51,5.52,1.53,1.54,7.55,1*2,6,1.56,1.57,1*3,1.58,1.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,8.5g,1*4,6.5h,3.5i,2.5j,1.5k,1.5l,1.5m,1.5n,1.5o,1.5p,1.5q,1.5r,1,6.5s,1.5t,1,8.5u,1.5v,1.5w,1.5x,1.5y,3.5z,m.55,14.60,1.61,1.62,1.63,2.64,1.65,1.66,1.67,1.68,1.69,1.6a,1.6b,1.6c,2.6d,1.6e,1.6f,1*2,1.6g,1.6h,1.6i,1.6j,1.6k,1.6l,1.6m,1.6n,1.6o,1.6p,1,2.6q,1.6r,1.6s,1.6t,1.6u,1.6v,p.6w,1*f,8,1x,1*6,2.6x,1*4,1.6y,1.6x,17.6z,1,1.70,1.71,1.72,2.73,1,1.74,1.75,1.76,1.77,1.78,1.79,1.7a,2.7b,1.7c,1,3.7d,1.7e,1.7f,1.7g,1.7h,1.7i,2.7j,1.7k,1.7l,1.7m,2.7n,1.7o,2.7p,1.7q,1.7r,1.7s,1.7t,d.7u,2.7v,1.7w,2.7x,1.7y,1.7z,3.80,2.81,1.82,1.83,3.84,2.85,1.86,1.87,1.88,1.89,1.8a,1.8b,1.8c,1.8d,1.8e,1.8f,1.8g,1.8h,1.8i,1.8j,1.8k,1.8l,1.8m,1.8n,1.8o,1.8p,1.8q,2.8r,1.8s,1.8t,1.8u,1.8v,2.8w,1.8x,1.8y,1.8z,3.90,4.91,1.92,2.93,1.94,1.95,1*2,1.96,2.97,1.8a,3.98,3.99,1.9a,1.9b,1.9a,1,1.9c,4.9d,1,1.9e,2.9f,1.9g,1,8.9h,1*k,2,1*2,5,1*5,5,1*2,z,e,a.9i,1,1.9j,1.9i,1*3,3,14.9k,1.9l,2.9m,1.9n,1.9o,1.9p,1.9q,1.9r,2.9s,1.9t,1.9u,1.9v,1.9w,1.9x,1.9y,1.9z,1.a0,1.a1,2.a2,1.a3,1.a4,1.a5,1.a6,1.a7,1.a8,1.a9,1.aa,1.ab,l.ac,1*4,5.ad,1.ae,1.af,1.ag,1.ah,2.ai,1.aj,1.ak,1.al,1.am,1.an,1.ao,1.ap,7.aq,1,9.ar,3.as,1.at,1.au,1.av,3.aw,1.ax,1.ay,1.az,1.b0,7.b1,1,1.b2,8.b3,1.b4,2.b5,1.b6,1.b7,1.b8,p.b9,j.ba,1,4.bb,1.bc,1,2.bd,3.be,3.bf,1.bg,3.bh,2.bi,1.bj,2.bk,1.bl,1.bm,3.bn,2.bo,2.bp,1.bq,1.br,1.bs,1.bt,1.bu,2.bv,1*2,5.bw,3.bx,1.by,2.bz,1.c0,1.c1,1.c2,1.c3,3.c4,1.c5,1.c6,1.c7,i.c8,1.c9,1*2,1.ca,2.cb,2.cc,2.cd,1.ce,1.cf,2.cg,3.ch,3.ci,1.cj,1.ck,1.cl,1.cm,1.cn,1.co,1.cp,1.cq,1.cr,2.cs,1,2.ct,1,2.cu,1.cv,1.cw,1.cx,1.cy,1.cz,1.d0,1.d1,2.cy,1.d2,1.d3,1.d4,1.d5,2.d6,2.d7,1.d8,2.d9,1.da,1.db,1.dc,1.dd,2.de,3.df,1.dg,1.dh,2.di,1.dj,2.dk,1.dl,1.dm,1.co,1.dn,1.do,1.dp,1.dq,1.dr,1.ds,1.dt,1.du,2.dv,3.dr,b.dw,1*b,1.dx,2.dw,1*4,2.dy,1.dz,3.dw,3,2,3,7,1,3,8*2,3,7,1,4,a,3,1,1.e0,1.dw,2*2,6.e1,1*2,h.e2,1.e3,1.e4,1.e5,3.e6,1.e7,1.e8,4.e9,4.ea,2.eb,2.ec,1.ed,1.ee,2.ef,1.eg,3.eh,1.ei,1.ej,1.ek,1.el,1.em,1.en,2.eo,2.ep,1.eq,2.er,1.es,1.et,1.eu,1.ev,1.ew,1.ex,1.ey,1.ez,4.f0,2.f1,1.f2,6.f3,1.f4,1.f5,1.f6,1.f7,4.f8,2.f9,1.fa,8.fb,1*3,q.fc,1*2,h.fd,1.fe,1.ff,1.fg,1.fh,1.fi,1.fj,1.fk,2.fl,1.fm,1.fn,1.fo,1.fp,1.fq,2.fr,1.fs,1.ft,1*3,1.fu,1.fi,2.fv,1.fw,2.fx,2.fy,m.fz,3.g0,3.g1,1.g2,2.g3,2.g4,1.g5,2.g6,1.g7,3.g8,2.g9,1.ga,3.gb'],
+    AK: ['Anchorage|Jber|Indian|Kongiganak|Adak|Atka|Chignik Lake|Port Heiden|Port Lions|Akiachak|Akiak|Akutan|Alakanuk|Aleknagik|Anchor Point|Aniak|Anvik|Bethel|Chefornak|Chevak|Chignik|Chignik Lagoon|Chitina|Chugiak|Clam Gulch|Clarks Point|Cold Bay|Cooper Landing|Copper Center|Cordova|Crooked Creek|Dillingham|Eagle River|Eek|Egegik|Ekwok|Emmonak|False Pass|Marshall|Gakona|Girdwood|Glennallen|Goodnews Bay|Grayling|Saint George Island|Holy Cross|Homer|Hooper Bay|Hope|Iliamna|Kalskag|Karluk|Kasigluk|Kasilof|Kenai|King Cove|King Salmon|Kipnuk|Kodiak|Kotlik|Kwethluk|Kwigillingok|Wasilla|Larsen Bay|Levelock|Lower Kalskag|Mc Grath|Manokotak|Mekoryuk|Moose Pass|Mountain Village|Naknek|Napakiak|Nikiski|New Stuyahok|Toksook Bay|Nikolski|Ninilchik|Nondalton|Nunapitchuk|Old Harbor|Ouzinkie|Palmer|Pedro Bay|Perryville|Pilot Point|Pilot Station|Platinum|Big Lake|Port Alsworth|Quinhagak|Red Devil|Russian Mission|Saint Marys|Saint Michael|Saint Paul Island|Sand Point|Scammon Bay|Seldovia|Seward|Shageluk|Nunam Iqua|Skwentna|Sleetmute|Soldotna|South Naknek|Stebbins|Sterling|Sutton|Takotna|Talkeetna|Tatitlek|Togiak|Tuluksak|Tuntutuliak|Tununak|Tyonek|Trapper Creek|Unalakleet|Unalaska|Valdez|Willow|Yakutat|Nightmute|Nikolai|Dutch Harbor|Whittier|Houston|Fairbanks|Eielson Afb|Fort Wainwright|Clear|North Pole|Salcha|Two Rivers|Allakaket|Anaktuvuk Pass|Arctic Village|Barrow|Beaver|Ester|Bettles Field|Buckland|Cantwell|Central|Fort Greely|Chicken|Circle|Prudhoe Bay|Deering|Delta Junction|Eagle|Elim|Fort Yukon|Galena|Gambell|Healy|Anderson|Hughes|Huslia|Kaktovik|Kaltag|Kiana|Kivalina|Kobuk|Kotzebue|Koyuk|Koyukuk|Denali National Park|Manley Hot Springs|Lake Minchumina|Minto|Point Lay|Nenana|Noatak|Nome|Noorvik|Northway|Nulato|Point Hope|Rampart|Ruby|Savoonga|Selawik|Shaktoolik|Shishmaref|Shungnak|Stevens Village|Tanacross|Tanana|Teller|Tok|Venetie|Wainwright|Wales|White Mountain|Brevig Mission|Ambler|Chalkyitsik|Nuiqsut|Atqasuk|Juneau|Angoon|Auke Bay|Douglas|Elfin Cove|Gustavus|Haines|Hoonah|Kake|Pelican|Petersburg|Sitka|Port Alexander|Skagway|Tenakee Springs|Ketchikan|Meyers Chuck|Coffman Cove|Thorne Bay|Craig|Hydaburg|Hyder|Klawock|Metlakatla|Point Baker|Ward Cove|Wrangell',
+         '24rx.0,1*3,1.1,1,1.0,1*4,2,1*b,5,1,a.2,5.3,1.4,1.5,1.6,1.7,1.8,1.9,1.a,1.b,1.c,1.d,1.e,1.f,1.g,1.h,2.i,2.j,1.k,1.l,1.m,1.n,1.o,1.p,2.q,1.r,1.s,1.t,1.u,1.v,1.w,1.x,1.y,1.z,1.10,2.11,2.12,1.13,1.14,1.15,1.16,1.17,1.18,8.0,3.19,1.1a,1.1b,1.1c,1.1d,1.1e,1.1f,1.1g,1.1h,1.1i,1.1j,1.1k,1.1l,1.1m,4,1.1n,1.1o,1.1p,1.1q,1.1r,1.1s,1.1t,1.1u,1.1v,1.1q,1.1w,1.1x,1.1y,1.1z,1.20,1.21,1.22,1.23,1.24,1.25,1.26,1.27,2.28,1.29,1.2a,2.2b,1.2c,1.2d,1.2e,1.2f,1.2g,1.2h,1.1q,1.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,1.2v,1.2w,1.2x,1.2y,1.2z,2.30,1.31,1.32,1.33,1.34,1.35,1.36,1.37,1.38,1.39,1.3a,1.3b,1.3c,1.1q,1.3d,1.3e,1.3f,1.3g,1.3h,1.3i,1.3j,1.0,2.1m,4.3k,1.3l,1.3m,1.3n,1.3o,1.3k,1*6,2.3p,2.3q,4.3r,1.3s,1.3t,1.3u,1.3v,1.3w,1.3x,1.3y,2.3z,1.40,1.41,1.42,1.43,1.44,2.45,1.46,1.47,1.48,1.49,1.4a,1.4b,1.4c,1.4d,1.4e,1.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,1.4w,1.4x,1.4y,1.4z,1.50,1.51,1.52,1.53,1.54,1.55,1.56,1.57,1.3k,1.58,1.59,1.5a,1.5b,1,1.5c,1.5d,1.5e,1.5f,1.5g,1.5h,2.5i,1.5j,1.3k,1.5k,a.5l,1*2,8,1,8.5m,1.5n,3.5o,1.5p,1.5q,1.5r,2.5s,1.5t,2.5u,1.5v,2.5w,1.5x,4.5y,1.5z,9.5l,1f.60,2.61,f.62,1.63,2.64,1.65,1.66,2.67,1.68,1.69,1.6a,1.6b,l.60'],
+    AZ: ['Phoenix|Greyhound Dial Corp|New River|Census Bureau|Arizona State Lottery|Apache Junction|Gold Canyon|Bapchule|Casa Grande|Arizona City|Chandler Heights|Coolidge|Eloy|Florence|Hayden|Kearny|Maricopa|San Tan Valley|Picacho|Queen Creek|Red Rock|Sacaton|Stanfield|Superior|Tortilla Flat|Valley Farms|Winkelman|Mesa|Apache Jct|Chandler|Gilbert|Higley|Chandler Hts|Scottsdale|Paradise Valley|Rio Verde|Fort Mcdowell|Fountain Hills|Tempe|Dudleyville|Glendale|Glendale Luke Afb|Arizona State Univ West|Aguila|Ajo|Arlington|Avondale|Black Canyon City|Bouse|Buckeye|Cave Creek|Cibola|Cashion|Congress|Dateland|Ehrenberg|El Mirage|Gadsden|Gila Bend|Goodyear|Laveen|Litchfield Park|Lukeville|Morristown|Palo Verde|Parker|Peoria|Quartzsite|Roll|Salome|San Luis|Somerton|Sun City|Tacna|Tolleson|Tonopah|Waddell|Wellton|Wenden|Wickenburg|Wikieup|Wittmann|Yarnell|Youngtown|Yuma|Poston|Surprise|Sun City West|Carefree|Globe|Bylas|Central|Claypool|Clifton|Duncan|Eden|Fort Thomas|Miami|Morenci|Payson|Peridot|Pima|Pine|Roosevelt|Safford|San Carlos|Solomon|Thatcher|Tonto Basin|Young|Arivaca|Benson|Bisbee|Bowie|Cochise|Douglas|Dragoon|Elfrida|Elgin|Fort Huachuca|Green Valley|Hereford|Huachuca City|Mc Neal|Mammoth|Mount Lemmon|Naco|Nogales|Oracle|Patagonia|Pearce|Pirtleville|Pomerene|Sahuarita|Saint David|San Manuel|San Simon|Sasabe|Sells|Sierra Vista|Sonoita|Tombstone|Topawa|Tumacacori|Vail|Willcox|Amado|Tubac|Rio Rico|Cortaro|Marana|Rillito|Tucson|Catalina|Ariz Correctional Ctr|Show Low|Cibecue|White Mountain Lake|Alpine|Blue|Clay Springs|Concho|Eagar|Fort Apache|Greer|Heber|Lakeside|Mcnary|Forest Lakes|Nutrioso|Overgaard|Pinedale|Pinetop|Saint Johns|Snowflake|Springerville|Taylor|Vernon|Whiteriver|Woodruff|Flagstaff|Bellemont|Gray Mountain|Munds Park|Parks|Cameron|Colorado City|Fredonia|Grand Canyon|Happy Jack|Holbrook|Petrified Forest Natl Pk|Sun Valley|Hotevilla|Indian Wells|Joseph City|Kayenta|Keams Canyon|Leupp|Marble Canyon|Mormon Lake|Kykotsmovi Village|Page|Polacca|Second Mesa|Tonalea|Tuba City|Williams|Winslow|North Rim|Kaibeto|Shonto|Prescott|Prescott Valley|Ash Fork|Bagdad|Camp Verde|Chino Valley|Clarkdale|Cornville|Cottonwood|Dewey|Humboldt|Iron Springs|Jerome|Kirkland|Mayer|Paulden|Rimrock|Sedona|Seligman|Skull Valley|Lake Montezuma|Crown King|Kingman|Lake Havasu City|Hackberry|Hualapai|Golden Valley|Fort Mohave|Bullhead City|Chloride|Littlefield|Oatman|Peach Springs|Supai|Topock|Valentine|Yucca|Mohave Valley|Dolan Springs|Temple Bar Marina|Meadview|Willow Beach|Chambers|Chinle|Fort Defiance|Ganado|Houck|Lukachukai|Lupton|Pinon|Saint Michaels|Sanders|Teec Nos Pos|Window Rock|Blue Gap|Dennehotso|Many Farms|Nazlini|Red Valley|Rock Point|Round Rock|Tsaile',
+         '1tl5.0,1*19,2*2,1,2,1*2,5,1*g,1.1,1.0,1*2,2,1,2,1,1.2,9.3,1.0,1,1.4,i.5,1.6,1.5,1,1.7,1.8,1.9,4.a,1.b,2.8,1.c,1.d,3.e,2.f,1.g,1,1.h,1.i,1.j,1.h,2.k,2.l,p.m,1.n,5.5,c.o,1.p,1.q,1.8,1,7.r,1*f,1.s,1.5,1.s,1.5,1.7,1.8,1.9,1.t,1*2,1.a,1.b,2.8,1.c,1.d,1.u,1,1.e,1.v,1.f,1.g,1,1.j,1.i,1.w,1.j,1.t,1.k,1.t,1.l,1.t,1,1.x,1*2,1.y,1.x,1*8,1.z,1.10,2.x,1,1.11,1,2.x,1.m,1.n,1.r,1,2,1.s,1.d,1.12,1*5,1.t,1.12,2,1.s,1.p,1.13,1.8,1,1.u,1*4,2.14,1*7,1.15,1.14,1*2,1.16,5.14,2.17,1.18,1.19,1.1a,1.1b,1.1c,1.1d,1.1e,1.1f,1.1g,2.1e,1.1h,1.1i,1.1j,1.1k,1.1l,1.1m,1.1n,1.1o,1.1p,1.1q,1.1r,1.1s,1.1t,1.1u,1.1v,1.1w,1.1x,1.1y,1.1z,1.20,1.21,1.22,1.23,1.24,1.25,1.26,1.27,1.1v,1.28,1.29,1.2a,1.2b,1.2c,1*3,2,2.2d,1.20,1,1.2e,1.2f,1,1.2g,1.2e,1,1.1u,1*3,2,2.2e,1,2.27,2.1a,3.1n,1.1d,2x.2h,1,s.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,3.2p,1.2q,1.2r,1.2s,1.2t,1.2u,1.2v,1.2w,1.2r,1.2w,2.2x,1.2y,1.2z,1.30,1.31,1b.32,1.33,1.34,2.35,1.36,1.37,1,1.38,1.39,1.3a,2.3b,1.3c,1.3d,1.3e,1.3f,1.3g,1.3h,1.3i,1.3j,1.3c,1.3k,1.3l,1.3m,1.3n,1.3o,1.3j,1.3p,1.3q,1.3r,1.3s,1.3t,1.3u,1.3v,1,1.3w,1.3x,1.3y,1.3z,1.40,2.41,1,1.42,1.43,2.44,2.3v,2.45,1.46,1.47,1.37,3.46,4.3j,8.3b,1.3v,u.48,1*p,2*2,1*7,1.49,1.48,1*d,2,1*3,i,2.4a,3g.4b,1,9.4c,1.4d,8.4e,2.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,1.4w,1.4x,1.4y,1.4z,1n.50,1*4,6,4.51,1.52,1.53,1.54,2.55,1.56,1.57,1.58,1.59,1.5a,3.5b,1.5c,1.5d,1.5e,1.5f,1.5g,1.5h,1.5i,1.5j,2.5k,1.5l,1.5m,2.5n,1.5o,1.5p,1.5q,1.5r,1.5s,5.5t,1.5u,1.5v,6v.5w,1*4,7.5x,1.5w,1.5x,1,5.5y,1.5z,1.60,1.61,1.62,1.63,1.64,1.65,2.66,1.67,1.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,1.6f,1.6d,1*2,1.6g,1.6h,8.6d,1e.6i,1,1.6j,1*3,3.6i,2.6k,1.6l,1.6m,d.6n,1,2.6o,1,1.6p,1.6q,1.6r,1.6s,1.6t,1.6u,1.6v,1.6w,1.6o,1.6x,1.6y,1.6o,1.6z,1.70,1.71,1.6x,1k.72,1.73,1.74,1.75,1.76,1.77,1.78,2.79,1.7a,1.7b,2.7c,1.7d,5.7e,f.7f,3.7g,2.7h,4.7i,1.7j,2.7k,8.37,1.7l'],
+    AR: ['Pine Bluff|White Hall|Arkansas City|Banks|Crossett|Dermott|Dumas|Eudora|Fountain Hill|Gould|Grady|Hamburg|Hermitage|Jersey|Kingsland|Lake Village|Mc Gehee|Monticello|Montrose|Moscow|New Edinburg|Parkdale|Pickens|Portland|Rison|Rohwer|Star City|Tillar|Warren|Watson|Wilmar|Wilmot|Winchester|Yorktown|Camden|Bearden|Beirne|Bluff City|Calion|Carthage|Chidester|Curtis|El Dorado|Emerson|Fordyce|Gurdon|Hampton|Harrell|Huttig|Ivan|Junction City|Lawson|Louann|Mc Neil|Magnolia|Mount Holly|Norphlet|Smackover|Sparkman|Stephens|Strong|Thornton|Urbana|Waldo|Whelen Springs|Hope|Alleene|Ashdown|Ben Lomond|Blevins|Bradley|Buckner|Cale|Columbus|De Queen|Dierks|Doddridge|Emmet|Foreman|Fouke|Fulton|Garland City|Genoa|Gillham|Horatio|Laneburg|Lewisville|Lockesburg|Mc Caskill|Mineral Springs|Nashville|Ogden|Texarkana|Ozan|Prescott|Rosston|Saratoga|Stamps|Taylor|Washington|Willisville|Wilton|Winthrop|Hot Springs National Park|Hot Springs Village|Alpine|Amity|Antoine|Arkadelphia|Bismarck|Board Camp|Bonnerdale|Caddo Gap|Cove|Delight|Donaldson|Friendship|Glenwood|Grannis|Hatfield|Jessieville|Kirby|Hot Springs|Langley|Mena|Mountain Pine|Mount Ida|Murfreesboro|Newhope|Norman|Oden|Okolona|Pearcy|Pencil Bluff|Royal|Sims|Story|Umpire|Vandervoort|Wickes|Adona|Alexander|Almyra|Altheimer|Amagon|Augusta|Austin|Bald Knob|Bauxite|Beebe|Bee Branch|Beedeville|Benton|Bigelow|Biscoe|Bradford|Brinkley|Bryant|Cabot|Carlisle|Casa|Casscoe|Center Ridge|Choctaw|Clarendon|Cleveland|Clinton|Conway|Cotton Plant|Coy|Crocketts Bluff|Damascus|Des Arc|De Valls Bluff|De Witt|Diaz|Edgemont|El Paso|England|Enola|Ethel|Fox|Garner|College Station|Gillett|Grapevine|Greenbrier|Gregory|Griffithville|Guy|Hattieville|Hazen|Hensley|Hickory Plains|Higden|Higginson|Holly Grove|Houston|Humnoke|Humphrey|Hunter|Jacksonport|Jacksonville|Jefferson|Jerusalem|Judsonia|Kensett|Keo|Leola|Letona|Lonoke|Lonsdale|Fairfield Bay|Little Rock Air Force Base|Mc Crory|Mc Rae|Mabelvale|Malvern|Jones Mill|Mayflower|Menifee|Monroe|Morrilton|Mount Vernon|Newport|Maumelle|North Little Rock|Sherwood|Pangburn|Paron|Patterson|Perry|Perryville|Plumerville|Poyen|Prattsville|Prim|Quitman|Redfield|Reydell|Roe|Roland|Romance|Rose Bud|Russell|Saint Charles|Scotland|Scott|Searcy|Sheridan|Sherrill|Shirley|Solgohachia|Springfield|Stuttgart|Sweet Home|Thida|Tichnor|Traskwood|Tucker|Tupelo|Ulm|Vilonia|Wabbaseka|Ward|West Point|Wilburn|Woodson|Wooster|Wright|Wrightsville|American Greeting Card|N Little Rock|Little Rock|West Memphis|Armorel|Aubrey|Barton|Bassett|Blytheville|Gosnell|Brickeys|Burdette|Caldwell|Cherry Valley|Clarkedale|Colt|Crawfordsville|Crumrod|Driver|Dyess|Earle|Edmondson|Elaine|Forrest City|Frenchmans Bayou|Gilmore|Goodwin|Haynes|Helena|Heth|Hickory Ridge|Hughes|Joiner|Keiser|La Grange|Lambrook|Lepanto|Lexa|Luxora|Madison|Marianna|Marion|Marked Tree|Marvell|Mellwood|Moro|Oneida|Osceola|Palestine|Parkin|Poplar Grove|Proctor|Rivervale|Snow Lake|Turner|Turrell|Tyronza|Vanndale|Wabash|West Helena|West Ridge|Wheatley|Widener|Wilson|Wynne|Jonesboro|Alicia|Bay|Beech Grove|Biggers|Black Oak|Black Rock|Bono|Brookland|Caraway|Cash|Corning|Datto|Delaplaine|Dell|Egypt|Etowah|Fisher|Greenway|Grubbs|Harrisburg|Hoxie|Imboden|Knobel|Lafe|Lake City|Leachville|Walnut Ridge|Lynn|Mc Dougal|Manila|Marmaduke|Maynard|Minturn|Monette|O Kean|Paragould|Peach Orchard|Piggott|Pocahontas|Pollard|Portia|Powhatan|Ravenden|Ravenden Springs|Rector|Reyno|Saint Francis|Sedgwick|Smithville|State University|Strawberry|Success|Swifton|Trumann|Tuckerman|Walcott|Waldenburg|Warm Springs|Weiner|Williford|Batesville|Horseshoe Bend|Ash Flat|Bexar|Brockwell|Calico Rock|Camp|Cave City|Charlotte|Concord|Cord|Cherokee Village|Cushman|Desha|Dolph|Drasco|Elizabeth|Evening Shade|Fifty Six|Floral|Franklin|Gamaliel|Gepp|Glencoe|Guion|Hardy|Heber Springs|Henderson|Ida|Locust Grove|Magness|Mammoth Spring|Marcella|Melbourne|Mountain View|Mount Pleasant|Newark|Oil Trough|Oxford|Pineville|Pleasant Grove|Pleasant Plains|Poughkeepsie|Rosie|Saffell|Sage|Salado|Salem|Sidney|Sturkie|Sulphur Rock|Tumbling Shoals|Viola|Violet Hill|Wideman|Wiseman|Harrison|Alpena|Beaver|Bergman|Berryville|Big Flat|Bull Shoals|Clarkridge|Compton|Cotter|Deer|Dennard|Diamond City|Eureka Springs|Everton|Flippin|Gassville|Gilbert|Green Forest|Harriet|Hasty|Jasper|Lakeview|Lead Hill|Leslie|Marble Falls|Marshall|Midway|Mountain Home|Mount Judea|Timbo|Norfork|Oak Grove|Oakland|Omaha|Onia|Parthenon|Peel|Pindall|Ponca|Pyatt|Saint Joe|Summit|Tilly|Valley Springs|Vendor|Western Grove|Witts Springs|Yellville|Fayetteville|Avoca|Bentonville|Bella Vista|Canehill|Cave Springs|Centerton|Combs|Decatur|Elkins|Elm Springs|Evansville|Farmington|Garfield|Gateway|Gentry|Goshen|Gravette|Greenland|Hindsville|Hiwasse|Huntsville|Johnson|Kingston|Lincoln|Lowell|Maysville|Morrow|Pea Ridge|Pettigrew|Prairie Grove|Rogers|Saint Paul|Siloam Springs|Springdale|Sulphur Springs|Summers|Tontitown|Wesley|West Fork|Witter|Russellville|Alix|Altus|Atkins|Belleville|Blue Mountain|Bluffton|Briggsville|Centerville|Clarksville|Coal Hill|Danville|Dardanelle|Delaware|Dover|Gravelly|Hagarville|Hartman|Harvey|Havana|Hector|Knoxville|Lamar|London|New Blaine|Oark|Ola|Ozone|Paris|Pelsor|Plainview|Pottsville|Rover|Scranton|Subiaco|Fort Smith|Alma|Barling|Boles|Booneville|Branch|Cecil|Cedarville|Charleston|Chester|Dyer|Greenwood|Hackett|Hartford|Huntington|Lavaca|Magazine|Mansfield|Midland|Mountainburg|Mulberry|Natural Dam|Ozark|Parks|Ratcliff|Rudy|Uniontown|Van Buren|Waldron|Winslow',
+         '1j8x.0,1.1,1.0,8,1.1,1.0,h.2,1.3,4.4,3.5,1.6,1.7,2.8,1.9,1.a,2.b,1.c,4.d,1.e,1.f,1.g,1.h,1*2,1.i,1.j,1.k,1.l,1.m,1.n,2.o,1.p,1.q,3.r,1.s,3.t,1.u,1.v,1.w,1.x,n.y,a,9.z,1.10,1.11,2.12,1.13,1.14,2.15,2.16,1,9.17,2.18,1.19,1.1a,1.1b,2.1c,1.1d,1.1e,1.1f,1.1g,1.1h,1.1i,1,4.1j,1.1k,3.1l,1.1m,1.1n,1.1o,1.1p,2.1q,2.1r,2.1s,t.1t,1,i.1u,2.1v,1.1w,2.1x,1.1y,1.1z,1.20,3.21,1.22,1.23,1.24,1.25,1.26,1.27,1.28,1.29,1.2a,1.2b,1.2c,2.2d,1.2e,1.2f,1.2g,4.2h,1.2i,1.2j,1.2k,1.2l,2.2m,1.2n,1.2o,1.2p,1.2q,1.2r,2.2s,1.2t,1.2u,z.2v,1*2,6.2w,1,3.2v,1,6.2x,1.2y,1.2z,1.30,6.31,3.32,1.33,2.34,2.35,3.36,1.37,1.38,1.39,1.3a,1.3b,4.3c,1.3d,1.3e,1.3f,1.3g,3.3h,1.3i,1.3j,1.3k,1.3l,1.3m,1.3n,2.3o,1.3p,1.3m,2.3q,1.3r,1.3s,1.3t,1.3u,1.3v,p.30,1,2.3w,1.3x,1.3y,1.3z,1.40,1.41,1.42,3.43,1.44,1.45,1.46,1.47,1.48,1.49,1.4a,1.48,1,1.4b,1.4c,1.4d,1.4e,1.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,1.4m,1.4n,1*3,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,1.4w,1.4x,1.4y,1.4z,1.50,3.51,1.52,1.53,2.54,2.55,1.56,1.57,1.58,1.59,2.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,1.5h,2.5i,1.5j,1.5k,1.5l,1.5m,2,1.5n,1.5o,1.5p,1.5q,1.5r,1.5s,1.5t,1.5u,1.5v,1.5w,1.4d,a.5x,2.5y,1.5z,1.60,1.61,1.62,1.63,1.64,1.65,2.66,1.67,1.68,1.69,1.6a,1*5,1.6b,1.6c,1.6d,1.6e,1.6a,1.6f,1.6g,1.6h,1.6i,1.6j,1.6k,1.6l,1.6m,1.6n,1.6o,1.6p,1.6q,1.6r,2.6s,1.6t,1.6u,1.6v,1.6w,2,4,1.6x,2.6y,1.6z,3.70,1.71,1.48,2.72,4.73,1.74,1.75,1.76,1.77,1.78,1.79,3.7a,2.7b,1.7c,2.7d,1.7e,1.7f,1.7g,1.7h,1.7i,6.7j,1.6a,8.7k,1.6a,2.7l,1*6,2,1*3,2,1*3,2*2,1*2,2*2,4,o,5,z,6.7m,2,7.7n,1.7o,1.7p,1.7q,2.7r,1,3.7s,1.7t,1.7u,1.7v,2.7w,1.7x,1.7y,1.7z,1.80,1.81,1.82,1.83,1.84,1.85,2.86,1,2.87,1.88,1.89,1.8a,1.8b,4.8c,1.8d,1.8e,2.8f,1.8g,1.8h,1.8i,1.8j,1.8k,3.8l,1.8m,1.8n,4.8o,1.8p,1.8q,1.8r,1.8s,1.8t,1.8u,2.8v,1.8w,1.8x,2.8y,1.8z,2.90,4.91,1.92,2.93,1.94,2.95,1.96,1.97,1.98,2.99,1.9a,1.9b,5.9c,1*3,6.9d,1.9e,1.9f,1.9g,1.9h,1.9i,1.9j,1.9k,2.9l,2.9m,1.9n,2.9o,1.9p,1.9q,1.9r,1.9s,1.9t,1.9u,1.9v,1.9w,1.9x,1.9y,1.9z,1.a0,1.a1,1.a2,1.a3,1.a4,1.a5,1.a6,1.a7,1.a8,1.a9,2.aa,2.ab,1.ac,1,2.ad,1.ae,1.af,1.ag,1.ah,1.ai,1.aj,1.ak,1.al,1.am,2.an,1.ao,1.ap,1.aq,2.ar,1.as,1.at,1.au,1.av,1.aw,1.ax,1.a3,2.ay,1.az,3.b0,j.b1,2,9.b2,1.b3,2.b4,2.b5,2.b6,1.b7,1.b8,1.b9,1.ba,1.bb,1.bc,1.bd,1.be,1.bf,1.bc,1.bg,1.bh,1.bi,1.bj,1.bk,2.bl,1.bm,1.bn,1.bo,1.bp,2.bq,1.br,1.bs,1.br,1.bt,4.bu,3.bv,1.bw,1.bx,1.by,4.bz,1.c0,1.c1,2.c2,1.c3,1.c4,1.c5,1.c6,1.c7,2.c8,1.c9,1.ca,2.cb,1.cc,1.cd,1.ce,1.cf,2.cg,2.ch,1.ci,1.cj,2.ck,e.cl,1,9.cm,2.cn,2.co,1.cp,1.cq,2.cr,4.cs,1.ct,2.cu,2.cv,1.cw,1.cx,1.cy,1,1.cz,1.d0,1.d1,1.d2,2.d3,1.d4,1.d5,1.d6,1.d7,2.d8,1.d9,3.da,2.db,1.dc,2.dd,1,1.de,2.df,1.dg,1,1.dh,1.di,1.dj,1.dk,3.dl,2.dm,1.dn,1.do,2.dp,3.dq,2.dr,2.ds,1.df,2.dt,1.du,2.dv,1.dw,1.dx,e.dy,1*3,7.dz,1.e0,2.e1,1,1.e0,1.e2,1.e3,1.e4,2.e5,1.e6,5.e7,1.e8,1.e9,1.ea,2.eb,1.ec,1.ed,1.ee,1.ef,1.eg,1.eh,1.ei,1.ej,1.ek,1.el,2.em,1.en,2.eo,2.ep,2.eq,1.er,1.es,3.et,1*2,2.eu,1.ev,1.ew,2,1*2,2.ex,1.ey,1.ez,3.f0,1.f1,2.f2,p.f3,1,9,1,8.f4,1.f5,2.f6,1.f7,2.f8,1.f9,1.fa,1.fb,1.fc,2.fd,1.fe,1.ff,1.fg,2.fh,1.fi,1.fj,1.fk,1.fl,1.fm,1.fn,2.fo,1.fp,1.fq,4.fr,1.fs,1.ft,1.fu,1.fv,1.fw,1.fx,1.fy,2.fz,3.g0,2.g1,10.g2,1*5,2,5,1,2,1*3,2.g3,2.g4,3.g5,1.g6,1.g7,2.g8,2.g9,1.ga,1.gb,1.gc,1.gd,1.ge,1.gf,2.gg,1.gh,2.gi,1.gj,1.gk,1.gl,1.gm,1.gn,1.go,1.gp,1.gq,1.gr,3.gs,1.gt,1,1.gu,1.gv'],
+    CA: ['Los Angeles|West Hollywood|Dodgertown|Playa Vista|Brylane|Bell Gardens|Bell|Beverly Hills|Compton|Culver City|Downey|El Segundo|Gardena|Hawthorne|Hermosa Beach|Huntington Park|Lawndale|Lynwood|Malibu|Manhattan Beach|Maywood|Pacific Palisades|Palos Verdes Peninsula|Rancho Palos Verdes|Redondo Beach|South Gate|Topanga|Venice|Marina Del Rey|Playa Del Rey|Inglewood|General Telephone|Santa Monica|Torrance|Whittier|Buena Park|La Palma|Cypress|La Habra|La Mirada|Montebello|Norwalk|Pico Rivera|Santa Fe Springs|Stanton|Artesia|Cerritos|Avalon|Bellflower|Harbor City|Lakewood|Hawaiian Gardens|Lomita|Los Alamitos|Paramount|San Pedro|Seal Beach|Sunset Beach|Surfside|Wilmington|Carson|Signal Hill|Long Beach|Buffums|Far|Altadena|Arcadia|Duarte|La Canada Flintridge|Monrovia|Montrose|Mount Wilson|Sierra Madre|South Pasadena|Sunland|Tujunga|Verdugo City|Pasadena|San Marino|World Vision International|Glendale|La Crescenta|Agoura Hills|Calabasas|Canoga Park|Winnetka|West Hills|Castaic|Chatsworth|Encino|Newbury Park|Newhall|Northridge|Porter Ranch|Pacoima|Reseda|San Fernando|Sylmar|North Hills|Granada Hills|Mission Hills|Santa Clarita|Canyon Country|Sun Valley|Valencia|Tarzana|Thousand Oaks|Westlake Village|Woodland Hills|Oak Park|Stevenson Ranch|Pacific Tel|Lockheed Corp|Van Nuys|Panorama City|Sherman Oaks|Southern California Gas Comp|Burbank|North Hollywood|Studio City|Valley Village|Universal City|Toluca Lake|Rancho Cucamonga|Azusa|Baldwin Park|Chino|Chino Hills|Claremont|City Of Industry|Covina|El Monte|South El Monte|Glendora|Guasti|La Puente|Hacienda Heights|Rowland Heights|La Verne|Mira Loma|Monterey Park|Ontario|Mt Baldy|Montclair|Diamond Bar|Pomona|Rosemead|San Dimas|San Gabriel|Temple City|Upland|Walnut|West Covina|Focus On The Family|Alhambra|Alpine|Bonita|Boulevard|Campo|Chula Vista|Descanso|Dulzura|Guatay|Imperial Beach|Jacumba|Jamul|La Mesa|Lemon Grove|Lincoln Acres|Mount Laguna|National City|Pine Valley|Potrero|Spring Valley|Tecate|Bonsall|Borrego Springs|Cardiff By The Sea|Carlsbad|Del Mar|El Cajon|Encinitas|Escondido|Fallbrook|Julian|La Jolla|Lakeside|Oceanside|Camp Pendleton|Pala|Palomar Mountain|Pauma Valley|Poway|Ramona|Ranchita|Rancho Santa Fe|San Luis Rey|San Marcos|Santa Ysabel|Santee|Solana Beach|Vista|Valley Center|Warner Springs|San Diego|Coronado|San Ysidro|Indio|Indian Wells|Palm Desert|Banning|Bard|Beaumont|Blythe|Brawley|Cabazon|Calexico|Calipatria|Cathedral City|Coachella|Desert Center|Desert Hot Springs|Earp|El Centro|La Quinta|Heber|Holtville|Imperial|Joshua Tree|Mecca|Morongo Valley|Niland|North Palm Springs|Ocotillo|Palm Springs|Palo Verde|Parker Dam|Pioneertown|Rancho Mirage|Seeley|Thermal|Salton City|Thousand Palms|Twentynine Palms|Vidal|Westmorland|Whitewater|Winterhaven|Yucca Valley|Landers|Adelanto|Amboy|Angelus Oaks|Apple Valley|Baker|Fort Irwin|Barstow|Grand Terrace|Big Bear City|Big Bear Lake|Bloomington|Blue Jay|Bryn Mawr|Calimesa|Cedar Glen|Cedarpines Park|Cima|Colton|Crestline|Crest Park|Daggett|Death Valley|Phelan|Fontana|Essex|Fawnskin|Ludlow|Forest Falls|Hesperia|Green Valley Lake|Helendale|Highland|Hinkley|Loma Linda|Lake Arrowhead|Lucerne Valley|Lytle Creek|Mentone|Needles|Nipton|Newberry Springs|Mountain Pass|Oro Grande|Patton|Pinon Hills|Redlands|Rialto|Rimforest|Running Springs|Shoshone|Skyforest|Sugarloaf|Tecopa|Twin Peaks|Victorville|Wrightwood|Yermo|Yucaipa|San Bernardino|Riverside|March Air Reserve Base|Lake Elsinore|Aguanga|Anza|Hemet|Homeland|Idyllwild|Moreno Valley|Mountain Center|Murrieta|Nuevo|Perris|San Jacinto|Menifee|Sun City|Temecula|Wildomar|Winchester|Irvine|Huntington Beach|Laguna Niguel|El Toro|Foothill Ranch|Capistrano Beach|Corona Del Mar|Costa Mesa|Dana Point|Lake Forest|Laguna Woods|East Irvine|Laguna Beach|Laguna Hills|Midway City|Aliso Viejo|Newport Coast|Newport Beach|San Clemente|San Juan Capistrano|Silverado|Trabuco Canyon|Westminster|Rancho Santa Margarita|Mission Viejo|Ladera Ranch|Santa Ana|Fountain Valley|El Toro Marine Corps Air Sta|Tustin|Anaheim|Atwood|Brea|Fullerton|Garden Grove|Orange|Norco|Villa Park|Placentia|Corona|Yorba Linda|Ventura|Camarillo|Carpinteria|Fillmore|Moorpark|Oak View|Ojai|Oxnard|Piru|Port Hueneme|Point Mugu Nawc|Port Hueneme Cbc Base|Santa Paula|Simi Valley|Brandeis|Somis|Summerland|Santa Barbara|Goleta|Alpaugh|Armona|Arvin|Avenal|Bodfish|Buttonwillow|California Hot Springs|Camp Nelson|Coalinga|Corcoran|Delano|Ducor|Earlimart|Edison|Exeter|Pine Mountain Club|Farmersville|Fellows|Frazier Park|Glennville|Goshen|Hanford|Huron|Ivanhoe|Kaweah|Kernville|Kettleman City|Lake Isabella|Lamont|Laton|Lebec|Lemon Cove|Lemoore|Lindsay|Lost Hills|Mc Farland|Mc Kittrick|Maricopa|New Cuyama|Onyx|Pixley|Porterville|Posey|Richgrove|Sequoia National Park|Shafter|Springville|Stratford|Strathmore|Taft|Terra Bella|Three Rivers|Tipton|Tulare|Tupman|Visalia|Wasco|Waukena|Weldon|Wofford Heights|Woodlake|Woody|Bakersfield|San Luis Obispo|Los Osos|Arroyo Grande|Atascadero|Avila Beach|Bradley|Buellton|Cambria|Casmalia|Cayucos|Creston|Grover Beach|Guadalupe|Harmony|Lompoc|Los Alamos|Los Olivos|Morro Bay|Nipomo|Oceano|Paso Robles|Pismo Beach|San Ardo|San Miguel|San Simeon|Santa Margarita|Santa Maria|Santa Ynez|Shandon|Solvang|Templeton|Mojave|California City|Acton|Benton|Big Pine|Bishop|Boron|Bridgeport|Caliente|Cantil|Darwin|Edwards|Independence|Inyokern|Johannesburg|June Lake|Keeler|Keene|Lake Hughes|Lancaster|Lee Vining|Little Lake|Littlerock|Llano|Lone Pine|Mammoth Lakes|Olancha|Palmdale|Pearblossom|Randsburg|Ridgecrest|Red Mountain|Rosamond|Tehachapi|Trona|Valyermo|Ahwahnee|Auberry|Badger|Bass Lake|Big Creek|Biola|Burrel|Cantua Creek|Caruthers|Chowchilla|Clovis|Coarsegold|Cutler|Del Rey|Dinuba|Dos Palos|Dunlap|Firebaugh|Fish Camp|Five Points|Fowler|Friant|Helm|Hume|Kerman|Kingsburg|Kings Canyon National Pk|Lakeshore|Los Banos|Madera|Mendota|Miramonte|Mono Hot Springs|North Fork|Oakhurst|O Neals|Orange Cove|Orosi|Parlier|Piedra|Fresno|Prather|Raisin City|Raymond|Reedley|Riverdale|Sanger|San Joaquin|Santa Rita Park|Selma|Shaver Lake|South Dos Palos|Sultana|Tollhouse|Tranquillity|Wishon|Yettem|Traver|Squaw Valley|Gottschalks|Liberty Mutual|Salinas|Big Sur|Carmel By The Sea|Carmel|Carmel Valley|Chualar|Gonzales|Greenfield|Jolon|King City|Lockwood|Marina|Monterey|Pacific Grove|Pebble Beach|San Lucas|Seaside|Soledad|Spreckels|Belmont|Brisbane|Burlingame|Sf International Service Ctr|Daly City|El Granada|Half Moon Bay|La Honda|Loma Mar|Los Altos|Menlo Park|Atherton|Portola Valley|Millbrae|Mountain View|Montara|Moss Beach|Pacifica|Pescadero|Redwood City|San Bruno|San Carlos|San Gregorio|South San Francisco|Sunnyvale|San Francisco|Firm Holdouts|Express Mail Reporting Syste|Wells Fargo Bank|Macys Of California|Pacific Area Office|Sacramento|Palo Alto|Stanford|San Mateo|Alameda|American Canyon|Discovery Bay|Danville|Alamo|Angwin|Antioch|Benicia|Bethel Island|Birds Landing|Brentwood|Byron|Calistoga|Canyon|Clayton|Concord|Pleasant Hill|Crockett|Diablo|El Cerrito|Fairfield|Travis Afb|Fremont|Hayward|Castro Valley|Hercules|Knightsen|Lafayette|Livermore|Martinez|Moraga|Napa|Newark|Oakley|Oakville|Orinda|Pinole|Pittsburg|Pleasanton|Pope Valley|Dublin|Port Costa|Rio Vista|Rodeo|Rutherford|Saint Helena|Deer Park|San Leandro|San Lorenzo|San Ramon|Suisun City|Sunol|Union City|Vallejo|Walnut Creek|Yountville|Oakland|Emeryville|Piedmont|Naval Supply Center|Berkeley|Albany|Richmond|El Sobrante|San Pablo|San Rafael|Greenbrae|Kentfield|Belvedere Tiburon|Bodega|Bodega Bay|Bolinas|Corte Madera|Rohnert Park|Dillon Beach|Fairfax|Cotati|Forest Knolls|Inverness|Lagunitas|Larkspur|Marshall|Mill Valley|Novato|Nicasio|Olema|Penngrove|Petaluma|Point Reyes Station|Ross|San Anselmo|San Geronimo|San Quentin|Sausalito|Stinson Beach|Tomales|Valley Ford|Woodacre|Aptos|Alviso|Aromas|Ben Lomond|Boulder Creek|Brookdale|Campbell|Capitola|Castroville|Coyote|Cupertino|Davenport|Felton|Freedom|Gilroy|Hollister|Holy City|Los Gatos|Milpitas|Morgan Hill|Moss Landing|Mount Hermon|New Almaden|Paicines|Redwood Estates|San Juan Bautista|San Martin|Santa Clara|Santa Cruz|Scotts Valley|Saratoga|Soquel|Tres Pinos|Watsonville|San Jose|Mount Hamilton|Stockton|Acampo|Altaville|Angels Camp|Arnold|Avery|Burson|Campo Seco|Clements|Copperopolis|Douglas Flat|Farmington|French Camp|Glencoe|Hathaway Pines|Holt|Linden|Lockeford|Lodi|Mokelumne Hill|Mountain Ranch|Murphys|Rail Road Flat|San Andreas|Vallecito|Valley Springs|Victor|Wallace|West Point|Wilseyville|Woodbridge|Atwater|Ballico|Tracy|Big Oak Flat|Catheys Valley|Ceres|Chinese Camp|Columbia|Coulterville|Cressey|Crows Landing|Dardanelle|Delhi|Denair|El Nido|El Portal|Empire|Escalon|Groveland|Gustine|Hickman|Hilmar|Hornitos|Hughson|Jamestown|Keyes|La Grange|Lathrop|Le Grand|Livingston|Long Barn|Manteca|Mariposa|Merced|Midpines|Mi Wuk Village|Moccasin|Modesto|Newman|Oakdale|Patterson|Pinecrest|Planada|Ripon|Riverbank|Salida|Snelling|Sonora|Soulsbyville|Standard|Stevinson|Strawberry|Tuolumne|Turlock|Twain Harte|Vernalis|Waterford|Westley|Winton|Yosemite National Park|Santa Rosa|Albion|Annapolis|Boonville|Boyes Hot Springs|Branscomb|Calpella|Camp Meeker|Caspar|Cazadero|Clearlake|Clearlake Oaks|Clearlake Park|Cloverdale|Cobb|Comptche|Covelo|Dos Rios|Duncans Mills|Eldridge|Elk|El Verano|Finley|Forestville|Fort Bragg|Fulton|Geyserville|Glen Ellen|Glenhaven|Graton|Gualala|Guerneville|Healdsburg|Hopland|Jenner|Kelseyville|Kenwood|Lakeport|Laytonville|Little River|Lower Lake|Lucerne|Manchester|Mendocino|Middletown|Monte Rio|Navarro|Nice|Occidental|Philo|Hidden Valley Lake|Point Arena|Potter Valley|Redwood Valley|Rio Nido|Sebastopol|Sonoma|Stewarts Point|Talmage|Ukiah|Upper Lake|Villa Grande|Vineburg|Westport|Willits|Windsor|Witter Springs|Yorkville|The Sea Ranch|Eureka|Alderpoint|Blocksburg|Arcata|Mckinleyville|Bayside|Blue Lake|Bridgeville|Burnt Ranch|Carlotta|Crescent City|Cutten|Ferndale|Fields Landing|Fort Dick|Fortuna|Garberville|Gasquet|Honeydew|Hoopa|Hydesville|Klamath|Kneeland|Korbel|Loleta|Mad River|Miranda|Myers Flat|Orick|Orleans|Petrolia|Phillipsville|Redway|Rio Dell|Salyer|Samoa|Scotia|Smith River|Somes Bar|Redcrest|Trinidad|Weott|Willow Creek|Leggett|Piercy|Whitethorn|Zenia|Amador City|Auburn|West Sacramento|Brooks|Capay|Carmichael|Citrus Heights|Clarksburg|Coloma|Cool|Courtland|Davis|Diamond Springs|Dixon|El Dorado|Elk Grove|Elmira|Elverta|Esparto|Fair Oaks|Fiddletown|Folsom|Foresthill|Galt|Garden Valley|Georgetown|Greenwood|Grizzly Flats|Guinda|Herald|Hood|Ione|Isleton|Jackson|Kit Carson|Knights Landing|Kirkwood|Lincoln|Loomis|Lotus|Mcclellan|Madison|Martell|Mather|Mount Aukum|Newcastle|Nicolaus|North Highlands|Roseville|Orangevale|Penryn|Pilot Hill|Pine Grove|Pioneer|Placerville|Pleasant Grove|Plymouth|Rancho Cordova|Represa|Rescue|Rio Linda|Rio Oso|River Pines|Robbins|Rocklin|Rumsey|Ryde|Sheridan|Shingle Springs|Sloughhouse|Somerset|Sutter Creek|Thornton|Vacaville|Volcano|Walnut Grove|Wheatland|Wilton|Winters|Woodland|Yolo|Zamora|Drytown|Alta|Applegate|Camino|Chicago Park|Colfax|Dutch Flat|Emigrant Gap|Gold Run|Kyburz|Echo Lake|Meadow Vista|Norden|Pollock Pines|Soda Springs|Twin Bridges|Weimar|Granite Bay|El Dorado Hills|Antelope|Marysville|Beale Afb|Alleghany|Arbuckle|Artois|Bangor|Belden|Berry Creek|Biggs|Browns Valley|Brownsville|Butte City|Camptonville|Canyon Dam|Cedar Ridge|Challenge|Chico|Clipper Mills|Colusa|Crescent Mills|Dobbins|Downieville|Dunnigan|Durham|Elk Creek|Feather Falls|Forbestown|Forest Ranch|Glenn|Goodyears Bar|Grass Valley|Penn Valley|Greenville|Gridley|Grimes|Hamilton City|Live Oak|Magalia|Maxwell|Meadow Valley|Meridian|Nelson|Nevada City|North San Juan|Olivehurst|Oregon House|Orland|Oroville|Paradise|Palermo|Princeton|Quincy|Rackerby|Richvale|Rough And Ready|Smartsville|Stirling City|Stonyford|Storrie|Strawberry Valley|Sutter|Taylorsville|Twain|Washington|Williams|Willows|Yuba City|Redding|Adin|Anderson|Bella Vista|Bieber|Big Bar|Big Bend|Burney|Callahan|Canby|Cassel|Castella|Shasta Lake|Chester|Corning|Cottonwood|Dorris|Douglas City|Dunsmuir|Etna|Fall River Mills|Flournoy|Forks Of Salmon|Fort Jones|French Gulch|Gazelle|Gerber|Greenview|Grenada|Happy Camp|Hat Creek|Hayfork|Hornbrook|Hyampom|Igo|Junction City|Klamath River|Lakehead|Lewiston|Lookout|Los Molinos|Mcarthur|Mccloud|Macdoel|Manton|Mill Creek|Millville|Mineral|Montague|Montgomery Creek|Mount Shasta|Nubieber|Oak Run|Obrien|Old Station|Palo Cedro|Paskenta|Paynes Creek|Platina|Proberta|Red Bluff|Round Mountain|Scott Bar|Seiad Valley|Shasta|Shingletown|Tehama|Trinity Center|Vina|Weaverville|Weed|Whiskeytown|Whitmore|Yreka|Alturas|Blairsden Graeagle|Cedarville|Chilcoot|Clio|Coleville|Davis Creek|Doyle|Eagleville|Floriston|Fort Bidwell|Herlong|Janesville|Lake City|Likely|Litchfield|Loyalton|Madeline|Markleeville|Milford|Portola|Ravendale|Calpine|Sierra City|Sierraville|Susanville|Standish|Beckwourth|Termo|Topaz|Tulelake|Vinton|Wendel|Westwood|Carnelian Bay|Homewood|Tahoma|Kings Beach|Tahoe City|Olympic Valley|Tahoe Vista|South Lake Tahoe|Truckee',
+         '1xg1.0,1*1v,1.1,1.0,1*e,2,1*3,1.2,1.0,2,1.3,1.0,1,3,2,1.4,1.0,2e,c.5,1.6,7.7,1*4,7.8,1*4,6.9,1*3,6.a,1*3,3.b,2.c,1*2,1.d,1,3.e,1.f,5.g,1,1.h,1.i,1*2,1.j,1,3.k,2.l,2.m,1.n,2.o,1,2.p,a.q,1.r,1.s,1.t,1.r,1.s,1.t,5.u,1*b,1.v,2c.u,1,3.w,1*a,2i.x,1*9,2j.y,1*9,2,8.z,1*2,1.10,1.z,6.11,1.12,1*2,4.13,1*2,1.14,a.15,1*2,7,1.16,1*2,8.17,1,9.18,l.19,1,1.1a,1.1b,2.1c,1,3.1d,1.1e,1*4,1.1f,1.1g,3.1h,1,2.1i,8.1j,1*3,6.1k,2.1l,1.1m,1.1n,1.1o,1*2,1.1n,1.1o,6.1p,1a.1q,1*9,3,1*2,7,9,1*4,5,2*2,1.1r,1.1q,1*2,5,z.1s,7.1o,4.1q,2u.1t,2,3.1u,1,1.1v,1*2,1.1w,1,4.1x,1,3.1y,1,2.1z,1.20,1,5.21,1,9.22,1,1.23,1,3.24,k.1u,b,o.25,1*6,1.26,1.25,1,4,1*3,1.26,3.25,2,1*3,3,2.27,1f.25,2,1,3,1,2,8,2.28,1*9,4.29,7.28,1,2.29,1.28,1,23.2a,1.2b,1.2c,1*2,1.2d,1.2e,1,1.2c,1.2f,1.2g,2,3.2h,3.2i,1,1.2j,1,2.2k,1,1.2l,1.2k,1*3,1.2m,2,1,1.2n,2,3.2o,1,1.2p,1.2q,1.2r,1.2s,1,4.2t,1.2u,1.2v,1,1.2w,1,1.2x,1,1.2y,1.2z,1.2y,1.2z,1.2y,1,1.30,1,2,4,1.2b,4.2a,1.31,3.2t,1.32,1.2t,1,1.2f,1.2w,1.2u,1,1.33,2.2t,2.2p,1.2q,1.2r,1.2s,1.2d,3.34,2.35,1.36,1.37,1.35,1*7,1.36,1.37,3.2h,7.37,3.2h,a,y.35,c,d.37,1.35,1.38,2.35,2.39,1*7,2,b,1*2,3,23.3a,1*2,1.3b,1.3a,1,1.3c,1.3d,1.3a,1.3e,1.3a,1,2.3b,1.3a,1,1.3c,1.3a,2b.3f,1.3g,4.3h,2.3i,1.3j,1.3i,1.3k,3.3l,1*2,6.3m,1*2,5.3f,1,1.3n,1,1.3o,1.3n,1,2.3f,2,1.3p,1,2.3q,1.3r,1.3s,1.3r,1,1.3t,1.3r,1.3u,2.3v,2.3w,1*2,2.3x,1.3y,2.3x,1,1.3z,1.3x,1.40,1.41,1*3,1.42,1*2,1.43,2.44,1,2,2.45,4.46,1*2,2.47,1,1.48,1*3,2.47,2.41,1.3x,1.49,2.4a,1*3,11,1j,3,2.4b,1.4c,1.4b,2.4d,1.4e,2.4c,1.4f,1*6,1.4g,1.4h,4.4f,a.4i,1.4j,1,1.4k,1.4l,6.4m,1*3,1.4n,1,1.4o,1.4p,2.4q,1,b.4r,1.4s,d.4t,1*3,1.4u,7,3.4s,d.4v,1.4w,3.4x,1.4y,1*3,2,1.4z,4.4y,1.50,1*3,1.51,1,1.52,1*2,1.53,1.52,1,3,3.54,1.55,1*2,1.56,6.52,3.57,2,1,2,1.58,1.57,1*2,1.59,1.5a,1.5b,3.5c,1.5d,1.5e,1.5f,1.5g,1.5h,1.5i,1.5j,1,2.5c,1.5k,3.5h,1,2.5l,1.5m,1.5l,1*2,1.5n,2.53,2.50,1.5f,1.55,1,3.5h,5.5o,1*g,1.5p,1.5o,1*5,2,1*e,2,1.5q,2.5o,2*2,1,2,1*3,3,1*e,1.5q,1.5o,1*3,1.5p,1.5o,3,2*2,1,3,1*9,2.5r,1*2,7.5s,1.5t,9.5u,2.5v,1.5w,2.5x,1,1.5y,3.5z,1.60,1,1.61,1.62,1,1.63,3.64,1.65,1,1.66,1.67,1,3.68,1,1.69,1.6a,1.6b,1.6c,1.68,1.6d,1.5t,1.6e,1.6f,1.6g,1.6h,1.5t,1,1.6i,1*2,2.6j,1.6k,1.6l,2.6m,3.6n,1.6o,1.6p,1.6q,1.6r,1,2.6s,1.6t,1.6u,1.6v,1.6w,1.6x,1.6w,6.6i,9.6y,3.6z,1.70,2.71,1,1.72,1.73,1.74,1,1.75,1.76,1.77,1.78,1.79,1.7a,2.7b,1.7c,1.7d,1.7e,1.7f,1.7g,1.7h,1.7i,1.7j,1.7k,2.7l,1.7m,1.7n,1.7l,1*3,1.7o,1.7p,1.7q,1.7r,1.7s,2.7q,1,1.7t,1.7u,3.7v,2.7w,2.7v,2.7x,1.7v,1.7y,1.7z,4.80,1.81,1.82,1.83,2.84,1.85,2.7k,1.86,1.87,1*2,1.88,1,1.89,4.8a,2.8b,1.8c,1.8d,3.8e,2.8f,1.8g,1*3,2.8h,1.8i,1.8j,2.8k,1*7,2,1*5,3,5,1,3,22.8l,1*8,4,1*4,1.8m,1.8l,2,1,8.8n,1*2,4.8o,3.8p,4.8q,1*3,2.8r,1.8s,2.8t,1*6,4.8u,1.8v,1*2,3.8w,3.8x,1*2,9.8y,1*2,1.8z,1.90,1*2,2.91,1*4,2.92,1.93,3.8x,3.94,1*2,1.95,1.94,1.96,2.97,1.98,2.94,2,1.95,1.94,1*4,3,1.99,1.9a,1.9b,1*2,1.9c,1.9d,7.9e,9.95,1*3,1.9f,1.9g,1,1.9h,1,1.9i,1.9j,1.9k,1.9l,1*5,9.9m,1*2,1.9n,1.9o,1.96,1.9p,1,4.9q,1*2,3.9r,2.9s,1*2,1.9n,1.9t,3.94,1.9j,3.9u,1*6,1.9v,1.9w,1.94,1.9u,1,d,3.9v,7.9u,19.9x,1*2,h.9u,2.9y,1*8,2.9z,1.9y,2,1*3,4.a0,1*2,2.9y,6.a1,1*7,2.a2,1*6,4.9y,6.a3,1,2,1.a4,1.a5,1.a3,1*7,1.a6,1,6.a7,1*6,2.a8,1*2,c.9y,2u.a9,1*6,2,1.aa,1*2,1.ab,1,1.ac,1,4.ad,1,1.ae,1.af,1,6.ag,1*6,4.ah,1.ai,1.aj,1.ak,1.ai,g.al,1,1.am,1,1.an,1.am,1.ao,1.ap,q.am,1,5,2.aq,1*2,2,1*6,5.ar,1*2,2.aq,1,9,a*3,u,9.ar,2.as,1.at,1.au,1.av,1.aw,1.ax,1.ay,1.az,2.b0,2.b1,3.b2,1,2.b3,1.b4,1.b5,1.b6,1.b7,1.b8,1.b9,1.ba,1.bb,1.bc,3.bd,2,2.be,1.bf,2.bg,1.bh,1.bi,1.bj,1.bk,1.bl,1.bm,1.bn,1.bo,1,1.bp,2.bq,1.br,1.bs,1.bt,2.bu,1.bv,1.bw,1.bx,1,2.by,1.bz,1.c0,1.c1,2.c2,1.c3,1.c4,1.c5,2.c6,1.c7,1.c8,2.c9,1,1.ca,1.cb,1*2,1.cc,2.cd,1.ce,2.cf,1.cg,1.ch,3.cb,1*2,9.ci,1*8,2,1*3,1u,1*a,b.cj,1.ck,1.cj,2,1*5,2.ck,8.cl,1,1.cm,1,1.cn,2.co,1.cp,1.cq,1.cr,1.cs,2.ct,1.cu,1.cv,1.cw,1.cx,1*2,2.cy,1.cz,1.d0,1,1.d1,1.d2,1.d3,1,1.d4,1,1.d5,1.d6,1.d7,1.d8,1.d9,1*4,2.da,1.db,2.dc,1,1.dd,a.d2,8.cu,i.de,1,2.df,1,5.dg,2.dh,1.di,1.dj,1,1.dk,1.dl,1.dm,1.dn,3.do,1.dp,1,2.dq,1.dr,1.ds,1.dt,1.du,1.dv,1.dw,2.dx,1*2,3,2.dy,1.dz,1.e0,1.e1,1.e2,1.e3,3.e4,1.e5,1*2,1.e6,1.e7,1.e8,1,2.e9,2.ea,1.eb,1.ec,1.ed,i.eb,3.dx,2,4.e5,1,1.ec,4.dk,3.e5,2.ee,1.ef,1.eg,1.eh,1.ei,1.ej,1.ek,1.el,1.em,1.en,1.eo,1*2,1.ep,1.eq,1.er,2.es,1.eo,1.et,1.eu,1.ev,1.ew,1.ex,1.ey,1.ez,1.f0,1.f1,2.f2,1.f3,2.f4,1.f5,1.f6,1.f7,1*3,1.f8,1.f9,1.fa,1.fb,1.fc,1.fd,1.fe,1.ff,1.fg,1.fh,1.fi,1.fj,1.fk,1.fl,1.fm,2.fn,1.fo,3.fp,1.fq,1.fr,2.fs,1.ft,1.fu,1.fv,1.fw,1.fx,1.fy,3.fz,2.g0,q.fi,1*b,2,1*4,2,1*a,7,3,1,3,1,2,3,5*2,1,3,1,6,1*8,1.g1,4.g2,2.fi,4,1*4,1e,18,d.g3,1,3,1*3,4,3,5.g4,1.g5,1.g6,1,1.g7,1.g8,1.g9,1.ga,1.gb,2.gc,2.gd,1.ge,7.gf,2,1*2,6.gg,3.gh,1.gi,1.gj,5.gk,2.gl,14.gm,3.gn,5.go,1,2.gp,1.gq,1*3,1.gr,1.gs,1.gt,1.gu,1.gv,1*2,1.gw,1,1.gx,1.gy,2.gz,5.h0,2.h1,1.h2,1.h0,1*4,1.h3,g.h4,1.h5,1*4,1.h6,4.h7,4.h8,6.h9,3,2.ha,1*4,c.hb,1*4,1.hc,1.hb,1*5,2,1*k,1.hd,1.hb,1,1.he,1.hb,1*8,3,1,2,1,1.hf,1.hb,2,1*6,7,1,3,2,b,b.hg,4.hh,1*6,2,i,1,2*2,1*3,2,1,4,1*6,2*3,1*3,2,1*2,4,1*2,2*2,1,3,1*3,2,1*9,2,1*6,2.hi,1*3,1.hj,1.hi,3,2k.hk,1*3,2l,4.hl,1,1.hm,2.hn,1.ho,1.hp,1.hq,1.hr,1.hs,1.ht,1.hu,1.hv,1.hw,1.hx,1.hy,1.hz,1.i0,1*4,1.i1,1.i0,1.i2,1.ho,1.i0,1.i3,1.i0,1.i4,1.hr,2.i5,1,1.i6,1.i7,1*3,1.i8,1*5,1.i9,1.ia,1.ib,1.ic,1.id,1,1.i9,1.ie,2.i7,1.if,1.i8,1.ig,1,1.ih,1.ii,1.ij,1.ik,1.il,1.im,1.in,1.io,1.ip,1.iq,1.if,1.ir,1.is,1.it,1.iu,1.if,1.iv,1.iw,1*2,1.ix,1.ig,1.iy,1,2.iz,1.j0,1.j1,1.in,1.j2,1*3,3.j3,1*3,1.j4,2.j5,1*6,1.j6,1.j5,1*6,2,1*2,1.j7,1.j5,1*3,1.j8,o.j5,a,1*2,1.j6,4.j5,z.j9,1*4,1.ja,1.j9,1*3,2,8,29.jb,1,1.jc,1.jb,1,1.jd,1.jb,1,c.jc,u.jb,1f.je,2,1.jf,8.je,1,1.jg,1.je,5.jh,2.ji,1.jj,1.jk,1.jl,1.jm,1*2,1.jn,1.jo,1.jp,2.jq,4.jr,1.js,1.jt,1.ju,1.jv,1,3.jw,1.jx,1.jw,1*2,1.jy,1.jz,1.k0,1*3,1.k1,1.k2,3.k3,3.k4,1.k5,1.k6,1,4.k7,1.k8,1.k9,1.ka,1.k5,1.k0,1.jl,1.jt,1.jo,1.k3,j.jw,1.k0,2.kb,1.kc,1.kb,1.kd,1.ke,1.kf,1.kg,1.kh,1,1.ki,1.kh,1.kj,1.kk,1.kl,1,2.km,1.kn,1.ko,1.kp,1,2.kq,1,2.kr,4.ks,1*3,2.kt,1,1.ku,1,1.kv,2.kw,1.kx,1.ky,1.kz,1.l0,1.l1,4.l2,1*6,4.l3,1*5,1.l4,1,3.l5,1,2.l6,2.l7,1.l8,1,o.l9,2,3,2,1*5,2,1*l,2,1,1.la,1.l9,7,2,1*b,3,6,2,1,h,1*4,2,5.lb,1*e,4,1.lc,1.ld,1.le,1.lf,1.lg,1.lh,1.li,1.lj,1.lk,1.ll,1.lm,1.ln,1.lo,1.lp,1.lq,2.lr,1.ls,3.lt,1*2,3.lu,1.lv,1.lw,1.lx,1.ly,1,1.lz,1.m0,1.m1,1.m2,1.m3,2.m4,1.m5,9.lb,2,r,1,4.m6,2.m7,1.m8,1.m9,1.ma,1.mb,2.mc,1.md,1.me,1.mf,1.mg,1.mh,1.mi,1.mj,1.mk,1.ml,1.mm,1.mn,1.mo,1.mp,1.mq,1.mr,1.ms,1.mt,1.mu,1.mv,1.mw,1.mx,3.my,1.mz,1.n0,1.n1,1,1.n2,2.n3,1,2,1,1.n4,1.n5,1.n6,1.n3,2.n7,1*8,2.n8,1.n9,2.na,1.nb,1.nc,1.nd,1.ne,1.nf,1.ng,1.nh,2.ni,1.nj,1.nk,1.nl,1.m8,1*2,1.nm,1.nn,1*2,1.no,2.np,1.nq,1.nr,1.ns,1.nt,2.m8,6.n7,4.nu,1*6,2,1.nv,2.nw,3.nx,1.ny,1.nz,1.o0,1.o1,1.o2,1.o3,1.o4,1.o5,1.o6,1.o7,1.o8,1.o9,1.oa,1.ob,1.oc,1.od,1.oe,1.of,2.og,1.oh,1.oi,2.oj,2.ok,1.ol,1.om,1.on,1.oo,1.op,2.oq,1.or,1.os,1.ot,1.ou,1.ov,1.ow,2.ox,1.oy,1.oz,1.p0,1.p1,1.p2,1.p3,1.p4,1.p5,1.p6,1.p7,1.p8,1.p9,1.pa,1.pb,1.pc,1.pd,1,3.pe,4.pf,1.pg,1.ph,3.pi,1.pj,1.pk,1.pl,2.pm,2.pn,1.po,1.pp,3.pq,4.pr,1*2,8.ps,3.pt,4.pu,1.pv,2.pu,3.pw,1.px,1.py,1.pz,1.q0,3.q1,1,2.q2,2.q3,1.q4,1.q5,2.q6,2.q7,1.q8,2.q9,1.qa,1.qb,1.qc,1.qd,1.qe,1.qf,1.qg,1.qh,1.qi,1.qj,1.qk,2.ql,1.qm,1.qn,2.qo,1.qp,1.qq,1.qr,2.qs,1.qt,1.qu,1.qv,1.qw,2.qx,c.qy,2.qz,2.r0,6.r1,6.r2,1.r3,1*2,1.r4,1.r5,1.r6,1.r7,1,1.r8,1,1.r9,1.ra,1.rb,1.rc,1.rd,1*2,1.re,1.rf,1.r8,2.rg,1.rh,1.ri,1.rj,1.rk,1.rl,1.rm,1.rn,1.ro,1.rp,1.rq,1.rr,1.rs,1.rt,1.ru,1.rv,1.rw,1.rx,1.ry,1.rz,2.s0,1.s1,1.s2,2.s3,2.s4,1.s5,1.s6,1.s7,1.s8,1.s9,1.sa,2.sb,1.sc,1.sd,1.se,1.sf,1.sg,1.sh,1.si,1.sj,1.sk,1.sl,1.sm,1.sn,1.so,1.sp,1.sq,1.sr,1.ss,1.st,1.su,1.se,1.sv,1.sw,1.sx,1.sy,1.sz,1.t0,1.t1,1.t2,1.t3,1,1.t4,1.t5,1.r4,1.t6,1.t7,1.t8,1.t9,1.t3,1.ta,1.tb,1.tc,2.td,2.te,6.tf,3.tg,1.th,1.ti,1.tj,2.tk,3.tl,1.tm,1.tn,2.to,2.tp,2.tq,7.tr,1.ts,5.sn,1,4.tt,1.se,a.rh,1*2,3.tu,1.rn,2.su,b.t9,m.r4,1,c.hh,1*r,2,1*2,1.tv,8.hh,1*2,7,4,1*3,k,7,5,2.tw,2.tx,7.ty,2.tz,1.u0,1.u1,1.u2,1.u3,1.u4,1.u5,1.u6,1.u7,2.u8,1.u9,1.ua,1.ub,1.uc,1*3,1.ud,2.ue,2.uf,1.ug,1.uh,1.ui,1.uj,1.uk,1.ul,1.um,1.un,1.uo,1.up,1.uq,1.ur,1.us,1.ut,1.uq,1.uu,1.uv,2.uw,1.ux,1.uy,1.uz,1.v0,1.v1,1.v2,1.v3,1.v4,1.v5,1.v6,2.v7,1,1.v8,1.v9,1.v8,1.va,1.vb,1.vc,1.uc,1.vd,1.ve,1.uc,1.vf,1.vg,1.vh,1.vi,1.vj,1.vk,1.vl,1.vm,2.vn,1.vo,1.vp,3.vq,1*2,8.vr,1*2,3.vs,1.vt,1.vu,1.vv,1.vw,1.vx,2.vy,1.vz,1.w0,1.w1,1.w2,2.w3,1.w4,1.w5,1.w6,1.w7,1.w8,1.w9,2.wa,1.wb,1.wc,2.wd,1.we,1.wf,1.wg,1.wh,2.wi,1.wj,1.wk,1.wl,1.wm,3.wn,2.wo,1.wp,1.wq,1.vr,1.wr,1.ws,1.wt,2.wu,1.wv,1.ww,1.wx,1.wy,1.wz,2.x0,1.x1,1.x2,1.x3,1.x4,2.x5,1.x6,1.x7,1.x8,1.x9,2.xa,1.xb,1.xc,1.xd,2.xe,1.w3,1.xf,4.xg,1.xh,1.xi,1.xj,1.xk,1.w3,1.xl,1.xm,1.xn,1.xo,1.xp,1.xq,1.xr,1.xs,2.vr,2.xt,2.xu,1.xv,1.xw,1.xx,1.xy,1.xz,1.y0,1.y1,1.y2,1.y3,1.y4,1.y5,1.y6,1.y7,1.y8,1.y9,1.ya,1.yb,1.yc,1.yd,1.ye,1.yf,1.yg,1.yh,1.yi,1.yj,1.yk,1.yi,2.yl,1.ym,1.yn,1.yo,1.yp,1.yq,3.yr,1.ys,1.yt,1.yu,2.yv,1.yw,2.yx,2.yy,1*2,2,1*4,2.yz,1*2'],
+    CO: ['Arvada|Aurora|Broomfield|Commerce City|Dupont|Eldorado Springs|Lafayette|Louisville|Westminster|Wheat Ridge|Agate|Bennett|Byers|Castle Rock|Deer Trail|Elbert|Elizabeth|Englewood|Franktown|Kiowa|Larkspur|Littleton|Lone Tree|Louviers|Monument|Palmer Lake|Parker|Sedalia|Strasburg|Watkins|Denver|Thornton|Boulder|Golden|Alma|Bailey|Black Hawk|Bond|Breckenridge|Buffalo Creek|Burns|Central City|Clark|Climax|Coalmont|Como|Conifer|Cowdrey|Dillon|Dumont|Evergreen|Empire|Fairplay|Fraser|Frisco|Georgetown|Granby|Grand Lake|Grant|Hartsel|Hot Sulphur Springs|Idaho Springs|Idledale|Indian Hills|Jamestown|Jefferson|Kittredge|Kremmling|Leadville|Mc Coy|Morrison|Nederland|Oak Creek|Parshall|Phippsburg|Pine|Pinecliffe|Rand|Rollinsville|Shawnee|Silver Plume|Steamboat Springs|Tabernash|Toponas|Walden|Ward|Winter Park|Yampa|Silverthorne|Longmont|Allenspark|Estes Park|Bellvue|Berthoud|Dacono|Drake|Erie|Firestone|Fort Collins|Frederick|Glen Haven|Hygiene|Johnstown|Laporte|Livermore|Loveland|Lyons|Masonville|Mead|Milliken|Niwot|Red Feather Lakes|Severance|Timnath|Wellington|Windsor|Brighton|Ault|Briggsdale|Carr|Eastlake|Eaton|Evans|Fort Lupton|Galeton|Gilcrest|Gill|Greeley|Henderson|Hudson|Keenesburg|Kersey|La Salle|Lucerne|Nunn|Orchard|Pierce|Platteville|Roggen|Weldona|Wiggins|Fort Morgan|Log Lane Village|Akron|Amherst|Atwood|Brush|Crook|Eckley|Fleming|Grover|Haxtun|Hereford|Hillrose|Holyoke|Idalia|Iliff|Julesburg|Lindon|Merino|New Raymer|Otis|Ovid|Padroni|Paoli|Peetz|Sedgwick|Snyder|Sterling|Stoneham|Vernon|Woodrow|Wray|Yuma|Anton|Arapahoe|Arriba|Bethune|Burlington|Calhan|Cascade|Cheyenne Wells|Cope|Cripple Creek|Divide|Flagler|Florissant|Fountain|Genoa|Green Mountain Falls|Guffey|Hugo|Joes|Karval|Kirk|Kit Carson|Limon|Lake George|Manitou Springs|Matheson|Peyton|Ramah|Rush|Seibert|Simla|Stratton|U S A F Academy|Victor|Vona|Wild Horse|Woodland Park|Yoder|Colorado Springs|Colorado Spgs|Pueblo|Colorado City|Aguilar|Arlington|Avondale|Beulah|Boncarbo|Boone|Branson|Campo|Cheraw|Crowley|Eads|Fort Lyon|Fowler|Gardner|Granada|Hartman|Hasty|Haswell|Hoehne|Holly|Kim|La Junta|Lamar|Las Animas|La Veta|Mc Clave|Manzanola|Model|Olney Springs|Ordway|Pritchett|Rocky Ford|Rye|Sheridan Lake|Springfield|Stonington|Sugar City|Swink|Trinchera|Trinidad|Two Buttes|Vilas|Walsenburg|Walsh|Weston|Wiley|Alamosa|Antonito|Arboles|Bayfield|Blanca|Capulin|Center|Chama|Chimney Rock|Chromo|Conejos|Creede|Crestone|Del Norte|Fort Garland|Garcia|Homelake|Hooper|Ignacio|Jaroso|La Jara|Manassa|Moffat|Monte Vista|Mosca|Pagosa Springs|Romeo|Saguache|Sanford|San Luis|La Valley|South Fork|Villa Grove|Salida|Almont|Buena Vista|Canon City|Cimarron|Coal Creek|Coaldale|Cotopaxi|Crested Butte|Florence|Monarch|Granite|Gunnison|Hillside|Howard|Lake City|Nathrop|Ohio City|Parlin|Penrose|Pitkin|Poncha Springs|Powderhorn|Rockvale|Sargents|Twin Lakes|Westcliffe|Wetmore|Durango|Cahone|Cortez|Dolores|Dove Creek|Egnar|Hesperus|Lewis|Mancos|Marvel|Mesa Verde National Park|Pleasant View|Rico|Towaoc|Yellow Jacket|Montrose|Austin|Bedrock|Cedaredge|Cory|Crawford|Delta|Eckert|Hotchkiss|Lazear|Naturita|Norwood|Nucla|Olathe|Ophir|Ouray|Paonia|Paradox|Placerville|Redvale|Ridgway|Silverton|Somerset|Telluride|Grand Junction|Clifton|Fruita|Gateway|Glade Park|Loma|Mack|Palisade|Whitewater|Glenwood Springs|Dinosaur|Aspen|Snowmass Village|Avon|Basalt|Carbondale|Collbran|Craig|De Beque|Eagle|Edwards|Parachute|Battlement Mesa|Gypsum|Hamilton|Hayden|Maybell|Meeker|Meredith|Mesa|Minturn|Molina|New Castle|Rangely|Red Cliff|Rifle|Silt|Slater|Snowmass|Wolcott|Woody Creek|Vail',
+         '1pq9.0,1*6,3.1,1*9,1.2,1,1.3,1.2,1.4,1.5,1.6,1.7,1,2.8,1,2.9,1,1.8,1,1.3,1.2,2.1,1*2,2,1*3,1i.a,1.b,1.c,1.d,1.e,1.f,1.g,1.d,1,1.h,1*3,3.i,1.j,1.k,2.l,1*3,1.m,1.l,1*5,1.n,1.o,1.p,1.q,1.r,1.s,1.t,1.q,c.h,1,4,5.l,1*3,2,1,z.u,1*b,2,1*p,2.v,2.u,1,2,1*6,4,1,2,1*7,5,2,1,5,1*2,9,1,2,1*2,4,2.w,1*9,4,7,1*2,5,1,20.x,1*2,g,1.y,1.z,1.10,1.11,1.12,1.13,1.14,1.15,1.16,1.17,1.18,2.19,1.1a,1.1b,1.1c,1.1d,1.1e,1.1f,1.1e,1.1g,2.1h,1.1i,1.1j,2.1k,1.1l,1.1m,1.1n,2.1o,1.1p,1.1q,1.1r,1.1s,1.1t,1.1u,2.1v,2.1w,2.1x,2.1y,1.1z,1.20,1.21,1.22,1.23,1.24,2.25,1.26,1.27,1.28,1.29,1.2a,1.2b,1.2c,1.2d,1.2e,1.2f,4.29,1,9.2g,1,3.2h,1*3,6.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1.2j,3.2p,1.2q,1*7,2.2r,2.2s,1.2t,1.2u,1.2v,1.2w,1.2x,1*2,1.2y,1.2z,1.30,1.31,1.32,1.33,1.34,1.35,2.36,1.37,1,2.2q,1c.38,1*2,7.39,1.3a,1.3b,2.3c,1.3d,5.3e,1.3f,1.3g,1.3h,1.3i,7.3j,1*3,4,1,1.3k,2.3l,1.3m,1.3n,1.3o,1.3p,2.3q,1.3r,1.3s,1.3t,1.3u,1.3v,1.3w,1b.3x,4.3y,f.3z,1.40,1.41,1.42,3.43,1.44,1.45,1.46,2.47,1.48,1.49,1.4a,1.4b,1.4c,1.4d,3.4e,1.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,2.4m,1.4n,1.4o,3.4p,1.4q,2.4r,1.4s,1.4t,16.4u,1.4v,2.4w,1.4x,2.4y,1.4z,1.50,1.51,2.52,1.53,1.54,1.55,1.56,1.57,1.58,1.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,1.5h,1.5g,1.5i,1.5j,1.5k,1.5l,1.5m,1.5n,1.5o,1.5p,4.5q,1,j.5r,1.5s,1.5t,1.5u,1.5v,2.5u,z.5w,1*12,1.5x,1.5w,1*6,2,1*2,9,2,8,7,i,2,4.5y,1*b,7.5z,1.60,1.61,1.62,1.63,1.64,1.65,2.66,2.67,1.68,3.69,1,2.6a,2.6b,1.6c,1.6d,1.6e,2.6f,1.6g,1.6h,1.6i,1.6j,2.6k,1.6l,2.6m,2.6n,1.6o,2.6p,1.6q,1.6r,3.6s,1.6t,1.6u,3.6v,2.6w,2.6x,2.6y,2.6z,1.70,1.71,4.72,1.73,2.74,3.75,2.76,1.77,1.78,1.79,9.7a,1,i.7b,1.7c,1.7d,1.7e,1.7f,1.7g,1.7h,1.7i,1.7j,1.7k,1.7l,1.7m,1.7n,1.7o,1.7p,1.7q,1.7r,1.7s,1.7t,2.7u,1.7v,2.7w,1.7x,2.7y,1.7z,1.80,1.81,2.82,1.83,1.84,1.85,1.86,2.7z,18.87,9.88,1.89,1.8a,3,5.8b,1.8c,1.8d,1.8e,1.8f,1,1.8g,1.8h,1.8i,2.8j,1,1.8k,1.8l,2.8m,1.8n,1.8o,2.8p,1.8q,1.8r,1.8s,1.8t,1.8u,3.8j,1.8v,3.8w,1.8x,1.8y,11.8g,b.8z,1*2,h.90,1.91,2.92,1.93,1.94,1.95,1.96,1.97,1.98,1.99,1.9a,1.9b,2.9c,1.9d,1u.9e,1*2,7.9f,1.9g,2.9h,1.9i,1.9j,1.9k,2.9l,1.9m,1.9n,2.9o,1.9p,1.9q,1.9r,1.9s,1.9t,1.9u,1.9v,1.9w,1.9x,1.9y,1.9z,1.a0,1.a1,1u.a2,1*6,d.a3,1.a4,1.a5,1.a6,1.a7,1.a8,1.a9,1.aa,22.ab,1,8.ac,1.ad,1,3.ae,5.af,1.ag,2.ah,1.ai,1.aj,1,4.ak,1.al,1.am,1.ac,2.an,1.ao,1.ap,1.aq,1.ar,1.as,1.at,1.au,1.av,2.aw,1.ax,1.ay,1.az,1.b0,1.b1,2.b2,1.b3,1.b4,1.b5,1.b6,1.b7,1'],
+    CT: ['Avon|Bloomfield|Windsor|Bristol|Burlington|Broad Brook|Canaan|Canton|Canton Center|Colebrook|Collinsville|East Berlin|East Canaan|East Glastonbury|East Granby|East Hartland|East Windsor Hill|Ellington|Farmington|Falls Village|Glastonbury|Granby|Berlin|Lakeville|Manchester|Bolton|New Britain|New Hartford|Norfolk|North Canton|North Granby|Pine Meadow|Plainville|Barkhamsted|Poquonock|Riverton|Vernon Rockville|Rocky Hill|Salisbury|Sharon|Simsbury|Somers|Somersville|South Glastonbury|South Windsor|Stafford|Stafford Springs|Staffordville|Suffield|Taconic|Tariffville|Enfield|Tolland|Unionville|East Windsor|Weatogue|West Granby|West Hartland|West Simsbury|West Suffield|Winchester Center|Windsor Locks|Winsted|Hartford|West Hartford|East Hartford|Wethersfield|Newington|Willimantic|Abington|Amston|Andover|Ballouville|Brooklyn|Chaplin|Columbia|Coventry|Danielson|Dayville|Eastford|East Killingly|East Woodstock|Fabyan|Grosvenor Dale|Hampton|Hebron|Lebanon|Mansfield Center|Mansfield Depot|North Franklin|North Grosvenordale|North Windham|Pomfret|Pomfret Center|Putnam|Quinebaug|Rogers|Scotland|South Willington|South Windham|South Woodstock|Storrs Mansfield|Thompson|Ashford|Willington|Windham|Woodstock|Woodstock Valley|New London|Baltic|Canterbury|Central Village|East Lyme|Bozrah|Gales Ferry|Gilman|Mashantucket|Ledyard|Groton|Hanover|Jewett City|Montville|Moosup|Mystic|Niantic|North Stonington|Norwich|Preston|Oakdale|Old Lyme|Old Mystic|Oneco|Plainfield|Quaker Hill|South Lyme|Sterling|Stonington|Pawcatuck|Taftville|Uncasville|Versailles|Voluntown|Waterford|Bureau Business Practice|Wauregan|West Mystic|Yantic|Ansonia|Beacon Falls|Botsford|Branford|Cheshire|Centerbrook|Chester|Clinton|Cobalt|Colchester|Cromwell|Deep River|Derby|Killingworth|Salem|Durham|East Haddam|East Hampton|Essex|Guilford|Haddam|Hadlyme|Hawleyville|Higganum|Ivoryton|Madison|Marion|Marlborough|Meriden|Middlefield|Middle Haddam|Middletown|Milford|Milldale|Monroe|Moodus|Newtown|North Branford|Northford|North Haven|North Westchester|Old Saybrook|Orange|Oxford|Plantsville|Portland|Rockfall|Sandy Hook|Seymour|Shelton|South Britain|Southbury|Southington|Stevenson|Wallingford|Stratford|Westbrook|New Haven|East Haven|Hamden|West Haven|Bethany|Woodbridge|Bridgeport|Trumbull|Easton|Waterbury|Prospect|Wolcott|Bantam|Bethlehem|Bridgewater|Cornwall|Cornwall Bridge|Gaylordsville|Goshen|Kent|Lakeside|Litchfield|Middlebury|Morris|Naugatuck|New Milford|New Preston Marble Dale|Northfield|Oakville|Pequabuck|Plymouth|Roxbury|Sherman|South Kent|Terryville|Thomaston|Torrington|Harwinton|Washington|Washington Depot|Watertown|West Cornwall|Woodbury|Bethel|Brookfield|Cos Cob|Danbury|New Fairfield|Darien|Fairfield|Georgetown|Greenwich|Brm|Greens Farms|New Canaan|Norwalk|Old Greenwich|Redding Center|Redding Ridge|Ridgefield|Riverside|Westport|Weston|Southport|Redding|Wilton|Stamford',
+         '4mp.0,1.1,4.2,4.3,1,2.4,3.5,2.6,1.7,1.8,1.9,1.a,1.b,1.c,1.d,1.e,1.f,1.g,1.h,1.i,1.j,1.i,1.k,1.i,1.l,2.m,2.n,1.o,1*2,1.p,2.o,5.q,1*3,4.r,1.s,1.t,1.u,1.v,1.w,1.x,1.y,1.z,1.10,1.11,1.12,1.13,1.14,1.15,1.16,1.17,1.18,1.19,1.1a,1.1b,1.1c,1.1d,1.1c,1.1e,1.1f,1,1.1g,1.1h,2,1.1i,1.1j,1.1k,1.1l,1.1m,1.1n,1.1o,1.2,1.1p,2.1q,3.1r,1*5,1.1s,1.1t,1.1u,1.1s,1.1v,1.1r,2,1,2.1s,1.1t,1.1s,1.1r,3*2,1.1s,1.1t,1.1u,2.1v,1.1r,1.1s,1.1r,3.1s,1.1t,2.1r,1*7,3,1*6,4,1,6,9,4,3,g,r.1w,4.1x,1.1y,1.1z,1.20,1.21,1.22,2.23,1.24,1.25,2.26,1.27,1.28,1.29,1.2a,1.2b,1.2c,1.2d,1.2e,1.2f,1.2g,3.2h,1.2i,1.2j,2.2k,1.2l,1.2m,2.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,1,8.2u,1.2v,1.2w,1.2x,1.2y,1.2z,12.30,a.31,1.32,1.33,1.34,1.35,1.36,1.37,2.38,1.39,1.3a,9,1.3b,1.3c,2.3d,1.3e,1.3f,2.3g,2.3h,1.3i,5.3j,5.3k,1.3l,1.3m,1.3n,1.3o,1.3p,1.3q,1.3r,1.3s,1.3t,1.3u,2.3v,1.3w,1.3x,1.3y,1.3z,1.40,1.41,1.42,c.43,2.44,1.45,1.46,3.47,1.48,1.47,1,1.49,1.4a,1.4b,1.4c,1.4d,1.4e,1.4f,1.4g,1.4h,2.4i,1.4j,1.4k,2.4l,b.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,3.4u,3.4v,1,3,1.4w,1.4x,1.4y,2,1.4z,1,6.50,1.51,1.52,1.53,1.54,1.55,1.56,1.57,1.58,2.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,3.5h,1.5i,1.5j,2.5k,1.5l,1*3,2.5m,1.5n,3.5o,1*a,1.5p,1.5o,1.5q,1.5o,1.5r,1.5q,1,1.5o,1*2,3.5s,1.5t,5.5o,1*8,2,1p.5u,1,2,1*4,2,1.5v,1.5w,2.5m,1,z.5u,n,q,2.5x,1*5,2*2,2.5y,4.5z,4.5x,1*6,n,1.60,1.61,1.62,1.63,1.64,1.65,1.66,1.67,1.68,1.69,3.6a,1.6b,7.6c,6.6d,1.6e,1.6f,1.6g,2.6h,1.6i,1.6j,1.6k,1.6l,1.6m,1.6n,3.6o,1.6p,1.6o,1.6q,1.6r,1.6s,1.6t,2.6u,3.6v,3.6w,3.6x,3.6y,1,1.6z,1.6y,1,2,1,3.70,4.71,1,3,1.72,1.73,1,1.74,4.73,2.75,2.76,2,8.77,1*a,a.78,5.79,1.7a,1.7b,1.7c,1.7b,1.7d,1,2.7e,5.7d,1,1.7f,6.7g,1.7h,4.7i,1*6,3,1*4,6,1*2,3,1*3'],
+    DE: ['Bear|Newark|Claymont|Delaware City|Hockessin|Kirkwood|Middletown|Montchanin|New Castle|Odessa|Port Penn|Rockland|Saint Georges|Townsend|Winterthur|Yorklyn|Wilmington|Beneficial Natl Bank|Dover|Dover Afb|Bethany Beach|Bethel|Bridgeville|Camden Wyoming|Cheswold|Clayton|Dagsboro|Delmar|Ellendale|Felton|Fenwick Island|Frankford|Frederica|Georgetown|Greenwood|Harbeson|Harrington|Hartly|Houston|Kenton|Laurel|Lewes|Lincoln|Little Creek|Magnolia|Milford|Marydel|Millsboro|Millville|Milton|Nassau|Ocean View|Rehoboth Bch|Seaford|Selbyville|Smyrna|Viola|Woodside',
+         'f79.0,1.1,1.2,3.3,1.4,1.5,1.6,1.7,1.1,1*7,2.8,1,4.1,1,4.9,1.a,1.b,1.c,1.d,1.e,1.f,1t.g,1*9,14,u,4,1*3,2.h,1.g,1*9,2.i,1.j,1.i,1*3,o.k,1.l,2.m,1.n,2.o,2.p,1.q,1.r,1.s,2.t,1.u,1.v,1.w,1.x,3.y,1.z,1.10,1.11,1.12,1.13,1.14,2.15,2.16,1.17,1.18,1.19,1.1a,2.1b,1.1c,1.1d,1.1e,1.1f,1.1g,2.1h,2.1i,2.1j,2.1k,1.1l'],
+    DC: ['Washington|Naval Anacost Annex|Washington Navy Yard|Parcel Return Service',
+         'ffl.0,1*c,2,1*5,2,1*2,2,1,2,1,2,1,2,1*c,2,1*4,2,1*g,2,1*5,2,1*2,6,2,1,6,1,2v,1*3,2,1*2,2,1*e,2,1*4,2,1,2*2,1*5,2,1,5,1*2,2,6,1*2,3,1,2*2,7,c,a,2*2,3,1,3,4,3,1*2,b,a*2,5,f,2,1.1,1.2,1.0,1.2,4.0,8.2,1.0,1,1.2,1.0,1*3,3.2,3.0,1*s,2*2,1*4,2,1*3,2,3,4,2,3,4,3,5,1*2,2,s,1*b,4,5,1*o,2,1*3,2,1*4,2,1*3,5,1,4,1*3,2,1*6,4,1,4,1,2,1,3,2,s0e.3,1,2,b,5,d,b,1,5,f,7'],
+    FL: ['Fleming Island|Ponte Vedra Beach|Bostwick|Branford|Bryceville|Callahan|Day|Lake City|Raiford|Doctors Inlet|Elkton|Fernandina Beach|Fort White|Glen Saint Mary|Yulee|Graham|Green Cove Springs|Hampton|Hilliard|Middleburg|Jasper|Jennings|Lake Butler|Lawtey|Lee|Live Oak|Lulu|Mc Alpin|Macclenny|Orange Park|Mayo|O Brien|Olustee|Penney Farms|Saint Augustine|Ponte Vedra|Sanderson|Starke|Wellborn|White Springs|Jacksonville|Astor|Barberville|Bunnell|Candler|Crescent City|Citra|Daytona Beach|Port Orange|De Leon Springs|East Palatka|Edgewater|Eastlake Weir|Fort Mc Coy|Palm Coast|Flagler Beach|Grandin|Georgetown|Florahome|Hastings|Hollister|Interlachen|Edgar|Lake Como|Lady Lake|Lake Geneva|The Villages|New Smyrna Beach|Ormond Beach|Palatka|Ocklawaha|Pierson|Pomona Park|Orange Springs|Putnam Hall|San Mateo|Satsuma|Seville|Sparr|Welaka|Weirsdale|Atlantic Beach|Jacksonville Beach|Saint Johns|Neptune Beach|Homeside Lending Inc|Tallahassee|Apalachicola|Bristol|Carrabelle|Lanark Village|Chattahoochee|Crawfordville|Eastpoint|Greensboro|Greenville|Gretna|Havana|Hosford|Sumatra|Lamont|Lloyd|Madison|Midway|Monticello|Panacea|Perry|Pinetta|Quincy|Saint Marks|Salem|Shady Grove|Sopchoppy|Steinhatchee|Telogia|Wacissa|Woodville|Panama City|Panama City Beach|Mexico Beach|Alford|Altha|Argyle|Bascom|Blountstown|Bonifay|Campbellton|Caryville|Chipley|Clarksville|Cottondale|Cypress|Defuniak Springs|Mossy Head|Ebro|Fountain|Freeport|Graceville|Grand Ridge|Greenwood|Lynn Haven|Malone|Marianna|Wewahitchka|Noma|Point Washington|Ponce De Leon|Port Saint Joe|Santa Rosa Beach|Sneads|Rosemary Beach|Vernon|Wausau|Westville|Youngstown|Pensacola|Bagdad|Baker|Cantonment|Century|Crestview|Milligan|Paxton|Destin|Eglin Afb|Hurlburt Field|Fort Walton Beach|Miramar Beach|Gonzalez|Gulf Breeze|Holt|Jay|Navarre|Laurel Hill|Mc David|Mary Esther|Milton|Molino|Niceville|Shalimar|Valparaiso|Gainesville|Alachua|Anthony|Archer|Bell|Bronson|Brooker|Cedar Key|Chiefland|Cross City|Earleton|Evinston|Fairfield|Gulf Hammock|Hawthorne|High Springs|Horseshoe Beach|Island Grove|Keystone Heights|La Crosse|Lochloosa|Lowell|Mc Intosh|Melrose|Micanopy|Morriston|Newberry|Old Town|Orange Lake|Otter Creek|Reddick|Suwannee|Trenton|Waldo|Williston|Worthington Springs|Altamonte Springs|Altoona|Apopka|Cassadaga|Casselberry|Winter Springs|Christmas|Clarcona|Debary|Deland|Glenwood|Deltona|Eustis|Geneva|Goldenrod|Grand Island|Lake Helen|Mid Florida|Lake Mary|Lake Monroe|Longwood|Maitland|Mims|Mount Dora|Oak Hill|Oviedo|Orange City|Osteen|Paisley|Plymouth|Sanford|Scottsmoor|Sorrento|Tangerine|Tavares|Titusville|Umatilla|Winter Park|Zellwood|Orlando|J C Penney Co|Defense Finance Accounting|Mastercard|Melbourne|Indialantic|Palm Bay|Cape Canaveral|Cocoa|Patrick Afb|Cocoa Beach|Satellite Beach|Fellsmere|Grant|Malabar|Melbourne Beach|Merritt Island|Rockledge|Roseland|Sebastian|Sharpes|Vero Beach|Wabasso|Winter Beach|Long Key|Hialeah|Dania|Hallandale|Hollywood|Pembroke Pines|Homestead|Islamorada|Key Largo|Key West|Summerland Key|Big Pine Key|Marathon|Key Colony Beach|Marathon Shores|Opa Locka|Miami Gardens|Pompano Beach|Tavernier|Coral Springs|Margate|Coconut Creek|Miami|Master Charge|Miami Beach|Coral Gables|Flagship Banks Of Miami|Eastern Airlines|Key Biscayne|North Miami Beach|First Union Bank|Fort Lauderdale|Plantation|West Palm Beach|North Palm Beach|Palm Beach Gardens|Wellington|Royal Palm Beach|Boynton Beach|Boca Raton|Belle Glade|Canal Point|Bryant|Clewiston|Deerfield Beach|Delray Beach|Lake Worth|Greenacres|Hobe Sound|Jupiter|Lake Harbor|Loxahatchee|Moore Haven|Pahokee|Palm Beach|South Bay|Balm|Brandon|Bushnell|Center Hill|Coleman|Dade City|Crystal Springs|Dover|Durant|Gibsonton|Lacoochee|Lake Panasoffkee|Zephyrhills|Wesley Chapel|Lithia|Lutz|Mango|Odessa|Plant City|Riverview|Ruskin|Sun City Center|Apollo Beach|Saint Leo|San Antonio|Seffner|Sumterville|Sun City|Sydney|Thonotosassa|Trilby|Valrico|Webster|Wimauma|Tampa|First National Bank Of Fl|Saint Petersburg|Bay Pines|Clearwater|Clearwater Beach|Largo|Seminole|Pinellas Park|Indian Rocks Beach|Belleair Beach|Lakeland|Alturas|Auburndale|Avon Park|Babson Park|Bartow|Bowling Green|Bradley|Davenport|Dundee|Eagle Lake|Eaton Park|Fort Meade|Frostproof|Haines City|Highland City|Homeland|Intercession City|Kathleen|Lake Alfred|Lake Hamilton|Lake Placid|Lake Wales|Lakeshore|Indian Lake Estates|Nalcrest|Lorida|Loughman|Mulberry|Nichols|Ona|River Ranch|Polk City|Sebring|Wauchula|Waverly|Winter Haven|Zolfo Springs|Fort Myers|North Fort Myers|Cape Coral|Alva|Boca Grande|Bokeelia|Captiva|El Jobean|Estero|Felda|Fort Myers Beach|Labelle|Lehigh Acres|Murdock|Palmdale|Pineland|Placida|Rotonda West|Port Charlotte|Punta Gorda|Saint James City|Sanibel|Venus|Naples|Bonita Springs|Copeland|Chokoloskee|Everglades City|Goodland|Ochopee|Immokalee|Marco Island|Bradenton|Cortez|Anna Maria|Bradenton Beach|Holmes Beach|Parrish|Palmetto|Ellenton|Englewood|Longboat Key|Osprey|Sarasota|Terra Ceia|Myakka City|Oneco|Arcadia|Fort Ogden|Nocatee|Tallevast|Laurel|Nokomis|Venice|North Port|Belleview|Crystal River|Dunnellon|Floral City|Hernando|Holder|Homosassa|Homosassa Springs|Inglis|Inverness|Lecanto|Beverly Hills|Ocala|Oxford|Silver Springs|Summerfield|Yankeetown|Brooksville|Spring Hill|Istachatta|Land O Lakes|New Port Richey|Ozona|Nobleton|Hudson|Port Richey|Oldsmar|Aripeka|Elfers|Crystal Beach|Palm Harbor|Tarpon Springs|Holiday|Safety Harbor|Dunedin|Astatula|Clermont|Ferndale|Fruitland Park|Gotha|Groveland|Howey In The Hills|Kenansville|Killarney|Kissimmee|Leesburg|Mascotte|Minneola|Montverde|Oakland|Ocoee|Okahumpka|Saint Cloud|Winter Garden|Wildwood|Windermere|Yalaha|Fort Pierce|Port Saint Lucie|Indiantown|Jensen Beach|Okeechobee|Palm City|Port Salerno|Stuart',
+         'ooz.0,1.1,2.0,1.2,1.3,1.4,2.5,2.6,b.7,1,1.8,4.9,3.a,1.b,1,3.c,2.d,1.e,1.f,1.g,1.h,2.i,4.j,2.k,1.l,1.m,1.7,1,2.n,1.o,1.p,1.q,1.r,1.s,1.p,1.t,1.u,1.t,1.j,3.v,1.w,1.t,6.x,1.y,1.z,1.1,1.8,1.y,1*2,1.10,4.11,1.y,2.12,1.y,1.13,1.e,2.14,3.15,3.16,5.17,1.18,1.19,1.1a,1.1b,1*8,1.1c,1.1b,1*2,1.1c,1*2,1.1d,1.1e,1.1f,1.1g,1.1h,1.1i,1.1j,1.1i,1.1k,1.1l,1.1m,1.1f,1.1i,1,2.1n,2.1o,1.1p,1.1q,8.1r,1.1s,1,1.1t,2.1u,1,1.1i,4.1v,1*2,3.1w,1*3,1.1x,1,1.1y,1.1z,1.20,1.21,1.1y,2.22,2.23,2.24,1.25,2.26,1.27,2.28,3.1b,3.14,1*b,2,1*i,1.29,1.14,1*5,1.2a,1.14,3,1*3,3.2a,4.14,1*4,1.2b,1.14,6.2c,1.14,a,d.2d,b.2e,1*h,2.2f,1.2g,1.2h,1.2i,1.2j,2.2k,1,1.2l,1.2f,1.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,3.2u,1,2.2v,1.2w,1,1.2x,1.2y,1,2.2z,1.30,1*2,2.31,1.32,1.33,1.34,1.35,1.36,1.37,1.38,x.2e,4,2.39,1*5,1.3a,1.39,1,1.3b,1.39,1,1.3a,4.39,3.3c,1.3d,1.3e,1.3f,1.3g,1.3h,1.3i,1.3j,1.3k,2.3l,1.3m,1.3n,1.3o,1.3p,1.3o,2.3q,1.3r,1.3s,1.3t,2.3u,1.3v,1.3w,1.3x,1.3y,1*2,1.3z,3.40,2.41,1.42,1.43,1,2.44,1.45,1.46,1.47,1.48,1.49,1.3z,1.4a,z.4b,1*8,2,1*3,2,4,1*4,2,4.4c,1.4d,2.4e,1.4b,1.4f,1.4g,1.4h,1.4i,1.4g,1.4j,1,1.4k,2.4l,3.4m,1*2,1.4n,9.4b,1.4o,1.4p,1*2,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,1.4w,1*2,5.4x,1.4y,1.4z,1.50,3.4w,5.4y,2.4b,1*2,9.51,1*d,1.52,1,1.53,1.54,1.55,2.56,1.57,3.58,1.59,1.51,1.5a,3.5b,2.5c,1.5d,1.51,4.5e,1.5f,1.51,2.5g,1.59,4.5h,5.51,1.5i,1.5g,1.5j,2.5k,4.5l,1.5m,1.5n,2.5o,1.5p,1.5q,1.5r,b.5s,1.5t,2.5u,3.5v,6.5w,1.5x,1.5y,2.5z,1.60,4.61,1.62,1.63,1,2.64,1.65,1.66,1.67,1.68,2.63,1.69,1.61,1*2,2.65,1.66,1.6a,1,1.6b,1.6a,1,1.6c,1.6d,1,1.6c,2.65,2.6e,1.6f,2.6g,1.6d,2.6c,1,5.6h,1.6i,1.6j,1.6k,3.6l,1.6m,1.6l,1.69,1.6n,2.6o,1,2.6p,3.6q,1.6r,1.6s,1.6q,1,1.6t,1.6u,3.6v,1*2,1.6r,1.6w,1.6x,1.6y,1.6z,1.6l,1.70,1*3,1.71,5.72,1,1.6l,1.72,1,1.6m,1.6j,1.70,2.73,1.6i,2.74,1*b,2,1*8,2,1*d,2,e,1*9,5,1*2,3,5,1,7,1*2,3.75,1.74,2.76,3.74,1,1.77,1.74,2.78,1,1.79,1.78,1.7a,1*6,1.78,7,1.7b,2.7c,1*2,1.7d,1.7c,1,4.7e,1,2.78,1*2,1.7f,3.78,1,7.7g,1.7h,1.7i,1.7j,1.7k,1*2,1.7l,1,1.7m,1.7n,1.7o,1.7p,1*9,1.7q,1.7r,5.7n,2,n.7s,1.7t,2.7u,4.7v,1,1.7t,1*8,1.7w,1*8,1.7x,1.7w,1.7y,1*5,1.7z,1.80,2.7y,1.81,1,1.82,1.83,2.81,5.84,1.85,1.86,2.87,1,1.88,4.89,1*9,1.8a,1.89,1*3,1.8b,1.89,1,4.7w,1.7x,1.7w,1,6.7y,2,1.8c,4.8d,4.8e,1,4,1.8f,2.8g,1.8e,1*2,2.8h,2.8e,3.8g,2.8i,1.8e,2,1*e,1.8g,1*2,1.8e,1*5,1.8j,1.8k,1.8e,1*3,1.8g,1.8e,1*4,1.8l,1.8e,1*9,2,1*m,1.8m,1.8e,1*3,7,g,9,2,1,4,1.8g,3.8e,1,2*2,8,1*2,4*2,1,3,b,3,d,3,2.8n,1*v,2,1*6,5,1,2,1,2,4*2,t.8o,6.8n,7.8p,1*6,1.8q,1.8p,1.8r,1.8p,1*2,1.8s,1.8p,1*2,1.8r,1.8p,1,1.8t,1.8p,2.8u,1*2,1.8v,1*2,1.8w,1.8v,1*3,1.8u,1*2,1.8x,1.8y,1.8z,1.90,1*2,1.91,1*4,1.92,5.93,1.94,3.95,1.96,1.92,1*3,1.8v,1.92,1*2,1.95,1,1.97,1.98,1.8u,1*2,1.94,1.99,1.95,1,2.9a,1.8v,1.91,1*2,2.8v,1*2,5.9b,3.8v,1*3,4.9c,5.9d,1*3,2.9e,1.9f,7.9g,2.9h,1.9i,1.9h,1,1.9j,3.9k,4.9l,3.9m,1.9n,1.9o,1*3,1.9p,1*2,2.9q,1.9r,1,1.9s,6.9t,2.9r,1,4.9u,1*4,1.9v,1,1.9w,1.9x,1.9y,1.9x,1.9z,1.9w,1.a0,2.9v,1,4.a1,1,1.a2,1.a3,1.a4,5.a5,1.a6,1.a7,1*2,1.a8,1.a9,3.aa,1*p,3,1*2,2,1*2,2,9,1,3,1.ab,4.aa,5,1*4,8,1*3,2*2,1*3,2,1*6,4,7.ac,1*f,d,1*5,2,1*2,2,1*3,1.ad,3.ac,8.ae,1*b,1.af,2.ae,1.ag,1,1.ah,1.ag,1,1.ah,1*2,1.ag,1,1.ai,1*2,2.ac,1.aj,1.ak,f.al,1*6,2,1*4,2,5.am,3.an,2.ao,1,1.ap,3.aq,1,3.ar,1.as,1.at,1,1.au,1.av,1.aw,1.ax,2.ay,1.az,1,1.b0,1.b1,1.b2,1.b3,1.b4,1.b5,1.b6,1.b7,1.b8,1.b9,1.ba,1.bb,1.bc,1.b7,1.bd,2.b6,1.be,2.bf,2.bg,1.bh,2.bi,1*2,1.bj,2.bi,1,1.bk,3.bl,1*5,3,2.bm,6.at,1,1.b7,2.bn,1*2,1.bo,1.bp,1.bn,1*3,1.bp,1,1.bn,1*2,1.bp,1,1.bn,1.bo,1,1.bn,1.bq,1.br,1.bs,2.bt,3.bu,1.bv,1,1.bw,1.bx,1,3.by,1.bz,2.c0,6.c1,1.c2,1.c3,1.c4,1.c5,1,1.c6,1,1.c5,1*2,1.c6,1.c7,1.c8,3.c9,5.bn,1*2,3.bz,1*4,1.by,1.bz,4.c6,1.c5,1.c6,1,7.bp,1,2,1.bn,2z.ca,1*9,2,1*2,2,1,2,1,d.cb,1*3,1.cc,1.cd,1.ce,1.cf,1.cg,1.ch,1,2.ci,1,1j.cj,1*b,3.ck,1.cl,1.cm,1.cn,1.co,1.cp,1,1.cq,1.cr,1,4.cs,1.ct,1.cu,1*d,7.cv,1.cw,9.cu,4.cx,1.cy,1,1.cz,1.d0,1.cy,1.d1,2.d2,2.d3,1,1.cu,1*2,2.cj,1*2,2.d4,1,1.d5,1*5,1.d4,1,2.cr,3h.d6,1,2.d7,5,1,1.d8,1*4,2.d9,5.da,1,3.db,1.dc,1.dd,1.dc,1.de,1.df,1*3,7.dg,1,3.dh,1,5.di,1*d,1.dj,3.dc,1.dk,1,2.dl,1,6.dm,2v.dn,1*4,1.do,1*5,2.dn,1,m.dp,1.dq,1*2,d.dr,1*4,4.ds,1.dt,6.du,1.dv,1.du,4.dv,1.du,3.dw,2.dx,1.dy,1.dz,1.e0,1*3,3.e1,1,1.e2,1*2,3.e3,2.e4,1,7.e5,6.e6,1*4,e.e7,2.e8,3.e9,2.ea,1.eb,2.ec,1.ed,1.ee,1*6,1.ef,1,4.eg,2.eh,1.ei,2.ee,1,1.ej,1.ek,1.el,7.em,1*4,4.en,1,7.eo,1.ep,1.en,1.ef,1,8.eq,44.er,1*6,1.es,1,1.er,2.et,1.eu,1,e.ev,1*2,5.er,2,1,1.es,1*5,2.ew,1,1.ex,2.ey,1*3'],
+    GA: ['Avondale Estates|Norcross|Alpharetta|Marietta|Auburn|Conyers|Covington|Grayson|Jersey|Dacula|Clarkston|Suwanee|Social Circle|North Metro|Cumming|Decatur|Lithonia|Snellville|Lawrenceville|Lilburn|Loganville|Oxford|Mansfield|Newborn|Porterdale|Pine Lake|Redan|Roswell|Scottdale|Smyrna|Stone Mountain|Tucker|Duluth|Acworth|Adairsville|Aragon|Armuchee|Austell|Ball Ground|Bowdon|Bowdon Junction|Bremen|Clarkdale|Carrollton|Buchanan|Canton|Cartersville|Lithia Springs|Cassville|Cave Spring|Cedartown|Mableton|Powder Springs|Coosa|Dallas|Douglasville|Emerson|Esom Hill|Fairmount|Felton|Hiram|Holly Springs|Jasper|Kennesaw|Kingston|Lebanon|Lindale|Marble Hill|Mount Berry|Mount Zion|Nelson|Rockmart|Rome|Roopville|Rydal|Shannon|Silver Creek|Talking Rock|Tallapoosa|Tate|Taylorsville|Temple|Villa Rica|Waco|Waleska|White|Whitesburg|Winston|Woodstock|Barnesville|Brooks|Concord|Experiment|Fairburn|Fayetteville|Flovilla|Franklin|Gay|Glenn|Grantville|Greenville|Griffin|Hampton|Haralson|Hogansville|Jackson|Jenkinsburg|Jonesboro|Lagrange|Locust Grove|Lovejoy|Luthersville|Mcdonough|Meansville|Milner|Molena|Moreland|Morrow|Newnan|Orchard Hill|Palmetto|Peachtree City|Red Oak|Rex|Riverdale|Sargent|Senoia|Sharpsburg|Stockbridge|Sunny Side|The Rock|Thomaston|Conley|Turin|Tyrone|Union City|Williamson|Woodbury|Ellenwood|Zebulon|Forest Park|Atlanta|Atl|Swainsboro|Ailey|Alamo|Alston|Bartow|Bellville|Brooklet|Claxton|Cobbtown|Collins|Daisy|Dover|Garfield|Girard|Glennville|Glenwood|Hagan|Louisville|Lyons|Manassas|Metter|Midville|Millen|Mount Vernon|Newington|Norristown|Nunez|Oliver|Portal|Pulaski|Register|Reidsville|Rockledge|Rocky Ford|Sardis|Soperton|Statesboro|Stillmore|Sylvania|Tarrytown|Twin City|Uvalda|Vidalia|Wadley|Gainesville|Chestnut Mountain|Alto|Baldwin|Blairsville|Blue Ridge|Buford|Bowersville|Braselton|Canon|Carnesville|Cherry Log|Clarkesville|Clayton|Clermont|Cleveland|Commerce|Cornelia|Dahlonega|Dawsonville|Demorest|Ellijay|Dillard|Eastanollee|East Ellijay|Epworth|Flowery Branch|Gillsville|Habersham|Helen|Hiawassee|Homer|Hoschton|Jefferson|Lakemont|Lavonia|Lula|Mc Caysville|Martin|Maysville|Mineral Bluff|Morganton|Mountain City|Mount Airy|Murrayville|Nicholson|Oakwood|Pendergrass|Rabun Gap|Sautee Nacoochee|Suches|Tallulah Falls|Talmo|Tiger|Toccoa|Turnerville|Wiley|Young Harris|Toccoa Falls|Athens|Arnoldsville|Bethlehem|Bishop|Bogart|Bostwick|Bowman|Buckhead|Carlton|Colbert|Comer|Crawford|Crawfordville|Danielsville|Dewy Rose|Elberton|Farmington|Franklin Springs|Good Hope|Greensboro|Hartwell|High Shoals|Hull|Ila|Lexington|Madison|Monroe|Rayle|Royston|Rutledge|Sharon|Siloam|Statham|Stephens|Tignall|Union Point|Maxeys|Washington|Watkinsville|White Plains|Winder|Winterville|Calhoun|Chatsworth|Chickamauga|Cisco|Cohutta|Crandall|Dalton|Eton|Flintstone|Graysville|La Fayette|Lyerly|Menlo|Oakman|Plainville|Ranger|Resaca|Ringgold|Rising Fawn|Rock Spring|Rocky Face|Rossville|Fort Oglethorpe|Sugar Valley|Summerville|Lookout Mountain|Tennga|Trenton|Trion|Tunnel Hill|Varnell|Wildwood|Appling|Avera|Blythe|Boneville|Camak|Dearing|Evans|Gibson|Gough|Gracewood|Grovetown|Harlem|Hephzibah|Keysville|Lincolnton|Matthews|Mesena|Mitchell|Norwood|Perkins|Stapleton|Thomson|Warrenton|Waynesboro|Wrens|Augusta|Abbeville|Adrian|Allentown|Bolingbroke|Bonaire|Butler|Byromville|Byron|Cadwell|Cordele|Chauncey|Chester|Clinchfield|Cochran|Culloden|Danville|Davisboro|Dexter|Dry Branch|Dublin|Dudley|Eastman|Eatonton|Elko|East Dublin|Centerville|Forsyth|Fort Valley|Gordon|Gray|Haddock|Hardwick|Harrison|Hawkinsville|Helena|Hillsboro|Howard|Ideal|Irwinton|Jeffersonville|Jewell|Juliette|Kathleen|Kite|Knoxville|Lilly|Lizella|Mc Intyre|Mc Rae|Marshallville|Mauk|Milledgeville|Milan|Montezuma|Monticello|Montrose|Musella|Oconee|Oglethorpe|Perry|Pinehurst|Pineview|Pitts|Rentz|Reynolds|Rhine|Roberta|Rochelle|Rupert|Sandersville|Scotland|Seville|Shady Dale|Smarr|Sparta|Warner Robins|Tennille|Toomsboro|Unadilla|Vienna|Warthen|Wrightsville|Yatesville|Atlanta Bmc|Macon|Allenhurst|Bloomingdale|Clyo|Crescent|Darien|Eden|Ellabell|Fleming|Hinesville|Guyton|Fort Stewart|Ludowici|Meldrim|Meridian|Midway|Pembroke|Pooler|Riceboro|Richmond Hill|Rincon|Sapelo Island|Tybee Island|Springfield|Townsend|Walthourville|Savannah|Waycross|Alma|Ambrose|Baxley|Blackshear|Bristol|Broxton|Brunswick|Saint Simons Island|Jekyll Island|Denton|Douglas|Folkston|Hazlehurst|Hoboken|Hortense|Jacksonville|Jesup|Kings Bay|Kingsland|Lumber City|Manor|Mershon|Millwood|Nahunta|Nicholls|Odum|Offerman|Patterson|Saint Marys|Screven|Sea Island|Saint George|Surrency|Waresboro|Waverly|Waynesville|West Green|White Oak|Woodbine|Valdosta|Adel|Alapaha|Argyle|Axson|Barney|Boston|Cecil|Dixie|Du Pont|Fargo|Hahira|Homerville|Lakeland|Lake Park|Lenox|Morven|Nashville|Naylor|Pearson|Quitman|Ray City|Sparks|Statenville|Stockton|Willacoochee|Moody A F B|Albany|Americus|Andersonville|Arabi|Ashburn|Baconton|Barwick|Berlin|Brookfield|Camilla|Chula|Cobb|Coolidge|Cotton|De Soto|Doerun|Ellenton|Enigma|Fitzgerald|Funston|Hartsfield|Thomasville|Irwinville|Leesburg|Leslie|Meigs|Moultrie|Mystic|Norman Park|Oakfield|Ochlocknee|Ocilla|Omega|Pavo|Pelham|Plains|Poulan|Putney|Rebecca|Sale City|Smithville|Sumner|Sycamore|Sylvester|Tifton|Ty Ty|Warwick|Wray|Box Springs|Buena Vista|Cataula|Cusseta|Ellaville|Ellerslie|Fortson|Geneva|Hamilton|Junction City|Louvale|Lumpkin|Manchester|Midland|Omaha|Pine Mountain|Pine Mountain Valley|Preston|Richland|Shiloh|Talbotton|Upatoi|Warm Springs|Waverly Hall|Weston|West Point|Woodland|Columbus|Fort Benning|Arlington|Attapulgus|Bainbridge|Blakely|Bluffton|Brinson|Bronwood|Cairo|Calvary|Cedar Springs|Climax|Coleman|Colquitt|Cuthbert|Damascus|Dawson|Donalsonville|Edison|Fort Gaines|Fowlstown|Georgetown|Iron City|Jakin|Leary|Morgan|Morris|Newton|Parrott|Sasser|Shellman|Whigham',
+         'n5e.0,1.1,1.2,1,1.3,1*2,1.2,1.1,1.4,1.5,1,1.6,1*2,1.7,1.8,1.9,2.a,1.2,1,1.b,1.c,1.d,2.e,1.d,1.f,1*7,1.g,1.h,1.e,1,1.i,1*4,1.j,1,1.i,3.k,2.l,1.m,1.n,2.g,2.3,1*9,1.o,1.1,1.p,1.f,1.q,1.r,1*2,1.h,1.s,1.t,1*2,1.u,1.v,1,1.u,1*2,2.3,1.1,1*2,1.5,1.w,1*4,2.x,1,1.y,1.z,1.10,1.11,1.12,1.13,1.14,1.15,1.16,1.17,1.18,1.19,1,1.17,1*3,1.1a,1,1.1b,1.1c,1.1d,1.1e,1.1f,1.1g,2.1h,3.1i,1.1j,1*2,2.1k,1.1l,1.1m,1.1n,1.1o,1.1p,1.1q,1.1r,1.1s,1.1t,1.1u,1.1v,1.1w,1.1x,1.1y,1.1r,1.1z,1.1j,2.1r,1.1i,3.1r,1.20,1*4,3.11,1.19,1.21,1.22,1.23,1.24,2.25,1.26,1.27,1.28,1.29,1.2a,2.2b,1.2c,1.2d,1.2e,2.2f,1.2g,1,f.2h,1.2i,1.2j,6.2k,1.2l,1.2m,1,1.2n,1.2o,1.2p,1.2q,1.2r,2.2s,1.2t,1,4.2u,1.2v,1.2w,3.2x,1.2y,2.2z,1*2,2.30,1,7.31,2.32,1.33,1.34,1,3.35,1.36,1.37,1.38,1.39,1.30,2.3a,1*2,1.3b,2.3c,1.3d,1,1.3a,1.3e,1.3f,1.3g,1.3h,1.3i,1.3j,4.3k,3.3l,1.3m,1.3n,1.39,1.3o,1.3p,1.3q,1.3r,1.3s,1.3t,1.3u,1.3v,1.3g,1.3w,1,3.3x,1*l,2,1*a,2,1*a,1.3y,1.3x,1*2,3,1*b,2*2,1*3,3,1*4,1.3y,1.3x,4,1*4,1.3y,1,2.3x,2*3,1.3y,2.3z,9.40,1.41,1.42,1.43,1.44,1.45,2.46,3.47,1.48,2.49,1.4a,1.4b,1.4c,1.4d,1.4e,1.4f,5.4g,2.4h,2.4i,1.4j,2.4k,1.4l,3.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,1.4w,1.4x,1.4y,1.4z,1*3,3.50,3.51,3.52,1.53,2.54,1.55,1,2.56,m.4u,2.57,1.58,1.57,1,2,1,3.59,1.5a,1.5b,1.5c,1.5b,1.5d,1.5e,1.5f,1.5d,1,1.5g,1.5h,1.5i,1.5j,2.5k,2.5l,1.5m,1.5n,1,1.5o,2.5p,1.5q,1.5r,1.5s,1.5t,1.5u,1.5v,1.5s,1.5w,1.5x,1.5y,1.5z,1.60,1.61,1.62,1.63,1.64,3.65,1.66,1.67,1.68,2.69,1.6a,1.6b,1.6c,2.6d,1.6e,1.6f,1.6g,1.6h,1.6i,1.6j,3.6k,1.6l,1.6m,2.6n,1.6o,1.6p,3.6q,1.6r,1.6s,e.59,1.5p,1.6t,1.5n,2.6u,1*8,3,7.6v,1.6w,1.6x,1.6y,1.6z,1.70,1.71,2.72,1.73,1.74,1.75,1.76,2.77,1.78,1.79,3.7a,1.7b,2.7c,1.7d,1.7e,2.7f,1.7g,1.7h,1.7i,2.7j,5.7k,1,4.7l,2.7m,1.7n,1.7o,1.7p,1.7q,1.7r,1.7s,1.7t,2.7u,2.7v,4.7w,1.7x,2.7y,3.7z,i.80,2,2.81,2.82,1.83,2.84,1.85,8.86,1*3,2.87,1.88,1.89,2.8a,2.8b,1.8c,1.8d,1.8e,1.8f,1.8g,1.8h,2.8i,1.8j,1.8k,1.8l,1.8m,4.8n,1.8o,3.8p,1.8q,1.8r,1.8s,2.8t,1.8u,1.8v,19.8w,1.8x,2.8y,1.8z,1.90,1.91,1.92,1.93,1.94,1.95,1.96,1.97,1.98,1.99,1.9a,1.9b,1.9c,1.9d,1.9e,1.9f,1.9g,1.9h,4.9i,2.9j,3.9k,1w.9l,2,1*4,2*2,1*3,2,1,2,28,2.9m,1.9n,1.9o,1.9p,1.9q,1.9r,1.9s,1.9t,1.9u,1.9v,1.9w,1.9x,1.9y,1.9z,1.9v,1.a0,1.a1,1.a2,1.a3,1.a4,1.a5,1.a6,1.a7,1.a8,1.a9,1.a8,1.aa,1.ab,1.ac,1.ad,1.ae,1.af,1.ag,1.ah,1.ai,1.aj,1.ak,1.al,1.am,1.a5,1.an,1.ao,2.ap,1.aq,1.ar,1.as,2.at,1.au,1.av,1.aw,2.ax,1.ay,2.az,1.b0,1.b1,1.b2,1.b1,1,1.b3,1.b4,1.b5,1.b6,1.b7,1.b8,1.b9,1.ba,1.bb,1.bc,3.bd,1.be,1.bf,1.bg,1.bh,2.bi,1.bj,1.bk,1.bl,1.bm,1.bn,1.bo,1.bp,1.bq,1.br,1.bs,1.bt,1.bp,1.bu,1.bp,1.bv,1.bw,1.bp,1,7.3x,1,c,1,6,5*2,3,2,3.1r,1.3x,1,4,6,d.3d,m.bx,1.3x,1,2,1,1.3y,1.3x,1,2.by,1*c,3,1,3,1,21,1*3,4.bz,1.c0,1.c1,1.c2,1.c3,2.c4,1.c5,1.c6,1.c7,2.c8,1.c7,1.c9,1,1.ca,2.cb,1.cc,1.cd,1.ce,1.cf,1.cg,1.ch,2.ci,1.cj,1.ck,1.cl,2.cm,2.cn,1w.co,1*b,2,1*2,2,1*3,28.cp,1*2,7.cq,2.cr,1.cs,2,1.ct,2.cu,1.cv,1.cw,1,1.cx,1.cw,1*2,2.cy,5.cz,1.d0,1*2,2.d1,2.d2,3.d3,1.d4,1.d5,1.d6,1,1.d7,1.d8,1.d9,1.da,1.db,1.dc,1.dd,1.de,1.df,1.dg,1.dh,1.di,2.dj,1.dk,1.dl,1.dm,1.dn,1.do,1.dp,1.dq,1.dr,1.ds,t.d6,1,2.dt,1*5,e.du,2.dv,1.dw,1.dx,1.dy,1.dz,1.e0,2.e1,1.e2,1.e3,1.e4,2.e5,1.e6,1.e7,1.e8,1.e9,1.ea,2.eb,1.ec,1.ed,2.ee,2.ef,1.eg,1.eh,1.ei,1c.dt,1.ej,2.ek,1*7,1.el,2.em,1.en,2.eo,2.ep,3.el,1.eq,1.ek,1.er,5.es,3.et,3.eu,2.ev,3.ew,1.ex,4.ey,1.ez,3.f0,2.f1,1.f2,3.f3,3.f4,1.f5,1,2.f6,3.f7,1.f8,1.f9,3.fa,1.fb,2.fc,1.fd,1.fe,1.ff,1.fg,1.fa,2.fh,1.fi,1.fj,1.fk,1.fl,1.fm,1.fn,3.fo,1.fa,1.fp,1.fq,1.fr,1.f5,1.fs,1,1.ft,1.fu,2.fv,1.f5,2.fw,2.fx,1.fy,1.fz,1.g0,1.g1,1.g2,2.g3,1.g4,1.g5,2.g6,1.g7,1.g8,4.g9,1.ga,1.gb,1.gc,1.gd,1.ge,1.gf,1.gg,2.gh,1.gi,1.gj,1.gk,1.gl,3.gm,1t.gn,1*3,1.go,1.gn,1*3,5,3,24,2.go,2.gn,1*2,612.gp,2.gq,2.gr,1*2,4.gs,1.gt,1.gu,1.gv,1.gw,1,1.gx,3.gy,2.gz,2.h0,1.h1,3.h2,1.h3,1.h4,3.h5,1.h6,5.h7,1.h8,2.h9,5.ha,2.hb,1.hc,4.hd,1.he,3.hf,7.hg,8.hh,1.hi,b.hj,4.3x'],
+    HI: ['Aiea|Anahola|Captain Cook|Eleele|Ewa Beach|Kapolei|Haiku|Hakalau|Haleiwa|Hana|Hanalei|Hanamaulu|Hanapepe|Hauula|Hawaii National Park|Hawi|Hilo|Princeville|Holualoa|Honaunau|Honokaa|Honomu|Hoolehua|Kaaawa|Kahuku|Kahului|Kailua|Ocean View|Waikoloa|Keauhou|Kailua Kona|Kalaheo|Kalaupapa|Kamuela|Kaneohe|Kapaa|Kaumakani|Kaunakakai|Keaau|Kealakekua|Kealia|Kekaha|Kihei|Kilauea|Kapaau|Koloa|Kualapuu|Kunia|Kurtistown|Lahaina|Laie|Lanai City|Laupahoehoe|Lawai|Lihue|Makawao|Makaweli|Maunaloa|Mountain View|Naalehu|Ninole|Ookala|Paauilo|Pahala|Pahoa|Paia|Papaaloa|Papaikou|Pearl City|Pepeekeo|Puunene|Volcano|Wahiawa|Pukalani|Mililani|Kula|Waialua|Waianae|Wailuku|Waimanalo|Waimea|Waipahu|Honolulu|Hon|J B P H H|Wheeler Army Airfield|Schofield Barracks|Fort Shafter|Tripler Army Medical Center|Camp H M Smith|M C B H Kaneohe Bay|Wake Island',
+         '22m5.0,2.1,1.2,1.3,1.4,1.5,1.6,1.5,1.7,2.8,1.9,1.a,1.b,1.c,1.d,1.e,1.f,1.g,1,1.h,3.i,1.j,1.k,1.l,1.m,1.n,1.o,1.p,1,1.q,3.r,1.s,1.t,1.u,1.v,1.w,1.x,1.y,1.u,1.z,1.10,1.11,1.12,1.13,1.14,1.15,1.16,1.17,1.18,1.19,1.1a,2.1b,1.1c,1.1d,1.1e,1.1f,1.1g,1.1h,1.1i,1.1d,1.1j,1.1k,1.1l,1.1m,1.1n,1.1o,1.1p,2.1q,1.1r,1.1s,1.1t,1.1u,1.1v,1.1w,1.1x,1.1y,1.1z,1.20,2.21,1.22,1.23,1.24,1.25,1.26,2.27,1.28,1.29,4.2a,1*p,1.2b,1.2a,2,5.2b,1.2a,1*5,2,1,2,1*4,3.2c,1.2d,3.2e,1.2f,1.2g,1.2c,1.2h,2.2i,z.2j'],
+    ID: ['Pocatello|Fort Hall|Aberdeen|American Falls|Arbon|Arco|Arimo|Atomic City|Bancroft|Basalt|Bern|Blackfoot|Bloomington|Challis|Clayton|Clifton|Cobalt|Conda|Dayton|Dingle|Downey|Ellis|Firth|Franklin|Geneva|Georgetown|Grace|Holbrook|Howe|Inkom|Lava Hot Springs|Mccammon|Mackay|Malad City|May|Montpelier|Moore|Moreland|Paris|Pingree|Preston|Rockland|Saint Charles|Shelley|Soda Springs|Springfield|Stanley|Swanlake|Thatcher|Wayan|Weston|Fish Haven|Twin Falls|Rogerson|Albion|Almo|Bellevue|Bliss|Buhl|Burley|Carey|Castleford|Corral|Declo|Dietrich|Eden|Fairfield|Filer|Gooding|Hagerman|Hailey|Hansen|Hazelton|Heyburn|Hill City|Jerome|Ketchum|Kimberly|Malta|Minidoka|Murtaugh|Oakley|Paul|Picabo|Richfield|Rupert|Shoshone|Sun Valley|Wendell|Idaho Falls|Ashton|Chester|Driggs|Dubois|Felt|Hamer|Iona|Irwin|Island Park|Lewisville|Macks Inn|Menan|Monteview|Newdale|Parker|Rexburg|Rigby|Ririe|Roberts|Saint Anthony|Spencer|Sugar City|Swan Valley|Terreton|Teton|Tetonia|Ucon|Victor|Carmen|Gibbonsville|Leadore|Lemhi|North Fork|Salmon|Tendoy|Shoup|Lewiston|Ahsahka|Cottonwood|Craigmont|Culdesac|Elk City|Ferdinand|Grangeville|Fenn|Greencreek|Juliaetta|Kamiah|Kendrick|Kooskia|Lapwai|Lenore|Lucile|Nezperce|Orofino|Peck|Pierce|Pollock|Reubens|Riggins|Stites|Weippe|White Bird|Winchester|Atlanta|Banks|Bruneau|Caldwell|Cambridge|Cascade|Council|Donnelly|Eagle|Emmett|Fruitland|Garden Valley|Glenns Ferry|Grand View|Greenleaf|Hammett|Homedale|Horseshoe Bend|Huston|Idaho City|Indian Valley|King Hill|Kuna|Lake Fork|Letha|Lowman|Mccall|Marsing|Melba|Meridian|Mesa|Middleton|Midvale|Mountain Home|Mountain Home A F B|Murphy|Nampa|New Meadows|New Plymouth|Notus|Ola|Parma|Payette|Placerville|Star|Sweet|Warren|Weiser|Wilder|Yellow Pine|Boise|Garden City|West One Bank|Athol|Avery|Bayview|Blanchard|Bonners Ferry|Bovill|Calder|Careywood|Cataldo|Clark Fork|Clarkia|Cocolalla|Coeur D Alene|Coolin|Oldtown|Deary|Desmet|Dover|Eastport|Elk River|Fernwood|Genesee|Harrison|Harvard|Hayden|Hope|Kellogg|Kingston|Kootenai|Laclede|Medimont|Moscow|Moyie Springs|Mullan|Naples|Nordman|Osburn|Pinehurst|Plummer|Ponderay|Porthill|Post Falls|Potlatch|Priest River|Princeton|Rathdrum|Sagle|Saint Maries|Sandpoint|Colburn|Santa|Silverton|Smelterville|Spirit Lake|Tensed|Troy|Viola|Wallace|Murray|Worley',
+         '1s75.0,1,1.1,1.0,1*2,3,1.2,1.3,1.4,1.5,1.6,1.7,2.8,1.9,2.a,1.b,2.c,3.d,1.e,1.f,1.g,1.h,2.i,1.j,1.k,1.l,1.m,1.n,1.o,1.p,2.q,2.r,1.s,1.t,1.u,4.v,1.w,1.x,1.y,1.z,1.10,1.11,5.12,1.13,1.14,8.15,1.16,2.17,2.18,1.19,1.1a,3.1b,2.1c,2.1d,1.1e,1.1f,e.1g,1.1h,1.1g,8.1i,1.1j,1.1k,1.1l,2.1m,2.1n,2.1o,1.1p,1.1q,1.1r,1.1s,1.1t,2.1u,1.1v,2.1w,2.1x,1.1y,1.1z,1.20,1.21,1.22,1.23,2.24,1.25,1.26,1.27,1.28,2.29,1.2a,1.2b,1.2c,1.2d,2.2e,1.2f,1,1.2g,1a.2h,1*5,9,5.2i,1.2j,1.2k,1.2l,1.2m,1.2n,2.2o,1.2p,1.2q,2.2r,2.2s,1.2t,1.2u,1.2v,2.2w,2.2x,1,1.2y,1.2z,1.30,1.31,1.32,2.33,1.34,1.35,1.36,1.37,2.38,1.39,5.2x,2.3a,1.3b,1.3c,1.3d,1.3e,1.3f,1.3g,1.3h,w.3i,j.3j,2.3k,1.3l,1.3m,1.3n,1.3o,4.3p,1.3q,2.3r,2.3s,1.3t,1.3u,2.3v,1.3w,1.3x,1.3y,1.3z,1.40,1.41,1.42,1.43,1.44,1.45,3.46,1.47,1.48,1.49,1a.4a,1.4b,2.4c,1.4d,1*2,3.4e,1.4f,1.4g,3.4h,1.4i,1.4j,2.4k,3.4l,1.4m,1.4n,2.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,1.4w,1.4x,1.4y,1.4z,1.50,1.51,2.52,1.53,1.54,1.55,1.56,1.53,1.57,1.58,2.59,1.5a,1*2,1.5b,1.5c,1.5d,1.5e,3.5f,1.5g,5.5h,3.5i,1.5j,1.5k,1.5l,4.5m,1.5n,3.53,6.5a,1,e.5o,1*8,2,1*2,1.5p,1.5o,1*2,2,1*3,2,1*8,1.5q,2.5o,l,1,16,2.5r,1.5s,1.5t,1.5u,1.5v,1.5w,2.5x,1.5y,1.5z,1.60,1.61,1.62,1.63,1*2,5.64,1.65,1.66,1.67,1.68,1.69,1.6a,3.6b,2.6c,1.6d,1.6e,1.6f,1.6g,1.6h,2.6i,1.6j,1.6k,1.6l,1.6m,1,1.6n,1.6o,1.6p,1.6q,1.6r,1.6s,1.6t,1.6u,1.6v,1.6w,1.6x,1.6y,1.6z,1.70,2.71,1.72,3.73,1.74,1.75,1.76,1.77,1.78,1.79,1.7a,1.7b,1.7c,1.7d,2.7e,1.6w'],
+    IL: ['Alden|Antioch|Arlington Heights|Elk Grove Village|Rolling Meadows|Barrington|Crystal Lake|Cary|Deerfield|Des Plaines|Fox Lake|Fox River Grove|Glencoe|Glenview|Golf|Grayslake|Gurnee|Harvard|Hebron|Highland Park|Fort Sheridan|Palatine|Highwood|Ingleside|Island Lake|Kenilworth|Lake Bluff|Lake Forest|Lake Villa|Lake Zurich|Libertyville|Kemper Ins Co|Mchenry|Morton Grove|Mount Prospect|Mundelein|Vernon Hills|Northbrook|North Chicago|Park Ridge|Lincolnshire|Prospect Heights|Richmond|Ringwood|Round Lake|Russell|Skokie|Waukegan|Spring Grove|Techny|Wadsworth|Wauconda|Great Lakes|Buffalo Grove|Wheeling|Wilmette|Winnetka|Winthrop Harbor|Wonder Lake|Woodstock|Zion|Addison|Algonquin|Bartlett|Bellwood|Bensenville|Streamwood|Bloomingdale|Burlington|Carpentersville|Clare|Cortland|Creston|Dekalb|Carol Stream|Dundee|Elburn|Elgin|Elmhurst|Esmond|Forest Park|Franklin Park|Hanover Park|Geneva|Genoa|Gilberts|Glen Ellyn|Glendale Heights|Hampshire|Hines|Huntley|Itasca|Kaneville|Kingston|Kirkland|Lafox|Lombard|Malta|Maple Park|Marengo|Maywood|Westchester|Broadview|Lake In The Hills|Medinah|Schaumburg|Melrose Park|Hillside|Berkeley|Stone Park|Hoffman Estates|Plato Center|River Grove|Roselle|Saint Charles|Schiller Park|South Elgin|Sycamore|Union|Villa Park|Wasco|Wayne|West Chicago|Wheaton|Winfield|Wood Dale|Evanston|Chicago|Oak Park|River Forest|Beecher|Berwyn|Crest Hill|Shorewood|Blue Island|Braceville|Braidwood|Calumet City|Channahon|Chicago Heights|Chicago Ridge|Coal City|Crete|Crestwood|Dolton|Dwight|Elwood|Flossmoor|Frankfort|Gardner|Glenwood|Harvey|Markham|Hazel Crest|Homewood|Joliet|Kinsman|Lansing|Lemont|Bolingbrook|Lockport|Manhattan|Matteson|Mazon|Midlothian|Romeoville|Minooka|Mokena|Monee|Morris|New Lenox|Oak Forest|Oak Lawn|Bridgeview|Hometown|Hickory Hills|Justice|Burbank|Odell|Olympia Fields|Orland Park|Palos Heights|Palos Park|Palos Hills|Park Forest|Peotone|Posen|Ransom|Richton Park|Robbins|South Holland|South Wilmington|Steger|Thornton|Tinley Park|Country Club Hills|Verona|Willow Springs|Wilmington|Worth|University Park|Homer Glen|Bedford Park|Summit Argo|Aurora|Batavia|Big Rock|Bristol|Brookfield|Clarendon Hills|Downers Grove|Woodridge|Earlville|Eola|Hinckley|Hinsdale|Oak Brook|La Grange|La Grange Park|Willowbrook|Lee|Leland|Lisle|Lyons|Millbrook|Millington|Montgomery|Mooseheart|Naperville|Newark|North Aurora|Oswego|Plainfield|Plano|Riverside|Sandwich|Serena|Shabbona|Sheridan|Somonauk|Steward|Sugar Grove|Warrenville|Waterman|Wedron|Western Springs|Westmont|Yorkville|Darien|Lions International|Fox Valley|Sbc|Harwood Heights|Elmwood Park|Lincolnwood|Niles|Alsip|Cicero|Evergreen Park|Riverdale|Kankakee|Aroma Park|Ashkum|Beaverville|Bonfield|Bourbonnais|Bradley|Buckingham|Buckley|Cabery|Campus|Chatsworth|Chebanse|Cissna Park|Claytonville|Clifton|Crescent City|Cullom|Danforth|Donovan|East Lynn|Elliott|Emington|Essex|Gibson City|Gilman|Goodwine|Grant Park|Herscher|Hoopeston|Hopkins Park|Iroquois|Kempton|Loda|Ludlow|Manteno|Martinton|Melvin|Milford|Momence|Onarga|Papineau|Paxton|Pembroke Township|Piper City|Rankin|Reddick|Roberts|Rossville|Saint Anne|Sheldon|Stockland|Thawville|Union Hill|Watseka|Wellington|Woodland|Apple River|Ashton|Baileyville|Belvidere|Byron|Caledonia|Capron|Cedarville|Chadwick|Chana|Cherry Valley|Dakota|Davis|Davis Junction|Dixon|Durand|East Dubuque|Eleroy|Elizabeth|Forreston|Franklin Grove|Freeport|Galena|Galt|Garden Prairie|German Valley|Hanover|Harmon|Holcomb|Kent|Lanark|Leaf River|Lena|Lindenwood|Mc Connell|Milledgeville|Monroe Center|Mount Carroll|Mount Morris|Nachusa|Nora|Orangeville|Oregon|Pearl City|Pecatonica|Polo|Poplar Grove|Ridott|Rochelle|Rock City|Rock Falls|Rockton|Roscoe|Savanna|Scales Mound|Seward|Shannon|Shirland|South Beloit|Sterling|Stillman Valley|Stockton|Warren|Winnebago|Winslow|Woosung|Rockford|Loves Park|Machesney Park|Rock Island|Albany|Aledo|Andalusia|Andover|Annawan|Atkinson|Barstow|Buffalo Prairie|Cambridge|Carbon Cliff|Coal Valley|Colona|Cordova|Deer Grove|East Moline|Erie|Fenton|Fulton|Geneseo|Hampton|Hillsdale|Hooppole|Illinois City|Joy|Lyndon|Lynn Center|Matherville|Milan|Moline|Morrison|New Boston|Orion|Osco|Port Byron|Preemption|Prophetstown|Rapids City|Reynolds|Sherrard|Silvis|Tampico|Taylor Ridge|Thomson|La Salle|Amboy|Ancona|Arlington|Blackstone|Buda|Bureau|Cedar Point|Cherry|Compton|Cornell|Dalzell|Dana|Depue|Dover|Eldena|Grand Ridge|Granville|Hennepin|Kasbeer|Ladd|La Moille|Lee Center|Leonore|Long Point|Lostant|Mc Nabb|Magnolia|Malden|Manlius|Mark|Marseilles|Mendota|Mineral|Neponset|New Bedford|Oglesby|Ohio|Ottawa|Paw Paw|Peru|Princeton|Rutland|Seatonville|Seneca|Sheffield|Spring Valley|Standard|Streator|Sublette|Tiskilwa|Toluca|Tonica|Triumph|Troy Grove|Utica|Van Orin|Varna|Walnut|Wenona|West Brooklyn|Wyanet|Galesburg|Abingdon|Adair|Alexis|Alpha|Altona|Avon|Bardolph|Berwick|Biggsville|Bishop Hill|Blandinsville|Bradford|Bushnell|Cameron|Camp Grove|Carman|Castleton|Cuba|Dahinda|East Galesburg|Ellisville|Fairview|Fiatt|Galva|Gerlaw|Gilson|Gladstone|Good Hope|Henderson|Industry|Ipava|Keithsburg|Kewanee|Kirkwood|Knoxville|La Fayette|La Harpe|Laura|Littleton|Little York|Lomax|Macomb|Maquon|Marietta|Media|Monmouth|New Windsor|North Henderson|Oneida|Ophiem|Oquawka|Prairie City|Raritan|Rio|Roseville|Saint Augustine|Sciota|Seaton|Smithfield|Smithshire|Speer|Stronghurst|Table Grove|Toulon|Vermont|Victoria|Viola|Wataga|Williamsfield|Woodhull|Wyoming|Astoria|Benson|Brimfield|Bryant|Canton|Chillicothe|Dunfermline|Dunlap|Edelstein|Edwards|Elmwood|Eureka|Farmington|Forest City|Glasford|Green Valley|Groveland|Hanna City|Henry|Kingston Mines|Lacon|La Rose|Lewistown|Liverpool|London Mills|Lowpoint|Manito|Mapleton|Metamora|Morton|Mossville|Norris|Pekin|Princeville|Putnam|Roanoke|Rome|Saint David|South Pekin|Sparland|Topeka|Tremont|Trivoli|Washburn|Washington|Yates City|Peoria|Creve Coeur|East Peoria|Peoria Heights|Bloomington|Anchor|Armington|Arrowsmith|Atlanta|Bellflower|Carlock|Chenoa|Clinton|Colfax|Congerville|Cooksville|Cropsey|Danvers|Deer Creek|Delavan|Dewitt|Downs|Ellsworth|El Paso|Fairbury|Flanagan|Forrest|Goodfield|Graymont|Gridley|Heyworth|Hopedale|Hudson|Kenney|Lane|Lawndale|Le Roy|Lexington|Mc Lean|Mackinaw|Maroa|Merna|Minier|Minonk|Normal|Pontiac|Saunemin|Saybrook|Secor|Shirley|Sibley|Stanford|Strawn|Towanda|Wapella|Waynesville|Urbana|Allerton|Alvin|Armstrong|Bement|Bismarck|Bondville|Broadlands|Catlin|Cerro Gordo|Champaign|Cisco|Collison|Danville|Tilton|De Land|Dewey|Fairmount|Farmer City|Fisher|Fithian|Foosland|Georgetown|Gifford|Henning|Homer|Indianola|Ivesdale|Longview|Mahomet|Mansfield|Milmine|Monticello|Muncie|Oakwood|Ogden|Penfield|Pesotum|Philo|Potomac|Rantoul|Ridge Farm|Royal|Sadorus|Saint Joseph|Savoy|Seymour|Sidell|Sidney|Thomasboro|Tolono|Weldon|Westville|White Heath|Arcola|Arthur|Ashmore|Atwood|Bethany|Brocton|Camargo|Charleston|Chrisman|Dalton City|Gays|Hammond|Hindsboro|Humboldt|Hume|Kansas|La Place|Lovington|Mattoon|Metcalf|Murdock|Newman|Oakland|Paris|Redmon|Sullivan|Tuscola|Vermilion|Villa Grove|Windsor|Alhambra|Alton|Batchtown|Benld|Bethalto|Bingham|Brighton|Brussels|Bunker Hill|Butler|Carrollton|Coffeen|Cottage Hills|Donnellson|Dorsey|Dow|Eagarville|East Alton|Edwardsville|Eldred|Elsah|Fidelity|Fieldon|Fillmore|Gillespie|Glen Carbon|Godfrey|Golden Eagle|Grafton|Granite City|Greenfield|Hamburg|Hamel|Hardin|Hartford|Hillsboro|Hillview|Irving|Jerseyville|Kampsville|Kane|Litchfield|Livingston|Lovejoy|Madison|Marine|Maryville|Medora|Michael|Moro|Mount Olive|Mozier|National Stock Yards|New Douglas|Nokomis|Ohlman|Panama|Patterson|Piasa|Ramsey|Rockbridge|Roodhouse|Rosamond|Roxana|Sawyerville|Sorento|South Roxana|Staunton|Taylor Springs|Venice|Walshville|White Hall|Wilsonville|Witt|Wood River|Worden|Wrights|East Saint Louis|Fairview Heights|Addieville|Albers|Aviston|Baldwin|Bartelso|Beckemeyer|Belleville|Mascoutah|Scott Air Force Base|Breese|Carlyle|Caseyville|Chester|Collinsville|Columbia|Coulterville|Cutler|Dupo|East Carondelet|Ellis Grove|Evansville|Freeburg|Fults|Germantown|Greenville|Hagarstown|Hecker|Highland|Hoffman|Huey|Keyesport|Lebanon|Lenzburg|Maeystown|Marissa|Menard|Millstadt|Modoc|Mulberry Grove|Nashville|New Athens|New Baden|New Memphis|Oakdale|O Fallon|Okawville|Percy|Pierron|Pinckneyville|Pocahontas|Prairie Du Rocher|Red Bud|Renault|Rockwood|Saint Jacob|Saint Libory|Smithboro|Smithton|Sparta|Steeleville|Summerfield|Tilden|Trenton|Troy|Valmeyer|Walsh|Waterloo|Quincy|Augusta|Barry|Basco|Baylis|Bowen|Camden|Camp Point|Carthage|Chambersburg|Clayton|Coatsburg|Colchester|Colusa|Dallas City|Elvaston|Ferris|Fowler|Golden|Griggsville|Hamilton|Hull|Huntsville|Kinderhook|La Prairie|Liberty|Lima|Loraine|Mendon|Milton|Mount Sterling|Nauvoo|Nebo|New Canton|New Salem|Niota|Paloma|Payson|Pearl|Perry|Pittsfield|Plainville|Pleasant Hill|Plymouth|Rockport|Sutter|Tennessee|Timewell|Ursa|Versailles|Warsaw|West Point|Effingham|Allendale|Altamont|Annapolis|Beecher City|Bridgeport|Brownstown|Calhoun|Casey|Claremont|Cowden|Dennison|Dieterich|Dundas|Edgewood|Flat Rock|Greenup|Herrick|Hidalgo|Hutsonville|Ingraham|Janesville|Jewett|Lakewood|Lawrenceville|Lerna|Marshall|Martinsville|Mason|Mode|Montrose|Mount Erie|Neoga|Newton|Oblong|Olney|Palestine|Parkersburg|Robinson|Saint Elmo|Sainte Marie|Saint Francisville|Shumway|Sigel|Stewardson|Stoy|Strasburg|Sumner|Teutopolis|Toledo|Trilla|Vandalia|Watson|Westfield|West Liberty|West Salem|West Union|West York|Wheeler|Willow Hill|Yale|Argenta|Assumption|Beason|Blue Mound|Boody|Buffalo|Bulpitt|Chestnut|Cornland|Dawson|Decatur|Divernon|Edinburg|Elwin|Farmersville|Findlay|Forsyth|Glenarm|Harristown|Harvel|Illiopolis|Kincaid|Lake Fork|Latham|Macon|Mechanicsburg|Morrisonville|Mount Auburn|Mount Pulaski|Mt Zion|Moweaqua|Niantic|Oconee|Oreana|Owaneco|Palmer|Pana|Pawnee|Raymond|Riverton|Rochester|Shelbyville|Stonington|Taylorville|Tovey|Tower Hill|Waggoner|Warrensburg|Alexander|Alsey|Arenzville|Ashland|Athens|Auburn|Bath|Beardstown|Bluffs|Bluff Springs|Browning|Cantrall|Carlinville|Chandlerville|Chapin|Chatham|Chesterfield|Concord|Easton|Elkhart|Emden|Franklin|Frederick|Girard|Greenview|Hartsburg|Havana|Hettick|Jacksonville|Kilbourne|Lincoln|Lincolns New Salem|Literberry|Loami|Lowder|Manchester|Mason City|Meredosia|Middletown|Modesto|Murrayville|New Berlin|New Holland|Nilwood|Oakford|Palmyra|Petersburg|Pleasant Plains|Rushville|San Jose|Scottville|Sherman|Shipman|Tallula|Thayer|Virden|Virginia|Waverly|Williamsville|Winchester|Woodson|Springfield|Centralia|Hoyleton|Akin|Albion|Alma|Ashley|Barnhill|Belle Rive|Bellmont|Benton|Bluford|Bone Gap|Bonnie|Broughton|Browns|Buckner|Burnt Prairie|Carmi|Christopher|Cisne|Clay City|Coello|Crossville|Dahlgren|Dale|Dix|Du Bois|Du Quoin|Ellery|Emma|Enfield|Ewing|Fairfield|Farina|Flora|Frankfort Heights|Freeman Spur|Geff|Golden Gate|Grayville|Ina|Irvington|Iuka|Johnsonville|Keenes|Keensburg|Kell|Kinmundy|Lancaster|Logan|St James|Louisville|Mc Leansboro|Macedonia|Maunie|Mill Shoals|Mount Carmel|Mount Vernon|Mulkeytown|Nason|New Haven|Noble|Norris City|Odin|Omaha|Opdyke|Orient|Patoka|Radom|Richview|Rinard|Sailor Springs|Saint Peter|Salem|Sandoval|Scheller|Sesser|Shobonier|Sims|Springerton|Tamaroa|Texico|Thompsonville|Valier|Vernon|Walnut Hill|Waltonville|Wayne City|West Frankfort|Whittington|Woodlawn|Xenia|Carbondale|Alto Pass|Anna|Ava|Belknap|Boles|Brookport|Buncombe|Cairo|Cambria|Campbell Hill|Carrier Mills|Carterville|Cave In Rock|Cobden|Colp|Creal Springs|Cypress|De Soto|Dongola|Dowell|Eddyville|Eldorado|Elizabethtown|Elkville|Energy|Equality|Galatia|Golconda|Goreville|Gorham|Grand Chain|Grand Tower|Grantsburg|Harrisburg|Herod|Herrin|Hurst|Jacob|Johnston City|Jonesboro|Joppa|Junction|Karbers Ridge|Karnak|Mc Clure|Makanda|Marion|Metropolis|Millcreek|Miller City|Mound City|Mounds|Muddy|Murphysboro|New Burnside|Olive Branch|Olmsted|Oraville|Ozark|Perks|Pittsburg|Pomona|Pulaski|Raleigh|Ridgway|Rosiclare|Royalton|Shawneetown|Simpson|Stonefort|Tamms|Thebes|Ullin|Unity|Vergennes|Vienna|Villa Ridge|Willisville|Wolf Lake|Zeigler',
+         '1aap.0,1.1,2.2,1*2,1.3,1.4,1.3,1.5,1,1.6,1.7,1.6,1.8,1.9,1*3,1.a,1.b,1.c,3.d,1,3.e,1.f,1.g,2.h,1.i,1.j,2.k,1.l,1.6,1.m,1.n,1.o,1.p,1.q,1.r,1.s,1.t,1.u,1.v,1.w,1,2.x,2.l,1.y,4.z,1.10,1.11,2.12,1.11,2.l,1.13,1.14,1.15,1.16,1.17,1.18,1.l,1.19,1.1a,1,1.l,1.1b,2.1c,1.1d,1.1e,1.1f,1.1b,1.12,1.1b,1.1g,1.1h,1.1i,1.1j,1.u,1.1k,1.l,1,1.1l,1.1m,1.1n,1.1o,2.1p,1.1q,1.1r,1.1s,1.1t,1,1.1u,1.1v,1.1w,1.1x,1.1y,1.1z,1.20,2.21,1.22,1.1v,1.23,1.24,1.25,1,1.22,1.25,1,1.22,1.26,2.22,1.27,1.28,1.29,1.22,1.2a,1.2b,1.2c,1.2d,1.2e,1,1.2f,1.2g,1.2h,1.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,2.2p,1.2q,1.2r,1.2s,1.2t,1.2u,1.2v,1.2w,2.2x,1.2y,1,1.2z,1.30,1.2y,1.31,3.2x,1.32,1.33,1.34,1.35,1.2x,1.36,1,1.37,1.38,1.39,1.32,1.3a,1.3b,2.3c,1.3d,1.3e,1,1.3f,1.22,1.3f,1.3g,1.3h,1.32,1.2x,1*3,1.22,2,2.3i,1*3,4,1,29.3j,b.3k,1*3,1.3l,2m.3h,2.3m,1.3n,1.3o,1.3p,2.3q,1.3r,1.3s,1.3t,1.3u,1.3v,1,3.3w,1.3x,1.3y,1.3z,1.40,1.41,1.42,1.43,1.44,1.45,1.46,1.47,2.48,1.49,1.4a,1.4b,1*5,1.4c,1.4d,1.4e,1.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1,1.4t,1.4u,1.4v,1.4w,1.4x,1.4y,1.4z,1.50,1.51,1.52,1.53,1.54,1.50,1.55,1.56,1.57,1.58,1.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,1.5h,1.5i,1.5j,2.5k,3.5e,3.4f,1.5l,8.5m,2.5n,1.5o,1*5,3.5p,1.5q,1.5r,1.5s,1.5t,1.5u,1,1.5v,1.5w,1.5x,1.5y,1.5z,1,1.60,2.61,1.62,1.63,3.64,1.65,1.66,2.67,2.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,1.6f,1.6g,1.6h,1.6i,2.6j,1.6k,1.6l,1.6m,1.6n,1.6o,1.6p,1.6q,1.6r,1.6s,1.6t,1.6u,1.6v,1.6w,2.6c,1*4,1.5o,1,1.6x,2.5o,d.6g,1,b.6y,1.5o,1.6y,2.3j,1*p,2,1*6,2,1*b,2*2,1*6,2,1*2,2.6z,1.3j,2*2,1*2,3,1*2,2,1*5,2,1*7,2,1*4,2*2,5.70,1.71,5.72,2.73,2h.74,1.75,1.76,m.77,22.78,9.79,1.7a,1.7b,1.7c,1.7d,1.7e,2.7f,1.7g,1.7h,1.7i,1.7j,1.7k,2.7l,2.7m,1.7n,1.7o,1.7p,1.7q,1.7r,1.7s,1.7t,1.7u,1.7v,1.7w,2.7x,1.7y,1.7z,1.80,1.81,2.82,1.83,1.84,2.85,1.86,1.87,1.88,1.89,1.8a,1.8b,1.8c,1.8d,1.8e,1.8f,1.8g,1.8h,1.8i,1.8j,1.8k,1.8l,2.8m,1.8n,1.8o,1.8p,1.8q,3.8r,1.8s,r.8t,5.8u,1.8v,1.8w,2.8x,1.8y,1.8z,1.90,1.91,1.92,1.93,2.94,1.95,1.96,1.97,3.98,1.99,2.9a,1.9b,2.9c,1.9d,1.9e,4.9f,1.9g,1.9h,1.9i,2.9j,1.9k,1.9l,1.9m,2.9n,1.9o,1.9p,1.9q,1.9r,1.9s,1.9t,1.9u,1.9v,3.9w,2.9x,1.9y,1.9z,1.a0,1.a1,1.a2,1.a3,2.a4,1.a5,2.a6,1.a7,1.a8,1.a9,1.aa,1.ab,2.ac,1.ad,1.ae,1.af,1.ag,3.ah,1.ai,2.aj,1.ak,1.al,2.am,a.an,1*9,1.ao,1.an,2,1.ap,a.an,1,4.ao,1*2,1x.aq,3,q.ar,1.as,1.at,1.au,1.av,1.aw,1.ax,1.ay,1.az,1.b0,1.b1,1.b2,1.b3,1.b4,1.b5,6.b6,1.b7,1.b8,2.b9,2.ba,1.bb,1.bc,1.bd,1.be,1.bf,1.bg,1.bh,1.bi,1.bj,1,4.bk,2.bl,1.bm,1.bn,1.bo,1.bp,1.bq,1.br,1.bs,2.bt,1.bu,1.bv,1.bw,1.bx,e.aq,2.by,9.bz,1.c0,1.c1,1.c2,1.c3,1.c4,1.c5,1.c6,1.c7,1.c8,1.c9,1.ca,1.cb,1.cc,1.cd,1.ce,1.cf,1.cg,1.ch,1.ci,1.cj,1.ck,1.cl,1.cm,1.cn,1.co,1.cp,1.cq,1.cr,2.cs,1.ct,1.cu,2.cv,1.cw,1.cx,2.cy,1.cz,1.d0,3.d1,1.d2,2.d3,2.d4,1.d5,1.d6,1.d7,1.d8,1.d9,1.da,3.db,1.dc,1.dd,1.de,1.df,1.dg,1.dh,1.di,1.dj,1.dk,1.dl,1.dm,1.dn,m.do,1,8.dp,1.dq,1.dr,1.ds,1.dt,1.du,1.dv,1.dw,1.dx,1.dy,1.dz,1.e0,1.e1,1.e2,1.e3,1.e4,1.e5,1.e6,1.e7,2.e8,1.e9,1.ea,1.eb,1.ec,1.ed,1.ee,1.ef,1.eg,1.eh,1.ei,1.ej,1.ek,1.el,4.em,1.en,1.eo,1.ep,1.eq,1.er,1.es,1.et,1.eu,3.ev,1.ew,1.ex,2.ey,3.ez,1.f0,1.f1,1.f2,1.f3,1.f4,1.f5,1.f6,1.f7,1.f8,1.f9,1.fa,1.fb,1.fc,1.fd,1.fe,2.ff,1.fg,1.fh,1.fi,1.fj,2.fk,1.fl,1.fm,1.fn,a.fo,f.fp,1.fq,2.fr,1.fs,3.ft,1.fu,1.fv,1.fw,2.fx,1.fy,1.fz,1.g0,1.g1,1.g2,1.g3,1.g4,1.g5,1.g6,2.g7,1.g8,1.g9,1.ga,1.gb,1.gc,1.gd,1.ge,1.gf,1.gg,2.gh,2.gi,1.gj,1.gk,1,3,1.gl,1.gm,1.gn,1.go,1.gp,1.gq,1.gr,2.gs,1.gt,1.gu,1.gv,1.gw,1.gx,t.gy,1*6,3.gz,1.h0,1.gy,1*3,1.h1,9.gy,4,1,3,1,1.h0,1.gy,1*3,2*2,7,1*6,19.h2,1,2,1,4,1,a.h3,1.h4,1.h5,1.h6,1.h7,1.h8,1.h9,1.ha,1.hb,1.hc,1.hd,1.he,1.hf,1.hg,1.hh,1.hi,1.hj,1.hk,1.hl,1.hm,1.hn,1.ho,1.hp,1.hq,1.hr,1.hs,2.ht,1.hu,1.hv,1.hw,1.hx,1.hy,1.hz,1.i0,1.i1,1.i2,2.i3,1.i4,1.i5,1.i6,3.i7,5.i8,1.i9,1.ia,1.ib,1.ic,1.id,1.ie,1.if,1.ig,1.ih,c.i6,1.h2,8,2.ii,1*2,7.ij,1.ik,1.il,1.im,1.in,1.io,1.ip,1.iq,1.ir,2.is,1*2,2,1*2,4.it,1.iu,1.iv,1.iw,1.iv,5.ix,1.iy,1.iz,1.j0,1.j1,1.j2,1.j3,1.j4,1.j5,1.j6,1.j7,1.j8,1.j9,1.ja,1.jb,1.jc,1.jd,1.je,1.jf,1.jg,1.jh,3.ji,1.jj,1.jk,1.jl,1.jm,4.jn,1.jo,1.jp,1.jq,1.jr,1.js,1.jt,1.ju,1.jv,2.jw,2.jx,1.jy,1.jz,q.k0,1.k1,1.k2,1.k3,1.k4,3.k5,2.k6,1.k7,4.k8,1.k9,3.ka,1.kb,1.kc,1.kd,1.ke,1.kf,3.kg,1.kh,1.ki,2.kj,1.kk,1.kl,1.km,1.kn,5.ko,2.kp,2.kq,2.kr,1.ks,1.kt,18.ku,1.kv,4.kw,3.kx,1.ky,1.kz,1.l0,1.l1,1.l2,1.l3,1.l4,1.l5,1.l6,1.l7,2.l8,1.l9,1.la,1.lb,1.lc,1,1.ld,1.le,2.lf,1.lg,1.lh,1.li,1.lj,1.lk,1.ll,1.lm,3.ln,4.lo,1.lp,1.lq,1.lr,1.ls,1.lt,1.lu,1.lv,1.lw,1.lx,1.ly,2.lz,2.m0,1.m1,1.m2,1.m3,1.m4,1.m5,2.m6,2.m7,2.m8,1.m9,1.ma,3.mb,1.mc,1.md,1.me,1.mf,1.mg,1.mh,1.mi,1.mj,1.mk,1.ml,1.mm,1.mn,1.mo,1.mp,1.mq,1.mr,1.ms,1.mt,1.mu,1.mv,1.mw,2.mx,1.my,2v.mz,1*6,1.n0,6.n1,1.n2,1.n3,1.n4,1.n5,1.n6,1.n7,1*3,1.n8,1.n9,1.n7,4.na,1.nb,1.nc,1.nd,1.ne,2.nf,1.ng,1.nh,1.ni,1.nj,1.nk,1.nl,1.nm,1.nn,1.no,1.np,1.nq,1.nr,1.ns,1.nt,2.nu,1.nv,1.nw,1.nx,1.ny,1.nz,1.n8,1.o0,1.o1,1.o2,1.o3,1.o4,1.o5,1.o6,1.o7,2.o8,1.o9,2.oa,1.ob,1.oc,1.od,1.oe,2.of,1.og,1.oh,1.oi,1.oj,1.ok,2.ol,1.om,1.on,2.oo,1.op,3.oq,1.or,1.os,1.ot,2.ou,1.ov,3.ow,4,1,5.ox,1.oy,1.oz,1.p0,2.p1,3.p2,1.p3,1.p4,2.p5,1.p6,1.p7,1.p8,3.p9,1.pa,4.pb,2.pc,2.pd,1.pe,1.pf,1.pg,2.ph,1.pi,1.pj,1.pk,1.pl,1.pm,1.pn,2.po,1.pp,1.pq,1.pr,1.ps,1.pt,1.pu,1.pv,1.pw,1.px,1.py,1.pz,1.q0,2.q1,1.q2,1.q3,3.q4,3.q5,1.q6,1.q7,1.q8,2.q9,1.qa,1.qb,l.qc,9.qd,1.qe,2.qf,1.qg,3.qh,1.qi,1.qj,1.qk,1.ql,1.qm,1.qn,1.qo,1.qp,1.qq,1.qr,1.qs,3.qt,1.qu,1.qv,1.qw,1.qx,1.qy,2.qz,1.r0,1.r1,1.r2,1.r3,1.r4,1.r5,1.r6,1.r7,1.r8,1.r9,1.ra,1.rb,1.rc,1.rd,2.re,4.rf,1.rg,1.rh,1.ri,1.rj,1.rk,1.rl,1.rm,1.rn,1.ro,1.rp,1.rq,2.rr,2.rs,1.rt,1.ru,1.rv,1.rw,1.rx,1.ry,1.rz,1.s0,k.s1,9.s2,2.s3,1.s4,1.s5,1.s6,2.s7,1.s8,1.s9,1.sa,1.sb,1*5,4.sc,1.sd,1.se,1.sf,1.sg,1.sh,1.si,1.sj,1.sk,1.sl,1.sm,1.sn,2.so,1.sp,1.sq,1.sr,1.ss,1.st,1.su,1.sv,1.sw,2.sx,1.sy,1.sz,1.t0,1.t1,1.t2,2.t3,1.t4,2.t5,2.t6,2.t7,1.t8,2.t9,1.ta,1.tb,1.tc,s.td,9.te,1.tf,1.tg,1.th,2.ti,2.tj,1.tk,3.tl,1.tm,2.tn,1.to,1.tp,1.tq,1.tr,1.ts,1.tt,1.tu,2.tv,1.tw,1.tx,3.ty,1.tz,1.u0,2.u1,1.u2,1.u3,5.u4,1.u5,1,4.u6,1.u7,3.u8,1.u9,1.ua,1.ub,1.uc,1.ud,1.ue,1.uf,1.ug,1.uh,2.ui,1.uj,1.uk,1.ul,1.um,1.un,2.uo,4.up,1.uq,1.ur,1.us,1.ut,3.uu,1.uv,1.uw,1.ux,1.uy,1.uz,1.v0,1.v1,6.v2,1*7,3,1*2,2,1,3,2,1*2,3,a,3,7,a,1,4,1*6,2,7,1,4,5*2,3,2,5.v3,2.v4,2.v5,1.v6,1.v7,1.v8,1.v9,1.va,1.vb,1.vc,2.vd,1.ve,1.vf,1.vg,1.vh,1.vi,1.vj,1.vk,1.vl,1.vm,1.vn,1.vo,2.vp,1.vq,1.vr,1.vs,1.vt,1.vu,1.vv,1.vw,1.vx,1.vy,1.vz,1.w0,1.w1,1.w2,1.w3,1.w4,1.w5,1.w6,2.w7,2.w8,1.w9,1.wa,1.wb,1.wc,1.wd,1.we,1.wf,1.wg,1.wh,1.wi,1.wj,1.wk,1.wl,1.wm,1.wn,1.wo,1.wp,1.wq,1.wr,1.ws,1.wt,1.wu,1.wv,1.ww,2.wx,1.wy,1.wz,1.x0,1.x1,1.x2,1.x3,1.x4,1.x5,1.x6,1.x7,1.x8,1.x9,1.xa,1.xb,1.xc,1.xd,1.xe,1.xf,1.xg,1.xh,1.xi,1.xj,1.xk,1.xl,1.xm,2.xn,1*2,2.xo,1.xp,1.xq,1.xr,1.xs,1.xt,2.xu,2.xv,1.xw,1.xx,1.xy,1.xz,1.y0,1.y1,1.y2,1.y3,1.y4,1.y5,2.y6,1.y7,1.y8,2.y9,1.ya,1.yb,1.yc,1.yd,1.ye,3.yf,1.yg,1.yh,1.yi,1.yj,1.yk,3.yl,1.ym,1.yn,1.yo,1.yp,1.yq,1.yr,1.ys,1.yt,1.yu,1.yv,1.yw,1.yx,1.yy,1.yz,1.z0,1.z1,1.z2,1.z3,1.z4,1.z5,1.z6,2.z7,1.z8,1.z9,1.za,1.zb,1.zc,1.zd,1.ze,1.zf,2.zg,3.zh,1.zi,1.zj,1.zk,2.zl,1.zm,2.zn,2.zo,1.zp,1.zq,1.zr,1.zs,1.zt,1.zu,1.zv'],
+    IN: ['Alexandria|Anderson|Arcadia|Atlanta|Carmel|Cicero|Colfax|Elwood|Fishers|Forest|Fortville|Frankfort|Frankton|Goldsmith|Hobbs|Ingalls|Kempton|Kirklin|Lapel|Lebanon|Mc Cordsville|Markleville|Michigantown|Mulberry|Noblesville|Orestes|Pendleton|Rossville|Sedalia|Sharpsville|Sheridan|Summitville|Thorntown|Tipton|Westfield|Whitestown|Windfall|Zionsville|Advance|Amo|Arlington|Bainbridge|Bargersville|Beech Grove|Boggstown|Brooklyn|Brownsburg|Camby|Carthage|Charlottesville|Clayton|Cloverdale|Coatesville|Danville|Avon|Edinburgh|Eminence|Fairland|Falmouth|Fillmore|Finly|Fountaintown|Franklin|Glenwood|Greencastle|Greenfield|Greenwood|Gwynneville|Homer|Jamestown|Knightstown|Lizton|Manilla|Martinsville|Maxwell|Mays|Milroy|Monrovia|Mooresville|Morgantown|Morristown|Needham|New Palestine|Nineveh|North Salem|Paragon|Pittsboro|Plainfield|Putnamville|Reelsville|Roachdale|Rushville|Russellville|Shelbyville|Stilesville|Trafalgar|Waldron|West Newton|Whiteland|Wilkinson|Indianapolis|Beverly Shores|Boone Grove|Cedar Lake|Chesterton|Crown Point|Demotte|Dyer|East Chicago|Griffith|Hammond|Munster|Highland|Hanna|Hebron|Hobart|Kingsbury|Kingsford Heights|Kouts|La Crosse|Lake Village|La Porte|Leroy|Lowell|Michigan City|Mill Creek|North Judson|Portage|Rolling Prairie|Roselawn|Saint John|San Pierre|Schererville|Schneider|Shelby|Sumava Resorts|Tefft|Thayer|Union Mills|Valparaiso|Wanatah|Westville|Wheatfield|Wheeler|Whiting|Gary|Lake Station|Merrillville|Argos|Atwood|Bourbon|Bremen|Bristol|Burket|Claypool|Culver|Donaldson|Elkhart|Etna Green|Goshen|Granger|Grovertown|Hamlet|Knox|Lakeville|Lapaz|Leesburg|Mentone|Middlebury|Milford|Millersburg|Mishawaka|Nappanee|New Carlisle|New Paris|North Liberty|North Webster|Notre Dame|Osceola|Pierceton|Plymouth|Shipshewana|Syracuse|Tippecanoe|Topeka|Tyner|Wakarusa|Walkerton|Warsaw|Winona Lake|Wyatt|South Bend|Bendix Corp|Albion|Andrews|Angola|Arcola|Ashley|Auburn|Avilla|Berne|Bippus|Bluffton|Butler|Churubusco|Columbia City|Corunna|Craigville|Cromwell|Decatur|Fremont|Garrett|Geneva|Grabill|Hamilton|Harlan|Hoagland|Howe|Hudson|Huntertown|Huntington|Kendallville|Keystone|Kimmell|Lagrange|Laotto|Larwill|Leo|Liberty Center|Ligonier|Linn Grove|Markle|Mongo|Monroe|Monroeville|New Haven|Orland|Ossian|Petroleum|Pleasant Lake|Pleasant Mills|Poneto|Preble|Roanoke|Rome City|Saint Joe|South Milford|South Whitley|Spencerville|Stroh|Uniondale|Warren|Waterloo|Wawaka|Wolcottville|Wolflake|Woodburn|Yoder|Zanesville|Fort Wayne|Kokomo|Akron|Amboy|Athens|Bringhurst|Bunker Hill|Burlington|Burrows|Camden|Converse|Cutler|Deedsville|Delong|Delphi|Denver|Fairmount|Flora|Fowlerton|Fulton|Galveston|Gas City|Grass Creek|Greentown|Hemlock|Jonesboro|Kewanna|La Fontaine|Lagro|Lake Cicott|Laketon|Leiters Ford|Liberty Mills|Logansport|Lucerne|Macy|Marion|Matthews|Mexico|Miami|Monterey|New Waverly|North Manchester|Oakford|Onward|Ora|Peru|Grissom Arb|Roann|Rochester|Rockfield|Royal Center|Russiaville|Servia|Silver Lake|Somerset|Star City|Swayzee|Sweetser|Twelve Mile|Upland|Urbana|Van Buren|Wabash|Walton|West Middleton|Winamac|Young America|Aurora|West College Corner|Batesville|Bath|Bennington|Brookville|Cedar Grove|Cross Plains|Dillsboro|East Enterprise|Florence|Friendship|Guilford|Holton|Laurel|Lawrenceburg|Metamora|Milan|Moores Hill|Morris|Napoleon|New Trenton|Oldenburg|Osgood|Patriot|Pierceville|Rising Sun|Sunman|Versailles|Vevay|West Harrison|Austin|Bethlehem|Borden|Bradford|Campbellsburg|Central|Charlestown|Corydon|Crandall|Depauw|Eckerty|Elizabeth|English|Floyds Knobs|Fredericksburg|Georgetown|Grantsburg|Greenville|Hardinsburg|Henryville|Clarksville|Jeffersonville|Laconia|Lanesville|Leavenworth|Lexington|Little York|Marengo|Marysville|Mauckport|Memphis|Milltown|Mount Saint Francis|Nabb|New Albany|New Middletown|New Salisbury|New Washington|Otisco|Palmyra|Pekin|Ramsey|Salem|Scottsburg|Sellersburg|Sulphur|Taswell|Underwood|Columbus|Brownstown|Butlerville|Canaan|Clarksburg|Clifford|Commiskey|Cortland|Crothersville|Deputy|Dupont|Elizabethtown|Flat Rock|Freetown|Grammer|Greensburg|Hanover|Hartsville|Hayden|Hope|Jonesville|Kurtz|Madison|Medora|Millhousen|New Point|Norman|North Vernon|Paris Crossing|Saint Paul|Scipio|Seymour|Taylorsville|Vallonia|Vernon|Westport|Muncie|Albany|Bentonville|Boston|Brownsville|Bryant|Cambridge City|Centerville|Connersville|Daleville|Dublin|Dunkirk|Dunreith|Eaton|Economy|Farmland|Fountain City|Gaston|Greensboro|Greens Fork|Hagerstown|Hartford City|Kennard|Lewisville|Liberty|Losantville|Lynn|Middletown|Milton|Modoc|Montpelier|Mooreland|Mount Summit|New Castle|New Lisbon|Oakville|Parker City|Pennville|Pershing|Portland|Redkey|Richmond|Ridgeville|Salamonia|Saratoga|Selma|Shirley|Spiceland|Springport|Straughn|Sulphur Springs|Union City|Webster|Williamsburg|Winchester|Yorktown|Bloomington|Avoca|Bedford|Bloomfield|Clear Creek|Coal City|Ellettsville|Fort Ritner|Freedom|French Lick|Gosport|Harrodsburg|Helmsburg|Heltonville|Huron|Jasonville|Koleen|Linton|Lyons|Midland|Mitchell|Nashville|Newberry|Oolitic|Orleans|Owensburg|Paoli|Patricksburg|Quincy|Scotland|Smithville|Solsberry|Spencer|Springville|Stanford|Stinesville|Switz City|Tunnelton|Unionville|West Baden Springs|Williams|Worthington|Blmgtn|Washington|Bicknell|Birdseye|Branchville|Bristow|Bruceville|Cannelburg|Cannelton|Celestine|Crane|Dale|Decker|Derby|Dubois|Edwardsport|Elnora|Evanston|Ferdinand|Freelandville|Fulda|Gentryville|Holland|Huntingburg|Ireland|Jasper|Lamar|Leopold|Lincoln City|Loogootee|Mariah Hill|Monroe City|Montgomery|Oaktown|Odon|Otwell|Petersburg|Plainville|Ragsdale|Rome|Saint Anthony|Saint Croix|Saint Meinrad|Sandborn|Santa Claus|Schnellville|Shoals|Spurgeon|Stendal|Tell City|Troy|Velpen|Vincennes|Westphalia|Wheatland|Winslow|Boonville|Chandler|Chrisney|Cynthiana|Elberfeld|Folsomville|Grandview|Griffin|Hatfield|Inglefield|Lynnville|Mount Vernon|Newburgh|New Harmony|Poseyville|Richland|Rockport|Tennyson|Wadesville|Haubstadt|Hazleton|Buckskin|Fort Branch|Francisco|Mackey|Oakland City|Owensville|Patoka|Princeton|Somerville|Evansville|Geo Koch Sons|Terre Haute|Bellmore|Blanford|Bloomingdale|Bowling Green|Brazil|Bridgeton|Carbon|Carlisle|Centerpoint|Clay City|Clinton|Coalmont|Cory|Dana|Dugger|Fairbanks|Farmersburg|Fontanet|Graysville|Harmony|Hillsdale|Hymera|Judson|Knightsville|Lewis|Marshall|Mecca|Merom|Montezuma|New Goshen|New Lebanon|Paxton|Pimento|Poland|Prairie Creek|Prairieton|Riley|Rockville|Rosedale|Saint Bernice|Saint Mary Of The Woods|Seelyville|Shelburn|Shepardsville|Staunton|Sullivan|Universal|West Terre Haute|Lafayette|West Lafayette|Alamo|Ambia|Attica|Battle Ground|Boswell|Brook|Brookston|Buck Creek|Buffalo|Burnettsville|Cayuga|Chalmers|Clarks Hill|Covington|Crawfordsville|Darlington|Dayton|Earl Park|Fair Oaks|Fowler|Francesville|Goodland|Hillsboro|Idaville|Kentland|Kingman|Ladoga|Linden|Medaryville|Mellott|Monon|Monticello|Montmorenci|Morocco|Mount Ayr|New Market|Newport|New Richmond|New Ross|Newtown|Otterbein|Oxford|Perrysville|Pine Village|Remington|Rensselaer|Reynolds|Romney|State Line|Stockwell|Talbot|Templeton|Veedersburg|Wallace|Waveland|Waynetown|West Lebanon|Westpoint|Williamsport|Wingate|Wolcott|Yeoman',
+         'zht.0,a.1,1*7,c.2,1.3,1.4,1,1.5,1.6,1.7,1.8,1,1.9,1.a,1.b,3.c,1.d,2.e,1.f,1.g,1.h,1.i,1.j,3.k,1.l,1.m,1.n,2.o,1*2,1.p,1.q,1.r,2.s,1.t,1.u,1.v,1.w,1.x,2.y,1.z,1.10,1.11,5.4,3.8,h.12,1.13,1.14,1.15,1.16,1.17,3.18,1.19,1.1a,1.1b,2.1c,2.1d,1.1e,2.1f,1.1g,1.1h,1.1i,1.1j,1.1k,1.1l,1.1m,1.1n,1.1o,1.1p,1.1q,2.1r,2.1s,5.1t,2.1u,1,1.1v,2.1w,1.1x,1.1y,1.1z,1.20,1.21,3.22,1.23,1.24,1.25,1.26,2.27,1.28,1.29,1.2a,1.2b,1.2c,1.2d,1.2e,1.2f,2.2g,1.2h,1.2i,1.2j,2.2k,1.2l,4.2m,1.2n,1.2o,1.2p,1.2q,2.2r,f.2s,1*8,2*2,1,2,1*f,3,1*3,2,1*3,2,3,2,1*2,2,1*3,3,1,2,4,2,6,1,2,1,2*2,1,2,5,1,4,1,2,3.2t,1.2u,1.2v,1.2w,3.2x,1,2.2y,1.2z,1.30,7.31,1.32,1.33,1.34,1.32,1*2,2,d.35,1.36,1.37,3.38,1.39,1.3a,1.3b,1.3c,1.3d,2,3.3e,1.3f,4.3g,1,4.3h,1.3i,2.3j,3.3k,1.3l,1.3m,1.3n,1.3o,1.3p,1.3q,2.3r,1.3s,1.3t,1.3u,1.3v,1*2,5.3w,1.3x,1.3y,1.3z,1.40,7.41,1*3,1.42,1.41,1*3,1.43,1,2i.44,1.45,2.46,2.47,1.48,1.49,2.4a,1.4b,2.4c,1.4d,1*3,7.4e,2.4f,1*2,2.4g,1.4h,1.4i,2.4j,2.4k,1.4l,1.4m,1.4n,1.4o,2.4p,1.4q,1.4r,1*2,4.4s,2.4t,1.4u,1.4v,1.4w,1.4x,5.4y,1.4z,1.50,2.51,2.52,3.53,1.54,1.55,1.56,1.57,6.58,1*2,8.59,5.5a,6.5b,3,9,1*4,2,1.5c,4.5b,2*2,6,1,2,n,k,j,2.5d,1.5e,1.5f,1.5g,1.5h,1.5i,4.5j,1.5k,2.5l,1.5m,7.5n,2.5o,2.5p,5.5q,1.5r,1.5s,1.5t,4.5u,1.5v,2.5w,1.5x,1.5y,1.5z,2.60,1.61,1.62,1.63,2.64,5.65,4.66,1.67,1.68,2.69,1.6a,1.6b,1.6c,1.6d,2.6e,1.6f,1.6g,1.6h,1.6i,1.6j,2.6k,1.6l,1.6m,1.6n,1.6o,1.6p,1.6q,1.6r,1.6s,1.6t,1.6u,1.6v,1.6w,1.6x,2.6y,1.6z,1.70,1.71,1.72,1.73,1.74,1.75,1.76,2.77,1*8,5,1*2,2,1,6,a*2,5,1*j,g,a,1*4,2.78,1*3,6.79,1.7a,1.7b,1.7c,1.7d,1.7e,1.7f,1.7g,2.7h,1.7i,1.7j,1.7k,1.7l,3.7m,2.7n,1.7o,1.7p,1.7q,1.7r,1.7s,2.7t,1.7u,1.7v,1.7w,1.7x,1.7y,1.7z,1.80,1.81,2.82,1.83,1.84,3.85,1.86,1.87,1,4.88,1.89,1.8a,1.8b,1.8c,1.8d,3.8e,2.8f,1.8g,2.8h,1.8i,3.8j,1.8k,2.8l,1.8m,1.8n,1.8o,2.8p,2.8q,1.8r,1.8s,1.8t,1.8u,1.8v,1.8w,1.8x,1.8y,2.8z,1.90,1.91,2.92,3.93,2.94,3.95,4.96,1.97,1.98,4.99,1.9a,1.9b,1.9c,1.9d,1.9e,1.9f,1.9g,1.9h,1.9i,5.9j,1.9k,1.9l,1.9m,1.9n,1.9o,1.9p,1.9q,1.9r,1.9s,1.9t,1.9u,1.9v,1.9w,h.9x,16.9y,2.9z,2.a0,1.a1,1.a2,2.a3,1.a4,1.a5,2.a6,1.a7,1.a8,1.a9,1.aa,1.ab,1.ac,2.ad,1.ae,1.af,1.ag,1.ah,3.ai,1.aj,1*4,1.ak,1.al,1.am,1.an,1.ao,1.ap,1.aq,1.ar,1.as,1.aj,1.at,1.au,1.av,3.aw,1,9.ax,1.ay,1.az,1.b0,1.b1,1.b2,1.b3,1.b4,3.b5,2.b6,2.b7,1.b8,2.b9,d.aj,9,2.ba,1*2,h.bb,3.bc,1.bd,1.be,1.bf,1.bg,1.bh,1.bi,1.bj,1.bk,1.bl,2.bm,1.bn,1.bo,4.bp,3.bq,1.br,1.bs,1.bt,1.bu,2.bv,1.bw,a.bx,1.by,2.bz,1.c0,1.c1,5.c2,2.c3,1.c4,1.c5,6.c6,1.c7,1.c8,1.c9,j.ca,1*6,c.cb,2.cc,2.cd,1.ce,1.cf,1.cg,3.ch,1.ci,3.cj,1.ck,1.cl,1.cm,1.cn,1.co,1.cp,1.cq,1.cr,2.cs,1.ct,1.cu,2.cv,3.cw,1.cx,1.cy,1.cz,1.d0,1.d1,1.d2,1.d3,1.d4,1.d5,1.d6,1.d7,4.d8,1.d9,1.da,1.db,1.dc,1.dd,2.de,1.df,1,5.dg,1.dh,1.di,1.dj,1.dk,1.dl,1.dm,1.dn,1.do,2.dp,2.dq,1.dr,1.ds,2.dt,5.du,1*7,c.dv,1.dw,3.dx,2.dy,1.dz,2.e0,1.e1,1.e2,1.e3,1.e4,1.e5,1.e6,1.e7,1.e8,1.e9,1.ea,2.eb,2.ec,2.ed,1.ee,2.ef,1.eg,2.eh,1.ei,1.ej,1.ek,1.el,1.em,1.en,1.eo,1.ep,1.eq,2.er,1.es,1.et,1.eu,2.ev,1.ew,1.ex,1.ey,1.ez,j.f0,b.f1,b.f2,1.f3,1.f4,1.f5,1.f6,3.f7,1.f8,1.f9,1.fa,1.fb,1.fc,1.fd,2.fe,1.ff,1.fg,2.fh,1.fi,3.fj,1.fk,1.fl,4.fm,1.fn,3.fo,1.fp,1,2,1.fq,1.fr,1.fs,1.ft,3.fu,1.fv,1.fw,3.fx,1.fy,2.fz,3.g0,1.g1,5.g2,1.g3,1.g4,1.g5,1.g6,1.g7,1.g8,1.g9,1.ga,3.gb,1.gc,1.gd,2.ge,2.gf,1.gg,5.gh,1.gi,1.gj,3.gk,9.gl,1.gm,1.gn,1.go,1.gp,1.gq,1.gr,1.gs,1.gt,1.gu,1.gv,9.gw,1,1.gx,2.gy,1.gz,1.h0,2.h1,1.h2,1.h3,1.h4,7.h5,1.h6,1.h7,5.h8,6.h9,5.ha,1.hb,4.hc,d.hd,i.he,1*5,2*2,1*6,3,1*3,2,1,2,1,2,1*7,2,1*2,3.hf,3.he,3,1f.hg,1*4,2,1*2,2,1,i.hh,1.hi,1.hj,1.hk,1.hl,2.hm,1.hn,1.ho,2.hp,1.hq,1.hr,3.hs,1.ht,1.hu,1.hv,1.hw,1.hx,1.hy,1.hz,1.i0,1.i1,1.i2,1.i3,1.i4,1.i5,1.i6,1.i7,1.i8,1.i9,1.ia,1.ib,1.ic,1.id,2.ie,1.if,1.ig,1.ih,1.ii,2.ij,1.ik,1.il,2.im,1.in,1.io,1.ip,1.iq,2.ir,1.is,g.it,1*4,1.iu,1,2.it,7.iv,1.iw,1.ix,2.iy,1.iz,1.j0,1.j1,1.j2,1.j3,1.j4,2.j5,1.j6,1.j7,2.j8,1.j9,1*6,1.ja,1.jb,1.jc,1.jd,1.je,2.jf,2.jg,1.jh,1.ji,1.jj,1.jk,2.jl,1.jm,2.jn,1.jo,1.jp,1.jq,2.jr,1.js,1.jt,1.ju,1.jv,1.jw,1.jx,1.jy,1.jz,1.k0,3.k1,1.k2,2.k3,1.k4,2.k5,1.k6,1.k7,1.k8,1.k9,2.ka,1.kb,1.kc,1.kd,1.ke,1.kf,1.kg,1.kh,1.ki,1.kj,1.iu,1.kk'],
+    IA: ['Ackworth|Adair|Adel|Albion|Alden|Alleman|Allerton|Altoona|Ames|Anita|Ankeny|Atlantic|Audubon|Bagley|Barnes City|Baxter|Bayard|Beaver|Berwick|Bevington|Blairsburg|Bondurant|Boone|Booneville|Bouton|Boxholm|Bradford|Brayton|Buckeye|Bussey|Cambridge|Carlisle|Casey|Chariton|Churdan|Clemons|Clio|Colfax|Collins|Colo|Columbia|Coon Rapids|Cooper|Corydon|Cumming|Melcher Dallas|Dallas Center|Dana|Davis City|Dawson|Decatur|Derby|De Soto|Dexter|Dows|Earlham|Elkhart|Ellston|Ellsworth|Exira|Ferguson|Galt|Garden City|Garden Grove|Gibson|Gilbert|Gilman|Grand Junction|Grand River|Granger|Gray|Grimes|Grinnell|Guthrie Center|Hamilton|Hamlin|Hartford|Harvey|Haverhill|Hubbard|Humeston|Huxley|Indianola|Iowa Falls|Ira|Jamaica|Jefferson|Jewell|Johnston|Kamrar|Kellerton|Kelley|Kellogg|Keswick|Killduff|Knoxville|Lacona|Lamoni|Laurel|Le Grand|Leighton|Leon|Liberty Center|Linden|Lineville|Liscomb|Lorimor|Lovilia|Lucas|Luther|Lynnville|Mc Callsburg|Macksburg|Madrid|Malcom|Marshalltown|Martensdale|Maxwell|Melbourne|Menlo|Millerton|Milo|Minburn|Mingo|Mitchellville|Monroe|Montezuma|Montour|Murray|Nevada|New Providence|New Sharon|Newton|New Virginia|Norwalk|Ogden|Osceola|Otley|Panora|Paton|Patterson|Pella|Perry|Peru|Pilot Mound|Pleasantville|Polk City|Popejoy|Prairie City|Prole|Radcliffe|Randall|Reasnor|Redfield|Rhodes|Rippey|Roland|Runnells|Russell|Saint Anthony|Saint Charles|Saint Marys|Searsboro|Sheldahl|Slater|Stanhope|State Center|Story City|Stratford|Stuart|Sully|Swan|Thayer|Thornburg|Tracy|Truro|Union|Gifford|Van Meter|Van Wert|Waukee|Weldon|West Des Moines|What Cheer|Whitten|Williams|Williamson|Winterset|Wiota|Woodburn|Woodward|Yale|Zearing|Des Moines|Urbandale|Windsor Heights|Clive|Pleasant Hill|Cds Brm|Mason City|Alexander|Belmond|Britt|Buffalo Center|Carpenter|Chapin|Clear Lake|Corwith|Coulter|Crystal Lake|Dougherty|Fertile|Floyd|Forest City|Garner|Goodell|Grafton|Hampton|Hanlontown|Joice|Kanawha|Kensett|Klemme|Lake Mills|Lakota|Latimer|Leland|Little Cedar|Mc Intire|Manly|Meservey|Nora Springs|Northwood|Orchard|Osage|Plymouth|Rake|Riceville|Rock Falls|Rockford|Rockwell|Rowan|Rudd|Saint Ansgar|Scarville|Sheffield|Stacyville|Swaledale|Thompson|Thornton|Titonka|Toeterville|Ventura|Wesley|Woden|Fort Dodge|Albert City|Algona|Armstrong|Ayrshire|Badger|Bancroft|Barnum|Bode|Bradgate|Burnside|Burt|Callender|Clare|Clarion|Curlew|Cylinder|Dakota City|Dayton|Dolliver|Duncombe|Eagle Grove|Early|Emmetsburg|Farnhamville|Fenton|Fonda|Gilmore City|Goldfield|Gowrie|Harcourt|Hardy|Havelock|Humboldt|Jolley|Knierim|Laurens|Ledyard|Lehigh|Livermore|Lone Rock|Lu Verne|Lytton|Mallard|Manson|Marathon|Moorland|Nemaha|Newell|Otho|Ottosen|Palmer|Plover|Pocahontas|Pomeroy|Rembrandt|Renwick|Ringsted|Rockwell City|Rolfe|Rutland|Sac City|Sioux Rapids|Somers|Storm Lake|Swea City|Thor|Truesdale|Varina|Vincent|Webster City|West Bend|Whittemore|Woolstock|Ackley|Allison|Alta Vista|Aplington|Aredale|Arlington|Aurora|Austinville|Beaman|Bristow|Buckingham|Cedar Falls|Charles City|Clarksville|Colwell|Conrad|Denver|Dewar|Dike|Dumont|Dunkerton|Eldora|Elma|Fairbank|Fredericksburg|Frederika|Garwin|Geneva|Gilbertville|Gladbrook|Greene|Grundy Center|Hazleton|Holland|Hudson|Independence|Ionia|Janesville|Jesup|Kesley|Lamont|La Porte City|Lincoln|Marble Rock|Masonville|Maynard|Morrison|Nashua|New Hampton|New Hartford|North Washington|Oelwein|Oran|Parkersburg|Plainfield|Raymond|Readlyn|Reinbeck|Shell Rock|Stanley|Steamboat Rock|Stout|Sumner|Traer|Tripoli|Waverly|Wellsburg|Westgate|Winthrop|Waterloo|Washburn|Evansdale|Creston|Afton|Arispe|Bedford|Benton|Blockton|Bridgewater|Carbon|Clearfield|Corning|Cromwell|Cumberland|Diagonal|Fontanelle|Grant|Gravity|Greenfield|Lenox|Massena|Mount Ayr|Nodaway|Orient|Prescott|Redding|Shannon City|Sharpsburg|Tingley|Villisca|Akron|Alta|Alton|Anthon|Aurelia|Battle Creek|Bronson|Brunsville|Calumet|Castana|Chatsworth|Cherokee|Cleghorn|Climbing Hill|Correctionville|Cushing|Danbury|Galva|Granville|Hawarden|Hinton|Holstein|Hornick|Ireton|Kingsley|Larrabee|Lawton|Le Mars|Linn Grove|Mapleton|Marcus|Maurice|Meriden|Merrill|Moville|Onawa|Orange City|Oto|Oyens|Paullina|Peterson|Pierson|Quimby|Remsen|Rodney|Salix|Schaller|Sergeant Bluff|Sloan|Smithland|Sutherland|Ute|Washta|Westfield|Whiting|Sioux City|Sheldon|Alvord|Archer|Ashton|Boyden|Doon|George|Hospers|Hull|Inwood|Larchwood|Lester|Little Rock|Matlock|Primghar|Rock Rapids|Rock Valley|Sanborn|Sibley|Sioux Center|Spencer|Arnolds Park|Dickens|Estherville|Everly|Fostoria|Gillett Grove|Graettinger|Greenville|Gruver|Harris|Hartley|Lake Park|Melvin|Milford|Ocheyedan|Okoboji|Royal|Ruthven|Spirit Lake|Superior|Terril|Wallingford|Webb|Carroll|Arcadia|Arthur|Aspinwall|Auburn|Breda|Charter Oak|Dedham|Deloit|Denison|Glidden|Halbur|Ida Grove|Irwin|Kirkman|Kiron|Lake City|Lake View|Lanesboro|Lidderdale|Lohrville|Manilla|Manning|Odebolt|Ralston|Ricketts|Schleswig|Scranton|Templeton|Vail|Wall Lake|Westside|Council Bluffs|Carter Lake|Arion|Avoca|Blencoe|Carson|Crescent|Defiance|Dow City|Dunlap|Earling|Elk Horn|Elliott|Emerson|Glenwood|Griswold|Hancock|Harlan|Hastings|Henderson|Honey Creek|Kimballton|Lewis|Little Sioux|Logan|Mc Clelland|Macedonia|Magnolia|Malvern|Marne|Minden|Mineola|Missouri Valley|Modale|Mondamin|Moorhead|Neola|Oakland|Pacific Junction|Panama|Persia|Pisgah|Portsmouth|Red Oak|Shelby|Silver City|Soldier|Stanton|Treynor|Underwood|Walnut|Westphalia|Woodbine|Shenandoah|Blanchard|Braddyville|Clarinda|Coin|College Springs|Essex|Farragut|Hamburg|Imogene|New Market|Northboro|Percival|Randolph|Riverton|Shambaugh|Sidney|Tabor|Thurman|Yorktown|Dubuque|Andrew|Bellevue|Bernard|Cascade|Colesburg|Delaware|Delmar|Dundee|Durango|Dyersville|Earlville|Edgewood|Elkader|Elkport|Epworth|Farley|Farmersburg|Garber|Garnavillo|Greeley|Guttenberg|Holy Cross|La Motte|Luxemburg|Manchester|Maquoketa|Miles|New Vienna|North Buena Vista|Peosta|Preston|Sabula|Saint Donatus|Saint Olaf|Sherrill|Spragueville|Springbrook|Strawberry Point|Volga|Worthington|Zwingle|Decorah|Calmar|Castalia|Chester|Clermont|Cresco|Dorchester|Elgin|Fayette|Fort Atkinson|Harpers Ferry|Hawkeye|Highlandville|Lansing|Lawler|Lime Springs|Luana|Mc Gregor|Marquette|Monona|New Albin|Ossian|Postville|Protivin|Randalia|Ridgeway|Saint Lucas|Spillville|Wadena|Waterville|Waucoma|Waukon|West Union|Ainsworth|Alburnett|Amana|Anamosa|Atkins|Baldwin|Belle Plaine|Blairstown|Brandon|Brooklyn|Center Junction|Center Point|Central City|Chelsea|Clarence|Clutier|Coggon|Prairieburg|Conroy|Guernsey|Deep River|Delhi|Dysart|Elberon|Ely|Fairfax|Garrison|Harper|Hartwick|Hiawatha|Hills|Homestead|Hopkinton|Iowa City|Coralville|Kalona|Keota|Keystone|Ladora|Langworthy|Lisbon|Lost Nation|Lowden|Luzerne|Marengo|Marion|Martelle|Mechanicsville|Middle Amana|Millersburg|Monmouth|Monticello|Morley|Mount Auburn|Mount Vernon|Newhall|North English|North Liberty|Norway|Oakdale|Olin|Onslow|Oxford|Oxford Junction|Palo|Parnell|Quasqueton|Riverside|Robins|Rowley|Ryan|Shellsburg|Solon|South Amana|South English|Springville|Stanwood|Swisher|Tama|Tiffin|Toddville|Toledo|Troy Mills|Urbana|Van Horne|Victor|Vining|Vinton|Viola|Walford|Walker|Washington|Watkins|Webster|Wellman|West Branch|West Chester|Williamsburg|Wyoming|Cedar Rapids|Ottumwa|Agency|Albia|Batavia|Beacon|Birmingham|Blakesburg|Bloomfield|Brighton|Cantril|Cedar|Centerville|Chillicothe|Cincinnati|Delta|Douds|Drakesville|Eddyville|Eldon|Exline|Fairfield|Floris|Fremont|Hayesville|Hedrick|Keosauqua|Kirkville|Libertyville|Martinsburg|Melrose|Milton|Moravia|Moulton|Mount Sterling|Mystic|Ollie|Oskaloosa|Packwood|Plano|Promise City|Pulaski|Richland|Rose Hill|Selma|Seymour|Sigourney|Udell|Unionville|University Park|Burlington|Argyle|Bonaparte|Crawfordsville|Danville|Denmark|Donnellson|Farmington|Fort Madison|Hillsboro|Houghton|Keokuk|Lockridge|Mediapolis|Middletown|Montrose|Morning Sun|Mount Pleasant|Rome|Mount Union|New London|Oakville|Olds|Pilot Grove|Salem|Sperry|Stockport|Swedesburg|Wapello|Wayland|West Burlington|West Point|Saint Paul|Wever|Winfield|Yarmouth|Andover|Atalissa|Bennett|Bettendorf|Blue Grass|Bryant|Buffalo|Calamus|Camanche|Charlotte|Clinton|Columbus City|Columbus Junction|Conesville|De Witt|Dixon|Donahue|Durant|Eldridge|Fruitland|Goose Lake|Grand Mound|Grandview|Le Claire|Letts|Lone Tree|Long Grove|Low Moor|Mc Causland|Montpelier|Moscow|Muscatine|New Liberty|Nichols|Pleasant Valley|Princeton|Stockton|Teeds Grove|Tipton|Walcott|Welton|West Liberty|Wheatland|Wilton|Davenport',
+         '12kx.0,1.1,1.2,2.3,1.4,1.5,1.6,1.7,1.8,1*4,6.9,1.a,1.b,1.a,2.c,1.d,1.e,1.f,1.g,2.h,1.i,1.j,1.k,1.l,1.m,1,1.n,1.o,1.p,1.q,1.r,1.s,1.t,2.u,1.v,1.w,1.x,1.y,1.z,1.10,2.11,1.12,1.13,1.14,1.15,1.16,1.17,1.18,1.19,1.1a,1.1b,1.1c,1.1d,1.1e,1.1f,1.1g,1.1h,1.1i,1.1j,1.1k,1.1l,1.1m,1.1n,2.1o,l.m,2.1p,1.1q,1.1r,1.1s,1.1t,1.1u,1.1v,1.1w,1.1x,1.1y,1.1z,1.20,3.21,1.22,1.23,1.24,1.25,1.26,2.27,1.28,1.29,1.2a,1.2b,1.2c,1.2d,1.2e,1.2f,1.2g,1.2h,1.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,1.2v,1.2w,1.2x,1.2y,1.2z,1.30,1.31,1.32,1.33,1.34,1.35,1.36,1.37,2.38,1.39,1.3a,1.19,1.3b,1.3c,1.3d,1.3e,1.3f,1.3g,1.3h,1.3i,2.3j,1.3k,r.3l,5.3m,1.3n,1.3o,2.3p,1.3q,1.3r,1.3s,1.3t,2.3u,1.3v,1.3w,1.3x,1.3y,2.3z,1.40,2.41,1.42,1.43,1.44,1.45,1.46,1.47,1.48,1.49,1.4a,1.4b,1.4c,1.4d,1.4e,1.4f,1.4g,1.4h,1.4i,1.4j,1.4k,2.4l,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,2.4s,1.4t,1.4u,1.4v,1.4w,1.4x,2.4y,1.4z,1.50,1.51,1.52,1,2.53,1.54,2.55,1.56,1.57,1.58,1.59,1.5a,1.5b,1.5c,n.5d,1*k,1.5e,1,1.5f,1.5g,2.5h,1.5d,1*8,3,1,7.5i,c.5d,1*5,3,1*2,b,1,a,1*6,1.5e,3.5j,1,i.5k,1.5l,2.5m,1.5n,2.5o,1.5p,1.5q,2.5r,1.5s,1.5t,1.5u,1.5v,1.5w,1.5x,2.5y,1.5z,1.60,1.61,3.62,2.63,1.64,1.65,1.66,1.67,1.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,1.6f,1.6g,1.6h,1.6i,3.6j,1.6k,1.6l,1.6m,1.6n,1.6o,1.6p,1.6q,1.6r,1.6s,2.6t,1.6u,1.6v,1.6w,1.6x,1.6y,1.6z,1.70,1.71,1.72,h.73,9.74,1.75,3.76,1.77,1.78,1.79,1.7a,1.7b,1.7c,1.7d,1.7e,1.7f,1.7g,1.7h,1,1.7i,1.7j,1.7k,1.7l,1.7m,1.7n,1.7o,2.7p,1.7q,2.7r,1.7s,1.7t,1.7u,1.7v,1.7w,1.7x,1.7y,1.7z,2.80,3.81,1.82,2.83,2.84,1.85,1.86,1.87,1.88,1.89,1.8a,1.8b,2.8c,1.8d,1.8e,1.8f,1.8g,1.8h,1.8i,2.8j,1.8k,1.8l,1.8m,1.8n,1.8o,1.8p,2.8q,1.8r,1.8s,2.8t,1.8u,2.8v,2.8w,1.8x,1.8y,1.8z,1.90,1.91,2.92,1.93,1.94,2.95,1.96,1.97,1.98,1.99,1.9a,1.9b,1.9c,1.9d,2.9e,1.9f,1.9g,1,2.9h,3.9i,1.9j,1.9k,1.9l,1.9m,1.9n,1.9o,1.9p,1.9q,1.9r,1.9s,1.9t,1.9u,1.9v,1.9w,1.9x,1.9y,1.9z,2.a0,3.a1,1.a2,1.a3,1.a4,1.a5,2.a6,1.a7,1.a8,1.a9,1.aa,1.ab,1.ac,1.ad,1.ae,2.af,1.ag,1.ah,1.ai,1.aj,1.ak,2.al,1.am,1.an,1.ao,1.ap,1.aq,1.ar,1.as,1.at,1.au,1.av,1.aw,1.ax,1.ay,3.az,1.b0,1.b1,j.b2,1*3,2.b3,1.b4,2m.b5,t.b6,1.b7,2.b8,2.b9,1.ba,1.bb,2.bc,1.bd,1.be,1.bf,1.bg,2.bh,1.bi,1.bj,1.bk,1.bl,2.bm,2.bn,1.bo,3.bp,1.bq,1.br,1.bs,1.bt,1.bu,1.bv,1.bw,20.5d,4,7,3,u,1*3,i.bx,1.by,1.bz,1.c0,1.c1,1.c2,1.c3,1.c4,1.c5,1.c6,1.c7,1.c8,2.c9,1.ca,1.cb,2.cc,1.cd,1.ce,2.cf,1.cg,1.ch,1.ci,1.cj,1.ck,1.cl,1.cm,1.cn,1.co,2.cp,1.cq,1.cr,1.cs,1.ct,1.cu,1.cv,1.cw,1.cx,3.cy,1.cz,1.d0,1.d1,1.d2,1.d3,1.d4,1.d5,1.d6,1.d7,1.d8,1.d9,1.da,2.db,2.dc,1.dd,1.de,1.df,12.dg,1*5,2,1,2,2i.dh,t.di,1.dj,1.dk,2.dl,1.dm,2.dn,1.do,1.dp,1.dq,1.dr,1.ds,1.dt,1.du,1.dv,1.dw,1.dx,1.dy,1.dz,1.e0,1f.e1,u.e2,2.e3,1.e4,4.e5,2.e6,1.e7,1.e8,1.e9,1.ea,1.eb,1.ec,1.ed,3.ee,1.ef,3.eg,1.eh,2.ei,1.ej,2.ek,3.el,1.em,1.en,1.eo,z.ep,t.eq,1.er,1.es,1.et,3.eu,3.ev,1.ew,1.ex,1.ey,1.ez,1.f0,1.f1,1.f2,1.f3,1.f4,1.f5,1.f6,1.f7,1.f8,1.f9,1.fa,1.fb,3.fc,1.fd,1.fe,1.ff,1.fg,1.fh,2.fi,1.fj,1.fk,y.fl,1*2,7.fm,a.fn,1.fo,2.fp,2.fq,1.fr,1.fs,1.ft,1.fu,1.fv,1.fw,1.fx,1.fy,1.fz,1.g0,1.g1,1.g2,3.g3,1.g4,1.g5,1.g6,1.g7,1.g8,1.g9,2.ga,1.gb,1.gc,1.gd,1.ge,1.gf,1.gg,1.gh,1.gi,1.gj,1.gk,1.gl,1.gm,1.gn,1.go,1.gp,1.gq,1.gr,1.gs,4.gt,1.gu,1.gv,1.gw,2.gx,1.gy,1.gz,1.h0,1.h1,c.gs,2.g2,8.h2,1*2,r.h3,1.h4,1.h5,4.h6,1.h7,1.h8,1.h9,1.ha,5.hb,1.hc,1.hd,1.he,1.hf,1.hg,1.hh,1.hi,1.hj,1.hk,2.hl,9l.hm,1*3,q.hn,1.ho,1.hp,1.hq,2.hr,1.hs,1.ht,1.hu,1.hv,1.hw,1.hx,1.hy,1.hz,1.i0,1.i1,1.i2,1.i3,1.i4,1.i5,1.i6,2.i7,1.i8,1.i9,2.ia,1.ib,3.ic,4.id,1.ie,1.if,2.ig,1.ih,1.ii,1.ij,1.ik,1.il,1.im,1.in,1.io,1.ip,1.iq,1.ir,k.hm,2.is,v.it,1.iu,1.iv,1.iw,1.ix,4.iy,1.iz,1.j0,2.j1,2.j2,1.j3,2.j4,2.j5,3.j6,1.j7,1.j8,1.j9,1.ja,1.jb,1.jc,1.jd,1.je,1.jf,1.jg,1.jh,1.ji,2.jj,1.jk,1.jl,1.jm,1.jn,3.jo,q.jp,1.jq,1.jr,1,1.js,1.jt,1.ju,1.jv,1.jw,1.jx,1.jy,1.jz,1.k0,1.k1,1.k2,1.k3,1.k4,1.k5,1.k6,1.k7,1.k8,1.k9,1.ka,1.kb,1.kc,2.kd,1.ke,1.kf,2.kg,1.kh,1.ki,2.kj,1.kk,1.kl,3.km,1.kn,1.km,1*4,1.ko,1.kp,1.kq,2.kr,1.ks,1.kt,1.ku,1.kv,2.kw,18.kx,1.ky,3.kz,1.l0,1.l1,1.l2,1.l3,1.l4,2.l5,1.l6,1.l7,1.l8,1.l9,1.la,1.lb,1.lc,1.ld,1.le,1.lf,1.lg,1.lh,1.li,1.lj,1.lk,1.ll,1.lm,1.ln,2.lo,1.lp,1.lq,1.lr,1.ls,1.lt,1.lu,1.lv,1.lw,1.lx,1.ly,2.lz,1.m0,1.m1,1.m2,1.m3,1.m4,1.m5,1.m6,1.m7,1.m8,1.m9,1.ma,1.mb,2.mc,1.md,2.me,1.mf,13.mg,1*a,2e,1*2,2.mh,t.mi,1.mj,2.mk,1.ml,1.mm,1.mn,1.mo,1,2.mp,2.mq,1.mr,1.ms,4.mt,1.mu,1.mv,1.mw,1.mx,1.my,1.mz,1.n0,1.n1,1,3.n2,1.n3,1.n4,1.n5,2.n6,1.n7,1.n8,1.n9,1.na,1.nb,1.nc,1.nd,1.ne,1.nf,2.ng,1.nh,3.ni,1.nj,2.nk,1.nl,1.nm,1.nn,2.no,2.np,1.nq,2.nr,1.ns,1.nt,6.nu,i.nv,1.nw,1.nx,2.ny,1.nz,1.o0,1.o1,1.o2,3.o3,1.o4,1.o5,3.o6,2.o7,1.o8,1.o9,1.oa,1.ob,1.oc,2.od,1.oe,1.of,1.og,1.oh,1.oi,1.oj,1.ok,1.ol,1.om,1.on,1.oo,1.op,1.oq,1.or,1.os,1.ot,15.ou,j.ov,1.ow,1.ox,4.oy,1.oz,1.p0,1.p1,1.p2,1.p3,1.p4,1*2,2,1.p5,1.p6,1.p7,3.p8,3.p9,1.pa,1.pb,1.pc,1.pd,1.pe,1.pf,1.pg,1.ph,1.pi,1.pj,1.pk,1.pl,1.pm,1.pn,1.po,1.pp,4.pq,1.pr,1.ps,1.pt,1.pu,2.pv,1.pw,1.px,1.py,2.pz,1.q0,1.q1,n.q2,1*8'],
+    KS: ['Atchison|Baldwin City|Basehor|Bendena|Blue Mound|Bonner Springs|Bucyrus|Centerville|Colony|Cummings|Denton|De Soto|Clearview City|Easton|Edgerton|Effingham|Elwood|Eudora|Fontana|Fort Leavenworth|Gardner|New Century|Garnett|Greeley|Highland|Hillsdale|Kincaid|Lacygne|Lancaster|Lane|Lansing|Lawrence|Leavenworth|Lecompton|Olathe|Linwood|Louisburg|Mc Louth|Mound City|Muscotah|Nortonville|Osawatomie|Oskaloosa|Ottawa|Ozawkie|Paola|Parker|Perry|Pleasanton|Pomona|Potter|Princeton|Rantoul|Richmond|Spring Hill|Stilwell|Tonganoxie|Troy|Valley Falls|Wathena|Welda|Wellsville|Westphalia|White Cloud|Williamsburg|Winchester|Kansas City|Edwardsville|Mission|Shawnee|Overland Park|Leawood|Prairie Village|Lenexa|Shawnee Mission|Montgomery Wards|Alma|Auburn|Axtell|Baileyville|Beattie|Belvue|Bern|Berryton|Blue Rapids|Bremen|Burlingame|Carbondale|Centralia|Circleville|Corning|Delia|Denison|Dover|Emmett|Eskridge|Everest|Fairview|Fostoria|Frankfort|Goff|Grantville|Harveyville|Havensville|Hiawatha|Holton|Home|Horton|Hoyt|Junction City|Fort Riley|Leonardville|Lyndon|Mc Farland|Manhattan|Maple Hill|Marysville|Mayetta|Melvern|Meriden|Milford|Morrill|Netawaka|Ogden|Oketo|Olsburg|Onaga|Oneida|Osage City|Overbrook|Paxico|Powhattan|Quenemo|Riley|Robinson|Rossville|Sabetha|Saint George|Saint Marys|Scranton|Seneca|Silver Lake|Soldier|Summerfield|Tecumseh|Vassar|Vermillion|Wakarusa|Wamego|Waterville|Westmoreland|Wetmore|Whiting|Randolph|Topeka|Cancer Fund Of America|Cancer Fund Of Amer Brm|Kansas Lottery|Fort Scott|Altoona|Arcadia|Arma|Baxter Springs|Benedict|Bronson|Buffalo|Chanute|Cherokee|Columbus|Crestline|Elsmore|Erie|Farlington|Franklin|Fredonia|Fulton|Galena|Galesburg|Garland|Gas|Girard|Hepler|Humboldt|Iola|La Harpe|Mc Cune|Mapleton|Moran|Mulberry|Neodesha|Neosho Falls|New Albany|Opolis|Piqua|Pittsburg|Frontenac|Prescott|Redfield|Riverton|Saint Paul|Savonburg|Scammon|Stark|Thayer|Toronto|Treece|Uniontown|Walnut|Weir|West Mineral|Yates Center|Emporia|Admire|Allen|Alta Vista|Americus|Burdick|Burlington|Burns|Cassoday|Cedar Point|Cottonwood Falls|Council Grove|Dwight|Elmdale|Florence|Gridley|Hamilton|Hartford|Lamont|Lebo|Le Roy|Lincolnville|Lost Springs|Madison|Marion|Matfield Green|Neal|Neosho Rapids|Olpe|Peabody|Reading|Strong City|Virgil|Waverly|White City|Wilsey|Concordia|Agenda|Athol|Barnes|Belleville|Burr Oak|Clifton|Clyde|Courtland|Cuba|Esbon|Formoso|Greenleaf|Haddam|Hanover|Hollenberg|Jamestown|Jewell|Kensington|Lebanon|Linn|Mahaska|Mankato|Morrowville|Munden|Narka|Norway|Palmer|Randall|Republic|Scandia|Smith Center|Washington|Webber|Andale|Andover|Anthony|Argonia|Arkansas City|Atlanta|Attica|Augusta|Beaumont|Belle Plaine|Bentley|Benton|Bluff City|Burden|Burrton|Byers|Caldwell|Cambridge|Cedar Vale|Cheney|Clearwater|Coats|Coldwater|Colwich|Conway Springs|Cunningham|Danville|Derby|Dexter|Douglass|Elbing|El Dorado|Eureka|Fall River|Freeport|Garden Plain|Geuda Springs|Goddard|Goessel|Greensburg|Greenwich|Halstead|Hardtner|Harper|Haviland|Haysville|Hazelton|Hesston|Hillsboro|Isabel|Iuka|Kechi|Kingman|Kiowa|Lake City|Latham|Lehigh|Leon|Maize|Maple City|Mayfield|Medicine Lodge|Milan|Milton|Moundridge|Mount Hope|Mullinville|Mulvane|Murdock|Nashville|Newton|North Newton|Norwich|Oxford|Peck|Piedmont|Potwin|Pratt|Protection|Rock|Rosalia|Rose Hill|Sawyer|Sedgwick|Severy|Sharon|South Haven|Spivey|Sun City|Towanda|Udall|Valley Center|Viola|Waldron|Walton|Wellington|Whitewater|Wilmore|Winfield|Zenda|Wichita|Mcconnell Afb|Independence|Altamont|Bartlett|Caney|Chautauqua|Cherryvale|Chetopa|Coffeyville|Dearing|Dennis|Edna|Elk City|Elk Falls|Grenola|Havana|Howard|Liberty|Longton|Moline|Mound Valley|Niotaze|Oswego|Parsons|Peru|Sedan|Sycamore|Tyro|Salina|Abilene|Assaria|Aurora|Barnard|Beloit|Bennington|Beverly|Brookville|Bushton|Canton|Cawker City|Chapman|Clay Center|Delphos|Downs|Durham|Ellsworth|Enterprise|Falun|Galva|Geneseo|Glasco|Glen Elder|Green|Gypsum|Herington|Holyrood|Hope|Hunter|Kanopolis|Lincoln|Lindsborg|Little River|Longford|Lorraine|Mcpherson|Marquette|Miltonvale|Minneapolis|Morganville|New Cambria|Osborne|Portis|Ramona|Roxbury|Simpson|Solomon|Sylvan Grove|Talmage|Tampa|Tescott|Tipton|Wakefield|Wilson|Windom|Woodbine|Hutchinson|South Hutchinson|Abbyville|Albert|Alden|Alexander|Arlington|Arnold|Bazine|Beeler|Belpre|Bison|Brownell|Buhler|Burdett|Chase|Claflin|Ellinwood|Garfield|Great Bend|Haven|Hoisington|Hudson|Inman|Kinsley|La Crosse|Larned|Lewis|Liebenthal|Lyons|Mc Cracken|Macksville|Nekoma|Ness City|Nickerson|Offerle|Olmitz|Otis|Partridge|Pawnee Rock|Plevna|Pretty Prairie|Ransom|Raymond|Rozel|Rush Center|Saint John|Stafford|Sterling|Sylvia|Turon|Utica|Yoder|Hays|Agra|Almena|Alton|Bogue|Bunker Hill|Catharine|Cedar|Clayton|Collyer|Damar|Dorrance|Dresden|Ellis|Gaylord|Glade|Gorham|Hill City|Jennings|Kirwin|Lenora|Logan|Long Island|Lucas|Luray|Morland|Natoma|Norcatur|Norton|Ogallah|Palco|Paradise|Penokee|Pfeifer|Phillipsburg|Plainville|Prairie View|Russell|Schoenchen|Stockton|Victoria|Wakeeney|Waldo|Walker|Woodston|Colby|Atwood|Bird City|Brewster|Edson|Gem|Goodland|Gove|Grainfield|Grinnell|Herndon|Hoxie|Kanorado|Levant|Ludell|Mc Donald|Monument|Oakley|Oberlin|Park|Quinter|Rexford|Saint Francis|Selden|Sharon Springs|Wallace|Weskan|Winona|Dodge City|Ashland|Bucklin|Cimarron|Coolidge|Copeland|Deerfield|Dighton|Englewood|Ensign|Ford|Fort Dodge|Fowler|Garden City|Hanston|Healy|Holcomb|Ingalls|Jetmore|Johnson|Kendall|Kismet|Lakin|Leoti|Manter|Marienthal|Meade|Minneola|Montezuma|Pierceville|Plains|Satanta|Scott City|Spearville|Sublette|Syracuse|Tribune|Ulysses|Wright|Liberal|Elkhart|Hugoton|Moscow|Richfield|Rolla',
+         '1exe.0,4.1,1.2,1.3,2.4,2.5,1.6,1.7,1.8,1.9,1.a,1.b,1.c,1.d,1.e,2.f,1.g,1.h,1.i,1.j,3.k,1.l,1.m,1.n,2.o,1.p,3.q,1.r,1.s,1.t,1.u,1.v,1*3,1.w,1.v,1.x,1.y,1.z,1.10,1.11,2.12,2.13,2.14,1.y,1*2,1.15,2.16,1.17,3.18,1.19,1.1a,1.1b,2.1c,1.1d,1.1e,1.1f,1.1g,1.1h,3.1i,2.1j,1.1k,1.1l,1.1m,2.1n,1.1o,1.1p,1.1q,1.1r,1.1s,2.1t,4.1u,1*5,3,1*3,1.1v,2.1u,2,1*2,15,15.1w,1,1.1x,1.1y,1.1w,1.1z,1.1y,1.20,1.1z,1.1y,1.1z,1.1y,1*2,1.21,1.1x,1*2,1.21,1,1.1y,1.1w,1.1y,1*2,1.1x,1.21,n.22,1.1y,p.22,3.23,3.1y,1,2.21,1.1x,37.24,1.25,1.26,1.27,2.28,1.29,1.2a,1.2b,2.2c,1.2d,1.2e,1.2f,1.2g,1.2h,1.2i,1.2j,1.2k,1.2l,2.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,2.2u,1.2v,2.2w,2.2x,2.2y,1.2z,1.30,1.31,1.32,7.33,2.34,1e.35,1.36,1,2,1,1.37,1.38,1.39,1.3a,2.3b,2.3c,1.3d,1.3e,1.3f,1.3g,2.3h,1.3i,1.3j,1.3k,1.3l,2.3m,1.3n,1.3o,3.3p,1.3q,1.3r,1.3s,1.3t,1.3u,1.3v,1.3w,1.3x,1.3y,1.3z,1.40,1.41,1.42,2.43,1.44,1.45,1.46,1.47,2.48,2.49,1b.4a,2,1*9,2,1*8,2,1*2,2,1,7,1.4b,5.4c,5.4a,5.4d,1,e.4a,8*2,9.4d,7.4a,2.4e,9.4f,1.4g,1.4h,1.4i,1.4j,2.4k,1.4l,3.4m,4.4n,1.4o,3.4p,4.4q,1.4r,1.4s,1.4t,1.4u,2.4v,1.4w,1.4x,1.4y,1.4z,1.50,3.51,2.52,1.53,2.54,2.55,1.56,1.57,1.58,1.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,4.5g,2.5h,1.5i,1.5j,1.5k,1.5l,2.5m,1.5n,1.5o,1.5p,1.5q,1.5r,1.5s,1.5t,1.5u,i.5v,t.5w,3.5x,1.5y,1.5z,3.60,1.61,1.62,2.63,1.64,2.65,1.66,3.67,1.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,1.6f,1.6g,1.6h,1.6i,1.6j,1.6k,1.6l,1.6m,1.6n,1.6o,2.6p,1.6q,1.6r,1.6s,1.6t,1.6u,s.6v,t.6w,2.6x,1.6y,2.6z,1.70,1.71,1.72,1.73,1.74,1.75,1.76,1.77,1.78,1.79,1.7a,2.7b,1.7c,2.7d,1.7e,1.7f,2.7g,1.7h,2.7i,1.7j,1.7k,1.7l,1.7m,1.7n,1.7o,2.7p,1.7q,1.7r,2.7s,v.7t,1.7u,1.7v,1.7w,1.7x,3.7y,1.7z,1.80,2.81,1.82,3.83,1.84,1.85,1.86,1.87,1.88,1.89,1.8a,1.8b,1.8c,1.8d,2.8e,1.8f,1.8g,1.8h,4.8i,1.8j,1.8k,1.8l,1.8m,2.8n,1.8o,3.8p,2.8q,2.8r,1.8s,1.8t,1.8u,1.8v,1.8w,1.8x,1.8y,1.8z,1.90,1.91,1.92,1.93,1.94,1.95,2.96,1.97,1.98,1.99,2.9a,1.9b,1.9c,1.9d,1.9e,r.9f,1.9g,1.9h,1.9i,1.9j,1.9k,1.9l,1.9m,1.9n,1.9o,1.9p,1.9q,2.9r,3.9s,1.9t,1.9u,1.9v,2.9w,1.9x,1.9y,3.9z,4.a0,1.a1,1.a2,1.a3,1.a4,2.a5,1.a6,2.a7,2.a8,1.a9,1.aa,2.ab,1.ac,2.ad,1.ae,1.af,1.ag,2.ah,1.ai,1.aj,3.ak,16.al,1*j,1.am,2.al,3,1*2,2*2,3,p,f,1*3,n.an,t.ao,2.ap,1.aq,1.ar,1.as,1.at,1.au,3.av,1.aw,1.ax,2.ay,1.az,1.b0,1.b1,2.b2,2.b3,1.b4,1.b5,1.b6,1.b7,1.b8,1.b9,3.ba,1.bb,2.bc,1.bd,11.be,1,8.bf,6.bg,1.bh,1.bi,2.bj,2.bk,1.bl,2.bm,2.bn,1.bo,2.bp,1.bq,1.br,4.bs,1.bt,1.bu,1.bv,2.bw,1.bx,1.by,1.bz,1.c0,1.c1,1.c2,1.c3,1.c4,1.c5,1.c6,1.c7,2.c8,1.c9,1.ca,1.cb,1.cc,1.cd,1.ce,4.cf,2.cg,1.ch,1.ci,2.cj,3.ck,1.cl,1.cm,1.cn,2.co,2.cp,1.cq,1.cr,1.cs,1.ct,1.cu,2.cv,3.cw,1.cx,1.cy,9.cz,1,2,1.d0,5.d1,1.d2,1.d3,1.d4,1.d5,1.d6,1.d7,2.d8,1.d9,1.da,1.db,1.dc,1.dd,1.de,1.df,1.dg,3.dh,1.di,d.dj,1.dk,1.dl,1.dm,1.dn,1.do,2.dp,2.dq,1.dr,1.ds,2.dt,1.du,2.dv,1.dw,1.dx,2.dy,1.dz,1.e0,1.e1,1.e2,1.e3,2.e4,2.e5,1.e6,1.e7,1.e8,1.e9,2.ea,1.eb,2.ec,2.ed,1.ee,1.ef,g.eg,k.eh,1.ei,1.ej,2.ek,1.el,1.em,1.en,1.eo,2.ep,1.eq,2.er,1.es,2.et,1.eu,1.ev,1.ew,2.ex,1.ey,1.ez,1.f0,1.f1,1.f2,1.f3,1.f4,1.f5,1.f6,2.f7,1.f8,2.f9,1.fa,1.fb,1.fc,1.fd,1.fe,2.ff,1.fg,1.fh,2.fi,2.fj,2.fk,1.fl,1.fm,1.fn,1.fo,q.fp,t.fq,1.fr,1.fs,1.ft,1.fu,1.fv,1.fw,1.fx,1.fy,1.fz,1.g0,1.g1,2.g2,1.g3,1.g4,2.g5,1.g6,1.g7,2.g8,1.g9,1.ga,3.gb,1.gc,1.gd,3.ge,1.gf,2.gg,11.gh,u.gi,3.gj,1.gk,1.gl,1.gm,1.gn,1.go,1.gp,1.gq,1.gr,1.gs,1.gt,2.gu,3.gv,1.gw,1.gx,2.gy,1.gz,1.h0,2.h1,2.h2,1.h3,1.h4,1.h5,1.h6,1.h7,1.h8,2.h9,1.ha,1.hb,1.hc,1.hd,5.he,1.hf,1.hg,1.hh,1.hi,2.hj,j.hk,4,19.hl,1.hm,1.hn,1.ho,1.hp'],
+    KY: ['Bagdad|Bardstown|Bedford|Bethlehem|Bloomfield|Bradfordsville|Buckner|Campbellsburg|Chaplin|Coxs Creek|Crestwood|Eastwood|Eminence|Fairfield|Finchville|Fisherville|Glenview|Goshen|Harrods Creek|La Grange|Lebanon|Lockport|Loretto|Mackville|Masonic Home|Milton|Mount Eden|Mount Washington|Nazareth|Nerinx|New Castle|New Haven|New Hope|Pendleton|Pewee Valley|Pleasureville|Port Royal|Prospect|Raywick|Saint Catharine|Saint Francis|Saint Mary|Shelbyville|Simpsonville|Smithfield|Springfield|Sulphur|Taylorsville|Turners Station|Waddy|Westport|Willisburg|Battletown|Boston|Brandenburg|Brooks|Clermont|Cloverport|Custer|Ekron|Fairdale|Falls Of Rough|Fort Knox|Hillview|Garfield|Guston|Hardinsburg|Harned|Hudson|Irvington|Lebanon Junction|Mc Daniels|Mc Quady|Muldraugh|Payneville|Radcliff|Rhodelia|Rineyville|Shepherdsville|Stephensport|Union Star|Vine Grove|Webster|West Point|Westview|Louisville|Burgin|Carlisle|Clay City|Clearfield|Denniston|Elliottville|Farmers|Frenchburg|Georgetown|Gravel Switch|Harrodsburg|Hope|Irvine|Jeffersonville|Keene|Nicholasville|Lawrenceburg|Means|Midway|Millersburg|Moorefield|Morehead|Mount Sterling|New Liberty|North Middletown|Olympia|Owenton|Owingsville|Paris|Perry Park|Preston|Sadieville|Salt Lick|Salvisa|Sharpsburg|Slade|Stamping Ground|Stanton|Versailles|Waco|Grolier Books|Wellington|Wilmore|Winchester|Annville|Berea|Bighill|Brodhead|Bryantsville|Crab Orchard|Danville|Gray Hawk|Hustonville|Junction City|Kings Mountain|Lancaster|Livingston|Mc Kee|Mc Kinney|Mitchellsburg|Mount Vernon|Orlando|Paint Lick|Parksville|Perryville|Ravenna|Renfro Valley|Richmond|Sandgap|Stanford|Tyner|Waneta|Waynesburg|Wildie|Winston|Lexington|Frankfort|Corbin|Bush|East Bernstadt|Emlyn|Gray|Keavy|Lily|London|Nevisdale|Pittsburg|Rockholds|Siler|Williamsburg|Woodbine|Ages Brookside|Asher|Baxter|Benham|Big Laurel|Bledsoe|Calvin|Cawood|Chappell|Coalgood|Coldiron|Cranks|Cumberland|Dayhoit|Eolia|Essie|Evarts|Grays Knob|Gulston|Harlan|Helton|Holmes Mill|Hoskinston|Hulen|Kenvir|Lejunior|Loyall|Lynch|Miracle|Mozelle|Partridge|Pathfork|Putney|Stinnett|Totz|Wallins Creek|Warbranch|Arjay|Artemus|Barbourville|Beverly|Big Creek|Bimble|Bryants Store|Cannon|Closplint|Dewitt|Eriline|Fall Rock|Flat Lick|Fourmile|Frakes|Garrard|Girdler|Goose Rock|Green Road|Heidrick|Hima|Hinkle|Ingram|Kettle Island|Manchester|Mary Alice|Middlesboro|Oneida|Pineville|Roark|Saul|Scalf|Sextons Creek|Stoney Fork|Trosper|Walker|Woollum|Alexandria|Augusta|Berry|Brooksville|Burlington|Butler|California|Carrollton|Corinth|Covington|Latonia|Ft Mitchell|Erlanger|Hebron|Florence|Crittenden|Cynthiana|De Mossville|Dover|Dry Ridge|Elizaville|Ewing|Falmouth|Flemingsburg|Foster|Germantown|Ghent|Glencoe|Hillsboro|Independence|Jonesville|Kenton|Mason|Mayslick|Maysville|Melbourne|Milford|Minerva|Morning View|Mount Olivet|Muses Mills|Newport|Bellevue|Dayton|Fort Thomas|Petersburg|Plummers Landing|Sanders|Silver Grove|Sparta|Union|Verona|Wallingford|Walton|Warsaw|Washington|Williamstown|Worthville|Ashland|Argillite|Blaine|Carter|Catlettsburg|Denton|Emerson|Flatwoods|Garrison|Grahn|Grayson|Greenup|Hitchins|Isonville|Martha|Mazie|Olive Hill|Quincy|Rush|Russell|Sandy Hook|Soldier|South Portsmouth|South Shore|Vanceburg|Webbville|Willard|Worthington|Tollesboro|Adams|Beauty|Boons Camp|Debord|East Point|Flatgap|Hagerhill|Inez|Keaton|Louisa|Lovely|Lowmansville|Meally|Oil Springs|Paintsville|Pilgrim|River|Sitka|Staffordsville|Stambaugh|Thelma|Tomahawk|Tutor Key|Ulysses|Van Lear|Warfield|West Van Lear|Williamsport|Wittensville|Campton|Athol|Bays|Beattyville|Bethany|Booneville|Clayhole|Hazel Green|Heidelberg|Island City|Jackson|Lone|Lost Creek|Mistletoe|Mize|Pine Ridge|Primrose|Ricetown|Rogers|Rousseau|Rowdy|Saint Helens|Vancleve|Vincent|Whick|Zoe|Cannel City|Crockett|Elkfork|Ezel|Falcon|Gapville|Malone|Ophir|Royalton|Salyersville|West Liberty|Wrigley|Pikeville|South Williamson|Ashcamp|Belcher|Belfry|Burdine|Canada|Dorton|Elkhorn City|Fedscreek|Fords Branch|Forest Hills|Freeburn|Hardy|Hellier|Huddy|Jenkins|Jonancy|Kimper|Lick Creek|Lookout|Mc Andrews|Mc Carr|Majestic|Mouthcard|Myra|Phelps|Phyllis|Pinsonfork|Raccoon|Ransom|Regina|Robinson Creek|Rockhouse|Shelbiana|Shelby Gap|Sidney|Steele|Stone|Stopover|Varney|Virgie|Allen|Auxier|Banner|Beaver|Betsy Layne|Bevinsville|Blue River|Bypro|Dana|David|Drift|Dwale|Eastern|Garrett|Grethel|Gunlock|Harold|Hi Hat|Hueysville|Ivel|Lackey|Langley|Mc Dowell|Martin|Melvin|Minnie|Prestonsburg|Printer|Stanville|Teaberry|Tram|Wayland|Weeksbury|Wheelwright|Hazard|Ary|Avawam|Bear Branch|Bonnyman|Buckhorn|Bulan|Busy|Carrie|Chavies|Combs|Cornettsville|Delphia|Dice|Dwarf|Emmalena|Fisty|Gays Creek|Happy|Hardburly|Hyden|Jeff|Krypton|Sassafras|Scuddy|Sizerock|Slemp|Smilax|Thousandsticks|Vest|Vicco|Viper|Wendover|Wooton|Yeaddiss|Yerkes|Blackey|Cromona|Deane|Ermine|Garner|Gordon|Hallie|Hindman|Isom|Jackhorn|Jeremiah|Kite|Leburn|Letcher|Linefork|Littcarr|Mc Roberts|Mallie|Mayking|Millstone|Mousie|Neon|Pine Top|Pippa Passes|Premium|Redfox|Roxana|Seco|Thornton|Whitesburg|Dema|Raven|Topmost|Paducah|Almo|Arlington|Bandana|Bardwell|Barlow|Benton|Boaz|Burna|Calvert City|Clinton|Columbus|Crayne|Cunningham|Dexter|Dycusburg|Eddyville|Fancy Farm|Farmington|Fulton|Gilbertsville|Grand Rivers|Hampton|Hardin|Hazel|Hickman|Hickory|Kevil|Kirksey|Kuttawa|La Center|Ledbetter|Lovelaceville|Lowes|Lynnville|Marion|Mayfield|Melber|Milburn|Murray|New Concord|Salem|Sedalia|Smithland|Symsonia|Tiline|Tolu|Water Valley|West Paducah|Wickliffe|Wingo|Bowling Green|Adolphus|Alvaton|Austin|Beaumont|Cave City|Drake|Edmonton|Eighty Eight|Etoile|Fountain Run|Franklin|Gamaliel|Glasgow|Hestand|Hiseville|Holland|Knob Lick|Lucas|Mount Hermon|Oakland|Park City|Rocky Hill|Scottsville|Summer Shade|Tompkinsville|Woodburn|Smiths Grove|Aberdeen|Adairville|Allensville|Auburn|Bee Spring|Brownsville|Cadiz|Center|Cerulean|Clifty|Crofton|Dunbar|Elkton|Fairview|Fort Campbell|Gracey|Guthrie|Herndon|Hopkinsville|Jetson|La Fayette|Lewisburg|Mammoth Cave|Morgantown|Oak Grove|Olmstead|Pembroke|Rochester|Rockfield|Roundhill|Russellville|Sharon Grove|South Union|Sweeden|Trenton|Welchs Creek|Woodbury|Owensboro|Beaver Dam|Beech Creek|Beech Grove|Beechmont|Belton|Bremen|Browder|Calhoun|Centertown|Central City|Cleaton|Cromwell|Curdsville|Drakesboro|Dundee|Dunmor|Fordsville|Graham|Greenville|Hartford|Hawesville|Horse Branch|Island|Lewisport|Livermore|Mc Henry|Maceo|Maple Mount|Olaton|Pellville|Philpot|Powderly|Reynolds Station|Rockport|Rosine|Rumsey|Sacramento|South Carrollton|Stanley|Utica|West Louisville|Whitesville|Baskett|Blackford|Clay|Corydon|Dawson Springs|Dixon|Earlington|Fredonia|Hanson|Henderson|Madisonville|Manitou|Morganfield|Mortons Gap|Nebo|Nortonville|Poole|Princeton|Providence|Reed|Robards|Saint Charles|Sebree|Slaughters|Smith Mills|Spottsville|Sturgis|Sullivan|Uniontown|Waverly|Wheatcroft|White Plains|Somerset|Bethelridge|Bronston|Burnside|Dunnville|Ferguson|Liberty|Middleburg|Nancy|Science Hill|Tateville|West Somerset|Windsor|Yosemite|Eubank|Albany|Alpha|Jamestown|Marshes Siding|Monticello|Parkers Lake|Pine Knot|Revelo|Russell Springs|Stearns|Strunk|Whitley City|Elizabethtown|Big Clifty|Bonnieville|Breeding|Buffalo|Burkesville|Campbellsville|Cane Valley|Caneyville|Canmer|Cecilia|Clarkson|Columbia|Cub Run|Dubre|Eastview|Elk Horn|Glendale|Glens Fork|Gradyville|Greensburg|Hardyville|Hodgenville|Horse Cave|Knifley|Leitchfield|Magnolia|Mannsville|Marrowbone|Millwood|Mount Sherman|Munfordville|Sonora|Summersville|Upton|White Mills',
+         'uv7.0,1.1,2.2,1.3,1.4,1.5,1.6,1.7,1.8,1.9,1.a,4.b,1.c,1.d,2.e,1.f,2.g,1.h,1.i,4.j,1,1.k,3.l,1.m,3.n,1.o,4.p,1.q,1.r,1.s,1.t,1.u,1.v,1.w,3.x,1.y,1.z,1.10,1.11,1.12,1.13,1.14,1.15,2.16,1,1.17,1.18,1.19,1.1a,1.1b,4.1c,1.1d,1.1e,1.1f,q.1g,3.1h,1.1i,1.1j,1.1k,1.1l,4.1m,2.1n,1.1o,1.1p,2.1q,1,7.1r,b.1s,2.1t,1.1u,1.1v,1.1w,1.1x,4.1y,2.1z,1.20,2.21,2.22,2.23,1,1.24,1.25,3.26,1,4.27,1.28,4.29,1.2a,1.2b,1.2c,n.2d,1*o,3,1,2,1*2,8,1*2,2,5,1*3,2,1*4,2,5,2,1*2,2,8,1*3,2*3,1*a,b.2e,1.2f,1.2g,1.2h,3.2i,1.2j,2.2k,3.2l,2.2m,4.2n,2.2o,4.2p,2.2q,1.2r,2.2s,1.2t,2.2u,4.2v,1.2w,1.2x,2.2y,1.2z,2.30,2.31,1.2t,1.32,1.33,1.34,1.35,1.36,1,1.37,3.38,4.39,1.3a,1.3b,2.3c,2.3d,3.3e,1.3f,3.3g,1,1.3h,1.3i,1.3j,3.3k,1.3l,1,a.3m,1.3n,1,1.3o,4.3p,1.3q,9.3r,3.3s,1,b.3t,3.3u,3.3v,2.3w,2.3x,1.3y,1.3x,1.3z,1.40,4.41,4.42,4.43,1.44,3.45,4.46,4.47,1.48,2.49,1,5.4a,3.4b,2.4c,2.4d,1.4e,3.4f,3.4g,7.4h,1*f,5,1*2,2,7,3,8,2,4,5,j,1*9,5,3,7,3.4i,1*3,e,1*4,27.4j,1,m.4k,5.4l,1.4m,4.4n,3.4o,3.4p,1.4q,1*4,5,4.4r,1.4s,4.4t,4.4u,6.4v,2.4w,u.4x,2.4y,3.4z,1.50,1.51,2.52,3.53,2.54,1.55,2.56,1.57,1.58,3.59,1.5a,2.5b,1.5c,1.5d,1.5e,1.5f,1.5g,9.5h,3.5i,1.5j,1.5k,2.5l,2.5m,5.5n,1.5o,1.5p,2.5q,4.5r,1.5s,2.5t,3.5u,2.5v,3.5w,1.5x,s.5y,1.5z,3.60,7.61,1.62,1.63,6.64,2.65,4.66,3.67,1.68,1.69,3.6a,4.6b,1.6c,1.6d,2.6e,1.6f,2.6g,3.6h,2.6i,2.6j,2.6k,3.6l,4.6m,2.6n,1.6o,7.6p,5.6q,2.6r,2.6s,1.6t,1.6u,5.6v,7.6w,2.6x,2.6y,2.6z,1.70,1.71,1.72,1.73,1.74,1.75,1.76,2.77,1.78,1,2,1.79,1.78,1.7a,1.7b,1.78,2.7c,1.7d,3.7b,5.7e,1.7f,2.7g,1.7h,1.7i,2.7j,2.7k,1.7l,1.7m,1.7d,1.7n,1.7o,1.7p,1.7q,2.7c,1.7r,2.7s,1.7t,1.7u,1.7v,1.7w,1.7x,3.7y,2.7z,1.80,1.81,1.82,1.83,6.84,1,1.85,1.86,1.87,1.84,4.88,1.89,2.8a,2.8b,1.8c,5.8d,1.8e,1.8f,1.8g,1.8h,1.8i,1.8j,1.8k,1.84,2.8l,1,3,9,7.8m,3.8n,4.8o,1.8p,3.8q,3.8r,4.8s,2.8t,1.8u,1.8v,1.8w,2.8x,3.8y,a.8z,1.90,4.91,2.92,2.93,1.94,2.95,2.96,1.97,1.98,4.99,1.9a,1.9b,2.9c,6.9d,c.9e,2.9f,1.9g,a.9h,2.9i,3.9j,3.9k,2.9l,2.9m,4.9n,1.9o,1.9p,2.9q,4.9r,2.9s,a.9t,4.9u,1.9v,1.9w,1.9x,3.9y,2.9z,1.a0,1.a1,1.a2,2.a3,1.a4,3.a5,3.a6,r.a7,6.a8,3.a9,1.aa,2.ab,1.ac,3.ad,f.ae,1.af,5.ag,1.ah,8.ai,1.aj,3.ak,1.al,8.am,2.an,2.ao,1.ap,1.aq,1.ar,1.as,h.at,1.au,4.av,7.aw,b.ax,5.ay,8.az,4.b0,1.b1,7.b2,i.b3,8.b4,5.b5,1.b6,7.b7,5.b8,o.b9,1,1.ba,9.bb,1.bc,1.bd,3.be,2.bf,1.bg,2.bh,2.bi,2.bj,1.bk,1.bl,3.bm,3.bn,1.bo,2.bp,1.bq,1.br,1.bs,2.bt,1.bu,1.bv,3.bw,1.bx,1.by,4.bz,1.c0,1.c1,2.c2,1.c3,1.c4,1.c5,1.c6,1.c7,1.c8,1.c9,2.ca,1.cb,1.cc,3.cd,1.ce,t.cf,1.cg,1.ch,1.ci,1.cj,1.ck,1.cl,5.cm,3.cn,1.co,3.cp,2.cq,1.cr,8.cs,1.ct,1.cu,3.cv,1.cw,4.cx,2.cy,1.cz,2.d0,2.d1,2.d2,1.d3,1.d4,2.d5,2.d6,4.d7,1.d8,3.d9,3.da,1.db,2.dc,w.dd,1,a.de,1.df,1.dg,5.dh,2.di,1.dj,1.dk,2.dl,2.dm,2.dn,2.do,4.dp,1.dq,3.dr,1.ds,3.dt,2.du,1.dv,1.dw,2.dx,2.dy,3.dz,5.e0,1.e1,2.e2,1.e3,1.e4,2.e5,6.e6,1.e7,1.e8,1.e9,1.ea,1.eb,1.ec,q.ed,6.ee,2.ef,3.eg,2.eh,2.ei,2.ej,1.ek,2.el,1.em,1.en,2.eo,3.ep,1.eq,1.er,1.es,1.et,1.eu,1.ev,1.ew,1.ex,1.ey,3.ez,1.f0,1.f1,2.f2,1.f3,1.f4,6.f5,3.f6,1.f7,2.f8,1.f9,3v.fa,1*2,h.fb,1.fc,1.fd,1.fe,1.ff,1.fg,2.fh,1.fi,1.fj,2.fk,1.fl,1.fm,2.fn,1.fo,1.fp,1.fq,1.fr,1.fs,1.ft,3.fu,1.fv,2.fw,1.fx,1.fy,1.fz,1.g0,2.g1,1.g2,1.g3,1.g4,2.g5,2.g6,1.g7,2.g8,1.g9,2.ga,3.gb,1.gc,1.gd,5.ge,2.gf,1.gg,2.gh,1.gi,1.gj,1.gk,1.gl,1.gm,1.gn,1.go,d.gp,1*3,g.gq,2.gr,1.gs,1.gt,3.gu,1.gv,1.gw,1.gx,1.gy,2.gz,1.h0,1,5.h1,1.h2,1,9.h3,1.h4,1.h5,1.h6,2.h7,1.h8,2.h9,1.ha,3.hb,1.hc,2.hd,1.he,3.hf,1.hg,u.hh,1.hi,2.hj,2.hk,1.hl,3.hm,1.hn,3.ho,1.hp,1.hq,1.hr,2.hs,1.ht,1.hu,2.hv,9.hw,2.hx,2.hy,4.hz,1,b.i0,2.i1,2.i2,3.i3,2.i4,1.i5,3.i6,1.i7,7.i8,1.i9,1.ia,1.ib,4.ic,3.id,2.ie,1.if,1.ig,1.ih,d.ii,1*3,g.ij,1.ik,1.il,1.im,1.in,1.io,1.ip,1.iq,1.ir,2.is,2.it,1.iu,1.iv,3.iw,1.ix,1.iy,4.iz,1.j0,1.j1,2.j2,1.j3,1.j4,1.j5,1.j6,1.j7,2.j8,1.j9,1.ja,5.jb,3.jc,2.jd,1.je,1.jf,1.jg,1.jh,1.ji,1.jj,2.jk,1.jl,1.jm,1.jn,1.jo,o.jp,1.jq,1.jr,2.js,2.jt,1.ju,1.jv,1.jw,2.jx,6.jy,1,b.jz,5.k0,1.k1,3.k2,1.k3,1.k4,2.k5,1.k6,5.k7,1.k8,1.k9,1.ka,2.kb,1.kc,1.kd,1.ke,1.kf,1.kg,1.kh,1.ki,1.kj,1.kk,11.kl,1*2,d.km,2.kn,1.ko,9.kp,5.kq,6.kr,2.ks,3.kt,9.ku,5.kv,6.kw,1.kx,1.ky,1.kz,z.l0,1.l1,q.l2,2.l3,2.l4,1.l5,1.l6,3.l7,4.l8,5.l9,2.la,4.lb,1c.lc,1,a.ld,1.le,2.lf,1.lg,1.lh,1.li,1,1.lj,1.lk,1.ll,2.lm,2.ln,2.lo,1.lp,2.lq,1.lr,1.ls,7.lt,1.lu,1.lv,1.lw,3.lx,2.ly,1.lz,4.m0,1.m1,1,2.m2,1.m3,1.m4,3.m5,2.m6,1.m7,b.m8,6.m9,2.ma,4.mb'],
+    LA: ['Metairie|Des Allemands|Ama|Arabi|Barataria|Belle Chasse|Boothville|Boutte|Braithwaite|Buras|Chalmette|Destrehan|Edgard|Empire|Garyville|Gramercy|Gretna|Hahnville|Harvey|Kenner|Lafitte|La Place|Luling|Lutcher|Marrero|Meraux|Mount Airy|New Sarpy|Norco|Paradis|Pilottown|Pointe A La Hache|Port Sulphur|Reserve|Saint Bernard|Saint James|Saint Rose|Vacherie|Venice|Violet|Westwego|New Orleans|Naval Reserve Pers Ctr|Thibodaux|Pierre Part|Amelia|Belle Rose|Berwick|Bourg|Chauvin|Cut Off|Donaldsonville|Donner|Dulac|Galliano|Gheens|Gibson|Golden Meadow|Grand Isle|Gray|Houma|Kraemer|Labadieville|Larose|Lockport|Mathews|Montegut|Morgan City|Napoleonville|Paincourtville|Patterson|Plattenville|Raceland|Schriever|Theriot|Hammond|Abita Springs|Akers|Amite|Angie|Bogalusa|Bush|Covington|Fluker|Folsom|Franklinton|Greensburg|Husser|Independence|Kentwood|Lacombe|Loranger|Madisonville|Mandeville|Maurepas|Mount Hermon|Natalbany|Pearl River|Pine Grove|Ponchatoula|Robert|Roseland|Saint Benedict|Slidell|Springfield|Sun|Talisheek|Tangipahoa|Tickfaw|Varnado|Lafayette|Abbeville|Arnaudville|Avery Island|Baldwin|Basile|Branch|Breaux Bridge|Broussard|Cade|Carencro|Cecilia|Centerville|Charenton|Chataignier|Church Point|Crowley|Delcambre|Duson|Egan|Elton|Erath|Estherwood|Eunice|Evangeline|Franklin|Garden City|Grand Coteau|Gueydan|Iota|Jeanerette|Jennings|Kaplan|Lake Arthur|Lawtell|Leonville|Loreauville|Mamou|Maurice|Mermentau|Milton|Morse|New Iberia|Lydia|Opelousas|Perry|Pine Prairie|Port Barre|Rayne|Reddell|Roanoke|Saint Martinville|Scott|Sunset|Turkey Creek|Ville Platte|Washington|Welsh|Youngsville|Lake Charles|Bell City|Cameron|Creole|Dequincy|Deridder|Dry Creek|Elizabeth|Evans|Fenton|Grand Chenier|Grant|Hackberry|Hayes|Iowa|Kinder|Lacassine|Leblanc|Longville|Merryville|Mittie|Oberlin|Pitkin|Ragley|Reeves|Rosepine|Singer|Starks|Sugartown|Sulphur|Vinton|Westlake|Baker|Denham Springs|Gonzales|Addis|Albany|Angola|Batchelor|Brittany|Brusly|Carville|Clinton|Convent|Darrow|Duplessis|Erwinville|Ethel|Fordoche|French Settlement|Geismar|Glynn|Burnside|Greenwell Springs|Grosse Tete|Hester|Holden|Innis|Jackson|Jarreau|Krotz Springs|Lakeland|Lettsworth|Livingston|Livonia|Lottie|Maringouin|Morganza|New Roads|Norwood|Oscar|Paulina|Plaquemine|Port Allen|Prairieville|Pride|Rosedale|Rougon|Saint Amant|Saint Francisville|Saint Gabriel|Slaughter|Sorrento|Sunshine|Tunica|Ventress|Wakefield|Walker|Watson|Weyanoke|White Castle|Wilson|Zachary|Uncle Sam|Baton Rouge|Cablevision|Arcadia|Ashland|Athens|Belcher|Benton|Bethany|Bienville|Blanchard|Castor|Cotton Valley|Coushatta|Cullen|Doyline|Dubberly|Frierson|Gibsland|Gilliam|Gloster|Goldonna|Grand Cane|Greenwood|Hall Summit|Haughton|Haynesville|Heflin|Homer|Hosston|Ida|Jamestown|Keatchie|Keithville|Lisbon|Logansport|Longstreet|Elm Grove|Mansfield|Minden|Mooringsport|Oil City|Pelican|Plain Dealing|Pleasant Hill|Powhatan|Princeton|Ringgold|Rodessa|Saline|Sarepta|Shongaloo|Sibley|Springhill|Stonewall|Summerfield|Taylor|Vivian|Shreveport|Barksdale Afb|Bossier City|Monroe|Archibald|Baskin|Bastrop|Bernice|Bonita|Calhoun|Chatham|Choudrant|Collinston|Crowville|Delhi|Delta|Downsville|Dubach|Epps|Eros|Fairbanks|Farmerville|Forest|Fort Necessity|Grambling|Hodge|Jigger|Jones|Jonesboro|Kilbourne|Lake Providence|Lillie|Mangham|Marion|Mer Rouge|Oak Grove|Oak Ridge|Pioneer|Quitman|Rayville|Ruston|Simsboro|Sondheimer|Spearsville|Start|Sterlington|Swartz|Tallulah|Transylvania|West Monroe|Winnsboro|Alexandria|Acme|Bordelonville|Bunkie|Center Point|Chase|Cheneyville|Clayton|Cottonport|Deville|Dupont|Echo|Effie|Evergreen|Ferriday|Gilbert|Hamburg|Harrisonburg|Hessmer|Jena|Jonesville|Lebeau|Lecompte|Libuse|Mansura|Marksville|Melville|Monterey|Moreauville|Morrow|Newellton|Palmetto|Pineville|Plaucheville|Rhinehart|Ruby|Saint Joseph|Saint Landry|Sicily Island|Simmesport|Trout|Vidalia|Waterproof|Wildsville|Wisner|Aimwell|Anacoco|Atlanta|Ball|Belmont|Bentley|Boyce|Calvin|Campti|Clarence|Clarks|Cloutierville|Colfax|Columbia|Converse|Dodson|Dry Prong|Elmer|Enterprise|Fisher|Flatwoods|Flora|Florien|Forest Hill|Gardner|Georgetown|Glenmora|Gorum|Grayson|Hineston|Hornbeck|Joyce|Kelly|Kurthwood|Leesville|Lena|Longleaf|Many|Marthaville|Melrose|Montgomery|Mora|Natchez|Natchitoches|Fort Polk|Negreet|New Llano|Noble|Oakdale|Olla|Otis|Pollock|Provencal|Robeline|Saint Maurice|Sieper|Sikes|Simpson|Slagle|Tioga|Tullos|Urania|Winnfield|Woodworth|Zwolle',
+         '1i0h.0,1*5,3,1*2,j.1,1.2,1.3,1.0,3.4,1.5,1.6,1.7,1.8,1.9,2.a,1,3.b,2.c,1.d,1.e,1.f,1.g,1,1.0,1.g,1.h,1.i,1,1.0,2.j,1*3,2.k,1.l,1,1.m,1.n,1.o,1,2.p,1.q,2.r,1.s,1.t,1.u,1.v,1.w,1.x,1.y,1.z,1.10,3.11,1.12,1.13,1.5,1.14,2,1.j,f.15,1*7,2,1*a,8,1*4,2,1,2,1.16,1.15,1*4,2,1*b,3,2*2,1*5,2,1*6,2,1,5,2y.17,1,8,t.18,1.19,1.1a,1.1b,1.1c,1.1d,1.1e,1.1f,6.1g,1.1h,1.1i,1.1j,1.1k,1.1l,1.1m,1.1n,1.1o,1,2,1,7.1p,1.1q,1.1r,1.1s,1.1t,2.1u,3.1v,1,9.1w,1.1x,1.1y,1.1z,1.20,1.21,2.22,4.23,1*3,g.24,1.25,1.26,4.27,1.28,2,2.29,2.2a,1*2,1.2b,1.2c,1.2d,3.2e,1.2f,1.2g,1.2h,1.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,1.2v,1*3,1.2w,1.2x,1.2y,1.2z,1.30,1.31,2.2v,1.2l,1,t.32,1*9,1.33,1,1.34,1.35,1.36,1.37,1.38,1.39,1.3a,1.3b,1.3c,1.3d,1.3e,1.3f,1.3g,1.3h,1.3i,1,1.3j,1.3k,2.3l,1.3m,1.3n,1.3o,1.3p,2.3q,1.3r,2.3s,1.3t,1.3u,1.3v,1.3w,2.3x,2.3y,1.3z,1.40,1.41,1.42,2.43,1.44,1.45,2.46,1.47,1.48,2,1,6.49,1.4a,1,4.4b,1.4c,1.4d,1.4e,2.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,3.4m,2.4n,1.4o,1.32,2,1,2,3.4p,1,3,1*2,2*2,1,3,1,d,1.4q,1.4r,1.4s,1.4t,1.4u,3.4v,1.4w,1.4x,1.4y,3.4z,1.50,1.51,1.52,1.53,1.54,2.55,1.56,1.57,1.58,1.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,1.5h,1.5i,1*2,3.5j,1.5k,z.5l,2.5m,1.5n,3.5o,1.5p,1.5q,2.5l,1.5r,3.5s,1.5t,2.5u,1.5v,1.5w,2.5x,1.5m,1,1.5y,1.5z,1.60,2.61,1.62,1.63,2.64,1.5n,1.65,1.66,1.67,3.68,1.69,3.6a,1.6b,1.6c,1.6d,2.6e,1.6f,1.6g,1.6h,1.6i,1.6j,2.6k,1.6l,1.6m,1.6n,1.6o,1.6p,1,2.6q,2.6r,1.6s,2.6t,1.6u,1.6v,1.6w,1.6x,1.6y,1.6z,2.70,2.71,1.72,1.73,1.74,1.75,1.76,1.77,1.78,2.79,1.7a,9.7b,1*m,2,1*2,4,2*2,1*2,10,1,5,4.7c,1.7b,7,1*5,2,2v.7d,1.7e,1.7f,1.7g,2.7h,1.7i,1.7j,1.7k,7.7l,2.7m,1.7n,2.7o,2.7p,1.7q,3.7r,1.7s,1.7t,1.7u,1.7v,1.7w,1.7x,1.7y,3.7z,1.80,1.81,1.82,3.83,1.84,1.85,1.86,1.87,1.88,1.89,1.8a,1.8b,1.8c,3.8d,3,2.8e,1.8f,2.8g,1.8h,1.8i,1.8j,1.8k,1.8l,1.8m,1.8n,1.8o,1.8p,1.8q,2.8r,3.8s,1.8t,1.8u,2.8v,j.8w,1*8,1.8x,1.8y,1*2,2.8w,3,1*2,9,1,3,1*5,a,1*6,2,5,1*5,5.8y,1,t.8z,1*2,4,1*6,4,1.90,1.91,1.92,1,1.93,1.94,2.95,1.96,1.97,2.98,1.99,2.9a,1.9b,1.9c,1.9d,2.9e,1.9f,2.9g,1.9h,1.9i,1.9j,2.9k,2.9l,2.9m,1.9n,1.9o,2.9p,1.9q,2.9r,3.9s,1.9t,1.9u,2.9v,1.9w,2.9x,2.9y,1.9z,1.a0,2,1,2.a1,1.a2,1.a3,2.a4,1.a5,1.a6,1.a7,2,2.a8,5.a9,1,2,1.aa,6.ab,1*2,3,1,2,6,1.ac,4.ad,2.ae,1.af,1.ag,1.ah,1.ai,1.aj,1.ak,1.al,1.am,1.an,2.ao,1.ap,2.aq,3.ar,1.as,1.at,1.au,1.av,2.aw,1.ax,2.ay,2.az,1.b0,2.b1,1.b2,1.b3,1.b4,1.b5,1.b6,1.b7,1*2,1.b8,1.b9,2.ba,1.bb,1.bc,1.bd,1.be,2.bf,2.bg,2.bh,2.bi,1.bj,n.bk,2.bl,1.bm,1.bn,1.bo,1.bp,2.bq,1.br,1.bs,3.bt,1.bu,1.bv,1.bw,1.bx,1.by,3.bz,1.c0,1.c1,1.c2,1.c3,1.c4,1.c5,1.c6,1.c7,1.c8,1.c9,1.ca,1.cb,1.cc,3.cd,1.ce,1.cf,1.cg,2.ch,3.ci,1.cj,1.ck,1.cl,1.cm,2.cn,2.co,1.cp,1.cq,1.cr,1,1.cs,1.ct,1.cu,1.cv,1.cw,2.cx,1.cy,1.cz,1.d0,1.d1,2.d2,1.d3,1.d4,1.d5,1.d6,2.d7,2.d8,1.d9,3.da,2.db,1.dc,a.ci,1.cr'],
+    ME: ['Berwick|Cape Neddick|Eliot|Kittery|Kittery Point|North Berwick|Ogunquit|South Berwick|York|York Beach|York Harbor|Acton|Alfred|Bailey Island|Bar Mills|Biddeford|Biddeford Pool|Bowdoinham|Bridgton|Brownfield|Brunswick|Bustins Island|Cape Porpoise|Casco|Center Lovell|Chebeague Island|Cliff Island|Cornish|Cumberland Center|Denmark|East Baldwin|Lebanon|East Parsonsfield|Sebago|East Waterboro|Freeport|Fryeburg|Gorham|Gray|Harrison|Hiram|Hollis Center|Kennebunk|Kennebunkport|Parsonsfield|Limerick|Limington|Long Island|Lovell|Moody|Naples|Newfield|North Bridgton|North Waterboro|Windham|Ocean Park|Old Orchard Beach|Orrs Island|Porter|Pownal|Scarborough|Raymond|Saco|Sanford|Sebago Lake|Shapleigh|South Casco|South Freeport|Harpswell|South Windham|Springvale|Standish|Steep Falls|Topsham|Waterboro|Waterford|Wells|West Baldwin|Westbrook|Buxton|West Kennebunk|West Newfield|Yarmouth|North Yarmouth|Portland|Falmouth|South Portland|Cape Elizabeth|Peaks Island|Cumberland Foreside|Auburn|Andover|Bethel|Bryant Pond|Buckfield|Canton|Durham|Danville|Dixfield|Dryden|East Andover|East Dixfield|East Livermore|East Poland|Stoneham|East Wilton|Greene|Hanover|Hebron|Jay|Lewiston|Lisbon|Lisbon Falls|Livermore|Livermore Falls|Greenwood|Mechanic Falls|Mexico|Minot|Monmouth|New Gloucester|Newry|North Jay|Leeds|North Monmouth|North Turner|North Waterford|Norway|Oxford|Paris|Poland|Roxbury|Rumford|Sabattus|South Paris|Turner|Wayne|Weld|West Bethel|Bowdoin|West Minot|West Paris|Peru|West Poland|Sumner|Wilton|Augusta|Coopers Mills|Dresden|East Winthrop|Farmingdale|Gardiner|Randolph|Hallowell|Jefferson|Kents Hill|Litchfield|Manchester|Mount Vernon|Whitefield|Palermo|Readfield|Richmond|South China|South Gardiner|Vienna|Windsor|Winthrop|Bangor|Abbot|Aurora|Bradford|Bradley|Brewer|Brookton|Brownville|Brownville Junction|Bucksport|Burlington|Greenbush|Carmel|Castine|Charleston|Danforth|Dover Foxcroft|Corinth|Eddington|Holden|East Millinocket|East Orland|Etna|Exeter|Frankfort|Greenville|Greenville Junction|Guilford|Hampden|Howland|Hudson|Kenduskeag|Kingman|Lagrange|Lambert Lake|Lee|Levant|Lincoln|Mattawamkeag|Medway|Milford|Millinocket|Milo|Monson|Olamon|Old Town|Orono|Orient|Orland|Orrington|Passadumkeag|Penobscot|Rockwood|Sangerville|Sebec|Shirley Mills|Springfield|Stetson|Stillwater|Topsfield|Vanceboro|Waite|West Enfield|Winn|Winterport|Wytopitlock|Bath|Alna|Boothbay|Boothbay Harbor|Bristol|Chamberlain|Damariscotta|East Boothbay|Friendship|Georgetown|Isle Of Springs|Bremen|Newcastle|New Harbor|Nobleboro|Edgecomb|Pemaquid|Phippsburg|Cushing|Round Pond|Sebasco Estates|South Bristol|Squirrel Island|Trevett|Waldoboro|Walpole|Washington|West Boothbay Harbor|Southport|Wiscasset|Woolwich|Ellsworth|Addison|Gouldsboro|Bar Harbor|Beals|Bernard|Birch Harbor|Blue Hill|Brooklin|Brooksville|Calais|Cherryfield|Columbia Falls|Corea|Cranberry Isles|Cutler|Deer Isle|Dennysville|East Blue Hill|East Machias|Eastport|Franklin|Frenchboro|Grand Lake Stream|Hancock|Harborside|Harrington|Hulls Cove|Isle Au Haut|Islesford|Jonesboro|Jonesport|Little Deer Isle|Lubec|Bass Harbor|Machias|Machiasport|Meddybemps|Milbridge|Mount Desert|Northeast Harbor|Sullivan|Pembroke|Perry|Princeton|Prospect Harbor|Robbinston|Salsbury Cove|Sargentville|Seal Cove|Seal Harbor|Sedgwick|Sorrento|Southwest Harbor|Steuben|Stonington|Sunset|Surry|Swans Island|Wesley|Whiting|Winter Harbor|Baileyville|Houlton|Ashland|Benedicta|Blaine|Bridgewater|Caribou|Clayton Lake|Crouseville|Eagle Lake|Easton|Estcourt Station|Fort Fairfield|Fort Kent|Fort Kent Mills|Frenchville|Grand Isle|Island Falls|Limestone|Madawaska|Mapleton|Mars Hill|Monticello|New Limerick|New Sweden|Oakfield|Oxbow|Patten|Perham|Portage|Presque Isle|Saint Agatha|Saint David|Saint Francis|Sheridan|Sherman|Stacyville|Sinclair|Smyrna Mills|Wallagrass|Stockholm|Van Buren|Washburn|Westfield|Rockland|Camden|Glen Cove|Hope|Islesboro|Lincolnville|Lincolnville Center|Matinicus|Monhegan|North Haven|Owls Head|Port Clyde|Rockport|South Thomaston|Spruce Head|Tenants Harbor|Thomaston|Union|Vinalhaven|Warren|West Rockport|Waterville|Albion|Anson|Athens|Belfast|Belgrade|Belgrade Lakes|Bingham|Brooks|Burnham|Cambridge|Canaan|Caratunk|China Village|Clinton|Corinna|Detroit|Dexter|Dixmont|East Newport|East Vassalboro|Eustis|Fairfield|Farmington|Garland|Farmington Falls|Freedom|Harmony|Hartland|Hinckley|Jackman|Kingfield|Liberty|Madison|Monroe|Morrill|Newport|New Portland|New Sharon|New Vineyard|Norridgewock|North Anson|North Vassalboro|Oakland|Oquossoc|Palmyra|Phillips|Pittsfield|Plymouth|Rangeley|Saint Albans|Sandy Point|Searsmont|Searsport|Shawmut|Skowhegan|Smithfield|Solon|Stockton Springs|Stratton|Strong|Temple|West Forks|Thorndike|Troy|Unity|Vassalboro|West Farmington',
+         '30d.0,1.1,1.2,1.3,1.4,1.5,1.6,1.7,1.8,1.9,1.a,2i.b,1.c,1.d,1.e,1.f,1.g,1.f,1.h,1.i,1.j,1.k,2.l,1.m,1.n,1.o,1.p,2.q,1.r,1.s,1.t,2.u,3.v,1.w,1.x,1.y,2.z,1*2,3.10,1.11,1.12,1.13,1.14,1.15,1.16,3.17,1.18,1.19,1.1a,1.1b,1.1c,3.1d,1.1e,1.1f,1.1g,4.1h,1.1i,1.1j,1.1k,2.1l,2.1m,1.1n,1.1o,1.1p,1.1q,1.1r,1.1o,1.1s,1.1t,1.1u,1.1v,1.1w,3.1x,1.1y,1.1z,1.20,1.21,1.22,1.23,2.24,1.25,1.26,1.27,1.28,1.29,1.2a,1.2b,1.26,3.2c,1*3,1.2d,1.2e,1.2f,1.2g,1.2c,1.2h,2.2c,4.2e,6.2c,1*2,2e.2i,1*2,4.2j,1.2k,2.2l,1.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,2.2v,1.2w,3.2x,2.2y,1.2z,1.30,1.31,1.32,1,2,7.33,2.34,1.35,1.36,1.37,1.38,1.39,1.3a,1.3b,1.3c,1.3d,1.3e,1.3f,2.3g,1.3h,1.3i,1.3j,2.3k,1.3l,3.3m,1.3n,1.3o,4.3p,1.3q,1.3r,2.3s,1.3t,1.3u,1.3v,1.3w,1.3x,1.3y,1.3z,1.40,2.41,10.42,2,1,3,2,3.43,1.44,1.45,1.46,1.47,1.48,1.49,1.4a,1.4b,1.4c,1.4d,1.4e,1.4f,1.4g,1.4h,2.4i,1.4j,1.4k,1.4l,3.4m,1.4n,11.4o,1,4.4p,2.4q,2.4r,1.4s,1.4t,1.4u,1.4v,1.4w,1.4x,1.4y,1.4z,1.50,1.51,1,1.52,2.53,2.54,1.55,1.56,1.57,1.58,1.59,3.5a,1.5b,3.5c,3.5d,1.5e,1.5f,1.5g,4.5h,1.5i,1.5j,1.5k,2.5l,1.5m,1.5n,1.5o,1.5p,2.5q,1.5r,1.5s,1.5t,1.5u,1.5v,3.5w,1.5x,1.5y,2.5z,1.60,1.5y,1.61,1.62,1.63,2.64,1.65,2.66,4.67,2.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,2.6f,1.6g,1.6h,x.6i,5.6j,2.6k,1.6l,1.6m,2.6n,2.6o,1.6p,3.6q,1.6r,1.6s,2.6t,2.6u,1.6v,1.6w,1.6x,2.6y,4.6z,1.70,1.71,1.72,3.73,2.74,1.75,1.76,1.77,1.78,1.79,1.7a,2.7b,1.7c,q.7d,1.7e,1.7f,2.7g,2.7h,1.7i,1.7j,1.7k,2.7l,1.7m,2.7n,3.7o,1.7p,1.7q,1.7r,1.7s,1.7t,1.7u,1.7v,1.7w,1.7x,3.7y,1.7z,2.80,3.81,2.82,1.83,1.84,1.85,1.86,2.87,1.88,1.89,2.8a,1.8b,1.8c,1.8d,2.8e,1.8f,2.8g,2.8h,2.8i,2.8j,1.8k,1.8l,1.8m,2.8n,1.8o,1.8p,1.8q,1.8r,1.8s,1.8t,2.8u,1.8v,1.8w,2.8x,1.8y,1.8z,1.90,5.91,2.92,1.93,10.94,2.95,1.96,1.97,1.98,1.99,1.9a,1.9b,1.9c,1.9d,1.9e,1.9f,1.9g,1.9h,1.9i,1.9j,1.9k,3.9l,1,5.9m,1.9n,1.9o,2.9p,1.9q,1.9r,1.9s,1.9t,1.9u,1.9v,2.9w,1.9x,3.9y,1.9z,1.a0,1.a1,1.a2,1.a3,2.a4,1.a5,1.a6,2.a7,2.a8,1.a9,1.aa,1i.ab,2.ac,3.ad,1.ae,1.af,1.ag,1.ah,1.ai,1.aj,1.ak,1.al,1.am,1.an,2.ao,1.ap,1.aq,1.ar,1.as,1.at,1.au,1.av,10.aw,2,7.ax,1.ay,1.az,3.b0,2.b1,1.b2,2.b3,1.b4,1.b5,1.b6,1.b7,1.b8,1.b9,1.ba,1.bb,1.bc,1.bd,2.be,1.bf,2.bg,1.bh,1.bi,1.bj,1.bk,1.bl,1.bm,1.bn,1.bo,1.bp,1.bq,2.br,2.bs,1.bt,1.bu,1.bv,1.bw,1.bx,1.by,1.bz,1.c0,1.c1,3.bx,1.c2,1.c3,1.c4,1.c5,1.c6,1.c7,2.c8,1.c9,1.ca,1.cb,1.cc,1.cd,1.ce,1.cf,2.cg,1.ch,2.ci,1.cj,1.ck,1.cl,1.cm,1.cn,1.co,1.cp,1.cq,3.cr'],
+    MD: ['Dhs|Waldorf|Abell|Accokeek|Aquasco|Avenue|Barstow|Bel Alton|Benedict|Brandywine|Broomes Island|Bryans Road|Bryantown|Bushwood|California|Callaway|Chaptico|Charlotte Hall|Cheltenham|Clements|Cobb Island|Coltons Point|Compton|Dameron|Dowell|Drayden|Faulkner|Great Mills|Helen|Hollywood|Hughesville|Huntingtown|Indian Head|Ironsides|Issue|La Plata|Leonardtown|Lexington Park|Loveville|Lusby|Marbury|Mechanicsville|Morganza|Mount Victoria|Nanjemoy|Newburg|Park Hall|Patuxent River|Piney Point|Pomfret|Port Republic|Port Tobacco|Prince Frederick|Ridge|Rock Point|Saint Inigoes|Saint Leonard|Saint Marys City|Scotland|Solomons|Sunderland|Tall Timbers|Valley Lee|Welcome|White Plains|Southern Md Facility|Annapolis Junction|Lanham|Beltsville|Laurel|Bladensburg|Lothian|Mount Rainier|North Beach|Bowie|Brentwood|Capitol Heights|Chesapeake Beach|Churchton|Clinton|Owings|Riverdale|College Park|Fort Washington|Oxon Hill|Suitland|District Heights|Temple Hills|Deale|Dunkirk|Fort George G Meade|Friendship|Fulton|Andrews Air Force Base|Savage|Shady Side|Galesville|Greenbelt|Glenn Dale|Upper Marlboro|Harwood|Highland|West River|Tracys Landing|Hyattsville|Jessup|Bethesda|Glen Echo|Chevy Chase|Cabin John|Olney|Brookeville|Poolesville|Barnesville|Beallsville|Boyds|Dickerson|Rockville|Potomac|Derwood|Sandy Spring|Ashton|Brinklow|Burtonsville|Spencerville|Clarksburg|Damascus|Germantown|Gaithersburg|Washington Grove|Montgomery Village|Kensington|Garrett Park|Suburb Maryland Fac|Silver Spring|Takoma Park|Aberdeen|Aberdeen Proving Ground|Abingdon|Gunpowder|Arnold|Baldwin|Bel Air|Belcamp|Benson|Boring|Brooklandville|Butler|Chase|Churchville|Clarksville|Cockeysville|Hunt Valley|Crownsville|Darlington|Davidsonville|Dayton|Edgewater|Edgewood|Ellicott City|Columbia|Fallston|Finksburg|Forest Hill|Fork|Fort Howard|Freeland|Gambrills|Gibson Island|Glen Arm|Glen Burnie|Glyndon|Hampstead|Elkridge|Hanover|Harmans|Havre De Grace|Hydes|Jarrettsville|Joppa|Kingsville|Lineboro|Linthicum Heights|Long Green|Lutherville Timonium|Manchester|Marriottsville|Maryland Line|Mayo|Millersville|Monkton|Odenton|Crofton|Owings Mills|Parkton|Pasadena|Perry Hall|Perryman|Phoenix|Pylesville|Randallstown|Reisterstown|Riderwood|Riva|Severn|Severna Park|Simpsonville|Sparks Glencoe|Stevenson|Street|Upperco|Upper Falls|Westminster|Whiteford|White Hall|White Marsh|Woodstock|Baltimore|Towson|Gwynn Oak|Pikesville|Sparrows Point|Middle River|Essex|Dundalk|Brooklyn|Curtis Bay|Halethorpe|Catonsville|Parkville|Nottingham|Rosedale|Windsor Mill|Annapolis|Cumberland|Accident|Barton|Bittinger|Bloomington|Corriganville|Eckhart Mines|Ellerslie|Flintstone|Friendsville|Frostburg|Grantsville|Kitzmiller|Lonaconing|Luke|Mc Henry|Midland|Midlothian|Mount Savage|Oakland|Oldtown|Pinto|Rawlings|Spring Gap|Swanton|Westernport|Easton|Barclay|Bethlehem|Betterton|Bozman|Cambridge|Centreville|Chester|Chestertown|Church Creek|Church Hill|Claiborne|Cordova|Crapo|Crocheron|Crumpton|Denton|East New Market|Federalsburg|Fishing Creek|Galena|Goldsboro|Grasonville|Greensboro|Henderson|Hillsboro|Hurlock|Ingleside|Kennedyville|Mcdaniel|Madison|Marydel|Massey|Millington|Neavitt|Newcomb|Oxford|Preston|Price|Queen Anne|Queenstown|Rhodesdale|Ridgely|Rock Hall|Royal Oak|Saint Michaels|Secretary|Sherwood|Stevensville|Still Pond|Sudlersville|Taylors Island|Templeville|Tilghman|Toddville|Trappe|Wingate|Wittman|Woolford|Worton|Wye Mills|Nationwide Fulfill Systems|Frederick|Adamstown|Big Pool|Boonsboro|Braddock Heights|Brownsville|Brunswick|Buckeystown|Burkittsville|Cascade|Cavetown|Chewsville|Clear Spring|Cooksville|Emmitsburg|Fairplay|Funkstown|Glenelg|Glenwood|Hagerstown|Hancock|Ijamsville|Jefferson|Keedysville|Keymar|Knoxville|Ladiesburg|Libertytown|Lisbon|Little Orleans|Maugansville|Middletown|Monrovia|Mount Airy|Myersville|New Market|New Midway|New Windsor|Point Of Rocks|Rocky Ridge|Rohrersville|Sabillasville|Saint James|Sharpsburg|Smithsburg|Sykesville|Taneytown|Thurmont|Tuscarora|Union Bridge|Unionville|Walkersville|West Friendship|Williamsport|Woodbine|Woodsboro|Salisbury|Allen|Berlin|Bishopville|Bivalve|Crisfield|Deal Island|Eden|Ewell|Fruitland|Girdletree|Hebron|Linkwood|Manokin|Mardela Springs|Marion Station|Nanticoke|Newark|Ocean City|Parsonsburg|Pittsville|Pocomoke City|Powellville|Princess Anne|Quantico|Rehobeth|Sharptown|Showell|Snow Hill|Stockton|Tyaskin|Tylerton|Upper Fairmount|Vienna|Westover|Whaleyville|Willards|Delmar|North East|Perry Point|Perryville|Port Deposit|Rising Sun|Warwick|Cecilton|Charlestown|Chesapeake City|Childs|Colora|Conowingo|Earleville|Elk Mills|Elkton|Georgetown',
+         'fvw.0,d.1,1*3,2.2,1.3,1.4,1.5,1.6,1.7,1.8,1.9,2.a,1.b,1.c,1.d,1.e,1.f,1.g,1.h,1.i,1.j,1.k,1.l,1.m,1.n,1.o,1.p,2.q,2.r,1.s,1.t,1.u,2.v,1.w,3.x,2.y,1.z,4.10,3.11,3.12,1.13,1.14,1.15,1.16,1.17,1.18,2.19,3.1a,3.1b,4.1c,1.1d,1.1e,1.1f,1.1g,2.1h,2.1i,2.1j,1.1k,1.1l,1.1m,1.1n,1.1o,1.1p,2.1q,1.1r,2.1s,2.1t,4.1u,2.1v,1.1w,1,1.1v,1.1x,1*2,1.1y,1.1z,1.20,2.21,1.22,1*6,1.23,1.1x,1*3,5.24,1.25,1.26,2.27,1.28,1.29,1,2.2a,1*2,1.24,1.2b,1.2c,1.2d,1.2e,1.2f,1.2b,1.2c,1.2g,1.2d,1.2e,1.2h,1.2i,2.2f,1.2j,1.2k,3.2l,1.2m,1.2n,1.2o,3.2p,1.2q,1.2p,1,1.2r,1*3,1.2s,1.2t,1.2u,1.2v,2.2w,1*4,2,1,2.24,1,1.2r,2.2x,3.1t,2.24,b.2y,1,1.2z,1.2y,1,1.30,1.2y,1,1.31,6.2y,1.30,2.2y,3.32,2,1.33,4.34,1.35,1.36,2.37,1.38,5.39,1*6,1.3a,1.3b,2.39,2.3a,1.3c,1.3d,1.3e,4.3f,2.3g,3.3h,1.3i,2.3j,1*2,1.3k,1*2,1.3l,2.3k,1*3,1.3m,3.2y,2.3n,1.2y,2,1.3n,1.3o,1.3p,1.3k,1,2.3q,1*7,2,1,1.3r,1,1.3q,1*2,2,23,4,4.3s,4.3t,4.3u,1.3v,2.3w,1.3x,1.3y,1,2.3z,1.40,2.41,2.42,1.43,4.44,1.45,1.46,1.47,1.48,1.49,2.4a,1.4b,1.4c,1.4d,3.4e,1.4f,1*2,1.4g,1*2,1.4h,1.4i,2.4j,1.4k,1.4l,1.4m,1.4n,2.4o,1.4p,3.4q,1*2,3.48,6.4r,3.4s,1.4t,1.4u,1.4v,1.4w,4.4x,2.4y,1.4z,2.50,1.51,2.52,2.53,1.54,1,4.4u,4.55,2.56,1.57,1.58,2.59,3.5a,2.5b,1.5c,3.5d,3.5e,2.5f,1,5.5g,2.5h,1.5i,1.5j,1.5k,3.5l,3.5m,1.5n,4.5o,2.5p,4.5q,2.5r,1.5s,1.5t,1.5u,1.5v,1.5w,1,2.5x,1.5y,1.5z,1.60,12.61,1*2,1.62,1.61,1,1.63,1.64,1.61,1*9,1.65,1.66,1.67,1.68,1.61,1,1.69,1.6a,1.6b,1.6c,1.61,1*2,2,1.6d,1.61,1.6e,1.6f,2.61,1*2,3.6g,6.61,1,1.62,8.61,1.67,2.61,1*2,3,2,3,1*2,3,1*7,1.62,1.61,1*3,7,1,2v.6h,1*4,4,2,1,2h.6i,1*4,f.6j,1.6k,1.6l,1.6m,1.6n,4.6o,1.6p,1.6q,1.6r,1.6s,4.6t,2.6u,1.6v,1.6w,1.6x,1.6y,1.6z,2.70,5.71,5.72,1.73,1.74,3.75,1.76,1.77,13.78,5,1.79,2.7a,1.7b,2.7c,1.7d,4.7e,2.7f,1.7g,2.7h,1.7i,1.7j,1.7k,1.7l,1.7m,1.7n,1.7o,2.7p,1.7q,2.7r,1.7s,1.7t,2.7u,1.7v,1.7w,1.7x,2.7y,1.7z,1.80,2.81,1.82,1.83,1.84,1.85,1.86,1.87,1.88,1.89,1.8a,1.8b,1.8c,1.8d,1.8e,1.8f,1.8g,1.8h,1.8i,1.8j,1.8k,1.8l,1.8m,1.8n,1.8o,1.8p,1.8q,1.8r,2.8s,1.8t,1.8u,1.8v,1.8w,2.8x,1.8e,1,1.8x,1*3,1.8e,2.7g,b.8y,1*4,4,1.8z,1.90,2.91,1.92,1.93,1.94,1.95,1.96,1.97,1.98,1.99,1.9a,1.9b,4.9c,6.9d,1.9e,3.9f,1.9g,2.9h,1*2,4,1*3,1.9i,4.9j,1.9k,1.9l,1.9m,1.9n,1.9o,3.9p,3.9q,1.9r,1.9s,2.9t,1.9u,1.9v,2.9w,1.9x,1.9y,1.9z,1.a0,1.a1,1.a2,1.a3,1.a4,1.a5,1.a6,1.a7,3.a8,1.a9,2.aa,1.ab,1.ac,1.ad,1.ae,1.af,2.ag,1.ah,3.ai,1*3,6.aj,1.ak,2.al,1.am,3.an,4.ao,1.ap,2.aq,2.ar,3.as,1.at,5.au,1.av,1.aw,1.ax,2.ay,1.az,1.b0,1,6.b1,1.b2,1.b3,1.b4,1.b5,3.b6,1.b7,4.b8,1.b9,1.ba,1.bb,1.bc,1.bd,1.be,2.bf,2.bg,1.bh,2.bi,1.bj,f.bg,b.bk,1.bl,1.bm,1.bn,7.bo,1.bp,1.bq,1.br,1.bs,1.bt,1.bu,1.bv,1.bw,1.bx,1.by,1,8.bz'],
+    MA: ['Agawam|Amherst|Barre|Belchertown|Blandford|Bondsville|Brimfield|Chester|Chesterfield|Chicopee|Cummington|Easthampton|East Longmeadow|East Otis|Feeding Hills|Gilbertville|Goshen|Granby|Granville|Hadley|Hampden|Hardwick|Hatfield|Haydenville|Holyoke|Huntington|Leeds|Leverett|Ludlow|Monson|North Amherst|Northampton|Florence|North Hatfield|Oakham|Palmer|Plainfield|Russell|Shutesbury|Southampton|South Barre|South Hadley|Southwick|Thorndike|Three Rivers|Wales|Ware|Warren|West Chesterfield|Westfield|West Hatfield|West Springfield|West Warren|Whately|Wheelwright|Wilbraham|Williamsburg|Woronoco|Worthington|Springfield|Longmeadow|Indian Orchard|Springfield Bmc|Pittsfield|Adams|Ashley Falls|Becket|Berkshire|Cheshire|Dalton|Glendale|Great Barrington|Hinsdale|Housatonic|Lanesboro|Lee|Lenox|Lenox Dale|Middlefield|Mill River|Monterey|North Adams|North Egremont|Otis|Richmond|Sandisfield|Savoy|Sheffield|South Egremont|Southfield|South Lee|Stockbridge|Tyringham|West Stockbridge|Williamstown|Windsor|Greenfield|Ashfield|Athol|Bernardston|Buckland|Charlemont|Colrain|Conway|Deerfield|Drury|Erving|Heath|Lake Pleasant|Millers Falls|Monroe Bridge|Montague|Gill|New Salem|Northfield|Orange|Petersham|Rowe|Royalston|Shelburne Falls|South Deerfield|Sunderland|Turners Falls|Warwick|Wendell|Wendell Depot|Fitchburg|Ashburnham|Ashby|Ayer|Devens|Baldwinville|East Templeton|Gardner|Westminster|Groton|Harvard|Hubbardston|Leominster|Littleton|Lunenburg|Pepperell|Shirley|Still River|Templeton|Townsend|West Groton|West Townsend|Winchendon|Winchendon Springs|Auburn|Berlin|Blackstone|Boylston|Brookfield|Charlton|Charlton City|Charlton Depot|Clinton|East Brookfield|Douglas|East Princeton|Fiskdale|Grafton|Holden|Holland|Jefferson|Lancaster|Leicester|Linwood|Manchaug|Millbury|Millville|New Braintree|Northborough|Northbridge|North Brookfield|North Grafton|North Oxford|North Uxbridge|Oxford|Princeton|Rochdale|Rutland|Shrewsbury|Southbridge|South Grafton|South Lancaster|Spencer|Sterling|Sturbridge|Upton|Uxbridge|Webster|Dudley|Westborough|West Boylston|West Brookfield|West Millbury|Whitinsville|Sutton|Worcester|Cherry Valley|Paxton|Framingham|Village Of Nagog Woods|Boxborough|Acton|Ashland|Bedford|Hanscom Afb|Bolton|Carlisle|Concord|Fayville|Holliston|Hopedale|Hopkinton|Hudson|Marlborough|Maynard|Mendon|Milford|Natick|Sherborn|Southborough|Lincoln|Stow|Sudbury|Wayland|Woodville|Woburn|Burlington|Andover|Billerica|Chelmsford|Dracut|Dunstable|Haverhill|Georgetown|Groveland|Lawrence|Methuen|North Andover|Lowell|Merrimac|North Billerica|North Chelmsford|North Reading|Nutting Lake|Pinehurst|Reading|Tewksbury|Tyngsboro|Wakefield|West Boxford|Westford|Wilmington|Winchester|Lynn|Saugus|Swampscott|Nahant|Amesbury|Beverly|Boxford|Byfield|Danvers|Essex|Gloucester|Hamilton|Hathorne|Ipswich|Lynnfield|Manchester|Marblehead|Middleton|Newburyport|Newbury|Salisbury|Peabody|Prides Crossing|Rockport|Rowley|Salem|South Hamilton|Topsfield|Wenham|West Newbury|Accord|Bellingham|Brant Rock|Canton|Cohasset|Dedham|Dover|Mansfield|East Walpole|Foxboro|Franklin|Greenbush|Green Harbor|Hingham|Hull|Humarock|Marshfield|Marshfield Hills|Medfield|Medway|Millis|Minot|Norfolk|North Marshfield|North Scituate|Norwell|Norwood|Ocean Bluff|Scituate|Sharon|Sheldonville|South Walpole|Stoughton|Walpole|Westwood|Wrentham|Boston|Roxbury|Roxbury Crossing|Dorchester|Dorchester Center|Mattapan|Charlestown|Jamaica Plain|Roslindale|West Roxbury|Allston|Brighton|Hyde Park|Readville|Cambridge|Somerville|Malden|Everett|Chelsea|Revere|Winthrop|Medford|West Medford|Quincy|Melrose|Stoneham|Braintree|Milton|Milton Village|Weymouth|East Weymouth|South Weymouth|North Weymouth|Bell Atlantic Telephone Co|East Boston|Brockton|Avon|Bridgewater|Bryantville|Carver|Duxbury|East Bridgewater|Easton|Elmwood|Halifax|Hanover|Hanson|Holbrook|Middleboro|Manomet|Lakeville|Monponsett|Abington|North Carver|North Easton|North Pembroke|Pembroke|Plymouth|Kingston|South Carver|Plympton|Randolph|Rockland|South Easton|West Bridgewater|White Horse Beach|Whitman|Lexington|Brookline|Brookline Village|Waltham|North Waltham|New Town|Babson Park|Newton|Newton Center|Newtonville|Newton Highlands|Newton Lower Falls|Newton Upper Falls|West Newton|Auburndale|Chestnut Hill|Waban|Watertown|Arlington|Arlington Heights|Belmont|Waverley|Wellesley Hills|Wellesley|Needham|Weston|Needham Heights|Nonantum|Buzzards Bay|Cataumet|Chilmark|East Falmouth|East Sandwich|East Wareham|Edgartown|Falmouth|Woods Hole|Menemsha|Monument Beach|Nantucket|North Falmouth|Oak Bluffs|Onset|Pocasset|Sagamore|Sagamore Beach|Sandwich|Siasconset|Silver Beach|Vineyard Haven|Wareham|West Chop|West Falmouth|West Tisbury|West Wareham|Hyannis|Barnstable|Brewster|Centerville|Chatham|Cotuit|Cummaquid|Dennis|Dennis Port|East Dennis|Eastham|East Orleans|Forestdale|Harwich|Harwich Port|Hyannis Port|Marstons Mills|Mashpee|North Chatham|North Eastham|North Truro|Orleans|Osterville|Provincetown|South Chatham|South Dennis|South Harwich|South Orleans|South Wellfleet|South Yarmouth|Truro|Wellfleet|West Barnstable|West Chatham|West Dennis|West Harwich|West Hyannisport|West Yarmouth|Yarmouth Port|Assonet|Attleboro|Chartley|Cuttyhunk|Dartmouth|Dighton|East Freetown|East Taunton|Fairhaven|Fall River|Somerset|Marion|Mattapoisett|New Bedford|Acushnet|North Dartmouth|South Dartmouth|North Attleboro|Plainville|Attleboro Falls|North Dighton|Norton|Raynham|Raynham Center|Rehoboth|Rochester|Seekonk|Swansea|Berkley|Taunton|Westport|Westport Point',
+         'rt.0,1.1,1*2,1.2,2.3,1.4,1.5,1.6,1.7,1.8,1.9,1,6,1*2,4.a,1.b,1.c,1.d,1.e,1.f,1.g,1.h,1.i,1.j,1.k,1.l,1.m,1.n,1.o,1,9.p,3.q,1.r,2.s,1.t,2.u,1.v,1,1.w,1.v,3.x,2.y,1.z,1.10,1.11,1.12,1.13,1.14,1.15,2.16,2.17,1.18,1.19,1.1a,1.1b,1.1c,1.1d,1,2.1e,1.1f,1,2.1g,1.1h,1.1i,1.1j,1.1k,1.1l,1.1m,3.1n,1*4,1.1o,1.1n,1*2,2,4,1.1o,2.1n,1,9,1,4,5,1,5,7.1p,1.1n,17.1q,4.1n,2.1r,1*2,h.1s,2.1t,1.1u,1.1v,1.1w,1.1x,1,2.1y,1.1z,5.20,1.21,1.22,1.23,2.24,2.25,1.26,1.27,1.28,2.29,5.2a,1.2b,1.2c,1.2d,1.2e,1.2f,1.2g,1.2h,1.2i,2.2j,1,1.2k,2.2l,1.2m,3.2n,v.2o,1,s.2p,1.2q,6.2r,1.2s,1.2t,1.2u,1.2v,1.2w,1.2x,1.2y,2.2z,1.30,2.31,1.32,1.33,3.34,1.35,5.36,4.37,2.38,1.39,1.3a,2.3b,3.3c,2.3d,1.3e,2.3f,1.3g,1.3h,14.3i,a.3j,1.3k,1.3l,2.3m,2.3n,2.3o,2.3p,1.3q,9.3r,1.3s,1.3t,1.3u,7.3v,2.3w,1.3x,1.3y,3.3z,1.40,1.41,1.3r,1,1.42,1.3q,1.43,1.44,2.45,o.46,2.47,1.48,1.49,1.4a,1.4b,1.4c,1.4d,1.4e,5.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,2.4s,2.4t,1.4u,2.4v,1.4w,1.4x,1.4y,1.4z,2.50,1.51,1.52,1.53,2.54,1,4.55,a.56,1.57,1.58,2.59,2.5a,2.5b,1.5c,1.5d,1.5e,9.5f,1*2,1.5g,2.5h,1.5i,2.5j,2.5k,b.5l,1*9,1.5m,1.5n,1.5l,1*2,12,1*2,1a.5o,1*4,d.5p,1.5q,1.5r,1.5s,9.5t,1.5u,9.5v,1.5w,1.5x,3.5y,1.5z,1.60,1.61,1.62,3.63,2.64,2.65,1.66,3.67,a.68,2.69,1.6a,2.6b,1.6c,2.6d,6.6e,h.6f,2.6g,2,2.6f,1,2.6h,2,1.6f,2,6.6i,1,2.6j,2.6k,1.6l,3.6m,1*2,1.6n,1.6o,1.6m,5.6p,1*3,1.6q,1.6r,5.6s,1*4,6.6t,2.6u,1.6v,1.6w,1.6x,1.6y,1.6z,9.70,3.71,1.72,5.73,1.74,1.75,1.6f,1.6w,1.76,9.6h,2.77,1*4,1.78,1.79,1.7a,2.77,3.7b,2.7c,6.7d,1.7e,1.7f,6.7g,1.7h,1,5.7i,1.7j,1.7k,2.7l,4.7m,1.7n,4.7o,1.7p,1.7q,1.7r,8.7s,1,4.7t,1.7u,3.7v,1.7w,1,b.7x,1.7y,1.7z,1.80,x.81,1.82,1.83,1.84,4.85,1.86,1,3.87,1.88,1.89,3.8a,3.8b,2.8c,1.8d,2.8e,1,1.8f,2.8g,1.88,2.8h,1.8i,1.8j,1.8k,1.8l,1.8m,1.8n,3.8o,1.8p,1.8q,1.8r,3.8s,1.8t,1.8u,3.8v,1.8w,1.8x,9.8y,9.8z,3.90,f.91,1*a,1.92,1.93,1.94,1,1.91,1.95,1.94,1.96,1.91,1,1.97,1.98,1.99,1.9a,1.91,1.9b,1.9c,1.9d,1.9e,1.9f,1*4,1.9g,1*2,3.9h,1.9i,1.9j,1.9k,1.9l,1.9m,2,1.9n,7.91,6.9o,1*2,5.9p,4.9q,4.9r,1,1.9s,1.9t,1.9u,1.9v,1.9w,1.9x,5.91,3,2*2,1*3,1.9y,3.91,1*2,3,1*2,5,6.9z,a.9f,1,2.91,p,3.9o,e.91,1,9,2*2,1,3.a0,1*4,h.a1,2.a2,1,2.a3,3.a4,1.a5,1,1.a6,1.a7,3.a8,1.a9,1.aa,1,1.ab,2.ac,1.ad,1.ae,1.ad,1.af,1,1.ad,1.ag,1.ah,4.ai,1.aj,1,1.ak,1.al,1.am,1*2,2.an,2.ao,1.ap,1.aq,2.ar,5.as,4.at,2.au,1.av,12.aw,1,o.ax,1,1.ay,4.az,1*3,1.b0,1.b1,1.b2,1.b3,1.b4,1.b5,1.b6,1.b7,2.b8,1.b9,1.ba,1.bb,1.bc,3.bd,1,2.be,1.bf,1.be,1.bd,1.bg,1.bh,2.bi,1.bj,a.bk,1.bl,1.bm,1.bn,11.bo,2.bp,1.bq,1.br,1.bs,1.bt,1.bu,1.bv,1,1.bo,1.bw,9.bx,1.by,1.bz,2.c0,1.c1,1.c2,1.c3,2.c4,1.c5,1.c6,1.c7,1.c8,3.c9,3.ca,2.cb,1.cc,1.cd,1.ce,8.bz,h.cf,t.cg,1.ch,1.ci,1.cj,1.ci,1.ck,1.ci,1.cl,1.cm,1.cn,2.co,1.cp,1.cq,1.cr,1.cs,1.ct,1.cu,1.cv,1.cw,1.cx,1.cy,1.cz,1.d0,2.d1,2.d2,2.d3,1.d4,1.d5,1.d6,1.d7,1.d8,2.d9,1.da,1.db,1.dc,1.dd,1.de,1.df,1.dg,2.dh,r.di,1.dj,9.dk,1.dl,1.dm,1.dn,2.do,1.dp,1.dq,1.dr,1*4,1.ds,1,c.dt,1.du,1.dv,1*2,1.dw,1.dv,1*2,1.dx,1.dy,c.dz,1,1.e0,1.e1,1.e2,2.e3,1.e4,1.e5,1.e6,1.e7,1.e8,6.e9,2.ea,1.eb,3,7.ec,1.ed,23a.6h,17'],
+    MI: ['Algonac|Allenton|Almont|Anchorville|Armada|Avoca|Troy|Birmingham|Capac|Center Line|Clawson|Eastpointe|Emmett|Fair Haven|Franklin|Fraser|Goodells|Harsens Island|Hazel Park|Jeddo|Southfield|Clinton Township|Marine City|Marysville|Memphis|Macomb|Mount Clemens|Harrison Township|New Baltimore|New Haven|North Street|East China|Fort Gratiot|Port Huron|Richmond|Columbus|Casco|Romeo|Roseville|Royal Oak|Pleasant Ridge|Huntington Woods|Madison Heights|Berkley|Smiths Creek|Saint Clair|Saint Clair Shores|Warren|Washington|Ray|Yale|Allen Park|Ann Arbor|Azalia|Belleville|Brighton|Bridgewater|Carleton|Chelsea|Dearborn|Melvindale|Dearborn Heights|Dexter|Dundee|Erie|Flat Rock|Garden City|Gregory|Grosse Ile|Hamburg|Ida|Inkster|Lakeland|Lambertville|La Salle|Lincoln Park|Livonia|Luna Pier|Manchester|Maybee|Milan|Monroe|New Boston|New Hudson|Newport|Northville|Pinckney|Plymouth|Rockwood|Romulus|Salem|Saline|Samaria|South Lyon|South Rockwood|Taylor|Temperance|Trenton|Wayne|Westland|Canton|Whitmore Lake|Whittaker|Willis|Wyandotte|Riverview|Southgate|Ypsilanti|Detroit|Highland Park|Hamtramck|River Rouge|Ferndale|Harper Woods|Ecorse|Grosse Pointe|Oak Park|Redford|Bloomfield Hills|Rochester|Sterling Heights|Utica|Keego Harbor|Auburn Hills|West Bloomfield|Waterford|Drayton Plains|Farmington|Pontiac|Clarkston|Davisburg|Hartland|Highland|Lake Orion|Oakland|Lakeville|Leonard|Oxford|Novi|Milford|Commerce Township|White Lake|Union Lake|Walled Lake|Wixom|Applegate|Argyle|Atlas|Attica|Bad Axe|Bancroft|Birch Run|Brown City|Burt|Byron|Carsonville|Clio|Columbiaville|Croswell|Davison|Decker|Deckerville|Dryden|Durand|Fenton|Filion|Flushing|Forestville|Fostoria|Gaines|Genesee|Goodrich|Grand Blanc|Hadley|Harbor Beach|Holly|Imlay City|Kinde|Lapeer|Lennon|Lexington|Linden|Marlette|Melvin|Metamora|Minden City|Montrose|Mount Morris|New Lothrop|North Branch|Ortonville|Otisville|Otter Lake|Palms|Peck|Port Austin|Port Hope|Port Sanilac|Ruth|Sandusky|Snover|Swartz Creek|Ubly|Vernon|Flint|Burton|Fisher Body Boc|Saginaw|Alger|Auburn|Beaverton|Bentley|Brant|Breckenridge|Chesaning|Clare|Coleman|Comins|Edenville|Fairview|Farwell|Freeland|Gladwin|Harrison|Hemlock|Higgins Lake|Hope|Houghton Lake|Houghton Lake Heights|Kawkawlin|Lake|Lake George|Linwood|Lupton|Luzerne|Merrill|Midland|Mio|Oakley|Pinconning|Prudenville|Rhodes|Roscommon|Rose City|Saint Charles|Saint Helen|Sanford|Standish|Sterling|West Branch|Wheeler|Akron|Au Gres|Barton City|Bay City|University Center|Bay Port|Black River|Bridgeport|Caro|Carrollton|Caseville|Cass City|Clifford|Curran|Deford|East Tawas|Elkton|Essexville|Fairgrove|Frankenmuth|Gagetown|Gilford|Glennie|Greenbush|Hale|Harrisville|Kingston|Lincoln|Long Lake|Mayville|Mikado|Millington|Munger|National City|Omer|Oscoda|Owendale|Pigeon|Prescott|Reese|Richville|Sebewaing|Silverwood|South Branch|Spruce|Tawas City|Turner|Twining|Unionville|Vassar|Whittemore|Alma|Mount Pleasant|Okemos|Ashley|Bannister|Bath|Belding|Carson City|Cedar Lake|Charlotte|Clarksville|Cohoctah|Corunna|Crystal|Dansville|Dewitt|Dimondale|Eagle|East Lansing|Eaton Rapids|Edmore|Elm Hall|Elsie|Elwell|Eureka|Fenwick|Fowler|Fowlerville|Grand Ledge|Greenville|Haslett|Henderson|Holt|Howell|Hubbardston|Ionia|Ithaca|Laingsburg|Lake Odessa|Lakeview|Lyons|Mcbrides|Maple Rapids|Mason|Middleton|Morrice|Muir|Mulliken|North Star|Orleans|Ovid|Owosso|Palo|Perrinton|Perry|Pewamo|Pompeii|Portland|Potterville|Riverdale|Rosebush|Saint Johns|Saint Louis|Saranac|Shaftsburg|Shepherd|Sheridan|Sidney|Six Lakes|Smyrna|Stanton|Sumner|Sunfield|Vestaburg|Webberville|Weidman|Westphalia|Williamston|Winn|Woodland|Lansing|Kalamazoo|Portage|Allegan|Athens|Augusta|Bangor|Battle Creek|Bedford|Bellevue|Benton Harbor|Bloomingdale|Breedsville|Bronson|Burlington|Burr Oak|Cassopolis|Centreville|Ceresco|Climax|Cloverdale|Coldwater|Coloma|Hagar Shores|Colon|Comstock|Constantine|Covert|Decatur|Delton|Dowagiac|Dowling|East Leroy|Fulton|Galesburg|Gobles|Grand Junction|Hartford|Hastings|Hickory Corners|Jones|Kendall|Lacota|Lawrence|Lawton|Leonidas|Marcellus|Marshall|Martin|Mattawan|Mendon|Nashville|Nazareth|Nottawa|Olivet|Oshtemo|Otsego|Paw Paw|Plainwell|Quincy|Richland|Riverside|Saint Joseph|Schoolcraft|Scotts|Sherwood|South Haven|Sturgis|Tekonsha|Three Rivers|Union City|Vandalia|Vermontville|Vicksburg|Watervliet|White Pigeon|Baroda|Berrien Center|Berrien Springs|Bridgman|Buchanan|Eau Claire|Edwardsburg|Galien|Harbert|Lakeside|New Buffalo|New Troy|Niles|Sawyer|Sodus|Stevensville|Three Oaks|Union Pier|Union|Jackson|Addison|Adrian|Albion|Allen|Blissfield|Britton|Brooklyn|Camden|Cement City|Clarklake|Clayton|Clinton|Concord|Deerfield|Frontier|Grass Lake|Hanover|Hillsdale|Homer|Horton|Hudson|Jasper|Jerome|Jonesville|Leslie|Litchfield|Manitou Beach|Michigan Center|Montgomery|Morenci|Moscow|Mosherville|Munith|Napoleon|North Adams|Norvell|Onondaga|Onsted|Osseo|Ottawa Lake|Palmyra|Parma|Petersburg|Pittsford|Pleasant Lake|Reading|Riga|Rives Junction|Sand Creek|Somerset|Somerset Center|Spring Arbor|Springport|Stockbridge|Tecumseh|Tipton|Waldron|Weston|Ada|Alto|Bailey|Baldwin|Barryton|Belmont|Big Rapids|Bitely|Blanchard|Bradley|Brohman|Burnips|Byron Center|Caledonia|Cannonsburg|Casnovia|Cedar Springs|Chippewa Lake|Comstock Park|Coral|Dorr|Freeport|Gowen|Grant|Hopkins|Howard City|Kent City|Lowell|Mecosta|Middleville|Moline|Morley|Newaygo|Paris|Pierson|Remus|Rockford|Rodney|Sand Lake|Shelbyville|Sparta|Stanwood|Trufant|Wayland|White Cloud|Allendale|Branch|Conklin|Coopersville|Custer|Douglas|Fennville|Ferrysburg|Fountain|Free Soil|Fremont|Fruitport|Glenn|Grand Haven|Grandville|Hamilton|Hart|Hesperia|Holland|Holton|Hudsonville|Jamestown|Jenison|Lamont|Ludington|Macatawa|Marne|Mears|Montague|Muskegon|New Era|Nunica|Pentwater|Pullman|Ravenna|Rothbury|Saugatuck|Scottville|Shelby|Spring Lake|Twin Lake|Walhalla|Walkerville|West Olive|Whitehall|Sylvan Beach|Zeeland|Grand Rapids|Wyoming|Cadillac|Acme|Alba|Alden|Arcadia|Bear Lake|Bellaire|Benzonia|Beulah|Boon|Brethren|Buckley|Cedar|Central Lake|Chase|Copemish|Eastlake|Eastport|Elberta|Elk Rapids|Empire|Evart|Falmouth|Fife Lake|Filer City|Frankfort|Glen Arbor|Grawn|Harrietta|Hersey|Honor|Idlewild|Interlochen|Irons|Kaleva|Kalkaska|Kewadin|Kingsley|Lake Ann|Lake City|Lake Leelanau|Leland|Leroy|Luther|Mc Bain|Mancelona|Manistee|Manton|Maple City|Marion|Mayfield|Merritt|Mesick|Northport|Old Mission|Omena|Onekama|Rapid City|Reed City|Sears|South Boardman|Suttons Bay|Thompsonville|Traverse City|Tustin|Wellston|Williamsburg|Mackinaw City|Afton|Alanson|Alpena|Atlanta|Barbeau|Bay Shore|Boyne City|Boyne Falls|Brimley|Brutus|Burt Lake|Carp Lake|Cedarville|Charlevoix|Cheboygan|Conway|Cross Village|Dafter|De Tour Village|Drummond Island|East Jordan|Eckerman|Ellsworth|Elmira|Frederic|Gaylord|Goetzville|Good Hart|Grayling|Harbor Springs|Hawks|Herron|Hessel|Hillman|Hubbard Lake|Hulbert|Indian River|Johannesburg|Kinross|Lachine|Levering|Lewiston|Mackinac Island|Millersburg|Moran|Mullett Lake|Naubinway|Oden|Onaway|Ossineke|Paradise|Pellston|Petoskey|Pickford|Pointe Aux Pins|Posen|Presque Isle|Rogers City|Rudyard|Saint Ignace|Beaver Island|Sault Sainte Marie|Kincheloe|Topinabee|Tower|Trout Lake|Vanderbilt|Walloon Lake|Waters|Wolverine|Iron Mountain|Kingsford|Allouez|Au Train|Bark River|Big Bay|Carney|Champion|Channing|Chatham|Cooks|Cornell|Arnold|Curtis|Daggett|Deerton|Eben Junction|Rumely|Engadine|Escanaba|Felch|Little Lake|Foster City|Garden|Germfask|Gladstone|Gould City|Grand Marais|Gulliver|Gwinn|Harris|Hermansville|Ingalls|Ishpeming|Loretto|Mc Millan|Manistique|Marquette|Menominee|Michigamme|Munising|Nadeau|Nahma|National Mine|Negaunee|Newberry|Norway|Palmer|Perkins|Perronville|Powers|Quinnesec|Ralph|Rapid River|Republic|Rock|Sagola|Seney|Shingleton|Skandia|Spalding|Stephenson|Trenary|Vulcan|Wallace|Wells|Wetmore|Wilson|Ahmeek|Alpha|Amasa|Atlantic Mine|Baraga|Bergland|Bessemer|Bruce Crossing|Calumet|Caspian|Chassell|Copper City|Copper Harbor|Covington|Crystal Falls|Dodgeville|Dollar Bay|Ewen|Gaastra|Greenland|Hancock|Houghton|Hubbell|Iron River|Ironwood|Kearsarge|Lake Linden|Lanse|Marenisco|Mass City|Mohawk|Nisula|Ontonagon|Painesdale|Pelkie|Ramsay|Rockland|Sidnaw|Skanee|South Range|Stambaugh|Toivola|Trout Creek|Wakefield|Watersmeet|Watton|White Pine',
+         '111d.0,1.1,1.2,1.3,1.4,1.5,1.6,2.7,3,2.8,1.9,2.a,4.b,1.c,1.d,2.e,1.f,1.g,1.h,2.i,2.j,1.k,1,1.l,1,1.k,1.l,1.m,1.n,1.o,1.p,1.q,1.p,1.r,1.q,1.s,1.t,1.u,1.t,1.s,3.v,5.w,1.x,1,1.y,1.z,1.10,1.11,1.12,1.13,1,1.14,1.15,1.16,1.17,1.13,1.18,1.k,1,3.19,1.1a,1*2,1.6,1*2,1.k,2.1b,1*5,1.1c,1,1.1d,1.1e,1.6,1,2.1f,2.1g,1*6,1.1h,1.1i,1,1.1g,1.1j,1.1k,1.1j,1.1l,1.1m,2.1n,1,1.1o,1.1n,1,1.1p,1.1n,1.1p,1.1n,2.1q,1.1r,2.1s,1.1t,1.1u,1,1.1v,1.1w,1.1x,1.1y,1.1z,2.20,1.21,1.22,1.23,4.24,1*4,3.25,1.26,1.27,1.28,1.29,1,2.2a,1.2b,1.2c,1.2d,1,1.2e,1.2f,3.2g,1.2h,1.2i,1.2j,1.2k,1.2l,1.2m,1.2n,2.2o,1.2p,1.2q,1.2r,1,1.2s,1,1.2t,1.2u,1.2v,1.2w,1.2x,2.2y,2.2z,1,3.30,1,1.31,1.30,1*7,1.32,1.30,1*4,1.33,1.30,1.34,1.30,1*3,1.35,1.30,1*2,1.36,1.37,1.30,1*4,1.37,1.38,1.30,1.39,1,2.30,1*2,b,5,4,1*5,3*2,2,1*2,9,d.3a,1*3,2.3b,1*3,1.3c,1*4,1.3d,1*3,2.3e,1.3f,1.3g,1*3,1.3f,1.3h,1*2,1.3i,1.3j,1*5,4.3k,1*3,3.3l,1*2,2.3m,3.3n,3.3o,1,2.3p,1*3,1.3q,3.3r,1.3s,3.3t,1,3.3u,1*3,3.3v,1,1.3w,1.3x,3,1.3y,3.3z,1,2.40,4.1b,4.41,9.42,1.43,1.44,1.45,1.46,1.47,1.48,1.49,1.4a,1.4b,1.4c,1.4d,1.4e,1.4f,3.4g,1.4h,1.4i,1.4j,1.4k,2.4l,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,2.4w,1.4x,1.4y,3.4z,1.50,1.51,2.52,1.53,1.54,1.55,1.56,1.57,2.58,1.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,1.5h,1.5i,1.5j,1.5k,1.5l,2.5m,1.5n,4.4s,l.5o,1*6,2.5p,a*2,2.5o,1,i,1*7,2.5q,16.5r,1*8,1.5s,1.5t,1.5u,1.5v,1.5w,1.5x,1.5y,1.5z,1.60,1.61,1.62,1.63,1.64,1.65,1.66,1.67,1.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,1.6f,1.6g,1.6h,1.6i,1.6j,1.5r,2.6k,1*2,5.6l,2.6m,1.6n,1.6o,1.6p,1.6q,1.6r,1.6s,1.6t,1.6u,1.6v,1.6w,2.6x,1.6y,1.5r,4.6k,3,4,c,f.6z,2.70,2.71,1.72,1*2,2.73,a.74,1.75,1.76,1.77,1.78,1.79,1.7a,1.7b,1.7c,1.7d,1.7e,1.7f,1.7g,1.7h,1.7i,1.7j,1.7k,1.7l,1.7m,1.7n,1.7o,1.7p,1.7q,1.7r,1.7s,1.7t,1.7u,1.7v,1.7w,1.7x,1.7y,4.7z,1.80,1.81,1.82,1.83,1.84,1.85,1.86,1.87,1.88,1,1.89,1.8a,1.8b,1.8c,1,1.8d,h.7i,e.8e,1,2.8f,1.8g,1.8h,1.8i,1.8j,1.8k,2.8l,1.8m,1.8n,2.8o,1.8p,1.8q,1.8r,1.8s,1.8t,1.8u,1.8v,1.8w,1*3,1.8x,2.8y,1.8z,1.90,1.91,1.92,1.93,1.94,1.95,1.96,1.97,2.98,1.99,1.9a,1.9b,1,1.9c,1.9d,1.9e,1.9f,1.9g,1.9h,1.9i,1.9j,1.9k,1.9l,1.9b,1.9m,1.9n,1.8f,1,1.9o,1.9p,1.9q,1.9b,1.8g,1.9r,1.9s,1.9t,3.9u,1.9v,1.9w,1.9x,1.9y,1.9z,1.a0,1.a1,1.a2,1.a3,1.a4,1.a5,1.a6,1.a7,1.a8,1.a9,1.aa,1.ab,1.ac,1.ad,1.ae,1.af,1.ag,1.ah,1.ai,1.aj,1.ak,1.al,4.am,5,2,1*5,2,1*4,2,1,2,5,1,3,4,d,1,5,o,l.an,1.ao,1.an,1*6,1.ap,1.aq,1.ar,1.as,1.at,1*4,1.an,1.au,1.av,1.aw,1,1.ao,2.ax,1.ay,1.az,1.b0,1.b1,1.b2,1.b3,1.b4,1.b5,1.b6,1.b7,1.at,1.b8,1.b9,1.ba,1.bb,1.bc,1.bd,2.be,1.bf,1.bg,1.an,2.bh,1.bi,1.bj,1.bk,2.bl,1.bm,1.bn,1.bo,2.bp,1.bq,1.br,1.bs,1.bt,1.bu,1.bv,1.bw,1.bx,1,1.by,1.bz,1.c0,1.c1,1.c2,1.c3,1.c4,1.c5,1.c6,1.c7,1.c8,1.ao,1.c9,1.ca,1.cb,1.cc,2.cd,1.ce,1.cf,1.cg,1.ch,1.ci,1.cj,1.ck,1.cl,1.cm,1.cn,1.co,1.cp,2.cq,1.cr,1.cs,1,2.ct,1.cu,4.cv,1.cw,1.cx,2.cy,1.cz,1.d0,2.d1,1.d2,1,4.d3,1.d4,1.d5,1.d6,1.d7,1.d8,1z.d9,1*3,g.da,1.db,3.dc,3.dd,1.de,1.df,1.dg,2.dh,1.di,1.dj,1.dk,1.dl,1.dm,1.dn,1.do,1.dp,1.dq,1.dr,3.ds,1.dt,1.du,1.dv,1.dw,1.dx,1.dy,1.dz,1.e0,1.e1,1.e2,1.e3,1.e4,1.e5,1.e6,2.e7,1.e8,1.e9,1.ea,1.eb,1.ec,1.ed,1.ee,1.ef,1.eg,1.eh,1.ei,2.ej,2.ek,1.el,2.em,2.en,1.eo,1.ep,1.eq,1.er,1.es,1.et,1.eu,1.ev,c.ew,1.ex,1.ey,1.ez,1.f0,1.f1,1.f2,2.f3,1.f4,1.f5,1.f6,2.f7,1.f8,1.f9,1.fa,1.fb,1.fc,1.fd,1.fe,1.ff,1.fg,2.fh,1.fi,1.fj,1.fk,1.fl,1.fm,1.fn,1.fo,1.fp,2.fq,1.fr,1.fs,1.ft,1.fu,1.fv,1.fw,1.fx,1.fy,1.fz,1.g0,1.g1,1.g2,1.g3,1.g4,2.fw,4.ew,1*2,18.g5,1.g6,1.g7,1.g8,1.g9,1.ga,2.gb,1.gc,1.gd,1.ge,1.gf,1,2.gg,1.gh,1.gi,1.gj,1.gk,1.gl,1.gm,1.gn,1*2,1.go,1.gp,1.gq,1.gr,1,1.gs,1.gt,3.gu,1.gv,1.gw,1.gx,3.gy,1*5,1.gz,2.h0,1.h1,1.h2,1.h3,1.h4,1.h5,1.h6,1.h7,1.h8,1.h9,1.ha,1.hb,1.hc,1.hd,2.he,1.hf,4.gj,x.hg,1*7,1.hh,1.hg,2*2,1*2,2,1.hh,4.hg,2,3,2,4,a,2*3,5*2,s,b,2.hi,9.hj,1.hk,1.hl,1.hm,1.hn,1.ho,1.hp,1.hq,1.hr,1.hs,1.ht,1.hu,1.hv,1.hw,2.hx,1.hy,1.hz,1.i0,1.i1,1.i2,1.i3,1.i4,1.i5,1.i6,1.i7,1.i8,1.i9,1.ia,1.ib,1.ic,2.id,1.ie,1.if,1.ig,1.ih,2.ii,1.ij,1.ik,1.il,2.im,1.in,1.io,1.ip,1.iq,2.ir,1.is,3.it,1.iu,1.iv,1.iw,1.ix,1.iy,2.iz,3.j0,1.j1,1.j2,1.j3,1.j4,2.j5,1.j6,2.j7,1.j8,1.j9,1*2,2.ja,1.jb,1.jc,6.j9,5.jd,4.je,1.jf,1.jg,2.jh,1.ji,1.jj,1.jk,1.jl,2.jm,1.jn,1.jo,1.jp,1.jq,1.jr,1.js,1.jt,1.ju,1.jv,1.jw,1.jx,1.jy,1.jz,1.k0,1.k1,3.k2,1.k3,1,1.k4,1.k5,1.k6,1,1.k7,3.k8,1.k9,1.ka,1.kb,1.kc,1.kd,1.ke,2.kf,1.kg,1.kh,2.ki,1.kj,1.kk,2.kl,1.km,1.kn,1.ko,2.kp,1.kq,1.kr,2.ks,1.kt,1.ku,4.kv,1.kw,1.kx,1.ky,2.kz,1.l0,1.l1,1.l2,1.l3,1.l4,1*2,2,2.jz,1.l5,1.l6,1.l7,2.l8,1.l9,1.la,2.lb,2.lc,1.ld,3.le,1.lf,1.lg,1.lh,4.li,2.lj,1.lk,1.ll,1.lm,1.ln,1.lo,1.lp,1.lq,1.lr,3.ls,1.lt,1.lu,2.lv,2.lw,2.lx,1.ly,1.lz,1.m0,1.m1,1.m2,1.m3,1.m4,1.m5,4.m6,2.m7,1.m8,1.m9,3.ma,1.mb,1.mc,1.md,3.me,3.mf,1.mg,1.mh,1.mi,1.mj,1.mk,2.ml,2.mm,1.mn,1.mo,1.mp,1.mq,2.mr,1.ms,1.mt,1.mu,1.mv,1.mw,2.mx,1.my,1.mz,1.n0,1.n1,4.n2,1.n3,1.n4,1.n5,1.n6,1.n7,5.n8,1.n9,1.na,2.nb,3.nc,2.nd,1.ne,1.nf,1.ng,2.nh,1.ni,1.nj,1.nk,1.nl,1.nm,1.nn,1.no,3.np,2.nq,2.nr,1.ns,1.nt,3.nu,1.nv,3.nw,4.nx,3.ny,1.nz,1.o0,1.o1,2.o2,2.o3,1.o4,2.o5,3.o6,1.o7,1.o8,1.o9,1.oa,1.ob,1.oc,1.od,2.oe,1.of,1.og,1.oh,1.oi'],
+    MN: ['Afton|Almelund|Bayport|Bethel|Braham|Brook Park|Cambridge|Cannon Falls|Castle Rock|Cedar|Center City|Chisago City|Circle Pines|Cottage Grove|Dalbo|Dennison|Dundas|Elko New Market|Faribault|Farmington|Forest Lake|Frontenac|Goodhue|Grandy|Grasston|Hampton|Harris|Hastings|Henriette|Hinckley|Hugo|Isanti|Lake City|Lake Elmo|Lakeland|Lakeville|Lindstrom|Lonsdale|Marine On Saint Croix|Medford|Mora|Morristown|Nerstrand|Newport|North Branch|Northfield|Owatonna|Pine City|Randolph|Red Wing|Rock Creek|Rosemount|Rush City|Saint Francis|Saint Paul Park|Sandstone|Scandia|Shafer|South Saint Paul|Inver Grove Heights|Stacy|Stanchfield|Stillwater|Taylors Falls|Vermillion|Warsaw|Webster|Welch|Willernie|Wyoming|Saint Paul|Mendota|Spotts Inc|New Brighton Boxes|Albertville|Annandale|Anoka|Andover|Hopkins|Burnsville|Arlington|Becker|Big Lake|Bird Island|Osseo|Brownton|Buffalo|Buffalo Lake|Carver|Champlin|Chanhassen|Chaska|Clear Lake|Clearwater|Cokato|Cologne|Crystal Bay|Darwin|Dassel|Dayton|Delano|Eden Valley|Elk River|Excelsior|Fairfax|Franklin|Gaylord|Gibbon|Glencoe|Green Isle|Hamburg|Hamel|Hanover|Hector|Eden Prairie|Minnetonka|Maple Plain|Howard Lake|Hutchinson|Jordan|Kimball|Lester Prairie|Litchfield|Long Lake|Loretto|Maple Lake|Mayer|Minnetonka Beach|Monticello|Montrose|Mound|New Auburn|New Germany|Norwood Young America|Plato|Princeton|Prior Lake|Rockford|Rogers|Saint Bonifacius|Saint Michael|Santiago|Savage|Shakopee|Silver Creek|Silver Lake|South Haven|Norwood|Spring Park|Stewart|Victoria|Waconia|Watertown|Watkins|Waverly|Wayzata|Navarre|Young America|Winsted|Winthrop|Zimmerman|Minneapolis|Damark|Beaver Bay|Brimson|Finland|Grand Marais|Grand Portage|Hovland|Isabella|Knife River|Lutsen|Schroeder|Silver Bay|Tofte|Two Harbors|Adolph|Alborn|Angora|Askov|Aurora|Babbitt|Barnum|Biwabik|Bovey|Britt|Brookston|Bruno|Buhl|Calumet|Canyon|Carlton|Chisholm|Cloquet|Cohasset|Coleraine|Cook|Cotton|Crane Lake|Cromwell|Grand Rapids|Ely|Embarrass|Esko|Eveleth|Finlayson|Floodwood|Forbes|Gilbert|Goodland|Hibbing|Hill City|Holyoke|Hoyt Lakes|Iron|Jacobson|Keewatin|Kerrick|Kettle River|Kinney|Mcgregor|Makinen|Marble|Meadowlands|Melrude|Moose Lake|Mountain Iron|Nashwauk|Orr|Nett Lake|Pengilly|Virginia|Saginaw|Sawyer|Side Lake|Soudan|Sturgeon Lake|Swan River|Swatara|Taconite|Tamarack|Tower|Twig|Warba|Willow River|Winton|Wrenshall|Wright|Duluth|Rochester|Adams|Altura|Austin|Blooming Prairie|Brownsdale|Brownsville|Byron|Caledonia|Canton|Chatfield|Claremont|Dakota|Dexter|Dodge Center|Dover|Eitzen|Elgin|Elkton|Eyota|Fountain|Grand Meadow|Harmony|Hayfield|Hokah|Homer|Houston|Kasson|Kellogg|Kenyon|La Crescent|Lanesboro|Lansing|Le Roy|Lewiston|Lyle|Mabel|Mantorville|Mazeppa|Millville|Minnesota City|Oronoco|Ostrander|Peterson|Pine Island|Plainview|Preston|Racine|Reads Landing|Rollingstone|Rose Creek|Rushford|Saint Charles|Sargeant|Spring Grove|Spring Valley|Stewartville|Taopi|Utica|Wabasha|Waltham|Wanamingo|West Concord|Winona|Stockton|Wykoff|Zumbro Falls|Zumbrota|Mankato|Albert Lea|Alden|Amboy|Belle Plaine|Blue Earth|Bricelyn|Clarks Grove|Cleveland|Comfrey|Conger|Courtland|Darfur|Delavan|Eagle Lake|Easton|Ellendale|Elmore|Elysian|Emmons|Essig|Fairmont|Freeborn|Frost|Garden City|Geneva|Glenville|Good Thunder|Granada|Hanska|Hartland|Hayward|Henderson|Hollandale|Hope|Huntley|Janesville|Kasota|Kiester|Kilkenny|Lafayette|Lake Crystal|La Salle|Le Center|Le Sueur|Lewisville|Madelia|Madison Lake|Mapleton|Minnesota Lake|Montgomery|New Prague|New Richland|New Ulm|Nicollet|Northrop|Pemberton|Saint Clair|Saint James|Saint Peter|Sanborn|Searles|Sleepy Eye|Springfield|Truman|Twin Lakes|Vernon Center|Waldorf|Waseca|Waterville|Wells|Winnebago|Windom|Adrian|Alpha|Arco|Avoca|Balaton|Beaver Creek|Bigelow|Bingham Lake|Brewster|Butterfield|Ceylon|Chandler|Currie|Dovray|Dunnell|Edgerton|Ellsworth|Fulda|Garvin|Hardwick|Hendricks|Heron Lake|Hills|Holland|Ihlen|Iona|Ivanhoe|Jackson|Jasper|Jeffers|Kanaranzi|Kenneth|Lake Benton|Lakefield|Lake Wilson|Lamberton|Leota|Lismore|Luverne|Lynd|Magnolia|Mountain Lake|Odin|Okabena|Ormsby|Pipestone|Reading|Revere|Round Lake|Rushmore|Russell|Ruthton|Sherburn|Slayton|Steen|Storden|Tracy|Trimont|Trosky|Tyler|Walnut Grove|Welcome|Westbrook|Wilmont|Woodstock|Worthington|Willmar|Alberta|Appleton|Atwater|Barry|Beardsley|Bellingham|Belview|Benson|Blomkest|Boyd|Browns Valley|Canby|Chokio|Clara City|Clarkfield|Clements|Clinton|Clontarf|Correll|Cosmos|Cottonwood|Danube|Danvers|Dawson|Donnelly|Dumont|Echo|Ghent|Graceville|Granite Falls|Grove City|Hancock|Hanley Falls|Herman|Holloway|Kandiyohi|Kerkhoven|Lake Lillian|Lucan|Madison|Marietta|Marshall|Maynard|Milan|Milroy|Minneota|Montevideo|Morgan|Morris|Morton|Murdock|New London|Norcross|Odessa|Olivia|Ortonville|Pennock|Porter|Prinsburg|Raymond|Redwood Falls|Renville|Sacred Heart|Seaforth|Spicer|Sunburg|Taunton|Vesta|Wabasso|Wanda|Watson|Wheaton|Wood Lake|Saint Cloud|Albany|Alexandria|Ashby|Avon|Barrett|Belgrade|Bock|Bowlus|Brandon|Brooten|Buckman|Burtrum|Carlos|Cold Spring|Collegeville|Cyrus|Dalton|Elrosa|Evansville|Farwell|Flensburg|Foley|Foreston|Freeport|Garfield|Gilman|Glenwood|Greenwald|Grey Eagle|Hillman|Hoffman|Holdingford|Holmes City|Isle|Kensington|Lastrup|Little Falls|Long Prairie|Lowry|Mc Grath|Melrose|Milaca|Miltona|Nelson|New Munich|Oak Park|Ogilvie|Onamia|Osakis|Parkers Prairie|Paynesville|Pease|Pierz|Rice|Richmond|Rockville|Roscoe|Royalton|Saint Joseph|Saint Stephen|Saint Martin|Sartell|Sauk Centre|Sauk Rapids|Starbuck|Swanville|Upsala|Villard|Wahkon|Waite Park|West Union|Brainerd|Baxter|Ah Gwah Ching|Aitkin|Akeley|Aldrich|Backus|Benedict|Bertha|Browerville|Clarissa|Crosby|Crosslake|Cushing|Deerwood|Eagle Bend|Emily|Fifty Lakes|Fort Ripley|Garrison|Hackensack|Hewitt|Ironton|Jenkins|Lake George|Lake Hubert|Laporte|Menahga|Merrifield|Motley|Nevis|Nisswa|Palisade|Park Rapids|Pequot Lakes|Pillager|Pine River|Randall|Sebeka|Nimrod|Staples|Verndale|Wadena|Walker|Detroit Lakes|Ada|Audubon|Barnesville|Battle Lake|Bejou|Beltrami|Bluffton|Borup|Breckenridge|Callaway|Campbell|Climax|Clitherall|Comstock|Deer Creek|Dent|Dilworth|Elbow Lake|Elizabeth|Erhard|Erskine|Felton|Fergus Falls|Fertile|Flom|Fosston|Foxhome|Frazee|Gary|Georgetown|Glyndon|Halstad|Hawley|Hendrum|Henning|Hitterdal|Kent|Lake Park|Mcintosh|Mahnomen|Moorhead|Nashua|Naytahwaush|New York Mills|Nielsville|Ogema|Osage|Ottertail|Pelican Rapids|Perham|Perley|Ponsford|Richville|Richwood|Rochert|Rothsay|Sabin|Shelly|Tintah|Twin Valley|Ulen|Underwood|Vergas|Vining|Waubun|Wendell|White Earth|Winger|Wolf Lake|Wolverton|Bemidji|Bagley|Baudette|Bena|Big Falls|Bigfork|Birchdale|Blackduck|Bowstring|Cass Lake|Clearbrook|Deer River|Talmoon|Effie|Federal Dam|Gonvick|Gully|Hines|International Falls|Kelliher|Lengby|Leonard|Littlefork|Loman|Longville|Marcell|Margie|Max|Mizpah|Northome|Outing|Pennington|Ponemah|Puposky|Ranier|Kabetogama|Redby|Redlake|Remer|Roosevelt|Shevlin|Solway|South International Falls|Spring Lake|Squaw Lake|Swift|Tenstrike|Trail|Waskish|Williams|Wilton|Wirt|Thief River Falls|Alvarado|Angle Inlet|Argyle|Badger|Brooks|Crookston|Donaldson|East Grand Forks|Euclid|Fisher|Gatzke|Goodridge|Greenbush|Grygla|Hallock|Halma|Humboldt|Karlstad|Kennedy|Lake Bronson|Lancaster|Mentor|Middle River|Newfolden|Noyes|Oak Island|Oklee|Oslo|Plummer|Red Lake Falls|Roseau|Saint Hilaire|Saint Vincent|Salol|Stephen|Strandquist|Strathcona|Viking|Wannaska|Warren|Warroad',
+         '16ft.0,1.1,1.2,2.3,1.4,1.5,1.6,1.7,1.8,1.9,1.a,1.b,1.c,2.d,1.e,1.f,1.g,1.h,1.i,3.j,1.k,1.l,1.m,2.n,1.o,1.p,1.q,1.r,3.s,1.t,1.u,2.v,1.w,1.x,1.y,1.z,1.10,1.11,1.12,2.13,2.14,1.15,1.16,1.h,1.17,1.18,1.19,3.1a,3.1b,2.1c,1.1d,1.1e,1.1f,1.1g,1.1h,1.1i,1.1j,1.1k,1.1l,1.1m,1.1n,1,1.1o,1,1.1p,2.1q,1,1.1r,1.1s,2.1t,1.1u,1.1v,1.1w,2.1x,9.1y,1*t,3,b,1*2,4.1z,5.1y,6,3,1*2,2,1*4,3,2.20,a.1y,1,3.21,32.22,1.23,1.24,1.25,1.26,1.27,1.28,1.29,1.2a,1.2b,1.2c,1.2d,1.2e,1.2f,1.2g,1.2h,1.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1.2q,2.2r,1.2s,1.2t,1.2u,1.2v,1.2w,1.2x,1.2y,1.2z,1.30,1.27,1.31,1.32,1.33,1.34,1.35,1.26,1.36,1.37,1.36,1,1.38,1.39,1.3a,2.3b,1.3c,1.3d,1.3e,1.3f,1.3g,1.3h,1.38,1.3i,1.3j,1.3k,1.3l,1.3m,1.3k,1.3n,1.3o,1.3p,1.2c,1.3q,1.3r,1.3s,1.3t,1.3u,1.3v,1.3w,1.3x,1.3y,1.3z,1.40,1.41,1.42,1.43,1.44,1.45,1.46,1.47,1.48,1.49,1.4a,1.4b,1.4c,1.38,1.4d,1.4e,1.4f,1.4d,1.4g,1.4d,2.4h,1*1d,4,1,3,1*2,7,1.4i,2.4h,2,1*2,4,1*2,3,1*5,1q.4d,1*3,1.43,1.4d,1*5,1.3k,1.4d,1.3k,1.4d,1.3k,1.4d,1*2,1.2c,1.38,1,1.3t,1.4d,1.38,1.39,1.38,1.3t,1.38,1,1.3k,1*2,1.43,1.3k,1*7,1.38,1,1.4d,1.3g,1*4,2.4j,1.4k,1.4l,1.4m,1.4n,1.4o,1.4p,2.4q,3.4r,1.4s,1.4t,1.4u,1.4v,2d.4w,1.4x,1.4y,1.4z,1.50,1.51,1.52,1.53,1.54,1.55,1.56,1.57,1.58,3.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,1.5h,1.5i,1.5j,4.5k,1.5l,1.5m,1.5n,1.5o,1.5p,1.5q,2.5r,3.5s,1.5t,2.5k,1,1.5u,1,1.5v,1.5w,1.5x,1.5y,1.5z,1.60,3.61,1.62,1.63,2.64,3.65,1.66,1.67,1.68,1.69,1.6a,1.6b,2.6c,1.6d,3.6e,2.6f,2.6g,1.6h,1.6i,1.6j,1.6k,1.6l,1.6m,1.6n,1.6o,3.6p,1.6q,1.6f,1.6r,2.6s,1.6t,1.6u,1.6v,3.6w,1*7,2,1*2,2,1*2,2d.6x,1*5,3.6y,1.6z,2.70,5.71,1.72,1.73,1.74,1.75,1.76,1.77,1.78,1.79,1.7a,1.7b,2.7c,2.7d,1.7e,1.7f,1.7g,1.7h,1.7i,3.7j,1.7k,1.7l,1.7m,1.7n,1.7o,1.7p,1.7q,1.7r,2.7s,1.7t,1.7u,1.7v,1.7w,1.7x,1.7y,1.7z,1.80,2.81,1.82,1.83,1.84,1.85,1.86,1.87,2.88,1.89,1.8a,1.8b,1.8c,1.8d,1.8e,1.8f,1.8g,1.8h,1.8i,2.8j,2.8k,1.8l,1.8m,2.8n,2.8o,1.8p,2.8q,1.8r,1.8s,9.8t,1*2,3,1.8u,2.8v,1.8w,1.8x,2.8y,1.8z,2.90,1.91,2.92,1.93,1.94,1.95,1.96,1.97,1.98,1.99,1.9a,1.9b,1.9c,1.9d,1.9e,1.9f,1.9g,1.9h,1.9i,1.9j,1.9k,2.9l,2.9m,1.9n,1.9o,1.9p,1.9q,1.9r,1.9s,1.9t,2.9u,1.9v,1.9w,2.9x,1.9y,1.9z,1.a0,1.a1,2.a2,2.a3,1.a4,2.a5,3.a6,1.a7,2.a8,1.a9,1.aa,1.ab,1.ac,3.ad,2.ae,1.af,1.ag,1.ah,1.ai,1.aj,2.ak,1.al,1.am,1.an,1.ao,2.ap,3.aq,1.ar,1.as,3.at,9.au,1.av,2.aw,1.ax,1.ay,1.az,1.b0,1.b1,1.b2,1.b3,1.b4,1.b5,1.b6,2.b7,2.b8,1.b9,1.ba,2.bb,1.bc,2.bd,2.be,1.bf,1.bg,1.bh,1.bi,1.bj,1.bk,1.bl,1.bm,1.bn,1.bo,1.bp,2.bq,1.br,1.bs,1.bt,1.bu,2.bv,1.bw,1.bx,1.by,1.bz,1.c0,1.c1,1.c2,2.c3,1.c4,1.c5,1.c6,1.c7,1.c8,1.c9,1.ca,1.cb,1.cc,1.cd,1.ce,1.cf,1.cg,1.ch,2.ci,1.cj,2.ck,2.cl,1.cm,1.cn,e.co,6.cp,1.cq,1.cr,1.cs,1.ct,1.cu,2.cv,1.cw,1.cx,2.cy,1.cz,1.d0,1.d1,1.d2,1.d3,1.d4,1.d5,1.d6,1.d7,1.d8,1.d9,1.da,1.db,1.dc,3.dd,1.de,1.df,2.dg,1.dh,1.di,2.dj,1.dk,1.dl,3.dm,1.dn,2.do,1.dp,1.dq,2.dr,1.ds,1.dt,1.du,2.dv,2.dw,1.dx,1.dy,1.dz,1.e0,1.e1,3.e2,1.e3,2.e4,1.e5,2.e6,1.e7,1.e8,1.e9,1.ea,1.eb,1.ec,1.ed,1.ee,1.ef,2.eg,1.eh,1.ei,2.ej,1.ek,1.el,1.em,1.en,1.eo,1.ep,4.eq,1*3,3.er,1.es,1.et,1.eu,1.ev,1.ew,1.ex,1.ey,1.ez,1.f0,1.f1,1.f2,1.f3,1.f4,1.f5,2.f6,1.f7,1.f8,1.f9,1.fa,1.fb,1.fc,1.fd,1.fe,1.ff,1.fg,1.fh,1.fi,1.fj,2.fk,1.fl,1.fm,1.fn,1.fo,1.fp,1.fq,1.fr,2.fs,2.ft,1.fu,2.fv,1.fw,1.fx,1.fy,1.fz,1.g0,1.g1,1.g2,1.g3,1.g4,1.g5,1.g6,1.g7,3.g8,1.g9,1.ga,2.gb,1.eq,1.gc,1.gd,1.ge,1.gf,1.gg,1.gh,1.gi,2.gj,1.gk,2.gl,1.gm,1.gn,1.go,1,1.gp,4.eq,2,1*4,2.gq,o.gr,5.gs,1.gt,2.gu,1.gv,1.gw,1.gx,1.gy,1.gz,2.h0,1.h1,1.h2,1.h3,1.h4,2.h5,1.h6,1.h7,1.h8,1.h9,2.ha,1.hb,2.hc,1.hd,2.he,1.hf,2.hg,3.hh,1.hi,1.hj,1.hk,1.hl,1.hm,1.hn,2.ho,1.hp,1.hq,1.hr,2.hs,1.ht,1.hu,2.hv,1.hw,2.hx,h.hy,1,8.hz,1.i0,3.i1,1.i2,1.i3,1.i4,1.i5,1.i6,1.i7,1.i8,1.i9,1.ia,1.ib,1.ic,2.id,1.ie,1.if,2.ig,2.ih,1.ii,1.ij,1.ik,1.il,1,2.im,1.in,1.io,1.ip,1.iq,1.ir,1.is,1.it,1.iu,1.iv,1.iw,1.ix,1.iy,1.iz,1.j0,2.j1,1.j2,3.j3,1*3,2.j4,1.j5,1.j6,1.j7,1.j8,1.j9,1.ja,1.jb,1.jc,1.jd,1.je,1.jf,1.jg,1.jh,1.ji,1.jj,1.jk,2.jl,1.jm,1.jn,1.jo,1.jp,1.jq,1.jr,1.js,1.jt,1.ju,1.jv,1.jw,7.jx,i,2.jy,2.jz,3.k0,1.k1,1.k2,1.k3,1.k4,1.k5,2.k6,1.k7,2.k8,1.k9,2.ka,2.kb,3.kc,2.kd,1.ke,2.kf,1.kg,1.kh,1.ki,1.kj,1.kk,1.kl,2.km,1.kn,1.ko,1.kp,1.kq,1.kr,1.ks,3.kt,1.ku,1.kv,1.kw,1.kx,1.ky,1.kz,1.l0,3.l1,2.l2,1.l3,1.l4,1.l5,1.l6,1.l7,1.l8,1.l9,1.la,1.lb,1.lc,d.ld,9.le,1.lf,2.lg,1.lh,1.li,1.lj,4.lk,1.ll,1.lm,1.ln,1.lo,1.lp,1.lq,1.lr,1.ls,1.lt,2.lu,1.lv,1.lw,1.lx,1.ly,1.lz,1.m0,1.m1,2.m2,1.m3,1.m4,2.m5,4.m6,2.m7,1.m8,3.m9,1.ma,1.mb,1.mc,1.md,1.me,1.mf,1.mg,1.mh,1.mi'],
+    MS: ['Abbeville|Arkabutla|Ashland|Batesville|Belen|Blue Mountain|Byhalia|Clarksdale|Coahoma|Coldwater|Como|Courtland|Crenshaw|Crowder|Darling|Dumas|Dundee|Etta|Falcon|Falkner|Farrell|Friars Point|Hernando|Hickory Flat|Holly Springs|Horn Lake|Independence|Jonestown|Lake Cormorant|Lamar|Lambert|Lula|Lyon|Marks|Michigan City|Mount Pleasant|Myrtle|Nesbit|New Albany|Olive Branch|Oxford|Pope|Potts Camp|Red Banks|Ripley|Robinsonville|Sarah|Sardis|Senatobia|Sherard|Sledge|Southaven|Taylor|Tiplersville|Tula|Tunica|University|Victoria|Walls|Walnut|Waterford|Greenville|Alligator|Anguilla|Arcola|Avon|Benoit|Beulah|Boyle|Chatham|Cleveland|Doddsville|Drew|Parchman|Dublin|Duncan|Glen Allan|Grace|Gunnison|Hollandale|Holly Ridge|Indianola|Inverness|Isola|Leland|Merigold|Metcalfe|Moorhead|Mound Bayou|Pace|Panther Burn|Rena Lara|Rome|Rosedale|Ruleville|Scott|Shaw|Shelby|Stoneville|Sunflower|Wayside|Winstonville|Winterville|Tupelo|Algoma|Amory|Baldwyn|Becker|Belden|Belmont|Blue Springs|Booneville|Burnsville|Corinth|Dennis|Derma|Ecru|Fulton|Gattman|Glen|Golden|Greenwood Springs|Guntown|Houlka|Houston|Iuka|Mantachie|Marietta|Mooreville|Nettleton|New Site|Okolona|Plantersville|Pontotoc|Randolph|Rienzi|Saltillo|Shannon|Sherman|Smithville|Thaxton|Tishomingo|Toccopola|Trebloc|Tremont|Van Vleet|Vardaman|Verona|Wheeler|Grenada|Banner|Big Creek|Bruce|Calhoun City|Carrollton|Cascilla|Charleston|Coffeeville|Coila|Cruger|Duck Hill|Elliott|Enid|Glendora|Gore Springs|Greenwood|Holcomb|Itta Bena|Mc Carley|Minter City|Money|Morgan City|North Carrollton|Oakland|Paris|Philipp|Pittsboro|Schlater|Scobey|Sidon|Slate Spring|Sumner|Swan Lake|Swiftown|Tie Plant|Tillatoba|Tippo|Tutwiler|Vance|Water Valley|Webb|Winona|Belzoni|Benton|Bentonia|Bolton|Brandon|Braxton|Camden|Canton|Carthage|Cary|Clinton|Conehatta|Crystal Springs|Delta City|D Lo|Durant|Edwards|Ethel|Fayette|Flora|Pocahontas|Florence|Forest|Gallman|Georgetown|Goodman|Harperville|Harriston|Harrisville|Hazlehurst|Hermanville|Hillsboro|Holly Bluff|Kosciusko|Lake|Lena|Lexington|Lorman|Louise|Ludlow|Mc Adams|Mc Cool|Madden|Madison|Magee|Mayersville|Mendenhall|Midnight|Mize|Morton|Mount Olive|Natchez|Newhebron|Pattison|Pelahatchie|Pickens|Piney Woods|Pinola|Port Gibson|Puckett|Pulaski|Raleigh|Raymond|Redwood|Ridgeland|Rolling Fork|Sallis|Sandhill|Satartia|Sharon|Sibley|Silver City|Star|Taylorsville|Tchula|Terry|Thomastown|Tinsley|Tougaloo|Utica|Vaiden|Valley Park|Vaughan|Vicksburg|Walnut Grove|Washington|Wesson|West|Whitfield|Yazoo City|Jackson|Pearl|Richland|Flowood|Byram|Meridian|Bailey|Buckatunna|Chunky|Clara|Collinsville|Daleville|Decatur|De Kalb|Enterprise|Hickory|Lauderdale|Lawrence|Little Rock|Louin|Louisville|Macon|Marion|Newton|Noxapater|Pachuta|Paulding|Philadelphia|Porterville|Preston|Quitman|Rose Hill|Scooba|Sebastopol|Shubuta|Shuqualak|State Line|Stonewall|Toomsuba|Union|Vossburg|Waynesboro|Hattiesburg|Bassfield|Bay Springs|Beaumont|Brooklyn|Carriere|Carson|Collins|Columbia|Eastabuchie|Ellisville|Heidelberg|Laurel|Leakesville|Lucedale|Lumberton|Mc Lain|Mc Neill|Moselle|Moss|Neely|New Augusta|Nicholson|Ovett|Petal|Picayune|Poplarville|Prentiss|Purvis|Richton|Sandersville|Sandy Hook|Seminary|Soso|Stringer|Sumrall|Foxworth|Gulfport|Bay Saint Louis|Stennis Space Center|Diamondhead|Biloxi|Diberville|Escatawpa|Gautier|Hurley|Kiln|Lakeshore|Long Beach|Mc Henry|Moss Point|Ocean Springs|Vancleave|Pascagoula|Pass Christian|Pearlington|Perkinston|Saucier|Waveland|Wiggins|Brookhaven|Bogue Chitto|Bude|Centreville|Chatawa|Crosby|Fernwood|Gloster|Jayess|Kokomo|Liberty|Mc Call Creek|Mccomb|Magnolia|Meadville|Monticello|Oak Vale|Osyka|Roxie|Ruth|Silver Creek|Smithdale|Sontag|Summit|Tylertown|Union Church|Woodville|Columbus|Aberdeen|Ackerman|Artesia|Bellefontaine|Brooksville|Caledonia|Cedarbluff|Crawford|Eupora|French Camp|Hamilton|Kilmichael|Maben|Mantee|Mathiston|Mayhew|Montpelier|Pheba|Prairie|Starkville|Mississippi State|Steens|Stewart|Sturgis|Walthall|Weir|West Point|Woodland',
+         'ts9.0,1.1,1.2,3.3,3.4,1.5,1.6,3.7,3.8,1.9,1.a,1.b,1.c,1.d,1.e,2.f,1.g,1.h,1.i,1.j,1.k,1.l,1.m,1.n,1.o,1,2.p,1.q,1.r,2.s,1.t,1.u,1.v,1.w,1.x,1.y,2.z,1.10,1.11,1.12,2.13,1.14,3.15,1.16,2.17,2.18,1.19,1.1a,1.1b,2.1c,1.1d,1.1e,1.1f,1,1.1g,1.1h,1.1i,1.1j,1.1k,2.1l,1.1m,3.1n,2.1o,1.1m,f.1p,1*3,g.1q,1.1r,1.1s,1.1t,2.1u,1.1v,4.1w,1.1x,1.1y,1,3.1z,1.20,1.21,1.22,1.23,4.24,1.25,1.26,2.27,1.28,2.29,2.2a,1.2b,2.2c,3.2d,1.2e,1.2f,1.2g,2.2h,1.2i,2.2j,1.2k,1.2l,2.2m,1.2n,1.2o,1.2p,2.2q,2.2r,2.2s,1.2t,1.2u,j.2v,1*3,g.2w,1.2x,3.2y,1.2z,1.30,1.31,1.32,1.33,4.34,1.35,1,3.36,1.37,2.38,2.39,1.3a,2.3b,1.3c,1.3d,1.3e,1.3f,1.3g,1.3h,3.3i,1.3j,1.3k,1.3l,1.3m,1.3n,2.3o,1.3p,1.3q,1.3r,1.3s,2.3t,1.3u,1.3v,1.3w,2.3x,1.3y,1.3z,1.40,1.41,1.42,1.43,1.44,l.45,1,b.46,1.47,1.48,1.49,1.4a,3.4b,1.4c,1.4d,1.4e,1.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,5,5.4m,1.4n,2.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,1.4w,1.4x,1.4y,1.4z,1.50,2.51,1.52,1.53,1.54,1.55,1.56,1.57,1.58,1.59,1.5a,1.5b,1z.5c,1.5d,1.5e,1.5f,1.5g,1,1.5h,1.5i,1.5j,1.5g,4.5k,3.5l,2.5m,1.5n,1.5m,1.5o,1.5m,1.5p,1.5q,1.5r,3.5s,1.5t,2.5u,2.5v,1.5w,1.5x,1.5y,3.5z,1.60,1.61,1.62,1.63,1.64,1.65,3.66,1.67,1.68,2.69,2.6a,2.6b,1.6c,1.6d,1.6e,1.6f,9.6g,1.6h,1.6i,1.6j,1.6k,2.6l,1.6m,1.6n,1.6o,1.6p,2.6q,1.6r,1*2,8.6j,a.6s,4.6t,1.6u,1.6v,2.6w,1.6x,1.6y,1.6z,1.70,1.71,1.72,2.73,1.74,1,1.75,1.76,1.77,1.78,1.79,2.7a,1.7b,1.7c,1.7d,1.7e,1.7f,1.7g,2.7h,1.7i,1.7j,1.7k,1.7l,2.7m,1.7n,1*3,6.7o,1.7p,1.7q,1.7r,1.7s,1.7t,7.7u,1*6,1.7v,1.7u,1*4,2,1*2,1.7w,7.7u,7.7x,3.7u,1,e,j,2,1.7y,a.7u,1*2,2,2.7v,1.7u,7,2,3.7z,1*4,2*2,b.80,2.81,1.82,1.83,1.84,1.85,1.86,1.87,2.88,2.89,3.8a,1.8b,1.8c,1.8d,1.8e,2.8f,1.8g,3.8h,1.8i,1.8j,1.8k,2.8l,2.8m,2.8n,1.8o,1.8p,2.8q,1.8r,1.8s,1.8t,1.8u,1.8v,1.8w,1.8x,1.8y,1.8z,y.90,1*3,2,1,e.91,1.92,1.93,2.94,1.95,1.96,1.97,1.98,7.99,1.9a,2.9b,1.9c,1*3,8.9d,1.9e,3.9f,1.9g,1.9h,2.9i,1.9j,1.9k,1.9l,1.9m,1.9n,1.9o,1.9p,4.9q,4.9r,1.9s,1.9t,1.9u,1.9v,1.9w,1.9x,1.9y,1.9z,1.a0,i.a1,1*2,2,1*2,d.a2,1,1.a3,3.a4,4.a3,1.a5,1*5,5.a6,c.a7,1.a8,2.a9,1.aa,2.ab,2.ac,1.ad,1.ae,1,1.af,1.ag,1.af,1.ah,1*2,2.ai,1.aj,1.ak,1.al,2.am,1.an,4.ah,e,6.ao,1*2,q.ap,1.aq,1.ar,1.as,1.at,2.au,3.av,3.aw,2.ax,2.ay,2.az,1.b0,1,3.b1,1.b2,1.b3,2.b4,1.b5,4.b6,1.b7,1.b8,1.b9,1.ba,1.bb,1.bc,1.bd,1.be,w.bf,1*4,5,k.bg,5.bh,1.bi,1.bj,2.bk,1.bl,1.bm,2.bn,1.bo,1.bp,1.bq,1.br,3.bs,1.bt,1.bu,1.bv,1.bw,1.bx,1.by,3.bz,1,2.c0,4.c1,1.c2,2.c3,2.c4,1.c5,1.c6,3.c7'],
+    MO: ['Allenton|Chesterfield|Arnold|Ballwin|Barnhart|Beaufort|Berger|Catawissa|Cedar Hill|Crystal City|De Soto|Dittmer|Eureka|Fenton|Festus|Fletcher|Florissant|French Village|Gerald|Glencoe|Gray Summit|Grover|Grubville|Hazelwood|Maryland Heights|Bridgeton|Earth City|Hematite|Herculaneum|High Ridge|Hillsboro|House Springs|Imperial|Kimmswick|Labadie|Leslie|Liguori|Lonedell|Luebbering|Mapaville|Morse Mill|New Haven|Pacific|Pevely|Richwoods|Robertsville|Saint Albans|Saint Ann|Saint Clair|Stanton|Sullivan|Union|Valles Mines|Valley Park|Villa Ridge|Washington|Rosebud|Saint Louis|Nordstrom|Monsanto|Saint Charles|Annada|Augusta|Bellflower|Bowling Green|Clarksville|Cottleville|Curryville|Defiance|Dutzow|Elsberry|Eolia|Farber|Flinthill|Foley|Foristell|Hawk Point|High Hill|Jonesburg|Laddonia|Louisiana|Marthasville|Middletown|Montgomery City|Moscow Mills|New Florence|New Melle|O Fallon|Lake Saint Louis|Old Monroe|Olney|Portage Des Sioux|Saint Peters|Silex|Treloar|Troy|Truesdale|Truxton|Vandalia|Warrenton|Wellsville|Wentzville|West Alton|Whiteside|Williamsburg|Winfield|Wright City|Hannibal|Alexandria|Anabel|Arbela|Ashburn|Bethel|Canton|Center|Clarence|Durham|Emden|Ewing|Frankford|Granger|Hunnewell|Kahoka|Knox City|La Belle|La Grange|Lentner|Leonard|Lewistown|Luray|Maywood|Monroe City|Monticello|Newark|New London|Novelty|Palmyra|Perry|Philadelphia|Plevna|Revere|Saint Patrick|Saverton|Shelbina|Shelbyville|Taylor|Wayland|Williamstown|Wyaconda|Kirksville|Atlanta|Baring|Bevier|Brashear|Callao|Coatsville|Downing|Edina|Elmer|Ethel|Gibbs|Glenwood|Gorin|Green Castle|Green City|Greentop|Hurdland|Lancaster|La Plata|Livonia|Macon|Memphis|Milan|New Boston|New Cambria|Novinger|Pollock|Queen City|Rutledge|Unionville|Winigan|Worthington|Park Hills|Annapolis|Arcadia|Belgrade|Belleview|Bismarck|Black|Blackwell|Bloomsdale|Bonne Terre|Bunker|Cadet|Caledonia|Cascade|Centerville|Des Arc|Doe Run|Ellington|Farmington|Fredericktown|Irondale|Ironton|Knob Lick|Leadwood|Lesterville|Marquand|Middle Brook|Mineral Point|Patton|Pilot Knob|Potosi|Redford|Reynolds|Sainte Genevieve|Saint Mary|Tiff|Vulcan|Cape Girardeau|Advance|Altenburg|Bell City|Benton|Brazeau|Brownwood|Burfordville|Chaffee|Commerce|Daisy|Delta|Dutchtown|Farrar|Friedheim|Frohna|Gipsy|Glenallen|Gordonville|Jackson|Kelso|Leopold|Mc Gee|Marble Hill|Millersville|Morley|Oak Ridge|Old Appleton|Oran|Perkins|Perryville|Mc Bride|Pocahontas|Scott City|Sedgewickville|Sturdivant|Uniontown|Vanduser|Whitewater|Zalma|Sikeston|Anniston|Arbyrd|Bernie|Bertrand|Blodgett|Bloomfield|Braggadocio|Bragg City|Canalou|Cardwell|Caruthersville|Catron|Charleston|Clarkton|Cooter|Deering|Dexter|East Prairie|Essex|Gibson|Gideon|Gobler|Grayridge|Hayti|Holcomb|Holland|Hornersville|Kennett|Kewanee|Lilbourn|Malden|Marston|Matthews|Morehouse|New Madrid|Parma|Portageville|Risco|Rives|Senath|Steele|Tallapoosa|Wardell|Whiteoak|Wolf Island|Wyatt|Poplar Bluff|Briar|Broseley|Campbell|Clubb|Doniphan|Dudley|Ellsinore|Fagus|Fairdealing|Fisk|Fremont|Gatewood|Grandin|Greenville|Harviell|Lodi|Lowndes|Mill Spring|Naylor|Neelyville|Oxly|Patterson|Piedmont|Puxico|Qulin|Rombauer|Shook|Silva|Van Buren|Wappapello|Williamsville|Alma|Lees Summit|Bates City|Belton|Blue Springs|Buckner|Camden|Camden Point|Centerview|Concordia|Corder|Dover|Excelsior Springs|Farley|Grain Valley|Grandview|Greenwood|Hardin|Henrietta|Higginsville|Holden|Holt|Independence|Kearney|Kingsville|Lawson|Levasy|Lexington|Liberty|Lone Jack|Mayview|Missouri City|Mosby|Napoleon|Oak Grove|Odessa|Orrick|Peculiar|Platte City|Pleasant Hill|Raymore|Rayville|Richmond|Sibley|Smithville|Strasburg|Waldron|Warrensburg|Waverly|Wellington|Weston|Kansas City|Riverside|First National Bank|Centerre Bank Of Kc|Agency|Albany|Allendale|Amazonia|Amity|Barnard|Bethany|Blythedale|Bolckow|Burlington Junction|Cameron|Clarksdale|Clearmont|Clyde|Conception|Conception Junction|Cosby|Craig|Darlington|Dearborn|De Kalb|Denver|Eagleville|Easton|Edgerton|Elmo|Fairfax|Fairport|Faucett|Fillmore|Forest City|Gentry|Gower|Graham|Grant City|Guilford|Hatfield|Helena|Hopkins|King City|Lathrop|Maitland|Martinsville|Maryville|Maysville|Mound City|New Hampton|Oregon|Osborn|Parnell|Pickering|Plattsburg|Ravenwood|Rea|Ridgeway|Rock Port|Rosendale|Rushville|Savannah|Sheridan|Skidmore|Stanberry|Stewartsville|Tarkio|Trimble|Turney|Union Star|Watson|Weatherby|Westboro|Worth|Saint Joseph|Chillicothe|Altamont|Bogard|Bosworth|Braymer|Breckenridge|Brookfield|Browning|Bucklin|Cainsville|Carrollton|Chula|Coffey|Cowgill|Dawn|De Witt|Gallatin|Galt|Gilman City|Hale|Hamilton|Harris|Humphreys|Jameson|Jamesport|Kidder|Kingston|Laclede|Laredo|Linneus|Lock Springs|Lucerne|Ludlow|Mc Fall|Marceline|Meadville|Mendon|Mercer|Mooresville|Newtown|Norborne|Pattonsburg|Polo|Powersville|Princeton|Purdin|Rothville|Spickard|Stet|Sumner|Tina|Trenton|Utica|Wheeling|Winston|Harrisonville|Adrian|Amoret|Amsterdam|Appleton City|Archie|Blairstown|Bronaugh|Butler|Chilhowee|Cleveland|Clinton|Collins|Creighton|Deepwater|Deerfield|Drexel|East Lynne|El Dorado Springs|Foster|Freeman|Garden City|Golden City|Harwood|Hume|Jasper|Jerico Springs|Lamar|Leeton|Liberal|Lowry City|Metz|Milford|Milo|Mindenmines|Montrose|Moundville|Nevada|Osceola|Richards|Rich Hill|Rockville|Roscoe|Schell City|Sheldon|Urich|Walker|Joplin|Alba|Anderson|Asbury|Avilla|Carl Junction|Carterville|Carthage|Diamond|Duenweg|Fairview|Goodman|Granby|Lanagan|La Russell|Neck City|Neosho|Newtonia|Noel|Oronogo|Pineville|Purcell|Racine|Reeds|Rocky Comfort|Sarcoxie|South West City|Saginaw|Seneca|Stark City|Stella|Tiff City|Waco|Webb City|Wentworth|Wheaton|Ks City|Argyle|Ashland|Barnett|Belle|Bland|Bonnots Mill|Brumley|California|Camdenton|Centertown|Chamois|Clarksburg|Eldon|Eugene|Fortuna|Freeburg|Gasconade|Gravois Mills|Laurie|Hartsburg|Henley|Hermann|High Point|Holts Summit|Jamestown|Kaiser|Koeltztown|Lake Ozark|Latham|Linn|Linn Creek|Lohman|Loose Creek|Mc Girk|Meta|Mokane|Morrison|Mount Sterling|New Bloomfield|Olean|Osage Beach|Owensville|Portland|Prairie Home|Rhineland|Rocky Mount|Russellville|Saint Elizabeth|Saint Thomas|Steedman|Stover|Sunrise Beach|Tebbetts|Tipton|Tuscumbia|Ulman|Versailles|Westphalia|Jefferson City|Columbia|Armstrong|Auxvasse|Benton City|Boonville|Brunswick|Bunceton|Cairo|Centralia|Clark|Clifton Hill|Dalton|Excello|Fayette|Franklin|Fulton|Glasgow|Hallsville|Harrisburg|Higbee|Holliday|Huntsville|Jacksonville|Keytesville|Kingdom City|Madison|Martinsburg|Mexico|Moberly|New Franklin|Paris|Pilot Grove|Renick|Rocheport|Rush Hill|Salisbury|Santa Fe|Stoutsville|Sturgeon|Thompson|Triplett|Wooldridge|Sedalia|Whiteman Air Force Base|Arrow Rock|Blackburn|Blackwater|Calhoun|Climax Springs|Cole Camp|Edwards|Emma|Florence|Gilliam|Green Ridge|Houstonia|Hughesville|Ionia|Knob Noster|La Monte|Lincoln|Malta Bend|Marshall|Miami|Mora|Nelson|Otterville|Slater|Smithton|Sweet Springs|Syracuse|Warsaw|Windsor|Rolla|Beulah|Birch Tree|Bixby|Boss|Bourbon|Brinktown|Bucyrus|Cherryville|Cook Sta|Crocker|Cuba|Davisville|Devils Elbow|Dixon|Duke|Edgar Springs|Eldridge|Elk Creek|Eminence|Eunice|Falcon|Fort Leonard Wood|Hartshorn|Houston|Huggins|Iberia|Jadwin|Jerome|Lake Spring|Laquey|Leasburg|Lebanon|Lenox|Licking|Lynchburg|Montier|Mountain View|Newburg|Plato|Raymondville|Richland|Roby|Saint James|Salem|Solo|Steelville|Viburnum|Stoutland|Success|Summersville|Vichy|Vienna|Waynesville|Saint Robert|Wesco|Winona|Yukon|Long Lane|Montreal|Aldrich|Arcola|Ash Grove|Aurora|Alton|Caplinger Mills|Ava|Bakersfield|Billings|Blue Eye|Bois D Arc|Bolivar|Bradleyville|Branson|Brighton|Brixey|Brookline|Bruner|Buffalo|Butterfield|Cape Fair|Cassville|Caulfield|Cedarcreek|Chadwick|Chestnutridge|Clever|Conway|Crane|Cross Timbers|Dadeville|Diggins|Dora|Drury|Dunnegan|Eagle Rock|Elkland|Eudora|Everton|Exeter|Fair Grove|Fair Play|Flemington|Fordland|Forsyth|Freistatt|Gainesville|Galena|Garrison|Golden|Graff|Greenfield|Grovespring|Half Way|Halltown|Hardenville|Hartville|Hermitage|Highlandville|Hollister|Humansville|Hurley|Isabella|Kirbyville|Kissee Mills|Lampe|Lockwood|Louisburg|Kimberling City|Brandsville|Cabool|Couch|Koshkonong|Mc Clurg|Macomb|Mansfield|Marionville|Marshfield|Miller|Monett|Morrisville|Mountain Grove|Mount Vernon|Niangua|Nixa|Noble|Norwood|Oldfield|Ozark|Phillipsburg|Pierce City|Pittsburg|Pleasant Hope|Point Lookout|Polk|Ponce De Leon|Pontiac|Powell|Powersite|Preston|Protem|Purdy|Quincy|Reeds Spring|Republic|Ridgedale|Rockaway Beach|Rockbridge|Rogersville|Rueter|Seligman|Seymour|Shell Knob|South Greenfield|Sparta|Spokane|Squires|Stotts City|Strafford|Taneyville|Tecumseh|Theodosia|Thornfield|Tunas|Turners|Udall|Urbana|Vanzant|Verona|Walnut Grove|Walnut Shade|Washburn|Wasola|Weaubleau|West Plains|South Fork|Moody|Myrtle|Wheatland|Willard|Windyville|Zanoni|Stockton|Macks Creek|Roach|Peace Valley|Pomona|Pottersville|Thayer|Willow Springs|Springfield',
+         '1cm1.0,4.1,1,4.2,1.3,1.4,1.5,1.6,1.7,1.8,1.1,2.9,1.a,1.3,1,1.b,1.3,1.c,1.d,2.e,2.f,1.g,1*3,2.h,1.i,1.j,1.k,1.l,1.m,1.n,1.o,1.p,1.q,2.r,1.s,1.t,1.u,1.v,1.w,1.x,2.y,1.z,1.10,3.11,1.12,4.13,1.14,2.15,1.16,1.17,1.18,1.19,1.1a,1.1b,3.1c,2.1d,1.1e,4.1f,3.1g,1.1h,1.1i,1.1j,1.1k,8.d,2.1l,1*14,2,1*4,3,1,4,1*3,2,3,1,2,1,2*2,6,1*3,2,6,2.1m,5.1l,1*2,1.1n,1.1l,2u.1o,1*3,q.1p,2.1q,1.1r,1.1s,2.1t,2.1u,1.1v,2.1w,1.1x,1.1y,1.1z,1.20,1.21,1.22,1.23,1.24,1.25,1.26,1.27,1.28,4.29,2.2a,2.2b,1.2c,1.2d,2.2e,1.2f,1.2g,1.2f,1.2h,1.2i,3.2j,3.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,1.2v,1.2w,1.2x,1.2y,b.2z,t.30,1.31,1.32,1.33,1.34,1.35,1.36,1.37,1.38,1.39,1.3a,1.3b,1.3c,1.3d,2.3e,1.3f,1.3g,1.3h,2.3i,1.3j,1.3k,1.3l,1.3m,2.3n,1.3o,1.3p,1.3q,1.3r,1.3s,1.3t,1.3u,1.3v,1.3w,1.3x,1.3y,1.3z,1.40,2.41,1.42,1.43,1.44,r.45,t.46,1.47,1.48,1.49,1.4a,1.4b,1.4c,1.4d,1.4e,1.4f,1.4g,1.4h,2.4i,1.4j,1.4k,1.4l,1.4m,1.4n,1.4o,2.4p,1.4q,3.4r,1.4s,1.4t,1.4u,1.4v,1.4w,1.4x,2.4y,2.4z,1.50,1.51,y.52,j.53,1.54,1.55,1.56,1.57,1.58,1.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,3.5h,1.5i,1.5j,2.5k,5.5l,3.5m,2.5n,1.5o,2.5p,1.5q,1.5r,1.5s,4.5t,2.5u,1.5v,1.5w,1.5x,1.5y,4.5z,3.60,1.61,1.62,q.63,1*2,r.64,2.65,3.66,1.67,1.68,1.69,1.6a,1.6b,2.6c,1.6d,1.6e,1.6f,1.6g,1.6h,1.6i,2.6j,1.6k,1.6l,3.6m,3.6n,2.6o,3.6p,1.6q,2.6r,1.6s,2.6t,1.6u,1.6v,3.6w,1.6x,1.6y,3.6z,1.70,1.71,1.72,1.73,1.74,1.75,2.76,e.77,j.78,1.79,1.7a,1.7b,1.7c,1.7d,1.7e,1.7f,1.7g,1.7h,1.7i,3.7j,1.7k,3.7l,2.7m,1.7n,1.7o,4.7p,1.7q,1.7r,1.7s,1.7t,1.7u,1.7v,1.7w,1.7x,2.7y,2.7z,3.80,2.81,1.82,3.83,1.84,1.85,1.86,1.87,3.88,1.89,1.8a,1.8b,1.8c,1.8d,1.8e,1.8f,1.8g,1.8h,j.8i,1,t.8j,1.8k,1.8l,1.8m,1.8n,1.8o,1.8p,1.8q,1.8r,1.8s,1.8t,1.8u,1.8v,1.8w,1.8x,5.8y,1.8z,1.90,1.91,1.92,1.93,1.94,1.95,3.96,1.97,1.98,1.99,1.9a,1.9b,1.9c,1.9d,y.9e,1.9f,9.9g,1.9h,1.9i,1*2,1.9j,1.9k,1.9l,1.9m,1.9n,1.9o,1.9p,2.9q,4.9r,1.9s,1.9t,4.9u,1.9v,1.9w,1.9x,3.9y,8.9z,2.a0,1*8,2.a1,1.a2,1.a3,1.9f,1*2,1.a4,1.a5,1.a6,1,1.a7,1.a8,1.a9,1.aa,1.ab,1.ac,1.ad,1.ae,1.af,1.ag,1.ah,1.9f,1,1.ai,1.aj,1.ak,1.9f,2.al,1.am,1.an,2.ao,1.ap,3.aq,1.ar,1.as,3.at,1,3,1,2,1*6,2,1*5,2,1*b,2,1*3,2,3,1*5,1.au,1.at,1*7,3,1*7,2,1*2,7,1,3.av,1.at,1,2,1,2,1*2,1.aw,1.at,1*5,5m.ax,1.ay,i.az,1.b0,1.b1,1.b2,1.b3,2.b4,1.b5,1.b6,1.b7,1.b8,1.b9,1.ba,1.bb,1.bc,2.bd,1.be,1.bf,1.bg,1.bh,1.bi,1.bj,1.bk,1.bl,1.bm,1.bn,1.bo,1.bp,1.bq,2.br,2.bs,1.bt,1.bu,1.bv,1.bw,1.bx,1.by,2.bz,2.c0,2.c1,1.c2,1.c3,1.c4,1.c5,1.c6,1.c7,2.c8,1.c9,1.ca,1.cb,1.cc,2.cd,1.ce,1.cf,1.cg,1.ch,1.ci,1.cj,1.ck,1.cl,2.cm,1.cn,1.co,1.cp,1.cq,1.cr,2.cs,1.ct,1.cu,1.cv,2.cw,1*7,2l.cx,j.cy,2.cz,1.d0,1.d1,1.d2,3.d3,2.d4,1.d5,1.d6,1.d7,2.d8,1.d9,1.da,1.db,1.dc,1.dd,1.de,1.df,1.dg,1.dh,1.di,1.dj,1.dk,1.dl,1.dm,1.dn,1.do,1.dp,1.dq,1.dr,1.ds,1.dt,1.du,1.dv,1.dw,1.dx,1.dy,3.dz,3.e0,1.e1,2.e2,1.e3,1.e4,1.e5,1.e6,2.e7,3.e8,1.e9,1.ea,1.eb,1.ec,3.ed,2.ee,1.ef,c.eg,j.eh,2.ei,1.ej,1.ek,1.el,1.em,2.en,2.eo,3.ep,1.eq,1.er,3.es,1.et,1.eu,1.ev,1.ew,1.ex,1.ey,1.ez,1.f0,1.f1,1.f2,2.f3,2.f4,3.f5,1.f6,3.f7,2.f8,1.f9,1.fa,2.fb,1.fc,1.fd,2.fe,1.ff,1.fg,1.fh,4.fi,2.fj,1.fk,1.fl,1.fm,2.fn,1.fo,4.fp,1.fi,1.fq,b.fr,1*3,q.fs,1.ft,1.fu,1.fv,1.fw,1.fx,1.fy,4.fz,1.g0,1.g1,1.g2,1.g3,3.g4,1.g5,1.g6,1.g7,3.g8,1.g9,1.ga,1.gb,1.gc,1.gd,1.ge,2.gf,1.gg,1.gh,1.gi,1.gj,1.gk,1.gl,1.gm,1.gn,1.go,3.gp,1.gq,1y.gr,1j.at,2.gs,9.gt,1.gu,2.gv,1.gw,2.gx,1.gy,1.gz,2.h0,3.h1,1.h2,1.h3,1.h4,6.h5,2.h6,1.h7,1.h8,1.h9,1.ha,1.hb,1.hc,1.hd,1.he,1.hf,3.hg,1.hh,1.hi,1.hj,1.hk,1.hl,1.hm,1.hn,1.ho,1.hp,3.hq,1.hr,2.hs,1.ht,1.hu,1.hv,1.hw,1.hx,1.hy,1.hz,1.i0,3.i1,2.i2,1.i3,1.i4,1.i5,1.i6,1.i7,1.i8,1.i9,1.ia,1.ib,1.ic,1.id,g.ie,1*a,2i.if,1*2,2,6,1,3,1*3,c.ig,1.ih,1.ii,1.ij,3.ik,1.il,2.im,1.in,3.io,1.ip,2.iq,1.ir,1.is,2.it,1.iu,3.iv,1.iw,1.ix,1.iy,1.iz,1.j0,1.j1,1.j2,1.j3,1.j4,1.j5,1.j6,5.j7,4.j8,1.j9,1.ja,2.jb,1.jc,1.jd,1.je,1.jf,1.jg,1.jh,1.ji,1.jj,1.jk,c.if,2.jl,1,3.jm,f.jn,1.jo,1.jp,1.jq,1.jr,1.js,1.jt,1.ju,2.jv,1.jw,2.jx,1.jy,1.jz,1.k0,1.k1,1.k2,1.k3,1.k4,1.k5,4.k6,1.k7,2.k8,1.k9,1.ka,1.kb,1.kc,3.kd,1.ke,5.kf,15.kg,1,7,r.kh,2.ki,1.kj,1.kk,1.kl,2.km,1.kn,2.ko,3.kp,3.kq,1.kr,3.ks,1.kt,2.ku,2.kv,1.kw,1.kx,1.ky,2.kz,2.l0,2.l1,3.l2,6.l3,4.l4,1.l5,2.l6,f.l7,s.l8,3.l9,2.la,1.lb,1.lc,5.ld,1.le,1.lf,3.lg,2.lh,2.li,2.lj,3.lk,1.ll,1.lm,2.ln,1.lo,4.lp,1.lq,1.lr,1.ls,3.lt,1.lu,9.lv,2.lw,1.lx,1.ly,2.lz,2.m0,1.m1,1.m2,1.m3,a.m4,2.m5,1.m6,1.m7,1.m8,1.m9,1.ma,1.mb,1.mc,1.md,1.me,1.mf,1.mg,1.mh,1,1.mi,1.mj,1.mk,1.ml,2.mm,1.mn,1.mo,1.mp,1.mq,1.mr,2.ms,1.mt,1.mu,1.mv,1.mw,1.mx,1.my,1.mz,1.n0,1.n1,2.n2,1.n3,3.n4,1.n5,1.n6,1.n7,1.n8,1.n9,1.na,2.nb,1.nc,1.nd,1.ne,1.nf,1.ng,1.nh,2.ni,1.nj,1.nk,1.nl,1.nm,2.nn,1.no,1.np,1.nq,3.nr,1,1.ns,1.nt,1.nu,3.nv,1.nw,1.nx,1.ny,3.nz,1.o0,2.o1,1.o2,1.o3,2.o4,9.o5,1.o6,2.o7,1.o8,1.o9,1.oa,1.ob,2.oc,1.od,1.oe,1.of,1.og,1.oh,2.oi,3.oj,1.ok,1.ol,1.om,1.on,1.oo,1.op,1.oq,1.or,1.os,1.ot,1.ou,1.ov,1.ow,1.ox,1.oy,2.oz,1.p0,1.p1,1.p2,1.p3,1.p4,2.p5,1.p6,1.p7,1.p8,5.p9,1.pa,1.pb,1.pc,1.pd,1.pe,2.pf,1.pg,1.ph,1.pi,2.pj,1.pk,1.pl,1.pm,1.pn,1.po,1.pp,1.pq,1.pr,1.ps,1.pt,1.pu,1.pv,1.pw,1.px,1.py,2.pz,2.q0,1.q1,1.q2,1.q3,1.q4,1.q5,1.q6,1.q7,1.q8,2.q9,8.qa,1*9,4,3,21,7,1*2'],
+    MT: ['Absarokee|Acton|Ashland|Ballantine|Bearcreek|Belfry|Bighorn|Big Timber|Birney|Boyd|Bridger|Broadview|Busby|Clyde Park|Columbus|Cooke City|Crow Agency|Custer|Decker|Edgar|Emigrant|Fishtail|Fromberg|Gardiner|Garryowen|Grass Range|Greycliff|Hardin|Fort Smith|Harlowton|Huntley|Hysham|Ingomar|Joliet|Lame Deer|Laurel|Lavina|Livingston|Lodge Grass|Mc Leod|Martinsdale|Melstone|Melville|Molt|Mosby|Musselshell|Nye|Otter|Park City|Pompeys Pillar|Pray|Pryor|Rapelje|Red Lodge|Reed Point|Roberts|Roscoe|Roundup|Ryegate|Saint Xavier|Sanders|Sand Springs|Shawmut|Shepherd|Silver Gate|Springdale|Sumatra|Teigen|Two Dot|Wilsall|Winnett|Worden|Wyola|Billings|Wolf Point|Antelope|Bainville|Brockton|Brockway|Circle|Crane|Culbertson|Dagmar|Fairview|Flaxville|Fort Peck|Frazer|Froid|Glasgow|Saint Marie|Glentana|Hinsdale|Homestead|Lambert|Larslan|Medicine Lake|Nashua|Opheim|Outlook|Peerless|Plentywood|Poplar|Raymond|Redstone|Reserve|Richey|Richland|Saco|Savage|Scobey|Sidney|Vandalia|Vida|Westby|Whitetail|Miles City|Alzada|Angela|Baker|Biddle|Bloomfield|Boyes|Broadus|Brusett|Capitol|Cohagen|Colstrip|Ekalaka|Fallon|Forsyth|Glendive|Hammond|Hathaway|Ismay|Jordan|Kinsey|Lindsay|Mildred|Olive|Plevna|Powderville|Rosebud|Terry|Volborg|Wibaux|Willard|Great Falls|Malmstrom A F B|Augusta|Babb|Belt|Black Eagle|Brady|Browning|Buffalo|Bynum|Carter|Cascade|Choteau|Coffee Creek|Conrad|Cut Bank|Denton|Dupuyer|Dutton|East Glacier Park|Ethridge|Fairfield|Floweree|Forest Grove|Fort Benton|Fort Shaw|Galata|Geraldine|Geyser|Heart Butte|Highwood|Hilger|Hobson|Judith Gap|Kevin|Ledger|Lewistown|Loma|Lothair|Moccasin|Monarch|Moore|Neihart|Oilmont|Pendroy|Power|Raynesford|Roy|Sand Coulee|Shelby|Simms|Stanford|Stockett|Sunburst|Sun River|Sweet Grass|Ulm|Valier|Vaughn|Winifred|Havre|Big Sandy|Box Elder|Chester|Chinook|Dodson|Gildford|Harlem|Hays|Hingham|Hogeland|Inverness|Joplin|Kremlin|Lloyd|Loring|Malta|Rudyard|Turner|Whitewater|Whitlash|Zortman|Zurich|Helena|Basin|Boulder|Canyon Creek|Clancy|East Helena|Fort Harrison|Jefferson City|Lincoln|Marysville|Radersburg|Ringling|Toston|Townsend|White Sulphur Springs|Winston|Wolf Creek|Butte|Alder|Anaconda|Avon|Belgrade|Bozeman|Big Sky|Cameron|Cardwell|Deer Lodge|Dell|Dillon|Divide|Elliston|Ennis|Gallatin Gateway|Garrison|Glen|Gold Creek|Harrison|Jackson|Lima|Mc Allister|Manhattan|Melrose|Norris|Polaris|Pony|Ramsay|Sheridan|Silver Star|Three Forks|Twin Bridges|Virginia City|Warm Springs|West Yellowstone|Whitehall|Willow Creek|Wisdom|Wise River|Missoula|Alberton|Arlee|Bonner|Charlo|Clinton|Condon|Conner|Corvallis|Darby|De Borgia|Dixon|Drummond|Florence|Frenchtown|Grantsdale|Hall|Hamilton|Pinesdale|Haugan|Helmville|Heron|Hot Springs|Huson|Lolo|Lonepine|Milltown|Noxon|Ovando|Pablo|Paradise|Philipsburg|Plains|Polson|Ravalli|Ronan|Saint Ignatius|Saint Regis|Saltese|Seeley Lake|Stevensville|Sula|Superior|Thompson Falls|Trout Creek|Victor|Kalispell|Big Arm|Bigfork|Columbia Falls|Coram|Dayton|Elmo|Essex|Eureka|Fortine|Hungry Horse|Kila|Lake Mc Donald|Lakeside|Libby|Marion|Martin City|Olney|Polebridge|Proctor|Rexford|Rollins|Somers|Stryker|Trego|Troy|West Glacier|Whitefish',
+         '19ix.0,1.1,1.2,1,2.3,1.4,1.5,2.6,1.7,1.8,1.9,1.a,1.b,1.c,2.d,1.e,1.f,2.g,2.h,1.i,1.j,1.k,1.l,1.m,1.n,1.o,1.p,1.q,1.r,1.s,1.t,1.u,1.v,1.w,2.x,2.y,1.z,2.10,1.11,3.12,2.13,1.14,1.15,1.16,2.17,1.18,1.19,2.1a,1.1b,1.1c,1.1d,1.1e,1.1f,1.1g,1.1h,1.1i,1.1j,1.1k,1.1l,1,1.1m,1.1n,1.1o,1.1p,1.1q,1.1r,2.1s,1.1t,1.1u,1.1v,1.1w,1.1x,1.1y,1.1z,1.20,c.21,1*7,3,1,2,1*3,2c.22,a.23,1.24,1.25,1.26,1.27,2.28,1.29,1.2a,2.2b,1.2c,1.2d,2.2e,1.2f,4.2g,1.2h,9.2i,1.2j,1.2k,1.2l,1.2m,3.2n,1.2o,2.2p,2.2q,1.2r,1.2s,1.2t,1.2u,1.2v,1.2w,1.2x,1.2y,1.2z,1.30,1.31,7.32,3.33,1.34,1.35,1.36,p.37,a.38,1.39,1.3a,1.3b,1.3c,1.3d,1.3e,1.3f,1.3g,3.3h,1.3i,1.3j,2.3k,1.3l,3.3m,2.3n,1.3o,3.3p,1.3q,1.3r,1.3s,2.3t,2.3u,1.3v,1.3w,2.3x,2.3y,2.3z,2.40,1.41,1b.42,1.43,1.42,1*3,4.44,1.45,1.46,2.47,2.48,1.49,1.4a,1.4b,1.4c,1.4d,1.4e,2.4f,1.4g,2.4h,3.4i,2.4j,1.4k,1.4l,1.4m,1.4n,4.4o,1.4p,1.4q,1.4r,1.4s,2.4t,1.4u,1.4v,2.4w,1.4x,1.4y,1.4z,1.50,2.51,1.52,3.53,1.54,1.55,1.56,1.57,1.58,1.59,1.5a,1.5b,1.5c,2.5d,1.5e,2.5f,3.5g,2.5h,1.5i,2.5j,1.5k,1.5l,1.5m,1.5n,1.5o,2.5p,c.5q,j.5r,1.5s,1.5t,1.5u,1.5v,1.5w,1.5x,1.5y,1.5z,1.60,1.61,1.62,1.63,3.64,2.65,1.66,2.67,2.68,2.69,1.6a,1.6b,1.6c,1i.6d,1,2,g,3,1*3,5.6e,1.6f,1.6g,1.6h,1.6i,1.6j,2.6k,1.6l,1.6m,1.6n,1.6o,1.6p,1.6q,1.6r,2.6s,1.6t,1h.6u,1*2,4,3.6v,1.6w,2.6x,1.6y,1.6z,1.70,1.6z,1*2,1.71,1.72,1.73,2.74,1.75,2.76,1.77,1.78,1.79,1.7a,1.7b,1.7c,2.7d,1.7e,3.7f,1.7g,1.7h,2.7i,2.7j,1.7k,1.7l,1.7m,1.7n,1.6u,1.7o,1.7p,2.7q,1.7r,1.7s,2.7t,1.7u,1.7v,1.7w,1.7x,9.6z,1*2,s.7y,1*3,2,1*2,4,8.7z,1.80,2.81,1.82,1.83,1.84,1.85,1.86,1.87,1.88,1.89,1.8a,1.8b,1.8c,1.8d,2.8e,3.8f,1.8g,1.8h,1.8i,1.8j,1.8k,1.8l,1.8m,1.8n,3.8o,2.8p,1.8q,1.8r,1.8s,2.8t,1.8u,1.8v,3.8w,1.8x,1.8y,1.8z,1.90,1.91,2.92,1.93,1.94,1.95,1.96,1.97,q.98,2,1,6.99,1.9a,1.9b,1.9c,1.9d,1.9e,1.9f,1.9g,1.9h,1.9i,1.9j,1.9k,1.9l,1.9m,2.9n,1.9o,1.9p,1.9q,1.9r,1.9s,1.9t,1.9u,1.9v,1.9w,1.9x,1.9y,1.9z'],
+    NE: ['Abie|Arlington|Ashland|Bancroft|Bellevue|Bennington|Blair|Boys Town|Bruno|Cedar Bluffs|Cedar Creek|Ceresco|Colon|Craig|Decatur|Elkhorn|Fort Calhoun|Fremont|Gretna|Herman|Homer|Hooper|Ithaca|Kennard|Linwood|Louisville|Lyons|Macy|Malmo|Mead|Memphis|Nickerson|Oakland|Papillion|Pender|Plattsmouth|Prague|Rosalie|St Columbans|Scribner|South Bend|Springfield|Tekamah|Thurston|Uehling|Valley|Valparaiso|Wahoo|Walthill|Washington|Waterloo|Weston|Winnebago|Winslow|Yutan|Omaha|Offutt A F B|La Vista|Adams|Alexandria|Alvo|Auburn|Avoca|Barneston|Beatrice|Beaver Crossing|Bee|Belvidere|Benedict|Bennet|Blue Springs|Bradshaw|Brock|Brownville|Bruning|Burchard|Burr|Byron|Carleton|Chester|Clatonia|Cook|Cordova|Cortland|Crab Orchard|Crete|Davenport|Davey|Dawson|Daykin|Denton|Deshler|De Witt|Diller|Dorchester|Douglas|Du Bois|Dunbar|Eagle|Elk Creek|Elmwood|Endicott|Exeter|Fairbury|Fairmont|Falls City|Filley|Firth|Friend|Garland|Geneva|Gilead|Goehner|Grafton|Greenwood|Gresham|Hallam|Hebron|Henderson|Hickman|Hubbell|Humboldt|Jansen|Johnson|Julian|Lewiston|Liberty|Lorton|Mc Cool Junction|Malcolm|Manley|Martell|Milford|Milligan|Murdock|Murray|Nebraska City|Nehawka|Nemaha|Odell|Ohiowa|Otoe|Palmyra|Panama|Pawnee City|Peru|Pickrell|Pleasant Dale|Plymouth|Raymond|Reynolds|Roca|Rulo|Salem|Seward|Shickley|Shubert|Sprague|Staplehurst|Steele City|Steinauer|Stella|Sterling|Strang|Swanton|Syracuse|Table Rock|Talmage|Tecumseh|Ong|Tobias|Unadilla|Union|Utica|Verdon|Virginia|Waco|Walton|Waverly|Weeping Water|Western|Wilber|Wymore|York|Lincoln|Columbus|Albion|Ames|Bartlett|Belgrade|Bellwood|Brainard|Cedar Rapids|Clarks|Clarkson|Creston|David City|Dodge|Duncan|Dwight|Elgin|Ericson|Fullerton|Genoa|Howells|Humphrey|Leigh|Lindsay|Monroe|Morse Bluff|North Bend|Osceola|Petersburg|Platte Center|Polk|Primrose|Rising City|Rogers|Saint Edward|Schuyler|Shelby|Silver Creek|Snyder|Spalding|Stromsburg|Surprise|Ulysses|Norfolk|Allen|Amelia|Atkinson|Bassett|Battle Creek|Beemer|Belden|Bloomfield|Bristow|Brunswick|Butte|Carroll|Center|Chambers|Clearwater|Coleridge|Concord|Creighton|Crofton|Dakota City|Dixon|Emerson|Emmet|Ewing|Fordyce|Hadar|Hartington|Hoskins|Hubbard|Inman|Jackson|Laurel|Lynch|Mclean|Madison|Magnet|Maskell|Meadow Grove|Mills|Naper|Neligh|Newcastle|Newman Grove|Newport|Niobrara|Oakdale|Oneill|Orchard|Osmond|Page|Pierce|Pilger|Plainview|Ponca|Randolph|Royal|Saint Helena|South Sioux City|Spencer|Springview|Stanton|Stuart|Tilden|Verdigre|Wakefield|Waterbury|Wausa|Wayne|West Point|Winnetoon|Winside|Wisner|Wynot|Grand Island|Alda|Amherst|Anselmo|Ansley|Arcadia|Archer|Ashton|Aurora|Boelus|Brewster|Broken Bow|Burwell|Cairo|Callaway|Central City|Chapman|Comstock|Dannebrog|Doniphan|Dunning|Eddyville|Elba|Elm Creek|Elyria|Farwell|Gibbon|Giltner|Greeley|Hampton|Hazard|Kearney|Hordville|Lexington|Litchfield|Loup City|Marquette|Mason City|Merna|Miller|North Loup|Oconto|Odessa|Ord|Overton|Palmer|Phillips|Pleasanton|Ravenna|Riverdale|Rockville|Saint Libory|Saint Paul|Sargent|Scotia|Shelton|Sumner|Taylor|Westerville|Wolbach|Wood River|Hastings|Alma|Arapahoe|Atlanta|Axtell|Ayr|Beaver City|Bertrand|Bladen|Bloomington|Blue Hill|Campbell|Clay Center|Deweese|Edgar|Edison|Elwood|Fairfield|Franklin|Funk|Glenvil|Guide Rock|Hardy|Harvard|Heartwell|Hendley|Hildreth|Holbrook|Holdrege|Holstein|Inavale|Inland|Juniata|Kenesaw|Lawrence|Loomis|Minden|Naponee|Nelson|Oak|Orleans|Oxford|Ragan|Red Cloud|Republican City|Riverton|Roseland|Ruskin|Saronville|Smithfield|Stamford|Superior|Sutton|Trumbull|Upland|Wilcox|Mc Cook|Bartley|Benkelman|Cambridge|Champion|Culbertson|Curtis|Danbury|Enders|Eustis|Farnam|Haigler|Hayes Center|Imperial|Indianola|Lebanon|Max|Maywood|Moorefield|Palisade|Parks|Stockville|Stratton|Trenton|Wauneta|Wilsonville|North Platte|Arnold|Arthur|Big Springs|Brady|Broadwater|Brule|Bushnell|Chappell|Cozad|Dalton|Dickens|Dix|Elsie|Elsmere|Gothenburg|Grant|Gurley|Halsey|Hershey|Keystone|Kimball|Lemoyne|Lewellen|Lisco|Lodgepole|Madrid|Maxwell|Mullen|Ogallala|Oshkosh|Paxton|Potter|Purdum|Sidney|Seneca|Stapleton|Sutherland|Thedford|Tryon|Venango|Wallace|Wellfleet|Willow Island|Valentine|Ainsworth|Cody|Crookston|Johnstown|Kilgore|Long Pine|Merriman|Nenzel|Sparks|Wood Lake|Alliance|Angora|Ashby|Bayard|Bingham|Bridgeport|Chadron|Crawford|Ellsworth|Gering|Gordon|Harrisburg|Harrison|Hay Springs|Hemingford|Hyannis|Lakeside|Lyman|Mcgrew|Marsland|Melbeta|Minatare|Mitchell|Morrill|Rushville|Scottsbluff|Whiteclay|Whitman|Whitney',
+         '1ggx.0,1.1,1.2,1.3,1.4,2.5,1.6,1,1.7,4.8,1.9,1.a,1.b,1.c,1.d,1.e,2.f,1.g,2.h,1,2.i,1.j,1.k,1.l,2.m,1.n,2.o,1.p,1.q,1.r,1.s,1.t,1.u,2.v,1.w,1.x,1.y,1.z,2.10,5.11,1.12,1.13,1.14,1.15,2.16,1.17,1.18,1.19,1.1a,1.1b,1.1c,1.1d,1.1e,1.1f,1.1g,1.1h,1.1i,s.1j,1*b,1.1k,1.1j,2,1*4,2,1.4,1.1j,3,1.1l,2.1j,1*2,1.x,1.1j,1*5,3,2,1,2.4,5.1j,2,1,2,7,8,3,1,2,1*5,e,1,2v.1m,2.1n,1.1o,1.1p,2.1q,2.1r,1.1s,3.1t,1.1u,1.1v,1.1w,1.1x,1.1y,1.1z,1.20,1.21,1.22,1.23,1.24,1.25,1.26,1.27,1.28,1.29,1.2a,1.2b,1.2c,1.2d,2.2e,1.2f,1.2g,1.2h,1.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,1.2v,2.2w,1.2x,2.2y,1.2z,1.30,1.31,1.32,1.33,2.34,1.35,1.36,1.37,1.38,2.39,1.3a,1.3b,3.3c,1.3d,1.3e,1.3f,1.3g,1.3h,1.3i,1.3j,j.3k,1.3l,1.3m,1.3n,1.3o,1.3p,1.3q,2.3r,1.3s,3.3t,1.3u,1.3v,1.3w,1.3x,1.3y,1.3z,1.40,1.41,1.42,1.43,1.44,4.45,1.46,1.47,1.48,2.49,1.4a,2.4b,1.4c,1.4d,1.4e,1.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,1.4m,1.4n,2.4o,2.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,2.4w,1.4x,1.4y,1.4z,1.50,1.51,1.52,1.53,y.54,1*9,2*3,1,3,1*4,2,1*3,2,1,a,2,13,5,d.55,1,i.56,1.57,1.58,1.59,1.5a,2.5b,1.5c,1.5d,1.5e,2.5f,1.5g,1.5h,1.5i,1.5j,1.5k,1.5l,1.5m,2.5n,1.5o,1.5p,1.5q,1.5r,3.5s,1.5t,1.5u,2.5v,1.5w,1.5x,1.5y,1.5z,3.60,1.61,1.62,1.63,1.64,1.65,1.66,1.67,1.68,1.69,2.6a,w.6b,1,8.6c,1.6d,2.6e,1.6f,1.6g,1.6h,1.6i,1.6j,1.6k,1.6l,2.6m,1.6n,1.6o,1.6p,1.6q,1.6r,1.6s,1.6t,1.6u,1.6v,1.6w,1.6x,1.6y,1.6z,1.70,2.71,1.72,1.73,1.74,1.75,1.76,2.77,1.78,1.79,1.7a,1.7b,2.7c,1.7d,1.7e,2.7f,1.7g,1.7h,1.7i,1.7j,1.7k,1.7l,2.7m,1.7n,1.7o,1.7p,1.7q,1.7r,1.7s,1.7t,1.7u,2.7v,1.7w,2.7x,1.7y,1.7z,1.80,1.81,1.82,2.83,1.84,1.85,1.86,1.87,1.88,1.89,1.8a,1.8b,1.8c,9.8d,1*2,7.8e,2.8f,1.8g,1.8h,1.8i,1.8j,1.8k,1.8l,2.8m,1.8n,1.8o,1.8p,1.8q,1.8r,1.8s,1.8t,1.8u,3.8v,1.8w,1.8x,1.8y,1.8z,1.90,1.91,1.92,2.93,1.94,1.95,1.96,1.97,1.98,1.99,1.98,1*2,1.9a,2.9b,1.9c,1.9d,1.9e,1.9f,2.9g,1.9h,1.9i,1.9j,1.9k,1.9l,1.9m,1.9n,1.9o,3.9p,1.9q,1.9r,1.9s,1.9t,1.9u,1.9v,1.9w,2.9x,1.9y,2.9z,1.a0,1.a1,i.a2,1,i.a3,2.a4,1.a5,1.a6,1.a7,1.a8,1.a9,1.aa,1.ab,1.ac,2.ad,1.ae,1.af,1.ag,1.ah,1.ai,1.aj,1.ak,1.al,1.am,1.an,1.ao,1.ap,1.aq,1.ar,1.as,1.at,1.au,1.av,2.aw,2.ax,1.ay,1.az,1.b0,1.b1,1.b2,1.b3,1.b4,3.b5,2.b6,1.b7,2.b8,1.b9,1.ba,1.bb,1.bc,1.bd,1.be,1.bf,1.bg,1.bh,1.bi,1.bj,1.bk,1.bl,j.bm,j.bn,1.bo,1.bp,1.bq,1.br,1.bs,1.bt,1.bu,1.bv,1.bw,1.bx,2.by,1.bz,1.c0,2.c1,1.c2,1.c3,1.c4,1.c5,1.c6,1.c7,1.c8,1.c9,1.ca,1.cb,1j.cc,2,h.cd,1.ce,1.cf,1.cg,2.ch,2.ci,1.cj,1.ck,1.cl,1.cm,1.cn,1.co,1.cp,1.cq,3.cr,2.cs,1.ct,1.cu,1.cv,1.cw,1.cx,1.cy,1.cz,1.d0,1.d1,1.d2,1.d3,1.d4,1.d5,1.d6,1.d7,1.d8,1.d9,3.da,1.db,1.da,1.dc,2.dd,1.de,1.df,1.dg,1.dh,1.di,1.dj,j.d6,b.dk,9.dl,1.dm,1.dn,2.do,2.dp,1.dq,1.dr,1.ds,1.dt,1.du,28.dv,u.dw,2.dx,1.dy,1.dz,1.e0,1.e1,2.e2,1.e3,1.e4,2.e5,2.e6,1.e7,1.e8,1.e9,2.ea,1.eb,1.ec,1.ed,1.ee,1.ef,1.eg,1.eh,1.ei,2.ej,1.ek,2,2.el,1.em,1.en'],
+    NV: ['The Lakes|Alamo|Henderson|Beatty|Blue Diamond|Boulder City|Bunkerville|Caliente|Dyer|Goldfield|Hiko|Indian Springs|Jean|Amargosa Valley|Logandale|Manhattan|Mercury|Mesquite|Moapa|Laughlin|North Las Vegas|Coyote Springs|Cal Nev Ari|Overton|Pahrump|Panaca|Pioche|Round Mountain|Searchlight|Silverpeak|Tonopah|Sloan|Las Vegas|Nellis Afb|Ely|Austin|Baker|Duckwater|Eureka|Lund|Mc Gill|Ruth|Crystal Bay|Dayton|Denio|Empire|Fallon|Fernley|Gabbs|Gardnerville|Genoa|Gerlach|Glenbrook|Golconda|Hawthorne|Imlay|Lovelock|Luning|Mc Dermitt|Mina|Minden|Nixon|Orovada|Paradise Valley|Schurz|Silver City|Silver Springs|Smith|Sparks|Sun Valley|Valmy|Verdi|Virginia City|Wadsworth|Wellington|Winnemucca|Yerington|Zephyr Cove|Stateline|Incline Village|Reno|Carson City|Washoe Valley|Elko|Spring Creek|Battle Mountain|Crescent Valley|Carlin|Deeth|Jackpot|Jarbidge|Lamoille|Montello|Mountain City|Owyhee|Ruby Valley|Tuscarora|Wells|West Wendover',
+         '1wlh.0,4,2o.1,1.2,1.3,1.4,1.5,1,1.6,1.7,1.2,1.8,1.2,1,1.9,1.2,1*2,1.a,1.b,1.c,1.d,1.e,1.f,1.g,1.h,1.i,1.c,1.h,1.j,1,1.k,1*3,1.h,2.k,1.l,2.m,1.n,1.o,1.p,1.q,1.2,1.r,1.s,1.t,1.o,1.u,3.2,1,1.v,6.o,1,6.l,3.b,4.2,3,4.k,3,1*3,e.w,1*1p,1.0,1.w,1*2,3,1,3,4,1*3,3,2,6.x,2.w,2,4,2u.y,9.z,1.10,3.11,1.y,1.12,1.13,1.14,1.15,2b.16,1.17,1.18,1.19,1.1a,1,1.1b,1.1c,1.1d,1.1e,1.1f,1.1g,1.1h,1.1i,3.1j,1.1k,1.1l,1.1m,1.1n,1.1o,1.1p,1.1q,1.1r,1.1s,1.1t,1.1u,1.1v,1.1w,1,1.1x,1.1w,1*2,2.1y,1.1z,1.20,1.1w,1.21,2.22,1.23,1,1.24,1.25,1.26,1.27,1*2,8.1d,10.1a,5.28,1*c,2,4,1*2,2,a,m,2,d,p,4,2u.29,1*2,1.2a,1.29,1,5,1*3,7,28.2b,1*2,c.2c,5.2d,1.2e,1.2f,1.2g,1.2b,1.2h,1.2i,2.2j,2.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1c.2q'],
+    NH: ['Amherst|Auburn|Brookline|Candia|Chester|Deerfield|Derry|East Candia|East Derry|Epping|Francestown|Fremont|Goffstown|Dunbarton|Greenfield|Greenville|Hollis|Hudson|Litchfield|Londonderry|Merrimack|Milford|Mont Vernon|Nashua|New Boston|New Ipswich|North Salem|Pelham|Raymond|Salem|Lyndeborough|Temple|Wilton|Windham|Manchester|Hooksett|Bedford|Waterville Valley|Andover|Ashland|Barnstead|Belmont|Bradford|Bristol|Campton|Canterbury|Center Barnstead|Center Harbor|Center Sandwich|Contoocook|Danbury|East Andover|Elkins|Epsom|Franklin|Gilmanton|Glencliff|Grafton|Hebron|Henniker|Hill|Hillsborough|Holderness|Laconia|Gilford|Lincoln|Lochmere|Meredith|Moultonborough|Newbury|New Hampton|New London|Chichester|North Sandwich|North Sutton|Northwood|North Woodstock|Pittsfield|Plymouth|Rumney|Salisbury|Sanbornton|South Newbury|South Sutton|Stinson Lake|Suncook|Tilton|Warner|Warren|Washington|Weare|Wentworth|Springfield|Thornton|Wilmot|Winnisquam|Nottingham|West Nottingham|Woodstock|Concord|Bow|Loudon|Keene|Antrim|Ashuelot|Bennington|Chesterfield|Dublin|Sullivan|Swanzey|Fitzwilliam|Gilsum|Hancock|Harrisville|Hinsdale|Jaffrey|Marlborough|Marlow|Nelson|Peterborough|Rindge|Spofford|Stoddard|Troy|West Chesterfield|Westmoreland|West Peterborough|West Swanzey|Winchester|Littleton|Berlin|Bethlehem|Bretton Woods|Colebrook|Errol|Franconia|Gorham|Groveton|Jefferson|Lancaster|Lisbon|Sugar Hill|Milan|Mount Washington|North Stratford|Pittsburg|Randolph|Twin Mountain|West Stewartstown|Whitefield|Acworth|Alstead|Charlestown|Drewsville|Lempster|South Acworth|Walpole|North Walpole|Bath|Canaan|Claremont|Cornish|Cornish Flat|Enfield|Enfield Center|Etna|Georges Mills|Goshen|Grantham|Guild|Hanover|Lebanon|Haverhill|Lyme|Lyme Center|Meriden|Monroe|Newport|North Haverhill|Orford|Piermont|Pike|Plainfield|Sunapee|West Lebanon|Woodsville|Portsmouth|Newington|Alton|Alton Bay|Atkinson|Bartlett|Center Conway|Center Ossipee|Center Strafford|Center Tuftonboro|Chocorua|Conway|Danville|Dover|Madbury|Durham|Barrington|East Hampstead|East Kingston|East Wakefield|Eaton Center|Exeter|Farmington|Freedom|Gilmanton Iron Works|Glen|Rochester|Greenland|Hampstead|Hampton|Hampton Falls|Intervale|Jackson|Kearsarge|Kingston|Madison|Melvin Village|Milton|Milton Mills|Mirror Lake|New Castle|New Durham|Newfields|Newmarket|Newton|Newton Junction|North Conway|Lee|North Hampton|Ossipee|Plaistow|Rollinsford|Rye|Rye Beach|Sanbornville|Sandown|Seabrook|Silver Lake|Somersworth|Effingham|South Tamworth|Strafford|Stratham|Tamworth|Union|West Ossipee|Wolfeboro|Wolfeboro Falls|Wonalancet',
+         '2c7.0,1.1,1.2,1.3,2.4,1.5,1.6,2.7,1.8,1.9,1.a,1.b,1.c,1.d,1.e,1.f,1.g,2.h,1.i,1.j,1.k,1.l,2.m,3.n,1*4,6.o,1.p,2.q,3.r,1.s,2.t,3.u,2.v,2.w,1.x,e.y,1*4,1.z,1.y,1*2,1.10,1.y,2w.11,1.12,1.13,1.14,2.15,1.16,1.17,1.18,1.19,1.1a,1.1b,1.1c,2.1d,1.1e,1.1f,2.1g,1.1h,1.1i,2.1j,1.1k,2.1l,1.1m,1.1n,1.1o,1.1p,1.1q,1.1r,1,2.1s,2.1t,1.1u,1.1v,1.1w,1.1x,1.1y,1.1z,1.20,1.21,1.22,1.23,1.24,1.25,1.26,2.27,2.28,1.29,3.2a,1.2b,1.2c,1.2d,1.2e,2.2f,1.2g,1.2h,1.2i,1.2j,2.2k,1.2l,2.2m,2.2n,1.2o,1.2p,2.2q,5.2e,1,2.2r,1*2,1.2s,1.2r,2.2t,3g.2u,4,5.2v,1.2w,1.2x,1.2y,1.2z,1.30,1.31,1.32,1.33,1.34,1.35,1.36,1.37,3.38,1.39,1.3a,1.3b,3.3c,1.3d,2.3e,1.3f,1.3g,1.3h,1.3i,1.3j,1.3k,2j.3l,9.3m,4.3n,1.3o,1.3p,3.3q,1.3r,1.3s,1.3t,1.3u,1.3v,1.3w,1.3x,2.3y,1.3z,1.40,2.41,1.42,2.43,2.44,1.45,3.46,1.47,1.48,1.49,1.4a,2.4b,1.4c,1.4d,3n.4e,1.4f,2.4g,2.4h,1.4i,2.4j,1.4k,1.4l,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,9.4s,1.4r,2.4t,1.4u,1.4v,1.4w,2.4x,1.4y,3.4z,2.50,1.51,1.52,1.53,2.54,1.55,g.56,1*3,1.57,4.58,1.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,1.5h,1.5i,1.5j,1*2,1.5k,1.5l,1.5m,1.5n,1.5o,3.5p,2.5q,1.5r,2.5s,1.5t,1.5u,1.5v,1.5w,1.5x,1.5y,1.5z,1,1.60,1.61,1.62,1.63,1.64,1.65,1.66,1.67,1.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,1.6f,1.6g,1.6h,1.6i,2.6j,1.6k,1.5w,1*2,1.6l,1.6m,1.6n,1.6o,1.6p,1.6q,1.6r,3.6s,4.6t,1.6u,1.6v,1.6w,1.6x,1.6y,3.6z,4.70,2.71,1.72'],
+    NJ: ['Avenel|Bayonne|Bloomfield|Fairfield|Boonton|Caldwell|Carteret|Cedar Grove|Cliffside Park|Clifton|Cranford|East Orange|Edgewater|Essex Fells|Fairview|Fanwood|Fort Lee|Garfield|Garwood|Glen Ridge|Harrison|Hoboken|North Arlington|Kearny|Kenilworth|Lake Hiawatha|Lincoln Park|Linden|Livingston|Maplewood|Millburn|Montclair|Verona|Montville|Mountain Lakes|North Bergen|Orange|West Orange|Parsippany|Passaic|Wallington|Pine Brook|Warren|Plainfield|Port Reading|Rahway|Clark|Colonia|Roseland|Watchung|Rutherford|Lyndhurst|Carlstadt|East Rutherford|Moonachie|Wood Ridge|Scotch Plains|Sewaren|Short Hills|South Orange|South Plainfield|Springfield|Towaco|Union|Weehawken|Union City|Vauxhall|Westfield|Mountainside|Monitor|Secaucus|Woodbridge|Jersey City|Newark|Belleville|Nutley|Irvington|Shared Firm Zip|Midlantic National Bank|Elizabeth|Roselle|Roselle Park|Hillside|Elizabethport|General Lafayette|Allendale|Bloomingdale|Butler|Elmwood Park|Fair Lawn|Franklin|Franklin Lakes|Glenwood|Hamburg|Haskell|Hewitt|Highland Lakes|Ho Ho Kus|Little Falls|Mc Afee|Mahwah|Midland Park|Newfoundland|Oakland|Oak Ridge|Ogdensburg|Pequannock|Pompton Lakes|Pompton Plains|Ramsey|Ridgewood|Glen Rock|Ringwood|Riverdale|Saddle River|Stockholm|Sussex|Vernon|Waldwick|Wanaque|Wayne|State Farm Insurance|West Milford|Wyckoff|Paterson|Hawthorne|Haledon|Totowa|Hackensack|Bogota|Hasbrouck Heights|Leonia|South Hackensack|Maywood|Teterboro|Alpine|Bergenfield|Closter|Cresskill|Demarest|Dumont|Emerson|Englewood|Englewood Cliffs|Harrington Park|Haworth|Hillsdale|Little Ferry|Lodi|Montvale|New Milford|Northvale|Norwood|Oradell|Palisades Park|Paramus|Park Ridge|Ridgefield|Ridgefield Park|River Edge|Rochelle Park|Saddle Brook|Teaneck|Tenafly|Westwood|Township Of Washington|Woodcliff Lake|Red Bank|Shrewsbury|Fort Monmouth|Fair Haven|Adelphia|Allenhurst|Asbury Park|Belmar|Atlantic Highlands|Avon By The Sea|Belford|Bradley Beach|Cliffwood|Colts Neck|Deal|Eatontown|Englishtown|Farmingdale|Freehold|Hazlet|Howell|Highlands|Holmdel|Keansburg|Keyport|Leonardo|Lincroft|Little Silver|Long Branch|Marlboro|Matawan|Middletown|Monmouth Beach|Morganville|Navesink|Neptune|Oakhurst|Ocean Grove|Oceanport|Port Monmouth|Rumson|Spring Lake|Tennent|West Long Branch|Wickatunk|Dover|Mine Hill|Picatinny Arsenal|Allamuchy|Andover|Augusta|Belvidere|Blairstown|Branchville|Montague|Budd Lake|Buttzville|Califon|Changewater|Columbia|Delaware|Denville|Flanders|Glasser|Great Meadows|Greendell|Hackettstown|Hibernia|Hopatcong|Hope|Ironia|Johnsonburg|Kenvil|Lafayette|Lake Hopatcong|Landing|Layton|Ledgewood|Long Valley|Middleville|Mount Arlington|Netcong|Newton|Oxford|Port Murray|Rockaway|Randolph|Schooleys Mountain|Sparta|Stanhope|Stillwater|Succasunna|Swartswood|Mount Tabor|Tranquility|Vienna|Wallpack Center|Washington|Wharton|Summit|Basking Ridge|Bedminster|Berkeley Heights|Bernardsville|Brookside|Cedar Knolls|Chatham|Chester|Far Hills|Florham Park|Gillette|Gladstone|Green Village|East Hanover|Liberty Corner|Lyons|Madison|Mendham|Millington|Morris Plains|Morristown|Convent Station|Mount Freedom|New Providence|New Vernon|Peapack|Pluckemin|Pottersville|Stirling|Whippany|Corporate Mailings|Alloway|Cherry Hill|Atco|Barnegat|Barnegat Light|Barrington|Beach Haven|Berlin|Beverly|Birmingham|Blackwood|Bridgeport|Browns Mills|Burlington|Cedar Brook|Chatsworth|Clarksboro|Clementon|Columbus|Deepwater|Ewan|Gibbsboro|Gibbstown|Glassboro|Glendora|Gloucester City|Bellmawr|Grenloch|Haddonfield|Haddon Heights|Hainesport|Hammonton|Hancocks Bridge|Harrisonville|Jobstown|Juliustown|Voorhees|Lawnside|Willingboro|Lumberton|Magnolia|Manahawkin|Mantua|Maple Shade|Marlton|Mount Laurel|Medford|Mickleton|Moorestown|Mount Ephraim|Mount Holly|Mount Royal|Mullica Hill|National Park|New Lisbon|Palmyra|Paulsboro|Pedricktown|Pemberton|Penns Grove|Pennsville|Pitman|Quinton|Rancocas|Richwood|Riverside|Riverton|Runnemede|Salem|Sewell|Sicklerville|Somerdale|Stratford|Swedesboro|Thorofare|Tuckerton|Vincentown|Waterford Works|Wenonah|West Berlin|West Creek|Westville|Williamstown|Winslow|Blackwood Ter|Woodbury Heights|Woodstown|Camden|Audubon|Oaklyn|Collingswood|Merchantville|Pennsauken|Absecon|Avalon|Brigantine|Cape May|Cape May Court House|Cape May Point|Cologne|Dennisville|Egg Harbor City|Elwood|Goshen|Green Creek|Leeds Point|Linwood|Marmora|New Gretna|Northfield|Ocean City|Ocean View|Oceanville|Pleasantville|Egg Harbor Township|Pomona|Port Republic|Rio Grande|Sea Isle City|Somers Point|South Dennis|South Seaville|Stone Harbor|Strathmere|Tuckahoe|Villas|Whitesboro|Wildwood|Woodbine|Bridgeton|Buena|Cedarville|Clayton|Deerfield Street|Delmont|Dividing Creek|Dorchester|Dorothy|Elmer|Estell Manor|Fairton|Fortescue|Franklinville|Greenwich|Heislerville|Landisville|Leesburg|Malaga|Mauricetown|Mays Landing|Millville|Milmay|Minotola|Mizpah|Monroeville|Newfield|Newport|Newtonville|Norma|Port Elizabeth|Port Norris|Richland|Rosenhayn|Shiloh|Vineland|Atlantic City|Margate City|Longport|Ventnor City|Allentown|Belle Mead|Blawenburg|Bordentown|Millstone Township|Cookstown|Cranbury|Cream Ridge|Chesterfield|Florence|Hightstown|Hopewell|Imlaystown|Jackson|Kingston|Lambertville|New Egypt|Pennington|Plainsboro|Princeton|Princeton Junction|Ringoes|Rocky Hill|Roebling|Roosevelt|Rosemont|Sergeantsville|Skillman|Stockton|Titusville|Windsor|Wrightstown|Trenton|Fort Dix|Lawrence Township|Lakewood|Allenwood|Bayville|Beachwood|Brick|Brielle|Forked River|Island Heights|Lakehurst|Lanoka Harbor|Lavallette|Manasquan|Mantoloking|Normandy Beach|Ocean Gate|Pine Beach|Point Pleasant Beach|Sea Girt|Seaside Heights|Seaside Park|Toms River|Waretown|Manchester Township|Annandale|Asbury|Baptistown|Bloomsbury|Bound Brook|Bridgewater|Broadway|Clinton|Dayton|Dunellen|East Brunswick|Edison|Flagtown|Flemington|Franklin Park|Kendall Park|Frenchtown|Glen Gardner|Hampton|Helmetta|High Bridge|Iselin|Monroe Township|Keasbey|Lebanon|Little York|Manville|Martinsville|Metuchen|Hillsborough|Middlesex|Milford|Milltown|Monmouth Junction|Neshanic Station|Piscataway|Old Bridge|Oldwick|Parlin|Perth Amboy|Fords|Phillipsburg|Pittstown|Quakertown|Raritan|Readington|Sayreville|Somerset|Somerville|South Amboy|South Bound Brook|South River|Spotswood|Stanton|Stewartsville|Three Bridges|Whitehouse|Whitehouse Station|Zarephath|New Brunswick|North Brunswick|Highland Park',
+         '5eh.0,1.1,1.2,1.3,1.4,1.5,1,1.6,1.7,1.8,1.9,1*4,1.a,1.b,1*2,1.c,1.d,1.e,1.f,1.g,2.h,1.i,1.j,1.k,1.l,1.m,1.n,1.o,1.p,1.q,1.r,3.s,1.t,1.u,1.v,1,1.w,1.x,1.y,1.z,3.10,1,1.11,2.12,1.13,2.14,1.15,1.16,1.17,1*3,1.18,1.19,1.1a,1.1b,1.1c,1.1d,1.1e,1.1f,1.1g,1.1h,1.1i,1.1j,1.1k,1.1l,1.1m,1.1n,1.1o,1.1p,1.1q,1.1r,3.1s,1.1t,1.1u,2.1v,1,1.1w,1.1x,1.1y,1.1z,1.1y,1.20,2.n,2.21,1*7,1.22,1.23,1.24,1.21,2,1p,7.25,2.21,4,1,2,1*2,1.26,1.21,3,1,2.27,1,1.28,1.29,1.2a,1.2b,1.27,1,2m.20,1*6,1.2c,1.20,1,2c,4,2.2d,2.2e,2.2f,2.2g,3.2h,6.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1.2q,4.2r,2.2s,2.2t,3.2u,1.2v,2.2w,1.2x,1.2y,2.2z,2.30,2.31,4.32,1,1.33,4.34,1.35,1.36,2.37,1.38,1.39,1.3a,2.3b,5.3c,4,3.3d,3.3e,1.3f,e.2s,6.3g,1*4,1.3h,1,1.3i,1.3g,1,1.3j,1,1.3g,1,8,2,9,5.3i,5.3g,1,1l.3k,1,1.3l,1.3m,1.3n,1.3o,1.3p,1.3q,c.3r,1.3s,3.3t,2.3u,1.3v,1.3w,2.3x,1.3y,1.3z,8.40,1.41,1.42,1.43,1.44,1.45,1.46,1.47,1.48,1.49,1.4a,2.4b,1,3.4c,1.4d,3.4e,1.4f,1.4g,1.4h,3.4i,4.4j,5.4k,1.4l,1.4m,m.3q,2.4n,1.4o,1.4p,1.4q,5.4n,1.4r,1.4s,1.4t,3.4u,1.4v,1.4w,1.4x,1.4u,1.4y,1.4z,1.50,1.51,1.52,2.53,1.54,1.55,2.56,1.57,1.58,1.59,1.5a,1.5b,2.5c,1.5d,1.5e,1.5f,6.5g,1.5h,1.5i,2.5j,1.5k,1.5l,1.5m,1,1.5n,1.5o,1.5p,1.5q,2.5r,2.5s,1.5t,1.5u,1.5v,y.52,2.5w,1,1.5x,3.5y,e.5z,1.60,1.61,1.62,2.63,1.64,1.65,1.66,1.67,1.68,1.69,1.6a,1.6b,1.6c,2.6d,1.6e,1.6f,1.6g,1.6h,2.6i,1.6j,1.6k,1.6l,1.6m,1.6n,1.6o,1.6p,1.6q,1.6r,1.6s,1.6t,2.6u,1.6v,1.6w,3.6x,3.6y,2.6z,1.70,3.71,1.72,1.73,3.74,1.75,1.76,1.77,1.78,1.79,1.7a,1.7b,1.7c,3.7d,5.64,b.7e,1,i.7f,1.7g,1.7h,2.7i,2.7j,1.7k,1.7l,2.7m,1.7n,1.7o,1.7p,1.7q,1.7r,1.7s,2.7t,1.7u,1.7v,5.7w,1.7x,4.7y,a.7z,1.80,1.7z,1,7.81,4.82,2.83,1.84,1.85,1.86,1.87,1.88,2.89,g.88,2.8a,1.8b,1,1.8c,1.8d,1.8e,1.8f,1.8g,1.8h,1.8i,1.8j,1.8k,2.8l,1.8m,1.8n,2.8o,1.8p,1.8q,1.8r,1.8s,1.8t,2.8u,1.8v,1.8w,1.8x,1.8y,1.8z,1.90,1.91,1.92,1.8b,1.93,1.94,1.95,1.96,1.97,2.98,1.99,1.9a,2.9b,1.9c,2.9d,1.9e,1.9f,1.9g,1.9h,1.9i,1.9j,1.9k,1.9l,1.9m,2.9n,1.9o,1.9p,1.9q,1.9r,1.9s,1.9t,1.9u,1.9v,1.9w,1.9x,1.9y,1.9z,1.a0,1.a1,1.a2,1.a3,1.a4,1,1.a5,1.a6,1.a7,1.a8,2.a9,1.aa,1.ab,1.ac,1.ad,1.ae,1.af,1.ag,1.ah,1.ai,1.aj,1.ak,1.al,1.am,1.an,1.ao,1.90,2.ap,1*4,1.aq,1.ar,1.as,1.at,1.au,2j.av,1.aw,1.ax,1.ay,1.av,5.az,2.b0,1.b1,1.b2,1.b3,2.b4,1.b5,1.b6,1.b7,1.b8,2.b9,1.ba,1.bb,1.bc,4.bd,1.be,1.bf,2.bg,6.bh,1.bi,1.bj,1.bk,1.bl,1.bm,1.bn,1.bo,1.bp,2.bq,1.br,1.bs,8.bt,a.bu,w.bv,8.bw,1.bx,1.by,1.bz,1.c0,1.c1,1.c2,1.c3,1.c4,1.c5,1.c6,1.c7,1.c8,1.c9,1.ca,2.cb,1.cc,1.cd,1.ce,1.cf,2.cg,8.ch,1.ci,1.cj,1.ck,1.cl,1.cm,1.cn,1.co,1.cp,1.cq,1.cr,2.cs,1.ct,7.cu,1*2,13.cv,1.cw,1.cx,1.cv,1,1.cy,2n.cz,1.d0,2.d1,1.d2,5.d3,1.d4,1.d5,2.d6,1.d7,3.d8,2.d9,5.da,1.db,1.dc,1.dd,2.de,3.df,1.dg,1.d3,1.dh,4.di,1*4,6.dj,1.dk,2.dl,1.dm,1.dn,1.do,1.dp,1.dq,1.dr,1.ds,1.dt,1.du,13.dv,1*a,7,1*2,5,3,1,9,2.dw,1.dv,3,1*3,1.dx,2.dv,g,o,1,4,6.dy,j.dz,1.e0,1.e1,1.e2,1,6.e3,1.e4,1.e5,1.e6,1.e7,1.e8,1.e9,2.ea,1.eb,1.ec,1.ed,1.ee,8.ef,1.eg,1.eh,1.ei,1*4,1.ej,1.ek,16.el,1.em,1.en,1.eo,1.ep,2.eq,1.er,1.es,1.et,2.eu,4.ev,1.ew,1,2,1.ex,1.ey,1.ez,1.f0,1.f1,1.f2,1.f3,1.f4,1.f5,1.f6,1.f7,1.f8,1.f9,1.fa,1.fb,1.fc,1.ew,3.fd,4.fe,2.ff,2.fg,2.fh,2.fi,1.fj,1.fk,1,2.fl,1.fm,1.fn,2.fo,1,1.fp,2.fq,2.fr,1.fs,1.ft,1.fu,1.fv,1,1.fw,2,1.fx,3.fy,1.fz,2.g0,2.g1,1.g2,1.g3,1.g4,1.g5,1.g6,1.g7,9.ew,2.g8,1.g9,1.g8,1.ga,1.g8,1,g,b,1j,1'],
+    NM: ['Algodones|Belen|Bernalillo|Bluewater|Bosque|Casa Blanca|Cedar Crest|Cedarvale|Cerrillos|Claunch|Coyote|Cuba|Cubero|Edgewood|Estancia|Gallina|Counselor|Grants|Milan|Isleta|Jarales|Jemez Pueblo|Jemez Springs|Laguna|La Jara|La Joya|Lindrith|Los Lunas|Mcintosh|Pueblo Of Acoma|Moriarty|Mountainair|Nageezi|New Laguna|Paguate|Pena Blanca|Peralta|Placitas|Ponderosa|Prewitt|Regina|Sandia Park|Corrales|San Fidel|San Rafael|Santo Domingo Pueblo|San Ysidro|Stanley|Tijeras|Tome|Torreon|Veguita|Willard|Youngsville|Bosque Farms|Clines Corners|Cochiti Pueblo|Cochiti Lake|Albuquerque|Kirtland Afb|Rio Rancho|Gallup|Brimhall|Church Rock|Continental Divide|Crownpoint|Fence Lake|Fort Wingate|Gamerco|Mentmore|Mexican Springs|Ramah|Rehoboth|Thoreau|Tohatchi|Vanderwagen|Zuni|Navajo|Jamestown|Pinehill|Sheep Springs|Smith Lake|Yatahey|Farmington|Aztec|Blanco|Bloomfield|Flora Vista|Fruitland|Kirtland|La Plata|Navajo Dam|Shiprock|Waterflow|Newcomb|Sanostee|Santa Fe|Abiquiu|Alcalde|Amalia|Arroyo Hondo|Arroyo Seco|Canjilon|Canones|Carson|Cebolla|Cerro|Chama|Chamisal|Chimayo|Cordova|Costilla|Taos Ski Valley|Dixon|Dulce|El Prado|El Rito|Embudo|Espanola|Glorieta|Hernandez|Ilfeld|La Madera|Lamy|Llano|Los Alamos|White Rock|Medanales|Ojo Caliente|Los Ojos|Pecos|Penasco|Petaca|Questa|Ranchos De Taos|Red River|Ribera|Rowe|San Cristobal|San Jose|Ohkay Owingeh|Santa Cruz|Serafina|Taos|Tererro|Tesuque|Tierra Amarilla|Trampas|Tres Piedras|Truchas|Vadito|Valdez|Vallecitos|Velarde|Villanueva|Spaceport City|Las Vegas|Angel Fire|Anton Chico|Buena Vista|Chacon|Cimarron|Cleveland|Eagle Nest|Guadalupita|Holman|La Loma|Maxwell|Miami|Mills|Montezuma|Mora|Mosquero|Ocate|Ojo Feliz|Rainsville|Raton|Rociada|Roy|Sapello|Solano|Springer|Ute Park|Valmora|Wagon Mound|Watrous|Socorro|Aragon|Datil|Lemitar|Luna|Magdalena|Pie Town|Polvadera|Quemado|Reserve|San Acacia|San Antonio|Truth Or Consequences|Arrey|Caballo|Derry|Elephant Butte|Garfield|Hatch|Monticello|Rincon|Salem|Williamsburg|Winston|Las Cruces|White Sands Missile Range|Santa Teresa|Playas|Animas|Anthony|Arenas Valley|Bayard|Berino|Buckhorn|Santa Clara|Chamberino|Cliff|Columbus|Deming|Dona Ana|Fairacres|Faywood|Fort Bayard|Gila|Glenwood|Hachita|Hanover|Hillsboro|Hurley|La Mesa|Lordsburg|Mesilla|Mesilla Park|Mesquite|Mimbres|Mule Creek|Organ|Pinos Altos|Radium Springs|Redrock|Rodeo|San Miguel|Silver City|Sunland Park|Tyrone|Vado|Chaparral|Clovis|Cannon Afb|Broadview|Causey|Crossroads|Dora|Elida|Floyd|Fort Sumner|Grady|House|Kenna|Lingo|Melrose|Milnesand|Pep|Portales|Rogers|Saint Vrain|Taiban|Texico|Yeso|Roswell|Artesia|Caprock|Carlsbad|Dexter|Eunice|Hagerman|Hobbs|Hope|Jal|Lake Arthur|Lakewood|Loco Hills|Loving|Lovington|Mcdonald|Malaga|Maljamar|Monument|Tatum|Whites City|Carrizozo|Alamogordo|Alto|Bent|Capitan|Cloudcroft|Corona|Encino|Fort Stanton|Glencoe|High Rolls Mountain Park|Holloman Air Force Base|Hondo|La Luz|Lincoln|Mayhill|Mescalero|Nogal|Orogrande|Picacho|Pinon|Ruidoso|Ruidoso Downs|Sacramento|San Patricio|Sunspot|Timberon|Tinnie|Tularosa|Vaughn|Weed|Tucumcari|Amistad|Bard|Capulin|Clayton|Conchas Dam|Cuervo|Des Moines|Folsom|Garita|Gladstone|Grenville|Logan|Mcalister|Nara Visa|Newkirk|Quay|San Jon|Santa Rosa|Sedan|Trementina',
+         '1v4p.0,1.1,2.2,1.3,1.4,1.5,1.6,1.7,1.8,1.9,1.a,1.b,1.c,1.d,1.e,1.f,1.g,2.h,1.i,1.j,1.k,1.l,1.m,1.n,1.o,1.p,1.q,2.r,1.s,2.t,1.u,1.v,1.w,1.x,2.y,1.z,1.10,1.11,1.12,1.13,1.14,1.15,1.16,1.17,2.18,1.19,1.1a,3.1b,3.1c,1.1d,1.1e,1.1f,1.1g,1.1h,4.1i,2.1j,2.1k,b.1l,i.1m,1*f,1.1n,2.1m,1*4,1.1o,1.1m,6,d.1o,7.1m,2,1,4,7,9.1o,2.1m,5,3,1,2,3,1*9,2u.1p,1,3,5.1q,1.1r,1.1s,1.1t,2.1u,1.1v,1.1w,2.1x,1.1y,1.1z,1.20,1.21,2.22,1.23,1.24,1.25,j.26,a.27,7.28,1.29,a.2a,q.2b,1,8.2c,2.2d,1.2e,2.2f,1.2g,1.2h,1.2i,1.2j,1.2k,1.2l,y.2m,6.2n,12.2b,2.2o,1*8,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,1.2v,1.2w,1.2x,1.2y,1.2z,1.30,1.31,1.32,1.33,1.34,2.35,1.36,1.37,1.38,1.39,1.3a,1,2.3b,2.3c,1.3d,1.3e,1.3f,3.3g,1.3h,1,2.3i,1.3j,1.3k,2.3l,1.3m,1.3n,1.3o,2.3p,1.3q,1.3r,2.3s,2.3t,2.3u,1.3v,1.3w,1.3x,2.3y,2.3z,2.40,1.41,1.42,1.43,1.44,1.45,1.46,1.47,1.48,1.49,1.4a,9.2o,2,1o.4b,1b.4c,9.4d,1.4e,1.4f,1.4g,1.4h,1.4i,3.4j,4.4k,1.4l,1.4m,4.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,4.4w,2.4x,1.4y,2.4z,1.50,1.51,2.52,1.53,2.54,1.55,1c.56,j.57,1.58,2.59,1.5a,1.5b,2.5c,1.5d,1.5e,1.5f,1.5g,1.5h,1x.5i,t.5j,1.5k,2.5l,2.5m,1.5n,1.5o,2.5p,1.5q,1.5r,1.5s,1.5t,1m.5u,1.5v,1.5u,1*4,1.5w,1.5x,2.5u,1*2,7.5y,1.5z,1.60,1.61,1.62,1.63,1.64,1.65,1.66,1.67,1.68,1,1.69,1.6a,1.6b,2.6c,2.6d,1.6e,1.6f,1.6g,1.6h,1.6i,1.6j,1.6k,1.6l,1.6m,1.6n,1.6o,2.6p,1.6q,1.6r,1.6s,1.6t,1.6u,2.6v,3.6w,1,1.6x,2.6y,7.6z,9.70,k.71,1,1.72,9.73,1.74,1.75,1.76,1.77,2.78,1.79,1.7a,1.7b,1.7c,1.7d,1.7e,1.7f,1.7g,4.7h,2.7i,1.7j,1.7k,1.7l,1.7m,1t.7n,1*2,7.7o,1,2.7p,7.7q,1,9.7r,1.7s,1.7t,8.7u,1*2,2,6.7v,2.7w,1.7x,1.7y,1.7z,1.80,4.81,2.82,1.83,1.84,1.85,2.86,1.87,x.88,9.89,1,1.8a,2.8b,2.8c,1.8d,1.8e,3.8f,2.8g,1.8h,1.8i,5.8j,6.8k,1.8l,1.8m,1.8n,1.8o,1.8p,1.8q,1.8r,1.8s,1.8t,1.8u,1.8v,1.8w,1.8x,1.8y,1.8z,1.90,1.91,1.92,1.8t,1a.93,9.94,1.95,3.96,1.97,1.98,1.99,1.9a,1.9b,2.9c,1.9d,2.9e,2.9f,1.9g,3.9h,1.9i,2.9j,1.9k,1.9l,1.9m,3.9n'],
+    NY: ['Holtsville|Fishers Island|New York|Contest Mail|Manhattan|Philip Morris|Marden Kane Inc|Muscular Dystrophy|Citicorp Services Inc|Staten Island|Bronx|Amawalk|Ardsley|Ardsley On Hudson|Armonk|Baldwin Place|Bedford|Bedford Hills|Brewster|Briarcliff Manor|Buchanan|Carmel|Chappaqua|Cold Spring|Crompond|Cross River|Croton Falls|Croton On Hudson|Dobbs Ferry|Elmsford|Garrison|Goldens Bridge|Granite Springs|Harrison|Hartsdale|Hawthorne|Irvington|Jefferson Valley|Katonah|Lake Peekskill|Larchmont|Lincolndale|Mahopac|Mahopac Falls|Mamaroneck|Maryknoll|Millwood|Mohegan Lake|Montrose|Mount Kisco|Mount Vernon|Bank Of New York|North Salem|Ossining|Peekskill|Cortlandt Manor|Pleasantville|Port Chester|Pound Ridge|Purchase|Purdys|Putnam Valley|Rye|Scarsdale|Shenorock|Shrub Oak|Somers|South Salem|Tarrytown|Thornwood|Valhalla|Verplanck|Waccabuc|Yorktown Heights|White Plains|West Harrison|Yonkers|Hastings On Hudson|Tuckahoe|Bronxville|Eastchester|New Rochelle|Pelham|Suffern|Arden|Bear Mountain|Bellvale|Blauvelt|Blooming Grove|Bullville|Campbell Hall|Central Valley|Chester|Circleville|Congers|Florida|Fort Montgomery|Garnerville|Goshen|Greenwood Lake|Harriman|Haverstraw|Highland Falls|Highland Mills|Hillburn|Howells|Johnson|Middletown|Monroe|Monsey|Mountainville|Nanuet|New City|New Hampton|New Milford|Nyack|Orangeburg|Otisville|Palisades|Pearl River|Piermont|Pine Island|Pomona|Slate Hill|Sloatsburg|Southfields|Sparkill|Spring Valley|Sterling Forest|Stony Point|Sugar Loaf|Tallman|Tappan|Thiells|Thompson Ridge|Tomkins Cove|Tuxedo Park|Unionville|Valley Cottage|Warwick|Washingtonville|West Haverstraw|West Nyack|West Point|Westtown|Floral Park|Elmont|Glen Oaks|Franklin Square|Great Neck|American Express|Manhasset|New Hyde Park|Independent Elect Of Amer|Eastern States Bkcard Assoc|Port Washington|Inwood|Long Island City|Astoria|Sunnyside|Brooklyn|Ny Telephone|Flushing|College Point|Whitestone|Bayside|Little Neck|Oakland Gardens|Fresh Meadows|Corona|East Elmhurst|Jackson Heights|Elmhurst|Rego Park|Forest Hills|Woodside|Maspeth|Middle Village|Ridgewood|Jamaica|Cambria Heights|Saint Albans|Springfield Gardens|Howard Beach|Kew Gardens|Ozone Park|Richmond Hill|South Richmond Hill|South Ozone Park|Woodhaven|Rosedale|Hollis|Bellerose|Queens Village|Mineola|Albertson|Atlantic Beach|Baldwin|Carle Place|Cedarhurst|East Rockaway|Freeport|Garden City|Select And Save|Glen Cove|Glen Head|Glenwood Landing|Greenvale|Hempstead|West Hempstead|Uniondale|East Meadow|Hewlett|Island Park|Lawrence|Locust Valley|Long Beach|Lynbrook|Malverne|Merrick|Old Westbury|Point Lookout|Rockville Centre|Oceanside|Roosevelt|Roslyn|Roslyn Heights|Sea Cliff|Valley Stream|Westbury|Rockville Center|Cheeselovers|Williston Park|Woodmere|Far Rockaway|Arverne|Rockaway Park|Breezy Point|Amityville|Babylon|North Babylon|West Babylon|Bayport|Bay Shore|Bayville|Bellmore|Bellport|Bethpage|Blue Point|Bohemia|Brentwood|Brightwaters|Brookhaven|Centereach|Centerport|Central Islip|Cold Spring Harbor|Commack|Copiague|Coram|Deer Park|East Islip|East Northport|East Norwich|East Setauket|Farmingdale|Farmingville|Great River|Greenlawn|Holbrook|Huntington|Huntington Station|Melville|Islandia|Abmps|Islip|Islip Terrace|Jericho|Kings Park|Lake Grove|Levittown|Lindenhurst|Massapequa|Massapequa Park|Medford|Miller Place|Mill Neck|Mount Sinai|Nesconset|Northport|Oakdale|Ocean Beach|Oyster Bay|Patchogue|Syosset|Port Jefferson Station|Port Jefferson|Rocky Point|Ronkonkoma|Saint James|Sayville|Seaford|Selden|Shoreham|Smithtown|Hauppauge|Sound Beach|Stony Brook|Wading River|Wantagh|West Islip|West Sayville|Woodbury|Wyandanch|Hicksville|Plainview|Old Bethpage|Riverhead|Amagansett|Aquebogue|Bridgehampton|Calverton|Center Moriches|Cutchogue|East Hampton|East Marion|East Moriches|Eastport|East Quogue|Greenport|Hampton Bays|Jamesport|Laurel|Manorville|Mastic|Mastic Beach|Mattituck|Middle Island|Montauk|Moriches|New Suffolk|Orient|Peconic|Quogue|Remsenburg|Ridge|Sagaponack|Sag Harbor|Shelter Island|Shelter Island Heights|Shirley|Southampton|South Jamesport|Southold|Speonk|Upton|Wainscott|Water Mill|Westhampton|Westhampton Beach|Yaphank|Alcove|Alplaus|Altamont|Amsterdam|Athens|Auriesville|Austerlitz|Averill Park|Ballston Lake|Ballston Spa|Berlin|Berne|Brainard|Broadalbin|Burnt Hills|Buskirk|Canaan|Carlisle|Caroga Lake|Castleton On Hudson|Central Bridge|Charlotteville|Chatham|Cherry Plain|Clarksville|Climax|Cobleskill|Coeymans|Coeymans Hollow|Cohoes|Columbiaville|Coxsackie|Cropseyville|Delanson|Delmar|Dormansville|Duanesburg|Eagle Bridge|Earlton|East Berne|East Chatham|East Greenbush|East Nassau|East Schodack|East Worcester|Clifton Park|Esperance|Feura Bush|Fonda|Fort Hunter|Fort Johnson|Fultonham|Fultonville|Gallupville|Galway|Ghent|Gilboa|Glenmont|Gloversville|Grafton|Greenville|Guilderland|Guilderland Center|Hagaman|Hannacroix|Hoosick|Hoosick Falls|Howes Cave|Jefferson|Johnsonville|Johnstown|Kinderhook|Knox|Lake Pleasant|Latham|Malden Bridge|Maryland|Mayfield|Mechanicville|Medusa|Melrose|Middleburgh|Nassau|New Baltimore|New Lebanon|Newtonville|Niverville|North Blenheim|North Chatham|North Hoosick|Northville|Old Chatham|Pattersonville|Petersburg|Piseco|Poestenkill|Quaker Street|Ravena|Rensselaer|Rensselaerville|Rexford|Richmondville|Rotterdam Junction|Round Lake|Sand Lake|Schaghticoke|Schenevus|Schodack Landing|Schoharie|Selkirk|Slingerlands|Sloansville|South Bethlehem|Speculator|Spencertown|Sprakers|Stamford|Stephentown|Stillwater|Stottville|Stuyvesant|Stuyvesant Falls|Summit|Surprise|Tribes Hill|Troy|Valatie|Valley Falls|Voorheesville|Warnerville|Waterford|Watervliet|Wells|West Coxsackie|Westerlo|West Fulton|West Lebanon|West Sand Lake|Worcester|Wynantskill|Albany|Schenectady|Kingston|Accord|Acra|Arkville|Ashland|Bearsville|Big Indian|Bloomington|Boiceville|Cairo|Catskill|Chichester|Connelly|Cornwallville|Cottekill|Cragsmoor|Denver|Durham|East Durham|East Jewett|Elka Park|Ellenville|Esopus|Fleischmanns|Freehold|Glasco|Glenford|Grand Gorge|Greenfield Park|Haines Falls|Halcottsville|Hensonville|High Falls|Highmount|Hunter|Hurley|Jewett|Kerhonkson|Lake Hill|Lake Katrine|Lanesville|Leeds|Lexington|Malden On Hudson|Maplecrest|Margaretville|Mount Marion|Mount Tremper|Napanoch|New Kingston|Oak Hill|Olivebridge|Palenville|Phoenicia|Pine Hill|Port Ewen|Prattsville|Preston Hollow|Purling|Rifton|Rosendale|Round Top|Roxbury|Ruby|Saugerties|Shandaken|Shokan|South Cairo|Spring Glen|Stone Ridge|Tannersville|Tillson|Ulster Park|Wawarsing|West Camp|West Hurley|West Kill|West Park|West Shokan|Willow|Windham|Woodstock|Amenia|Ancram|Ancramdale|Annandale On Hudson|Bangall|Barrytown|Beacon|Billings|Castle Point|Chelsea|Claverack|Clinton Corners|Clintondale|Copake|Copake Falls|Cornwall|Cornwall On Hudson|Craryville|Dover Plains|Elizaville|Fishkill|Gardiner|Germantown|Glenham|Highland|Hillsdale|Hollowville|Holmes|Hopewell Junction|Hudson|Hughsonville|Hyde Park|Lagrangeville|Livingston|Marlboro|Maybrook|Mellenville|Millbrook|Millerton|Milton|Modena|Montgomery|Newburgh|New Windsor|New Paltz|Patterson|Pawling|Philmont|Pine Bush|Pine Plains|Plattekill|Pleasant Valley|Poughquag|Red Hook|Rhinebeck|Rhinecliff|Rock Tavern|Salisbury Mills|Salt Point|Staatsburg|Stanfordville|Stormville|Tivoli|Vails Gate|Verbank|Walden|Walker Valley|Wallkill|Wappingers Falls|Wassaic|Wingdale|Poughkeepsie|Monticello|Barryville|Bethel|Bloomingburg|Burlingham|Callicoon|Callicoon Center|Claryville|Cochecton|Cochecton Center|Cuddebackville|Eldred|Fallsburg|Ferndale|Fremont Center|Glen Spey|Glen Wild|Grahamsville|Hankins|Harris|Highland Lake|Hortonville|Huguenot|Hurleyville|Jeffersonville|Kauneonga Lake|Kenoza Lake|Kiamesha Lake|Lake Huntington|Liberty|Livingston Manor|Loch Sheldrake|Long Eddy|Mongaup Valley|Mountain Dale|Narrowsburg|Neversink|North Branch|Obernburg|Parksville|Phillipsport|Pond Eddy|Port Jervis|Rock Hill|Roscoe|Forestburgh|Smallwood|South Fallsburg|Sparrow Bush|Summitville|Swan Lake|Thompsonville|Westbrookville|White Lake|White Sulphur Springs|Woodbourne|Woodridge|Wurtsboro|Youngsville|Yulan|Glens Falls|South Glens Falls|Queensbury|Adirondack|Argyle|Athol|Bakers Mills|Blue Mountain Lake|Bolton Landing|Brant Lake|Cambridge|Chestertown|Clemons|Cleverdale|Comstock|Corinth|Cossayuna|Diamond Point|Fort Ann|Fort Edward|Gansevoort|Granville|Greenfield Center|Greenwich|Hadley|Hague|Hampton|Hartford|Hudson Falls|Huletts Landing|Indian Lake|Johnsburg|Kattskill Bay|Lake George|Lake Luzerne|Long Lake|Middle Falls|Middle Granville|Middle Grove|Minerva|Newcomb|North Creek|North Granville|North Hudson|North River|Olmstedville|Paradox|Porter Corners|Pottersville|Putnam Station|Riparius|Rock City Falls|Sabael|Salem|Saratoga Springs|Schroon Lake|Schuylerville|Severance|Shushan|Silver Bay|Stony Creek|Ticonderoga|Victory Mills|Warrensburg|Wevertown|Whitehall|Plattsburgh|Altona|Keeseville|Au Sable Forks|Bloomingdale|Bombay|Brainardsville|Brushton|Burke|Cadyville|Champlain|Chateaugay|Chazy|Childwold|Churubusco|Constable|Cranberry Lake|Crown Point|Dannemora|Dickinson Center|Elizabethtown|Ellenburg|Ellenburg Center|Ellenburg Depot|Essex|Fort Covington|Gabriels|Jay|Keene|Keene Valley|Lake Clear|Lake Placid|Lawrenceville|Lewis|Lyon Mountain|Malone|Mineville|Moira|Mooers|Mooers Forks|Moriah|Moriah Center|Morrisonville|New Russia|Nicholville|North Bangor|North Lawrence|Owls Head|Paul Smiths|Peru|Piercefield|Port Henry|Port Kent|Rainbow Lake|Ray Brook|Redford|Rouses Point|Saint Regis Falls|Saranac|Saranac Lake|Schuyler Falls|Tupper Lake|Upper Jay|Vermontville|West Chazy|Westport|Whippleville|Willsboro|Wilmington|Witherbee|Apulia Station|Auburn|Aurora|Baldwinsville|Bernhards Bay|Brewerton|Bridgeport|Camillus|Canastota|Cato|Cayuga|Cazenovia|Central Square|Chittenango|Cicero|Cincinnatus|Clay|Cleveland|Clockville|Constantia|Cortland|Delphi Falls|De Ruyter|Dryden|Durhamville|East Homer|East Syracuse|Elbridge|Erieville|Etna|Fabius|Fair Haven|Fayette|Fayetteville|Freeville|Fulton|Genoa|Georgetown|Groton|Hannibal|Hastings|Homer|Jamesville|Jordan|King Ferry|Kirkville|Lacona|La Fayette|Little York|Liverpool|Locke|Lycoming|Mc Graw|Mc Lean|Mallory|Manlius|Maple View|Marcellus|Marietta|Martville|Memphis|Meridian|Mexico|Minetto|Minoa|Montezuma|Moravia|Mottville|Nedrow|New Haven|New Woodstock|North Bay|North Pitcher|Oswego|Parish|Pennellville|Peterboro|Phoenix|Pitcher|Plainville|Pompey|Poplar Ridge|Port Byron|Preble|Pulaski|Red Creek|Richland|Sandy Creek|Savannah|Scipio Center|Seneca Falls|Skaneateles|Skaneateles Falls|South Butler|South Otselic|Sterling|Sylvan Beach|Truxton|Tully|Union Springs|Verona Beach|Wampsville|Warners|Waterloo|Weedsport|West Monroe|Syracuse|Alder Creek|Altmar|Ava|Barneveld|Beaver Falls|Blossvale|Boonville|Bouckville|Brantingham|Bridgewater|Brookfield|Burlington Flats|Camden|Canajoharie|Cassville|Chadwicks|Cherry Valley|Clark Mills|Clayville|Clinton|Cold Brook|Constableville|Cooperstown|Croghan|Deansboro|Dolgeville|Eagle Bay|Earlville|East Springfield|Eaton|Edmeston|Fly Creek|Forestport|Fort Plain|Frankfort|Franklin Springs|Garrattsville|Glenfield|Greig|Hamilton|Hartwick|Herkimer|Hinckley|Hoffmeister|Holland Patent|Hubbardsville|Ilion|Inlet|Jordanville|Knoxboro|Lee Center|Leonardsville|Little Falls|Lowville|Lyons Falls|Mc Connellsville|Madison|Marcy|Martinsburg|Middleville|Mohawk|Morrisville|Munnsville|Nelliston|New Berlin|New Hartford|New Lisbon|Newport|New York Mills|North Brookfield|Old Forge|Oneida|Oriskany|Oriskany Falls|Orwell|Palatine Bridge|Poland|Port Leyden|Prospect|Raquette Lake|Redfield|Remsen|Richfield Springs|Rome|Roseboom|Saint Johnsville|Salisbury Center|Sangerfield|Sauquoit|Schuyler Lake|Sharon Springs|Sherburne|Sherrill|Smyrna|Solsville|Springfield Center|Stittville|Stratford|Taberg|Thendara|Turin|Van Hornesville|Vernon|Vernon Center|Verona|Washington Mills|Waterville|West Burlington|Westdale|West Eaton|West Edmeston|Westernville|Westford|West Leyden|Westmoreland|West Winfield|Whitesboro|Williamstown|Woodgate|Yorkville|Utica|Watertown|Fort Drum|Adams|Adams Center|Alexandria Bay|Antwerp|Belleville|Black River|Brasher Falls|Brier Hill|Brownville|Calcium|Canton|Cape Vincent|Carthage|Castorland|Chase Mills|Chaumont|Chippewa Bay|Clayton|Colton|Copenhagen|Deer River|Deferiet|De Kalb Junction|Denmark|Depauville|De Peyster|Dexter|Edwards|Ellisburg|Evans Mills|Felts Mills|Fine|Wellesley Island|Fishers Landing|Gouverneur|Great Bend|Hailesboro|Hammond|Hannawa Falls|Harrisville|Helena|Henderson|Henderson Harbor|Hermon|Heuvelton|Hogansburg|La Fargeville|Limerick|Lisbon|Lorraine|Madrid|Mannsville|Massena|Morristown|Natural Bridge|Newton Falls|Norfolk|Norwood|Ogdensburg|Oswegatchie|Oxbow|Parishville|Philadelphia|Pierrepont Manor|Plessis|Potsdam|Pyrites|Raymondville|Redwood|Rensselaer Falls|Richville|Rodman|Rooseveltown|Russell|Sackets Harbor|South Colton|Star Lake|Theresa|Thousand Island Park|Three Mile Bay|Waddington|Wanakena|West Stockholm|Winthrop|Afton|Andes|Apalachin|Bainbridge|Barton|Berkshire|Bible School Park|Blodgett Mills|Bloomville|Bovina Center|Candor|Castle Creek|Chenango Bridge|Chenango Forks|Colliersville|Conklin|Corbettsville|Davenport|Davenport Center|Delancey|Delhi|Deposit|Downsville|East Branch|East Meredith|East Pharsalia|Endicott|Endwell|Fishs Eddy|Franklin|Gilbertsville|Glen Aubrey|Greene|Guilford|Hamden|Hancock|Harford|Harpersfield|Harpursville|Hobart|Johnson City|Killawog|Kirkwood|Laurens|Lisle|Mc Donough|Maine|Marathon|Masonville|Meridale|Milford|Morris|Mount Upton|Mount Vision|Newark Valley|Nichols|Nineveh|North Norwich|Norwich|Oneonta|Otego|Ouaquaga|Owego|Oxford|Plymouth|Port Crane|Portlandville|Richford|Shinhopple|Sidney|Sidney Center|Smithboro|Smithville Flats|South Kortright|South New Berlin|South Plymouth|Tioga Center|Treadwell|Trout Creek|Tunnel|Unadilla|Vestal|Walton|Wells Bridge|West Davenport|West Oneonta|Whitney Point|Willet|Willseyville|Windsor|Binghamton|Akron|Alden|Alexander|Angola|Appleton|Arcade|Athol Springs|Attica|Barker|Basom|Batavia|Bliss|Boston|Bowmansville|Brant|Burt|Centerville|Chaffee|Clarence|Clarence Center|Colden|Collins|Collins Center|Corfu|Cowlesville|Crittenden|Dale|Darien Center|Dayton|Delevan|Depew|Derby|Dunkirk|East Amherst|East Aurora|East Bethany|East Concord|East Pembroke|Eden|Elba|Elma|Farmersville Station|Farnham|Forestville|Fredonia|Freedom|Gainesville|Gasport|Getzville|Glenwood|Gowanda|Grand Island|Hamburg|Holland|Irving|Java Center|Java Village|Lake View|Lancaster|Lawtons|Lewiston|Lockport|Lyndonville|Machias|Marilla|Medina|Middleport|Model City|Newfane|Niagara University|North Boston|North Collins|North Evans|North Java|North Tonawanda|Oakfield|Olcott|Orchard Park|Perrysburg|Pike|Ransomville|Sanborn|Sandusky|Sardinia|Sheridan|Silver Creek|South Dayton|South Wales|Spring Brook|Springville|Stafford|Stella Niagara|Strykersville|Tonawanda|Van Buren Point|Varysburg|Versailles|Wales Center|West Falls|West Valley|Wilson|Yorkshire|Youngstown|Buffalo|Niagara Falls|Adams Basin|Albion|Alton|Avon|Bellona|Bergen|Branchport|Brockport|Byron|Caledonia|Canandaigua|Farmington|Castile|Churchville|Clarendon|Clarkson|Clifton Springs|Clyde|Conesus|Dansville|Dresden|East Bloomfield|East Rochester|East Williamson|Fairport|Fancher|Fishers|Geneseo|Geneva|Gorham|Groveland|Hall|Hamlin|Hemlock|Henrietta|Hilton|Bloomfield|Holley|Honeoye|Honeoye Falls|Ionia|Kendall|Kent|Keuka Park|Knowlesville|Lakeville|Leicester|Le Roy|Lima|Linwood|Livonia|Livonia Center|Lyons|Macedon|Manchester|Marion|Mendon|Middlesex|Morton|Mount Morris|Mumford|Naples|Newark|North Chili|North Greece|North Rose|Nunda|Oaks Corners|Ontario|Ontario Center|Ovid|Palmyra|Pavilion|Penfield|Penn Yan|Perkinsville|Perry|Phelps|Piffard|Pittsford|Portageville|Port Gibson|Pultneyville|Retsof|Romulus|Rose|Rush|Rushville|Scottsburg|Scottsville|Seneca Castle|Shortsville|Silver Lake|Silver Springs|Sodus|Sodus Point|Sonyea|South Byron|South Lima|Spencerport|Springwater|Stanley|Union Hill|Victor|Walworth|Warsaw|Waterport|Wayland|Webster|West Bloomfield|West Henrietta|Willard|Williamson|Wolcott|Wyoming|York|Rochester|Jamestown|Allegany|Allentown|Alma|Angelica|Ashville|Belfast|Bemus Point|Black Creek|Bolivar|Brocton|Caneadea|Cassadaga|Cattaraugus|Celoron|Ceres|Chautauqua|Cherry Creek|Clymer|Conewango Valley|Cuba|Dewittville|East Otto|East Randolph|Ellicottville|Ellington|Falconer|Fillmore|Findley Lake|Franklinville|Frewsburg|Friendship|Gerry|Great Valley|Greenhurst|Hinsdale|Houghton|Hume|Kennedy|Kill Buck|Lakewood|Leon|Lily Dale|Limestone|Little Genesee|Little Valley|Maple Springs|Mayville|Niobe|Olean|Otto|Panama|Portland|Portville|Randolph|Richburg|Ripley|Rushford|Saint Bonaventure|Salamanca|Sherman|Sinclairville|Steamburg|Stockton|Stow|West Clarksville|Westfield|Westons Mills|Addison|Alfred|Alfred Station|Almond|Alpine|Andover|Arkport|Atlanta|Avoca|Bath|Beaver Dams|Belmont|Big Flats|Bradford|Breesport|Brooktondale|Burdett|Cameron|Cameron Mills|Campbell|Canaseraga|Canisteo|Cayuta|Chemung|Cohocton|Coopers Plains|Corning|Dalton|Dundee|Erin|Greenwood|Hammondsport|Hector|Himrod|Hornell|Horseheads|Hunt|Interlaken|Ithaca|Jacksonville|Jasper|Kanona|Lakemont|Lindley|Lockwood|Lodi|Lowman|Mecklenburg|Millport|Montour Falls|Newfield|Odessa|Painted Post|Pine City|Pine Valley|Prattsburgh|Pulteney|Reading Center|Rexville|Rock Stream|Savona|Scio|Slaterville Springs|Lansing|Spencer|Swain|Troupsburg|Trumansburg|Tyrone|Van Etten|Watkins Glen|Waverly|Wayne|Wellsburg|Wellsville|Whitesville|Woodhull|Elmira',
+         'dx.0,17,4ie.1,2sb.2,1*14,2,1*2,1.3,1.2,1.4,7.2,5*2,4,3.5,3.2,4,1*3,5,3,4.6,1.2,1,2,1,2,1*p,2,1*5,5,b.7,1.2,1*t,5,1,b,1.8,2.2,1,3,8,1*2,t,7*2,1*5,4,3,1*e,3,1,6,9.9,1*d,3t.a,1*o,o,2.b,1.c,1.d,1.e,1.f,1.g,1.h,2.i,1.j,1.k,1.l,2.m,2.n,1.o,1.p,1.q,1.r,1,1.s,1.t,1.u,2.v,1.w,1.x,2.y,2.z,1.10,2.11,1.12,1.13,1.14,2.15,1.16,1.17,1.18,2.19,1.1a,1.1b,1.1c,1.1d,1.1e,1*3,4,1.1f,2.1g,2.1h,4.1i,1.1j,3.1k,1*2,1.1l,3.1m,1.1n,1.1o,1.1p,1.1q,3.1r,4.1s,1.1t,1.1u,1.1v,1.1w,3.1x,1.1y,1.1z,1.20,1.21,3.22,1*2,1.23,1.22,1*2,3,2j.24,1*4,1.25,1.26,1.27,1.28,1.24,2j.29,1,1.2a,1.29,1,2o.2b,9.2c,1.2d,1.2e,1.2f,1.2g,1.2h,1.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,2.2v,1.2w,1.2x,1.2y,7.2z,1,2,6.30,1,2.31,1.32,1.33,2.34,2.35,1.36,1.37,2.38,1.39,1.3a,1.3b,3.3c,1.3d,1.3e,3.3f,1.3g,1.3h,1.3i,1.3j,2.3k,1.3l,1.3m,1.3n,1.3o,1.3p,1.3q,1.3r,1.3s,1.3t,1.3u,1.3v,2.3w,1.3x,1.3y,2.3z,1,1.40,3.41,1,1.42,1.43,1.41,5.44,a.45,1*4,1.46,1.45,1,3.47,a.48,1*2,1.49,1.4a,6.4b,1*5,15.4c,3.4a,2.4d,1.4e,1,1.4f,1.4e,1,3.4d,b,29.4g,1*p,2,1*h,2,1*2,2,1,2,1.4h,1.4g,2n.4i,1,2,1,1.4j,1.4k,1.4i,1.4l,1*2,1.4m,1,1.4n,1.4o,1,1.4i,1.4p,1.4q,1,1.4i,1.4r,1.4s,1.4t,1.4u,2.4v,1.4w,1.4x,1.4s,1.4i,4.4y,1,4.4i,f.4z,6.50,1.51,1.52,1.53,1.54,1.55,1,1.56,1.57,1.58,1.59,1.5a,1.5b,1.4z,1,1.5c,1.5d,1*2,1.4z,1*6,3,c,1c,2.5e,6.5f,2.5g,1.5h,4.5i,2.5j,2.5k,2.5l,a.5m,1,4,1.5n,6.5o,3.5p,2.5q,1.5r,1.5s,1*2,1.5t,1.5u,1.5v,1.5u,1,1.5w,1.5x,1.5y,1.5z,1.60,2.61,2.62,1.63,2.64,1.65,1.66,1,1.67,3.68,1.69,1.6a,2.6b,1.6c,1*2,8.6d,2.6e,3.6f,1.6g,2.6h,1.5m,2j.6i,1,1.6j,1.6i,1.6k,1.6i,2.6l,4.6m,1.6n,1.6o,1.6p,1.6q,1.6r,1.6p,1.6m,1.6s,1.6t,3.6u,1.6v,1.6w,1.6x,1.6y,1.6z,1.70,1.71,1.72,1.73,2.74,1.75,1.76,1.77,2.78,1.79,1.7a,1.7b,1.7c,2.7d,1*2,1.7e,1.7f,1.7g,1.7h,1.0,1.7i,3.7j,1.7k,2.7l,1.7m,1.7n,1.7o,1.7p,1.7q,1.7r,1.7s,1.7t,1.7u,2.7l,2.7v,1.7w,1.7x,1.7y,1.7z,1.80,1.81,1.82,1.83,1.84,1.85,1.86,1.7d,1.7k,1.87,1.88,1.89,1.8a,1.8b,2.8c,1.8d,1.8e,2.8f,1.8g,1.8h,1.8i,1.8j,1.86,1.8k,1.8l,1.8j,1.8m,1.8n,1.8o,1.8p,3.8q,1,1.8r,1.8s,b.8q,4,y.7p,1.8q,1,1a.8t,t.8u,1.8v,1.8w,1.8x,1.8y,1.8z,2.90,2.91,1.92,1.93,1.94,2.95,2.96,1.97,1.98,1.99,1.9a,1.9b,1.9c,1.9d,1.9e,1.9f,1.9g,1.9h,1.9i,1.9j,1.9k,1.9l,1.9m,1.9n,1.9o,1.9p,2.9q,1.9r,1,1.9s,1.9t,1.9u,1.9v,2.9w,1.9x,1.9y,1.9z,2.a0,r.a1,1.a2,1.a3,1.a4,5.a5,1.a6,1.a7,1.a8,1.a9,1.aa,2.ab,1.ac,1.ad,1.ae,2.af,1.ag,1.ah,2.ai,1.aj,1.ak,2.al,1.am,1.an,3.ao,1.ap,1.aq,1.ar,2.as,1.at,1.au,3.av,1.aw,1.ax,1.ay,1.az,1.b0,1.b1,1.b2,1.b3,1.b4,1.b5,1.b6,1.b7,1.b8,1.b9,1.ba,1.bb,1.bc,1.bd,1.be,1.bf,1.bg,1.bh,1.bi,1.bj,1.bk,1.bl,1.bm,1.bn,4.bo,1.bp,1.bq,1.br,1.bs,1.bt,2.bu,1.bv,2.bw,1.bx,1.by,1.bz,b.c0,1.c1,1.c2,2.c3,5.c4,1.c5,1.c6,1.c7,2.c8,1.c9,1.ca,1.cb,1.cc,1.cd,3.ce,2.cf,1.cg,1.ch,1.ci,1.cj,2.ck,1.cl,1.cm,1.cn,1.co,1.cp,2.cq,1.cr,3.cs,1.ct,1.cu,1.cv,1.cw,2.cx,1.cy,1.cz,1.d0,1.d1,1.d2,1.d3,1.d4,1.d5,3.d6,1.d7,1.d8,1.d9,1.da,1,1.db,2.dc,1.dd,1.de,1.df,1.dg,1.dh,3.di,1*3,1.dj,1.dk,1.dl,1.dm,1.dn,1.do,1.dp,2.dq,1.dr,1.ds,1.dt,1.du,1.dv,1.dw,3.dx,1*b,2,6,2,1*s,2,3,1*2,3,1,r,d.dy,1*8,g,k,1k.dz,1,2.e0,1.e1,1.e2,1.e3,2.e4,1.e5,1.e6,1.e7,1.e8,1.e9,2.ea,1.eb,1.ec,1.ed,1.ee,1.ef,1.eg,1.eh,1.ei,3.ej,1.ek,1.el,1.em,1.en,1.eo,1.ep,1.eq,1.er,1.es,2.et,1.eu,1.ev,1.ew,1.ex,1.ey,1.ez,2.f0,2.f1,1.f2,1.f3,1.f4,1.f5,1.f6,1.f7,1.f8,1.f9,1.fa,1.fb,1.fc,1.fd,1.fe,2.ff,1.fg,1.fh,1.fi,2.fj,1.fk,1.fl,1.fm,1.fn,1.fo,1.fp,1.fq,2.fr,3.fs,1.ft,1.fu,1.fv,1.fw,1.fx,1.fy,1.fz,2.g0,1.g1,1.g2,1.g3,1.g4,1.g5,1.g6,1.g7,2.g8,3.g9,1.ga,1.gb,1.gc,2.gd,1.ge,1.gf,2.gg,1.gh,1.gi,1.gj,1.gk,1.gl,1.gm,1.gn,1.go,2.gp,1.gq,1.gr,1.gs,1.gt,1.gu,1.gv,1.gw,1.gx,1.gy,1.gz,1.h0,2.h1,1.h2,3.h3,1.h4,2.h5,1.h6,1.h7,1.h8,1.h9,1.ha,1.hb,1.hc,1.hd,1.he,1.hf,1*2,1.hg,2.hf,6.hh,2.hi,1.hj,1.hk,1.hl,1.hm,1.hn,1.ho,1.hp,1.hq,1.hr,2.hs,1.ht,2.hu,1.hv,2.hw,1.hx,1.hy,1.hz,1.i0,1.i1,1.i2,2.i3,1.i4,1.i5,2.i6,1.gm,1.i7,7.i8,1*3,2p.i9,i.ia,1.ib,1.ic,1.id,1.ie,1.if,1.ig,1.ih,1.ii,2.ij,3.ik,1.il,1.im,2.in,1.io,1.ip,2.iq,1.ir,1.is,1.it,2.iu,1.iv,1.iw,1.ix,1.iy,1.iz,1.j0,1.j1,2.j2,4.j3,1.j4,1.j5,2.j6,1.j7,1.j8,1.j9,1.ja,1.jb,1.jc,1.jd,1.je,1.jf,4.jg,1.jh,1.ji,1.jj,1.jk,1.jl,1.jm,2.jn,1.jo,1.jp,1.jq,1.jr,1.js,1.jt,1.ju,1.jv,1.jw,9.jx,2.jy,1.jz,4.k0,1.k1,1.k2,1.k3,1.k4,2.k5,1.k6,1.k7,1.k8,2.k9,1.ka,1.kb,1.kc,1.kd,1.ke,3.kf,1.kg,3.kh,1.ki,1.kj,1.kk,1.kl,1.km,1.kn,1.ko,1.kp,2.kq,1.kr,1.ks,1.kt,1.ku,1.kv,1.kw,1.kx,1.ky,1.kz,1.l0,1.l1,1.l2,1.l3,1.l4,1.l5,1.l6,1.l7,1.l8,1.l9,1.la,1.lb,1.lc,1.ld,1.le,1.lf,4.lg,1.lh,1.li,1.lj,1.lk,4.ll,1.l1,4.lm,1.ln,1.lo,1.lp,1.lq,e.lr,2,7.ls,1.lt,1.lu,1.lv,1.lw,1.lx,1.ly,1.lz,1.m0,1.m1,1.m2,1.m3,1.m4,1.m5,1.lt,2.m6,1.m7,1.m8,1.m9,1.ma,2.mb,1.mc,1.md,1.me,1.mf,1.mg,2.mh,2.mi,1.mj,1.mk,1.lt,1.ml,1.mm,3.mn,1.mo,2.mp,1.mq,2.mp,1.mr,1.ms,1.mt,1.mu,1.mv,1.mw,1.mx,2.my,1.mz,1.n0,1.n1,2.n2,1.n3,2.n4,1.n5,1.n6,1.n7,1.n8,1.n9,1.na,1.nb,1.nc,1.nd,2.ne,2.nf,1.ng,1.nh,2.ni,3.nj,1.nk,2.nl,1.nm,1.nn,1.no,m.np,1.nq,1,2,2.nr,1.ns,1.nt,1.nu,1.nv,1.nw,1.nx,1.ny,1.nz,1.o0,1.o1,1.o2,2.o3,1.o4,1.o5,1.o6,1.o7,1.o8,1.o9,6.oa,1.ob,1.oc,1.od,2.oe,1.of,3.og,1.oh,1.oi,1.oj,1.ok,1.ol,1.om,2.on,1.oo,2.op,1.oq,1.or,1.os,2.ot,1.ou,1.ov,2.ow,1.ox,1.oy,1.oz,1.p0,3.p1,1.p2,1*2,2.p3,1.p4,8.p5,1.p6,1.p7,1.p8,3.p9,1.pa,2.pb,1.pc,1.pd,1.pe,1.pf,1.pg,1.ph,1.pi,1.pj,1.pk,1.pl,1.pm,1.pn,1.po,1.pp,2.pq,5.pr,1.ps,2.pt,1.pu,1.pv,1.pw,1.px,1.py,1.pz,1.q0,1.q1,1.q2,1.q3,1.q4,1.q5,1.q6,1.q7,4.q8,1.q9,1.qa,1.qb,1.qc,1.qd,1.qe,1.qf,1.qg,2.qh,1.qi,1.qj,1.qk,1.ql,1.qm,y.qn,1*b,2,1,2,1*4,3,1,a,9,6,1*2,9,t,b.qo,1.qp,1.qq,1.qr,1.qs,3.qt,1.qu,1.qv,2.qw,1.qx,1.qy,1.qz,1.r0,1.r1,1.r2,1.r3,1.r4,1.r5,1.r6,1.r7,1.r8,1.r9,1.ra,1.rb,1.rc,1.rd,2.re,1.rf,1.rg,1.rh,1.ri,2.rj,1.rk,1.rl,1.rm,1.rn,1.ro,1.rp,2.rq,1.rr,2.rs,2.rt,2.ru,1.rv,1.rw,1.rx,2.ry,3.rz,1.s0,1.s1,1.s2,1.s3,1.s4,2.s5,1.s6,x.s7,1.s8,1.s9,1.sa,2.sb,1.sc,1.sd,1.se,1.sf,1.sg,2.sh,2.si,1.sj,1.sk,1.sl,2.sm,1.sn,3.so,1.sp,1.sq,2.sr,3.ss,2.st,2.su,1.sv,1.sw,1.sx,1.sy,1.sz,1*2,7,1.t0,2.t1,2.t2,1.t3,1.t4,1.t5,2.t6,1.t7,1.t8,3.t9,1.ta,3.tb,1.tc,1.td,1.te,1.tf,1.tg,2.th,1.ti,1.tj,1.tk,1.tl,1.tm,2.tn,1.to,1.tp,1.tq,1.tr,2.ts,1.tt,1.tu,1.tv,1.tw,1.tx,1.ty,1.tz,6.u0,1*4,2m,2.u1,1.u2,1.u1,2.u3,1.u4,1.u5,1.u6,3.u7,1.u8,1.u9,1.ua,1.ub,1.uc,1.ud,1.ue,1.uf,1.ug,1.uh,1.ui,1.uj,1.uk,1.ul,1.um,1.un,1.uo,2.up,1.uq,1.ur,1.us,1.ut,1.uu,1.uv,1.uw,1.ux,1.uy,1.uz,1.v0,1.v1,1.v2,2.v3,1.v4,1.v5,1.v6,1.v7,1.v8,1.v9,1.va,2.vb,1.vc,1.vd,1.ve,1.vf,1.vg,1.vh,1.vi,1.vj,2.vk,1.vl,1.vm,1.vn,1.vo,1.vp,1.vq,1.vr,1.vs,1.vt,1.vu,1.vv,1.vw,1.vx,1.vy,1.vz,1.w0,1.w1,1.w2,1.w3,1.w4,1.w5,2.w6,3.w7,1.w8,1.w9,1.wa,1.wb,1.wc,1.wd,1.we,2.vw,v.wf,1.wg,1.wh,1.wi,1.wj,2.wk,1.wl,1.wm,1.wn,1.wo,3.wp,1.wq,1.wr,1.ws,1.wt,1.wu,1.wv,1.ww,1.wx,1.wy,1.wz,1.x0,1.x1,1.x2,1.x3,1.x4,2.x5,1,1.x6,1.x5,b.x7,1.x8,1.x9,1.xa,1.xb,2.xc,2.xd,1.xe,1.xf,2.xg,1.xh,1.xi,2.xj,4.xk,1.xl,1.xm,1.xn,4.xo,1.xp,1.xq,1.xr,2.xs,1.xt,1.xu,1.xv,1.xw,1.xx,1.xy,1.xz,1.y0,1.y1,5.y2,5.y3,1.y4,1.y5,3.y6,2.y7,1.y8,1.y9,1.ya,2.yb,1.yc,1.yd,1.ye,1.yf,1.yg,1.yh,1.yi,1.yj,1.yk,1.yl,1.ym,1.yn,1.yo,1,5.yp,3.yq,1.yr,1.ys,1.yt,1.yu,1.yv,1.yw,10.yx,1*4,2o.yy,3.yz,1.z0,1.z1,2.z2,1.z3,1.z4,1.z5,1.z6,1.z7,7.z8,1,3.z9,1.za,1.zb,1.zc,1.zd,1.ze,1.zf,1.zg,1.zh,1.zi,1.zj,1.zk,1.zl,1.zm,1.zn,1.zo,1.zp,1.zq,1.zr,1.zs,4.zt,1.zu,3.zv,1.zw,2.zx,1.zy,1.zz,1.100,1.101,1.102,1.103,1.104,1.105,1.106,2.107,1.108,1.109,1.10a,1.10b,1.10c,2.10d,3.10e,5.10f,1.10g,1.10h,1.10i,2.10j,1.10k,5.10l,1.10m,2.10n,1,3.10o,3.10p,1.10q,1.10r,2.10s,2.10t,1.10u,1.10v,1.10w,1.10x,1.10y,1.10z,7.110,5.111,1.112,1.113,2.114,1.115,1.116,1.117,1.118,1.119,1.11a,1.11b,2.11c,1.11d,1.11e,1.11f,2.11g,1.11h,1.11i,5.11j,1,f.11k,1.11l,1.11m,1.11n,1.11o,1.11p,1.11q,1.11r,1.11s,r.11t,1*r,3,2,7,1,j,1,2,1*2,2*2,1,2,1,3,4,l.11u,1*4,2x.11v,1.11w,2.11x,1.11y,1.11z,1.120,2.121,2.122,2.123,1.124,1.125,1.126,2.127,1.128,1.129,1.12a,2.12b,1.12c,2.12d,2.12e,4.12f,2.12g,2.12h,4.12i,1.12j,2.12k,1.12l,1.12m,2.12n,5.12o,1.12p,1.12q,1.12r,2.12s,1.12t,1.12u,1.12v,1.12w,1.12x,1.12y,3.12z,1.130,1.131,1.132,1.133,1.134,1.135,1.136,3.137,1.138,1.139,1.13a,1.13b,d.13c,2.13d,1.13e,1.13f,1.13g,1.13h,2.13i,1.13j,1.13k,1.13l,1.13m,1.13n,1.13o,1.13p,1.13q,1.13r,1.13s,1.13t,1.13u,3.13v,1.13w,1.13x,2.13y,1.13z,2.140,1.141,1.142,2.143,1.144,1.145,1.146,2.147,1.148,1.149,1.14a,1.14b,1.14c,1.14d,1.14e,1.14f,1.14g,1.14h,4.14i,1.14j,1.14k,1.14l,1.14m,1.14n,1.14o,2.14p,1.14q,4.14r,1.14s,2.14t,1.14u,8.14v,5.14w,1.14x,2.14y,1.14z,1.150,1.151,1.152,a.153,1*p,b,1,3,1*5,2,1*4,b,9,a,9,2,7.154,1,4.155,1.156,1.157,1.158,1.159,1.15a,1.15b,2.15c,1.15d,1.15e,1.15f,1.15g,1.15h,1.15i,1.15j,1.15k,1.15l,1.15m,2.15n,1.15o,1.15p,1.15q,1.15r,1.15s,1.15t,1.15u,2.15v,1.15w,1.15x,1.15y,1.15z,1.160,1.161,1.162,1.163,1.164,1.165,2.166,1.167,2.168,1.169,1.16a,1.16b,1.16c,1.16d,1.16e,1.16f,1.16g,2.16h,6.16i,1.16j,2.16k,1.16l,2.16m,2.16n,1.16o,2.16p,1.16q,1.16r,2.16s,1.16t,1.16u,1.16v,1.16w,1.16x,1.16y,1.16z,d.170,1.171,1.172,1.173,1.174,1.175,1.176,1.177,1.178,1.179,2.17a,1.17b,1.17c,1.17d,1.17e,1.17f,1.17g,1.17h,1.17i,1.17j,1.17k,1.17l,1.17m,1.17n,1.17o,1.17p,3.17q,1,5.17r,1.17s,1.17t,1.17u,1.17v,1.17w,1.17x,1.17y,2.17z,1.180,1.181,3.182,1*3,1.183,1.184,1.185,1.186,1.187,1.188,1.189,1.18a,2.18b,1.18c,1.18d,2.18e,2.18f,1.18g,1.18h,1.18i,1.18j,1.18k,2.18l,1.18m,1.18n,1.18o,1.18p,1.18q,1.18r,1.18s,1.18t,1.18u,1.18v,1.18w,2.18x,2.18y,1.18z,1.190,1.191,1.192,2.193,1.194,3.195,1*4,k'],
+    NC: ['Advance|Ararat|Belews Creek|Bethania|Boonville|Clemmons|Cleveland|Cooleemee|Danbury|Dobson|East Bend|Germanton|Hamptonville|King|Lawsonville|Lewisville|Lowgap|Madison|Mayodan|Mocksville|Mount Airy|White Plains|Pfafftown|Pilot Mountain|Pine Hall|Pinnacle|Rural Hall|Sandy Ridge|Siloam|Stoneville|Toast|Tobaccoville|Walkertown|Walnut Cove|Westfield|Woodleaf|Yadkinville|Winston Salem|Wachovia Master Chrg|Piedmont Aviation|Alamance|Altamahaw|Asheboro|Bear Creek|Bennett|Biscoe|Blanch|Bonlee|Browns Summit|Burlington|Bynum|Candor|Cedar Falls|Cedar Grove|Climax|Colfax|Cumnock|Denton|Eagle Springs|Efland|Elon|Ether|Franklinville|Gibsonville|Goldston|Graham|Gulf|Haw River|Highfalls|High Point|Hillsborough|Jackson Springs|Jamestown|Julian|Kernersville|Eden|Leasburg|Lexington|Liberty|Linwood|Mc Leansville|Mebane|Milton|Mount Gilead|Oak Ridge|Pelham|Pittsboro|Pleasant Garden|Prospect Hill|Providence|Ramseur|Randleman|Reidsville|Burlington House|Robbins|Ruffin|Sanford|Saxapahaw|Seagrove|Sedalia|Semora|Siler City|Snow Camp|Sophia|Southmont|Staley|Star|Stokesdale|Summerfield|Swepsonville|Thomasville|Trinity|Troy|Wallburg|Welcome|Wentworth|West End|Whitsett|Yanceyville|Greensboro|Sears Roebuck|Angier|Apex|Bahama|Benson|Broadway|Buies Creek|Bullock|Bunn|Butner|Carrboro|Cary|Chapel Hill|Clayton|Coats|Creedmoor|Four Oaks|Franklinton|Fuquay Varina|Garner|Goldsboro|Henderson|Holly Springs|Hurdle Mills|Kenly|Kipling|Kittrell|Knightdale|Lillington|Louisburg|Macon|Mamers|Manson|Micro|Middleburg|Middlesex|Moncure|Morrisville|New Hill|Norlina|Oxford|Pine Level|Princeton|Ridgeway|Rolesville|Rougemont|Roxboro|Selma|Smithfield|Stem|Stovall|Timberlake|Townsville|Vaughan|Wake Forest|Warrenton|Wendell|Willow Spring|Wilsons Mills|Wise|Youngsville|Zebulon|Raleigh|Durham|Rocky Mount|Aulander|Aurora|Bailey|Bath|Battleboro|Belhaven|Bellarthur|Bethel|Black Creek|Blounts Creek|Castalia|Chocowinity|Como|Conetoe|Conway|Edward|Elm City|Enfield|Engelhard|Everetts|Fairfield|Falkland|Farmville|Fountain|Fremont|Garysburg|Gaston|Greenville|Grimesland|Halifax|Hamilton|Hassell|Henrico|Hobgood|Hollister|Jackson|Jamesville|Kelford|Lewiston Woodville|Littleton|Lucama|Macclesfield|Margarettsville|Milwaukee|Murfreesboro|Nashville|Oak City|Pantego|Parmele|Pendleton|Pikeville|Pinetops|Pinetown|Pleasant Hill|Potecasi|Red Oak|Rich Square|Roanoke Rapids|Robersonville|Roxobel|Saratoga|Scotland Neck|Scranton|Seaboard|Severn|Sharpsburg|Simpson|Sims|Speed|Spring Hope|Stantonsburg|Stokes|Swanquarter|Tarboro|Tillery|Walstonburg|Washington|Weldon|Whitakers|Williamston|Wilson|Woodland|Elizabeth City|Ahoskie|Avon|Aydlett|Barco|Belvidere|Buxton|Camden|Cofield|Coinjock|Colerain|Columbia|Corapeake|Corolla|Creswell|Currituck|Durants Neck|Edenton|Eure|Frisco|Gates|Gatesville|Grandy|Harbinger|Harrellsville|Hatteras|Hertford|Hobbsville|Jarvisburg|Kill Devil Hills|Kitty Hawk|Knotts Island|Manns Harbor|Manteo|Maple|Merry Hill|Moyock|Nags Head|Ocracoke|Plymouth|Point Harbor|Poplar Branch|Powells Point|Powellsville|Rodanthe|Roduco|Roper|Salvo|Shawboro|Shiloh|South Mills|Stumpy Point|Sunbury|Tyner|Wanchese|Waves|Windsor|Winfall|Winton|Albemarle|Alexis|Ansonville|Badin|Barium Springs|Belmont|Bessemer City|Boiling Springs|Bostic|Caroleen|Casar|Cherryville|China Grove|Cliffside|Concord|Cornelius|Cramerton|Crouse|Dallas|Davidson|Denver|Earl|East Spencer|Ellenboro|Faith|Fallston|Forest City|Gastonia|Huntersville|Gold Hill|Granite Quarry|Grover|Harris|Harrisburg|Henrietta|High Shoals|Indian Trail|Iron Station|Kannapolis|Kings Mountain|Landis|Lattimore|Lawndale|Lilesville|Lincolnton|Locust|Lowell|Mc Adenville|Mc Farlan|Marshville|Matthews|Midland|Mineral Springs|Misenheimer|Monroe|Mooresboro|Mooresville|Morven|Mount Holly|Mount Mourne|Mount Pleasant|Mount Ulla|Newell|New London|Norwood|Oakboro|Paw Creek|Peachland|Pineville|Polkton|Polkville|Richfield|Rockwell|Rutherfordton|Salisbury|Shelby|Spencer|Spindale|Stanfield|Stanley|Troutman|Union Mills|Vale|Waco|Wadesboro|Waxhaw|Wingate|Charlotte|Fayetteville|Fort Bragg|Pope Army Airfield|Aberdeen|Autryville|Barnesville|Bladenboro|Bunnlevel|Calypso|Cameron|Carthage|Clinton|Cordova|Cumberland|Dublin|Dudley|Dunn|Elizabethtown|Ellerbe|Erwin|Fairmont|Faison|Falcon|Gibson|Godwin|Hamlet|Hoffman|Hope Mills|Kenansville|Lakeview|Laurel Hill|Laurinburg|Lemon Springs|Linden|Lumber Bridge|Lumberton|Marietta|Marston|Maxton|Mount Olive|Newton Grove|Norman|Olivia|Orrum|Pinehurst|Parkton|Pembroke|Pinebluff|Proctorville|Raeford|Red Springs|Rex|Rockingham|Roseboro|Rowland|Saint Pauls|Salemburg|Shannon|Southern Pines|Spring Lake|Stedman|Tar Heel|Turkey|Vass|Wade|Wagram|Warsaw|White Oak|Wilmington|Ash|Atkinson|Bolivia|Bolton|Brunswick|Burgaw|Carolina Beach|Castle Hayne|Cerro Gordo|Chadbourn|Clarendon|Clarkton|Council|Currie|Delco|Evergreen|Fair Bluff|Garland|Hallsboro|Hampstead|Harrells|Holly Ridge|Ivanhoe|Kelly|Kure Beach|Lake Waccamaw|Leland|Longwood|Magnolia|Maple Hill|Nakina|Riegelwood|Rocky Point|Rose Hill|Shallotte|Sneads Ferry|Southport|Supply|Tabor City|Teachey|Oak Island|Wallace|Calabash|Sunset Beach|Ocean Isle Beach|Whiteville|Willard|Winnabow|Wrightsville Beach|Kinston|Albertson|Alliance|Arapahoe|Atlantic|Atlantic Beach|Ayden|Bayboro|Beaufort|Beulaville|Bridgeton|Cedar Island|Chinquapin|Comfort|Cove City|Davis|Deep Run|Dover|Ernul|Gloucester|Grantsboro|Grifton|Harkers Island|Havelock|Cherry Point|Hobucken|Hookerton|Hubert|Jacksonville|Camp Lejeune|Tarawa Terrace|Midway Park|Mccutcheon Field|La Grange|Lowland|Marshallberg|Maury|Maysville|Merritt|Morehead City|New Bern|Newport|Oriental|Pink Hill|Pollocksville|Richlands|Salter Path|Sealevel|Seven Springs|Smyrna|Snow Hill|Stacy|Stella|Stonewall|Swansboro|Trenton|Vanceboro|Vandemere|Williston|Winterville|Emerald Isle|Hickory|Banner Elk|Blowing Rock|Boomer|Boone|Catawba|Claremont|Collettsville|Connellys Springs|Conover|Creston|Crossnore|Crumpler|Deep Gap|Drexel|Elkin|Elk Park|Ennice|Ferguson|Statesville|Fleetwood|Glade Valley|Glen Alpine|Glendale Springs|Granite Falls|Grassy Creek|Lenoir|Harmony|Hays|Hiddenite|Hildebran|Hudson|Jefferson|Jonas Ridge|Jonesville|Lansing|Laurel Springs|Linville|Linville Falls|Mc Grady|Maiden|Millers Creek|Minneapolis|Montezuma|Moravian Falls|Morganton|North Wilkesboro|Newland|Newton|Olin|Patterson|Pineola|Piney Creek|Plumtree|Purlear|Icard|Rhodhiss|Roaring Gap|Roaring River|Ronda|Rutherford College|Scottville|Sherrills Ford|Sparta|State Road|Stony Point|Sugar Grove|Taylorsville|Terrell|Thurmond|Todd|Traphill|Turnersburg|Union Grove|Valdese|Valle Crucis|Vilas|Warrensville|West Jefferson|Wilkesboro|Zionville|Scotts|Alexander|Almond|Arden|Bakersville|Balsam|Balsam Grove|Barnardsville|Bat Cave|Black Mountain|Brevard|Bryson City|Burnsville|Candler|Canton|Cashiers|Cedar Mountain|Cherokee|Chimney Rock|Clyde|Columbus|Cullowhee|Dana|Dillsboro|East Flat Rock|Edneyville|Enka|Etowah|Fairview|Flat Rock|Fletcher|Fontana Dam|Franklin|Gerton|Glenville|Glenwood|Hazelwood|Hendersonville|Green Mountain|Highlands|Horse Shoe|Hot Springs|Lake Junaluska|Lake Lure|Lake Toxaway|Leicester|Little Switzerland|Lynn|Maggie Valley|Marion|Marshall|Mars Hill|Micaville|Mill Spring|Montreat|Mountain Home|Mills River|Naples|Nebo|Old Fort|Otto|Penland|Penrose|Pisgah Forest|Ridgecrest|Robbinsville|Rosman|Saluda|Sapphire|Scaly Mountain|Skyland|Spruce Pine|Swannanoa|Sylva|Topton|Tryon|Tuckasegee|Tuxedo|Waynesville|Weaverville|Webster|Whittier|Zirconia|Asheville|Andrews|Brasstown|Culberson|Hayesville|Marble|Murphy|Warne',
+         'ku6.0,1.1,2.2,1.3,1.4,1.5,1.6,1.7,2.8,1.9,1.a,1.b,1.c,1.d,1.e,1.f,1.g,1.h,2.i,1.j,2.k,1.l,9.m,1.n,1.o,1.p,2.q,1.r,1.s,1.t,1.u,1.v,1.w,1.x,1.y,1.z,1.10,13.q,4,1,2.11,1*a,2,1*4,3,7,3,k,1.12,1.11,3,1.13,1.11,15,1,2.14,1.15,1.16,1*2,2.17,1.18,1.19,3.1a,1.1b,1.1c,1.1d,1*2,3,8.1e,1.1f,1.1g,1.1h,2.1i,2.1j,2.1k,2.1l,3.1m,1.1n,1.1o,3.1p,1.1q,1.1r,3.1s,1.1t,3.1u,2.1v,1.1w,1.1x,1*5,3,a.1y,3.1z,1.20,1.21,1.22,1,3.23,1,2.24,1.25,1*3,3.26,1.27,2.28,1.29,3.2a,1.2b,4.2c,1.2d,1.2e,1.2f,1.2g,1.2h,1.2i,1.2j,3.2k,1.2l,1.2k,1,2.2m,1.2n,4.2o,1*2,8.2p,1.2q,1.2r,1.2s,1.2t,5.2u,1.2v,1.2w,4.2x,1.2y,1.2z,1.30,1.31,1.32,1,9.33,1.34,2.35,1.36,1.37,1.38,1.39,2.3a,g.3b,6,1*c,2,1*2,2,1,5,2*2,6,3,h,p.3c,f.3b,2,1*2,2.3d,1.3e,1.3f,1.3g,1.3h,1.3i,1.3j,1.3k,1.3l,1.3m,1.3n,1*2,1.3o,1*3,1.3n,1,1.3p,1.3q,1.3r,1.3e,1.3s,1.3t,1.3u,1.3p,1,1.3v,1.3w,1*4,2.3x,1,2.3e,1.3y,1.3z,1.40,1.41,1.42,1.43,1.44,3.45,2.46,1.47,1.48,2.49,1.4a,1.4b,2.4c,1.4d,2.4e,1.4f,1.3r,1.4g,3.4h,1.4i,1.4j,1.4k,1.4l,1.4m,1,2.4n,1.4o,4.4p,1.4q,1.4r,1.4s,2.4t,1.4u,1,1.4v,2.4w,1.4x,1.4y,1.4z,2.50,1.51,2.3o,2.52,1*g,2,1*a,5,1*2,4,a,6,2,3,7*2,1,e,5,2,1*2,2.53,1*c,2*2,5,27.54,1*3,1.55,1.56,1.57,1.58,1.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.54,1.5f,1.5g,1.5h,1.5i,1.5j,1.5k,1.5l,1.5m,1.5n,1.5o,1.5p,1.5q,1.5r,1.5s,1.5t,1.5u,1.5v,1.5w,1*3,1.5x,2.5y,1.5z,1.60,1.61,1.62,1.63,1.64,1.65,1.66,2.67,1.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,1.6f,1.5w,2.6g,1.6h,1.6i,1.6j,1.6k,1.6l,1.6m,1.6n,1.6o,1.6p,1.6q,1.6r,1.6s,1.6t,1.6u,1.6v,1.6w,1.6x,1.6y,1.6z,1.70,1.71,1.72,1.73,1.74,1.75,1.76,1.77,1.78,1.79,1.7a,1.7b,1.7c,1.7d,1*3,1.7e,9.7f,1,2,1.7g,5.7h,1.7i,1.7j,2.7k,1.7l,1.7m,1.7n,1.7o,1.7p,1.7q,1.7r,1.7s,1.7t,1.7u,1.7v,2.7w,3.7x,1.7y,1.7z,1.80,1.81,2.82,1.83,1.84,1.85,2.86,1.87,1.88,1.89,1.8a,3.8b,1.8c,2.8d,1.8e,1.8f,1.8g,1.8h,2.8i,2.8j,1.8k,1.8l,1.8m,1.8n,1.8o,1.8p,2.8q,1.8r,1.8s,2.8t,2.8u,1.8v,1.8w,1.8x,1.8y,1.8z,2.90,1.91,f.92,1,4.93,1.94,2.95,1.96,2.97,4.98,1.99,1.9a,1.9b,1.9c,1.9d,2.9e,1.9f,1.9g,1*2,4.9h,1.9i,1.9j,1.9k,1.9l,1,1.9m,1.9n,1.9o,1.9p,1.9q,1.9r,1.9s,9.9t,1*4,e.9u,1.9v,1.9w,1.9x,1.9y,1.9z,1.a0,1.a1,1.9u,1.a2,1.a3,1.a4,1*2,3.a5,2.a6,1.a7,1.a8,1.a9,1.aa,1,4.ab,1.ac,3.ad,1.ae,1.af,1.ag,1*2,1.ah,1.ai,1.aj,1.ak,1*2,2.al,1.am,2,2.an,1.ao,3.ap,1.aq,1.ar,1.as,1.at,1.au,1.av,1.aw,3.ax,1.ay,1.az,1.b0,1.b1,1.b2,1.b3,5.b4,1*3,3.b5,1*2,7.b6,1.b7,3.b8,1.b9,2.ba,1.bb,1.bc,1.bd,1.be,3.bf,1.bg,r.bh,1*n,2,1*b,4,1*3,2,1,3*2,1*3,2*3,1,2,1,3,1*6,2,1,2,1*2,2,1,2,1*3,6,1,2,2.bi,1*5,1.bj,1.bk,1.bi,1.bj,1.bi,1,2,1.bl,3.bm,1.bn,1.bo,3.bp,2.bq,1.br,1.bs,1.bt,1,1.bu,1.bv,1.bw,1.bx,1.by,1,2.bz,1.c0,1.c1,1.c2,1.c3,1.c4,1.c5,1.c6,1.c7,2.c8,1.c9,1.ca,1.cb,1.cc,1.cd,1,2.ce,1.cf,1.cg,1.ch,1*2,2.ci,1.cj,1.ck,1.cl,1.cm,1.cn,1.co,1.cp,1.cq,1.cr,1.cs,1.ct,1.cq,1.cu,1.cv,1.cw,1.cx,1.cy,1,2.cz,1.d0,1.d1,1.d2,1.d3,1.d4,1,2.d5,1.d6,1.d7,1.d8,1.d9,1.da,1.db,2.dc,1.dd,2.de,1*b,8.df,1.dg,1.dh,1.di,1.dj,1.dk,3.dl,1.dm,1.dn,1.do,1.dp,1.dq,1.dr,1.ds,1.dt,2.du,1.dv,2.dw,1.dx,1.dy,1.dz,1.e0,2.e1,1.e2,1.e3,1.e4,1.e5,1.e6,1.e7,1.e8,1.e9,1.ea,1.eb,1.ec,1.ed,1.ee,1.ef,1.eg,1.eh,1.ei,1.ej,1.ek,1.el,1.em,1.en,1.ed,2.eo,6.ep,1.eq,1.er,l.es,1*3,4.et,1.eu,1.ev,1.ew,1.ex,1.ey,2.ez,1.f0,2.f1,1.f2,1.f3,1.f4,1.f5,1.f6,1.f7,1.f8,1.f9,1.fa,1.fb,1.fc,1.fd,1.fe,1.ff,1.fg,4.fh,1.fi,1.fj,1.fk,1,1.fl,1.fm,1.fn,1.fo,1.fk,1.fl,4.fp,1.fq,1.fr,1.fs,1.ft,1.fu,1.fv,3.fw,1*4,6.fx,1.fy,1.fz,1.g0,1.g1,1.g2,2.g3,1.g4,1.g5,1.g6,1.g7,1.g8,1.g9,1.ga,1.gb,1.gc,1.gd,2.ge,1.gf,4.gg,7.gh,1*2,1.gi,1.gj,1.gk,1.gl,1,1.gm,1.gn,1.go,1.gp,1.gq,2.gr,1.gs,1.gt,1.gu,1.gv,2.gw,1.gx,1.gy,1.gz,1.h0,1.h1,1.h2,1.h3,1.h4,1.h5,1.h6,2.h7,1.h8,1.h9,1.ha,1.hb,1.hc,2.hd,1.he,1.hf,1.hg,1.hh,1.h7,1.hi,1.hj,2.hk,1.hl,1.hm,1.hn,1.ho,1.hp,1.hq,1.hr,1.hs,1.ht,1.hr,1.hu,1.hv,1.hw,1.hx,1.hy,1.hz,1.i0,1.i1,1.i2,1.i3,1.i4,1.i5,1.i6,1.i7,1.hr,1.i8,1.i9,1.h0,1.ia,1.ib,1.hq,1.ic,1.id,1.ie,1.if,1.ig,2.h0,1.ih,1.ii,1.ij,1.ik,1.il,1.im,1.in,3.io,1.ip,1.iq,2.ir,1.is,2.it,1.iu,2.iv,1.iw,1.ix,1.iy,1.iz,1.j0,1.j1,1.j2,1.j3,1.j4,1.j5,1.j6,1.j7,1.j8,1.j9,1.ja,1.jb,1.jc,1.jd,1.je,1.jf,1.jg,1.jh,1.ji,1.jj,1.jk,1.jl,1.jm,1.jn,1.jo,1.jp,1.jq,1.jr,1.js,1.jt,1.ju,1.jv,1.jm,1.jw,1.jx,1.jy,1.jz,1.k0,1.k1,1.k2,1.k3,1.k4,1.k5,1.k6,1.k7,1.k8,1.k9,1.ka,1.kb,1.kc,1.kd,1.ke,2.kf,1.kg,2.kh,2.ki,1.kj,1.kk,1.kl,1.km,1.kn,1.ko,1.kp,1.kq,1.kr,2.ks,1.kt,1.ku,1.kv,1.kw,1,1.kx,1.ky,1.kz,1.l0,1.jr,1*2,8.l1,1*5,4,3,1*3,2d.l2,1.l3,1.l4,1.l5,1.l6,1.l7,3.l8'],
+    ND: ['Abercrombie|Absaraka|Amenia|Argusville|Arthur|Ayr|Barney|Blanchard|Buffalo|Casselton|Cayuga|Christine|Clifford|Cogswell|Colfax|Davenport|Enderlin|Erie|Fairmount|Fingal|Forman|Fort Ransom|Galesburg|Gardner|Grandin|Gwinner|Hankinson|Harwood|Havana|Hillsboro|Hope|Horace|Hunter|Kathryn|Kindred|Leonard|Lidgerwood|Lisbon|Luverne|Mcleod|Mantador|Mapleton|Milnor|Mooreton|Nome|Oriska|Page|Pillsbury|Rutland|Sheldon|Stirum|Tower City|Valley City|Wahpeton|Walcott|West Fargo|Wheatland|Wyndmere|Fargo|Grand Forks|Grand Forks Afb|Adams|Aneta|Arvilla|Bathgate|Buxton|Caledonia|Cavalier|Crystal|Cummings|Dahlen|Drayton|Edinburg|Emerado|Fairdale|Finley|Fordville|Forest River|Gilby|Glasston|Grafton|Hamilton|Hannah|Hatton|Hensel|Hoople|Inkster|Langdon|Lankin|Larimore|Mcville|Maida|Manvel|Mayville|Mekinock|Michigan|Milton|Minto|Mountain|Neche|Niagara|Northwood|Osnabrock|Park River|Pembina|Petersburg|Pisek|Portland|Reynolds|Saint Thomas|Sharon|Thompson|Wales|Walhalla|Devils Lake|Agate|Alsen|Balta|Belcourt|Bisbee|Bottineau|Bremen|Brocket|Calvin|Cando|Churchs Ferry|Crary|Dunseith|Edmore|Egeland|Esmond|Fort Totten|Hampden|Hansboro|Harvey|Knox|Lakota|Lawton|Leeds|Maddock|Minnewaukan|Munich|Mylo|Nekoma|New Rockford|Oberon|Pekin|Penn|Perth|Rocklake|Rolette|Rolla|Rugby|Saint John|Saint Michael|Sarles|Sheyenne|Starkweather|Tokio|Tolna|Warwick|Webster|Willow City|Wolford|York|Jamestown|Ashley|Berlin|Binford|Bowdon|Buchanan|Carrington|Cathay|Chaseley|Cleveland|Cooperstown|Courtenay|Dawson|Dazey|Denhoff|Dickey|Edgeley|Ellendale|Fessenden|Forbes|Fredonia|Fullerton|Gackle|Glenfield|Goodrich|Grace City|Hannaford|Hurdsfield|Jessie|Jud|Kensal|Kulm|Lamoure|Lehr|Litchville|Mcclusky|Mchenry|Marion|Medina|Montpelier|Oakes|Pettibone|Pingree|Regan|Robinson|Rogers|Sanborn|Spiritwood|Steele|Streeter|Sutton|Sykeston|Tappen|Tuttle|Verona|Wimbledon|Wing|Wishek|Woodworth|Ypsilanti|Bismarck|Almont|Baldwin|Beulah|Braddock|Cannon Ball|Carson|Center|Coleharbor|Driscoll|Elgin|Flasher|Fort Yates|Garrison|Golden Valley|Hague|Hazelton|Hazen|Kintyre|Linton|Mandan|Menoken|Mercer|Moffit|Napoleon|New Leipzig|New Salem|Raleigh|Riverdale|Saint Anthony|Selfridge|Shields|Solen|Stanton|Sterling|Strasburg|Turtle Lake|Underwood|Washburn|Wilton|Zap|Zeeland|Dickinson|Amidon|Beach|Belfield|Bowman|Dodge|Dunn Center|Fairfield|Gladstone|Glen Ullin|Golva|Grassy Butte|Halliday|Hebron|Hettinger|Killdeer|Lefor|Manning|Marmarth|Marshall|Medora|Mott|New England|Reeder|Regent|Rhame|Richardton|Scranton|Sentinel Butte|South Heart|Taylor|Minot|Minot Afb|Anamoose|Antler|Balfour|Bantry|Benedict|Berthold|Bowbells|Burlington|Butte|Carpio|Columbus|Crosby|Deering|Des Lacs|Donnybrook|Douglas|Drake|Flaxton|Glenburn|Granville|Karlsruhe|Kenmare|Kramer|Lansford|Lignite|Mcgregor|Makoti|Mandaree|Martin|Max|Maxbass|Mohall|Newburg|New Town|Noonan|Norwich|Palermo|Parshall|Plaza|Portal|Powers Lake|Roseglen|Ross|Ruso|Ryder|Sawyer|Sherwood|Souris|Stanley|Surrey|Tolley|Towner|Upham|Velva|Voltaire|Westhope|White Earth|Wildrose|Williston|Alamo|Alexander|Ambrose|Arnegard|Cartwright|Epping|Fortuna|Grenora|Keene|Ray|Tioga|Trenton|Watford City|Zahl',
+         '18r5.0,1.1,2.2,1.3,1.4,1.5,1.6,1.7,2.8,1.9,1.a,2.b,1.c,1.d,1.e,3.f,6.g,2.h,1.i,1.j,1.k,1.l,2.m,1.n,2.o,2.p,1.q,1.r,1.s,2.t,1.u,1.v,1.w,1.x,2.y,1.z,1.10,1.11,2.12,1.13,1.14,1.15,1.16,1.17,1.18,1.19,1.1a,1.1b,2.1c,1.1d,1.1e,2.1f,1.1g,2.1h,1*2,1.1i,1.1j,1.1k,2.1l,l.1m,1*7,c,1,2,1*2,23.1n,1*2,1.1o,1,1.1n,1*2,2.1p,2.1q,2.1r,2.1s,2.1t,1.1u,1.1v,2.1w,1.1x,1.1y,1.1z,2.20,1.21,1.22,1.23,1.24,2.25,2.26,1.27,1.28,1.29,1.2a,1.2b,1.2c,2.2d,1.2e,5.2f,1.2g,1.2h,3.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1.2q,3.2r,1.2s,1.2t,2.2u,1.2v,1.2w,1.2x,1.2y,1.2z,1.30,1.31,1.32,1.33,3.34,1.35,j.36,9.37,1.38,2.39,3.3a,1.3b,1.3c,1.3d,2.3e,2.3f,1.3g,1.3h,2.3i,2.3j,1.3k,1.3l,1.3m,3.3n,3.3o,1.3p,2.3q,2.3r,1.3s,1.3t,1.3u,2.3v,3.3w,1.3x,1.3y,2.3z,1.40,1.41,4.42,1.43,1.44,2.45,1.46,1.47,1.48,1.49,1.4a,2.4b,2.4c,3.4d,2.4e,1.4f,1.4g,1.4h,2.4i,1.4j,1.4k,f.4l,1,3,8.4m,2.4n,1.4o,2.4p,2.4q,1.4r,1.4s,1.4t,1.4u,1.4v,1.4w,2.4x,1.4y,1.4z,1.50,2.51,3.52,2.53,1.54,1.55,1.56,1.57,1.58,1.59,1.5a,3.5b,3.5c,1.5d,2.5e,1.5f,1.5g,2.5h,2.5i,1.5j,2.5k,1.5l,2.5m,1.5n,5.5o,2.5p,1.5q,1.5r,1.5s,1.5t,1.5u,1.5v,1.5w,1.5x,1.5y,1.5z,2.60,1.61,1.62,2.63,2.64,2.65,1.66,1.67,1.68,4.69,1*6,d.6a,1.6b,2.6c,1.6d,4.6e,1.6f,1.6g,1.6h,1.6i,1.6j,2.6k,3.6l,2.6m,1.6n,1.6o,2.6p,1.6q,4.6r,3.6s,2.6t,4.6u,1.6v,1.6w,1.6x,1.6y,1.6z,1.70,1.71,1.72,2.73,1.74,1.75,1.76,1.77,1.78,2.79,1.7a,1.7b,2.7c,1.7d,1.7e,k.7f,1,i.7g,1.7h,1.7i,1.7j,2.7k,1.7l,1.7m,3.7n,1.7o,1.7p,2.7q,2.7r,2.7s,1.7t,1.7u,1.7v,1.7w,1.7x,1.7y,1.7z,1.80,1.81,2.82,1.83,1.84,1.85,1.86,1.87,1.88,1.89,19.8a,1*2,1.8b,1,2.8a,3.8c,1.8d,1.8e,1.8f,3.8g,2.8h,3.8i,1.8j,1.8k,2.8l,2.8m,3.8n,1.8o,2.8p,1.8q,1.8r,1.8s,1.8t,3.8u,1.8v,3.8w,2.8x,2.8y,2.8z,2.90,3.91,1.92,1.93,1.94,1.95,1.96,1.97,1.98,1.99,2.9a,3.9b,1.9c,1.9d,1.9e,1.9f,1.9g,2.9h,1.9i,2.9j,1.9k,2.9l,1.9m,1.9n,1.9o,1.9p,2.9q,1.9r,1.9s,1.9t,2.9u,1.9v,1.9w,1.9x,6.9y,1*2,r.9z,1.a0,2.a1,2.a2,3.a3,5.a4,1.a5,1.a6,2.a7,2.a8,3.a9,1.aa,1.ab,2.ac'],
+    OH: ['Alexandria|Amlin|Ashley|Blacklick|Bladensburg|Brinkhaven|Broadway|Buckeye Lake|Cable|Catawba|Centerburg|Croton|Danville|Delaware|Dublin|Etna|Fredericktown|Galena|Gambier|Granville|Hebron|Hilliard|Homer|Howard|Irwin|Jacksontown|Johnstown|Kilbourne|Kirkersville|Lewis Center|Magnetic Springs|Martinsburg|Marysville|Mechanicsburg|Milford Center|Millersport|Mingo|Mount Liberty|Mount Vernon|New Albany|Newark|Heath|North Lewisburg|Ostrander|Pataskala|Plain City|Powell|Radnor|Raymond|Reynoldsburg|Rosewood|Saint Louisville|Saint Paris|Summit Station|Sunbury|Thornville|Unionville Center|Urbana|Utica|Westerville|Westville|Woodstock|Columbus|Adelphi|Amanda|Ashville|Baltimore|Bloomingburg|Bremen|Brice|Canal Winchester|Carbon Hill|Carroll|Circleville|Clarksburg|Commercial Point|Derby|Galloway|Grove City|Groveport|Harrisburg|Haydenville|Jeffersonville|Lancaster|Laurelville|Lithopolis|Lockbourne|Logan|London|Milledgeville|Mount Sterling|Murray City|New Holland|Orient|Pickerington|Pleasantville|Rockbridge|Rushville|Sedalia|South Bloomingville|South Solon|Stoutsville|Sugar Grove|Tarlton|Thurston|Union Furnace|Washington Court House|West Jefferson|West Rushville|Williamsport|Gap Inc Direct|City National Bank|Marion|Belle Center|Bellefontaine|Caledonia|Cardington|Carey|Chesterville|De Graff|East Liberty|Edison|Fulton|Green Camp|Harpster|Huntsville|Iberia|Kenton|Kirby|Lakeview|La Rue|Lewistown|Marengo|Martel|Middleburg|Morral|Mount Gilead|Mount Victory|New Bloomington|Prospect|Quincy|Richwood|Ridgeway|Roundhead|Rushsylvania|Russells Point|Shauck|Sparta|Upper Sandusky|Waldo|West Liberty|West Mansfield|Wharton|Zanesfield|Bowling Green|Bradner|Burgoon|Clay Center|Clyde|Curtice|Cygnet|Dunbridge|Elmore|Fremont|Genoa|Gibsonburg|Graytown|Gypsum|Harbor View|Helena|Isle Saint George|Jerry City|Kelleys Island|Lacarne|Lakeside Marblehead|Lemoyne|Lindsey|Luckey|Martin|Middle Bass|Millbury|Oak Harbor|Pemberville|Portage|Port Clinton|Put In Bay|Risingsun|Rocky Ridge|Rossford|Rudolph|Stony Ridge|Vickery|Walbridge|Wayne|West Millgrove|Williston|Woodville|Alvordton|Archbold|Berkey|Blakeslee|Bryan|Colton|Custar|Defiance|Delta|Deshler|Edgerton|Edon|Evansport|Farmer|Fayette|Grand Rapids|Grelton|Hamler|Haskins|Hicksville|Holgate|Holland|Hoytville|Jewell|Kunkle|Liberty Center|Lyons|Mc Clure|Malinta|Mark Center|Maumee|Metamora|Milton Center|Monclova|Montpelier|Napoleon|Neapolis|New Bavaria|Ney|Okolona|Perrysburg|Pettisville|Pioneer|Ridgeville Corners|Sherwood|Stryker|Swanton|Sylvania|Tontogany|Waterville|Wauseon|Weston|West Unity|Whitehouse|Toledo|Oregon|Northwood|Zanesville|Ava|Barnesville|Beallsville|Belle Valley|Belmont|Bethesda|Blue Rock|Brownsville|Buffalo|Byesville|Caldwell|Cambridge|Chandlersville|Chesterhill|Corning|Crooksville|Cumberland|Derwent|Duncan Falls|East Fultonham|Fairview|Fultonham|Glenford|Gratiot|Hopewell|Jerusalem|Junction City|Kimbolton|Kipling|Laings|Lewisville|Lore City|Mcconnelsville|Malaga|Malta|Morristown|Mount Perry|Moxahala|New Concord|New Lexington|New Straitsville|Norwich|Old Washington|Philo|Pleasant City|Quaker City|Roseville|Salesville|Sarahsville|Senecaville|Shawnee|Somerset|Stafford|Stockport|Summerfield|Sycamore Vly|White Cottage|Woodsfield|Adamsville|Bakersville|Baltic|Blissfield|Conesville|Coshocton|Dresden|Frazeysburg|Fresno|Keene|Nashport|Newcomerstown|Plainfield|Port Washington|Stone Creek|Trinway|Walhonding|Warsaw|West Lafayette|Adena|Alledonia|Amsterdam|Barton|Bellaire|Cadiz|Bergholz|Blaine|Bloomingdale|Bridgeport|Brilliant|Cameron|Clarington|Colerain|Dillonvale|East Liverpool|East Springfield|Empire|Fairpoint|Glencoe|Hammondsville|Hannibal|Irondale|Jacobsburg|Lansing|Martins Ferry|Maynard|Mingo Junction|Mount Pleasant|Neffs|Piney Fork|Powhatan Point|Rayland|Richmond|Salineville|Sardis|Shadyside|Smithfield|Saint Clairsville|Lafferty|Steubenville|Stratton|Summitville|Tiltonsville|Toronto|Warnock|Wellsville|Wolf Run|Yorkville|Bannock|Freeport|Harrisville|Hopedale|Flushing|New Athens|Piedmont|New Rumley|Holloway|Jewett|Scio|Amherst|Andover|Ashtabula|Austinburg|Avon|Avon Lake|Berea|Burton|Chagrin Falls|Chardon|Chesterland|Columbia Station|Conneaut|Dorset|East Claridon|Elyria|North Ridgeville|Gates Mills|Geneva|Grafton|Grand River|Huntsburg|Jefferson|Kingsville|Kipton|Lagrange|Lorain|Sheffield Lake|Macedonia|Madison|Mentor|Middlefield|Montville|Newbury|Northfield|North Kingsville|North Olmsted|Novelty|Oberlin|Orwell|Painesville|Parkman|Perry|Pierpont|Rock Creek|Rome|Thompson|Twinsburg|Unionville|Vermilion|Wellington|Wickliffe|Williamsfield|Willoughby|Eastlake|Windsor|Cleveland|Lakewood|Rocky River|Euclid|Beachwood|Independence|North Royalton|Strongsville|Maple Heights|Olmsted Falls|Solon|Bay Village|Brecksville|Brookpark|Westlake|Bedford|Broadview Heights|Cleveland Elec Ill Co|Ameritrust Card Center|Atwater|Aurora|Barberton|Bath|Brady Lake|Brunswick|Burbank|Chippewa Lake|Clinton|Creston|Cuyahoga Falls|Stow|Doylestown|Garrettsville|Green|Hinckley|Hiram|Homerville|Hudson|Kent|Streetsboro|Lakemore|Westfield Center|Litchfield|Lodi|Mantua|Medina|Mogadore|Munroe Falls|Peninsula|Randolph|Ravenna|Rittman|Rootstown|Seville|Sharon Center|Spencer|Sterling|Tallmadge|Valley City|Wadsworth|Wayland|Richfield|West Salem|Windham|Akron|Fairlawn|Roadway Express|Berlin Center|Bristolville|Brookfield|Burghill|Campbell|Canfield|Columbiana|Cortland|Deerfield|Diamond|East Palestine|Elkton|Ellsworth|Farmdale|Fowler|Girard|Greenford|Hanoverton|Hartford|Hubbard|Kensington|Kinsman|Lake Milton|Leavittsburg|Leetonia|Lisbon|Lowellville|Mc Donald|Masury|Mesopotamia|Mineral Ridge|Negley|New Middletown|New Springfield|Newton Falls|New Waterford|Niles|North Benton|North Bloomfield|North Jackson|North Lima|Orangeville|Petersburg|Rogers|Salem|Southington|Struthers|Vienna|Warren|Washingtonville|West Farmington|West Point|Winona|Youngstown|Alliance|Apple Creek|Augusta|Beach City|Beloit|Berlin|Big Prairie|Bolivar|Brewster|Canal Fulton|Carrollton|Charm|Dalton|Damascus|Dellroy|Dennison|Dover|Dundee|East Rochester|East Sparta|Fredericksburg|Glenmont|Gnadenhutten|Greentown|Harlem Spgs|Hartville|Holmesville|Homeworth|Kidron|Killbuck|Lakeville|Leesville|Limaville|Louisville|Magnolia|Malvern|Marshallville|Massillon|Maximo|Mechanicstown|Middlebranch|Midvale|Millersburg|Mineral City|Minerva|Mount Eaton|Mount Hope|Nashville|Navarre|New Philadelphia|North Georgetown|North Lawrence|Orrville|Paris|Robertsville|Sandyville|Sebring|Sherrodsville|Shreve|Smithville|Somerdale|Stillwater|Strasburg|Sugarcreek|Tuscarawas|Uhrichsville|Uniontown|Walnut Creek|Waynesburg|Wilmot|Winesburg|Wooster|Deersville|Bowerston|Zoar|Tippecanoe|Canton|North Canton|East Canton|Alvada|Arcadia|Ashland|Attica|Bascom|Bellevue|Bellville|Berlin Heights|Bettsville|Birmingham|Bloomdale|Bloomville|Bucyrus|Butler|Castalia|Chatfield|Collins|Crestline|Flat Rock|Fostoria|Galion|Green Springs|Greenwich|Hayesville|Huron|Jeromesville|Kansas|Loudonville|Lucas|Mc Cutchenville|Melmore|Milan|Monroeville|Nankin|Nevada|New Haven|New London|New Riegel|New Washington|North Fairfield|North Robinson|Norwalk|Nova|Oceola|Old Fort|Ontario|Perrysville|Plymouth|Polk|Republic|Sandusky|Savannah|Shelby|Shiloh|Sullivan|Sulphur Springs|Sycamore|Tiffin|Tiro|Willard|Wakeman|Mansfield|Addyston|Cleves|College Corner|Collinsville|Franklin|Hamilton|Fairfield|Harrison|Harveysburg|Hooven|Kings Mills|Lebanon|Maineville|Mason|Miamitown|Middletown|Monroe|Mount Saint Joseph|North Bend|Okeana|Oregonia|Overpeck|Oxford|Ross|Seven Mile|Shandon|Somerville|South Lebanon|Springboro|Trenton|Waynesville|West Chester|West Elkton|Aberdeen|Amelia|Batavia|Bentonville|Bethel|Blanchester|Buford|Camp Dennison|Chilo|Clarksville|Cuba|Decatur|Fayetteville|Feesburg|Felicity|Georgetown|Goshen|Greenfield|Hamersville|Higginsport|Highland|Hillsboro|Leesburg|Lees Creek|Loveland|Lynchburg|Manchester|Marathon|Martinsville|Miamiville|Midland|Milford|Morrow|Moscow|Mount Orab|Mowrystown|Neville|New Richmond|Newtonsville|New Vienna|Owensville|Pleasant Plain|Port William|Reesville|Ripley|Russellville|Sabina|Sardinia|Sinking Spring|Terrace Park|Williamsburg|Wilmington|Cincinnati|California|Alpha|Anna|Ansonia|Arcanum|Bellbrook|Botkins|Bowersville|Bradford|Brookville|Burkettsville|Camden|Casstown|Cedarville|Clayton|Clifton|Conover|Covington|Donnelsville|Eaton|Eldorado|Englewood|Enon|Fairborn|Farmersville|Fletcher|Germantown|Gettysburg|Gratis|Greenville|Hollansburg|Houston|Jackson Center|Jamestown|Kettlersville|Laura|Lewisburg|Ludlow Falls|Maplewood|Medway|Miamisburg|New Carlisle|New Lebanon|New Madison|New Paris|New Weston|North Hampton|North Star|Osgood|Palestine|Pemberton|Phillipsburg|Piqua|Pitsburg|Pleasant Hill|Port Jefferson|Potsdam|Rossburg|Russia|Sidney|South Charleston|South Vienna|Spring Valley|Tipp City|Tremont City|Troy|Vandalia|Verona|Versailles|West Alexandria|West Manchester|West Milton|Wilberforce|Xenia|Yellow Springs|Yorkshire|Christiansburg|Union City|Dayton|Springfield|Chillicothe|Bainbridge|Beaver|Bidwell|Blue Creek|Bourneville|Cherry Fork|Chesapeake|Cheshire|Coalton|Creola|Crown City|Cynthiana|Frankfort|Franklin Furnace|Friendship|Gallipolis|Hallsville|Hamden|Haverhill|Ironton|Jackson|Jasper|Kerr|Kingston|Kitts Hill|Latham|Londonderry|Lucasville|Lynx|Mc Arthur|Mc Dermott|Minford|New Plymouth|Oak Hill|Otway|Patriot|Pedro|Peebles|Piketon|Portsmouth|West Portsmouth|Proctorville|Rarden|Ray|Richmond Dale|Rio Grande|Rock Camp|Scioto Furnace|Scottown|Seaman|South Point|South Salem|South Webster|Stockdale|Stout|Thurman|Vinton|Wakefield|Waterloo|Waverly|Wellston|West Union|Wheelersburg|Wilkesville|Willow Wood|Winchester|Zaleski|Athens|Albany|Amesville|Barlow|Bartlett|Belpre|Beverly|Buchtel|Carbondale|Chauncey|Chester|Coal Run|Coolville|Cutler|Dexter City|Fleming|Glouster|Graysville|Guysville|Hockingport|Jacksonville|Langsville|Little Hocking|Long Bottom|Lowell|Lower Salem|Macksburg|Marietta|Middleport|Millfield|Nelsonville|New Marshfield|New Matamoras|Newport|Pomeroy|Portland|Racine|Reedsville|Reno|Rutland|Shade|Sharpsburg|Stewart|Syracuse|The Plains|Trimble|Tuppers Plains|Vincent|Waterford|Watertown|Whipple|Wingett Run|Lima|Beaverdam|Gomer|Ada|Alger|Antwerp|Arlington|Belmore|Benton Ridge|Bluffton|Buckland|Cairo|Cecil|Celina|Chickasaw|Cloverdale|Coldwater|Columbus Grove|Continental|Convoy|Delphos|Dola|Dunkirk|Dupont|Elgin|Findlay|Jenera|Forest|Fort Jennings|Fort Loramie|Fort Recovery|Glandorf|Grover Hill|Harrod|Haviland|Kalida|Lafayette|Latty|Leipsic|Mc Comb|Mc Guffey|Maria Stein|Melrose|Mendon|Middle Point|Miller City|Minster|Montezuma|Mount Blanchard|Mount Cory|New Bremen|New Hampshire|New Knoxville|North Baltimore|Oakwood|Ohio City|Ottawa|Ottoville|Pandora|Paulding|Payne|Rawson|Rockford|Saint Henry|Saint Johns|Saint Marys|Scott|Spencerville|Uniopolis|Van Buren|Vanlue|Van Wert|Vaughnsville|Venedocia|Wapakoneta|Waynesfield|Williamstown|Willshire|Wren',
+         'x6h.0,1.1,1.2,1.3,1.4,1.5,1.6,1.7,1.8,1.9,1.a,2.b,1.c,1.d,1.e,1,1.f,1.g,2.h,1.i,1.j,2.k,1.l,1.m,1.n,1.o,1.p,1.q,1.r,1.s,2.t,1.u,1.v,3.w,1,3.x,1.y,1.z,1.10,1.11,2.12,4.13,1.14,1.15,2.14,2.16,1.17,1.18,2.19,1.1a,1.1b,1.1c,1.1d,1,1.1e,1.1f,1.1g,1.1h,1.1i,2.1j,1.1k,1.1l,2.1m,1.1n,1,1.1o,1.1p,1.1q,1.1n,7.14,5.k,3.1r,1.1s,1.1t,2.1u,1.1v,1.1w,2.1x,1.1y,1.1z,1.20,1.21,2.22,1.23,1.24,2.25,4.26,2.27,1.28,1.29,1.2a,2.2b,5.2c,1.2d,1.2e,1.2f,2.2g,2.2h,1.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,1.2v,1.2w,1.2x,2.2y,2.2z,1.30,1.31,u.2e,1.27,1.32,2.27,1,2.1q,1*6,2,1*f,2,1*6,2,1*2,4,b,9,5.33,1.1q,2*2,1*2,7,8,4,8,2.34,1,4,1,3.35,1.36,3.37,1.38,1.39,1.3a,1.3b,1.3c,1.3d,1.3e,1.3f,1.3g,1.3h,1.3i,1.3j,4.3k,1.3l,1.3m,1.3n,1.3o,1.3p,1.3q,1.3r,1.3s,2.3t,1.3u,1.3v,1.3w,1.3x,1.3y,1.3z,1.40,1.41,1.42,1.43,1.44,5.45,1.46,1.47,1.48,1.49,16.4a,1,3.4b,1.4c,1.4d,2.4e,2.4f,1.4g,1.4h,2.4i,4.4j,a.4k,1.4l,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,1.4w,1.4x,2.4y,1.4z,1.50,2.51,1.52,1.53,1.54,4.55,1.56,1.57,2.58,2.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,w.5h,1.5i,2.5j,1.5k,1.5l,4.5m,1.5n,1.5o,3.5p,1.5q,1.5r,1.5s,1.5t,1.5u,1.5v,1.5w,1.5x,1.5y,1.5z,1.60,1.61,1.62,1.63,1.64,1.65,1.66,1.67,1.68,1.69,1.6a,1.6b,3.6c,1.6d,1.6e,1.6f,2.6g,2.6h,1.6i,1.6j,1.6k,1.6l,1,1.6m,1.6n,1.6o,1.6p,1.6q,1.6r,2.6s,5.6t,1.6u,1.6v,2.6w,1.6x,1.6y,u.6z,2,1*c,1.70,1.6z,1.70,1.71,1.6z,3,c,h,2*2,1,2,1*2,5,1,e,1,f,2,2.72,1,9.73,2.74,3.75,1.76,1.77,1.78,1.79,1.7a,1.7b,1.7c,1.7d,1.7e,2.7f,1.7g,2.7h,1.7i,1.7j,1.7k,1.7l,1.7m,1.7n,2.7o,1.7p,1.7q,6.7r,1.7s,1.7t,1.7u,1.7v,2.7w,2.7x,1.7y,1.7z,1.80,1.81,1.82,1.83,1.84,1.85,2.86,2.87,1.88,1.89,3.8a,1.8b,1.8c,4.8d,1.8e,1.8f,1.8g,2.8h,1.8i,3.8j,1.8k,1.8l,1.8m,2.8n,2.8o,9.8p,1.8q,1.8r,1.8s,6.8t,1.8u,9.8v,1.8w,2.8x,4.8y,2.8z,2.90,4.91,1.92,3.93,2.94,1.95,1.96,1.97,1k.98,1.99,1.9a,2.9b,1.9c,1.9d,1.9e,1.9f,1.9g,2.9h,1.9i,1.9j,1.9k,1.9l,1.9m,3.9n,5.9o,1.9p,1.9q,1.9r,2.9s,1.9t,1.9u,1.9v,1.9w,1.9x,2.9y,1.9z,1.a0,1.a1,1.a2,1.a3,1.a4,1.a5,1.a6,1.a7,1.a8,1.a9,2.aa,1.ab,1.ac,1,8.ad,1.ae,1.af,1.ag,3.ah,1.ai,2.aj,1.ak,1.al,1.am,1.an,2.ao,1.ap,4.aq,2.ar,1.as,1.at,1.au,2.av,d.aw,2.ax,1.ay,1,5.az,1.b0,1.b1,5.b2,4.b3,1.b4,1,1.b5,2.b6,2.b7,2.b8,2.b9,1.ba,2.bb,1,3.bc,1.bd,1.be,3.bf,1.bg,1.bh,1.bi,1.bj,1.bk,1.bl,2.bm,1,1.bn,1.bm,1.bo,1.bp,3.bq,1,1.br,2.bs,1.bt,2.bu,1.bv,2.bw,2.bx,1,1.by,2.bz,1.c0,3.c1,1.c2,1.c3,2.c4,1.c5,1.c6,1.c7,1.c8,1.c9,1.ca,2.cb,1.cc,1.cd,1.ce,1.cd,1.ce,2.cf,2.cg,1*5,1.ch,1.cg,1*7,1.ci,1.cj,1.cg,1*3,1.ck,1.cj,1.cg,1*6,1.cl,1.cj,1.cm,1.cg,1,1.cn,1.co,1.cp,1.cq,1.cr,1.cs,1.ct,1.cg,1,1.cu,1.cv,1.cw,2.cn,t.cx,3.cg,4.cy,3.cg,1*7,2,1*2,2.cz,1.d0,1.d1,7.d2,1.d3,1.d4,2.d5,1.d6,1.d7,1.d8,4.d9,1*2,1.da,6.db,1.dc,1.dd,1.de,1.df,1.dg,1.dh,1,3.di,1.dj,1.di,1,7.dk,1.dl,2.dm,1.dn,1.do,1.dp,2,2.dq,2.dr,2.ds,1.dt,1.du,4.dv,2.dw,1.dx,1.dy,1.dz,1.e0,2.e1,2.e2,1.e3,1,3.e4,1.e5,1.e6,1.e7,d.e8,1*g,2,1*3,3,1,2,5,1.e9,12.e8,l.ea,3.e8,2,1,2.eb,1.ec,1.ed,1.ee,1.ef,1.eg,2.eh,2.ei,1.ej,1.ek,1.el,2.em,1.en,1.eo,1.ep,2.eq,2.er,1.es,1.et,1.eu,2.ev,1.ew,1.ex,1.ey,1.ez,1.f0,4.f1,1.f2,1.f3,1.f4,1.f5,1.f6,1.f7,1.f8,1.f9,1.fa,1.fb,3.fc,1.fd,1.fe,1.ff,1.fg,1.fh,1.fi,5.fj,a.fk,1.fl,2.fm,8.fn,1*5,2,2.fo,1.fp,1.fq,1.fr,8.fs,1*6,2,1*6,14,1a.ft,5.fu,1.fv,1.fw,1.fx,1.fy,1.fz,1.g0,1.g1,1.g2,1.g3,2.g4,1.g5,1.g6,1.g7,1.g8,1.g9,2.ga,1.gb,1.gc,1.gd,1.ge,1.gf,1.gg,1.gh,1.gi,1.gj,1.gk,2.gl,1.gm,1.gn,1.go,1.gp,1.gq,2.gr,1.gs,1.gt,1.gu,1*2,2.gv,1.gw,1.gx,1.gy,1.gz,2.h0,1.h1,2.h2,1.h3,1.h4,1.h5,1.h6,2.h7,1.h8,1.h9,2.ha,1.hb,1.hc,1.hd,3.he,1.hf,1.hg,1.hh,1.hi,1.hj,1.hk,1.hl,1.hm,2.hn,2.ho,1.hp,1.hq,1.hr,1.hs,2.ht,2.hu,2.hv,2.hw,2.hx,1*a,3,4,2.hy,1.hx,9.hz,5.hx,f,h,w,3.i0,2.i1,1.i2,2.i3,2.i4,2.i5,2.i6,1.i7,1.i8,1.i9,1.ia,1.ib,2.ic,2.id,2.ie,1.if,1.ig,1.ih,1.ii,2.ij,3.ik,3.il,1.im,1.in,1.io,1.ip,1.iq,1.ir,1.is,1.it,1.iu,1.iv,1.iw,1.ix,1.iy,1.iz,1.j0,2.j1,1.j2,1.j3,1.j4,1.j5,2.j6,1.j7,1.j8,1.j9,2.ja,1.jb,1.jc,1.jd,3.je,1,3.jf,1.jg,3.jh,2.ji,1.jj,1.jk,1.jl,4.jm,1.jn,1.jo,1.jn,b.jp,1*6,2k,2.jq,1.jr,1.js,1.jt,1.ju,6.jv,1*2,1.jw,1.jv,3.jw,7.jv,1,4.jx,2.jy,1.jz,1.k0,2.k1,3.k2,1.k3,1.k4,1.k5,1*2,6.k6,1.k7,1.k8,1.k9,1.ka,1.kb,1.kc,5.kd,1.ke,1.kf,1.kg,1.kh,1.ki,1.kj,1.kk,1.kl,1.km,1.kl,u.kn,1.ko,1.kp,2.kq,1.kr,1.ks,3.kt,1.ku,1.kv,1.kw,1.kx,1.ky,3.kz,1.l0,1.l1,1.l2,1.l3,1.l4,7.l5,1.l6,1.l7,1.l8,2.l9,3.la,2.lb,2.lc,2.ld,1.le,1.lf,1.lg,1.lh,2.li,2.lj,1.lk,1.ll,1.lm,1.ln,1.lo,1.lp,1.lq,1.lr,2.ls,2.lt,2.lu,1.lv,1.lw,1.lx,2.ly,1.lz,2.m0,2.m1,1.m2,o.m3,1*8,2,1*g,1.m4,1.m3,1*q,3,4,1*2,3,1*4,2,1*2,2,3,g,2,1,2.m5,1.m6,1.m7,1.m8,1.m9,1.ma,1.mb,1.mc,1.md,1.me,1.mf,1.mg,2.mh,1.mi,1.mj,1.mk,1.ml,1.mm,1.mn,1.mo,1.mp,1.mq,1.mr,1.ms,1.mt,1.mu,1.mv,2.mw,1.mx,1.my,1.mz,1.n0,1.n1,1.n2,1.n3,1.n4,1.n5,1.n6,1.n7,1.n8,1,1.n9,1.na,1.nb,1.nc,1.nd,1.ne,1.nf,1.ng,1.nh,1.ni,1.nj,2.nk,2.nl,1.nm,1.nn,1.no,1.np,1.nq,2.nr,2,1.ns,1.nt,1.nu,1.nv,1.nw,1.nx,1,3.ny,1.nz,2.o0,1.o1,1.o2,1.o3,1.o4,1.o5,2.o6,1.o7,1.o8,1.o9,a.oa,1*6,2,1*2,2,1*8,2,1*2,2,1*9,2*2,1*2,7,1,5,4,1,4,6,1,5,4,2,1,8,b.ob,1*5,2n.oc,b.od,1.oe,1.of,2.og,1.oh,1.oi,1.oj,1.ok,1.ol,1.om,1.on,1.oo,4.op,1.oq,1.or,1.os,2.ot,1.ou,2.ov,2.ow,2.ox,2.oy,1.oz,1.p0,1.p1,1.p2,1.p3,1.p4,2.p5,1.p6,1.p7,1.p8,1.p9,2.pa,1.pb,1.pc,1.pd,1.pe,1.pf,1.pg,1.ph,6.pi,2.pj,1.pk,1.pl,1.pm,1.pn,2.po,1.pp,1.pq,1.pr,1.ps,1.pt,1.pu,1.pv,1.pw,1.px,1.py,1.pz,2.q0,2.q1,1.q2,1.q3,1.q4,1.q5,1.q6,1.q7,1.p4,2.q8,9.q9,1.qa,1.qb,1.qc,1.qd,1.qe,1.qf,1.qg,2.qh,1.qi,1.qj,2.qk,1.ql,3.qm,2.qn,3.qo,2.qp,1.qq,4.qr,1.qs,1.qt,1.qu,1.qv,1.qw,1.qx,1.qy,4.qz,a.r0,1.r1,3.r2,2.r3,1.r4,1.r5,1.r6,1.r7,1.r8,1.r9,1.ra,2.rb,1.rc,1.rd,1.re,1.rf,1.rg,2.rh,1.ri,1.rj,2.rk,1.rl,1.rm,1.rn,c.ro,1,2,1*3,1.rp,1.rq,1.rr,2.rs,1.rt,1.ru,1.rv,1.rw,1.rx,2.ry,1.rz,1.s0,1.s1,4.s2,1.s3,1.s4,2.s5,1.s6,1.s7,1.s8,2.s9,1.sa,1.sb,1.sc,1.sd,1,1.se,2.sf,1.sg,1.sh,1.si,2.sj,1.sk,1.sl,1.sm,2.sn,1.so,1.sp,1.sq,2.sr,1.ss,1.st,1.su,1.sv,1.sw,1.sx,1.sy,1.sz,1.t0,1.t1,1.t2,1.t3,1.t4,1.t5,1.t6,1.t7,1.t8,1.t9,1.ta,2.tb,1.tc,1.td,1.te,1.tf,1.tg,1.th,1.ti,1.tj,1.tk,1.tl,1.tm,1.tn,2.to,1.tp,1.tq,1.tr,1.ts,1.tt,1.tu,2s.m3'],
+    OK: ['Albert|Alex|Edmond|Amber|Anadarko|Apache|Arcadia|Bethany|Binger|Blanchard|Bradley|Calumet|Carnegie|Cashion|Cement|Chickasha|Norman|Choctaw|Colony|Concho|Corn|Coyle|Crescent|Cyril|Davis|Dibble|Dougherty|Eakly|El Reno|Fort Cobb|Geary|Gotebo|Gracemont|Greenfield|Guthrie|Harrah|Hinton|Hydro|Jones|Langston|Lexington|Lindsay|Lookeba|Luther|Marlow|Marshall|Maysville|Meridian|Minco|Morrison|Mountain View|Mulhall|Mustang|Newcastle|Nicoma Park|Ninnekah|Noble|Orlando|Paoli|Pauls Valley|Perry|Piedmont|Pocasset|Purcell|Rush Springs|Spencer|Yukon|Sulphur|Tuttle|Union City|Verden|Washington|Washita|Wayne|Weatherford|Wheatland|Wynnewood|Oklahoma City|Ardmore|Countyline|Burneyville|Coleman|Elmore City|Foster|Fox|Gene Autry|Graham|Healdton|Kingston|Lebanon|Leon|Loco|Lone Grove|Hennepin|Madill|Mannsville|Marietta|Mead|Milburn|Overbrook|Ravia|Ringling|Springer|Thackerville|Tishomingo|Wapanucka|Wilson|Ratliff City|Tatums|Tussy|Velma|Lawton|Fort Sill|Addington|Altus|Altus Afb|Blair|Cache|Chattanooga|Comanche|Davidson|Devol|Duke|Duncan|Eldorado|Elgin|Elmer|Faxon|Fletcher|Frederick|Geronimo|Gould|Grandfield|Granite|Hastings|Headrick|Hollis|Hollister|Indiahoma|Loveland|Mangum|Manitou|Martha|Medicine Park|Meers|Mountain Park|Olustee|Oscar|Randlett|Roosevelt|Ryan|Snyder|Sterling|Temple|Terral|Tipton|Vinson|Walters|Waurika|Clinton|Arapaho|Bessie|Burns Flat|Butler|Canute|Carter|Cheyenne|Cordell|Crawford|Custer City|Dill City|Durham|Elk City|Erick|Fay|Foss|Hammon|Hobart|Leedey|Lone Wolf|Oakwood|Putnam|Reydon|Rocky|Sayre|Seiling|Sentinel|Sweetwater|Taloga|Texola|Thomas|Willow|Enid|Aline|Alva|Ames|Amorita|Bison|Burlington|Canton|Carmen|Carrier|Cherokee|Cleo Springs|Covington|Dacoma|Douglas|Dover|Drummond|Fairmont|Fairview|Garber|Goltry|Helena|Hennessey|Hillsdale|Hitchcock|Hopeton|Isabella|Jet|Kingfisher|Kremlin|Lahoma|Longdale|Loyal|Lucien|Manchester|Medford|Meno|Nash|Okarche|Okeene|Omega|Pond Creek|Ringwood|Southard|Wakita|Watonga|Waukomis|Woodward|Arnett|Buffalo|Camargo|Chester|Fargo|Fort Supply|Freedom|Gage|Gate|Laverne|May|Mooreland|Mutual|Rosston|Sharon|Shattuck|Vici|Waynoka|Adams|Balko|Beaver|Boise City|Felt|Forgan|Goodwell|Guymon|Hardesty|Hooker|Kenton|Keyes|Texhoma|Turpin|Tyrone|Avant|Barnsdall|Bartlesville|Bixby|Bristow|Broken Arrow|Catoosa|Chelsea|Claremore|Cleveland|Collinsville|Copan|Cushing|Davenport|Delaware|Depew|Dewey|Drumright|Foyil|Glencoe|Glenpool|Hallett|Hominy|Inola|Jenks|Jennings|Kellyville|Kiefer|Lenapah|Leonard|Mannford|Maramec|Milfay|Mounds|Nowata|Oakhurst|Ochelata|Oilton|Oologah|Osage|Owasso|Pawhuska|Pawnee|Perkins|Prue|Ramona|Ripley|Sand Springs|Sapulpa|Shamrock|Skiatook|Slick|S Coffeyville|Sperry|Stillwater|Stroud|Talala|Terlton|Vera|Wann|Wynona|Yale|Tulsa|Abumps|First Natl Bank Mail Service|Vinita|Adair|Afton|Big Cabin|Bluejacket|Cardin|Chouteau|Colcord|Commerce|Disney|Eucha|Fairland|Grove|Jay|Kansas|Ketchum|Langley|Locust Grove|Miami|North Miami|Oaks|Picher|Pryor|Quapaw|Rose|Salina|Spavinaw|Strang|Twin Oaks|Welch|Wyandotte|Muskogee|Beggs|Boynton|Braggs|Canadian|Checotah|Cookson|Council Hill|Coweta|Crowder|Dewar|Eufaula|Fort Gibson|Gore|Haskell|Henryetta|Hitchita|Hoyt|Hulbert|Indianola|Moodys|Morris|Okay|Okmulgee|Oktaha|Park Hill|Peggs|Porter|Porum|Preston|Proctor|Redbird|Rentiesville|Schulter|Stidham|Stigler|Taft|Tahlequah|Wagoner|Wainwright|Warner|Webbers Falls|Welling|Whitefield|Mcalester|Albion|Alderson|Antlers|Atoka|Blanco|Blocker|Bromide|Calvin|Caney|Centrahoma|Clarita|Clayton|Coalgate|Daisy|Finley|Gowen|Haileyville|Hartshorne|Kiamichi Christian Mission|Kinta|Kiowa|Krebs|Lane|Lehigh|Moyers|Nashoba|Panola|Pittsburg|Quinton|Rattan|Red Oak|Savanna|Snow|Stringtown|Stuart|Talihina|Tupelo|Tuskahoma|Wardville|Whitesboro|Wilburton|Ponca City|Billings|Blackwell|Braman|Burbank|Deer Creek|Fairfax|Hunter|Kaw City|Lamont|Marland|Nardin|Newkirk|Ralston|Red Rock|Shidler|Tonkawa|Durant|Achille|Albany|Battiest|Bennington|Bethel|Bokchito|Boswell|Broken Bow|Caddo|Calera|Cartwright|Colbert|Eagletown|Fort Towson|Garvin|Golden|Grant|Haworth|Hendrix|Hugo|Idabel|Kemp|Kenefic|Millerton|Pickens|Platter|Ringold|Rufe|Sawyer|Soper|Spencerville|Swink|Valliant|Wright City|Shawnee|Seminole|Ada|Agra|Allen|Asher|Atwood|Boley|Bowlegs|Byars|Carney|Castle|Chandler|Connerville|Cromwell|Dustin|Earlsboro|Fittstown|Fitzhugh|Francis|Hanna|Holdenville|Konawa|Lamar|Mcloud|Macomb|Maud|Meeker|Mill Creek|Newalla|Okemah|Paden|Prague|Roff|Saint Louis|Sasakwa|Sparks|Stonewall|Stratford|Tecumseh|Tryon|Wanette|Weleetka|Wellston|Wetumka|Wewoka|Arkoma|Pocola|Bokoshe|Bunch|Cameron|Fanshawe|Gans|Heavener|Hodgen|Howe|Keota|Leflore|Lequire|Mccurtain|Marble City|Moffett|Monroe|Muldrow|Muse|Panama|Poteau|Roland|Sallisaw|Shady Point|Smithville|Spiro|Stilwell|Vian|Watson|Watts|Westville|Wister',
+         '1kbt.0,1.1,1.2,1.3,1.4,1.5,1.6,1.7,1.8,1.9,1.a,1.2,1,1.b,1.c,1.d,1.e,1.f,1.g,1.h,1.i,1.j,1.f,1.k,1.2,1.g,1.l,1.m,1.n,1.o,1.p,1.q,1.r,1.2,2.s,2.t,1.o,1.u,1.v,1.w,1.x,1.y,1.z,2.10,1.11,1.12,1.13,1.14,1.15,1.16,1.17,1.18,1.19,1.1a,1.1b,1.1c,2.1d,1.1e,1.1f,1.1g,1.1h,1.1i,1.1j,1.1k,1.g,1*3,1.1l,1.1m,1.1n,2.1o,1.1p,1.1q,1.1r,2.1s,1.2,1.1t,1.1u,1.1v,3.1w,1.1x,2.1y,1.1z,1.20,1.21,1.22,1.23,1.24,1.1u,2.25,1*v,2,1*3,2,1*i,2,1,2,1*3,2*2,1,2,1,5,1,5,1,4,1,3,1*6,5m.26,1*2,m.27,5.28,2.29,1.2a,1.2b,1.2c,1.2d,1.2e,1.2f,1.2g,1.2h,1.2i,1.2j,1.2k,1.2l,2.2m,1.2n,1.2o,1.2p,1.2q,1.26,2.2r,1.26,1.2s,1.2t,2.2u,1.2v,1.2w,1.2x,2.2y,i.2z,6.30,1.31,3.32,a.33,1,1.34,2.33,1*2,d.35,1.36,1,1.37,3.38,1.39,1.3a,1.3b,1.3c,1.3d,1.3e,1.3f,1,2,1.3g,1.3h,1.3i,1.3j,1.3k,1.3l,1.3m,1.3n,2.3o,1.3p,1.3q,1.3r,1.3s,1.3t,1.3u,1.3v,1.3w,1.3x,1.3y,1.3z,1.40,1.41,1.42,1.43,1.44,2.45,1.46,1.47,1.48,1.49,1.4a,1.4b,1.4c,1.4d,1.4e,s.4f,j.4g,2.4h,2.4i,1.4j,1.4k,1.4l,1.4m,4.4n,6.4o,1.4p,2.4q,1.4r,2.4s,1.4t,1.4u,1.4v,1.4s,2.4w,1.4x,3.4y,1.4z,3.50,1.51,1.52,1.53,1.54,1.55,1.56,2.57,1.58,1.59,1.5a,4.5b,s.5c,1*2,2,1,a.5d,1.5e,1.5f,1.5g,1.5h,2.5i,2.5j,2.5k,1.5l,1.5m,1.5n,1.5o,1.5p,2.5q,1.5r,1.5s,1.5t,1.5u,1.5v,1.5w,2.5x,1.5y,1.5z,1.60,2.61,1.62,2.63,1.64,3.65,1.66,1.67,1.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,1.6f,1.6g,2.6h,2.6i,2.6j,1.6k,1.6l,1.6m,s.6n,1,u.6o,2.6p,1.6q,3.6r,2.6s,1.6t,1.6u,1.6v,1.6w,4.6x,3.6y,1.6z,1.70,2.71,2.72,1.73,1.74,1.75,15.76,u.77,1.78,1.79,4.7a,1.7b,1.7c,3.7d,2.7e,1.7f,1.7g,1.7h,2.7i,1.7j,1.7k,1e.7l,1.7m,1.7n,1*3,2.7o,2.7p,1.7q,1*3,1.7r,1.7s,1.7t,1*2,1.7u,1.7v,1.7w,1.7x,3.7y,1.7z,1.80,1.81,1.82,1.83,1.84,1.85,1.86,1.87,1.88,1.89,1.8a,1.8b,2.8c,1.8d,1.8e,1.8f,1.8g,1.8h,1.8i,1.8j,2.8k,1.8l,1.8m,1.8n,1.8o,1.8p,1.8q,2.8r,1.8s,1.8t,1.8u,1.8v,1.8w,3.8x,1,1.8y,2.8z,1.90,1.91,1.92,1.93,1*4,1.94,1.95,1.96,1.97,1.98,1.99,1.9a,g.9b,1*7,2*3,1*3,2,1*2,5,1*b,4*2,1*5,2,1,2,1*4,a,1*3,a,4,1,2.9c,3.9b,1,1.9d,2z.9e,t.9f,1.9g,1.9h,1.9i,2.9j,2.9k,1.9l,1.9m,1.9n,2.9o,1.9p,1.9q,1,1.9r,1.9s,2.9t,1.9u,2.9v,2.9w,1,3.9x,1.9y,1.9z,1.a0,1,1.a1,1.a2,1.a3,1.a4,1.a5,1.a6,1.a7,1.a8,v.a9,1*2,i.aa,1.ab,1.ac,2.ad,1.ae,1.af,1.ag,1.ah,1.ai,1.aj,1.ak,2.al,1.am,1.an,1.ao,1.ap,1.ac,1.aq,1.ar,1.as,2.at,1.au,1.av,1.aw,3.ax,1.ay,1.az,2.b0,1.b1,1.b2,1.b3,1.b4,1.b5,1.b6,1.b7,1.b8,1.b9,1.ba,1,2.bb,1.bc,1.bd,1.be,1.bf,1.bg,5.bb,o.bh,1,j.bi,1.bj,1.bk,2.bl,3.bm,1.bn,1.bo,1.bp,2.bq,1.br,1.bs,1.bt,2.bu,2.bv,2.bl,1.bw,2.bx,1.by,1.bz,2.c0,3.c1,1.c2,1.c3,1.c4,1.c5,1.c6,1.c7,1.c8,1.c9,1.ca,1.cb,1.cc,2.cd,2.ce,2.cf,1.cg,1.ch,1.ci,2.cj,2.ck,1.cl,1.cm,n.cn,1,2,q.co,1.cp,1.cq,1.cr,3.cs,1.ct,3.cu,1.cv,2.cw,1.cx,2.cy,1.cz,3.d0,1.d1,1.d2,1.d3,1c.d4,1,i.d5,1.d6,1.d7,1.d8,1.d9,2.da,1.db,1.dc,1.dd,1.de,1.df,2.dg,1.dh,1.di,1.dj,1.dk,1.dl,2.dm,1.dn,2.do,2.dp,2.dq,1.dr,2.ds,2.dt,1.du,1.dv,1.dw,1.dx,3.dy,1.dz,1.e0,3.e1,2.e2,z.e3,1,2,e.e4,2.e5,1,3.e6,1.e7,1.e8,1.e9,2.ea,1.eb,1.ec,1.ed,1.ee,1.ef,2.eg,1.eh,2.ei,1.ej,2.ek,1.el,1.em,1.en,3.eo,1.ep,1.eq,1.er,1.es,2.et,1.eu,1.ev,1.ew,2.ex,1.ey,4.ez,1.f0,1.f1,1.f2,1.e4,1.f3,2.f4,1.f5,1.f6,2.f7,3.f8,2.f9,1.fa,2.fb,1.fc,h.fd,1.fe,s.ff,1.fg,1.fh,3.fi,1.fj,1.fk,2.fl,1.fm,1.fn,1.fo,1.fp,1.fq,1.fr,1.fs,1.ft,1.fu,1.fv,2.fw,2.fx,1.fy,1.fz,1.g0,1.g1,2.g2,1.g3,2.g4,1.g5,1.g6,1.g7,1.g8'],
+    OR: ['Antelope|Aurora|Beaverton|Beavercreek|Boring|Bridal Veil|Brightwood|Canby|Cascade Locks|Clackamas|Clatskanie|Colton|Columbia City|Corbett|Donald|Dufur|Eagle Creek|Estacada|Fairview|Gervais|Gladstone|Government Camp|Grass Valley|Gresham|Hood River|Hubbard|Kent|Lake Oswego|Marylhurst|Maupin|Molalla|Moro|Mosier|Mount Hood Parkdale|Mulino|Odell|Oregon City|Rainier|Rhododendron|Rufus|Saint Helens|Warren|Deer Island|Sandy|Scappoose|Shaniko|The Dalles|Troutdale|Tualatin|Tygh Valley|Vernonia|Wasco|Welches|West Linn|Wilsonville|Woodburn|First Consumers Nat Bank|Happy Valley|Damascus|Amity|Arch Cape|Astoria|Banks|Bay City|Beaver|Buxton|Cannon Beach|Carlton|Cloverdale|Cornelius|Dayton|Dundee|Forest Grove|Gales Creek|Garibaldi|Gaston|Hammond|Hebo|Hillsboro|Manning|Lafayette|Mcminnville|Manzanita|Nehalem|Newberg|North Plains|Oceanside|Pacific City|Rockaway Beach|Saint Paul|Seaside|Sherwood|Tillamook|Netarts|Timber|Tolovana Park|Warrenton|Wheeler|Yamhill|Neskowin|Portland|Us West|Us Bank|Gen Electric|Nw Natural|Abmps|Salem|Keizer|State Farm Ins|Albany|Alsea|Aumsville|Blodgett|Brownsville|Cascadia|Corvallis|Crabtree|Crawfordsville|Dallas|Depoe Bay|Detroit|Eddyville|Falls City|Foster|Gates|Grand Ronde|Halsey|Idanha|Independence|Jefferson|Lebanon|Logsden|Lyons|Mill City|Monmouth|Mount Angel|Neotsu|Newport|South Beach|Lincoln City|Otis|Otter Rock|Philomath|Rickreall|Saint Benedict|Scio|Scotts Mills|Seal Rock|Shedd|Sheridan|Siletz|Silverton|Stayton|Mehama|Sublimity|Sweet Home|Gleneden Beach|Tangent|Tidewater|Toledo|Turner|Waldport|Willamina|Eugene|Agness|Allegany|Alvadore|Azalea|Bandon|Blachly|Blue River|Broadbent|Brookings|Camas Valley|Canyonville|Cheshire|Coos Bay|Coquille|Cottage Grove|Cascade Summit|Creswell|Culp Creek|Curtin|Days Creek|Deadwood|Dexter|Dillard|Dorena|Drain|Elkton|Elmira|Fall Creek|Florence|Gardiner|Glendale|Glide|Gold Beach|Harrisburg|Idleyld Park|Junction City|Lakeside|Langlois|Lorane|Lowell|Mapleton|Marcola|Pleasant Hill|Monroe|Myrtle Creek|Myrtle Point|North Bend|Noti|Oakland|Oakridge|Ophir|Port Orford|Powers|Reedsport|Riddle|Roseburg|Saginaw|Scottsburg|Springfield|Sixes|Sutherlin|Swisshome|Tenmile|Thurston|Tiller|Umpqua|Veneta|Vida|Walterville|Walton|Wedderburn|Westfir|Westlake|Wilbur|Winchester|Winston|Wolf Creek|Yachats|Yoncalla|Medford|Central Point|White City|Ashland|Butte Falls|Cave Junction|Eagle Point|Gold Hill|Grants Pass|Jacksonville|Kerby|Merlin|Murphy|O Brien|Phoenix|Prospect|Rogue River|Selma|Shady Cove|Talent|Trail|Wilderville|Williams|Klamath Falls|Crater Lake|Adel|Beatty|Bly|Bonanza|Chiloquin|Dairy|Fort Klamath|Keno|Lakeview|Malin|Merrill|Midland|New Pine Creek|Paisley|Plush|Silver Lake|Sprague River|Summer Lake|Christmas Valley|Bend|Fields|Ashwood|Brothers|Burns|Princeton|Diamond|Camp Sherman|Chemult|Crane|Crescent|Culver|Fort Rock|Frenchglen|Gilchrist|Hines|La Pine|Madras|Mitchell|Paulina|Post|Powell Butte|Prineville|Redmond|Riley|Sisters|Terrebonne|Warm Springs|Pendleton|Adams|Arlington|Athena|Baker City|Bates|Boardman|Bridgeport|Canyon City|Condon|Cove|Dayville|Echo|Elgin|Enterprise|Fossil|Haines|Halfway|Helix|Heppner|Hereford|Hermiston|Lexington|Oxbow|Imbler|Imnaha|Ione|Irrigon|John Day|Joseph|Kimberly|La Grande|Long Creek|Lostine|Meacham|Mikkalo|Milton Freewater|Monument|Mount Vernon|North Powder|Pilot Rock|Prairie City|Richland|Seneca|Spray|Stanfield|Summerville|Sumpter|Ukiah|Umatilla|Union|Unity|Wallowa|Weston|Adrian|Arock|Brogan|Drewsey|Durkee|Harper|Huntington|Ironside|Jamieson|Jordan Valley|Juntura|Nyssa|Ontario|Riverside|Vale|Westfall',
+         '22uh.0,1.1,1.2,1.3,1.2,1*3,1.4,1.5,1.6,2.7,1.8,1.9,1.a,1.b,1.c,1.d,1.e,1.f,1.g,1.h,1.i,2.j,1.k,1.l,1.m,1.n,1.o,1.p,1.q,1.r,1,1.s,1.t,1.u,1.v,1.w,1.x,1.y,2.z,1.10,3.11,1.12,1.13,1.14,2.15,1.16,1.17,1.18,1.19,1.1a,2.1b,2.1c,1.1d,1.1e,1.1f,2.1g,1.1h,2.1i,1.1j,4.2,1*2,1.1k,2.n,6.1l,3.1m,c.1n,1.1o,1.1p,3.1q,1.1r,1.1s,1.1t,1.1u,1.1v,1.1w,1.1x,1.1y,1.1z,1.20,1.21,1.22,1.23,2.24,1.25,1.26,1,1.27,2.28,1.29,2.2a,1.2b,1.2c,1.2d,1.2e,1.2f,1.2g,1.2h,1.2i,2.2j,1.2k,2.2l,1.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1g.2s,1*o,2,1*6,3,2,1*2,2,8,1.2t,1.2s,1.2u,1.2v,1.2w,1.2s,2,8,1*3,2.2x,1.2s,8,1*3,3,4,1*4,2*2,1,2.2y,1*5,1.2z,1.2y,1*4,1.30,1.2y,3,4.31,1,2.32,1.33,1.34,1.35,2.36,1.37,1,2,2.38,1.39,2.3a,1.37,2.3b,1.3c,1.3d,1.3e,1.3f,1.3g,1.3h,1.3i,2.3j,1.3k,1.3l,3.3m,2.3n,1.3o,2.3p,1.3q,1.3r,2.3s,1.3t,1.3u,1.3v,1.3w,1.3x,1.3y,1.3z,1.3v,1.40,1.41,1.42,1.43,1.44,1.45,2.46,1.47,2.48,1.49,1.4a,1.4b,2.4c,1.4d,1.4e,1.4f,1.4g,2.4h,2.4i,5.4j,1*4,1.4k,1.4l,1.4j,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,2.4v,1.4w,3.4x,1.4y,1.4z,1.50,1.51,1.52,1.53,1.54,1.55,1.56,2.57,1.58,1.59,1.5a,1.5b,1.5c,1.4j,1.5d,1.5e,1.5f,1.5g,2.5h,1.5i,1.5j,1.5k,1.5l,1.5m,1.5n,1.5o,1.5p,1.5q,1.5r,1.5s,1.5t,1.5u,2.5v,1.5w,1.5x,1.5y,1.5z,1.60,1.61,2.62,1.63,1,1.64,1.65,2.66,1.67,1.66,1,1.68,1.69,1.6a,1.6b,2.6c,2.6d,1.6e,1.6f,1.6g,1.6h,1.6i,1.6j,1.6k,1.6l,1.6m,1.6n,1.6o,1.6p,1.6q,2.6r,1.6s,1.6t,1.6r,g.6u,2.6v,1.6w,1.6x,1.6y,1.6z,1*2,2.70,1.71,1.72,1.73,1.74,1.75,1.76,1.77,1.78,1.79,1.7a,1.7b,2.7c,1.7d,1l.7e,1*2,1.7f,g.7g,1.7h,1.7i,1.7j,1.7k,1.7l,1.7m,1.7n,3.7o,2.7p,1.7q,1.7r,1.7s,1.7t,1.7u,1.7v,1.7w,1.7x,1.7y,1o.7z,1*2,4,1*2,1.80,1.81,1.82,8.83,1.84,1.85,8.86,1.87,1.88,1.89,1.8a,1.8b,1.8c,1.8d,1.8e,1.8f,2.8g,9.8h,1.8i,1.8j,1.8k,1.8l,2.8m,2.8n,1.8o,1.8p,1.8q,14.8r,9.8s,2.8t,1.8u,1.8v,3.8w,1.8x,1.8y,1.8z,3.90,1.91,1.92,1.93,1.94,1.95,2.96,3.97,1.98,1.99,1.9a,1.9b,1.9c,1.9d,1.9e,1.9f,1.9g,1.9h,1.9i,1.9j,1.9k,2.9l,2.9m,6.9n,1.9o,2.9p,2.9q,1.9r,2.9s,1.9t,2.9u,1.9v,1.9w,1.9x,3.9y,1.9z,1.a0,1.a1,1.a2,3.a3,2.a4,1.a5,1.a6,1.a7,1.a8,f.a9,1.aa,1.ab,1.ac,1.ad,1.ae,1.af,1.ag,1.ah,1.ai,1.aj,2.ak,1.al,3.am,1.an,2.ao'],
+    PA: ['Aliquippa|Ambridge|Atlasburg|Baden|Bairdford|Bakerstown|Beaver|Beaver Falls|Belle Vernon|Brackenridge|Bradfordwoods|Bridgeville|Buena Vista|Bulger|Bunola|Burgettstown|Charleroi|Cheswick|Clairton|Clinton|Conway|Coulters|Creighton|Cuddy|Curtisville|Donora|Dravosburg|East Mc Keesport|Elizabeth|Elrama|Freedom|Georgetown|Gibsonia|Glassport|Crescent|Greenock|Harwick|Hookstown|Indianola|Industry|Joffre|Langeloth|Lawrence|Leetsdale|Mc Donald|Midland|Midway|Monaca|Monessen|Monongahela|Morgan|Natrona Heights|New Brighton|New Eagle|New Kensington|Oakdale|Pricedale|Rochester|Rural Ridge|Russellton|Shippingport|Slovan|South Heights|Sturgeon|Sutersville|Tarentum|Trafford|Warrendale|Webster|West Elizabeth|West Newton|Wexford|Wildwood|Allison Park|Bethel Park|Braddock|Carnegie|Coraopolis|Duquesne|East Pittsburgh|Glenshaw|Homestead|West Mifflin|Imperial|Ingomar|South Park|Mckeesport|Mc Kees Rocks|North Versailles|Oakmont|Pitcairn|Presto|Sewickley|Springdale|Turtle Creek|Monroeville|Verona|Wilmerding|Pittsburgh|Duguesne Light Co|Joseph Horne Co|Washington|Aleppo|Amity|Avella|Beallsville|Bentleyville|Bobtown|Brave|Canonsburg|Carmichaels|Cecil|Clarksville|Claysville|Cokeburg|Crucible|Dilliner|Prosperity|Eighty Four|Ellsworth|Finleyville|Fredericktown|Garards Fort|Gastonville|Graysville|Greensboro|Hendersonville|Hickory|Holbrook|Houston|Jefferson|Marianna|Mather|Meadow Lands|Millsboro|Mount Morris|Muse|Nemacolin|New Freeport|Nineveh|Rices Landing|Richeyville|Rogersville|Scenery Hill|Southview|Spraggs|Strabane|Sycamore|Taylorstown|Van Voorhis|Venetia|Vestaburg|Waynesburg|West Alexander|West Finley|Westland|West Middletown|Wind Ridge|Uniontown|Adah|Addison|Allenport|Allison|Brier Hill|Brownfield|Brownsville|California|Cardale|Chalk Hill|Chestnut Ridge|Coal Center|Confluence|Connellsville|Daisytown|Dawson|Denbo|Dickerson Run|Dunbar|Dunlevy|East Millsboro|Elco|Fairbank|Fairchance|Farmington|Fayette City|Gans|Gibbon Glade|Grindstone|Hibbs|Hiller|Hopwood|Indian Head|Isabella|Jacobs Creek|Keisterville|La Belle|Lake Lynn|Leckrone|Leisenring|Lemont Furnace|Mc Clellandtown|Markleysburg|Martin|Masontown|Melcroft|Merrittstown|Mill Run|Mount Braddock|Newell|New Geneva|New Salem|Normalville|Ohiopyle|Oliver|Perryopolis|Point Marion|Republic|Ronco|Roscoe|Smithfield|Smithton|Smock|Star Junction|Stockdale|Uledi|Ursina|Vanderbilt|Waltersburg|West Leisenring|White|Wickhaven|Somerset|Hidden Valley|Acosta|Alum Bank|Bedford|Berlin|Boswell|Boynton|Breezewood|Buffalo Mills|Clearville|Crystal Spring|Everett|Fairhope|Fishertown|Fort Hill|Friedens|Garrett|Gray|Hyndman|Jenners|Jennerstown|Kantner|Listie|Manns Choice|Markleton|Meyersdale|New Baltimore|New Paris|Quecreek|Rockwood|Salisbury|Schellsburg|Shanksville|Sipesville|Springs|Stoystown|Wellersburg|West Salisbury|Greensburg|Acme|Adamsburg|Alverton|Apollo|Ardara|Armbrust|Arona|Avonmore|Bovard|Bradenville|Calumet|Champion|Claridge|Crabtree|Darragh|Delmont|Derry|Donegal|East Vandergrift|Everson|Export|Forbes Road|Grapeville|Hannastown|Harrison City|Herminie|Hostetter|Hunker|Hutchinson|Hyde Park|Irwin|Jeannette|Jones Mills|Larimer|Latrobe|Laughlintown|Leechburg|Ligonier|Lowber|Loyalhanna|Luxor|Madison|Mammoth|Manor|Mount Pleasant|Murrysville|New Alexandria|New Derry|New Stanton|North Apollo|Norvelt|Penn|Pleasant Unity|Rector|Rillton|Ruffs Dale|Salina|Saltsburg|Schenley|Scottdale|Slickville|Southwest|Spring Church|Stahlstown|Tarrs|United|Vandergrift|Wendel|Westmoreland City|Whitney|Wyano|Youngstown|Youngwood|Yukon|Indiana|Alverda|Anita|Arcadia|Aultman|Northern Cambria|Big Run|Black Lick|Blairsville|Brush Valley|Burnside|Carrolltown|Chambersville|Cherry Tree|Clarksburg|Clune|Clymer|Commodore|Coolspring|Coral|Creekside|De Lancey|Dixonville|Elderton|Elmora|Emeigh|Ernest|Frostburg|Gipsy|Glen Campbell|Hamilton|Heilwood|Hillsdale|Home|Homer City|Josephine|Kent|La Jose|Lucernemines|Mc Intyre|Mahaffey|Marchand|Marion Center|Marsteller|Mentcle|Nicktown|Northpoint|Oliveburg|Penn Run|Punxsutawney|Ringgold|Rochester Mills|Rossiter|Saint Benedict|Shelocta|Spangler|Sprankle Mills|Starford|Timblin|Torrance|Valier|Walston|West Lebanon|Worthville|Du Bois|Benezett|Brandy Camp|Brockport|Brockway|Brookville|Byrnedale|Clarington|Corsica|Dagus Mines|Driftwood|Emporium|Falls Creek|Force|Johnsonburg|Kersey|Knox Dale|Luthersburg|Penfield|Reynoldsville|Ridgway|Rockton|Saint Marys|Sigel|Sinnamahoning|Stump Creek|Summerville|Sykesville|Troutville|Weedville|Wilcox|Johnstown|Armagh|Beaverdale|Belsano|Bolivar|Cairnbrook|Cassandra|Central City|Colver|Davidsville|Dilltown|Dunlo|Ebensburg|Elton|Hollsopple|Hooversville|Jerome|Lilly|Loretto|Mineral Point|Nanty Glo|New Florence|Parkhill|Portage|Revloc|Robinson|Saint Michael|Salix|Seanor|Seward|Sidman|South Fork|Strongstown|Summerhill|Tire Hill|Twin Rocks|Vintondale|Wilmore|Windber|Butler|Boyers|Branchton|Bruin|Cabot|Callery|Chicora|Connoquenessing|East Brady|East Butler|Eau Claire|Evans City|Fenelton|Forestville|Foxburg|Harmony|Harrisville|Herman|Hilliards|Karns City|Lyndora|Mars|North Washington|Parker|Petrolia|Portersville|Prospect|Renfrew|Saint Petersburg|Sarver|Saxonburg|Slippery Rock|Turkey City|Valencia|West Sunbury|Zelienople|Cranberry Twp|New Castle|Adamsville|Atlantic|Bessemer|Clark|Clarks Mills|Darlington|Edinburg|Ellwood City|Enon Valley|Farrell|Fombell|Fredonia|Greenville|Grove City|Hadley|Hartstown|Hillsville|Jackson Center|Jamestown|Koppel|Mercer|New Bedford|New Galilee|New Wilmington|Pulaski|Sandy Lake|Sharon|Hermitage|Sharpsville|Sheakleyville|Stoneboro|Transfer|Villa Maria|Volant|Wampum|West Middlesex|West Pittsburg|Wheatland|Kittanning|Adrian|Beyer|Cadogan|Callensburg|Clarion|Alltel|Cooksburg|Cowansville|Crown|Curllsville|Dayton|Distant|Fairmount City|Fisher|Ford City|Ford Cliff|Freeport|Hawthorn|Knox|Leeper|Limestone|Lucinda|Mc Grann|Manorville|Marienville|Mayport|New Bethlehem|Nu Mine|Oak Ridge|Plumville|Rimersburg|Rural Valley|Sagamore|Seminole|Shippenville|Sligo|Smicksburg|Snydersburg|Strattanville|Templeton|Vowinckel|Widnoon|Worthington|Yatesboro|Oil City|Carlton|Chandlers Valley|Clarendon|Cochranton|Conneaut Lake|Cooperstown|Cranberry|East Hickory|Endeavor|Franklin|Fryburg|Guys Mills|Hydetown|Irvine|Kossuth|Lickingville|Ludlow|Marble|Meadville|Pittsfield|Pleasantville|Polk|Reno|Rouseville|Russell|Seneca|Sheffield|Sugar Grove|Tidioute|Tiona|Tionesta|Titusville|Townville|Tylersburg|Utica|Venus|Warren|West Hickory|Youngsville|Clintonville|Emlenton|Kennerdell|Lamartine|Albion|Bear Lake|Cambridge Springs|Centerville|Columbus|Conneautville|Corry|Cranesville|East Springfield|Edinboro|Elgin|Fairview|Garland|Girard|Grand Valley|Harborcreek|Harmonsburg|Lake City|Linesville|Mc Kean|Mill Village|North East|North Springfield|Riceville|Saegertown|Spartansburg|Springboro|Spring Creek|Union City|Venango|Waterford|Wattsburg|West Springfield|Erie|Blair Return Center|Altoona|Alexandria|Ashville|Beccaria|Bellwood|Blandburg|Brisbin|Broad Top|Calvin|Cassville|Chest Springs|Claysburg|Coalport|Coupon|Cresson|Curryville|Defiance|Dudley|Duncansville|Dysart|East Freedom|Entriken|Fallentimber|Flinton|Gallitzin|Glasgow|Glen Hope|Hastings|Hesston|Hollidaysburg|Hopewell|Houtzdale|Huntingdon|Imler|Irvona|James Creek|Loysburg|Mc Connellstown|Madera|Martinsburg|Morann|New Enterprise|Newry|Osceola Mills|Osterburg|Patton|Petersburg|Queen|Ramey|Riddlesburg|Roaring Spring|Robertsdale|Saint Boniface|Sandy Ridge|Saxton|Six Mile Run|Smithmill|Smokerun|Sproul|Spruce Creek|Tipton|Todd|Tyrone|Waterfall|Wells Tannery|Westover|Williamsburg|Wood|Woodbury|Bradford|Austin|Crosby|Custer City|Cyclone|Derrick City|De Young|Duke Center|East Smethport|Eldred|Gifford|Hazel Hurst|James City|Kane|Lewis Run|Mount Jewett|Port Allegany|Rew|Rixford|Roulette|Shinglehouse|Smethport|Turtlepoint|State College|University Park|Aaronsburg|Allport|Beech Creek|Bellefonte|Bigler|Blanchard|Boalsburg|Centre Hall|Clarence|Clearfield|Coburn|Curwensville|Drifting|Fleming|Frenchville|Glen Richey|Grampian|Grassflat|Hawk Run|Howard|Hyde|Julian|Karthaus|Kylertown|Lamar|Lanse|Lecontes Mills|Lemont|Madisonburg|Milesburg|Millheim|Mineral Springs|Mingoville|Morrisdale|Moshannon|Munson|New Millport|Olanta|Orviston|Pennsylvania Furnace|Philipsburg|Pine Grove Mills|Port Matilda|Pottersdale|Rebersburg|Shawville|Snow Shoe|Spring Mills|Wallaceton|Warriors Mark|West Decatur|Winburne|Woodland|Woodward|Wellsboro|Alba|Arnot|Blossburg|Columbia Cross Roads|Coudersport|Covington|Cowanesque|Elkland|Gaines|Galeton|Genesee|Gillett|Granville Summit|Harrison Valley|Knoxville|Lawrenceville|Liberty|Mainesburg|Mansfield|Middlebury Center|Millerton|Mills|Morris|Morris Run|Nelson|Osceola|Sabinsville|Sylvania|Tioga|Troy|Ulysses|Westfield|Camp Hill|Allensville|Annville|Belleville|Berrysburg|Blain|Boiling Springs|Bowmansdale|Burnham|Campbelltown|Carlisle|Cocolamus|Cornwall|Dalmatia|Dauphin|Dillsburg|Duncannon|East Waterford|Elizabethtown|Elizabethville|Elliottsburg|Enola|Fredericksburg|Grantham|Grantville|Granville|Gratz|Halifax|Hershey|Highspire|Honey Grove|Hummelstown|Ickesburg|Jonestown|Kleinfeltersville|Landisburg|Lawn|Lebanon|Lemoyne|Lewistown|Liverpool|Loysville|Lykens|Mc Alisterville|Mechanicsburg|Mc Veytown|Mapleton Depot|Marysville|Mattawana|Mexico|Middletown|Mifflin|Mifflintown|Mill Creek|Millersburg|Millerstown|Milroy|Mount Gretna|Mount Holly Springs|Mount Union|Myerstown|New Bloomfield|New Buffalo|New Cumberland|New Germantown|New Kingstown|Newmanstown|Newport|Newton Hamilton|Oakland Mills|Ono|Palmyra|Pillow|Plainfield|Port Royal|Quentin|Reedsville|Rexmont|Richfield|Richland|Schaefferstown|Shermans Dale|Genco|Summerdale|Thompsontown|Wiconisco|Williamstown|Yeagertown|Harrisburg|Chambersburg|Amberson|Artemas|Big Cove Tannery|Blairs Mills|Blue Ridge Summit|Burnt Cabins|Concord|Doylesburg|Dry Run|Fannettsburg|Fayetteville|Fort Littleton|Fort Loudon|Greencastle|Harrisonville|Hustontown|Lemasters|Lurgan|Mc Connellsburg|Marion|Mercersburg|Mont Alto|Needmore|Neelyton|Newburg|Newville|Orbisonia|Orrstown|Pleasant Hall|Quincy|Rockhill Furnace|Rouzerville|Roxbury|Saint Thomas|Saltillo|Scotland|Shade Gap|Shady Grove|Shippensburg|Shirleysburg|South Mountain|Spring Run|State Line|Three Springs|Upperstrasburg|Walnut Bottom|Warfordsburg|Waynesboro|Williamson|Willow Hill|Zullinger|Abbottstown|Airville|Arendtsville|Aspers|Bendersville|Biglerville|Brogue|Cashtown|Codorus|Craley|Dallastown|Delta|Dover|East Berlin|East Prospect|Emigsville|Etters|Fairfield|Fawn Grove|Felton|Franklintown|Gardners|Gettysburg|Federal Communications Com|Glen Rock|Glenville|Hanover|Idaville|Lewisberry|Littlestown|Loganville|Mc Knightstown|Mc Sherrystown|Manchester|Mount Wolf|New Freedom|New Oxford|New Park|Orrtanna|Porters Sideling|Railroad|Red Lion|Rossville|Seven Valleys|Shrewsbury|Spring Grove|Stewartstown|Thomasville|Wellsville|Windsor|Wrightsville|York Haven|York New Salem|York Springs|Peach Glen|York|Akron|Bainbridge|Bart|Bausman|Bird In Hand|Blue Ball|Bowmansville|Brownstown|Christiana|Columbia|Conestoga|Denver|Drumore|East Earl|East Petersburg|Elm|Ephrata|Gap|Goodville|Gordonville|Holtwood|Hopeland|Intercourse|Kinzers|Kirkwood|Lampeter|Landisville|Leola|Lititz|Manheim|Marietta|Martindale|Maytown|Millersville|Mount Joy|Mountville|Narvon|New Holland|New Providence|Paradise|Peach Bottom|Penryn|Pequea|Quarryville|Reamstown|Refton|Reinholds|Rheems|Ronks|Lancaster|Silver Spring|Smoketown|Stevens|Strasburg|Talmage|Terre Hill|Washington Boro|West Willow|Willow Street|Witmer|Williamsport|Antes Fort|Avis|Cammal|Canton|Castanea|Cedar Run|Cogan Station|Cross Fork|Dewart|Eagles Mere|Grover|Hughesville|Hyner|Jersey Mills|Jersey Shore|Lairdsville|Linden|Lock Haven|Loganton|Mc Elhattan|Mc Ewensville|Mackeyville|Mill Hall|Montgomery|Montoursville|Muncy|Muncy Valley|North Bend|Picture Rocks|Ralston|Renovo|Roaring Branch|Salona|Shunk|Slate Run|Trout Run|Turbotville|Tylersville|Unityville|Waterville|Watsontown|Westport|Woolrich|Sunbury|Allenwood|Beaver Springs|Beavertown|Benton|Bloomsburg|Catawissa|Danville|Dornsife|Elysburg|Freeburg|Hartleton|Herndon|Hummels Wharf|Marion Heights|Kreamer|Kulpmont|Laurelton|Leck Kill|Lewisburg|Lightstreet|Locust Gap|Mc Clure|Middleburg|Mifflinburg|Millmont|Millville|Milton|Montandon|Mount Carmel|Mount Pleasant Mills|New Berlin|New Columbia|Northumberland|Numidia|Orangeville|Paxinos|Paxtonville|Penns Creek|Port Trevorton|Potts Grove|Coal Township|Rebuck|Riverside|Selinsgrove|Shamokin|Shamokin Dam|Snydertown|Stillwater|Swengel|Trevorton|Troxelville|Vicksburg|Washingtonville|Weikert|West Milton|White Deer|Wilburton|Winfield|Pottsville|Aristes|Ashland|Auburn|Branchdale|Brockton|Cressona|Cumbola|Frackville|Friedensburg|Gilberton|Girardville|Gordon|Hegins|Klingerstown|Landingville|Lavelle|Llewellyn|Locustdale|Lost Creek|Mahanoy City|Mahanoy Plane|Mar Lin|Mary D|Middleport|Minersville|Muir|New Philadelphia|New Ringgold|Orwigsburg|Pine Grove|Pitman|Port Carbon|Ravine|Ringtown|Sacramento|Saint Clair|Schuylkill Haven|Seltzer|Shenandoah|Spring Glen|Summit Station|Tower City|Tremont|Tuscarora|Valley View|Zion Grove|Lehigh Valley|Ackermanville|Alburtis|Aquashicola|Bangor|Bath|Bethlehem|Bowmanstown|Breinigsville|Catasauqua|Center Valley|Cherryville|Coopersburg|Coplay|Danielsville|Durham|Easton|East Greenville|East Texas|Emmaus|Flicksville|Fogelsville|Whitehall|Germansville|Green Lane|Hellertown|Hereford|Kunkletown|Laurys Station|Limeport|Macungie|Martins Creek|Nazareth|Neffs|New Tripoli|Northampton|Old Zionsville|Orefield|Palm|Palmerton|Pen Argyl|Pennsburg|Perkiomenville|Red Hill|Riegelsville|Schnecksville|Slatedale|Slatington|Springtown|Stockertown|Sumneytown|Tatamy|Treichlers|Trexlertown|Walnutport|Wind Gap|Zionsville|Allentown|Hazleton|Albrightsville|Andreas|Ashfield|Barnesville|Beaver Meadows|Coaldale|Conyngham|Delano|Drifton|Drums|Ebervale|Freeland|Harleigh|Jim Thorpe|Junedale|Kelayres|Lansford|Lattimer Mines|Lehighton|Mcadoo|Milnesville|Nesquehoning|Nuremberg|Oneida|Parryville|Quakake|Rock Glen|Saint Johns|Sheppton|Sugarloaf|Summit Hill|Sybertsville|Tamaqua|Tresckow|Weatherly|Weston|East Stroudsburg|Analomink|Bartonsville|Brodheadsville|Buck Hill Falls|Bushkill|Canadensis|Cresco|Delaware Water Gap|Dingmans Ferry|Effort|Gilbert|Henryville|Kresgeville|Long Pond|Marshalls Creek|Matamoras|Milford|Millrift|Minisink Hills|Mountainhome|Mount Bethel|Mount Pocono|Pocono Summit|Pocono Lake|Pocono Lake Preserve|Pocono Manor|Pocono Pines|Portland|Reeders|Saylorsburg|Sciota|Scotrun|Shawnee On Delaware|Skytop|Stroudsburg|Swiftwater|Tamiment|Tannersville|Unity House|Archbald|Beach Lake|Carbondale|Chinchilla|Clarks Summit|Clifford|Dalton|Damascus|Elmhurst|Equinunk|Factoryville|Fleetville|Forest City|Gouldsboro|Greeley|Greentown|Hamlin|Hawley|Herrick Center|Honesdale|Jermyn|Jessup|Lackawaxen|Lake Ariel|Lake Como|Lakeville|Lakewood|La Plume|Lenoxville|Milanville|Moscow|Newfoundland|Nicholson|Olyphant|Orson|Paupack|Peckville|Pleasant Mount|Poyntelle|Preston Park|Prompton|Rowland|Shohola|South Canaan|South Sterling|Starlight|Starrucca|Sterling|Tafton|Thompson|Tobyhanna|Tyler Hill|Union Dale|Waverly|Waymart|White Mills|Scranton|Moosic|Internal Revenue|Taylor|Old Forge|Haddon Craftsmen Book Dist|Beach Haven|Bear Creek|Berwick|Blakeslee|Cambra|Dallas|Dushore|Falls|Forksville|Glen Lyon|Harveys Lake|Hillsgrove|Hunlock Creek|Huntington Mills|Laceyville|Lake Harmony|Lake Winola|Laporte|Lehman|Lopez|Mehoopany|Meshoppen|Mifflinville|Mildred|Nanticoke|Nescopeck|Noxen|Pittston|Duryea|Wyoming|Plymouth|Ransom|Shawanese|Shickshinny|Sweet Valley|Tunkhannock|Wapwallopen|White Haven|Wilkes Barre|Kingston|Mountain Top|Shavertown|Luzerne|Montrose|Athens|Brackney|Brooklyn|Burlington|Camptown|Dimock|East Smithfield|Friendsville|Gibson|Great Bend|Hallstead|Harford|Hop Bottom|Jackson|Kingsley|Lanesboro|Lawton|Le Raysville|Little Meadows|Milan|Monroeton|New Albany|New Milford|Rome|Sayre|South Gibson|South Montrose|Springville|Stevensville|Sugar Run|Susquehanna|Towanda|Ulster|Warren Center|Wyalusing|Wysox|Doylestown|Bedminster|Blooming Glen|Buckingham|Carversville|Chalfont|Colmar|Danboro|Dublin|Earlington|Erwinna|Ferndale|Forest Grove|Fountainville|Franconia|Furlong|Gardenville|Hilltown|Holicong|Jamison|Kintnersville|Lahaska|Line Lexington|Lumberville|Mechanicsville|Milford Square|Montgomeryville|New Hope|Newtown|Ottsville|Penns Park|Perkasie|Pineville|Pipersville|Plumsteadville|Point Pleasant|Quakertown|Revere|Richboro|Richlandtown|Rushland|Salford|Salfordville|Sellersville|Silverdale|Solebury|Souderton|Southampton|Spinnerstown|Telford|Trumbauersville|Tylersport|Upper Black Eddy|Warminster|Warrington|Washington Crossing|Woxall|Wycombe|Zionhill|Abington|Ambler|Ardmore|Bala Cynwyd|Huntingdon Valley|Bristol|Broomall|Bryn Athyn|Bryn Mawr|Cheltenham|Chester|Aston|Brookhaven|Chester Heights|Clifton Heights|Philadelphia|Bensalem|Croydon|Crum Lynne|Darby|Dresher|Drexel Hill|Elkins Park|Edgemont|Essington|Fairless Hills|Flourtown|Folcroft|Folsom|Fort Washington|Gladwyne|Glenolden|Glen Riddle Lima|Glenside|Gradyville|Hatboro|Haverford|Holmes|Horsham|Jenkintown|Langhorne|Lansdowne|Lenni|Feasterville Trevose|Levittown|Garnet Valley|Marcus Hook|Media|Springfield|Merion Station|Morrisville|Morton|Narberth|Newtown Square|Norwood|Oreland|Prospect Park|Ridley Park|Sharon Hill|Wayne|Swarthmore|Upper Darby|Havertown|Villanova|Wallingford|Willow Grove|Woodlyn|Wyncote|Wynnewood|Paoli|Atglen|Avondale|Berwyn|Brandamore|Chadds Ford|Chatham|Cheyney|Coatesville|Cochranville|Concordville|Devon|Downingtown|Exton|Glen Mills|Glenmoore|Honey Brook|Immaculata|Kelton|Kemblesville|Kennett Square|Landenberg|Lewisville|Lincoln University|Lionville|Lyndell|Malvern|Mendenhall|Modena|New London|Nottingham|Oxford|Parkesburg|Pocopson|Pomeroy|Sadsburyville|Suplee|Thorndale|Thornton|Toughkenamon|Unionville|Wagontown|West Chester|West Grove|Westtown|Southeastern|Norristown|Bridgeport|King Of Prussia|Audubon|Eagleville|Fairview Village|Arcola|Birchrunville|Blue Bell|Cedars|Chester Springs|Collegeville|Conshohocken|Creamery|Devault|Frederick|Gwynedd|Gwynedd Valley|Harleysville|Hatfield|Kimberton|Kulpsville|Lafayette Hill|Lansdale|Lederach|Mainland|Mont Clare|North Wales|Oaks|Parker Ford|Phoenixville|Plymouth Meeting|Pottstown|Royersford|Saint Peters|Sassamansville|Schwenksville|Skippack|Spring City|Spring House|Spring Mount|Uwchland|Valley Forge|Allstate Insurance Co|West Point|Kng Of Prussa|Academy Life|Worcester|Zieglerville|Adamstown|Bally|Barto|Bechtelsville|Bernville|Bethel|Birdsboro|Blandon|Bowers|Boyertown|Centerport|Douglassville|Earlville|Elverson|Fleetwood|Geigertown|Gilbertsville|Hamburg|Kempton|Kutztown|Leesport|Lenhartsville|Limekiln|Lyon Station|Maxatawny|Mertztown|Mohnton|Mohrsville|Monocacy Station|Morgantown|Mount Aetna|New Berlinville|Oley|Pine Forge|Port Clinton|Rehrersburg|Robesonia|Shartlesville|Shoemakersville|Strausstown|Temple|Topton|Virginville|Wernersville|Womelsdorf|Reading|Metropolitan Edison Co',
+         'bkp.0,2.1,1.2,1.3,1.4,1.5,2.6,1.7,2.8,2.9,1.a,2.b,1.c,1.d,1.e,1.f,1.g,2.h,1.i,1.j,1.k,1.l,2.m,1.n,1.o,1.p,1.q,1.r,2.s,1.t,4.u,1.v,1.w,1.x,1.y,1.z,2.10,1.11,1.12,1.13,1.14,1.15,1.16,1.17,1.18,2.19,1.1a,1.1b,1.1c,1.1d,1.1e,1.1f,1.1g,1.1h,1.1i,1,2.1j,1.1k,2.1l,1.1m,1.1n,1.1o,1.1p,3.1q,1.1r,1.1s,1.1t,1.1u,1.1v,1.1w,1.1x,1.1y,1.1z,1.20,4.1v,1,5.21,1.22,2.23,2.24,2.25,2.26,2.27,4.28,4.29,2.2a,1,3.2b,1.2c,2.2d,2.2e,1*4,1.2f,1.2g,2.2h,1.2i,2.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1h.2q,1*17,6,1*5,2,1*8,1.2r,1.2q,1,2*2,1*7,2,1*2,2.2s,1.2q,2.24,1.2q,1,5,6.2t,9.2u,1.2v,1.2w,1.2x,1.2y,1.2z,1.30,1.31,3.32,1.33,1.34,1.35,1.36,1.37,2.38,2.39,1.3a,1.3b,1.3c,1.3d,1.3e,2.3f,1.3g,1.3h,1.3i,1.3j,1.3k,1.3l,2.3m,1.3n,1.3o,1.3p,1.3q,1.3r,1.3s,1.3t,1.3u,1.3v,4.3w,1.3x,1.3y,1.3z,1.40,1.41,1.42,1.43,1.44,1.45,1.46,1.47,2.48,6.49,1.4a,1.4b,1.4c,1.4d,l.4e,9.4f,1.4g,1.4h,1.4i,2.4j,1.4k,1.4l,2.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,2.4t,1.4u,1.4v,1.4w,1.4x,1.4y,1.4z,1.50,1.51,1.52,1.53,1.54,1.55,1.56,2.57,1.58,1.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,3.5h,1.5i,1.5j,2.5k,1.5l,1.5m,1.5n,1.5o,1.5p,1.5q,1.5r,1.5s,1.5t,1.5u,1.5v,1.5w,2.5x,1.5y,1.5z,1.60,1.61,1.62,1.63,1.64,1.65,2.66,1.67,1.68,1.69,1.6a,2.6b,1.6c,1.6d,2.6e,9.6f,1.6g,8.6f,a.6h,1.6i,1.6j,8.6k,1.6l,1.6m,1.6n,1.6o,1.6p,1.6q,1.6r,1.6s,1.6t,1.6u,1.6v,1.6w,2.6x,1.6y,1.6z,1.70,1.71,1.72,1.73,1.74,1.75,1.76,1.77,1.78,2.79,1.7a,1.7b,1.7c,1.7d,1.7e,1.7f,1.7g,1.7h,10.7i,4,1,4.7j,1.7k,1.7l,1.7m,2.7n,1.7o,1.7p,1.7q,1.7r,1.7s,1.7t,1.7u,1.7v,1.7w,1.7x,1.7y,1.7z,1.80,1.81,2.82,1.83,1.84,1.85,1.86,1.87,1.88,1.89,1.8a,1.8b,1.8c,1.8d,2.8e,2.8f,1.8g,3.8h,5.8i,1.8j,2.8k,2.8l,1.8m,1.8n,1.8o,1.8p,1.8q,1.8r,2.8s,2.8t,1.8u,1.8v,1.8w,1.8x,1.8y,1.8z,1.90,1.91,1.92,1.93,1.94,1.95,1.96,1.97,1.98,1.99,1.9a,1.9b,1.9c,1.9d,1.9e,1.9f,1.9g,2.9h,1.9i,1.9j,1.9k,3.9l,4,5.9m,1.9n,1.9o,1.9p,1.9q,1.9r,1.9s,1.9t,3.9u,1.9v,1.9w,1.9x,1.9y,1.9z,2.a0,1.a1,1.a2,1.a3,1.a4,1.a5,1.a6,1.a7,2.a8,1.a9,1.aa,1.ab,1.ac,1.ad,1.ae,2.af,1.ag,1.ah,1.ai,1.aj,2.ak,2.al,1.am,1.an,2.ao,1.ap,1.aq,1.ar,1.as,1.at,1.au,1.av,1.aw,1.ax,2.ay,3.az,1.b0,1.b1,1.b2,1.b3,1.b4,1.b5,1.b6,1.b7,1.b8,1.b9,1.ba,2.bb,1.bc,h.bd,k.be,1.bf,1.bg,1.bh,1.bi,2.bj,1.bk,1.bl,2.bm,1.bn,2.bo,6.bp,1.bq,4.br,1.bs,1.bt,1.bu,1.bv,2.bw,2.bx,3.by,1.bz,3.c0,1.c1,2.c2,1.c3,1.c4,1.c5,2.c6,2.c7,v.c8,1,2,1*3,2,6,5.c9,1.ca,1.cb,1.cc,1.cd,1.ce,1.cf,1.cg,1.ch,1.ci,1.cj,1.ck,3.cl,1.cm,1.cn,1.co,1.cp,2.cq,2.cr,1.cs,1.ct,1.cu,1.cv,2.cw,1.cx,2.cy,1.cz,1.d0,1.d1,1.d2,1.d3,1.d4,1.d5,1.d6,1.d7,1.d8,1.d9,1.da,12.db,1*2,d.dc,1*2,2,1.dd,1.de,1.df,1.dg,1.dh,2.di,1.dj,1.dk,1.dl,3.dm,1.dn,1.do,1.dp,1.dq,1.dr,1.ds,1.dt,1.du,4.dv,1.dw,2.dx,1.dy,1.dz,1.e0,1.e1,1.e2,1.e3,1.e4,1.e5,1.e6,1.e7,1.e8,2.e9,2.ea,3.eb,z.ec,1*2,2*2,1,2.ed,1.ee,1.ef,1.eg,1.eh,1.ei,1.ej,1.ek,3.el,1.em,2.en,1.eo,1.ep,2.eq,3.er,1.es,1.et,1.eu,1.ev,2.ew,1.ex,3.ey,1.ez,1.f0,1.f1,2.f2,1.f3,2.f4,2.f5,1.f6,2.f7,1.f8,1.f9,1.fa,1.fb,2.fc,1.fd,1.fe,b.f0,t.ff,9.fg,1.fh,1.fi,1.fj,1.fk,1.fl,2.fm,1.fn,2.fo,1.fp,1.fq,1.fr,1.fs,1.ft,1.fu,2.fv,1.fw,1.fx,2.fy,1.fz,1.g0,1.g1,1.g2,2.g3,1.g4,1.g5,2.g6,2.g7,1.g8,1.g9,2.ga,1.gb,1.gc,3.gd,1.ge,1.gf,1.gg,1.gh,1.gi,1.gj,1.gk,1.gl,1.gm,1.gn,12.go,a.gp,1.gq,1.gr,1.gs,2.gt,1.gu,2.gv,2.gw,1.gx,1.gy,3.gz,1.h0,1.h1,1.h2,2.h3,1.h4,1.h5,1.h6,1.h7,5.h8,1.h9,1.ha,1.hb,1.hc,1.hd,1.he,1.hf,3.hg,1.hh,1.hi,1.hj,1.hk,6.hl,1.hm,1.hn,2.ho,1.hp,1*4,1.hq,1.hr,1.hs,1.ht,1.hu,1.hv,d.h7,d.hw,1.hx,1.hy,1.hz,1.i0,1.i1,1.i2,3.i3,1.i4,1.i5,1.i6,2.i7,1.i8,1.i9,3.ia,1.ib,1.ic,1.id,1.ie,2.if,1.ig,1.ih,2.ii,2.ij,1.ik,1.il,1.im,1.in,2.io,2.ip,1.iq,1.ir,1.is,1.i5,v.hw,q.it,1*b,2,1,7,8,1*4,4,3*2,2,4,3,1.iu,9.it,2,10.iv,1*2,8.iw,2.ix,3.iy,1.iz,2.j0,1.j1,1.j2,1.j3,1.j4,1.j5,1.j6,2.j7,2.j8,1.j9,1.ja,2.jb,1.jc,1.jd,1.je,1.jf,1.jg,1.jh,1.ji,1.jj,3.jk,1.jl,1.jm,1.jn,1.jo,2.jp,1.jq,1.jr,2,1.js,1.jt,1.ju,2.jv,1.jw,1.jx,1.jy,1.jz,1.k0,1.k1,1.k2,1.k3,1.k4,1.k5,1.k6,1.k7,1.k8,1.k9,1.ka,1.kb,2.kc,1.kd,1.ke,1.kf,1.kg,1.kh,1.ki,1.kj,1.kk,1.kl,3.km,2.kn,1.ko,1.kp,1.kq,1.kr,3.jq,1.j9,2.ks,j.kt,4.ku,1.kv,1.kw,1.kx,1.ky,1.kz,1.l0,1.l1,1.l2,1.l3,1.l4,1.l5,3.l6,2.l7,3.l8,1.l9,1.la,1.lb,2.lc,1.ld,1.le,1f.lf,1.lg,1.lf,1*2,f.lh,1.li,1.lj,1.lk,2.ll,1.lm,1.ln,1.lo,1.lp,1.lq,2.lr,1.ls,1.lt,1.lu,1.lv,1.lw,1.lx,1.ly,1.lz,1.m0,2.m1,1.m2,1.m3,2.m4,1.m5,1.m6,1.m7,1.m8,1.m9,1.ma,1.mb,1.mc,1.md,2.me,1.mf,1.mg,1.mh,2.mi,1.mj,1.mk,1.ml,2.mm,2.mn,1.mo,1.mp,1.mq,1.mr,1.ms,1.mt,1.mu,1.mv,1.mw,2.mx,1.my,j.mz,9.n0,1.n1,1.n2,2.n3,1.n4,2.n5,1.n6,2.n7,1.n8,1.n9,1.na,2.nb,1.nc,1.nd,1.ne,1.nf,1.ng,2.nh,1.ni,2.nj,1.nk,1.nl,1.nm,1.nn,1.no,1.na,1.np,1.nq,2.nr,1.ns,1.nt,1.nu,2.nv,1f.nw,1.nx,1.ny,1.nz,1.o0,1.o1,1.o2,1.o3,1.o4,1.o5,1.nw,1,1.o6,1.o7,1.o6,1.o8,1.o9,1.oa,1.ob,1.oc,1.od,1.oe,1.of,1.og,1.oh,1.oi,1.oj,1.ok,1.ol,1.om,2.on,1.oo,1.op,1.oq,1.or,1.os,1.ot,1.ou,1.ov,1.ow,1.ox,1.oy,1.oz,1.p0,1.ox,1.p1,1.p2,1.p3,1.p4,1.p5,1.p6,1.p7,1.p8,1.p4,1.p9,1.pa,1.pb,1.pc,1.pd,1.pe,1.pf,1.pg,1.ph,1.pi,1.pj,1.pk,1.pl,1.pm,1.pn,1.po,1.pp,1.pq,1.pr,1.ps,1.pt,1.pu,1.pv,2.pw,1.px,1.py,1.pz,1.q0,1.q1,1.q2,1.q3,1.q4,1.nw,1.q5,1.q6,2.q7,1.q8,3.q9,1.qa,1.qb,2.qc,1*c,7,1*a,a,11,o.qd,1,8.qe,1.qf,1.qg,1.qh,1.qi,1.qj,2.qk,2.ql,1.qm,1.qn,1.qo,1.qp,1.qq,1.qr,3.qs,1.qt,2.qu,1.qv,1.qw,2.qx,1.qy,1.qz,1.r0,1.r1,1.r2,1.r3,2.r4,1.r5,2.r6,1.r7,2.r8,1.r9,1.ra,1.rb,1.rc,1.rd,1.re,1.rf,1.rg,3.rh,1.ri,1.rj,1.rk,1.rl,1.rm,1.rn,1.ro,1.rp,2.rq,1.rr,1.rs,t.rt,1.ru,1.rv,1.rw,2.rx,1.ry,2.rz,1.s0,1.s1,1.s2,1.s3,1.s4,1.s5,1.s6,1.s7,1.s8,1.s9,1.sa,1.sb,1.sc,1.sd,1.se,1.sf,1.sg,1.sh,2.si,2.sj,1*4,2.sk,2.sl,1.sm,2.sn,1.so,1.sp,1.sq,2.sr,2.ss,1.st,2.su,1.sv,1.sw,1.sx,1.sy,2.sz,2.t0,1.t1,1.t2,1.t3,1.t4,1.t5,1.t6,2.t7,2.t8,1.t9,1.ta,3.tb,q.tc,1*7,7,2e.td,1.te,1.tf,1.tg,1.th,1.ti,1.tj,1.tk,1.tl,3.tm,4.tn,1.to,1.tp,1.tq,1.tr,1.ts,1.tt,5.tu,1.tv,1.tw,3.tx,1.ty,1.tz,1.u0,1.u1,1.u2,1.u3,2.u4,3.u5,2.u6,2.u7,2.u8,1.u9,1.ua,1.ub,2.uc,1.ud,2.ue,3.uf,2.ug,1.uh,1.ui,1.uj,1.uk,1.ul,1.um,1.un,1.uo,2.up,1.uq,2.ur,1.us,2.ut,1.uu,1.uv,1.uw,1.ux,1.uy,1.uz,1.v0,g.uq,1*7,3,b,25,2.v1,1*2,2,f.v2,1.v3,2.v4,1.v5,2.v6,1.v7,1.v8,1.v9,1.va,1.vb,4.vc,2.vd,1.ve,1.vf,1.vg,2.vh,2.vi,1.vj,2.vk,1.vl,1.vm,1.vn,1.vo,1.vp,2.vq,2.vr,2.vs,2.vt,2.vu,1.vv,1.vw,1.vx,2.vy,1.vz,1.w0,2.w1,1.w2,1.w3,1.w4,2.w5,1.w6,1.w7,1.w8,m.w9,9.wa,2.wb,1.wc,1.wd,1.we,5.wf,1.wg,1,1.wh,1.wi,3.wj,2.wk,1.wl,1.wm,1.wn,1.wo,1.wp,1.wq,1.wr,1.ws,2.wt,1.wu,1.wv,1.ww,1.wb,1.wx,1.wy,1.wz,1.x0,3.x1,1.x2,2.x3,2.x4,1.x5,1.x6,1.x7,1.x8,1.x9,1.xa,1.xb,2.xc,1.xd,1.xe,1.xf,1.xg,2.xh,2.xi,4.xj,1.xk,1.xl,2.xm,1.xn,1.xo,1.xp,1.xq,1.xr,1.xs,1.xt,1.xu,1.xv,c.xw,j.xx,1.xy,1.xz,1.y0,2.y1,4.y2,1.y3,1.y4,1,1.y5,1.y6,1.y7,1.y8,2.y9,3.ya,1.yb,1.yc,1.yd,1.ye,1.yf,2.yg,1.yh,2.yi,1.yj,1.yk,1.yl,3.ym,2.yn,1.yo,1.yp,2.yq,1.yr,1.ys,1.yt,1.yu,1.yv,2.yw,2.yx,2.yy,2.yz,2.z0,1.z1,1.z2,1.z3,1.z4,1.z5,2.z6,g.z7,1*2,7.z8,1.z9,1.za,1.zb,1.zc,1.zd,1*3,2,5,5.ze,1.zf,1.zg,2.zh,1.zi,1.zj,1.zk,1.zl,1.zm,1.zn,1.zo,1.zn,1*3,1.zp,3.zq,1.zr,1.zs,1.zt,1.zu,1.zv,1.zw,1.zx,2.zy,1.zz,1.100,2.101,1.102,1.103,1.104,1.105,1.106,1.107,1.108,1.109,1.10a,1.10b,1.10c,1.10d,2.10e,1.10f,1.10g,1.10h,1.10i,1.10j,2.10k,1.10l,1.10m,1.10n,1.10o,1.10p,3.10q,1.10r,6.zq,1,2.10s,1*5,3,1u,k,6.10t,1,8.10u,1.10v,1.10w,2.10x,2.10y,2.10z,1.110,1.111,1.112,1.113,1.114,1.115,1.116,4.117,1.118,1.119,1.11a,2.11b,1.11c,2.11d,2.11e,1.11f,1.11g,1.11h,2.11i,1.11j,1.11k,1.11l,1.11m,1.11n,1.11o,1.11p,1.11q,2.11r,1.11s,1.11t,19.11u,1,i.11v,1.11w,1.11x,1.11y,1.11z,1.120,1.121,1.122,1.123,2.124,1.125,1.126,1.127,1.128,1.129,1.12a,1.12b,3.12c,1.12d,1.12e,1.12f,1.12g,2.12h,1.12i,1.12j,1.12k,1.12l,1.12m,1.12n,1.12o,1.12p,1.12q,1.12r,1.12s,3.12t,a.12u,1.12v,1.12w,1.12x,u.12y,2.12z,2.130,3.131,1.132,2.133,1.134,1.135,1.136,1.137,2.138,1.139,1.13a,3.13b,1.13c,1.13d,1.13e,1.13f,2.13g,1.13h,2.13i,1.13j,1.13k,1.13l,1.13m,1.13n,1.13o,1.13p,1.13q,2.13r,1.13s,1.13t,1.13u,1.13v,1,1.13w,2.13x,1.13y,1.13z,1.140,1.141,1.142,1.143,1.144,1.145,1.146,1.147,1.148,1.149,1.14a,1.14b,1.14c,3.14d,1.14e,1.14f,1.14g,1.14h,s.14i,1*4,2.14j,1.14i,1*2,2,2.14k,1.14i,2.14l,1.14m,1.14i,3.14n,i.14i,11,o.14o,1.14p,1.14q,7.14r,1.14s,1.14t,2.14u,1.14v,1.14w,1.14x,1.14y,1.14z,2.150,1.151,1.152,1.153,1.154,1.155,1.156,1.157,1.158,1.159,1.15a,1.15b,2.15c,1.15d,1.15e,4.15f,1,1.15g,1.15f,1.15h,7.15i,2.15j,1.15k,1.15l,1.15m,1.15n,3.15o,1.15p,t.14t,b.15q,1*2,1.15r,1.15q,1,1.15s,1.15t,1.15u,1.15q,1,1f,2,1*3,2,4,s.15v,9.15w,2.15x,1.15y,1.15z,1.160,1.161,1.162,1.163,2.164,1.165,1.166,1.167,1.168,1.169,1.16a,1.16b,1.16c,1.16d,1.16e,1.16f,1.16g,1.16h,1.16i,3.16j,3.16k,2.16l,1.16m,1.16n,1.16o,1.16p,1.16q,1.16r,2.16s,1.16t,2.16u,1.16v,1b.16w,1,8.16x,1.16y,1.16z,1.170,1.171,1.172,1.173,1.174,1.175,2.176,1.177,1.178,1.179,1.17a,1.17b,1.17c,1.17d,1.17e,1.17f,1.17g,1.17h,1.17i,1.17j,1.17k,1.17l,1.17m,2.17n,2.17o,2.17p,1.17q,1.17r,2.17s,1.17t,2.17u,1.17v,1.17w,2.17x,1.17y,1.17z,1.180,1.181,1.182,2.183,2.184,1.185,1.186,2.187,2.188,1.189,1.18a,1.18b,1.18c,2.18d,2.18e,1.18f,2.18g,1.18h,1.18i,a.18d,a.18j,1.18k,1.18l,1.18m,2.18n,1.18o,1.18p,1.18q,1.18r,2.18s,1.18t,1.18u,1.18v,1.18t,1.18w,1.18x,1.18y,1.18z,1.190,1.191,1.192,2.193,1.194,1.195,1.196,1.197,1.198,1.199,1.19a,1.19b,1.19c,1.19d,1.19e,1.19f,1.19g,1.19h,1.19i,1.19j,2.19k,1.19l,2.19m,1.19n,1.19c,1,1.19o,2.19p,1.19q,1.19r,1*4,2.19s,1.19t,2.19u,1.19v,1.19u,1.19w,1.19x,3.19y,2.19z,1.1a0,1.1a1,1.1a2,1.1a3,2.1a4,1.1a5,1.1a6,1.1a7,1.1a8,1.1a9,2.1aa,1.1ab,1.1a6,1*2,1.1ac,1.19u,1.18y,1,1.1ad,1.1ae,1.1af,2.19k,1.18y,2,1*f,2,1*11,5,1*2,8,1*3,2,1*4,2,1*4,2,1,2,1*7,1b,b,1a.1ag,9.1ah,1.1ai,1.1aj,4.1ak,1.1al,1.1am,1.1an,1.1ao,a.1ap,1.1aq,2.1ar,2.1as,4.1aq,1,1.1at,1.1au,1.1av,1.1aw,1.1ax,1.1ay,1.1az,1.1b0,2.1b1,1.1b2,1.1b3,1.1b4,1.1b5,1.1b6,2.1b7,1.1b8,2.1b9,2.1ba,1.1bb,2.1bc,1.1bd,1.1be,2.1bf,2.1bg,1.1bh,1.1bi,1.1bj,1.1bk,1.1bl,4.1bm,1*3,5,2.1bn,5.1bo,2.1bp,1*2,2.1bq,2,1,1.1br,1.1bs,1.1bt,1.1bu,1.1bv,6.1bu,5.1bw,1.1bx,1.1by,1.1bz,1.1by,1.1c0,1.1c1,2.1c2,1,1.1c3,2.1c4,3.1c5,1.1c6,1.1c7,1.1c8,2.1c9,1.1c8,1.1ca,1.1cb,1.1cc,2.1cd,4.1ce,1.1cf,2.1cg,1.1ch,1,1.1ci,1.1cj,3.1ck,2.1cl,2.1cm,1,3.1cn,2.1co,2.1cp,1.1cq,1.1cr,1.1cs,2.1ct,1.1cu,2.1cv,1.1cw,1,1.1cx,1.1cw,1,1.1cy,1.1cz,1.1d0,1,1.1d1,2.1d2,1.1cw,1*3,5.1d3,2.1d4,1.1d5,1.1d6,1.1d7,1.1d8,1.1d9,2.1da,1.1db,1.1dc,4.1dd,2.1de,1.1df,1.1dg,2.1dh,1.1di,2.1dj,1.1dk,3.1dl,1.1dm,3.1dn,1.1do,1.1dp,1.1dq,2.1dr,1.1ds,1.1dt,1.1du,1.1dv,1.1dw,1.1dx,1.1dy,2.1dz,1.1e0,1.1e1,1.1e2,1.1e3,3.1e4,1.1e5,4.1e6,1.1e7,2.1e8,2.1e9,1.1ea,2.1eb,y.1ec,1*b,s.1ed'],
+    PR: ['Adjuntas|Aguada|Aguadilla|Maricao|Anasco|Angeles|Arecibo|Bajadero|Barceloneta|Boqueron|Cabo Rojo|Penuelas|Camuy|Castaner|Rosario|Sabana Grande|Ciales|Utuado|Dorado|Ensenada|Florida|Garrochales|Guanica|Guayanilla|Hatillo|Hormigueros|Isabela|Jayuya|Lajas|Lares|Las Marias|Manati|Moca|Rincon|Quebradillas|Mayaguez|San German|San Sebastian|Morovis|Sabana Hoyos|San Antonio|Vega Alta|Vega Baja|Yauco|Aguas Buenas|Parc Parque|Aibonito|Maunabo|Arroyo|Mercedita|Ponce|Naguabo|Naranjito|Orocovis|Palmer|Patillas|Caguas|Canovanas|Ceiba|Cayey|Fajardo|Cidra|Puerto Real|Punta Santiago|Roosevelt Roads|Rio Blanco|Rio Grande|Salinas|San Lorenzo|Santa Isabel|Vieques|Villalba|Yabucoa|Coamo|Las Piedras|Loiza|Luquillo|Culebra|Juncos|Gurabo|Coto Laurel|Comerio|Corozal|Guayama|La Plata|Humacao|Barranquitas|Juana Diaz|San Juan|Fort Buchanan|Toa Baja|Sabana Seca|Toa Alta|Bayamon|Catano|Guaynabo|Trujillo Alto|Saint Just|Carolina',
+         'gp.0,1.1,1.2,1*2,1.3,4.4,1.5,1.6,1*2,2.7,1.8,5.9,1.a,1.b,3.c,4.d,5.e,1.f,1.g,3.h,5.i,1.j,3.k,2.l,1.m,3.n,3.o,1.p,2.q,2.r,3.s,2.t,1.u,4.v,2.w,1.x,1.y,2.z,1*2,1.10,2.11,2.12,1.13,2.14,2.15,1.16,1,4.17,5.18,1.19,1.1a,2.1b,7.1c,1.1d,1.1e,1,1.1f,1.1g,1.1h,1.1i,2.1j,2.1k,1*2,1.1e,1.1l,1.1e,1*4,1.1m,1.1n,1,1.1o,1.1p,1.1q,1.1r,1.1s,2.1t,1.1u,6.1v,3.1w,3.1x,8.1y,1.1z,1.20,2.21,2.22,1.23,1.24,2.25,2.26,1.27,2.28,2.29,1.2a,1.2b,1,1.2c,5.2d,1,2.2e,1.2f,2y.2g,1,4,1*p,2,1.2h,1.2g,1*2,2,1,9.2i,1*2,1.2j,1.2k,1,1.2g,1.2l,1*5,1.2m,1,2.2n,1,2,1*3,4.2g,1.2o,1,1.2p,1.2q,2,1*7'],
+    RI: ['Adamsville|Albion|Ashaway|Barrington|Block Island|Bradford|Bristol|Carolina|Charlestown|Chepachet|Clayville|Coventry|West Greenwich|East Greenwich|Exeter|Fiskeville|Forestdale|Foster|Glendale|Greene|Greenville|Harmony|Harrisville|Hope|Hope Valley|Hopkinton|Jamestown|Kenyon|Little Compton|Manville|Mapleville|Newport|Middletown|North Kingstown|N Kingstown|North Scituate|Oakland|Pascoag|Pawtucket|Central Falls|Cumberland|Lincoln|Portsmouth|Prudence Island|Rockville|Saunderstown|Shannock|Slatersville|Slocum|Tiverton|Wakefield|Kingston|Narragansett|Peace Dale|Warren|Warwick|Westerly|West Kingston|West Warwick|Wood River Junction|Woonsocket|North Smithfield|Wyoming|Providence|Cranston|North Providence|East Providence|Riverside|Rumford|Smithfield|Johnston',
+         '25t.0,1.1,2.2,2.3,1.4,1.5,1.6,3.7,1.8,1.9,1.a,1.b,1.c,1.d,4.e,1.f,1.g,1.h,1.i,1.j,1.k,1.l,1.m,1.n,1.o,1.p,2.q,1.r,1.s,1.t,1.u,1.v,1,1.w,a.x,2.y,3.z,1.10,1.11,1.12,1*2,1.13,1.14,1.15,6.16,1.17,1.18,1.19,1.1a,1.1b,1.1c,1.1d,1.1e,1,1.1f,1.1g,1.1h,2.1i,1.1j,1*3,2.1k,1.1l,1.1m,1.1n,1.1o,1.1p,2.1q,3.1r,1*8,1.1s,1.1t,1.1r,2.1u,1.1v,1.1w,1.1x,1.1r,1.1y,1.1s,1,j.1r'],
+    SC: ['Alcolu|Ballentine|Bamberg|Batesburg|Bethune|Bishopville|Blackstock|Blair|Blythewood|Bowman|Camden|Cameron|Carlisle|Cassatt|Cayce|Chapin|Chappells|Cope|Cordova|Dalzell|Davis Station|Denmark|Eastover|Elgin|Elliott|Elloree|Eutawville|Gable|Gadsden|Gaston|Gilbert|Great Falls|Greeleyville|Heath Springs|Holly Hill|Hopkins|Horatio|Irmo|Jenkinsville|Kershaw|Lamar|Leesville|Lexington|Liberty Hill|Little Mountain|Lugoff|Lydia|Lynchburg|Ehrhardt|Lodge|Mc Bee|Manning|Mayesville|Monetta|Neeses|Newberry|New Zion|North|Norway|Olanta|Orangeburg|Peak|Pelion|Pinewood|Pomaria|Prosperity|Rembert|Ridge Spring|Ridgeway|Rion|Rowesville|Saint Matthews|Salley|Saluda|Santee|Sardinia|Silverstreet|Springfield|State Park|Summerton|Sumter|Shaw A F B|Swansea|Timmonsville|Turbeville|Vance|Wagener|Ward|Wedgefield|West Columbia|Westville|White Rock|Whitmire|Winnsboro|Columbia|Spartanburg|Boiling Springs|Arcadia|Buffalo|Campobello|Chesnee|Clifton|Clinton|Converse|Cowpens|Cross Anchor|Cross Hill|Drayton|Duncan|Enoree|Fairforest|Fingerville|Gaffney|Glendale|Gramling|Inman|Joanna|Jonesville|Kinards|Landrum|Laurens|Lockhart|Lyman|Mayo|Moore|Mountville|Pacolet|Pacolet Mills|Pauline|Reidville|Roebuck|Startex|Una|Union|Waterloo|Wellford|White Stone|Woodruff|Bmg Columbia House Acs|Charleston|Charleston Afb|North Charleston|Hanahan|Adams Run|Awendaw|Bethera|Bonneau|Branchville|Canadys|Cordesville|Cottageville|Cross|Dorchester|Edisto Island|Folly Beach|Georgetown|Goose Creek|Green Pond|Grover|Harleyville|Hollywood|Huger|Isle Of Palms|Jacksonboro|Jamestown|Johns Island|Ladson|Mc Clellanville|Moncks Corner|Mount Pleasant|Pineville|Pinopolis|Ravenel|Reevesville|Ridgeville|Round O|Ruffin|Russellville|Saint George|Saint Stephen|Smoaks|Sullivans Island|Summerville|Wadmalaw Island|Walterboro|Williams|Florence|Andrews|Aynor|Bennettsville|Blenheim|Cades|Centenary|Cheraw|Clio|Conway|Coward|Darlington|Dillon|Effingham|Fork|Galivants Ferry|Green Sea|Gresham|Hamer|Hartsville|Hemingway|Johnsonville|Kingstree|Lake City|Lake View|Lane|Latta|Little River|Little Rock|Longs|Loris|Mc Coll|Marion|Myrtle Beach|Minturn|Mullins|Murrells Inlet|Nesmith|Nichols|North Myrtle Beach|Pamplico|Patrick|Pawleys Island|Rains|Salters|Scranton|Sellers|Society Hill|Tatum|Wallace|Greenville|Abbeville|Anderson|Belton|Calhoun Falls|Central|Clemson|Cleveland|Conestee|Donalds|Due West|Easley|Fair Play|Fountain Inn|Gray Court|Greenwood|Greer|Hodges|Honea Path|Iva|La France|Liberty|Long Creek|Lowndesville|Marietta|Mauldin|Mountain Rest|Newry|Ninety Six|Norris|Pelzer|Pendleton|Pickens|Seneca|Piedmont|Richland|Salem|Sandy Springs|Simpsonville|Six Mile|Slater|Starr|Sunset|Tamassee|Taylors|Tigerville|Townville|Travelers Rest|Walhalla|Ware Shoals|Westminster|West Union|Williamston|Bmg Columbia Hse Music Club|Blacksburg|Bowling Green|Catawba|Chester|Fort Mill|Chesterfield|Clover|Edgemoor|Fort Lawn|Hickory Grove|Jefferson|Lancaster|Lando|Mc Connells|Mount Croghan|Pageland|Richburg|Rock Hill|Ruby|Sharon|Smyrna|Van Wyck|York|Aiken|New Ellenton|Allendale|Barnwell|Hilda|Bath|Blackville|Bradley|Clarks Hill|Clearwater|Edgefield|Elko|Fairfax|Gloverville|Graniteville|Jackson|Johnston|Langley|Mc Cormick|Martin|Modoc|Montmorenci|Mount Carmel|North Augusta|Beech Island|Olar|Parksville|Plum Branch|Sycamore|Trenton|Troy|Ulmer|Vaucluse|Warrenville|Williston|Windsor|Beaufort|Ladys Island|Okatie|Bluffton|Brunson|Coosawhatchie|Crocketville|Dale|Daufuskie Island|Early Branch|Estill|Saint Helena Island|Furman|Garnett|Gifford|Hampton|Hilton Head Island|Hardeeville|Islandton|Lobeco|Luray|Miley|Pineland|Port Royal|Ridgeland|Scotia|Seabrook|Sheldon|Tillman|Varnville|Yemassee',
+         'mdl.0,1.1,1.2,3.3,3.4,1.5,4.6,1.7,1.8,2.9,2.a,1,9.b,1.c,1.d,1.e,3.f,1.g,1.h,1.i,1.j,1.k,1.l,2.m,1.n,1.o,1.p,1.q,3.r,1.s,1.t,1.u,1.v,1.w,2.x,1.y,2.z,1.10,1.11,2.12,2.13,2.14,1.15,1.16,1*2,1.17,1.18,3.19,1.1a,1.1b,1.1c,1.1d,j.1e,1.1f,2.1g,1.1h,2.1i,1.1j,3.1k,1.1l,1.1m,1.1n,1.1o,1*3,4.1p,1.1q,2.1r,1.1s,1.1t,1.1u,1.1v,1.1w,2.1x,1.1y,2.1z,2.20,1.21,4.22,1.23,2.24,1.25,1.26,1.27,2.28,1,1.29,1.28,1,6.2a,1.2b,1.2c,1.2d,1.2e,2.2f,2.2g,1.2h,1*3,3.2i,2.2j,1.2k,2.2l,l.2m,1*b,2,1*g,a*3,u,2,9.2n,1*6,9.2o,2,1.2n,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,4.2v,1.2w,1.2x,1.2y,1.2z,1.30,1.31,1.32,2.33,2.34,1*2,4.35,2.36,1.37,2.38,2.39,2.3a,1.3b,4.3c,4.3d,1.3e,3.3f,1.3g,1.3h,2.3i,1.3j,1.3k,1.3l,1.3m,1.3n,1.3o,1.3p,5.3q,1.3r,1.3s,2.3t,2.30,1.3u,4.39,6.3v,1*2,1.3w,1.3x,1.3v,1,2,1.3y,2.3v,1*2,1.3x,1.3v,1,1.3x,1*2,2.3v,1*3,1.3z,3.40,1.41,1.42,1.43,1.44,1.45,1.46,1.47,1.48,1.49,1.4a,1.4b,2,3.4c,1.4d,1.4e,1.4f,1.4g,1.4h,1.4i,1.4j,1.4k,2.4l,1.4m,1.4l,1.4n,3.4o,3.4p,1*2,2.4q,1.4r,1.4s,1.4t,1.4u,2.4v,1.4w,1.4x,1.4y,2.4z,2.50,1.51,1.52,1*3,1.53,1.54,4.3v,1.55,8.56,1*5,4.57,1.58,1.59,4.5a,2.5b,1.5c,1.5d,5.5e,1.5f,1*2,2.5g,2.5h,4.5i,4.5h,1.5j,2.5k,1.5l,1.5m,1.5n,1.5o,3.5p,1,3.5q,1.5r,1.5s,4.5t,3.5u,1.5v,1.5w,1.5x,1.5y,1.5z,1.60,1.61,1.62,1.63,1.64,1.65,1.63,1.66,1.63,1*2,1.67,1.68,1.69,1.6a,1.6b,1.6c,2.63,1,1.6d,1.6e,1.6f,1.6g,1.6h,1.6i,2.6j,1.69,1,3.6k,1*g,3.6l,1.6m,1*5,1.6n,1.6o,2.6p,1.6q,1*3,1.6r,1.6s,2.6t,1.6u,1.6v,1*2,1.6w,1.6x,1.6y,1.6z,1*3,1.70,1*2,1.71,1.72,1.73,1.74,1.75,1.76,1.77,2.78,1.79,2.7a,1.7b,1.7c,1.7d,2.7e,1.7f,1.7g,1.7h,1.7i,2.7j,1.7k,1.7l,1.7h,1,1.7m,1,1.7n,1.7o,1.7p,1.7q,1.7r,1.7s,1.7t,1.7u,1.7v,1.7w,1.7x,1.7y,2.71,1.7z,1.80,1.81,4.82,1.83,1.84,2.85,1.86,1,1.87,1.88,2.89,2.8a,1.86,1,1.8b,1.8c,2.8d,1*2,2.8e,2.8f,1.8g,1.8h,1.8i,1.8j,1*4,7.8k,1.8l,1.8m,1.8n,1.8o,1k.8p,1*4,3,1.8q,1.8r,2.8s,1.8t,3.8u,1.8v,2.8w,2.8x,1.8y,2.8z,2.90,1.91,1.92,1.93,2.94,1.95,2.96,1.97,1.98,2.99,1.9a,1.9b,1.9c,1.9d,1.9e,1.9f,1.9g,1.9h,1.9i,1.9j,1.9k,1.9l,1.9m,2.9n,3.9o,4.9c,1,12.97,2.9p,1*5,1.9q,2.9r,1.9s,1.9t,1.9u,1.9v,1.9w,1.9x,1.9y,2.9z,2.a0,1.a1,1.a2,1.a3,1.a4,1.a5,1,1.a6,1.a5,1.a7,2.a8,1.a9,1.aa,1.ab,1.ac,1.ad,2.a5,1.ae,1.af,1.ag,2.ah,1.ai,1.aj'],
+    SD: ['Alcester|Aurora|Baltic|Beresford|Brandon|Brookings|Burbank|Canistota|Canton|Centerville|Chancellor|Chester|Colman|Colton|Crooks|Davis|Dell Rapids|Egan|Elk Point|Elkton|Fairview|Flandreau|Freeman|Garretson|Gayville|Harrisburg|Hartford|Hudson|Humboldt|Hurley|Irene|Jefferson|Lennox|Lesterville|Lyons|Madison|Marion|Menno|Mission Hill|Monroe|Montrose|North Sioux City|Nunda|Oldham|Olivet|Parker|Ramona|Renner|Rutland|Salem|Scotland|Sinai|Springfield|Tabor|Tea|Trent|Tyndall|Utica|Valley Springs|Vermillion|Viborg|Volga|Volin|Wakonda|Wentworth|Winfred|Worthing|Yankton|Sioux Falls|Citibank|Watertown|Arlington|Astoria|Badger|Big Stone City|Bradley|Brandt|Bristol|Bruce|Bryant|Castlewood|Claire City|Clark|Clear Lake|Corona|De Smet|Eden|Erwin|Estelline|Florence|Garden City|Gary|Goodwin|Grenville|Hayti|Hazel|Henry|Kranzburg|Labolt|Lake City|Lake Norden|Lake Preston|Marvin|Milbank|New Effington|Ortley|Peever|Raymond|Revillo|Rosholt|Roslyn|Sisseton|South Shore|Stockholm|Strandburg|Summit|Toronto|Twin Brooks|Veblen|Vienna|Wallace|Waubay|Webster|White|Willow Lake|Wilmot|Mitchell|Alexandria|Alpena|Armour|Artesian|Avon|Bonesteel|Bridgewater|Canova|Carpenter|Carthage|Cavour|Chamberlain|Corsica|Dante|Delmont|Dimock|Emery|Ethan|Fairfax|Fedora|Fort Thompson|Fulton|Gann Valley|Geddes|Harrison|Highmore|Stephan|Hitchcock|Howard|Huron|Iroquois|Kaylor|Kimball|Lake Andes|Lane|Letcher|Marty|Miller|Mount Vernon|New Holland|Oacoma|Parkston|Pickstown|Plankinton|Platte|Pukwana|Ree Heights|Saint Lawrence|Spencer|Stickney|Tripp|Virgil|Wagner|Wessington|Wessington Springs|White Lake|Wolsey|Woonsocket|Yale|Aberdeen|Akaska|Amherst|Andover|Ashton|Barnard|Bath|Bowdle|Brentford|Britton|Claremont|Columbia|Conde|Cresbard|Doland|Eureka|Faulkton|Ferney|Frankfort|Frederick|Gettysburg|Groton|Hecla|Hosmer|Houghton|Hoven|Ipswich|Java|Langford|Lebanon|Leola|Long Lake|Mansfield|Mellette|Northville|Onaka|Orient|Pierpont|Redfield|Rockham|Roscoe|Selby|Seneca|Stratford|Tolstoy|Tulare|Turton|Warner|Westport|Pierre|Agar|Belvidere|Blunt|Burke|Colome|Dallas|Draper|Fort Pierre|Gregory|Hamill|Harrold|Hayes|Herrick|Holabird|Ideal|Kadoka|Kennebec|Long Valley|Lower Brule|Martin|Midland|Milesville|Mission|Murdo|Norris|Okaton|Okreek|Onida|Parmelee|Philip|Presho|Reliance|Rosebud|Saint Charles|Saint Francis|Tuthill|Vivian|Wanblee|White River|Winner|Witten|Wood|Mobridge|Bison|Bullhead|Cherry Creek|Dupree|Eagle Butte|Faith|Glencross|Glenham|Herreid|Isabel|Keldron|Lantry|Lemmon|Little Eagle|Lodgepole|Mc Intosh|Mc Laughlin|Meadow|Morristown|Mound City|Pollock|Prairie City|Ralph|Reva|Ridgeview|Timber Lake|Trail City|Wakpala|Walker|Watauga|Whitehorse|Rapid City|Ellsworth Afb|Allen|Batesland|Belle Fourche|Black Hawk|Box Elder|Buffalo|Buffalo Gap|Camp Crook|Caputa|Custer|Deadwood|Edgemont|Enning|Fairburn|Fort Meade|Hermosa|Hill City|Hot Springs|Howes|Interior|Keystone|Kyle|Lead|Ludlow|Manderson|Mud Butte|Nemo|Newell|New Underwood|Nisland|Oelrichs|Oglala|Oral|Owanka|Piedmont|Pine Ridge|Porcupine|Pringle|Quinn|Redig|Saint Onge|Scenic|Smithwick|Spearfish|Sturgis|Union Center|Vale|Wall|Wasta|White Owl|Whitewood|Wounded Knee',
+         '17zd.0,1.1,1.2,1.3,1.4,1.5,1,3.6,2.7,1.8,1.9,1.a,1.b,1.c,1.d,2.e,1.f,1.g,2.h,1.i,1.j,1.k,1.l,1.m,1.n,1.o,1.p,1.q,1.r,1.s,1.t,1.u,1.v,1.w,1.x,1.y,1.z,1.10,2.11,1.12,1.13,1.14,1.15,1.16,1.17,1.18,1.19,1.1a,1.1b,1.4,1.1c,1.1d,1.1e,2.1f,1.1g,1.1h,1.1i,1.1j,1.1k,1.1l,1.1m,1.1n,1.1o,1.1p,1.1q,1.1r,2.1s,1.1t,1.1u,1.1v,n.1w,2,1*7,7,1,1w,2.1x,1.1w,3,1*6,3.1y,b.1z,1.20,1.21,2.22,1.23,1.24,1.25,1.26,1.27,2.28,1.29,1.2a,1.2b,1.2c,4.2d,1.2e,1.2f,1.2g,1.2h,1.2i,1.2j,1.2k,1.2l,2.2m,1.2n,1.2o,2.2p,1.2q,1.2r,1.2s,1.2t,2.2u,1.2v,1,2.2w,1.2x,1.2y,1.2z,1.30,1.31,1.32,1.33,1.34,1.35,1.36,1.37,2.38,1.39,1.3a,1.3b,1.3c,1.3d,1.3e,2.3f,2.3g,1.3h,m.3i,a.3j,1.3k,1.3l,1.3m,1.3n,2.3o,2.3p,2.3q,1.3r,1.3s,1.3t,1.3u,1,2.3v,1.3w,1.3x,1.3y,1.3z,2.40,1.41,2.42,2.43,1.44,1.45,1.46,2.47,1.48,1.49,2.4a,1.4b,1.4c,3.4d,1.4e,1.4f,1.4g,2.4h,1.4i,2.4j,1.4k,1.4l,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,2.4u,1.4v,1.4w,1.4x,3.4y,1.4z,1.50,1.51,1.52,1.53,1.54,1.55,d.4c,2.56,1,i.57,1.58,1.59,2.5a,2.5b,1.5c,1.5d,1.5e,1.5f,2.5g,1.5h,1.5i,1.5j,1.5k,1.5l,1.5m,1.5n,1.5o,1.5p,1.5q,3.5r,1.5s,2.5t,1.5u,1.5v,1.5w,1.5x,2.5y,1.5z,1.60,1.61,3.62,1.63,4.64,1.65,1.66,1.67,1.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,1.6f,1.6g,2.6h,2.6i,k.6j,j.6k,1.6l,1.6m,1.6n,5.6o,1.6p,2.6q,1.6r,1.6s,1.6t,2.6u,1.6v,1.6w,2.6x,1.6y,2.6z,1.70,3.71,1.72,3.73,1.74,1.75,2.76,4.77,1.78,2.79,1.7a,1.7b,2.7c,1.7d,1.7e,1.7f,1.7g,1.7h,1.7i,2.7j,2.7k,1.7l,2.7m,1.7n,4.7o,1.7p,g.7q,j.7r,1.7s,1.7t,1.7u,2.7v,1.7w,4.7x,1.7y,1.7z,1.80,1.81,2.82,2.83,1.84,1.85,1.86,1.87,2.88,1.89,1.8a,2.8b,1.8c,1.8d,1.8e,1.8f,4.8g,1.8h,1.8i,1.8j,1.8k,1.8l,14.8m,1*2,3.8n,3.8m,5.8o,2.8p,1.8q,1.8r,1.8s,1.8t,2.8u,2.8v,1.8w,5.8x,2.8y,3.8z,2.90,1.91,3.92,3.93,1.94,2.95,1.96,2.97,1.98,1.99,2.9a,1.9b,1.9c,2.9d,1.9e,1.9f,1.9g,1.9h,1.9i,1.9j,2.9k,1.9l,2.9m,1.9n,2.9o,1.9p,2.9q,1.9r,3.9s,1.9t,2.9u,1.9v,2.9w,2.9x,1.9y,2.9z,1.a0,1.a1,1.a2,1.a3,5.9v'],
+    TN: ['Adams|Antioch|Alexandria|Arrington|Ashland City|Auburntown|Beechgrove|Belfast|Bell Buckle|Bethpage|Big Rock|Brentwood|Bon Aqua|Bradyville|Bumpus Mills|Burns|Carthage|Castalian Springs|Cedar Hill|Centerville|Chapel Hill|Chapmansboro|Charlotte|Christiana|Clarksville|College Grove|Cornersville|Cottontown|Cross Plains|Cumberland City|Cumberland Furnace|Cunningham|Dickson|Dixon Springs|Dover|Dowelltown|Eagleville|Erin|Fairview|Fosterville|Franklin|Gallatin|Goodlettsville|Gladeville|Greenbrier|Hartsville|Hendersonville|Hermitage|Hurricane Mills|Indian Mound|Joelton|Kingston Springs|Lafayette|Lascassas|La Vergne|Lebanon|Lewisburg|Liberty|Linden|Lobelville|Lyles|Mc Ewen|Mcminnville|Madison|Milton|Mitchellville|Mount Juliet|Murfreesboro|New Johnsonville|Nolensville|Norene|Nunnelly|Old Hickory|Only|Orlinda|Palmyra|Pegram|Petersburg|Pleasant Shade|Pleasant View|Portland|Readyville|Red Boiling Springs|Riddleton|Ridgetop|Rockvale|Shelbyville|Slayden|Smithville|Smyrna|Southside|Springfield|Spring Hill|Stewart|Tennessee Ridge|Thompsons Station|Unionville|Vanleer|Wartrace|Watertown|Waverly|Westmoreland|White Bluff|White House|Whites Creek|Woodbury|Woodlawn|Nashville|Amsouth Bank|Nashvl|Tn Dept Of Health Environ|Tn Dept Of Human Svc|Altamont|Apison|Athens|Bakewell|Beersheba Springs|Belvidere|Benton|Birchwood|Calhoun|Charleston|Cleveland|Coalmont|Coker Creek|Collegedale|Conasauga|Copperhill|Cowan|Dayton|Decatur|Decherd|Delano|Ducktown|Dunlap|Elora|Englewood|Estill Springs|Etowah|Evensville|Farner|Fayetteville|Flintville|Georgetown|Grandview|Graysville|Gruetli Laager|Guild|Harrison|Hillsboro|Hixson|Huntland|Jasper|Kelso|Manchester|Lookout Mountain|Lupton City|Lynchburg|Mc Donald|Madisonville|Monteagle|Morrison|Mulberry|Normandy|Ocoee|Old Fort|Ooltewah|Palmer|Pelham|Pikeville|Reliance|Riceville|Sale Creek|Sequatchie|Sewanee|Sherwood|Signal Mountain|Smartt|Soddy Daisy|South Pittsburg|Spring City|Summitville|Tellico Plains|Tracy City|Tullahoma|Arnold Afb|Turtletown|Viola|Whiteside|Whitwell|Winchester|Chattanooga|Memphis|Johnson City|Afton|Blountville|Bluff City|Bristol|Butler|Chuckey|Church Hill|Elizabethton|Mount Carmel|Erwin|Fall Branch|Flag Pond|Hampton|Jonesborough|Kingsport|Laurel Bloomery|Limestone|Milligan College|Mountain City|Mountain Home|Piney Flats|Roan Mountain|Shady Valley|Telford|Trade|Unicoi|Watauga|Alcoa|Andersonville|Arthur|Bean Station|Blaine|Briceville|Bulls Gap|Bybee|Caryville|Clairfield|Clinton|Coalfield|Corryton|Cosby|Crab Orchard|Cumberland Gap|Dandridge|Deer Lodge|Del Rio|Duff|Eagan|Eidson|Elgin|Rugby|Friendsville|Gatlinburg|Greenback|Greeneville|Harriman|Harrogate|Hartford|Heiskell|Helenwood|Huntsville|Jacksboro|Jefferson City|Jellico|Kingston|Kodak|Kyles Ford|La Follette|Lake City|Lancing|Lenoir City|Lone Mountain|Loudon|Louisville|Lowland|Luttrell|Maryville|Mascot|Maynardville|Midway|Mohawk|Mooresburg|Morristown|Mosheim|Newcomb|New Market|Newport|New Tazewell|Niota|Norris|Oakdale|Oak Ridge|Oliver Springs|Oneida|Parrottsville|Petros|Philadelphia|Pioneer|Powder Springs|Powell|Pruden|Robbins|Rockford|Rockwood|Rogersville|Russellville|Rutledge|Sevierville|Pigeon Forge|Seymour|Sharps Chapel|Shawanee|Sneedville|Speedwell|Strawberry Plains|Sunbright|Surgoinsville|Sweetwater|Talbott|Tallassee|Tazewell|Ten Mile|Thorn Hill|Townsend|Vonore|Walland|Wartburg|Washburn|White Pine|Whitesburg|Winfield|Knoxville|The Mail Box|Alamo|Arlington|Atoka|Bells|Bogota|Bolivar|Braden|Brighton|Brownsville|Brunswick|Burlison|Cordova|Collierville|Covington|Crockett Mills|Drummonds|Dyersburg|Eads|Ellendale|Finley|Friendship|Gallaway|Gates|Grand Junction|Halls|Henning|Hickory Valley|Hornsby|Laconia|La Grange|Lenox|Macon|Mason|Maury City|Middleton|Millington|Moscow|Munford|Newbern|Oakland|Pocahontas|Ripley|Rossville|Saulsbury|Somerville|Stanton|Tigrett|Tipton|Whiteville|Williston|Wynnburg|Tiptonville|Ridgely|Mem|Germantown|Mphs|Mc Kenzie|Atwood|Big Sandy|Buchanan|Como|Cottage Grove|Dresden|Dukedom|Elbridge|Gleason|Greenfield|Henry|Hornbeak|Kenton|Mc Lemoresville|Mansfield|Martin|Obion|Palmersville|Paris|Puryear|Rives|Samburg|Sharon|Springville|South Fulton|Trezevant|Trimble|Troy|Union City|Woodland Mills|Jackson|Adamsville|Bath Springs|Beech Bluff|Bethel Springs|Bradford|Bruceton|Buena Vista|Camden|Cedar Grove|Clarksburg|Counce|Crump|Darden|Decaturville|Dyer|Eaton|Enville|Eva|Finger|Fruitvale|Gadsden|Gibson|Guys|Henderson|Holladay|Hollow Rock|Humboldt|Huntingdon|Huron|Idlewild|Jacks Creek|Lavinia|Lexington|Luray|Medina|Medon|Michie|Milan|Milledgeville|Morris Chapel|Oakfield|Parsons|Pickwick Dam|Pinson|Ramer|Reagan|Rutherford|Saltillo|Sardis|Savannah|Scotts Hill|Selmer|Shiloh|Silerton|Spring Creek|Stantonville|Sugar Tree|Toone|Trenton|Westport|Wildersville|Yorkville|Yuma|Denmark|Mercer|Chewalla|Columbia|Clifton|Ardmore|Collinwood|Culleoka|Cypress Inn|Dellrose|Duck River|Elkton|Ethridge|Five Points|Frankewing|Goodspring|Hampshire|Hohenwald|Iron City|Lawrenceburg|Leoma|Loretto|Lutts|Lynnville|Minor Hill|Mount Pleasant|Olivehill|Primm Springs|Prospect|Pulaski|Saint Joseph|Santa Fe|Summertown|Waynesboro|Westpoint|Williamsport|Taft|Cookeville|Allardt|Allons|Allred|Alpine|Baxter|Bloomington Springs|Brush Creek|Buffalo Valley|Byrdstown|Campaign|Celina|Chestnut Mound|Clarkrange|Crawford|Crossville|Jamestown|Doyle|Elmwood|Gainesboro|Gordonsville|Granville|Grimsley|Hickman|Hilham|Lancaster|Livingston|Monroe|Monterey|Moss|Pall Mall|Pleasant Hill|Quebeck|Rickman|Rock Island|Silver Point|Sparta|Spencer|Walling|Whitleyville|Wilder',
+         'sk2.0,1.1,1.2,1.1,1.3,1.4,1.5,2.6,1.7,1.8,2.9,1.a,1.b,1.c,1.d,1.b,1.e,1.f,1.g,1.h,1.i,1.j,1.k,1.l,1.m,1.n,3.o,1*4,2.p,1.q,1.r,1.s,1.t,1.u,1.v,3.w,1,1.x,1.y,1.z,1.10,1.11,1.12,1.13,1.14,1,1.15,1.14,1*2,1.16,1.17,1.16,1.18,1.19,1.1a,1.1b,1.1a,1.1c,1.1d,1.1e,2.1f,1.1g,2.1h,1.1i,1.1j,1,1.1i,1.1j,1.1k,4.1l,1.1m,1.1n,1.1o,3.1p,9.1q,1,4.1r,1,2.1s,1.1t,2.1u,1,5.1v,1*6,1.1w,1.1x,1.1y,1.1z,1.20,2.21,1.22,1.23,1.24,1.25,1.26,1.27,2.28,1.29,1.2a,1.2b,1.2c,1.2d,7.2e,1*2,3.2f,1.2g,1.2h,4.2i,1.2j,2.2k,1.2l,3.2m,1.2n,1.2o,1.2p,2.2q,1.2r,1.2s,1.2t,1.2u,1.2v,1.2w,1.2x,1.2y,a.2z,1*l,2,3,1*3,2*2,1*2,1.30,1.2z,2,1*4,1.31,1.2z,1.32,1.33,1.31,1.2z,1f.34,1.35,1.36,1.37,1.38,1.39,1.3a,1.3b,1.3c,1.3d,1.3e,1,1.3f,1.3g,1.3h,1.3i,1.3j,1.3k,2.3e,1.3l,1.3m,1.3e,1.3n,1.3o,1.3p,1.3q,1.3r,1.3s,1.3t,1.3u,1.3v,1.3w,1.3x,1.3y,1.3z,1.40,1.41,1.42,1.43,1.44,1.45,1.46,2.47,2.48,1.49,1.4a,1.4b,1.4c,1.4d,1.4e,1.4f,1.4a,1.4g,1.4h,2.4i,1.4j,1.4k,1.4l,1.4m,1.3e,1.4n,1.4o,1.4p,2.4q,1.4r,1.36,2.4s,1.4t,1.4u,1.4v,1.4w,1.4x,1.4y,1.4z,1.50,1.51,1.4u,1.4y,1.52,2.53,1.54,1.55,2.56,3.57,2.58,1.59,1.5a,3.5b,1*b,2,1*2,3,2,1,2,q,1f.5c,17,1l.5d,1,2,1,9,1,1.5e,1.5f,1.5g,2.5h,1,4,f.5i,1.5j,1.5k,1.5l,1,1.5m,5.5n,6.5o,1.5p,1.5q,1.5r,1.5s,2,1*3,4,b.5t,1.5u,1.5v,1.5w,1.5x,2.5y,1.5z,1.60,2.61,1.62,1.63,2.64,5.5y,2.65,4.66,2.67,1.68,1.69,1.6a,1.6b,2.6c,1.6d,1.6e,1.6f,1,2.6g,2.6h,1.6i,1.6j,1.6k,1.6l,1.6m,1.6n,2.6o,1.6p,1.6q,1.6r,1.6s,4.6t,1.6u,4.6v,1.6w,1*2,3.6x,4.6y,1.6z,1.70,1.71,1.72,1.73,3.74,2.75,1.76,1.77,1.78,1.79,3.7a,1.7b,1.7c,1,1.7d,1.7e,3.7f,1.7g,1.7h,m.7i,1*3,2.7j,1.7k,2.7l,1.7m,1.7n,2.7o,1*3,2.7p,1.7q,1.7r,1.7s,1,2.7t,1,1.7u,2.7v,1.7w,1.7x,1,9.7y,1.7z,2.80,2.81,1.82,1.83,1.84,1.85,2.86,1.87,1.88,1.89,3.8a,3.8b,1.8c,1.8d,1.8e,1.8d,1.8f,1.8g,1.8h,1.8e,1.8i,1.8j,1.8k,1.8l,1.8m,1.8n,2.8d,1.8o,1.8p,1.8q,1.8r,1.8s,1.8t,3.8u,1.8v,1.8w,1.8x,2.8y,1.8z,1.90,9.91,1,7,3,2,1*a,3,1*7,4,1*2,a,14.92,5.91,1*3,3.93,1.94,2.95,2.96,1.97,1.98,2.99,1.9a,1.9b,2.9c,1.9d,1.9e,1.9f,1.9e,1.9g,2.9h,2.9i,1.9j,1,2.9f,1.9k,1.9l,1.9m,4.9n,2.9o,1.9p,2.9q,1.9r,1.9s,1.9t,2.9u,1.9v,1.9w,1.9x,1.9y,1.9z,1.a0,2.a1,1.a2,1*2,2.a3,1.a4,1.a5,1.a6,1.a7,2.a8,3.a9,1.aa,1.ab,1.ac,1.ad,1.ae,4.af,1.ag,1.ah,2.ai,1.aj,3.a2,5.9e,d.5c,2,1*6,1.ak,1.5c,1*9,2*2,1*4,2,1*7,1.al,1,2.5c,1.am,3.5c,2,1,2,1*2,5,2*4,1*3,5,1*2,2,4,1,1.al,1.5c,2,1*2,2,3,1,3,4.an,j.ao,1.ap,1.aq,1.ar,1.as,1.at,1.au,1.av,2.aw,1.ax,1.ay,1.az,1.b0,2.b1,1.b2,1.b3,1,2.b4,1.b5,1.b6,9.b7,2.b8,1.b9,1.ba,1.bb,1.bc,1.bd,1.be,1.bf,1.bg,a.bh,a.bg,k.bi,1*2,2,3,2.bj,1.bk,2.bl,1.bi,1.bm,1.bn,1.bo,1.bp,2.bq,1.br,3.bs,2.bt,1.bu,1.bv,1.bw,1.bx,1.by,1.bz,1.c0,1.c1,2.c2,1.c3,1.c4,1.c5,1.c6,1.c7,1.c8,1.c9,1.ca,1.cb,1.cc,1.cd,1.ce,3.cf,1.cg,3.ch,1.ci,1.cj,1.ck,1.cl,2.cm,1.cn,1.co,2.cp,1.cq,1.cr,1.cs,1.ct,1.cu,1.cv,1.cw,2.cx,1.cy,1.cz,1.d0,1.d1,1.d2,1.d3,1.d4,1.d5,5.d6,1.d7,1.d8,1.d9,1.da,1.db,1.dc,8.dd,1,n.de,o.df,1.dg,1.dh,1.di,1.dj,1.dk,1.dl,1.dm,1.dn,2.do,1.dp,1.dq,1.dr,1.ds,1.dt,4.du,1.dv,2.dw,1.dx,1.dy,1.dz,1.e0,1.e1,1.e2,1.e3,3.e4,1.e5,1.e6,2.e7,1.e8,1.e9,1.ea,d.eb,1*2,1.ec,1.eb,1,z.ed,1.ee,1.ef,1.eg,1.eh,2.ei,1.ej,1.ek,1.el,1.em,1.en,1.eo,1.ep,1.eq,1.er,1.eq,1,1.es,1.et,2.eu,1.ev,1.ew,1.ex,2.ey,1.ez,1.f0,1.f1,1.eq,1,1.f2,1.f3,1.f4,2.f5,1.f6,1.f7,1.f8,1.f9,1.fa,1.fb,2.fc,2.fd,1.fe,1.ff'],
+    TX: ['Austin|Texhoma|Addison|Allen|Carrollton|Celina|Irving|Coppell|Denison|Flower Mound|Plano|Lewisville|Rowlett|Rockwall|Frisco|Garland|Sachse|Grand Prairie|The Colony|Gunter|Lake Dallas|Little Elm|Mckinney|Pottsboro|Prosper|Richardson|Sherman|Weston|Wylie|Bardwell|Barry|Canton|Cedar Hill|Chatfield|Corsicana|Crandall|Desoto|Duncanville|Edgewood|Elmo|Ennis|Copeville|Eustace|Ferris|Forney|Fruitvale|Fate|Lancaster|Caddo Mills|Grand Saline|Hutchins|Kaufman|Kemp|Kerens|Mabank|Malakoff|Mesquite|Palmer|Powell|Red Oak|Rice|Rosser|Scurry|Seagoville|Terrell|Trinidad|Josephine|Waxahachie|Lavon|Wills Point|Wilmer|Nevada|Balch Springs|Sunnyvale|Royse City|Dallas|American Express|Greenville|Princeton|Anna|Alba|Arthur City|Bagwell|Bailey|Bells|Ben Franklin|Blossom|Bogata|Bonham|Brashear|Brookston|Campbell|Celeste|Blue Ridge|Chicota|Clarksville|Commerce|Como|Cooper|Cumby|Cunningham|Deport|Detroit|Dike|Dodd City|Ector|Emory|Enloe|Farmersville|Gober|Golden|Honey Grove|Ivanhoe|Klondike|Ladonia|Lake Creek|Leesburg|Leonard|Lone Oak|Melissa|Mount Pleasant|Mount Vernon|Merit|Howe|Paris|Pattonville|Pecan Gap|Petty|Pickton|Point|Powderly|Quinlan|Randolph|Ravenna|Roxton|Saltillo|Savoy|Scroggins|Sulphur Bluff|Sulphur Springs|Westminster|Sumner|Talco|Telephone|Tom Bean|Trenton|Whitewright|Windom|Winfield|Winnsboro|Van Alstyne|Wolfe City|Yantis|Texarkana|Annona|Atlanta|Avery|Bivins|Bloomburg|Cookville|De Kalb|Douglassville|Hooks|Kildare|Linden|Lodi|Mc Leod|Marietta|Maud|Naples|Nash|New Boston|Omaha|Queen City|Redwater|Simms|Longview|Avinger|Beckville|Carthage|Cason|Clayton|Daingerfield|De Berry|Diana|Easton|Elysian Fields|Gary|Gilmer|Gladewater|Hallsville|Harleton|Henderson|Hughes Springs|Jefferson|Joinerville|Jonesville|Judson|Karnack|Kilgore|Laird Hill|Laneville|Lone Star|Long Branch|Marshall|Minden|Mount Enterprise|New London|Ore City|Overton|Panola|Pittsburg|Price|Scottsville|Selman City|Tatum|Waskom|White Oak|Woodlawn|Tyler|Arp|Athens|Ben Wheeler|Big Sandy|Brownsboro|Bullard|Chandler|Cuney|Cushing|Flint|Frankston|Gallatin|Hawkins|Jacksonville|Larue|Lindale|Maydelle|Mineola|Murchison|Neches|New Summerfield|Poynor|Quitman|Reklaw|Rusk|Sacul|Troup|Van|Whitehouse|Winona|Palestine|Buffalo|Cayuga|Centerville|Centralia|Crockett|Donie|Elkhart|Fairfield|Grapeland|Groveton|Jewett|Kennard|Kirvin|Latexo|Leona|Lovelady|Midway|Montalba|Oakwood|Pennington|Ratcliff|Streetman|Teague|Tennessee Colony|Trinity|Woodlake|Lufkin|Alto|Apple Springs|Bon Wier|Broaddus|Bronson|Brookeland|Burkeville|Call|Camden|Center|Chester|Chireno|Colmesneil|Corrigan|Diboll|Doucette|Douglass|Etoile|Garrison|Hemphill|Huntington|Jasper|Joaquin|Kirbyville|Martinsville|Milam|Moscow|Nacogdoches|Newton|Pineland|Pollok|San Augustine|Shelbyville|Tenaha|Timpson|Wells|Wiergate|Woden|Woodville|Zavalla|Arlington|Aledo|Alvarado|Azle|Bedford|Boyd|Burleson|Cleburne|Colleyville|Cresson|Crowley|Euless|Forreston|Glen Rose|Godley|Granbury|Grandview|Grapevine|Haslet|Hurst|Itasca|Joshua|Keene|Kennedale|Lillian|Mansfield|Maypearl|Midlothian|Millsap|Mineral Wells|Nemo|Newark|Paradise|Rainbow|Rhome|Springtown|Venus|Weatherford|Southlake|Rio Vista|Fort Worth|Haltom City|North Richland Hills|Denton|Alvord|Argyle|Aubrey|Bellevue|Bowie|Collinsville|Decatur|Era|Forestburg|Gainesville|Keller|Gordonville|Greenwood|Justin|Krum|Lindsay|Montague|Muenster|Myra|Nocona|Pilot Point|Ponder|Ringgold|Roanoke|Rosston|Sadler|Saint Jo|Sanger|Slidell|Southmayd|Sunset|Tioga|Valley View|Whitesboro|Wichita Falls|Sheppard Afb|Archer City|Bluegrove|Burkburnett|Byers|Electra|Goree|Harrold|Henrietta|Holliday|Iowa Park|Kamay|Megargel|Munday|Newcastle|Oklaunion|Olney|Petrolia|Scotland|Seymour|Vernon|Weinert|Windthorst|Stephenville|Breckenridge|Bridgeport|Bryson|Caddo|Albany|Chico|Blanket|Bluff Dale|Carbon|Carlton|Cisco|Dennis|Comanche|Cross Plains|De Leon|Desdemona|Dublin|Eastland|Graford|Graham|Energy|Gordon|Gorman|Gustine|Hico|Jacksboro|Jermyn|Loving|Lingleville|Lipan|Mingus|Moran|Morgan Mill|Olden|Paluxy|Proctor|Putnam|Ranger|Rising Star|Santo|Sidney|Strawn|Tolar|South Bend|Throckmorton|Palo Pinto|Peaster|Perrin|Poolville|Whitt|Woodson|Temple|Bartlett|Belton|Buckholts|Burlington|Cameron|Copperas Cove|Davilla|Eddy|Evant|Flat|Florence|Gatesville|Granger|Hamilton|Heidenheimer|Holland|Jarrell|Jonesboro|Kempner|Killeen|Fort Hood|Harker Heights|Lampasas|Little River Academy|Milano|Moody|Mound|Nolanville|Oglesby|Pendleton|Pottsville|Purmela|Rockdale|Rogers|Rosebud|Salado|Schwertner|Taylor|Thorndale|Thrall|Troy|Abbott|Aquilla|Avalon|Axtell|Blooming Grove|Blum|Brandon|Bremond|Bruceville|Bynum|Chilton|China Spring|Clifton|Coolidge|Covington|Cranfills Gap|Crawford|Dawson|Elm Mott|Frost|Groesbeck|Hewitt|Laguna Park|Hillsboro|Hubbard|Iredell|Irene|Italy|Kopperl|Kosse|Leroy|Lorena|Lott|Mc Gregor|Malone|Marlin|Mart|Meridian|Mertens|Mexia|Milford|Morgan|Mount Calm|Penelope|Prairie Hill|Purdon|Reagan|Richland|Riesel|Ross|Satin|Tehuacana|Thornton|Valley Mills|Walnut Springs|West|Whitney|Wortham|Waco|Woodway|Brownwood|Early|Art|Ballinger|Bangs|Bend|Brady|Brookesmith|Burkett|Castell|Cherokee|Coleman|Doole|Eden|Fort Mc Kavett|Fredonia|Goldthwaite|Gouldbusk|Hext|Junction|Lohn|Lometa|London|Lowake|Mason|May|Melvin|Menard|Miles|Millersview|Mullin|Norton|Paint Rock|Pontotoc|Priddy|Richland Springs|Rochelle|Rockwood|Roosevelt|Rowena|San Saba|Santa Anna|Star|Talpa|Telegraph|Valera|Valley Spring|Veribest|Voca|Voss|Zephyr|San Angelo|Goodfellow Afb|Barnhart|Big Lake|Bronte|Carlsbad|Christoval|Eldorado|Eola|Knickerbocker|Mereta|Mertzon|Ozona|Robert Lee|Silver|Sonora|Sterling City|Tennyson|Vancourt|Wall|Water Valley|Houston|Conroe|North Houston|Montgomery|Willis|Huntsville|Kingwood|Ace|Cleveland|Coldspring|Dallardsville|Dobbin|Dodge|Goodrich|Huffman|Hufsmith|Humble|Leggett|Livingston|Magnolia|New Caney|New Waverly|Oakhurst|Onalaska|Pinehurst|Plantersville|Pointblank|Porter|Riverside|Romayor|Rye|Shepherd|Splendora|Spring|Thicket|Tomball|Votaw|Bellaire|Bay City|Richmond|Cypress|Alief|Altair|Barker|Cedar Lane|Beasley|Bellville|Blessing|Boling|Brazoria|Brookshire|Chappell Hill|Collegeport|Damon|Danciger|Danevang|Eagle Lake|East Bernard|Egypt|El Campo|Elmaton|Fulshear|Garwood|Glen Flora|Guy|Hempstead|Prairie View|Hockley|Hungerford|Katy|Kendleton|Kenney|Lane City|Lissie|Louise|Markham|Matagorda|Midfield|Missouri City|Nada|Needville|Old Ocean|Orchard|Palacios|Pattison|Pierce|Pledger|Rock Island|Rosenberg|San Felipe|Sealy|Sheridan|Simonton|Stafford|Sugar Land|Sweeny|Thompsons|Van Vleck|Wadsworth|Waller|Wallis|West Columbia|Wharton|Pasadena|Santa Fe|Alvin|Anahuac|Angleton|Bacliff|Batson|Baytown|Channelview|Clute|Crosby|Daisetta|Danbury|Dayton|Deer Park|Devers|Dickinson|Freeport|Fresno|Friendswood|Galena Park|Galveston|Hankamer|Hardin|Highlands|Hitchcock|Hull|Kemah|Lake Jackson|La Marque|La Porte|League City|Liberty|Liverpool|Manvel|Mont Belvieu|Pearland|Raywood|Rosharon|Saratoga|Seabrook|South Houston|Texas City|Wallisville|Webster|Bridge City|Buna|China|Deweyville|Evadale|Fred|Gilchrist|Groves|Hamshire|High Island|Hillister|Kountze|Mauriceville|Nederland|Nome|Orange|Orangefield|Port Arthur|Port Bolivar|Port Neches|Sabine Pass|Silsbee|Lumberton|Sour Lake|Spurger|Stowell|Vidor|Village Mills|Warren|Winnie|Beaumont|Bryan|Anderson|Bedias|Brenham|Burton|Caldwell|Calvert|Chriesman|College Station|Concord|Deanville|Dime Box|Flynn|Franklin|Gause|Hearne|Iola|Kurten|Lyons|Madisonville|Marquez|Millican|Mumford|Navasota|Texas Dept Of Correction|New Baden|Normangee|North Zulch|Richards|Roans Prairie|Shiro|Snook|Somerville|Washington|Wellborn|Wheelock|Victoria|Austwell|Bloomington|Cuero|Edna|Fannin|Francitas|Ganado|Goliad|Hallettsville|Hochheim|Inez|La Salle|La Ward|Lolita|Mcfaddin|Meyersville|Moulton|Nursery|Placedo|Point Comfort|Port Lavaca|Port O Connor|Seadrift|Shiner|Sublime|Sweet Home|Telferner|Thomaston|Tivoli|Vanderbilt|Weesatche|Westhoff|Yoakum|Artesia Wells|Atascosa|Bandera|Bergheim|Bigfoot|Boerne|Calliham|Campbellton|Castroville|Center Point|Charlotte|Christine|Comfort|Cotulla|Devine|Dilley|Encinal|Fowlerton|George West|Helotes|Hunt|Ingram|Jourdanton|Kendalia|Kerrville|La Coste|Laredo|Leming|Lytle|Macdona|Medina|Mico|Moore|Mountain Home|Natalia|Oakville|Pearsall|Peggy|Pipe Creek|Pleasanton|Poteet|Rio Medina|San Ygnacio|Somerset|Spring Branch|Three Rivers|Tilden|Von Ormy|Waring|Whitsett|Zapata|Adkins|Beeville|Berclair|Cibolo|Converse|Ecleto|Elmendorf|Falls City|Floresville|Geronimo|Gillett|Hobson|Karnes City|Kenedy|La Vernia|Leesville|Mc Queeney|Marion|Mineral|New Braunfels|Canyon Lake|Nixon|Nordheim|Normanna|Pandora|Panna Maria|Pawnee|Pettus|Poth|Universal City|Randolph A F B|Runge|Saint Hedwig|Schertz|Seguin|Smiley|Stockdale|Sutherland Springs|Tuleta|Bulverde|Yorktown|San Antonio|Lackland A F B|Kelly Usa|Alliance Data Systems|Agua Dulce|Alice|Aransas Pass|Armstrong|Banquete|Bayside|Benavides|Ben Bolt|Bishop|Bruni|Chapman Ranch|Concepcion|Dinero|Driscoll|Edroy|Encino|Falfurrias|Freer|Fulton|Gregory|Guerra|Hebbronville|Ingleside|Kingsville|Mathis|Mirando City|Odem|Oilton|Orange Grove|Port Aransas|Portland|Premont|Realitos|Refugio|Riviera|Robstown|Rockport|Sandia|San Diego|Sarita|Sinton|Skidmore|Taft|Tynan|Woodsboro|Corpus Christi|Crp Christi|Mcallen|Alamo|Brownsville|Combes|Delmita|Donna|Edcouch|Edinburg|Elsa|Falcon Heights|Garciasville|Grulla|Hargill|Harlingen|Hidalgo|La Blanca|La Feria|La Joya|Lasara|La Villa|Linn|Lopeno|Los Ebanos|Los Fresnos|Los Indios|Lozano|Lyford|Mercedes|Mission|Olmito|Penitas|Pharr|Port Isabel|Progreso|Raymondville|Rio Grande City|Rio Hondo|Roma|Salineno|San Benito|San Isidro|San Juan|San Perlita|Santa Elena|Santa Maria|Santa Rosa|Sebastian|Sullivan City|Weslaco|South Padre Island|Port Mansfield|Bastrop|Belmont|Bertram|Blanco|Bluffton|Briggs|Buchanan Dam|Buda|Burnet|Cedar Creek|Cedar Park|Cost|Coupland|Dale|Del Valle|Doss|Driftwood|Dripping Springs|Elgin|Fentress|Fischer|Fredericksburg|Georgetown|Gonzales|Harper|Harwood|Hutto|Hye|Johnson City|Kingsbury|Kingsland|Kyle|Leander|Liberty Hill|Llano|Lockhart|Luling|Mc Dade|Mc Neil|Manchaca|Manor|Marble Falls|Martindale|Maxwell|Horseshoe Bay|Ottine|Paige|Pflugerville|Prairie Lea|Red Rock|Round Mountain|Round Rock|San Marcos|Spicewood|Staples|Stonewall|Tow|Walburg|Weir|Willow City|Wimberley|Wrightsboro|State Board Of Insurance|Uvalde|Asherton|Barksdale|Batesville|Big Wells|Brackettville|Camp Wood|Carrizo Springs|Catarina|Comstock|Concan|Crystal City|Del Rio|Laughlin A F B|D Hanis|Dryden|Eagle Pass|El Indio|Hondo|Knippa|Langtry|La Pryor|Leakey|Quemado|Rio Frio|Rocksprings|Sabinal|Tarpley|Utopia|Vanderpool|Yancey|Bleiblerville|Carmine|Cat Spring|Columbus|Alleyton|Ellinger|Fayetteville|Flatonia|Giddings|Glidden|Industry|La Grange|Ledbetter|Lexington|Lincoln|Muldoon|New Ulm|Oakland|Plum|Rosanky|Round Top|Schulenburg|Smithville|Waelder|Warda|Warrenton|Weimar|West Point|Adrian|Alanreed|Allison|Booker|Borger|Bovina|Boys Ranch|Briscoe|Bushland|Cactus|Canadian|Canyon|Channing|Claude|Cotton Center|Dalhart|Darrouzett|Dawn|Dimmitt|Dumas|Earth|Edmonson|Farnsworth|Follett|Friona|Fritch|Groom|Gruver|Hale Center|Happy|Hart|Hartley|Hereford|Higgins|Kerrick|Kress|Lazbuddie|Lefors|Lipscomb|Mclean|Masterson|Miami|Mobeetie|Morse|Nazareth|Olton|Pampa|Panhandle|Perryton|Plainview|Sam Norwood|Sanford|Shamrock|Skellytown|Spearman|Springlake|Stinnett|Stratford|Summerfield|Sunray|Texline|Tulia|Umbarger|Vega|Waka|Wayside|Wellington|Wheeler|White Deer|Wildorado|Amarillo|Childress|Afton|Aiken|Cee Vee|Chillicothe|Clarendon|Crowell|Dickens|Dodson|Dougherty|Estelline|Flomot|Floydada|Guthrie|Hedley|Lakeview|Lelia Lake|Lockney|Mcadoo|Matador|Memphis|Odell|Paducah|Petersburg|Quail|Quanah|Quitaque|Roaring Springs|Silverton|South Plains|Tell|Turkey|Abernathy|Amherst|Anton|Bledsoe|Brownfield|Bula|Crosbyton|Denver City|Enochs|Farwell|Fieldton|Idalou|Justiceburg|Lamesa|Levelland|Littlefield|Loop|Lorenzo|Maple|Meadow|Morton|Muleshoe|New Deal|Odonnell|Pep|Plains|Post|Ralls|Ropesville|Seagraves|Seminole|Shallowater|Slaton|Ransom Canyon|Smyer|Spade|Spur|Sudan|Sundown|Tahoka|Tokio|Welch|Wellman|Whiteface|Whitharral|Wilson|Wolfforth|New Home|Lubbock|Anson|Aspermont|Avoca|Baird|Benjamin|Blackwell|Buffalo Gap|Clyde|Coahoma|Colorado City|Dunn|Fluvanna|Girard|Goldsboro|Hamlin|Haskell|Hawley|Hermleigh|Ira|Jayton|Knox City|Lawn|Loraine|Lueders|Mc Caulley|Maryneal|Merkel|Nolan|Novice|O Brien|Old Glory|Ovalo|Roby|Rochester|Roscoe|Rotan|Rule|Snyder|Stamford|Sweetwater|Sylvester|Trent|Tuscola|Tye|Westbrook|Wingate|Winters|Abilene|Dyess Afb|Midland|Ackerly|Andrews|Balmorhea|Barstow|Big Spring|Coyanosa|Crane|Forsan|Fort Davis|Fort Stockton|Gail|Garden City|Girvin|Goldsmith|Grandfalls|Imperial|Iraan|Kermit|Knott|Lenorah|Mc Camey|Mentone|Midkiff|Monahans|Gardendale|Notrees|Odessa|Orla|Pecos|Penwell|Pyote|Rankin|Saragosa|Sheffield|Stanton|Tarzan|Toyah|Toyahvale|Wickett|Wink|Anthony|Alpine|Big Bend National Park|Canutillo|Clint|Dell City|Fabens|Fort Hancock|Marathon|Marfa|Presidio|Redford|Salt Flat|Sanderson|San Elizario|Sierra Blanca|Terlingua|Tornillo|Valentine|Van Horn|El Paso|Fort Bliss',
+         '1kk5.0,17,h4.1,sx.2,1.3,4.4,1,2.5,1.4,1,2.3,1.6,1*3,2.7,1.8,1,1.9,1.a,1*3,1.9,1,1.b,1.c,2.d,1.e,1*2,2.6,1*2,1.f,1*7,1.g,1.f,1.h,1*4,2.i,1.b,1.j,2.6,1*3,2.k,2.b,1.l,1.m,1*2,3.a,1,1.n,1.b,1.o,2.p,1*3,2,1.a,1.d,1.c,1,1.q,1*2,1.a,1,3.r,1.s,1.7,2.t,1.u,1.v,1.w,1.x,1.w,3.y,1,4.z,1.10,1.11,1.12,1.13,1.14,1,1.15,2.10,1.16,1.17,1.18,1.19,5.1a,2.1b,1.1c,2.11,1,2.1d,1.1e,1.1f,1.1g,1.1h,2.1b,1.1i,1.1j,1.1k,1,1.y,1.1l,1.1m,1.1n,1.1o,1.1i,1.1p,1.1q,1.1r,1.1s,1,2.1t,1.1u,1.1v,1.1w,1.1v,1,1.1x,3.1y,1.1z,7.20,1.1k,1.21,3.1k,2,2.22,c.23,1*b,2,1*o,2,1*e,4,2,1*7,3,5,2,6,1*4,e,2,7,2,1,2,5,3*2,8,2,3,1,2,1*2,9,1*7,3.24,1.23,3,1,2,1*4,2*2,1*4,4,1*c,3.25,1*3,3.26,2.27,1.28,1.29,1.2a,1.2b,1.2c,1.2d,1.2e,1.2f,1.2g,2.2h,1.2i,1.2j,1.2k,1.2l,1.2m,1.2n,2.2o,1,2.2p,1.2q,1.2r,1.2s,1.2t,1.2u,1.2v,1.2w,1.2x,1.2y,1.2z,1.30,1.31,1.32,2.33,1.34,1.35,1.36,1.37,1.38,1.39,1.3a,1.3b,1.3c,1,1.3d,1.3e,1.3f,1.3g,1*2,6.3h,1.3i,1.3j,1.3k,1.3l,1.3m,1.3n,1.3o,1.3p,1.3q,1.3r,1.3s,1.3t,1.3u,1.3v,1,2.3w,1.3x,1.3y,1.3z,1.40,1.41,1.42,1.43,1.44,1.45,1.46,1.47,1.48,4.49,2,1*2,2,17.4a,1.4b,3.4c,1.4d,1.4e,2.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,p.49,2.4w,1*7,7,f.4x,1.4y,2.4z,3.50,1.51,1.52,1.53,1.54,1.55,1.56,1.57,1.58,1,2.59,3.5a,1.5b,1.5c,1*2,2.5d,1.5e,1.5f,1.5g,1.5h,1.5i,1.5j,1,3.5k,1.5l,1.5m,1.5n,1.5o,1*2,8.5p,1.5q,1.5r,1.5s,1.5t,1.5u,1.5v,1.5w,1.5x,1.5y,2.5z,1.60,1.61,1.62,7.63,1*c,11.64,1.65,1,2.66,1.67,1.68,1.69,1.6a,1.6b,1.6c,2.6d,1.6e,1.6f,1.6g,1.6h,4.6i,1.6j,1.6k,1.6l,5.6m,1.6n,1.6o,2.6p,1.6q,1.6r,1.6s,3.6t,1.6u,1.6v,1.6w,1.6x,5.67,1.63,1,2.6y,1*2,s.6z,1.70,1.71,1.72,1.73,3.74,1.75,1.76,4.77,1.78,1.79,1.7a,1.7b,1.7c,1.7d,1.7e,1.7f,1.7g,2.7h,1.7i,2.7j,1.7k,1.7l,1.7m,1.7n,3.7o,f.7m,2.6y,2.7m,2,f.7p,1*3,b,a.7q,1.7r,2.7s,1.7t,1.7u,1.7v,1.7w,1.7x,1.7y,1.7z,1.80,1.81,1.82,1.83,2.84,1.85,1.86,1.87,2.88,2.89,1.8a,2.8b,3.8c,2.8d,2.8e,1.8f,1.8g,1.8h,1*4,1.8i,2.8j,1.8k,3.8l,1.8m,1.8n,1.8o,1.8p,1.8q,1.8r,1.8s,1.8t,a.8s,b.8u,1*6,1.8v,1.8w,1.8u,1*9,1.8x,1.8y,1,1.8z,5.90,3.91,2,1.92,1.93,1.94,3.95,1,1.96,2.97,1.98,4.99,1,1.9a,1.9b,1.9c,1.9d,1,1.9e,3.9f,1.9g,1.9h,1.9i,2.9j,1.9k,1.9l,1.9m,1.9n,1,2.9o,1.9p,2.9q,4.9r,1.9s,4.9t,2.9u,1.9v,1*3,4.9w,1.9x,1.8u,1.8y,1.8u,1.90,1.8x,1.9b,2.9y,1*f,1.9z,1.9y,1*6,2,3,1*8,3,7,1,2,5,6,1*3,2,b,2,1.a0,1.9y,1.a0,3.9y,5,1*3,2,1*4,2.a1,1*9,f.a2,1.a3,1.a4,1.a5,2.a6,3.a7,1.a8,4.a9,1.aa,1.ab,1,3.ac,1.ad,1.ae,1.af,1.ac,1.ag,1.ah,1.ai,1.aj,1.ak,2.al,3.am,1.an,2.ao,1.ap,1.aq,1.ar,1.as,1.at,1.au,1.av,2.aw,1.ax,1.ay,1.az,q.ap,2.b0,1,3,1*5,1.b1,14.b2,1.b3,2.b4,3.b5,3.b6,3.b7,1.b8,1.b9,1.ba,1.bb,2.bc,1.bd,1.be,1.bf,1.bg,1.bh,3.bi,2.bj,1.bk,4.bl,1,3.bm,1.bn,c.bo,1,m.bp,2.bq,1.br,2.bs,1.bt,1.bu,1.bv,1.bw,2.bx,1.by,1.bz,2.c0,3.c1,1.c2,1.c3,1.c4,1.c5,2.c6,1.c7,1.c8,2.c9,1.ca,1.cb,1.cc,2.cd,1.ce,1.cf,1.cg,1.ch,1.ci,1.cj,1.ck,1.cl,1.cm,1.cn,1.co,1.cp,1.cq,1.cr,1.cs,2.ct,1.cu,1.cv,5.cw,2.cx,1.cy,1.cz,1.d0,1.d1,3.d2,1.d3,a.d4,1*4,3,3.d5,2.d6,5.d7,1.d8,1.d9,2.da,1.db,1.dc,1.dd,1.de,1.df,1.dg,2.dh,1.di,2.dj,1.dk,3.dl,1.dm,1.dn,1.do,1*3,1.dp,1.do,1*2,1.dq,1.do,1.dr,4.ds,2.dt,1.du,1.dv,1.dw,2.dx,3.dy,1.dz,1.e0,1.e1,2.e2,1.e3,1.e4,2.e5,1.e6,3.e7,1.e8,1.e9,h.dg,1*3,m.ea,1.eb,1.ec,1.ed,2.ee,1.ef,1.eg,1.eh,1.ei,1.ej,1.ek,1.el,1.em,1.en,1.eo,1.ep,1.eq,1.er,1.es,1.et,1.eu,1.ev,1.ew,1.ex,3.ey,1.ez,1.f0,1.f1,1.f2,1.f3,1.f4,1.f5,1.f6,1.f7,3.f8,1.f9,3.fa,1.fb,1.fc,1.fd,3.fe,1.ff,2.fg,3.fh,2.fi,1.fj,1.fk,1.fl,1.fm,2.fn,1.fo,1.fp,1.fq,2.fr,1.fs,1.ft,1.fu,1.fv,8.fw,1*7,2,1,1.fx,2.fw,1*2,27,2,1*2,2.fy,1.fz,1.fy,1,g.g0,1.g1,2.g2,1.g3,1.g4,2.g5,1.g6,3.g7,1.g8,2.g9,2.ga,1.gb,4.gc,1.gd,2.ge,1.gf,3.gg,1.gh,3.gi,1.gj,1.gk,1.gl,1.gm,1.gn,1.go,1.gp,2.gq,1.gr,2.gs,1.gt,1.gu,3.gv,1.gw,1.gx,1.gy,1.gz,1.h0,1.h1,2.h2,1.h3,2.h4,2.h5,1.h6,1.h7,1.h8,1.h9,1.ha,1.hb,2.hc,b.hd,1*5,2.he,1.hd,l.hf,2.hg,1.hh,1.hi,1.hj,1.hk,1.hl,2.hm,1.hn,1.ho,2.hp,2.hq,4.hr,1.hs,1.ht,2.hu,2.hv,2.hw,1.hx,17.hy,1*2q,2u,1*9,2,1,2,1*g,2,1*5,2,1*n,2,1*f,2*2,1*a,2,1*3,2.hz,1*5,9.i0,1.i1,2.i2,2.i3,5.i4,1.i5,1.i6,1,3.i7,1.i8,1.i9,1.ia,1.ib,1.ic,1.id,1.ie,1.i4,1.i3,1*4,1.i4,1.ie,1,1.i3,1,1.if,1.ig,2.ih,1*2,1.i1,1.ii,1.ij,1.ik,1.il,2.im,1.in,1.io,1.ip,2.iq,1.ir,1.is,2.it,1.iu,1.iv,1.iw,1.ix,1.iy,1.ix,1.i2,1.iv,1*4,1.hz,1,1.iv,1*3,2*2,3.ie,3.ig,2.iz,1,2.j0,2.j1,1,3.j2,1.j3,1.j4,1.j5,1.j0,1.j6,2.j7,1.j8,1.j9,1.ja,2.jb,1.jc,3.jd,2.je,1.j2,1.jf,1.jg,1.jh,1.j2,1.ji,1.jj,1.jk,1.jl,3.jm,1.jn,1.jo,1.jp,1.jq,1.jr,1.js,1.jt,1.ju,1.jv,1,1.jw,1.jx,1.jy,1.jz,1.k0,1.k1,1.k2,1.k3,1.k4,1.k5,1.k6,2.k7,1.k8,1.k9,1.ka,1.kb,1.kc,1.j1,1.kd,1.ke,2.kf,1.kg,1.kh,1.ki,1.kj,1.kk,1,1.kl,1.km,1.kn,1.ko,1.kp,1.kq,1.kr,1.kk,1.ks,1.k4,2.jv,1*3,2.kk,1.kj,1.kk,3.kt,1*7,2.ku,1.kv,1,2.kw,1.kx,1,1.ku,1.ky,1.kz,1.l0,1*3,7.l1,1.l2,1.l3,1.l4,1.l5,1.l6,1.l7,2.l8,1.l9,2.la,1,3.lb,1.lc,1.ld,2.lc,1.le,1*5,5.lf,1.lg,1.lh,1.li,1.lj,1.lk,1.ll,2.lm,3.ln,1,1.lo,1,1.lp,2.lq,1.lr,2.ls,1.lt,1.lu,1.lv,1.lt,1.lw,1.lx,1.ly,1.lt,2.lz,1*2,5.m0,1.m1,d.m2,1.m3,1.m4,1.m5,1.m6,1.m7,1.m8,2.m9,3.ma,1.mb,1.mc,1.md,1.me,1.mf,2.mg,1.mh,1*2,7.mi,1.mj,1*3,7.mk,1.ml,4.mm,1.mn,1.mo,2.mp,1.mq,1.mr,1.ms,1.mt,1.mu,1.mv,5.ms,v.mw,1*9,3,7,5,1,23.mx,1*2,2,1*3,m.my,1.mz,2.n0,1,1.n1,1.n2,1.n3,1.n4,2.n5,1*5,5.n6,2.n7,1.n8,2.n9,1.na,1.nb,2.nc,2.nd,1.ne,1.nf,1.ng,1.nh,1.ni,1.nj,1.nk,1.nl,1.nm,1.nn,1.no,1.np,2.nq,1.nr,2.ns,1.nt,1.nu,1.nv,1.nw,j.nx,1*4,19.ny,1.nz,3.o0,3.o1,3.o2,1.o3,1.o4,1.o5,1.o6,3.o7,1.o8,1.o9,1.oa,1.ob,2.oc,1.od,1.oe,1.of,1.og,1.oh,1.oi,3.oj,1.ok,1.ol,2.om,1.on,1.oo,1.op,1.oq,1.or,2.os,1.ot,1.ou,6.ov,1.ow,1.ox,1.oy,1.oz,1.p0,1.p1,1.p2,1.p3,1.p4,1.p5,1.p6,1.p7,1.p8,1.p0,1.p9,1.pa,2.pb,2.pc,1.pd,1.pe,1.pf,1.pg,1.ph,1.pi,1.pj,1,a.pk,1.pl,1*6,3,1.pm,2.pn,2.po,1.pp,1.pq,1.pr,1.ps,1.pt,1.pu,1.pv,1.pw,1.px,1.py,1.pz,1.q0,1.q1,2.q2,1.q3,1.q4,1.q5,1.q6,1.q7,1.q8,1.q9,p.qa,1.qb,2,3.qc,1.qd,1.qe,2.qf,1.qg,1.qh,1.qi,1.qj,1.qk,1.ql,1.qm,1.qn,2.qo,1.qp,1.qq,1.qr,1.qs,5.qt,1*2,1.qu,2.qt,5.qv,1.qw,1.qx,1.qy,1.qz,1.r0,1.r1,1.r2,1.r3,2.r4,1.r5,1.r6,2.r7,1.r8,1,3.r9,1.ra,1.rb,1.rc,1.rd,1.re,11.rf,1*y,1.rg,1.rf,1*o,1.rh,1.rf,1*3,2,1*2,5.ri,3.rf,1*2,3,1*6,2,1*8,v.rj,2.rk,1,2.rl,1,2.rm,1.rn,1.ro,1.rp,1.rq,1.rr,1.rs,3.rt,2.ru,1.rv,1.rw,1.rx,1.ry,2.rz,2.s0,1.s1,1.s2,1.s3,1.s4,1.s5,1.s6,1,4.s7,1.s8,1.s9,1.sa,1.sb,1.sc,1.sd,1.se,1.sf,1.sg,2.sh,1.si,1.sj,1,1.sk,1.sl,1.sm,2.sn,2.so,1.sp,1.sq,2.sr,8.ss,1*i,7,1,x,1.st,2.ss,2,1*c,1.st,2.ss,l.su,1*4,b.sv,4.sw,1*3,3,9.sx,1.sy,1.sz,1.t0,1.t1,1*3,1.t2,2.t3,2.t4,1.t5,1.t6,1.t7,1*3,4.t8,1.t9,1.ta,1.tb,1.tc,1.td,1.te,1.tf,1.tg,1.th,1.ti,1.tj,1.tk,1.tl,2.tm,1*2,1.tn,1.to,1.tp,1.tq,1.tr,1.ts,2.tt,1.tu,1.tv,1.tw,1.tx,2.ty,1.tz,1.u0,1.u1,1.u2,1.u3,1.u4,1.u5,1.u6,1.u7,1.u8,1.u6,3.u9,2.ua,1.ub,1.uc,1.ud,1.ue,1.uf,1.ug,1.uh,1.ui,1.uj,1.uk,1.ul,1.um,1.un,1.uo,1.up,1.uq,1.ur,1.us,1.ut,1.uu,2.uv,1*2,1.uw,1.uj,1.ux,1.uy,1.uv,1.uz,1.v0,1.v1,2.v2,1.v3,1.v4,1.v5,1.v6,1.v7,1.v8,1.v5,1,2.v9,2.va,1.vb,1.vc,1.vd,1.ve,1.vf,1.vg,1.vh,1.vi,1.vj,1.vk,1.vl,1.vm,1.vn,1.vo,1,1.vp,1,2.vq,1.vr,1.vs,1.vt,1.vu,1.vv,1.vw,1.vx,1.vy,3.vo,1*3,8.vk,a.0,1*4,3,1*v,2,1,2,1*p,3,1*2,4,1*3,2*2,1.vz,2.0,1,9,1,2.w0,1,p.w1,1.w2,1.w3,1.w4,2.w5,1.w6,1.w7,2.w8,1.w9,1.wa,1.wb,1.wc,1*2,1.wd,4.wc,3.we,1.wf,1.wg,1,7.wh,1.wi,9.wj,1.wk,1.wl,1.wm,4.wn,2.wo,1.wp,1.wq,2.wr,1.ws,1.wt,1.wu,19.wv,1.ww,1.wx,1.wy,1.wz,3.x0,2.x1,1.x2,1.x3,1.x4,1.x5,1.x6,1.x7,1.x8,1.x9,1.xa,1.xb,1.xc,1.xd,1.xe,1.xf,2.xg,1.xh,2.xi,1.xj,1.xk,1.xl,1.xm,12.xn,1.xo,1.xp,2.xq,2.xr,1,1.xs,1.xt,1.xu,1.xv,1.xw,1.xx,1.xy,1,2.xz,1.y0,2.y1,1.y2,2.y3,1.y4,2.y5,2.y6,2.y7,1.y8,1.y9,1.ya,1.yb,1.yc,3.yd,1.ye,1.yf,1.yg,1.yh,1.yi,1.yj,1.yk,5.yl,1.ym,1.yn,1.yo,2.yp,1.yq,1.yr,1.ys,2.yt,1.yu,1.yv,1.yw,1.yx,1,2.yy,2.yz,2.z0,1,4.z1,1.z2,1.z3,1.z4,1.z5,1.z6,1.z7,1.z8,1.z9,1.za,1.zb,1.zc,3.zd,1.ze,1.zf,1.zg,1.zh,1.zi,1.zj,1.zk,3.zl,1*a,3,2,1*5,3,z,7,2,4,2,4,7,2*2,c.zm,j.zn,1.zo,2.zp,2.zq,1.zr,1.zs,2.zt,1.zu,1.zv,2.zw,1.zx,1.zy,1.zz,1.100,2.101,1.102,1.103,2.104,1.105,1.106,2.107,1.108,2.109,1.10a,1.10b,3.10c,1.10d,1.10e,1.10f,1.10g,2.10h,1e.10i,1.10j,1.10k,1.10l,2.10m,4.10n,2.10o,1.10p,1.10q,1.10r,1.10s,3.10t,1.10u,1.10v,5.10w,2,1.10x,3.10y,1.10z,1.110,1.111,1.112,1.113,3.114,1.115,2.116,2.117,1.118,1.119,1.11a,1.11b,1.11c,3.11d,1.11e,2.11f,1.11g,2.11h,1.11i,1.11j,1.11k,1.11l,3.11m,1.11n,1.11o,1.11p,1.11q,1.11r,1.11s,1.11t,i.11u,1*f,7,1,6,m,1,4,7,q,1,2,6,2.11v,1.11w,1.11x,1.11y,1.11z,1.120,2.121,2.122,1.123,1.124,4.125,1.126,1.127,1.128,1.129,1.12a,4.12b,1.12c,1.12d,1.12e,1.12f,1.12g,2.12h,1.12i,1.12j,1.12k,1.12l,1.12m,1.12n,1.12o,1.12p,1.12q,2.12r,1.12s,1.12t,1.12u,1.12v,1,1.12w,1,3.12x,3.12y,4.12z,1.130,1.131,1.132,2.133,1.134,1.135,y.136,1*5,1.137,1.136,2h,1*2,2.138,1*7,2,1*2,1.139,1.13a,4.13b,1.13c,1.13d,1,9.13e,1.13f,2.13g,1.13h,1.13i,3.13j,1.13k,1.13l,1.13m,1.13n,1.13o,1.13p,1.13q,3.13r,1.13s,3.13t,2.13u,1.13v,1.13w,2.13x,1.13y,1.13z,1*6,2,1,1.140,2.141,4.142,1.143,1.144,2.145,1.146,1.147,1.148,2.149,1.14a,2.14b,1.14c,w.14d,9.14e,1*2,2.14f,1.14g,1.14h,1.14i,1.14j,1.14k,3.14l,1.14m,2.14n,1.14o,1.14p,1.14q,1.14r,2.14s,1.14t,1.14u,1.14v,1.14w,1a.14x,1*7,2,1*5,1.14y,1.14x,1.14y,2.14x,2,1*a,2,1*4,2,1*f,3,2,1,7,8,2*2,a,5,1*4,6kf,1*b,2,1*d,2,1*c,3,1*a,2,1*p,5'],
+    UT: ['Altamont|Altonah|American Fork|Alpine|Eagle Mountain|Bingham Canyon|Bluebell|Bonanza|South Jordan|Bountiful|Cedar Valley|Centerville|Clearfield|Coalville|Croydon|Draper|Duchesne|Dugway|Dutch John|Echo|Farmington|Fort Duchesne|Fruitland|Garden City|Grantsville|Hanna|Heber City|Henefer|Ibapah|Jensen|Kamas|Kaysville|Laketown|Lapoint|Layton|Lindon|Lehi|Magna|Saratoga Springs|Manila|Midvale|Midway|Morgan|Mountain Home|Myton|Neola|North Salt Lake|Oakley|Hill Afb|Orem|Park City|Peoa|Pleasant Grove|Randlett|Randolph|Riverton|Roosevelt|Roy|Rush Valley|Sandy|Stockton|Tabiona|Talmage|Tooele|Syracuse|Tridell|Vernal|Vernon|West Jordan|Wallsburg|Wendover|Whiterocks|Woodruff|Woods Cross|Herriman|Salt Lake City|Ogden|Bear River City|Brigham City|Cache Junction|Clarkston|Collinston|Corinne|Cornish|Deweyville|Eden|Fielding|Garland|Grouse Creek|Honeyville|Hooper|Howell|Huntsville|Hyde Park|Hyrum|Lewiston|Logan|Mantua|Mendon|Millville|Newton|Paradise|Park Valley|Plymouth|Portage|Providence|Richmond|Riverside|Smithfield|Snowville|Tremonton|Trenton|Wellsville|Willard|Price|Aneth|Blanding|Bluff|Castle Dale|Cisco|Clawson|Cleveland|East Carbon|Elmo|Emery|Ferron|Green River|Helper|Huntington|Kenilworth|La Sal|Mexican Hat|Moab|Lake Powell|Montezuma Creek|Monticello|Monument Valley|Orangeville|Sunnyside|Thompson|Wellington|Provo|Aurora|Axtell|Centerfield|Chester|Delta|Elberta|Ephraim|Eureka|Fairview|Fayette|Fillmore|Fountain Green|Goshen|Gunnison|Hinckley|Holden|Kanosh|Leamington|Levan|Lynndyl|Manti|Mayfield|Meadow|Mona|Moroni|Mount Pleasant|Nephi|Oak City|Payson|Redmond|Salem|Salina|Santaquin|Scipio|Sigurd|Spanish Fork|Spring City|Springville|Mapleton|Sterling|Wales|Richfield|Alton|Annabella|Antimony|Beaver|Beryl|Bicknell|Boulder|Bryce Canyon|Cannonville|Brian Head|Cedar City|Central|Circleville|Elsinore|Enterprise|Escalante|Garrison|Glendale|Glenwood|Greenville|Greenwich|Gunlock|Hanksville|Hatch|Henrieville|Hurricane|Ivins|Joseph|Junction|Kanab|Kanarraville|Kingston|Koosharem|La Verkin|Leeds|Loa|Lyman|Marysvale|Milford|Minersville|Modena|Monroe|Mount Carmel|Newcastle|New Harmony|Orderville|Panguitch|Paragonah|Parowan|Duck Creek Village|Rockville|Bryce|Santa Clara|Sevier|Springdale|Saint George|Summit|Teasdale|Toquerville|Torrey|Tropic|Virgin|Washington|Pine Valley|Veyo|Dammeron Valley|Hildale',
+         '1std.0,1.1,1.2,1.3,1.4,1.5,1.6,1.7,1.8,1.9,1,2.a,1.b,1.c,1,1.d,1.e,2.f,1.g,1.h,1.i,1.j,1.k,1.l,1.m,1.n,1.o,2.p,1.q,1.r,1.s,1.t,1.u,1.v,1.w,1.x,1.y,1,1.z,1.10,1.11,1.12,1.13,1.14,2.15,1.16,1.17,1.18,1.19,1.1a,1.1b,1.1c,1.1d,1*2,1.1e,1.1f,1.1g,1.1h,1.1i,1.1j,1.1k,1.1l,1.1e,1.1m,1.1n,1.1o,1.1p,1.1q,1.1r,1.1s,1.1t,2.1u,1,1.1v,1.1w,1.1x,1.1y,1.1w,1.1z,1.20,1.21,1.1w,1.c,1.1n,1*4,1.8,1.22,1.1d,1.1e,3.23,1*x,2*2,1,2*2,1*2,2,1,2,1*2,5,1,7,5,1,9,4,5,1,9,2.24,17,1l.25,1.26,2.27,1.28,1.29,1.2a,1.2b,1.2c,1.2d,1.2e,1.2f,1.2g,1.2h,1.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1*2,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,1.2v,1.2w,1.2x,1.2y,1.2z,1.30,1.31,1.32,1.33,1.34,1.35,1.2o,1o.24,1*4,2,1*2,3,2,1,2e.36,9.37,1.38,1.39,1.3a,2.3b,1.3c,2.3d,2.3e,1.3f,1.3g,1.3h,2.3i,1.3j,2.3k,1.3l,1.3m,1.3n,1.3o,1.3p,1.3q,1.3r,1.3s,1.3t,2.3u,1.3v,2.3w,1n.3x,1*5,e.3y,1.3z,1.40,1.41,1.42,2.43,1.44,1.45,1.46,1.47,1.48,1.49,1.4a,1.4b,1.4c,1.4d,1.4e,1.4f,1.4g,1.4h,2.4i,1.4j,1.4k,1.4l,1.4m,1.4n,1.4o,1.4p,2.4q,1.4r,1.4s,1.4t,1.4u,1.4v,1.4w,3.4x,2.4y,1.4z,1.50,1.51,2.52,y.53,9.54,1.55,1.56,1.57,1.58,1.59,1.5a,1.5b,1.5c,1.5d,1.5e,1,1.5f,1.5g,1.5h,1.5i,1.5j,2.5k,1.5l,1.5m,1.5n,1.5o,1.5p,1.5q,1.5r,1.5s,1.5t,1.5u,1.5v,1.5w,1.5x,1.5y,1.5z,1.60,1.61,1.62,1.63,2.64,1.65,1.66,1.67,1.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,1.6f,1.6g,1.6h,1.6i,1.6j,1.6k,1.6l,1.6m,3.6n,1,1.6o,1.6p,1.6q,1.6r,1.6s,3.6t,1.6u,1.6v,1.6w,1.6x,1.6y,6.6n,1'],
+    VT: ['White River Junction|Ascutney|Barnard|Bethel|Bradford|Bridgewater|Bridgewater Corners|Brookfield|Brownsville|Chelsea|Corinth|East Corinth|East Randolph|East Ryegate|East Thetford|Fairlee|Groton|Hartford|Hartland|Hartland Four Corners|Mc Indoe Falls|Newbury|North Hartland|North Pomfret|North Thetford|Norwich|Plymouth|Post Mills|Quechee|Randolph|Randolph Center|Reading|Sharon|South Pomfret|South Royalton|South Ryegate|South Strafford|South Woodstock|Strafford|Taftsville|Thetford|Thetford Center|Topsham|Tunbridge|Vershire|Wells River|West Fairlee|West Hartford|West Newbury|West Topsham|Wilder|Windsor|Woodstock|Bellows Falls|Cambridgeport|Cavendish|Chester|Chester Depot|Grafton|Londonderry|Ludlow|North Springfield|Perkinsville|Peru|Proctorsville|Saxtons River|South Londonderry|Springfield|Westminster|Westminster Station|Weston|Bennington|Arlington|Dorset|East Arlington|East Dorset|Manchester|Manchester Center|North Bennington|North Pownal|Pownal|Shaftsbury|Brattleboro|Bondville|East Dover|Jacksonville|Jamaica|Marlboro|Newfane|Putney|Readsboro|South Newfane|Stamford|Townshend|Vernon|Wardsboro|West Dover|West Dummerston|West Halifax|West Townshend|West Wardsboro|Whitingham|Williamsville|Wilmington|Burlington|South Burlington|Winooski|Colchester|Alburgh|Bakersfield|Belvidere Center|Bristol|Cambridge|Charlotte|East Berkshire|East Fairfield|Enosburg Falls|Essex|Essex Junction|Fairfax|Fairfield|Ferrisburgh|Franklin|Grand Isle|Highgate Center|Highgate Springs|Hinesburg|Huntington|Isle La Motte|Jeffersonville|Jericho|Jonesville|Milton|Monkton|Montgomery|Montgomery Center|New Haven|North Ferrisburgh|North Hero|Richford|Richmond|Saint Albans|Saint Albans Bay|Shelburne|Sheldon|Sheldon Springs|South Hero|Starksboro|Swanton|Underhill|Underhill Center|Vergennes|Waterville|Westford|Williston|Montpelier|Adamant|Barre|Cabot|Calais|East Barre|East Calais|East Montpelier|Eden|Eden Mills|Graniteville|Hyde Park|Johnson|Lake Elmore|Marshfield|Moretown|Morrisville|Moscow|Northfield|Northfield Falls|North Hyde Park|North Montpelier|Plainfield|Roxbury|South Barre|Waterbury|Stowe|Waitsfield|Warren|Washington|Waterbury Center|Websterville|Williamstown|Wolcott|Woodbury|Worcester|Rutland|Belmont|Benson|Bomoseen|Brandon|Bridport|Castleton|Center Rutland|Chittenden|Cuttingsville|Danby|East Middlebury|East Poultney|East Wallingford|Fair Haven|Florence|Forest Dale|Gaysville|Granville|Hancock|Hydeville|Killington|Middlebury|Middletown Springs|Mount Holly|North Clarendon|Orwell|Pawlet|Pittsfield|Pittsford|Poultney|Proctor|Ripton|Rochester|Rupert|Salisbury|Shoreham|Stockbridge|Wallingford|Wells|West Pawlet|West Rupert|West Rutland|Whiting|Saint Johnsbury|Albany|Barnet|Barton|Beebe Plain|Concord|Coventry|Craftsbury|Craftsbury Common|Danville|Derby|Derby Line|East Burke|East Charleston|East Hardwick|East Haven|East Saint Johnsbury|Glover|Granby|Greensboro|Greensboro Bend|Hardwick|Irasburg|Island Pond|Lowell|Lower Waterford|Lyndon|Lyndon Center|Lyndonville|Morgan|Newport|Newport Center|North Concord|North Troy|Orleans|Passumpsic|Peacham|Saint Johnsbury Center|Sheffield|Sutton|Troy|West Burke|West Charleston|West Danville|Westfield|West Glover|Averill|Beecher Falls|Canaan|Gilman|Guildhall|Lunenburg|Norton',
+         '3ux.0,8,l.1,1.2,1.3,1.4,1.5,1.6,1.7,1.8,1.9,1.a,1.b,1.c,1.d,1.e,2.f,1.g,1.h,1.i,1.j,1.k,1.l,1.m,1.n,1.o,1.p,1.q,2.r,1.s,1.t,1.u,1.v,3.w,2.x,1.y,1.z,1.10,1.11,1.12,1.13,1.14,1.15,1.16,1.17,2.18,2.19,2.1a,1.1b,1.1c,1.1d,2.1e,1.1f,2.1g,a.1h,14.1i,1.1j,1.1k,1.1l,2.1m,2.1n,1.1o,1.1p,1.1q,1.1r,1.1s,1.1t,1.1u,1.1v,2.1w,1.1x,2.1y,14.1z,1d.20,1.21,1.22,1.23,1.24,1.25,2.26,3.27,1.28,1.29,13.2a,1*3,10.2b,1.2c,1.2d,1.2e,1.2f,1.2g,1.2h,4.2i,1.2j,1.2k,1.2l,1.2m,1.2n,1.2o,1.2p,1.2q,1.2r,1.2s,1.2t,1.2u,1.2v,12.2w,1,1.2x,1.2y,1.2w,1,1.2x,1.2w,v.2z,1.30,1.31,1.32,1.33,1.34,1.35,1.2z,1.36,1.37,1.2z,1.38,1.39,1.3a,1,1.3b,1.3c,1.3d,1.3e,1.3f,1.3g,1.3h,1.3i,1.3j,1.3k,1.3l,1.3m,1.3n,2.3o,1.3p,1.3q,1.3r,1.3s,1.3t,1.3u,2.3v,1.3w,1.3x,1,2.3y,1.3z,1.40,2.41,1.42,1.43,1.44,1.45,1.46,1.47,1.48,2.49,1.4a,2y.4b,1*3,5,b,d,7.4c,1.4d,6.4e,1.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,1.4m,1.4n,1.4o,1.4p,2.4q,1.4r,1.4s,1.4t,1.4u,1.4v,1.4w,1.4x,2.4y,1.4z,1.50,1.51,1.52,1.53,1.54,1.50,1.55,1.56,1.57,1.58,1.59,1.5a,j.5b,1,s.5c,1.5d,1.5e,1.5f,1.5g,1.5h,1.5i,1.5j,1.5k,1.5l,1.5m,1.5n,1.5o,1.5p,1.5q,1.5r,1.5s,1.5t,1.5u,2.5v,1.5w,2.5x,4.5y,1.5z,1.60,1.61,1.62,1.63,1.64,1.65,1.66,1.67,1.68,1.69,1.6a,1.6b,2.6c,1.6d,1.6e,1.6f,1.6g,1.6h,1.6i,15.6j,1.6k,1.6l,1.6m,1.6n,1.6o,1.6p,1.6q,1.6r,1.6s,1.6t,1.6u,2.6v,1.6w,3.6x,1.6y,1.6z,1.70,1.71,1.72,1.73,1.74,2.75,1.76,1.77,1.78,1.79,1.7a,1.7b,2.7c,2.7d,2.7e,1.7f,1.7g,1.7h,1.7i,1.7j,1.7k,3.7l,1.7m,1.7n,3.7o,1.7p,1.7q,1.7r,1.7s,q.7t,1.7u,1.7v,1.7w,1.7x,1.7y,1.7z'],
+    VA: ['Dulles|Aldie|Amissville|Arcola|Manassas|Marshall|Middleburg|Catlett|Centreville|Clifton|Orlean|Paeonian Springs|Paris|Philomont|Purcellville|Bluemont|Bristow|Broad Run|Calverton|Casanova|Rectortown|Round Hill|Catharpin|Delaplane|Ashburn|Chantilly|Gainesville|Hamilton|Lincoln|Sterling|Haymarket|Herndon|Leesburg|Lovettsville|Nokesville|Upperville|Warrenton|Reston|Waterford|The Plains|Visa Lottery State Dept|Dhs|Annandale|Burke|Dumfries|Dunn Loring|Fairfax|Fairfax Station|Falls Church|Aaa|Fort Belvoir|Great Falls|Greenway|Lorton|Merrifield|U S Geological Survey|Mc Lean|West Mclean|Continental Telephone|Mount Vernon|Newington|Oakton|Occoquan|Quantico|Springfield|Triangle|Vienna|National Wildlife Assoc|Woodbridge|Arlington|Fort Myer|Marine Corps Institute|Shared Firm Zip|Alexandria|Fredericksburg|Bowling Green|Brooke|Burgess|Burr Hill|Callao|Caret|Center Cross|Champlain|Coles Point|Colonial Beach|Corbin|Dahlgren|Dogue|Dunnsville|Edwardsville|Farnham|Garrisonville|Hague|Hartwood|Haynesville|Heathsville|Hustle|Irvington|Jersey|Kilmarnock|King George|Kinsale|Ladysmith|Lancaster|Laneview|Lively|Locust Grove|Loretto|Lottsburg|Merry Point|Milford|Mollusk|Montross|Morattico|Mount Holly|Ninde|Nuttsville|Oldhams|Ophelia|Partlow|Port Royal|Rappahannock Academy|Reedville|Rhoadesville|Rollins Fork|Ruby|Ruther Glen|Sealston|Sharps|Spotsylvania|Sparta|Stafford|Stratford|Tappahannock|Thornburg|Unionville|Village|Warsaw|Weems|Sandy Point|White Stone|Wicomico Church|Woodford|Zacata|Winchester|Bentonville|Berryville|Boyce|Brucetown|Chester Gap|Clear Brook|Cross Junction|Fishers Hill|Flint Hill|Front Royal|Gore|Hume|Huntly|Strasburg|Linden|Markham|Maurertown|Middletown|Millwood|Rileyville|Fort Valley|Star Tannery|Stephens City|Stephenson|Toms Brook|White Post|Woodstock|Culpeper|Aroda|Banco|Bealeton|Boston|Brandy Station|Brightwood|Castleton|Elkwood|Etlan|Goldvein|Graves Mill|Haywood|Hood|Jeffersonton|Leon|Lignum|Madison|Midland|Mitchells|Oakpark|Pratts|Radiant|Rapidan|Remington|Reva|Richardsville|Rixeyville|Rochelle|Somerville|Sperryville|Stevensburg|Sumerduck|Syria|Viewtown|Washington|Wolftown|Woodville|Harrisonburg|Basye|Bergton|Bridgewater|Broadway|Criders|Dayton|Edinburg|Elkton|Fulks Run|Hinton|Keezletown|Lacey Spring|Linville|Luray|Mc Gaheysville|Mount Crawford|Mount Jackson|Mount Solon|New Market|Orkney Springs|Penn Laird|Quicksburg|Pleasant Valley|Shenandoah|Singers Glen|Stanley|Timberville|Charlottesville|Afton|Arrington|Barboursville|Batesville|Covesville|Crozet|Dyke|Earlysville|Esmont|Faber|Fishersville|Free Union|Gordonsville|Greenwood|Ivy|Keene|Keswick|Locust Dale|Lovingston|Lyndhurst|Montpelier Station|Nellysford|North Garden|Orange|Palmyra|Piney River|Quinque|Roseland|Ruckersville|Schuyler|Shipman|Somerset|Stanardsville|Troy|Tyro|Waynesboro|White Hall|Woodberry Forest|Achilles|Amelia Court House|Ark|Arvonia|Ashland|Aylett|Barhamsville|Beaumont|Beaverdam|Bena|Bohannon|Bremo Bluff|Bruington|Bumpass|Cardinal|Cartersville|Charles City|Christchurch|Church View|Cobbs Creek|Columbia|Crozier|Cumberland|Deltaville|Diggs|Doswell|Dutton|Fork Union|Foster|Glen Allen|Gloucester|Gloucester Point|Goochland|Grimstead|Gum Spring|Gwynn|Hadensville|Hallieford|Hanover|Hardyville|Hartfield|Hayes|Henrico|Hudgins|Jamaica|Jamestown|Jetersville|Kents Store|King And Queen Court House|King William|Lanexa|Lightfoot|Little Plymouth|Locust Hill|Louisa|Macon|Maidens|Manakin Sabot|Mannboro|Manquin|Maryus|Mascot|Mathews|Mattaponi|Mechanicsville|Midlothian|Millers Tavern|Mineral|Moon|Moseley|New Canton|New Kent|New Point|Newtown|Norge|North|Oilville|Onemo|Ordinary|Port Haywood|Powhatan|Providence Forge|Quinton|Rockville|Ruthville|Saint Stephens Church|Saluda|Sandston|Sandy Hook|Schley|Severn|Shacklefords|State Farm|Stevensville|Studley|Susan|Toano|Topping|Trevilians|University Of Richmond|Urbanna|Wake|Walkerton|Ware Neck|Water View|West Point|White Marsh|Wicomico|Williamsburg|Woods Cross Roads|Montpelier|Richmond|Accomac|Assawoman|Atlantic|Battery Park|Belle Haven|Birdsnest|Bloxom|Cape Charles|Capeville|Carrollton|Carrsville|Cheriton|Chesapeake|Chincoteague Island|Wallops Island|Craddockville|Davis Wharf|Eastville|Exmore|Franktown|Greenbackville|Greenbush|Hacksneck|Hallwood|Harborton|Horntown|Oak Hall|Isle Of Wight|Jamesville|Jenkins Bridge|Keller|Locustville|Machipongo|Mappsville|Marionville|Mears|Melfa|Modest Town|Nassawadox|Nelsonia|New Church|Onancock|Onley|Oyster|Painter|Parksley|Pungoteague|Quinby|Rescue|Sanford|Saxis|Seaview|Smithfield|Suffolk|Tangier|Tasley|Temperanceville|Townsend|Virginia Beach|Wachapreague|Wardtown|Wattsville|Willis Wharf|Windsor|Withams|Norfolk|Newport News|Fort Eustis|Hampton|Fort Monroe|Poquoson|Yorktown|Lackey|Seaford|Portsmouth|Fort Lee|Petersburg|Virginia State University|Alberta|Ammon|Blackstone|Boykins|Branchville|Capron|Carson|Chester|Chesterfield|Church Road|Colonial Heights|Courtland|Dendron|Dewitt|Dinwiddie|Disputanta|Dolphin|Drewryville|Ebony|Elberon|Emporia|Ford|Franklin|Freeman|Gasburg|Hopewell|Ivor|Jarratt|Lawrenceville|Mc Kenney|Meredithville|Newsoms|Prince George|Rawlings|Sedley|Skippers|Spring Grove|Stony Creek|Surry|Sussex|Sutherland|Valentines|Wakefield|Warfield|Waverly|White Plains|Wilsons|Yale|Zuni|Claremont|Farmville|Baskerville|Boydton|Bracey|Brodnax|Buckingham|Burkeville|Charlotte Court House|Chase City|Clarksville|Crewe|Cullen|Dillwyn|Drakes Branch|Dundas|Evergreen|Fort Mitchell|Green Bay|Hampden Sydney|Kenbridge|Keysville|La Crosse|Lunenburg|Meherrin|Nottoway|Pamplin|Phenix|Prospect|Randolph|Red House|Red Oak|Rice|Saxe|Skipwith|South Hill|Victoria|Wylliesburg|Roanoke|Appalachian Pwr|Blue Cross Blue Shield|Ararat|Axton|Bassett|Belspring|Bent Mountain|Blacksburg|Blue Ridge|Boones Mill|Buchanan|Callaway|Christiansburg|Cascade|Catawba|Check|Claudville|Cloverdale|Collinsville|Copper Hill|Critz|Daleville|Dublin|Eagle Rock|Eggleston|Elliston|Ferrum|Fieldale|Fincastle|Floyd|Glade Hill|Glen Lyn|Goodview|Hardy|Henry|Huddleston|Indian Valley|Mc Coy|Martinsville|Meadows Of Dan|Moneta|Montvale|Narrows|Newbern|New Castle|Newport|New River|Oriskany|Paint Bank|Parrott|Patrick Springs|Pearisburg|Pembroke|Penhook|Pilot|Pittsville|Radford|Redwood|Rich Creek|Ridgeway|Riner|Ripplemead|Rocky Mount|Salem|Sandy Level|Shawsville|Spencer|Staffordsville|Stanleytown|Stuart|Thaxton|Troutville|Union Hall|Vesta|Villamont|Vinton|Wirtz|Woolwine|Bristol|Abingdon|Andover|Appalachia|Bee|Ben Hur|Big Stone Gap|Birchleaf|Blackwater|Castlewood|Cleveland|Clinchco|Clintwood|Coeburn|Damascus|Dante|Davenport|Dryden|Duffield|Dungannon|East Stone Gap|Ewing|Fort Blackmore|Gate City|Haysi|Hiltons|Honaker|Jonesville|Keokee|Lebanon|Mc Clure|Mendota|Nickelsville|Nora|Norton|Pennington Gap|Pound|Rosedale|Rose Hill|Saint Charles|Saint Paul|Weber City|Whitetop|Wise|Pulaski|Atkins|Austinville|Barren Springs|Bastian|Bland|Broadford|Cana|Ceres|Chilhowie|Cripple Creek|Crockett|Draper|Dugspur|Elk Creek|Emory|Fancy Gap|Fries|Galax|Glade Spring|Hillsville|Hiwassee|Independence|Ivanhoe|Lambsburg|Laurel Fork|Marion|Max Meadows|Meadowview|Mouth Of Wilson|Rocky Gap|Rural Retreat|Saltville|Speedwell|Sugar Grove|Tannersville|Troutdale|Willis|Woodlawn|Wytheville|Staunton|Augusta Springs|Bacova|Blue Grass|Brownsburg|Buena Vista|Churchville|Clifton Forge|Covington|Craigsville|Crimora|Deerfield|Doe Hill|Fairfield|Fort Defiance|Glen Wilton|Goshen|Greenville|Grottoes|Head Waters|Hot Springs|Iron Gate|Lexington|Low Moor|Mc Dowell|Middlebrook|Millboro|Mint Spring|Montebello|Monterey|Mount Sidney|Mustoe|New Hope|Port Republic|Raphine|Rockbridge Baths|Selma|Steeles Tavern|Stuarts Draft|Swoope|Verona|Vesuvius|Warm Springs|West Augusta|Weyers Cave|Williamsville|Lynchburg|Clifford And Wills|Altavista|Alton|Amherst|Appomattox|Bedford|Big Island|Blairs|Brookneal|Buffalo Junction|Callands|Chatham|Clifford|Clover|Cluster Springs|Coleman Falls|Concord|Crystal Hill|Danville|Dry Fork|Evington|Forest|Gladstone|Gladys|Glasgow|Goode|Gretna|Halifax|Howardsville|Hurt|Java|Keeling|Long Island|Lowry|Lynch Station|Madison Heights|Monroe|Naruna|Nathalie|Natural Bridge|Natural Bridge Station|Nelson|Norwood|Ringgold|Rustburg|Scottsburg|Scottsville|South Boston|Spout Spring|Sutherlin|Sweet Briar|Vernon Hill|Virgilina|Wingina|Amonate|Bandy|Big Rock|Bishop|Bluefield|Boissevain|Breaks|Burkes Garden|Cedar Bluff|Doran|Falls Mills|Grundy|Horsepen|Hurley|Jewell Ridge|Keen Mountain|Mavisdale|Maxie|North Tazewell|Oakwood|Pilgrims Knob|Pocahontas|Pounding Mill|Raven|Red Ash|Richlands|Rowe|Shortt Gap|Swords Creek|Tazewell|Vansant|Whitewood|Wolford',
+         'fid.0,1*3,1.1,1.2,1.3,1.4,1*5,2.5,1,1.6,1,1.7,1.8,1*2,2.9,4.a,1.b,1.c,1.d,1.e,2,1.f,1.g,1.h,1.i,1.j,1.k,1.l,1,1.m,1.n,2.o,1*3,2.p,1*2,2.q,1,2.r,1,1.s,3.t,1*4,1.u,1,1.v,1*2,3.w,1*3,2.x,1.y,1,2.z,1,1.10,1*2,1.0,1.11,1,1.v,1,1.11,1*2,1.12,1.13,1.14,b3.15,131.16,6.17,6,a.18,1,1.19,3.1a,1*8,1.1b,1.1c,1*4,2,1.1d,d.1e,6.1f,1.1g,c.1h,2.1i,1,a.1j,1.o,2.v,1.11,5.1k,1,1.1l,3.1k,1*3,7.1i,2,1,1.1m,1.1n,1.1o,2.1p,1.1q,9.1r,1,f.1s,1*3,3,2,1*3,b.1t,8.1u,1*3,1.1v,1.1u,6.1w,1*4,4.1h,2.1x,1*6,2,1,1.1y,1.1x,1*7,3,1.1z,2.1x,1*2,2.20,1.1x,4,6,1*6,1j.21,1*e,5,1,a,1*3,2,e,1f.22,1*7,4,f.23,1,2.24,2.25,1.26,2.27,1.28,1.29,1.2a,4.2b,1.2c,3.2d,2.2e,3.2f,3.2g,2.2h,4.2i,3.2j,6.2k,2.2l,1.2m,1.2n,3.2o,4.2p,1.2q,1.2r,3.2s,3.2t,d.2u,2.2v,1.2w,3.2x,1.2y,1.2z,2.30,2.31,1.32,3.33,3.34,3.35,1.36,2.37,2.38,1.39,1.3a,4.3b,1.3c,3.3d,1.3e,3.3f,2.3g,1.3h,1.3i,1.3j,1.3k,3.3l,1.3m,1.3l,1.3n,1*2,2.3o,2.3p,5.3q,2.3r,3.3s,2.3t,4.3u,1.3v,1.3w,1.3x,1.3y,1.3z,k.40,1*3,6.41,1.42,9.43,2.44,1.45,1.46,1.47,1.48,1.49,3.4a,7.4b,2.4c,1.4d,1.4e,1.4f,1.4g,1.4h,1.4i,1.4j,3.4i,1.4k,2.4l,2.4m,1.4n,1.4o,1.4e,3.4p,3.4q,1.4r,11.4s,8.4t,2.4u,1.4v,1.4w,1.4x,1.4y,1.4z,2.50,1.51,1.52,1.53,1.54,1.55,1.56,1.57,1.58,1.59,1.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,1.5h,1.5i,1.5j,1.5k,1.5l,1.5m,1.5n,1.5o,1.5p,3.5q,1.5r,1.5s,1.5t,1g.5u,1*2,4,3.5v,1.5w,1.5x,3.5y,5.5z,1.60,3.61,3.62,3.63,1.64,1.65,1.66,1.67,1.68,5.69,1.6a,1.6b,1.6c,1.6d,1.6e,1.6f,1.6g,1.6h,1.6i,1.6j,1.6k,2.6l,1c.6m,1*a,9.6n,2.6o,1.6p,1.6q,7.6r,1.6s,3.6t,1.6u,1.6v,1.6w,1.6x,1.6y,2.6z,1.70,2.71,1.72,1.73,1.74,1.75,3.76,5.77,1.78,1.79,1.7a,3.7b,1.7c,1.7d,2.7e,1.7f,1.7g,2.7h,1.7i,1.7j,1.7k,2.7l,4.7m,7.7n,2.7o,c.7p,1.7q,1.7r,1.7s,1.7t,4.7u,2.7v,3.7w,1.7x,3.7y,3.7z,1.80,1.81,1.82,1.83,2.84,3.85,1.86,1.87,3.88,3.89,1.8a,1.8b,3.8c,2.8d,2.8e,3.8f,5.8g,1.8h,2.8i,1*2,1.8j,1.8k,1.8l,1.8m,1.8n,1.8o,1.8p,1.8q,1.8r,1.8s,1.8t,1.8u,3.8v,1.8w,3.8x,2.8y,2.8z,1.90,1.91,1.92,3.93,1.94,1.95,1.96,1.97,8.98,1.99,1.9a,2.9b,1.9c,1.9d,1.9e,1.9f,1.9g,1.9h,1.9i,1*2,1.9j,1.9h,1.9k,2.9l,1.9m,3.9n,1.9o,1.9p,1.9q,1.9r,1.9s,1.9t,1.9u,1.9v,7.9w,1.9x,1.9y,1.9z,5.a0,1.a1,1.a2,1.a3,1.a4,3.a5,1.a6,1.a7,1.a8,4.a9,1.aa,1.ab,1.ac,5.ad,1.ae,1.af,3.ag,2.ah,1.ai,1.aj,1.ak,2.al,1.am,2.an,1.ao,1.ap,1*3,2.aq,2.ar,q.as,1*9,1.8v,1,1.as,1.8v,1.as,1.8v,1.as,1*3,1.8v,2.as,1,1.8v,7.as,1,5.8v,5.as,1,8,4.8v,1.as,2*2,1,3,2,1*2,2.8v,1.as,1*4,1.8v,1.as,2,1,3.at,1.au,1.av,1.aw,2.ax,1.ay,1.az,2.b0,3.b1,1.b2,1.b3,1.b4,4.b5,1*8,8.b6,1.b7,4.b8,4.b9,2.ba,3.bb,4.bc,2.bd,1.be,1.bf,1.bg,u.bh,6.bi,1.bj,1.bk,1.bl,1.bm,2.bn,3.bo,1.bp,2.bq,1.br,1.bs,1.bt,2.bu,1.bv,1.bw,1.bx,1.bj,1.by,1.bz,1.c0,1.c1,1.c2,1.c3,1.c4,1.c5,2.c6,1.c7,2.c8,1.c9,1,1.ca,1*7,1.cb,1.cc,1.cd,1.ce,7.cf,1*h,4,8,1.cg,2.ch,1.ci,3.cj,1.ck,1.cl,d.cm,1*e,2,1*4,2,6,c,a,1e.cn,1*2,1.co,1.cn,1*4,3,g,2.cp,l.cq,a.cp,1.cr,1.cp,1*7,b,9.cs,1*3,1.ct,2.cu,5.cv,1*4,2,1*2,2k.cw,2.cx,1*2,1.cy,f.cz,1.d0,2.d1,1,2.d2,1.d3,1.d4,1.d5,1.d6,1.d7,1.d8,1.d9,2.d6,1.da,1.d7,1.db,1.dc,1.dd,1.de,1.df,1.dg,1.dh,1.di,1.dj,3.dk,1.dl,5.dm,1.dn,3.do,6.dp,1.dq,1.dr,2.dq,2.ds,1.dt,1.du,1.dv,1.dw,2.dx,1.dy,2.dz,1.e0,1.e1,1.e2,1.e3,2.e4,1.e5,1.e6,1.e7,1,2.e8,1.e9,3.ea,1.eb,1.ec,2.ed,8,6.ee,2.ef,2.eg,1.eh,1.ei,1.ej,1.ek,1.el,3.em,3.en,4.eo,2.ep,1.eq,1.er,1.es,2.et,1.eu,1.ev,1.ew,3.ex,3.ey,2.ez,2.f0,1.f1,3.f2,1.f3,1.f4,2.f5,1.f6,1.f7,2.f8,1.f9,1.fa,2.fb,4.fc,2.fd,p.fe,1*j,2,1*g,2*2,1,1.ff,1.fg,3.fe,2,3.fh,1.fi,1.fj,3.fk,1.fl,1.fm,1*3,1.fn,1.fo,1.fp,1.fq,1.fr,1.fs,1.ft,2.fu,1.fr,3.fv,1.fw,1.fx,1.fy,3.fz,1.g0,1.g1,1.g2,1.g3,1.g4,1.g5,1.g6,1.g7,1.g8,1.g9,1.ga,2.gb,6.gc,1.gd,2.ge,1.gf,6.gg,1.gh,1*3,5.gi,1.gj,1.gk,2.gl,2.gm,1.gn,1.go,1.gp,1.gq,1.gr,1.gs,1.gt,1.gu,2.gv,1.gw,1.gx,1.gy,2.gz,1*2,3.h0,1.h1,1.h2,1.h3,1.h4,1.h5,2.h6,2.fe,2,4.h7,1.h8,3.h9,2.ha,1.hb,3.hc,3.hd,1.he,1.hf,1.hg,1.hh,1.hi,5.hj,1.hk,g.hl,1*2,2,4,1.hm,1*2,3.hn,1.ho,1.hp,1.hq,1.hr,1.hs,1.ht,3.hu,1.hv,1.hw,2.hx,2.hy,6.hz,1.i0,2.i1,4.i2,1.i3,1.i4,1.i5,2.i6,2.i7,1.i8,5.i9,2.ia,2.ib,3.ic,2.id,1.ie,3.if,1.ig,1.ih,1.ii,1.ij,4.ik,2.il,1.im,1.in,1.io,1.ip,7.iq,2.ir,1.is,8.it,a.iu,1.iv,1.iw,1.ix,1.iy,1.iz,1.j0,1.j1,1.j2,3.j3,1.j4,1.j5,1.j6,1.j7,1.j8,1.j9,2.ja,3.jb,7.jc,3.jd,4.je,1.jf,2.jg,1.jh,1.ji,2.jj,6.jk,1.jl,2.jm,3.jn,2.jo,2.jp,4.jq,1.jr,2.js,1.jt,2.ju,1.jv,1.jw,j.jx,1,9.jy,1.jz,1.k0,2.k1,1.k2,5.k3,1.k4,4.k5,4.k6,1.k7,1.k8,1.k9,2.ka,2.kb,1.kc,1.kd,1.ke,1.kf,1.kg,3.kh,3.ki,2.kj,7.kk,1.kl,1.km,1.kn,3.ko,1.kp,1.kq,2.kr,1.ks,1.kt,2.ku,1.kv,1.kw,1.kx,2.ky,1.kz,2.l0,3.l1,1.l2,1.l3,1.l4,1.l5,1.l6,e.l7,1*5,6.l8,1.l7,1*2,2.l9,3.la,1.lb,1.lc,1.ld,3.le,1.lf,1.lg,1.lh,1.li,1.lj,2.lk,1.ll,1.lm,1.ln,2.lo,1.lp,1.lq,1,2,1,5.lr,1.ls,1.lt,2.lu,1.lv,1.lw,1.lx,1.ly,1.lz,4.m0,1.m1,2.m2,1.m3,3.m4,1.m5,1.m6,1.m7,2.m8,2.m9,1.ma,1.mb,1.mc,1.md,1.me,5.mf,2.mg,1.mh,1.mi,2.mj,1.mk,1.ml,1.mm,2.mn,1.mo,1.mp,2.mq,1.mr,1.ms,1.mt,1.mu,1.mv,1.mw,1.mx,1.my,3.mz,1.n0,1.n1,5.n2,1.n3,2.n4,2.n5,3.n6,1.n7,2.n8,1.n9,3.na,1.nb,2.nc,2.nd,1.ne,1.nf,5.ng,1.nh,2.ni,2.nj,5.nk,1.nl,1.nm'],
+    WA: ['Auburn|Federal Way|Bellevue|Black Diamond|Bothell|Burton|Carnation|Duvall|Edmonds|Enumclaw|Fall City|Hobart|Issaquah|Kenmore|Kent|Kirkland|Lynnwood|Maple Valley|Medina|Mercer Island|Mountlake Terrace|North Bend|Pacific|Preston|Ravensdale|Redmond|Redondo|Renton|Rollingbay|Seahurst|Snoqualmie|Snoqualmie Pass|Vashon|Woodinville|Sammamish|Mill Creek|Seattle|Bainbridge Island|Bank Of America|Everett|Acme|Anacortes|Blakely Island|Arlington|Baring|Bellingham|Blaine|Bow|Burlington|Clearlake|Clinton|Concrete|Conway|Coupeville|Custer|Darrington|Deer Harbor|Deming|Eastsound|Everson|Ferndale|Freeland|Friday Harbor|Gold Bar|Granite Falls|Greenbank|Hamilton|Index|La Conner|Lake Stevens|North Lakewood|Langley|Lopez Island|Lummi Island|Lyman|Lynden|Maple Falls|Marblemount|Marysville|Monroe|Mount Vernon|Mukilteo|Nooksack|Oak Harbor|Olga|Orcas|Point Roberts|Camano Island|Rockport|Sedro Woolley|Shaw Island|Silvana|Skykomish|Snohomish|Stanwood|Startup|Sultan|Sumas|Waldron|Anderson Island|Ashford|Beaver|Bremerton|Silverdale|Brinnon|Buckley|Burley|Carbonado|Carlsborg|Chimacum|Clallam Bay|Dupont|Eatonville|Gig Harbor|Elbe|Forks|Fox Island|Glenoma|Graham|Port Hadlock|Hansville|Indianola|Joyce|Kapowsin|Keyport|Kingston|La Grande|Lakebay|La Push|Longbranch|Sumner|Manchester|Milton|Mineral|Morton|Neah Bay|Nordland|Olalla|Orting|Packwood|Port Angeles|Port Gamble|Port Ludlow|Port Orchard|Port Townsend|Poulsbo|Puyallup|Quilcene|Randle|Retsil|Seabeck|Sekiu|Sequim|South Colby|South Prairie|Southworth|Spanaway|Steilacoom|Bonney Lake|Suquamish|Tracyton|Vaughn|Wauna|Wilkeson|Longmire|Paradise Inn|Tacoma|Camp Murray|Mcchord Afb|Lakewood|Wa State Lottery|University Place|Weyerhaeuser Co|Olympia|Lacey|Tumwater|Aberdeen|Adna|Allyn|Amanda Park|Bay Center|Belfair|Bucoda|Centralia|Chehalis|Cinebar|Copalis Beach|Copalis Crossing|Cosmopolis|Curtis|Doty|East Olympia|Elma|Ethel|Galvin|Grapeview|Grayland|Hoodsport|Hoquiam|Humptulips|Lebam|Lilliwaup|Littlerock|Mccleary|Mckenna|Malone|Matlock|Menlo|Moclips|Montesano|Mossyrock|Napavine|Neilton|Oakville|Ocean Shores|Onalaska|Pacific Beach|Pe Ell|Quinault|Rainier|Raymond|Rochester|Roy|Ryderwood|Salkum|Satsop|Shelton|Silver Creek|South Bend|Taholah|Tahuya|Tenino|Tokeland|Toledo|Union|Vader|Westport|Winlock|Yelm|Amboy|Appleton|Ariel|Battle Ground|Bingen|Brush Prairie|Camas|Carrolls|Carson|Castle Rock|Cathlamet|Centerville|Chinook|Cougar|Dallesport|Glenwood|Goldendale|Grays River|Heisson|Husum|Ilwaco|Kalama|Kelso|Klickitat|La Center|Long Beach|Longview|Lyle|Nahcotta|Naselle|North Bonneville|Ocean Park|Oysterville|Ridgefield|Rosburg|Seaview|Silverlake|Skamokawa|Stevenson|Toutle|Trout Lake|Underwood|Vancouver|Abmps|Wahkiacus|Washougal|White Salmon|Wishram|Woodland|Yacolt|Wenatchee|East Wenatchee|Ardenvoir|Brewster|Bridgeport|Carlton|Cashmere|Chelan|Chelan Falls|Conconully|Dryden|Entiat|Ephrata|George|Leavenworth|Loomis|Malaga|Malott|Mansfield|Manson|Marlin|Mazama|Methow|Monitor|Moses Lake|Okanogan|Omak|Orondo|Oroville|Palisades|Pateros|Peshastin|Quincy|Riverside|Rock Island|Soap Lake|Stehekin|Stratford|Tonasket|Twisp|Warden|Waterville|Wauconda|Wilson Creek|Winthrop|Yakima|Brownstown|Buena|Cle Elum|Cowiche|Easton|Ellensburg|Goose Prairie|Grandview|Granger|Harrah|Kittitas|Mabton|Moxee|Naches|Outlook|Parker|Ronald|Roslyn|Selah|South Cle Elum|Sunnyside|Thorp|Tieton|Toppenish|Vantage|Wapato|White Swan|Zillah|Airway Heights|Chattaroy|Cheney|Colbert|Deer Park|Edwall|Elk|Fairchild Air Force Base|Fairfield|Ford|Four Lakes|Greenacres|Lamont|Latah|Liberty Lake|Marshall|Mead|Medical Lake|Mica|Newman Lake|Nine Mile Falls|Otis Orchards|Reardan|Rockford|Spangle|Sprague|Tekoa|Tumtum|Valleyford|Veradale|Waverly|Wellpinit|Addy|Albion|Almira|Belmont|Benge|Boyds|Chewelah|Clayton|Colfax|Colton|Colville|Coulee City|Coulee Dam|Creston|Curlew|Cusick|Danville|Davenport|Electric City|Elmer City|Endicott|Evans|Farmington|Fruitland|Garfield|Gifford|Grand Coulee|Harrington|Hartline|Hay|Hunters|Inchelium|Ione|Keller|Kettle Falls|Lacrosse|Lamona|Laurier|Lincoln|Loon Lake|Malden|Malo|Marcus|Metaline|Metaline Falls|Mohler|Nespelem|Newport|Northport|Oakesdale|Odessa|Orient|Palouse|Pullman|Republic|Rice|Ritzville|Rosalia|Saint John|Springdale|Steptoe|Thornton|Uniontown|Usk|Valley|Wilbur|Spokane|Pasco|Benton City|Beverly|Bickleton|Burbank|College Place|Connell|Dayton|Dixie|Eltopia|Hooper|Kahlotus|Kennewick|Lind|Mesa|Othello|Paterson|Plymouth|Pomeroy|Prescott|Mattawa|Prosser|Richland|West Richland|Roosevelt|Royal City|Starbuck|Touchet|Waitsburg|Walla Walla|Wallula|Washtucna|Anatone|Asotin|Clarkston',
+         '23m9.0,1,1.1,1.2,1*5,1.3,1.4,1,1.5,1.6,1.2,4.7,1.8,1.4,1.9,1.1,1.a,1.b,1.8,1.c,1.d,1.c,1.e,1*2,1.f,1,1.e,1.g,1,1.h,1.i,1.j,1.4,1.e,1.k,2.l,1.g,1.m,3.n,1.o,1.p,1,1.q,1.r,1*4,2.s,1.t,1.1,1.e,1.u,3.v,2.w,1.0,1.x,1.p,1.y,1,2.x,5.z,1.f,4.g,2.e,3.0,1.1,8.10,1*8,1.11,1.10,1*8,2,1,2,1*3,2*2,1*3,2*2,1,2,3,1*2,2,6,1,3,2,1,3,1*2,2*2,1,3,1,2,1,3,3.12,1.10,3,1*3,3,1,3,1,2.13,2,1*5,5,7.14,1.15,1.16,1.17,1.18,1.19,1*4,1.1a,1,1.1b,1.1c,2.1d,1.1e,1.1f,1.1g,1.1h,1.1i,1.1j,2.1k,1.1l,1.1m,2.1n,1.1o,1.1p,1.1q,1.1r,1.1s,1.1t,2.1u,1.1v,1.1w,1.1x,1.1y,1.1z,1.20,1.21,1.22,1.23,2.24,1.25,3.26,1,1.27,1.28,1,1.29,1.2a,1.2b,1,1.2c,1.2d,1.2e,1.2f,1.2g,1.2h,2.2i,1.2j,1.2k,2.2l,1,1.2m,1.2n,1.2o,1.2p,1.2l,1.2q,6.2r,1.2s,1.2t,5.2u,1*2,2,1.2v,5.2w,1.2x,1.2y,1.2z,1.30,1.31,1.32,1.33,1.34,1.35,1.36,1.37,1.35,1.38,2.35,1.39,1.2u,1.3a,1.3b,1.3c,2.3d,1.3e,1.3f,1.3g,1.3h,2.3i,1.3j,1.3k,1.3l,1.3m,1.3n,1.3o,1.3p,1.3q,1.3r,1.3s,1.3t,1.3u,1.3v,1.3w,1,1.3x,1.3y,1.3z,1,1.40,2.41,1.42,1*4,1.43,1.44,1.45,2.46,1.47,1.48,1.2v,1.49,1.4a,1.4b,1.4c,1.4d,2.3m,1.4e,1.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,3.4m,1*8,2,1*2,2,1*4,2,1,2,6.4n,1.4m,2,5.4o,1.4p,3.4m,1*6,2.4q,5.4m,5,4,1*2,1.4r,4.4m,6.4s,4.4m,9,2.4p,1.4m,3.4p,1*3,2.4t,1,1.4u,1.4t,1*4,1.4u,2.4v,1.4t,1,3,4.4w,2.4x,2.4y,2.4z,1.50,1.51,2.52,1.53,1.54,1.55,2.56,1.57,1.58,1.59,1.5a,1.5b,1.5c,1.5d,2.5e,2.5f,1.5g,1.5h,2.5i,2.5j,2.5k,1.5l,1.5m,1.5n,1.5o,1.5p,1.5q,1.5r,1.5s,1.5t,1.5u,1.5v,1.5w,2.5x,1.5y,1.5z,1.60,1.61,3.62,1.63,1.64,2.65,1.66,1.67,1.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,1.6f,1.6g,1.6h,1.6i,1.6j,2.6k,1.6l,1.6m,2.4t,2.6n,1.6o,1.6p,1.6q,1.6r,1.6s,1.6t,2.6u,1.6v,1.6w,1.6x,1.6y,1.6z,2.70,1.71,2.72,1.73,1.74,1.75,1.76,1.77,1.78,1.79,2.7a,1.7b,2.7c,1.7d,3.7e,2.7f,1.7g,1.7h,1.7i,1.7j,1.7k,1.7l,1.7m,1.7n,2.7o,1.7p,1.7q,1.7r,1.7s,9.7t,1*6,1.7u,1.7t,2.7v,1.7w,1.7x,1.7y,1.7z,1.80,7.7t,1*5,36.81,1.82,5.81,4.83,1.84,1.85,1.86,1.87,1.88,1.89,2.8a,2.8b,1.8c,1.8d,1.8e,2.8f,1.8g,1.8h,1.8i,1.8j,1.8k,1.8l,1.8m,1.8n,2.8o,1.8p,3.8q,1.8r,2.8s,1.8t,1.8u,1.8v,1.8w,1.8x,1.8y,1.8z,1.90,1.91,1.92,2.93,1.94,1.95,1.96,1.97,1.98,2.99,13.9a,1*3,3,1*2,b.9b,1.9c,1.9d,1.9e,2.9f,1.9g,3.9h,1.9i,2.9j,1.9k,1.9l,1.9m,1.9n,1.9o,1.9p,1.9q,1.9r,1.9s,1.9t,1.9u,1.9v,2.9w,1.9x,1.9y,2.9z,1.a0,1.a1,1.a2,1c.a3,2.a4,1.a5,1.a6,1.a7,2.a8,1.a9,2.aa,1.ab,1.ac,1.ad,2.ae,1.af,1.ag,1.ah,1.ai,1.aj,1.ak,1.al,2.am,1.an,1.ao,2.ap,1.aq,1.ar,1.as,1.at,1.au,2.av,1.aw,2.ax,1.ay,1p.az,1.b0,1.b1,1.b2,1.b3,2.b4,2.b5,1.b6,1.b7,2.b8,1.b9,1.ba,1.bb,1.bc,1.bd,1.be,2.bf,1.bg,1.bh,1.bi,1.bj,1.bk,2.bl,1.bm,1.bn,1.bo,2.bp,1.bq,1.br,1.bs,1.bt,1.bu,1.bv,1.bw,1.bx,2.by,1.bz,2.c0,1.c1,1.c2,1.c3,1.c4,1.c5,1.c6,1.c7,1.c8,1.c9,1.ca,1.cb,1.cc,1.cd,1.ce,1.cf,2.cg,1*2,1.ch,1.ci,2.cj,1.ck,1.cl,2.cm,1.cn,2.co,3.cp,1.cq,1.cr,4.cs,g.ct,1*j,3,1,4,n,1,4,2*2,13,2.cu,1,i.cv,1.cw,1.cx,1.cy,1.cz,2.d0,2.d1,1.d2,1.d3,3.d4,2.d5,1.d6,1*2,3.d7,2.d8,1.d9,1.da,1.db,1.dc,1.dd,1.de,1.df,2.dg,1.dh,1.dg,2.di,1.dj,2.dk,1.dl,1.dm,1.dn,1.do,8.dp,u.dq,1.dr,1.ds'],
+    WV: ['Bluefield|Athens|Beeson|Bramwell|Bud|Covel|Freeman|Herndon|Hiawatha|Kegley|Kellysville|Lashmeet|Matoaka|Montcalm|Nemours|Princeton|Rock|Wolfe|Welch|Anawalt|Avondale|Bartley|Berwind|Big Sandy|Bradshaw|Brenton|Clear Fork|Coal Mountain|Cucumber|Cyclone|Davy|Eckman|Elbert|Elkhorn|Fanrock|Gary|Hanover|Hemphill|Hensley|Iaeger|Ikes Fork|Isaban|Itmann|Jenkinjones|Jesse|Jolo|Justice|Kimball|Kopperston|Kyle|Lynco|Marianna|Matheny|Maybeury|Mohawk|Newhall|New Richmond|Northfork|North Spring|Oceana|Pageton|Panther|Paynesville|Pineville|Premier|Raysal|Rock View|Roderfield|Simon|Squire|Switchback|Thorpe|War|Warriormine|Wilcoe|Wyoming|Lewisburg|Fairlea|Alderson|Arbovale|Asbury|Ballard|Bartow|Buckeye|Caldwell|Cass|Crawley|Dunmore|Forest Hill|Frankford|Gap Mills|Grassy Meadows|Green Bank|Greenville|Hillsboro|Lindside|Marlinton|Maxwelton|White Sulphur Springs|Pence Springs|Peterstown|Renick|Ronceverte|Secondcreek|Sinks Grove|Smoot|Talcott|Union|Waiteville|Wayside|Williamsburg|Wolfcreek|Alloy|Alum Creek|Amma|Arnett|Artie|Ashford|Bancroft|Belle|Bickmore|Bim|Blair|Bloomingrose|Blount|Blue Creek|Bob White|Bomont|Boomer|Buffalo|Cabin Creek|Cannelton|Cedar Grove|Charlton Heights|Clay|Clear Creek|Clendenin|Clothier|Colcord|Comfort|Costa|Danville|Dawes|Deep Water|Dixie|Dorothy|Drybranch|Dry Creek|Duck|Dunbar|East Bank|Eleanor|Elkview|Eskdale|Ethel|Falling Rock|Foster|Fraziers Bottom|Gallagher|Gauley Bridge|Glasgow|Glen|Glen Ferris|Gordon|Handley|Hansford|Henderson|Hernshaw|Hewett|Hometown|Hugheston|Indore|Institute|Ivydale|Jeffrey|Kanawha Falls|Kimberly|Kincaid|Lake|Leon|Liberty|Lizemores|London|Madison|Mammoth|Maysel|Miami|Montgomery|Mount Carbon|Naoma|Nebo|Nellis|Nitro|Orgas|Ottawa|Page|Peytona|Pinch|Poca|Pond Gap|Powellton|Pratt|Procious|Racine|Red House|Ridgeview|Robson|Rock Creek|Saint Albans|Saxon|Seth|Sharples|Mount Olive|Smithers|Southside|Sylvester|Tad|Tornado|Turtle Creek|Twilight|Uneeda|Van|Wharton|Whitesville|Widen|Winfield|Winifrede|Advent|Arnoldsburg|Chloe|Cottageville|Evans|Gandeeville|Gay|Given|Hartford|Kenna|Left Hand|Le Roy|Letart|Looneyville|Mason|Millstone|Millwood|Mount Alto|New Haven|Newton|Normantown|Orma|Reedy|Ripley|Sandyville|Spencer|Wallback|Walton|West Columbia|Charleston|Martinsburg|Bakerton|Berkeley Springs|Bunker Hill|Charles Town|Falling Waters|Gerrardstown|Glengary|Great Cacapon|Halltown|Harpers Ferry|Hedgesville|Inwood|Kearneysville|Levels|Millville|Paw Paw|Points|Ranson|Ridgeway|Rippon|Shenandoah Junction|Shepherdstown|Slanesville|Summit Point|Alkol|Apple Grove|Ashton|Barboursville|Big Creek|Branchland|Ceredo|Chapmanville|Culloden|Dunlow|East Lynn|Fort Gay|Gallipolis Ferry|Genoa|Glenwood|Griffithsville|Hamlin|Harts|Hurricane|Julian|Kenova|Kiahsville|Lavalette|Lesage|Midkiff|Milton|Myra|Ona|Pecks Mill|Point Pleasant|Prichard|Ranger|Salt Rock|Scott Depot|Shoals|Sod|Spurlockville|Sumerco|Teays|Wayne|West Hamlin|Woodville|Yawkey|Logan|Accoville|Amherstdale|Baisden|Bruno|Chauncey|Cora|Davin|Gilbert|Henlawson|Holden|Kistler|Lorado|Lyburn|Mallory|Man|Mount Gay|Omar|Peach Creek|Sarah Ann|Stollings|Switzer|Verdunville|Verner|Wharncliffe|Whitman|Wilkinson|Yolyn|Williamson|Borderland|Breeden|Chattaroy|Crum|Delbarton|Dingess|Edgarton|Kermit|Lenore|Matewan|Naugatuck|Newtown|North Matewan|Ragland|Rawl|Red Jacket|Varney|Wilsondale|Huntington|Beckley|Allen Junction|Amigo|Ansted|Beaver|Bolt|Bradley|Camp Creek|Coal City|Cool Ridge|Corinne|Crab Orchard|Danese|Daniels|Dothan|Eccles|Edmond|Fairdale|Fayetteville|Flat Top|Ghent|Glen Daniel|Glen Fork|Glen Jean|Glen Rogers|Glen White|Harper|Helen|Hico|Hilltop|Josephine|Lanark|Lansing|Layland|Lester|Lochgelly|Lookout|Maben|Mabscott|Mac Arthur|Mc Graws|Saulsville|Midway|Minden|Mount Hope|Mullens|Oak Hill|Odd|Pax|Piney View|Prince|Princewick|Prosperity|Raleigh|Ravencliff|Rhodell|Sabine|Scarbro|Shady Spring|Skelton|Slab Fork|Sophia|Spanishburg|Stanaford|Stephenson|Surveyor|Thurmond|Victor|Winona|Wyco|Hinton|Charmco|Rainelle|Elton|Green Sulphur Springs|Jumping Branch|Lerona|Leslie|Meadow Bridge|Meadow Creek|Nimitz|Pipestem|Quinwood|Rupert|Sandstone|Spring Dale|White Oak|Wheeling|Beech Bottom|Benwood|Bethany|Cameron|Chester|Colliers|Dallas|Follansbee|Glen Dale|Glen Easton|Mcmechen|Moundsville|New Cumberland|Newell|Proctor|New Manchester|Short Creek|Triadelphia|Valley Grove|Weirton|Wellsburg|West Liberty|Windsor Heights|Parkersburg|Vienna|Mineral Wells|Belleville|Belmont|Big Bend|Big Springs|Brohard|Creston|Davisville|Elizabeth|Friendly|Grantsville|Macfarlan|Middlebourne|Mount Zion|Munday|New Martinsville|Paden City|Palestine|Petroleum|Porters Falls|Ravenswood|Reader|Rockport|Saint Marys|Sistersville|Smithville|Walker|Washington|Waverly|Williamstown|Buckhannon|Fenwick|Erbacon|Craigsville|Cowen|Camden On Gauley|Snowshoe|Adrian|Cleveland|Diana|French Creek|Frenchton|Hacker Valley|Helvetia|Kanawha Head|Lorentz|Pickens|Rock Cave|Selbyville|Tallmansville|Volga|Elkins|Belington|Beverly|Bowden|Coalton|Dailey|Davis|Richwood|Dryfork|Durbin|Upperglade|Ellamore|Glady|Hambleton|Harman|Hendricks|Huttonsville|Junior|Kerens|Mabie|Mill Creek|Monterville|Montrose|Norton|Parsons|Webster Springs|Red Creek|Slatyfork|Thomas|Valley Bend|Valley Head|Whitmer|Bergoo|Clarksburg|Alma|Alum Bridge|Anmoore|Auburn|Berea|Bridgeport|Burnsville|Cairo|Camden|Center Point|Coxs Mills|Crawford|Ellenboro|Flemington|Folsom|Galloway|Glenville|Grafton|Gypsy|Harrisville|Haywood|Hepzibah|Horner|Independence|Ireland|Jacksonburg|Jane Lew|Linn|Lost Creek|Lumberport|Meadowbrook|Moatsville|Mount Clare|Newburg|New Milton|Orlando|Pennsboro|Philippi|Pine Grove|Pullman|Reynoldsville|Rosemont|Rowlesburg|Salem|Sand Fork|Shinnston|Shirley|Simpson|Smithburg|Smithfield|Spelter|Thornton|Troy|Tunnelton|Walkersville|Wallace|West Milford|Weston|West Union|Wyatt|Morgantown|Albright|Arthurdale|Blacksville|Bretz|Bruceton Mills|Cassville|Dellslow|Granville|Kingwood|Maidsville|Masontown|Osage|Pentress|Pursglove|Reedsville|Fairmont|Barrackville|Baxter|Big Run|Burton|Carolina|Colfax|Enterprise|Fairview|Farmington|Four States|Grant Town|Hundred|Idamay|Kingmont|Littleton|Mannington|Metz|Montana Mines|Rachel|Rivesville|Wana|Worthington|Sutton|Birch River|Cedarville|Copen|Dille|Exchange|Flatwoods|Frametown|Gassaway|Heaters|Little Birch|Napier|Rosedale|Shock|Summersville|Belva|Calvin|Canvas|Drennen|Gilboa|Keslers Cross Lanes|Leivasy|Mount Lookout|Mount Nebo|Nallen|Nettie|Pool|Swiss|Tioga|Augusta|Aurora|Bayard|Burlington|Capon Bridge|Delray|Eglon|Elk Garden|Fort Ashby|Gormania|Green Spring|Keyser|Lahmansville|Mount Storm|New Creek|Piedmont|Ridgeley|Rio|Romney|Shanks|Springfield|Terra Alta|Wiley Ford|Baker|Brandywine|Circleville|Franklin|High View|Lost City|Mathias|Riverton|Sugar Grove|Bloomery|Fisher|Capon Springs|Maysville|Moorefield|Milam|Old Fields|Petersburg|Wardensville|Purgitsville|Cabins|Yellow Spring|Upper Tract|Seneca Rocks|Onego',
+         'j25.0,b.1,2.2,1.3,1.4,3.5,5.6,2.7,3.8,2.9,1.a,1.b,3.c,1.d,1.e,1.f,1,7.g,4.h,1e.i,7.j,3.k,2.l,2.m,1.n,1.o,1.p,4.q,1.r,3.s,1.t,1.u,1.v,1.w,1.x,3.y,2.z,3.10,3.11,1.12,1.13,1.14,1.15,1.16,1.17,1.18,1.19,1.1a,2.1b,1.1c,1.1d,2.1e,2.1f,1.1g,1.1h,1.1i,4.1j,1.1k,1.1l,1.1m,1.1n,1.1o,1.1p,1.1q,1.1r,4.1s,1.1t,1.1u,1.1v,1.1w,2.1x,3.1y,1.1z,4.20,2.21,1.22,3.23,3.24,1.25,8.26,5.27,1.28,2.29,2.2a,4.2b,1.2c,2.2d,4.2e,3.2f,1.2g,3.2h,3.2i,2.2j,1.2k,1.2l,1.2m,5.2n,3.2o,3.2p,4.2q,1.2r,1.2s,3.2t,4.2u,4.2v,2.2w,1.2x,4.2y,2.2z,1.30,1.31,1.2q,5.32,2.33,9.34,1.35,2.36,2.37,1.38,1.39,2.3a,4.3b,4.3c,2.3d,1.3e,2.3f,1.3g,1.3h,2.3i,2.3j,1.3k,2.3l,2.3m,1.3n,3.3o,1.3p,3.3q,1.3r,1.3s,2.3t,1.3u,1.3v,2.3w,2.3x,1.3y,3.3z,2.40,1.41,1.42,1.43,1.44,1.45,3.46,3.47,1.48,4.49,1.4a,3.4b,2.4c,1.4d,1.4e,2.4f,1.4g,2.4h,2.4i,3.4j,9.4k,1.4l,3.4m,1.4n,1.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1.4u,1.4v,3.4w,1.4x,2.4y,2.4z,1.50,1.51,1.52,4.53,2.54,1.55,1.56,2.57,3.58,1.59,1.5a,1.5b,1.5c,5.5d,1.5e,3.5f,2.5g,2.5h,3.5i,1.5j,1.5k,1.5l,2.5m,1.5n,3.5o,1.5p,4.5q,1.5r,3.5s,3.5t,1.5u,2.5v,2.5w,1.5x,1.5y,6.5z,8.60,1.61,1.62,1.63,1.64,1.65,2.66,1.67,2.68,2.69,1.6a,h.6b,3.6c,1.6d,4.6e,2.6f,2.6g,1.6h,1.6i,2.6j,1.6k,3.6l,1.6m,1.6n,6.6o,1.6p,1.6q,1.6r,2.6s,1.6t,1.6u,1.6v,1.6w,2.6x,1.6y,4.6z,1.70,9.71,1.72,1.73,e.74,1*5,3,2,1*4,2,3,1*j,b,6,1*2,2,1*2,2,1,a,c,2,3,4,5.75,1*4,5.76,1.77,2.78,1.79,5.7a,1.7b,1.7c,1.7d,1.7e,2.7f,2.7g,1.7h,1.75,1.7i,1.7j,1.7k,2.7l,3.7m,1.7n,2.7o,1.7p,1.7q,1.7r,1.7s,2.7t,1j.7u,1.7v,1.7w,1.7x,1.7y,1.7z,1.80,1.81,2.82,1.83,1.84,2.85,1.86,2.87,3.88,1.89,2.8a,1.8b,2.8c,3.8d,1.8e,4.8f,1.8g,2.8h,3.8i,1.8j,3.8k,1.8l,2.8m,3.8n,5.8o,2.8p,2.8q,1.8r,2.8s,2.8t,1.8u,2.8v,2.8w,1.8x,1.8y,1.8z,1.90,s.91,5.92,1.93,1.94,3.95,1.96,2.97,3.98,4.99,3.9a,1.9b,3.9c,2.9d,2.9e,2.9f,1.9g,2.9h,1.9i,1.9j,5.9k,2.9l,1.9m,2.9n,1.9o,1.9p,1.9q,1.9r,1.9s,7.9t,4.9u,1.9v,1.9w,2.9x,1.9y,1.9z,1.a0,2.a1,2.a2,2.a3,7.a4,1.a5,2.a6,2.a7,1.a8,1.a9,4.aa,3.ab,2.ac,1*s,q,f,1*9,m.ad,1,8.ae,1.af,1.ag,1.ah,4.ai,1.aj,2.ak,3.al,2.am,1.an,1.ao,4.ap,1.aq,1.ar,3.as,1.at,2.au,1.av,1.aw,2.ax,1.ay,1.az,1.b0,2.b1,1.b2,2.b3,2.b4,1.b5,1.b6,2.b7,3.b8,2.b9,2.ba,1.bb,1.bc,2.bd,2.be,1.bf,2.bg,2.bh,1.bi,2.bj,1.bk,1.bl,2.bm,6.bl,d.bn,1.bo,2.bp,2.bq,1.br,1.bs,1.bt,2.bu,2.bv,2.bw,1.bx,1.by,1.bz,1.c0,1.c1,1.c2,1.c3,4.ad,1.c4,1.c5,4.c6,4.c7,2.c8,4.c9,1.ca,8.cb,7.cc,4.cd,3.ce,1.cf,3.cg,2.ch,1.ci,4.cj,1.ck,1.cl,1.cm,2.cn,3.co,1.cp,1.cq,3.cr,e.cs,r.ct,1.cu,1.cv,1.cw,1.cx,1.cy,1.cz,1.d0,1.d1,1.d2,1.d3,1.d4,6.d5,3.d6,5.d7,1.d8,2.d9,1.da,1.db,2.dc,8.dd,4.de,1.df,q.dg,1*3,1.dh,1.dg,e.di,1,c.dj,1.dk,2.dl,1.dm,1.dn,3.do,1.dp,1.dq,3.dr,1.ds,1.dt,1.du,1.di,1.dv,1.dw,3.dx,4.dy,1.dz,1.e0,1.e1,2.e2,3.e3,2.e4,1.e5,5.e6,3.e7,2.e8,1.e9,3.ea,3.eb,e.ec,1.ed,1.ee,2.ef,1.eg,2.eh,1.ei,1.ej,5.ek,2.el,1.em,1.en,3.eo,2.ep,4.eq,1.er,1.es,4.et,2.eu,1.ev,1.ew,3.ex,9.ey,3.ez,1.f0,3.f1,2.f2,1.f3,1.f4,2.f5,1.f6,2.f7,1.f8,1.f9,1.fa,1.fb,1.fc,2.fd,2.fe,1.ff,2.fg,2.fh,2.fi,1.fj,2.fk,2.fl,1.fm,1.fn,2.fo,1.fp,1.fq,1.fr,2.fs,2.ft,3.fu,1,4,e.fv,1.fw,2.fx,2.fy,2.fz,3.g0,5.g1,2.g2,1.g3,1.g4,3.g5,1.g6,3.g7,1.g8,1.g9,1.ga,2.gb,3.gc,7.gd,1.ge,4.gf,3.gg,3.gh,2.gi,2.gj,1.gk,1.gl,6.gm,1.gn,1.go,i.gp,1.gq,3.gr,2.gs,1.gt,1.gu,3.gv,1.gw,3.gx,2.gy,1.gz,2.h0,1.h1,1.h2,4.h3,1.h4,3.h5,1.h6,1.h7,1.h8,1.h9,2.ha,3.hb,1.hc,3.hd,1.he,3.hf,1.hg,4.hh,5.fu,2.hi,12.hj,1,2,1*4,b.hk,1.hl,1.hm,3.hn,1.ho,2.hp,4.hq,3.hr,3.hs,4.ht,1.hu,1.hv,1.hw,2.hx,1.hy,7.hz,1,4.i0,1.i1,1.i2,1.i3,1.i4,3.i5,2.i6,2.i7,1.i8,1.i9,2.ia,1.ib,1.ic,2.id,3.ie,1.if,3.ig,1.ih,1.ii,1.ij,2.ik,1.il,a.im,9.in,1.io,4.ip,2.iq,2.ir,2.is,2.it,1.iu,3.iv,2.iw,2.ix,5.iy,2.iz,d.j0,5.j1,4.j2,2.j3,5.j4,4.j5,4.j6,1.j7,2.j8,1.j9,1.ja,1.jb,3.jc,6.jd,1.je,d.jf,1.jg,2.jh,3.ji,1.jj,3.jk,2.jl,1.jm,2.jn,1.jo,2.jp,4.jq,5.jr,8.js,4.jt,7.ju,3.jv,2.jw,2.jx,4.jy,2.jz,1.k0,3.k1,y.k2,1.k3,2.k4,3.k5,1.k6,2.k7,2.k8,2.k9,1.ka,2.kb,1.kc,5.kd,a.ke,3.kf,2.kg,7.kh,2.ki,4.kj,1.kk,3.kl,a.km,1.kn,i.ko,2.kp'],
+    WI: ['Adell|Allenton|Ashippun|Belgium|Brookfield|Brownsville|Butler|Campbellsport|Cascade|Cedarburg|Cedar Grove|Chilton|Cleveland|Clyman|Colgate|Delafield|Eden|Elkhart Lake|Fredonia|Germantown|Glenbeulah|Grafton|Greenbush|Hartford|Hartland|Hingham|Horicon|Hubertus|Hustisford|Iron Ridge|Ixonia|Jackson|Johnson Creek|Juneau|Kewaskum|Kiel|Kohler|Lannon|Lebanon|Lomira|Malone|Mayville|Menomonee Falls|Merton|Mount Calvary|Nashotah|Neosho|Newburg|New Holstein|Newton|North Lake|Oakfield|Oconomowoc|Okauchee|Oostburg|Pewaukee|Plymouth|Port Washington|Random Lake|Richfield|Rubicon|Saint Cloud|Saukville|Sheboygan|Sheboygan Falls|Slinger|Stockbridge|Sussex|West Bend|Theresa|Thiensville|Waldo|Watertown|Mequon|Woodland|Bassett|Benet Lake|Big Bend|Bristol|Burlington|Caledonia|Camp Lake|Cudahy|Darien|Delavan|Dousman|Eagle|East Troy|Elkhorn|Elm Grove|Fontana|Franksville|Genesee Depot|Genoa City|Greendale|Hales Corners|Franklin|Helenville|Honey Creek|Kansasville|Kenosha|New Berlin|Lake Geneva|Lyons|Mukwonago|Muskego|New Munster|North Prairie|Oak Creek|Palmyra|Pell Lake|Pleasant Prairie|Powers Lake|Rochester|Salem|Silver Lake|Somers|South Milwaukee|Springfield|Sturtevant|Sullivan|Trevor|Twin Lakes|Union Grove|Wales|Walworth|Waterford|Waukesha|Whitewater|Williams Bay|Wilmot|Woodworth|Zenda|Milwaukee|Saint Francis|Racine|Afton|Albany|Arena|Argyle|Avalon|Avoca|Barneveld|Belleville|Belmont|Beloit|Black Earth|Blanchardville|Blue Mounds|Blue River|Brodhead|Brooklyn|Browntown|Cambridge|Clinton|Cobb|Cottage Grove|Cross Plains|Dane|Darlington|Deerfield|De Forest|Dodgeville|Edgerton|Edmund|Evansville|Footville|Fort Atkinson|Gotham|Gratiot|Hanover|Highland|Hollandale|Janesville|Jefferson|Juda|Lake Mills|Linden|Livingston|Lodi|Lone Rock|Lowell|Mc Farland|Marshall|Mazomanie|Merrimac|Middleton|Milton|Mineral Point|Monroe|Montfort|Monticello|Morrisonville|Mount Horeb|Muscoda|New Glarus|Oregon|Orfordville|Plain|Prairie Du Sac|Reeseville|Rewey|Richland Center|Ridgeway|Sauk City|Sextonville|Sharon|Shullsburg|South Wayne|Spring Green|Stoughton|Sun Prairie|Verona|Waterloo|Waunakee|Windsor|Woodford|Madison|Bagley|Beetown|Benton|Bloomington|Boscobel|Cassville|Cuba City|Dickeyville|Fennimore|Glen Haven|Hazel Green|Kieler|Lancaster|Mount Hope|Patch Grove|Platteville|Potosi|Prairie Du Chien|Sinsinawa|Stitzer|Wauzeka|Woodman|Portage|Adams|Arlington|Baraboo|Beaver Dam|Brandon|Briggsville|Burnett|Cambria|Cazenovia|Columbus|Dalton|Dellwood|Doylestown|Elroy|Endeavor|Fairwater|Fall River|Fox Lake|Friendship|Friesland|Grand Marsh|Hillpoint|Kingston|Lake Delton|La Valle|Lime Ridge|Loganville|Lyndon Station|Markesan|Marquette|Mauston|Montello|New Lisbon|North Freedom|Oxford|Packwaukee|Pardeeville|Poynette|Randolph|Reedsburg|Rio|Rock Springs|Union Center|Waupun|Westfield|Wisconsin Dells|Wonewoc|Wyocena|Amery|Baldwin|Beldenville|Clayton|Clear Lake|Cushing|Deer Park|Dresser|East Ellsworth|Ellsworth|Glenwood City|Hager City|Hammond|Hudson|New Richmond|Osceola|Prescott|River Falls|Roberts|Saint Croix Falls|Somerset|Star Prairie|Wilson|Woodville|Houlton|Abrams|Amberg|Armstrong Creek|Athelstane|Black Creek|Bonduel|Brillion|Cecil|Coleman|Combined Locks|Crivitz|De Pere|Dunbar|Fence|Florence|Forest Junction|Gillett|Goodman|Greenleaf|Green Valley|Gresham|Hilbert|Kaukauna|Freedom|Keshena|Kimberly|Krakow|Lakewood|Lena|Little Chute|Little Suamico|Marinette|Mountain|Neopit|Niagara|Nichols|Oconto|Oconto Falls|Oneida|Pembine|Peshtigo|Porterfield|Potter|Pound|Pulaski|Seymour|Shawano|Sherwood|Shiocton|Sobieski|Suamico|Suring|Townsend|Wausaukee|Wrightstown|Zachow|Algoma|Baileys Harbor|Brussels|Casco|Collins|Denmark|Egg Harbor|Ellison Bay|Ephraim|Fish Creek|Forestville|Francis Creek|Kellnersville|Kewaunee|Luxemburg|Manitowoc|Maplewood|Maribel|Mishicot|New Franken|Reedsville|Saint Nazianz|Sister Bay|Sturgeon Bay|Tisch Mills|Two Rivers|Valders|Washington Island|Whitelaw|Green Bay|Wausau|Marshfield|Abbotsford|Amherst|Amherst Junction|Aniwa|Antigo|Arpin|Athens|Auburndale|Babcock|Birnamwood|Blenker|Bowler|Brokaw|Bryant|Chili|Colby|Curtiss|Custer|Deerbrook|Dorchester|Edgar|Eland|Elcho|Elderon|Elton|Galloway|Gilman|Jump River|Gleason|Granton|Greenwood|Hannibal|Hatley|Hewitt|Irma|Junction City|Loyal|Lublin|Marathon|Mattoon|Medford|Merrill|Milladore|Mosinee|Neillsville|Nekoosa|Nelsonville|Ogema|Owen|Pearson|Pelican Lake|Phlox|Pickerel|Pittsville|Plover|Port Edwards|Rib Lake|Ringle|Rosholt|Rothschild|Rudolph|Schofield|Spencer|Stetsonville|Stevens Point|Stratford|Summit Lake|Tigerton|Tomahawk|Unity|Vesper|Westboro|White Lake|Willard|Wisconsin Rapids|Withee|Wittenberg|Rhinelander|Argonne|Boulder Junction|Brantwood|Butternut|Catawba|Clam Lake|Conover|Crandon|Eagle River|Fifield|Gile|Glen Flora|Glidden|Harshaw|Hawkins|Hazelhurst|Heafford Junction|Hurley|Iron Belt|Kennan|Lac Du Flambeau|Lake Tomahawk|Land O Lakes|Laona|Long Lake|Mc Naughton|Manitowish Waters|Mellen|Mercer|Minocqua|Montreal|Park Falls|Phelps|Phillips|Prentice|Presque Isle|Saint Germain|Saxon|Sayner|Star Lake|Three Lakes|Tony|Tripoli|Upson|Wabeno|Woodruff|La Crosse|Alma|Alma Center|Arcadia|Arkdale|Bangor|Black River Falls|Blair|Camp Douglas|Cashton|Cataract|Chaseburg|Cochrane|Coon Valley|De Soto|Dodge|Eastman|Ettrick|Ferryville|Fountain City|Galesville|Gays Mills|Genoa|Hillsboro|Hixton|Holmen|Hustler|Kendall|La Farge|Lynxville|Mather|Melrose|Millston|Mindoro|Mount Sterling|Necedah|Norwalk|Oakdale|Onalaska|Ontario|Readstown|Rockland|Seneca|Soldiers Grove|Sparta|Steuben|Stoddard|Taylor|Tomah|Trempealeau|Tunnel City|Viola|Viroqua|Warrens|Westby|West Salem|Wilton|Eau Claire|Altoona|Arkansaw|Augusta|Bay City|Bloomer|Boyceville|Boyd|Cadott|Chetek|Chippewa Falls|Colfax|Conrath|Cornell|Dallas|Downing|Downsville|Durand|Eau Galle|Eleva|Elk Mound|Elmwood|Fairchild|Fall Creek|Gilmanton|Holcombe|Humbird|Independence|Jim Falls|Knapp|Maiden Rock|Menomonie|Merrillan|Mondovi|Nelson|New Auburn|Osseo|Pepin|Pigeon Falls|Plum City|Prairie Farm|Ridgeland|Rock Falls|Sand Creek|Sheldon|Spring Valley|Stanley|Stockholm|Strum|Thorp|Wheeler|Whitehall|Spooner|Almena|Ashland|Balsam Lake|Barron|Barronett|Bayfield|Benoit|Birchwood|Brill|Bruce|Brule|Cable|Cameron|Centuria|Comstock|Cornucopia|Couderay|Cumberland|Danbury|Drummond|Edgewater|Exeland|Foxboro|Frederic|Gordon|Grand View|Grantsburg|Haugen|Hawthorne|Hayward|Herbster|Hertel|High Bridge|Iron River|Ladysmith|Lake Nebagamon|La Pointe|Luck|Maple|Marengo|Mason|Mikana|Milltown|Minong|Odanah|Ojibwa|Poplar|Port Wing|Radisson|Rice Lake|Sarona|Shell Lake|Siren|Solon Springs|South Range|Springbrook|Stone Lake|Superior|Trego|Turtle Lake|Wascott|Washburn|Webster|Weyerhaeuser|Winter|Oshkosh|Almond|Appleton|Bancroft|Bear Creek|Berlin|Big Falls|Butte Des Morts|Caroline|Clintonville|Coloma|Dale|Eldorado|Embarrass|Eureka|Fond Du Lac|Fremont|Green Lake|Greenville|Hancock|Hortonville|Iola|King|Larsen|Leopolis|Manawa|Marion|Menasha|Neenah|Neshkoro|New London|Ogdensburg|Omro|Pickett|Pine River|Plainfield|Poy Sippi|Princeton|Readfield|Redgranite|Ripon|Rosendale|Saxeville|Scandinavia|Tilleda|Van Dyne|Waukau|Waupaca|Wautoma|Weyauwega|Wild Rose|Winnebago|Winneconne',
+         '14w9.0,1.1,1.2,1.3,1.4,1.5,1.6,1.4,2.7,1.8,1.9,1.a,1.b,1.c,1.d,1.e,1.f,1.g,1.h,1.i,1.j,1.k,1.l,2.m,1.n,2.o,2.p,1.q,1.r,1.s,1.t,1.u,1.v,1.w,1.x,1.y,2.z,2.10,1.4,1.11,1.12,1.13,1.14,1.15,1.16,1,4.17,1.18,1.19,1.1a,1.1b,1.1c,1,1.1d,1.1e,1.1f,1.1g,3.1h,1.1i,2.1j,1.1k,1.1l,1.1m,1.1n,2.1o,1.1p,1.1q,1.1r,1*2,2.1s,1.1t,2.1u,1.1v,1.1w,1.1x,1.1y,1.1z,1.20,1.1w,2.21,1.20,1.22,2.23,1.24,1.25,1.26,1.27,3.28,1.29,1.2a,4.2b,1.2c,3.2d,1.2e,1.2f,1.2g,1.2h,3.2i,1.2j,1.2k,1.2l,1.2m,1.2n,2.2o,5.2p,1.2q,1.2r,1.2s,1*4,2.2t,1.2u,1.2v,1.2w,1.2x,1.2t,1.2y,1.2z,1.30,2.31,1.32,1.33,1.34,8.35,1.36,2.37,1.38,1.39,4.3a,1.3b,1.3c,1.3d,2.3e,1.3f,1.3g,1.3h,1.3i,1.3j,1*3,1.3k,1.3l,1.3m,2.3n,1.3o,4.37,2.3p,1*r,5,1,1.3q,2.3p,7,f,4*2,1,6,4,a,2,3,2,2y.3r,1*7,2l.3s,1.3t,1.3u,1.3v,1.3w,1.3x,1.3y,1.3z,2.40,1.41,1,3.42,1.43,1.44,1.45,2.46,1.47,1.48,1.49,2.4a,1.4b,1.4c,1.4d,1.4e,1.4f,1.4g,1.4h,1.4i,1.4j,1.4k,1.4l,1.4m,1.4n,2.4o,1.4p,1.4q,1.4r,1.4s,1.4t,1*3,1.4u,1.4v,1.4w,2.4x,1.4y,1.4z,1.50,1.51,1.52,1.53,1.54,1.55,1.56,1.57,2.58,1.59,3.5a,1.5b,1.5c,1.5d,1.5e,1.5f,1.5g,1.5h,1.5i,1.5j,1.5k,1.5l,1.5m,1.5n,1.5o,1.5p,1.5q,1.5r,1.5s,1.5t,1.5u,1.5v,3.5w,1.5x,1.4i,1.5v,1.5y,1.5z,1.60,2u.61,1*7,3,2,1*6,6,1,i,u,3,1*2,3,1*4,2,1*6,7.62,1.63,1.64,1.65,1.66,1.67,1.68,1.69,1.6a,1.6b,1.6c,1.6d,1.6e,3.6f,1.6g,1.6h,2.6i,1.6j,3.6k,1.6l,1.6m,1.6n,22.6o,9.6p,1.6q,2.6r,3.6s,3.6t,1.6u,2.6v,1.6w,1.6x,1.6y,1.6z,1.70,1.71,1.72,1.73,1.74,1.75,1.76,1.77,1.78,1.79,1.7a,2.7b,1.7c,1.7d,1.7e,1.7f,1.7g,2.7h,1.7i,1.7j,1.7k,1.7l,1.7m,1.7n,1.7o,1.7p,1.7q,1.7r,1,1.7s,1,1.7t,1.7u,1.7v,1.7w,1.7x,1.7y,3.7z,1.80,w.81,1.82,1.83,1.84,1.85,1.86,1.87,2.88,1.89,1.8a,2.8b,1.8c,1.8d,1.8e,1.8f,3.8g,1.8h,1.8i,1.8j,1.8k,1.8l,1.8m,1.8n,1.8o,1i.8p,j.8q,1.8r,1.8s,1.8t,2.8u,1.8v,3.8w,1.8x,1.8y,1.8z,1.90,1.91,4.92,1.93,1.94,2.95,1.96,1.97,1.98,1.99,1.9a,1.9b,1.9c,1.9d,4.9e,1.9f,1.9g,1.9h,1.9i,1.9j,1.9k,2.9l,6.9m,1.9n,1.9o,1.9p,1.9q,1.9r,1.9s,1.9t,1.9u,2.9v,1.9w,1.9x,1.9y,3.9z,1.a0,3.a1,1.a2,1.a3,2.a4,1.a5,1.a6,2.a7,3.a8,2.a9,j.aa,1.ab,2.ac,1.ad,2.ae,1.af,1.ag,1.ah,1.ai,1.aj,1.ak,1.al,1.am,1.an,1.ao,3.ap,1,5.aq,1.ar,1.as,1.at,1.au,2.av,2.aw,1.ax,5.ay,1.az,4.b0,1.b1,1.b2,1i.b3,1*7,3,2,b,k,1l.b4,1*2,1.b5,1.b6,1.b7,1.b8,1.b9,1.ba,1.bb,1.bc,1.bd,1.be,1.bf,1.bg,1.bh,1.bi,1.bj,2.bk,1.bl,1.bm,1.bn,1.bo,1.bp,1.bq,1.br,1.bs,1.bt,1.bu,2.bv,1.bw,1.bx,1.by,1.bz,1.c0,2.c1,1.c2,1.c3,1.c4,1.c5,3.c6,1.c7,1.c8,1.b5,1.c9,1.ca,1.cb,2.cc,1.cd,1.ce,1.cf,1.cg,1.ch,1.ci,2.cj,1.ck,1.cl,1.cm,1.cn,1.co,2.cp,1.cq,1.cr,1.b5,1.cs,1.ct,1.cu,1.cv,3.cw,1.cx,1.cy,1,2.cz,1.d0,1.d1,1.d2,1.d3,1.d4,1.d5,1.d6,1.cy,1.d7,1.d8,1,3.d9,1.da,2.db,a.dc,1.dd,1.de,1.df,1.dg,2.dh,2.di,1.dj,1.dk,3.dl,1.dm,1.dn,1.do,2.dp,1.dq,1.dr,1.ds,2.dt,2.du,1.dv,1.dw,1.dx,1.dy,1.dz,1.e0,1.e1,2.e2,1.e3,1.e4,1.e5,2.e6,2.e7,2.e8,1.e9,1.ea,1.eb,1.ec,1.ed,1.ee,1.ef,1.eg,1.eh,1.ei,1.ej,1.ek,2.el,x.em,1*2,7.en,1.eo,1.ep,1.eq,1.er,1.es,1.et,2.eu,1.ev,1.ew,1.ex,1.ey,1.ez,1.f0,1.f1,1.f2,1.f3,1.f4,1.f5,1.f6,1.f7,1.f8,2.f9,1.fa,1.fb,1.fc,1.fd,1.fe,1.ff,1.fg,1.fh,1.fi,1.fj,1.fk,1.fl,2.fm,1.fn,1.fo,1.fp,1.fq,1.fr,1.fs,1.ft,1.fu,1.fv,1.fw,1.fx,1.fy,1.fz,1.g0,2.g1,1.g2,1.g3,1.g4,2.g5,1.g6,v.g7,1*2,h.g8,1.g9,1.ga,1.gb,1.gc,1.gd,1.ge,1.gf,1.gg,1.gh,1.gi,1.gj,1.gk,1.gl,1.gm,1.gn,1.go,1.gp,1.gq,1.gr,1.gs,1.gt,1.gu,1.gv,2.gw,1.gx,1.gy,1.gz,1.h0,1.h1,1.h2,3.h3,1.h4,1.h5,1.h6,1.h7,1.h8,1.h9,1.ha,1.hb,1.hc,1.hd,1.he,1.hf,1.hg,1.hh,1.hi,1.hj,1.hk,1.hl,1.hm,1.gh,r.hn,4.ho,1.hp,4.hq,2.hr,1.hs,1.ht,2.hu,1.hv,1.hw,1.hx,1.hy,1.hz,1.i0,2.i1,2.i2,1.i3,1.i4,1.i5,1.i6,2.i7,2.i8,1.i9,1.ia,1.ib,1.ic,1.id,1.ie,1.if,1.ig,1.ih,1.ii,1.ij,1.ik,1.il,1.im,1.in,1.io,3.ip,1.iq,1.ir,1.is,1.it,1.iu,1.iv,2.iw,1.ix,2.iy,1.iz,2.j0,1.j1,2.j2,1.j3,1.j4,1.j5,1.j6,1.j7,1.j8,4.j9,8.ja,1.jb,1.jc,1.jd,2.je,2.jf,1.jg,5.jh,1*3,2,3.ji,2.jj,1*4,4,2.jk,1.jl,1.jm,3.jn,1.jo,1.jp,1.jq,1.jr,1.js,1.jt,1.ju,1.jv,1.jw,1*2,3.jx,1.jy,1.jz,1.k0,1.k1,1.k2,1.k3,1.k4,1.k5,1.k6,1.k7,2.k8,4.k9,1,3.ka,1.kb,1.kc,1.kd,1.ke,1.kf,1.kg,1.kh,1.ki,1.kj,1.kk,1.kl,3.km,2.kn,1.ko,1.kp,1.kq,1.kr,1.ks,1.kt,1.ku,1.kv,1.kw,1.kx,4.k2'],
+    WY: ['Cheyenne|Fe Warren Afb|Albin|Bosler|Buford|Burns|Carpenter|Centennial|Garrett|Granite Canon|Hillsdale|Horse Creek|Jelm|Laramie|Meriden|Pine Bluffs|Rock River|Tie Siding|Yellowstone National Park|Wheatland|Chugwater|Fort Laramie|Glendo|Guernsey|Hartville|Hawk Springs|Huntley|Jay Em|Lagrange|Lance Creek|Lingle|Lost Springs|Lusk|Manville|Shawnee|Torrington|Van Tassell|Veteran|Yoder|Rawlins|Jeffrey City|Baggs|Bairoil|Dixon|Elk Mountain|Encampment|Hanna|Medicine Bow|Saratoga|Savery|Sinclair|Walcott|Wamsutter|Worland|Basin|Burlington|Byron|Cody|Cowley|Deaver|Emblem|Frannie|Greybull|Hyattville|Kirby|Lovell|Manderson|Meeteetse|Otto|Powell|Ralston|Shell|Ten Sleep|Thermopolis|Wapiti|Riverton|Arapahoe|Crowheart|Dubois|Fort Washakie|Hudson|Kinnear|Lander|Pavillion|Saint Stephens|Casper|Shirley Basin|Alcova|Arminto|Douglas|Edgerton|Evansville|Glenrock|Hiland|Kaycee|Linch|Lysite|Midwest|Mills|Natrona|Powder River|Shoshoni|Newcastle|Aladdin|Alva|Beulah|Devils Tower|Four Corners|Gillette|Hulett|Moorcroft|Osage|Recluse|Rozet|Sundance|Upton|Weston|Wright|Sheridan|Arvada|Banner|Big Horn|Buffalo|Clearmont|Dayton|Leiter|Parkman|Ranchester|Saddlestring|Story|Wolf|Wyarno|Rock Springs|Bondurant|Boulder|Cora|Little America|Evanston|Farson|Fort Bridger|Granger|Green River|Lonetree|Lyman|Mc Kinnon|Mountain View|Pinedale|Point Of Rocks|Reliance|Robertson|Superior|Jackson|Kelly|Moose|Moran|Wilson|Teton Village|Kemmerer|Afton|Auburn|Bedford|Big Piney|Cokeville|Daniel|Diamondville|Etna|Fairview|Freedom|Frontier|Grover|La Barge|Opal|Smoot|Thayne|Alpine|Alta',
+         '1r9t.0,1*2,2.1,1.0,1*4,14.2,1.3,1.4,1.5,1.6,1.7,3.8,1.9,1.a,1.b,2.c,7.d,1*3,8.e,1.f,1.g,1.h,2y.i,b.j,9.k,2.l,1.m,1.n,1.o,2.p,1.q,1.r,2.s,1.t,1.u,1.v,1.w,2.x,2.y,b.z,2.10,1.11,1.12,1l.13,9.14,b.15,1.16,1.17,1.18,1.19,2.1a,2.1b,2.1c,1.1d,2.1e,1.1f,1.1g,1t.1h,9.1i,1.1j,1.1k,2.1l,6.1m,1.1n,1.1o,1.1p,3.1q,2.1r,2.1s,1.1t,1.1u,1.1v,1.1w,1.1x,5.1y,1.1z,1.20,1.21,7.22,1f.23,9.24,2.25,1.26,1.27,1.28,1.29,4.2a,3.2b,1.2c,25.2d,1,2,1,4,6.2e,5.2f,a.2g,3.2h,2.2i,1.2j,1.2k,1.2l,1.2m,1.2n,2.2o,1.2p,1.2q,2.2r,2.2s,1.2t,1g.2u,9.2v,1.2w,1.2x,2.2y,1.2z,1.30,1*2,2.31,1.32,2.33,2.34,2.35,2.36,1.37,1.38,1.39,1x.3a,u.3b,1.3c,1.3d,1.3e,1.3f,1.3g,1.3h,1.3i,1.3j,1.3k,2.3l,2.3m,1.3n,1k.3o,1,k.3p,1.3q,2.3r,4.3s,1.3t,1,1.3u,1.3v,1.3w,1.3x,1.3y,1.3z,1.40,1.41,2.42,1.43,1.44,1.45,1.46,1k.47,1,9.48,1.49,1.4a,1.4b,b.4c,24.4d,9.4e,1.4f,1.4g,1.4h,1.4i,1.4j,1.4k,2.4l,1.4m,1.4n,1.4o,1.4p,1.4q,1.4r,2.4s,1.4t,1.4u,7y.4v']
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ZIP_CODES };
+}